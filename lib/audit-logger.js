@@ -2,11 +2,69 @@
  * Audit Logger - Records MCP tool invocations to immutable audit trail
  * Implements schema from DXP-124-1
  * Part of Jaxon Digital Optimizely DXP MCP Server
+ *
+ * Tamper evidence: every entry carries a sequence number (seq), the hash of the
+ * record before it (prev_hash) and its own SHA-256 hash. When the first entry of
+ * a new day is written, the previous day's file is closed with a seal record whose
+ * digest covers all entry hashes of that day, optionally HMAC-signed with
+ * DXP_AUDIT_HMAC_KEY. verify() walks the chain and reports affected entries.
+ *
+ * Several processes may share one audit directory (e.g. a stdio and an HTTP server).
+ * Each write holds a lock file in the directory and re-reads the chain head when the
+ * newest file changed since this process last wrote, so all processes extend one chain.
+ * The directory must be on a local file system: the lock relies on exclusive create.
+ *
+ * Housekeeping runs once a day on the first write: closed days are gzipped
+ * (audit-YYYY-MM-DD.jsonl.gz) and files past DXP_AUDIT_RETENTION_DAYS or over
+ * DXP_AUDIT_MAX_SIZE_MB are deleted, oldest first. Reads stream lines from both
+ * plain and compressed files.
+ *
+ * Correlation: wrapTool runs each tool inside an async context, so tool calls and
+ * background work started by them (monitors, auto-verification) record the caller's
+ * correlation_id as parent_operation. Later calls that pass a deploymentId or exportId
+ * attach to the call that started that deployment or export (see linkResource()).
  */
 
 const fs = require('fs').promises;
+const { AsyncLocalStorage } = require('async_hooks');
+const { createReadStream, createWriteStream } = require('fs');
 const path = require('path');
-const { randomUUID } = require('crypto');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { createGzip, createGunzip } = require('zlib');
+const { randomUUID, createHash, createHmac, timingSafeEqual } = require('crypto');
+
+// prev_hash of the first chained entry
+const GENESIS_HASH = '0'.repeat(64);
+
+const AUDIT_FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl(\.gz)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tool parameters that refer to a workflow started by an earlier call, and the resource type they link to
+const LINKED_PARAMETERS = {
+    deploymentId: 'deployment_id',
+    exportId: 'export_id'
+};
+
+// Operations counted as deployments in aggregations
+const DEPLOYMENT_OPERATIONS = ['start_deployment', 'deploy_package'];
+
+// Lock file serializing writes across processes sharing the audit directory
+const LOCK_FILE = '.audit.lock';
+// A lock older than this was left by a process that died while writing
+const LOCK_STALE_MS = 60 * 1000;
+// Give up on one entry (and log it) rather than block tool calls indefinitely
+const LOCK_TIMEOUT_MS = 10 * 1000;
+
+// Resource links kept in memory (oldest dropped first)
+const MAX_RESOURCE_LINKS = 1000;
+
+// CSV export columns
+const EXPORT_COLUMNS = [
+    'timestamp', 'seq', 'operation', 'operation_type', 'status', 'user', 'environment', 'project',
+    'correlation_id', 'parent_operation', 'duration_ms', 'result', 'error', 'parameters', 'tags', 'hash'
+];
 
 class AuditLogger {
     constructor(options = {}) {
@@ -14,6 +72,31 @@ class AuditLogger {
         this.version = options.version || this.getVersion();
         this.enabled = options.enabled !== false; // Default: enabled
         this.context = options.context || {};
+        this.hmacKey = options.hmacKey !== undefined ? options.hmacKey : (process.env.DXP_AUDIT_HMAC_KEY || null);
+
+        // Retention (0 = keep forever) and compression of closed days
+        this.retentionDays = options.retentionDays !== undefined
+            ? options.retentionDays
+            : parseInt(process.env.DXP_AUDIT_RETENTION_DAYS || '0', 10) || 0;
+        const maxSizeMB = options.maxSizeMB !== undefined
+            ? options.maxSizeMB
+            : parseFloat(process.env.DXP_AUDIT_MAX_SIZE_MB || '0') || 0;
+        this.maxSizeBytes = maxSizeMB * 1024 * 1024;
+        this.compress = options.compress !== undefined ? options.compress : process.env.DXP_AUDIT_COMPRESS !== 'false';
+        // Day housekeeping last ran for
+        this.maintainedDate = null;
+
+        // Chain head ({ seq, hash, date, sealed, count, firstSeq, digest }), loaded from disk on first write
+        this.chain = null;
+        // File and size the head was read from or last written to; a different size means another process wrote
+        this.chainFile = null;
+        // Writes are serialized because each entry's hash depends on the one before it
+        this.writeQueue = Promise.resolve();
+
+        // Correlation of the tool call being executed ({ correlationId, resources })
+        this.callScope = new AsyncLocalStorage();
+        // "<type>:<id>" -> correlation_id of the call that started the resource
+        this.resourceLinks = new Map();
     }
 
     /**
@@ -40,7 +123,7 @@ class AuditLogger {
      * @param {Object} entry.environment - DXP environment details
      * @param {Object} entry.request - Request details
      * @param {Object} entry.response - Response details
-     * @param {string} entry.parent_operation - Optional parent correlation ID
+     * @param {string} entry.parent_operation - Optional parent correlation ID (default: the current tool call)
      * @param {Array} entry.tags - Optional tags
      * @param {Object} entry.metadata - Optional metadata
      */
@@ -58,7 +141,7 @@ class AuditLogger {
             request: {
                 tool: entry.request?.tool || entry.operation,
                 parameters: this.sanitize(entry.request?.parameters || {}),
-                correlation_id: entry.request?.correlation_id
+                correlation_id: entry.request?.correlation_id || AuditLogger.newCorrelationId()
             },
             response: {
                 result: entry.response?.result || (entry.status === 'success' ? 'success' : 'failure'),
@@ -68,8 +151,10 @@ class AuditLogger {
         };
 
         // Add optional fields
-        if (entry.parent_operation) {
-            auditEntry.parent_operation = entry.parent_operation;
+        // Entries logged by background work inherit the tool call that started it
+        const parentOperation = entry.parent_operation || this.callScope.getStore()?.correlationId;
+        if (parentOperation) {
+            auditEntry.parent_operation = parentOperation;
         }
 
         if (entry.tags && entry.tags.length > 0) {
@@ -183,21 +268,582 @@ class AuditLogger {
      * Format: ./audit-logs/audit-YYYY-MM-DD.jsonl
      */
     async writeEntry(entry) {
+        const write = this.writeQueue.then(() => this.withFileLock(async () => {
+            const date = await this.appendChained(entry);
+            if (date && this.maintainedDate !== date) {
+                this.maintainedDate = date;
+                await this.maintain(date);
+            }
+        })).catch(error => {
+            // Don't fail tool operations if audit logging fails
+            console.error(`[AuditLogger] Failed to write audit entry: ${error.message}`);
+        });
+        this.writeQueue = write;
+        return write;
+    }
+
+    /**
+     * Run a write while holding the directory's lock file
+     * @private
+     */
+    async withFileLock(fn) {
+        await fs.mkdir(this.auditDir, { recursive: true });
+        const lockFile = path.join(this.auditDir, LOCK_FILE);
+        const started = Date.now();
+
+        for (;;) {
+            try {
+                await fs.writeFile(lockFile, `${process.pid}\n`, { flag: 'wx', mode: 0o600 });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const stats = await fs.stat(lockFile).catch(() => null);
+            if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+                await fs.unlink(lockFile).catch(() => {});
+                continue;
+            }
+            if (Date.now() - started > LOCK_TIMEOUT_MS) {
+                throw new Error(`Timed out waiting for ${lockFile} (held by another process)`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 40));
+        }
+
         try {
-            // Create audit directory if it doesn't exist
-            await fs.mkdir(this.auditDir, { recursive: true });
+            return await fn();
+        } finally {
+            await fs.unlink(lockFile).catch(() => {});
+        }
+    }
 
-            // Generate filename with current date
+    /**
+     * Append an entry linked to the chain head, sealing the previous day first
+     * @private
+     */
+    async appendChained(entry) {
+        try {
+            const chain = await this.loadChain();
             const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-            const filename = path.join(this.auditDir, `audit-${date}.jsonl`);
+
+            // First entry of a new day closes the previous day's file
+            if (chain.date && chain.date !== date && !chain.sealed) {
+                await this.sealDay(chain);
+            }
+
+            const record = { ...entry, seq: chain.seq + 1, prev_hash: chain.hash };
+            const hash = AuditLogger.hashRecord(record);
 
             // Append entry as single JSON line
-            const line = JSON.stringify(entry) + '\n';
-            await fs.appendFile(filename, line, 'utf8');
+            const line = JSON.stringify({ ...record, hash }) + '\n';
+            const file = this.fileFor(date);
+            await fs.appendFile(file, line, 'utf8');
+            this.chainFile = { file, size: (await fs.stat(file)).size };
+
+            if (chain.date !== date) {
+                chain.date = date;
+                chain.sealed = false;
+                chain.count = 0;
+                chain.firstSeq = record.seq;
+                chain.digest = createHash('sha256');
+            }
+            chain.seq = record.seq;
+            chain.hash = hash;
+            chain.count++;
+            chain.digest.update(hash);
+            return date;
         } catch (error) {
             // Don't fail tool operations if audit logging fails
             console.error(`[AuditLogger] Failed to write audit entry: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Compress closed days and apply retention
+     * Runs inside the write queue, after the first entry of a day (so every earlier day is sealed).
+     * Deletions are recorded as an audit_retention entry.
+     * @private
+     */
+    async maintain(today) {
+        try {
+            let files = await this.listFiles();
+
+            if (this.compress) {
+                for (const { file, date } of files) {
+                    if (date < today && !file.endsWith('.gz')) {
+                        await this.compressFile(file);
+                    }
+                }
+                files = await this.listFiles();
+            }
+
+            const deleted = [];
+            const remove = async (file, reason) => {
+                await fs.unlink(path.join(this.auditDir, file));
+                deleted.push({ file, reason });
+            };
+
+            if (this.retentionDays > 0) {
+                const cutoff = new Date(new Date(`${today}T00:00:00Z`).getTime() - this.retentionDays * DAY_MS).toISOString().split('T')[0];
+                for (const { file, date } of files) {
+                    if (date < cutoff) {
+                        await remove(file, `older than ${this.retentionDays} days`);
+                    }
+                }
+                files = files.filter(({ file }) => !deleted.some(d => d.file === file));
+            }
+
+            if (this.maxSizeBytes > 0) {
+                const sized = [];
+                for (const entry of files) {
+                    const stats = await fs.stat(path.join(this.auditDir, entry.file));
+                    sized.push({ ...entry, size: stats.size });
+                }
+                let total = sized.reduce((sum, entry) => sum + entry.size, 0);
+                // Oldest first; today's file is never deleted
+                for (const { file, date, size } of sized) {
+                    if (total <= this.maxSizeBytes || date >= today) break;
+                    await remove(file, `audit logs over ${this.maxSizeBytes / 1024 / 1024} MB`);
+                    total -= size;
+                }
+            }
+
+            if (deleted.length > 0) {
+                // Not awaited: the entry is queued behind this housekeeping run
+                this.logOperation({
+                    operation: 'audit_retention',
+                    operation_type: 'audit',
+                    status: 'success',
+                    metadata: { deleted_files: deleted.map(d => d.file), reasons: [...new Set(deleted.map(d => d.reason))] }
+                });
+            }
+        } catch (error) {
+            console.error(`[AuditLogger] Audit log housekeeping failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gzip a closed day (write to a temp file, rename, then remove the original)
+     * @private
+     */
+    async compressFile(file) {
+        const source = path.join(this.auditDir, file);
+        const target = `${source}.gz`;
+        try {
+            await fs.access(target);
+            // Compressed earlier but the original was not removed
+            await fs.unlink(source);
+            return;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const tempFile = `${target}.tmp`;
+        await pipeline(createReadStream(source), createGzip(), createWriteStream(tempFile, { mode: 0o600 }));
+        await fs.rename(tempFile, target);
+        await fs.unlink(source);
+    }
+
+    /**
+     * Close a day's file with a seal record
+     * The digest is SHA-256 over the day's entry hashes in order; with a key it is also HMAC-signed.
+     * @private
+     */
+    async sealDay(chain) {
+        const seal = {
+            type: 'seal',
+            timestamp: new Date().toISOString(),
+            date: chain.date,
+            entries: chain.count,
+            first_seq: chain.firstSeq,
+            last_seq: chain.seq,
+            digest: chain.digest.digest('hex'),
+            prev_hash: chain.hash
+        };
+        if (this.hmacKey) {
+            seal.hmac = AuditLogger.hmacSeal(seal, this.hmacKey);
+        }
+        const hash = AuditLogger.hashRecord(seal);
+
+        await fs.appendFile(this.fileFor(chain.date), JSON.stringify({ ...seal, hash }) + '\n', 'utf8');
+        chain.hash = hash;
+        chain.sealed = true;
+    }
+
+    /**
+     * Find the chain head in the newest file that has chained records
+     * Files written before hash chaining start a new chain at seq 1.
+     * The cached head is reused while its file is still the newest and unchanged.
+     * @private
+     */
+    async loadChain() {
+        if (this.chain && await this.chainIsCurrent()) {
+            return this.chain;
+        }
+
+        const chain = { seq: 0, hash: GENESIS_HASH, date: null, sealed: false, count: 0, firstSeq: null, digest: createHash('sha256') };
+        const files = (await this.listFiles()).reverse();
+
+        for (const { file, date } of files) {
+            let found = false;
+            for await (const line of this.readLines(file)) {
+                if (!line.trim()) continue;
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (err) {
+                    continue;
+                }
+                if (!record.hash) continue;
+
+                found = true;
+                chain.hash = record.hash;
+                if (record.type === 'seal') {
+                    chain.sealed = true;
+                    continue;
+                }
+                if (chain.firstSeq === null) {
+                    chain.firstSeq = record.seq;
+                }
+                chain.seq = record.seq;
+                chain.count++;
+                chain.digest.update(record.hash);
+            }
+            if (found) {
+                chain.date = date;
+                const fullPath = path.join(this.auditDir, file);
+                this.chainFile = { file: fullPath, size: (await fs.stat(fullPath)).size };
+                break;
+            }
+        }
+
+        this.chain = chain;
+        return chain;
+    }
+
+    /**
+     * Whether no other process has written since the chain head was read
+     * @private
+     */
+    async chainIsCurrent() {
+        if (!this.chainFile) {
+            return false;
+        }
+        const files = await this.listFiles();
+        const newest = files.length > 0 ? path.join(this.auditDir, files[files.length - 1].file) : null;
+        if (newest !== this.chainFile.file) {
+            return false;
+        }
+        const stats = await fs.stat(newest).catch(() => null);
+        return !!stats && stats.size === this.chainFile.size;
+    }
+
+    /**
+     * Audit files in date order, one per day (the compressed copy wins if both exist)
+     * @private
+     */
+    async listFiles() {
+        let files;
+        try {
+            files = await fs.readdir(this.auditDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const byDate = new Map();
+        for (const file of files) {
+            const match = AUDIT_FILE_PATTERN.exec(file);
+            if (match && (!byDate.has(match[1]) || file.endsWith('.gz'))) {
+                byDate.set(match[1], file);
+            }
+        }
+        return Array.from(byDate.entries())
+            .map(([date, file]) => ({ file, date }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Files that can hold entries with timestamps in [startTime, endTime]
+     * An entry's timestamp is taken just before it is written, so a file may start with
+     * entries from the last moments of the previous day.
+     * @private
+     */
+    async listFilesInRange(startTime, endTime) {
+        const startDay = startTime ? new Date(startTime).toISOString().split('T')[0] : null;
+        const lastDay = endTime ? new Date(new Date(endTime).getTime() + DAY_MS).toISOString().split('T')[0] : null;
+        return (await this.listFiles())
+            .filter(({ date }) => (!startDay || date >= startDay) && (!lastDay || date <= lastDay));
+    }
+
+    /**
+     * Stream the lines of a plain or gzipped audit file
+     * @private
+     */
+    async *readLines(file) {
+        let handle;
+        try {
+            handle = await fs.open(path.join(this.auditDir, file), 'r');
+        } catch (error) {
+            // Compressed by housekeeping since the directory was listed
+            if (error.code === 'ENOENT' && !file.endsWith('.gz')) {
+                yield* this.readLines(`${file}.gz`);
+                return;
+            }
+            throw error;
+        }
+
+        let input = handle.createReadStream();
+        if (file.endsWith('.gz')) {
+            input = input.pipe(createGunzip());
+        }
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                yield line;
+            }
+        } finally {
+            lines.close();
+            await handle.close().catch(() => {});
+        }
+    }
+
+    /**
+     * @private
+     */
+    fileFor(date) {
+        return path.join(this.auditDir, `audit-${date}.jsonl`);
+    }
+
+    /**
+     * SHA-256 of a record serialized without its hash field
+     */
+    static hashRecord(record) {
+        const { hash, ...rest } = record;
+        return createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+    }
+
+    /**
+     * HMAC-SHA256 of a seal serialized without its hmac and hash fields
+     */
+    static hmacSeal(seal, key) {
+        const { hash, hmac, ...rest } = seal;
+        return createHmac('sha256', key).update(JSON.stringify(rest)).digest('hex');
+    }
+
+    /**
+     * Verify hash chain, sequence numbers and day seals
+     *
+     * Detects edited entries (hash mismatch), deleted entries (sequence gaps), reordering
+     * (out-of-order sequence numbers), insertions and removals (chain breaks), entries without
+     * chain fields after the chain started, records written after a seal, and bad or missing seals.
+     * The first chained record in range anchors the chain, so days removed by retention do not
+     * count as tampering.
+     *
+     * @param {Object} options - Verify options
+     * @param {string} options.startDate - First day to check (YYYY-MM-DD)
+     * @param {string} options.endDate - Last day to check (YYYY-MM-DD)
+     * @param {string} options.hmacKey - Key for seal HMACs (default: the logger's key)
+     * @returns {Promise<Object>} Report with per-file results and issues
+     */
+    async verify(options = {}) {
+        const { startDate, endDate } = options;
+        const hmacKey = options.hmacKey !== undefined ? options.hmacKey : this.hmacKey;
+
+        // Let pending writes finish so the newest entries are included
+        await this.writeQueue;
+
+        const files = (await this.listFiles())
+            .filter(({ date }) => (!startDate || date >= startDate) && (!endDate || date <= endDate));
+
+        const issues = [];
+        const fileReports = [];
+        const seen = new Set();
+        const gaps = [];
+        let expectedPrev = null;
+        let lastSeq = null;
+        let anchor = null;
+        let entries = 0;
+        let legacyEntries = 0;
+
+        for (let f = 0; f < files.length; f++) {
+            const { file, date } = files[f];
+            const report = { file, date, entries: 0, legacyEntries: 0, firstSeq: null, lastSeq: null, sealed: false, seal: null };
+            const digest = createHash('sha256');
+            let lineNo = 0;
+            try {
+                for await (const line of this.readLines(file)) {
+                    lineNo++;
+                    if (!line.trim()) continue;
+
+                    let record;
+                    try {
+                        record = JSON.parse(line);
+                    } catch (err) {
+                        issues.push({ type: 'malformed', file, line: lineNo, message: 'Line is not valid JSON' });
+                        continue;
+                    }
+
+                    if (!record.hash) {
+                        if (anchor) {
+                            issues.push({ type: 'unchained', file, line: lineNo, message: 'Entry has no hash after the chain started (inserted or stripped)' });
+                        } else {
+                            report.legacyEntries++;
+                            legacyEntries++;
+                        }
+                        continue;
+                    }
+
+                    const isSeal = record.type === 'seal';
+                    const label = isSeal ? `seal for ${record.date}` : `entry seq ${record.seq}`;
+
+                    if (report.sealed) {
+                        issues.push({ type: 'after_seal', file, line: lineNo, seq: record.seq, message: `${label} was written after the day was sealed` });
+                    }
+                    if (AuditLogger.hashRecord(record) !== record.hash) {
+                        issues.push({ type: 'modified', file, line: lineNo, seq: record.seq, message: `${label} was modified (hash mismatch)` });
+                    }
+
+                    if (!anchor) {
+                        anchor = { file, line: lineNo, seq: record.seq };
+                        if (record.seq === 1 && record.prev_hash !== GENESIS_HASH) {
+                            issues.push({ type: 'chain_break', file, line: lineNo, seq: record.seq, message: 'First entry does not start from the genesis hash' });
+                        }
+                    } else if (record.prev_hash !== expectedPrev) {
+                        issues.push({ type: 'chain_break', file, line: lineNo, seq: record.seq, message: `${label} does not follow the previous record (records removed, inserted or reordered before it)` });
+                    }
+                    // Continue from the stored hash so one edit is reported once, not for every later entry
+                    expectedPrev = record.hash;
+
+                    if (isSeal) {
+                        report.sealed = true;
+                        report.seal = this.checkSeal(record, report, digest.copy().digest('hex'), hmacKey, file, lineNo, issues);
+                        continue;
+                    }
+
+                    if (typeof record.seq !== 'number') {
+                        issues.push({ type: 'modified', file, line: lineNo, message: 'Entry has no sequence number' });
+                        continue;
+                    }
+                    if (lastSeq !== null) {
+                        if (record.seq > lastSeq + 1) {
+                            gaps.push({ from: lastSeq + 1, to: record.seq - 1, file, line: lineNo });
+                        } else if (record.seq <= lastSeq) {
+                            const type = seen.has(record.seq) ? 'duplicate' : 'out_of_order';
+                            issues.push({ type, file, line: lineNo, seq: record.seq, message: type === 'duplicate'
+                                ? `Entry seq ${record.seq} appears more than once`
+                                : `Entry seq ${record.seq} appears after seq ${lastSeq} (reordered)` });
+                        }
+                    }
+                    seen.add(record.seq);
+                    lastSeq = Math.max(lastSeq === null ? record.seq : lastSeq, record.seq);
+
+                    digest.update(record.hash);
+                    report.entries++;
+                    entries++;
+                    if (report.firstSeq === null) report.firstSeq = record.seq;
+                    report.lastSeq = record.seq;
+                }
+            } catch (error) {
+                issues.push({ type: 'unreadable', file, line: lineNo || undefined, message: `Cannot read file: ${error.message}` });
+                fileReports.push(report);
+                continue;
+            }
+
+            // Every day except the newest should be sealed
+            if (!report.sealed && report.entries > 0 && f < files.length - 1) {
+                issues.push({ type: 'unsealed', file, message: `${date} has no seal (file truncated or seal removed)` });
+            }
+            fileReports.push(report);
+        }
+
+        // Gaps whose sequence numbers never show up are deleted entries; the rest were reordered
+        for (const gap of gaps) {
+            for (const range of this.missingRanges(gap.from, gap.to, seen)) {
+                issues.push({
+                    type: 'missing',
+                    file: gap.file,
+                    line: gap.line,
+                    seq: range.from,
+                    seqTo: range.to,
+                    message: range.from === range.to
+                        ? `Entry seq ${range.from} is missing (deleted)`
+                        : `Entries seq ${range.from}-${range.to} are missing (deleted)`
+                });
+            }
+        }
+
+        return {
+            valid: issues.length === 0,
+            checkedFiles: files.length,
+            entries,
+            legacyEntries,
+            anchor,
+            lastSeq,
+            hmacKeyConfigured: !!hmacKey,
+            openDay: fileReports.length > 0 && !fileReports[fileReports.length - 1].sealed ? fileReports[fileReports.length - 1].date : null,
+            files: fileReports,
+            issues
+        };
+    }
+
+    /**
+     * Check a seal against the entries before it
+     * @private
+     */
+    checkSeal(seal, report, digest, hmacKey, file, line, issues) {
+        const result = { digestValid: true, countsValid: true, hmac: 'absent' };
+
+        if (seal.digest !== digest) {
+            result.digestValid = false;
+            issues.push({ type: 'seal_mismatch', file, line, message: `Seal digest does not match the entries of ${seal.date}` });
+        }
+        if (seal.entries !== report.entries || seal.first_seq !== report.firstSeq || seal.last_seq !== report.lastSeq) {
+            result.countsValid = false;
+            issues.push({
+                type: 'seal_mismatch', file, line,
+                message: `Seal covers ${seal.entries} entries (seq ${seal.first_seq}-${seal.last_seq}) but the file has ${report.entries} (seq ${report.firstSeq}-${report.lastSeq})`
+            });
+        }
+
+        if (seal.hmac) {
+            if (!hmacKey) {
+                result.hmac = 'unverified';
+            } else {
+                const expected = Buffer.from(AuditLogger.hmacSeal(seal, hmacKey), 'hex');
+                const actual = Buffer.from(String(seal.hmac), 'hex');
+                const valid = expected.length === actual.length && timingSafeEqual(expected, actual);
+                result.hmac = valid ? 'valid' : 'invalid';
+                if (!valid) {
+                    issues.push({ type: 'hmac_mismatch', file, line, message: `Seal HMAC for ${seal.date} does not verify (seal forged or wrong key)` });
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Sequence ranges in [from, to] that were never seen
+     * @private
+     */
+    missingRanges(from, to, seen) {
+        // A huge jump usually means an edited seq; report it as one range
+        if (to - from > 100000) {
+            return [{ from, to }];
+        }
+        const ranges = [];
+        let start = null;
+        for (let seq = from; seq <= to + 1; seq++) {
+            const missing = seq <= to && !seen.has(seq);
+            if (missing && start === null) {
+                start = seq;
+            } else if (!missing && start !== null) {
+                ranges.push({ from: start, to: seq - 1 });
+                start = null;
+            }
         }
+        return ranges;
     }
 
     /**
@@ -212,10 +858,13 @@ class AuditLogger {
      */
     async wrapTool(operation, operation_type, params, asyncOperation, context = {}) {
         const startTime = Date.now();
-        const correlationId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const correlationId = AuditLogger.newCorrelationId();
+        const parentOperation = context.parent_operation || this.callScope.getStore()?.correlationId || this.linkedOperation(params);
+        // Resources started by this call (see linkResource), recorded in its metadata
+        const scope = { correlationId, resources: {} };
 
         try {
-            const result = await asyncOperation();
+            const result = await this.callScope.run(scope, asyncOperation);
             const duration = Date.now() - startTime;
 
             await this.logOperation({
@@ -233,8 +882,9 @@ class AuditLogger {
                     result: 'success',
                     duration_ms: duration
                 },
+                parent_operation: parentOperation,
                 tags: context.tags || [],
-                metadata: context.metadata || {}
+                metadata: { ...context.metadata, ...scope.resources }
             });
 
             return result;
@@ -257,9 +907,11 @@ class AuditLogger {
                     duration_ms: duration,
                     error: error.message
                 },
+                parent_operation: parentOperation,
                 tags: context.tags || [],
                 metadata: {
                     ...context.metadata,
+                    ...scope.resources,
                     error_stack: error.stack
                 }
             });
@@ -268,6 +920,47 @@ class AuditLogger {
         }
     }
 
+    /**
+     * Record that the current tool call started a resource (deployment, export)
+     * Later tool calls that pass its ID (deploymentId, exportId) become children of this call.
+     * No-op outside a tool call.
+     *
+     * @param {string} type - Resource type ('deployment_id' or 'export_id')
+     * @param {string} id - Resource ID
+     */
+    linkResource(type, id) {
+        const scope = this.callScope.getStore();
+        if (!scope || !id) return;
+
+        scope.resources[type] = id;
+        const key = `${type}:${id}`;
+        this.resourceLinks.delete(key);
+        this.resourceLinks.set(key, scope.correlationId);
+        if (this.resourceLinks.size > MAX_RESOURCE_LINKS) {
+            this.resourceLinks.delete(this.resourceLinks.keys().next().value);
+        }
+    }
+
+    /**
+     * Correlation ID of the call that started a resource referenced in the parameters
+     * @private
+     */
+    linkedOperation(params) {
+        if (!params || typeof params !== 'object') return undefined;
+        for (const [param, type] of Object.entries(LINKED_PARAMETERS)) {
+            const link = params[param] && this.resourceLinks.get(`${type}:${params[param]}`);
+            if (link) return link;
+        }
+        return undefined;
+    }
+
+    /**
+     * @private
+     */
+    static newCorrelationId() {
+        return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     /**
      * Query audit logs with filters
      *
@@ -276,16 +969,18 @@ class AuditLogger {
      * @param {string} options.endTime - End time (ISO 8601 timestamp)
      * @param {string} options.toolName - Filter by tool name
      * @param {string} options.status - Filter by status ('success' or 'error')
+     * @param {string} options.project - Filter by project name or ID
+     * @param {string} options.environment - Filter by environment (target environment for deployments)
+     * @param {string} options.user - Filter by user ID
+     * @param {string} options.tag - Filter by tag
+     * @param {Object} options.params - Filter by request parameter values ({ name: value })
+     * @param {string} options.correlationId - Filter by correlation ID
      * @param {number} options.limit - Max entries to return (default: 100)
      * @param {number} options.offset - Offset for pagination (default: 0)
      * @returns {Promise<{total: number, entries: Array, hasMore: boolean}>}
      */
     async query(options = {}) {
         const {
-            startTime,
-            endTime,
-            toolName,
-            status,
             limit = 100,
             offset = 0
         } = options;
@@ -293,35 +988,8 @@ class AuditLogger {
         const entries = [];
 
         try {
-            // Ensure audit directory exists
-            await fs.mkdir(this.auditDir, { recursive: true });
-
-            // Read all JSONL files in audit directory
-            const files = await fs.readdir(this.auditDir);
-            const jsonlFiles = files.filter(f => f.endsWith('.jsonl')).sort();
-
-            for (const file of jsonlFiles) {
-                const filePath = path.join(this.auditDir, file);
-                const content = await fs.readFile(filePath, 'utf8');
-
-                for (const line of content.trim().split('\n')) {
-                    if (!line) continue;
-
-                    try {
-                        const entry = JSON.parse(line);
-
-                        // Apply filters
-                        if (startTime && entry.timestamp < startTime) continue;
-                        if (endTime && entry.timestamp > endTime) continue;
-                        if (toolName && entry.operation !== toolName) continue;
-                        if (status && entry.status !== status) continue;
-
-                        entries.push(entry);
-                    } catch (err) {
-                        // Skip malformed lines
-                        console.error(`[AuditLogger] Malformed audit log line in ${file}:`, err.message);
-                    }
-                }
+            for await (const entry of this.scan(options)) {
+                entries.push(entry);
             }
         } catch (error) {
             // If directory doesn't exist or other error, return empty results
@@ -346,6 +1014,361 @@ class AuditLogger {
         };
     }
 
+    /**
+     * Export entries in a time range to a CSV or JSON file
+     * Entries are streamed oldest first, so large ranges are never held in memory.
+     *
+     * @param {Object} options - Export options
+     * @param {string} options.startTime - Start time (ISO 8601 timestamp)
+     * @param {string} options.endTime - End time (ISO 8601 timestamp)
+     * @param {string} options.toolName - Filter by tool name
+     * @param {string} options.status - Filter by status ('success' or 'error')
+     * @param {string} options.project - Filter by project (also environment, user, tag, params; see query())
+     * @param {string} options.format - 'csv' or 'json' (default: 'csv')
+     * @param {string} options.outputPath - Target file (default: <auditDir>/exports/audit-<from>_<to>.<format>)
+     * @returns {Promise<{outputPath: string, format: string, entries: number, bytes: number}>}
+     */
+    async export(options = {}) {
+        const { startTime, endTime, format = 'csv' } = options;
+        if (!['csv', 'json'].includes(format)) {
+            throw Object.assign(new Error(`Unsupported export format: ${format}. Use csv or json`), { code: 'INVALID_FORMAT' });
+        }
+
+        // Let pending writes finish so the newest entries are included
+        await this.writeQueue;
+
+        const from = startTime ? startTime.split('T')[0] : 'start';
+        const to = endTime ? endTime.split('T')[0] : new Date().toISOString().split('T')[0];
+        const outputPath = path.resolve(options.outputPath || path.join(this.auditDir, 'exports', `audit-${from}_${to}.${format}`));
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+        // Write to a temp file so a failed export never leaves a partial file behind
+        const tempFile = `${outputPath}.tmp`;
+        const output = createWriteStream(tempFile, { mode: 0o600 });
+        const write = (chunk) => (output.write(chunk) ? Promise.resolve() : new Promise(resolve => output.once('drain', resolve)));
+        const closed = new Promise((resolve, reject) => {
+            output.once('finish', resolve);
+            output.once('error', reject);
+        });
+
+        let count = 0;
+        try {
+            await write(format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\n` : '[\n');
+            for await (const entry of this.scan(options)) {
+                if (format === 'csv') {
+                    await write(`${EXPORT_COLUMNS.map(column => AuditLogger.csvValue(AuditLogger.exportField(entry, column))).join(',')}\n`);
+                } else {
+                    await write(`${count > 0 ? ',\n' : ''}  ${JSON.stringify(entry)}`);
+                }
+                count++;
+            }
+            if (format === 'json') {
+                await write(count > 0 ? '\n]\n' : ']\n');
+            }
+            output.end();
+            await closed;
+            await fs.rename(tempFile, outputPath);
+        } catch (error) {
+            output.destroy();
+            await fs.unlink(tempFile).catch(() => {});
+            throw error;
+        }
+
+        const stats = await fs.stat(outputPath);
+        return { outputPath, format, entries: count, bytes: stats.size };
+    }
+
+    /**
+     * Matching entries in file order
+     * Files dated outside the time range are skipped and lines are streamed.
+     * @private
+     */
+    async *scan(filters) {
+        for (const { file } of await this.listFilesInRange(filters.startTime, filters.endTime)) {
+            for await (const line of this.readLines(file)) {
+                if (!line) continue;
+
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (err) {
+                    // Skip malformed lines
+                    console.error(`[AuditLogger] Malformed audit log line in ${file}:`, err.message);
+                    continue;
+                }
+
+                // Day seals are integrity records, not operations
+                if (entry.type === 'seal') continue;
+
+                if (AuditLogger.matches(entry, filters)) {
+                    yield entry;
+                }
+            }
+        }
+    }
+
+    /**
+     * Check an entry against query filters
+     * Project, environment, user, tag and parameter values compare case-insensitively.
+     * @private
+     */
+    static matches(entry, filters) {
+        const { startTime, endTime, toolName, status, project, environment, user, tag, params, correlationId } = filters;
+        const same = (actual, expected) => actual !== undefined && actual !== null &&
+            String(actual).toLowerCase() === String(expected).toLowerCase();
+
+        if (startTime && entry.timestamp < startTime) return false;
+        if (endTime && entry.timestamp > endTime) return false;
+        if (toolName && entry.operation !== toolName) return false;
+        if (status && entry.status !== status) return false;
+        if (project && !same(entry.metadata?.project_name, project) && !same(entry.metadata?.project_id, project)) return false;
+        if (environment && !same(AuditLogger.entryEnvironment(entry), environment)) return false;
+        if (user && !same(entry.user?.id, user)) return false;
+        if (tag && !(entry.tags || []).some(value => same(value, tag))) return false;
+        if (correlationId && entry.request?.correlation_id !== correlationId) return false;
+        if (params) {
+            const parameters = entry.request?.parameters || {};
+            for (const [name, value] of Object.entries(params)) {
+                if (!same(parameters[name], value)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Environment an entry acted on
+     * Deployment tools pass targetEnvironment rather than environment.
+     * @private
+     */
+    static entryEnvironment(entry) {
+        const parameters = entry.request?.parameters || {};
+        return entry.environment?.name || parameters.targetEnvironment || parameters.environment;
+    }
+
+    /**
+     * Aggregate entries matching the query filters
+     * Returns counts per tool and status, failure rate and duration percentiles per tool,
+     * and deployments (start_deployment, deploy_package) per environment per ISO week.
+     *
+     * @param {Object} options - Same filters as query()
+     * @returns {Promise<Object>} { total, byStatus, byTool, deploymentsByWeek }
+     */
+    async aggregate(options = {}) {
+        // Let pending writes finish so the newest entries are included
+        await this.writeQueue;
+
+        const byStatus = {};
+        const tools = new Map();
+        const weeks = new Map();
+        let total = 0;
+        let firstTimestamp = null;
+        let lastTimestamp = null;
+
+        for await (const entry of this.scan(options)) {
+            total++;
+            byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+            if (!firstTimestamp || entry.timestamp < firstTimestamp) firstTimestamp = entry.timestamp;
+            if (!lastTimestamp || entry.timestamp > lastTimestamp) lastTimestamp = entry.timestamp;
+
+            let tool = tools.get(entry.operation);
+            if (!tool) {
+                tool = { tool: entry.operation, total: 0, byStatus: {}, durations: [] };
+                tools.set(entry.operation, tool);
+            }
+            tool.total++;
+            tool.byStatus[entry.status] = (tool.byStatus[entry.status] || 0) + 1;
+            if (typeof entry.response?.duration_ms === 'number') {
+                tool.durations.push(entry.response.duration_ms);
+            }
+
+            if (DEPLOYMENT_OPERATIONS.includes(entry.operation)) {
+                const week = AuditLogger.weekStart(entry.timestamp);
+                const environment = AuditLogger.entryEnvironment(entry) || 'unknown';
+                const key = `${week}|${environment}`;
+                const bucket = weeks.get(key) || { week, environment, total: 0, success: 0, failure: 0 };
+                bucket.total++;
+                if (entry.status === 'success') bucket.success++;
+                if (entry.status === 'failure' || entry.status === 'error') bucket.failure++;
+                weeks.set(key, bucket);
+            }
+        }
+
+        const byTool = Array.from(tools.values()).map(({ durations, ...tool }) => {
+            durations.sort((a, b) => a - b);
+            const failures = (tool.byStatus.failure || 0) + (tool.byStatus.error || 0);
+            return {
+                ...tool,
+                failureRate: tool.total > 0 ? Math.round((failures / tool.total) * 10000) / 100 : 0,
+                p50DurationMs: AuditLogger.percentile(durations, 50),
+                p95DurationMs: AuditLogger.percentile(durations, 95),
+                maxDurationMs: durations.length > 0 ? durations[durations.length - 1] : null
+            };
+        }).sort((a, b) => b.total - a.total || a.tool.localeCompare(b.tool));
+
+        const deploymentsByWeek = Array.from(weeks.values())
+            .sort((a, b) => a.week.localeCompare(b.week) || a.environment.localeCompare(b.environment));
+
+        return { total, firstTimestamp, lastTimestamp, byStatus, byTool, deploymentsByWeek };
+    }
+
+    /**
+     * Tree of calls linked by correlation_id and parent_operation
+     * Starting from a correlation ID (or every entry that references a deployment/export ID),
+     * walks up to the root call and returns the root with all of its descendants.
+     *
+     * @param {Object} options - Tree options
+     * @param {string} options.correlationId - Any call in the tree
+     * @param {string} options.deploymentId - Deployment whose calls to show
+     * @param {string} options.exportId - Database export whose calls to show
+     * @param {string} options.startTime - Only consider entries from this time (ISO 8601)
+     * @param {string} options.endTime - Only consider entries up to this time (ISO 8601)
+     * @returns {Promise<{roots: Array, entries: number, missingParents: Array}>}
+     */
+    async correlationTree(options = {}) {
+        const { correlationId, deploymentId, exportId, startTime, endTime } = options;
+        if (!correlationId && !deploymentId && !exportId) {
+            throw Object.assign(new Error('correlationId, deploymentId or exportId is required'), { code: 'INVALID_PARAMS' });
+        }
+
+        // Let pending writes finish so the newest entries are included
+        await this.writeQueue;
+
+        // Slim nodes so long ranges stay small in memory
+        const nodes = new Map();
+        const seeds = [];
+        for await (const entry of this.scan({ startTime, endTime })) {
+            const id = entry.request?.correlation_id;
+            if (!id) continue;
+            const parameters = entry.request?.parameters || {};
+            const node = {
+                correlation_id: id,
+                parent_operation: entry.parent_operation || null,
+                operation: entry.operation,
+                status: entry.status,
+                timestamp: entry.timestamp,
+                seq: entry.seq,
+                duration_ms: entry.response?.duration_ms,
+                environment: AuditLogger.entryEnvironment(entry) || null,
+                error: entry.response?.error,
+                children: []
+            };
+            nodes.set(id, node);
+
+            const matchesDeployment = deploymentId &&
+                (parameters.deploymentId === deploymentId || entry.metadata?.deployment_id === deploymentId);
+            const matchesExport = exportId &&
+                (parameters.exportId === exportId || entry.metadata?.export_id === exportId);
+            if (id === correlationId || matchesDeployment || matchesExport) {
+                seeds.push(id);
+            }
+        }
+
+        // Walk each seed up to its root (guarding against cycles)
+        const rootIds = new Set();
+        const missingParents = new Set();
+        for (const seed of seeds) {
+            let node = nodes.get(seed);
+            const visited = new Set();
+            while (node.parent_operation && !visited.has(node.correlation_id)) {
+                visited.add(node.correlation_id);
+                const parent = nodes.get(node.parent_operation);
+                if (!parent) {
+                    missingParents.add(node.parent_operation);
+                    break;
+                }
+                node = parent;
+            }
+            rootIds.add(node.correlation_id);
+        }
+
+        for (const node of nodes.values()) {
+            const parent = node.parent_operation && nodes.get(node.parent_operation);
+            if (parent && parent !== node) {
+                parent.children.push(node);
+            }
+        }
+
+        // Count the nodes reachable from the roots, sorting children by time
+        let entries = 0;
+        const seen = new Set();
+        const visit = (node) => {
+            if (seen.has(node.correlation_id)) return;
+            seen.add(node.correlation_id);
+            entries++;
+            node.children = node.children.filter(child => !seen.has(child.correlation_id));
+            node.children.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            node.children.forEach(visit);
+        };
+        const roots = Array.from(rootIds).map(id => nodes.get(id))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        roots.forEach(visit);
+
+        return { roots, entries, missingParents: Array.from(missingParents) };
+    }
+
+    /**
+     * Nearest-rank percentile of sorted values
+     * @private
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+
+    /**
+     * Monday (UTC) of the ISO week containing a timestamp, as YYYY-MM-DD
+     * @private
+     */
+    static weekStart(timestamp) {
+        const date = new Date(timestamp);
+        const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday))
+            .toISOString().split('T')[0];
+    }
+
+    /**
+     * Flatten an entry field for CSV export
+     * @private
+     */
+    static exportField(entry, column) {
+        switch (column) {
+            case 'user':
+                return entry.user?.id;
+            case 'environment':
+                return AuditLogger.entryEnvironment(entry);
+            case 'project':
+                return entry.metadata?.project_name || entry.metadata?.project_id;
+            case 'correlation_id':
+                return entry.request?.correlation_id;
+            case 'duration_ms':
+                return entry.response?.duration_ms;
+            case 'result':
+                return entry.response?.result;
+            case 'error':
+                return entry.response?.error;
+            case 'parameters':
+                return entry.request?.parameters ? JSON.stringify(entry.request.parameters) : '';
+            case 'tags':
+                return Array.isArray(entry.tags) ? entry.tags.join(';') : '';
+            default:
+                return entry[column];
+        }
+    }
+
+    /**
+     * Quote a CSV value (RFC 4180)
+     * Values that spreadsheets would run as formulas are prefixed with a quote.
+     * @private
+     */
+    static csvValue(value) {
+        if (value === undefined || value === null) return '';
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
     /**
      * Disable audit logging (for testing or opt-out)
      */
@@ -361,4 +1384,28 @@ class AuditLogger {
     }
 }
 
-module.exports = { AuditLogger };
+// Shared instance so background operations (auto-verification, pipelines) log to the same trail
+let globalAuditLogger = null;
+
+/**
+ * Get the audit logger used by the server
+ * Falls back to one built from DXP_AUDIT_DIR / DXP_AUDIT_ENABLED if the server hasn't set one
+ */
+function getGlobalAuditLogger() {
+    if (!globalAuditLogger) {
+        globalAuditLogger = new AuditLogger({
+            auditDir: process.env.DXP_AUDIT_DIR || './audit-logs',
+            enabled: process.env.DXP_AUDIT_ENABLED !== 'false'
+        });
+    }
+    return globalAuditLogger;
+}
+
+/**
+ * Register the server's audit logger as the shared instance
+ */
+function setGlobalAuditLogger(logger) {
+    globalAuditLogger = logger;
+}
+
+module.exports = { AuditLogger, getGlobalAuditLogger, setGlobalAuditLogger };
@@ -0,0 +1,646 @@
+/**
+ * Auto Verifier Module
+ * Opt-in automatic verification for deployments in AwaitingVerification
+ * Samples baseline (production) and slot logs, applies the project's thresholds with compareLogs,
+ * then completes or resets the deployment. Every decision is audited and emitted as deployment.autoDecision.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ *
+ * Per-project policies (DXP_VERIFICATION_POLICY_FILE, default ~/.optimizely-dxp/verification-policy.json):
+ * {
+ *   "default": { "sampleMinutes": 30, "delayMinutes": 5 },
+ *   "projects": {
+ *     "ACME": { "thresholds": { "maxErrorIncrease": 0.2, "maxLatencyIncrease": 150 }, "onWarning": "reset" }
+ *   }
+ * }
+ */
+
+import DXPRestClient from './dxp-rest-client';
+import OutputLogger from './output-logger';
+import DeploymentValidator from './deployment-validator';
+import DeploymentResourceHandler from './resources/deployment-resource';
+import ProjectSettingsFile from './project-settings-file';
+import { getGlobalMonitor } from './deployment-monitor';
+import { isAwaitingVerification, isFailed, isReset } from './deployment-status-constants';
+
+const { getGlobalAuditLogger } = require('./audit-logger');
+
+// Type definitions
+export type VerificationAction = 'complete' | 'reset' | 'hold';
+
+export interface VerificationThresholds {
+    maxErrorIncrease?: number;
+    maxScoreDecrease?: number;
+    maxLatencyIncrease?: number;
+    minRequests?: number;
+    minPathRequests?: number;
+    confidence?: number;
+}
+
+export interface VerificationPolicy {
+    logType: 'web' | 'application';
+    sampleMinutes: number;
+    delayMinutes: number;
+    minSlotEntries: number;
+    thresholds: VerificationThresholds;
+    onWarning: VerificationAction;
+    onCritical: 'reset' | 'hold';
+}
+
+export interface VerificationCredentials {
+    projectId: string;
+    apiKey: string;
+    apiSecret: string;
+    projectName?: string;
+}
+
+export interface LogEvaluation {
+    decision: 'safe' | 'warning' | 'critical' | 'error';
+    recommendation: string;
+    reasons: string[];
+    comparison: any;
+    slotEntries: number | null;
+    baselineEntries: number | null;
+    insufficientData?: boolean;
+    evaluatedAt: string;
+}
+
+export interface AutoDecision extends LogEvaluation {
+    action: VerificationAction;
+    executed: boolean;
+    executionError?: string;
+}
+
+export type VerificationStatus = 'waitingForVerification' | 'sampling' | 'decided' | 'stopped';
+
+export interface VerificationSession {
+    deploymentId: string;
+    projectName: string;
+    environment: string | null;
+    source: string;
+    status: VerificationStatus;
+    policy: VerificationPolicy;
+    startedAt: string;
+    verificationReachedAt: string | null;
+    decision: AutoDecision | null;
+    stopReason?: string;
+    // Set when the policy file could not be read; the session then always holds
+    policyError?: string;
+}
+
+interface StartParams {
+    deploymentId: string;
+    credentials: VerificationCredentials;
+    source: string;
+    environment?: string;
+    policy?: Partial<VerificationPolicy>;
+    apiUrl?: string;
+}
+
+export const DEFAULT_VERIFICATION_POLICY: VerificationPolicy = {
+    logType: 'web',
+    sampleMinutes: 30,
+    delayMinutes: 5,
+    // Below this many slot log entries the comparison says nothing - hold instead of completing blind
+    minSlotEntries: 20,
+    thresholds: {},
+    onWarning: 'hold',
+    onCritical: 'reset'
+};
+
+class AutoVerifier {
+    private static policies = new ProjectSettingsFile<Partial<VerificationPolicy>>('DXP_VERIFICATION_POLICY_FILE', 'verification-policy.json');
+
+    private sessions: Map<string, VerificationSession>;
+    private credentials: Map<string, VerificationCredentials>;
+    private apiUrls: Map<string, string | undefined>;
+    private timers: Map<string, NodeJS.Timeout>;
+    private pollInterval: number;
+
+    constructor(options: { pollInterval?: number } = {}) {
+        this.sessions = new Map();
+        this.credentials = new Map();
+        this.apiUrls = new Map();
+        this.timers = new Map();
+        this.pollInterval = options.pollInterval || 30 * 1000;
+    }
+
+    /**
+     * Effective policy: built-in defaults, then the project's policy file entry, then call overrides
+     * @throws Error with code INVALID_SETTINGS_FILE when the policy file cannot be read or parsed
+     */
+    static getPolicy(projectName?: string, overrides: Partial<VerificationPolicy> = {}): VerificationPolicy {
+        return this.mergePolicy(this.policies.getProjectSettings(projectName, true) || {}, overrides);
+    }
+
+    /**
+     * Layer a policy file entry and call overrides over the built-in defaults
+     * @private
+     */
+    private static mergePolicy(fromFile: Partial<VerificationPolicy>, overrides: Partial<VerificationPolicy>): VerificationPolicy {
+        const defined = (obj: Record<string, any>) =>
+            Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+
+        return {
+            ...DEFAULT_VERIFICATION_POLICY,
+            ...defined(fromFile),
+            ...defined(overrides),
+            thresholds: {
+                ...DEFAULT_VERIFICATION_POLICY.thresholds,
+                ...defined(fromFile.thresholds || {}),
+                ...defined(overrides.thresholds || {})
+            }
+        };
+    }
+
+    /**
+     * Compare production (baseline) and slot logs for an environment
+     * Shared by auto-verification and the pipeline gate.
+     */
+    static async evaluate(
+        environment: string,
+        credentials: VerificationCredentials,
+        options: { logType: 'web' | 'application'; sampleMinutes: number; thresholds: VerificationThresholds; minSlotEntries?: number }
+    ): Promise<LogEvaluation> {
+        // Loaded lazily - log analysis pulls in the streaming stack
+        const LogAnalysisTools = require('./tools/log-analysis-tools').default;
+        const logComparator = require('./log-analysis/log-comparator');
+        const { compareLogs } = logComparator.default || logComparator;
+
+        const analysisCredentials = {
+            apiKey: credentials.apiKey,
+            apiSecret: credentials.apiSecret,
+            projectId: credentials.projectId,
+            name: credentials.projectName
+        };
+
+        try {
+            const analyze = async (slot: boolean) => {
+                const result = await LogAnalysisTools.analyzeSingleLogType({
+                    logType: options.logType,
+                    environment,
+                    credentials: analysisCredentials,
+                    timeFilter: { minutesBack: options.sampleMinutes },
+                    slot
+                });
+
+                // Same shape analyze_logs_streaming returns, which is what compareLogs expects
+                return {
+                    errors: { total: result.errorAnalysis.total },
+                    exceptions: result.exceptionAnalysis,
+                    performance: result.perfAnalysis,
+                    paths: result.pathStats,
+                    summary: { healthScore: result.healthStatus.score, totalLogs: result.parsedLogs.length }
+                };
+            };
+
+            const baseline = await analyze(false);
+            const slot = await analyze(true);
+            const comparison = compareLogs(baseline, slot, options.thresholds);
+
+            if (options.minSlotEntries && slot.summary.totalLogs < options.minSlotEntries) {
+                return {
+                    decision: 'warning',
+                    recommendation: 'investigate',
+                    reasons: [`Only ${slot.summary.totalLogs} slot log entries in ${options.sampleMinutes} minutes (need ${options.minSlotEntries}) - not enough traffic to judge`],
+                    comparison,
+                    slotEntries: slot.summary.totalLogs,
+                    baselineEntries: baseline.summary.totalLogs,
+                    insufficientData: true,
+                    evaluatedAt: new Date().toISOString()
+                };
+            }
+
+            // Too little traffic for the significance tests: treated like a warning that never completes
+            if (comparison.decision === 'insufficient_data') {
+                return {
+                    decision: 'warning',
+                    recommendation: comparison.recommendation,
+                    reasons: comparison.reasons,
+                    comparison,
+                    slotEntries: slot.summary.totalLogs,
+                    baselineEntries: baseline.summary.totalLogs,
+                    insufficientData: true,
+                    evaluatedAt: new Date().toISOString()
+                };
+            }
+
+            return {
+                decision: comparison.decision,
+                recommendation: comparison.recommendation,
+                reasons: comparison.reasons,
+                comparison,
+                slotEntries: slot.summary.totalLogs,
+                baselineEntries: baseline.summary.totalLogs,
+                evaluatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            return {
+                decision: 'error',
+                recommendation: 'investigate',
+                reasons: [`Log comparison could not run: ${(error as Error).message}`],
+                comparison: null,
+                slotEntries: null,
+                baselineEntries: null,
+                evaluatedAt: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Start auto-verification for a deployment
+     * Waits for AwaitingVerification, then the policy delay, then decides.
+     */
+    start(params: StartParams): VerificationSession {
+        const { deploymentId, credentials } = params;
+        const existing = this.sessions.get(deploymentId);
+
+        if (existing && (existing.status === 'waitingForVerification' || existing.status === 'sampling')) {
+            return existing;
+        }
+
+        const projectName = credentials.projectName || 'Unknown';
+
+        let policy: VerificationPolicy;
+        let policyError: string | undefined;
+        try {
+            policy = AutoVerifier.getPolicy(projectName, params.policy);
+        } catch (error) {
+            // The project's thresholds and actions are unknown - never complete or reset on the defaults
+            policyError = (error as Error).message;
+            policy = { ...AutoVerifier.mergePolicy({}, params.policy || {}), onWarning: 'hold', onCritical: 'hold' };
+            OutputLogger.error(`${policyError} - auto-verification for ${deploymentId} will hold for manual review`);
+        }
+
+        const session: VerificationSession = {
+            deploymentId,
+            projectName,
+            environment: params.environment || null,
+            source: params.source,
+            status: 'waitingForVerification',
+            policy,
+            startedAt: new Date().toISOString(),
+            verificationReachedAt: null,
+            decision: null,
+            policyError
+        };
+
+        this.sessions.set(deploymentId, session);
+        this.credentials.set(deploymentId, credentials);
+        this.apiUrls.set(deploymentId, params.apiUrl);
+        this._schedule(deploymentId, 0);
+
+        OutputLogger.info(`🤖 Auto-verification enabled for deployment ${deploymentId} (${session.policy.sampleMinutes}min log sample, ${session.policy.delayMinutes}min delay)`);
+        return session;
+    }
+
+    /**
+     * Get the verification session for a deployment
+     */
+    get(deploymentId: string): VerificationSession | null {
+        return this.sessions.get(deploymentId) || null;
+    }
+
+    /**
+     * List verification sessions
+     */
+    list(): VerificationSession[] {
+        return Array.from(this.sessions.values());
+    }
+
+    /**
+     * Stop auto-verification for a deployment (the deployment itself is not touched)
+     */
+    stop(deploymentId: string, reason: string = 'Stopped by user'): boolean {
+        const session = this.sessions.get(deploymentId);
+        if (!session || session.status === 'decided' || session.status === 'stopped') {
+            return false;
+        }
+
+        this._finish(session, 'stopped', reason);
+        return true;
+    }
+
+    /**
+     * Schedule the next step
+     * @private
+     */
+    private _schedule(deploymentId: string, delay: number): void {
+        const previous = this.timers.get(deploymentId);
+        if (previous) {
+            clearTimeout(previous);
+        }
+
+        const timer = setTimeout(async () => {
+            this.timers.delete(deploymentId);
+            await this._tick(deploymentId);
+        }, delay);
+
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+
+        this.timers.set(deploymentId, timer);
+    }
+
+    /**
+     * Advance one verification session
+     * @private
+     */
+    private async _tick(deploymentId: string): Promise<void> {
+        const session = this.sessions.get(deploymentId);
+        const credentials = this.credentials.get(deploymentId);
+        if (!session || !credentials) {
+            return;
+        }
+
+        try {
+            if (session.status === 'waitingForVerification') {
+                const result = await DXPRestClient.getDeployments(
+                    credentials.projectId,
+                    credentials.apiKey,
+                    credentials.apiSecret,
+                    deploymentId,
+                    { apiUrl: this.apiUrls.get(deploymentId) }
+                );
+                // Stopped while the status was being fetched
+                if (session.status !== 'waitingForVerification') {
+                    return;
+                }
+                const status: string = (result && (result.status || result.Status)) || 'Unknown';
+
+                if (!session.environment && result) {
+                    session.environment = result.parameters?.targetEnvironment || result.endEnvironment || null;
+                }
+
+                if (isAwaitingVerification(status)) {
+                    session.status = 'sampling';
+                    session.verificationReachedAt = new Date().toISOString();
+                    this._schedule(deploymentId, session.policy.delayMinutes * 60 * 1000);
+                    return;
+                }
+
+                if (status === 'Succeeded' || isFailed(status) || isReset(status)) {
+                    this._finish(session, 'stopped', `Deployment reached ${status} before verification`);
+                    return;
+                }
+
+                this._schedule(deploymentId, this.pollInterval);
+                return;
+            }
+
+            if (session.status === 'sampling') {
+                await this._decide(session, credentials);
+            }
+        } catch (error) {
+            // Transient API errors - keep polling, the deployment stays in whatever state it is
+            OutputLogger.error(`Auto-verification check for ${deploymentId} failed: ${(error as Error).message}`);
+            this._schedule(deploymentId, this.pollInterval);
+        }
+    }
+
+    /**
+     * Evaluate logs, act, audit and emit the decision
+     * @private
+     */
+    private async _decide(session: VerificationSession, credentials: VerificationCredentials): Promise<void> {
+        const startTime = Date.now();
+        const { policy } = session;
+
+        if (!session.environment) {
+            this._finish(session, 'stopped', 'Could not determine the target environment');
+            return;
+        }
+
+        const evaluation = await AutoVerifier.evaluate(session.environment, credentials, policy);
+
+        let action: VerificationAction = evaluation.decision === 'safe'
+            ? 'complete'
+            : evaluation.decision === 'critical' ? policy.onCritical : policy.onWarning;
+
+        // A comparison that failed to run, or ran on too little traffic, never completes a deployment
+        if ((evaluation.decision === 'error' || evaluation.insufficientData) && action === 'complete') {
+            action = 'hold';
+        }
+
+        if (session.policyError && action !== 'hold') {
+            action = 'hold';
+            evaluation.reasons.push(`Held: the verification policy could not be read (${session.policyError})`);
+        }
+
+        // Completing is still subject to maintenance windows
+        if (action === 'complete') {
+            const timing = DeploymentValidator.validateDeploymentTiming({
+                targetEnvironment: session.environment,
+                projectName: session.projectName
+            });
+            if (!timing.valid) {
+                action = 'hold';
+                evaluation.reasons.push(`Completion held: ${timing.error}`);
+            }
+        }
+
+        const decision: AutoDecision = { ...evaluation, action, executed: false };
+
+        // stop_auto_verification may have run while the logs were evaluated; nothing is awaited from here to the API call
+        if (session.status !== 'sampling') {
+            return;
+        }
+
+        try {
+            if (action === 'complete') {
+                await DXPRestClient.completeDeployment(
+                    credentials.projectId,
+                    credentials.apiKey,
+                    credentials.apiSecret,
+                    session.deploymentId,
+                    { apiUrl: this.apiUrls.get(session.deploymentId) }
+                );
+                decision.executed = true;
+            } else if (action === 'reset') {
+                await DXPRestClient.resetDeployment(
+                    credentials.projectId,
+                    credentials.apiKey,
+                    credentials.apiSecret,
+                    session.deploymentId,
+                    {},
+                    { apiUrl: this.apiUrls.get(session.deploymentId) }
+                );
+                decision.executed = true;
+            }
+        } catch (error) {
+            decision.executionError = (error as Error).message;
+        }
+
+        session.decision = decision;
+        this._finish(session, 'decided');
+
+        const actionText = action === 'hold' ? 'held for manual review' : `${action === 'complete' ? 'completed' : 'reset'}`;
+        const logLine = `🤖 Auto-verification ${evaluation.decision.toUpperCase()} for ${session.deploymentId}: ${actionText}` +
+            (decision.executionError ? ` (failed: ${decision.executionError})` : '');
+        if (decision.executionError || action === 'reset') {
+            OutputLogger.warn(logLine);
+        } else {
+            OutputLogger.info(logLine);
+        }
+
+        // Track the completion/reset so deployment://{id} follows it to the end
+        if (decision.executed) {
+            try {
+                getGlobalMonitor().startMonitoring({
+                    deploymentId: session.deploymentId,
+                    projectId: credentials.projectId,
+                    apiKey: credentials.apiKey,
+                    apiSecret: credentials.apiSecret,
+                    apiUrl: this.apiUrls.get(session.deploymentId)
+                });
+            } catch (error) {
+                OutputLogger.error(`Failed to start monitoring after auto-decision: ${(error as Error).message}`);
+            }
+        }
+
+        try {
+            DeploymentResourceHandler.emitAutoDecision(session.deploymentId, {
+                project: session.projectName,
+                environment: session.environment,
+                source: session.source,
+                decision: decision.decision,
+                recommendation: decision.recommendation,
+                action: decision.action,
+                executed: decision.executed,
+                executionError: decision.executionError,
+                reasons: decision.reasons,
+                comparison: decision.comparison,
+                policy
+            });
+        } catch (error) {
+            console.error(`Failed to emit auto-decision event: ${(error as Error).message}`);
+        }
+
+        await this._audit(session, decision, Date.now() - startTime);
+    }
+
+    /**
+     * Write the decision and its reasoning to the audit log
+     * @private
+     */
+    private async _audit(session: VerificationSession, decision: AutoDecision, durationMs: number): Promise<void> {
+        try {
+            const comparison = decision.comparison || {};
+            await getGlobalAuditLogger().logOperation({
+                operation: 'auto_verify',
+                operation_type: 'deployment',
+                status: decision.executionError ? 'failure' : 'success',
+                user: { id: 'system' },
+                environment: { name: session.environment },
+                request: {
+                    tool: session.source,
+                    parameters: {
+                        deploymentId: session.deploymentId,
+                        policy: session.policy
+                    }
+                },
+                response: {
+                    result: decision.action,
+                    duration_ms: durationMs,
+                    error: decision.executionError
+                },
+                tags: ['auto-decision', decision.decision, decision.action],
+                metadata: {
+                    project_name: session.projectName,
+                    deployment_id: session.deploymentId,
+                    decision: decision.decision,
+                    recommendation: decision.recommendation,
+                    action: decision.action,
+                    executed: decision.executed,
+                    reasons: decision.reasons,
+                    baseline: comparison.baseline,
+                    slot: comparison.slot,
+                    deltas: comparison.deltas,
+                    thresholds: comparison.thresholdsApplied,
+                    slot_entries: decision.slotEntries,
+                    baseline_entries: decision.baselineEntries
+                }
+            });
+        } catch (error) {
+            console.error(`Failed to audit auto-decision: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * Record a session that ended without a decision (stopped, deployment finished first, unknown environment)
+     * @private
+     */
+    private async _auditStopped(session: VerificationSession, reason: string): Promise<void> {
+        try {
+            await getGlobalAuditLogger().logOperation({
+                operation: 'auto_verify',
+                operation_type: 'deployment',
+                status: 'success',
+                user: { id: 'system' },
+                environment: { name: session.environment },
+                request: {
+                    tool: session.source,
+                    parameters: {
+                        deploymentId: session.deploymentId,
+                        policy: session.policy
+                    }
+                },
+                response: {
+                    result: 'stopped',
+                    duration_ms: Date.now() - new Date(session.startedAt).getTime()
+                },
+                tags: ['auto-decision', 'stopped'],
+                metadata: {
+                    project_name: session.projectName,
+                    deployment_id: session.deploymentId,
+                    action: 'stopped',
+                    executed: false,
+                    reasons: [reason],
+                    verification_reached_at: session.verificationReachedAt
+                }
+            });
+        } catch (error) {
+            console.error(`Failed to audit stopped auto-verification: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * Mark a session finished and drop its credentials
+     * Decided sessions are audited by _decide(); stopped ones are audited here.
+     * @private
+     */
+    private _finish(session: VerificationSession, status: 'decided' | 'stopped', reason?: string): void {
+        session.status = status;
+        if (reason) {
+            session.stopReason = reason;
+            OutputLogger.info(`🤖 Auto-verification for ${session.deploymentId} stopped: ${reason}`);
+        }
+        if (status === 'stopped') {
+            this._auditStopped(session, reason || 'Stopped');
+        }
+
+        const timer = this.timers.get(session.deploymentId);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(session.deploymentId);
+        }
+        this.credentials.delete(session.deploymentId);
+        this.apiUrls.delete(session.deploymentId);
+    }
+}
+
+// Global instance
+let globalVerifier: AutoVerifier | null = null;
+
+/**
+ * Get global auto verifier instance
+ * @returns Global verifier
+ */
+function getGlobalAutoVerifier(): AutoVerifier {
+    if (!globalVerifier) {
+        globalVerifier = new AutoVerifier();
+    }
+    return globalVerifier;
+}
+
+export { AutoVerifier, getGlobalAutoVerifier };
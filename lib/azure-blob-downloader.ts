@@ -0,0 +1,561 @@
+/**
+ * Azure Blob Downloader Module
+ * Resumable, chunked downloads from SAS URLs using HTTP Range requests
+ * Finished chunks are recorded next to the download manifest, so an interrupted
+ * transfer (network error, pause or restart) continues where it stopped.
+ * Cancelling discards the partial data and its state.
+ * Large files are fetched with several ranges in parallel.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import { promises as fsPromises } from 'fs';
+import * as path from 'path';
+import * as http from 'http';
+import * as https from 'https';
+import { URL } from 'url';
+import OutputLogger from './output-logger';
+import ManifestManager, { PartialDownloadEntry } from './manifest-manager';
+import downloadManager from './download-manager';
+
+// Type definitions
+interface DownloadOptions {
+    // Folder holding the download manifest; partial state is stored next to it
+    stateDir?: string;
+    // DownloadManager key, so pause/resume/cancel reach this transfer
+    downloadKey?: string | null;
+    // Size from a blob listing - files that fit in one chunk skip the HEAD probe
+    expectedSize?: number;
+    chunkSize?: number;
+    concurrency?: number;
+    parallelThreshold?: number;
+    maxRetries?: number;
+    // A request that receives no data for this long is aborted and retried
+    idleTimeoutMs?: number;
+    // Overall limit, not counting time spent paused
+    timeoutMs?: number;
+    onProgress?: (bytesDownloaded: number, totalBytes: number) => void;
+}
+
+interface DownloadResult {
+    size: number;
+    resumedFromBytes: number;
+    chunks: number;
+    ranged: boolean;
+    duration: number;
+}
+
+interface RemoteInfo {
+    size: number;
+    etag: string | null;
+    acceptRanges: boolean;
+}
+
+interface TransferContext {
+    downloadKey: string | null;
+    maxRetries: number;
+    idleTimeoutMs: number;
+    timeoutMs: number | null;
+    startTime: number;
+    pausedMs: number;
+}
+
+class AzureBlobDownloader {
+    // Same as the uploader's block size: predictable memory per in-flight range
+    static DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+
+    // Files at least this large are fetched with parallel ranges
+    static PARALLEL_THRESHOLD = 64 * 1024 * 1024;
+
+    static DEFAULT_CONCURRENCY = 4;
+    static DEFAULT_MAX_RETRIES = 5;
+    static IDLE_TIMEOUT_MS = 120000;
+    static PARTIAL_SUFFIX = '.partial';
+
+    /**
+     * Strip the SAS token from a URL - identifies the source across fresh SAS links
+     */
+    static stripSasToken(url: string): string {
+        const parsedUrl = new URL(url);
+        return `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}`;
+    }
+
+    /**
+     * Find the local path of an interrupted download of the same source in a folder
+     * Callers that generate file names (e.g. timestamped bacpacs) use this to resume
+     */
+    static async findPartial(stateDir: string, url: string): Promise<string | null> {
+        const source = this.stripSasToken(url);
+        const state = await ManifestManager.loadPartialState(stateDir);
+
+        for (const [fileName, entry] of Object.entries(state.files)) {
+            if (entry.source === source) {
+                return path.join(stateDir, fileName);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Download a URL to a local file, resuming any earlier partial transfer
+     */
+    static async download(url: string, localPath: string, options: DownloadOptions = {}): Promise<DownloadResult> {
+        const {
+            downloadKey = null,
+            expectedSize,
+            chunkSize = this.DEFAULT_CHUNK_SIZE,
+            concurrency = this.DEFAULT_CONCURRENCY,
+            parallelThreshold = this.PARALLEL_THRESHOLD,
+            maxRetries = this.DEFAULT_MAX_RETRIES,
+            idleTimeoutMs = this.IDLE_TIMEOUT_MS,
+            timeoutMs = null,
+            onProgress
+        } = options;
+
+        const stateDir = options.stateDir || path.dirname(localPath);
+        const fileName = path.relative(stateDir, localPath).split(path.sep).join('/');
+        const tempPath = `${localPath}${this.PARTIAL_SUFFIX}`;
+        const context: TransferContext = {
+            downloadKey,
+            maxRetries,
+            idleTimeoutMs,
+            timeoutMs,
+            startTime: Date.now(),
+            pausedMs: 0
+        };
+
+        await fsPromises.mkdir(path.dirname(localPath), { recursive: true });
+
+        if (expectedSize !== undefined && expectedSize <= chunkSize) {
+            const size = await this._downloadWhole(url, localPath, tempPath, context, fileName, onProgress);
+            return { size, resumedFromBytes: 0, chunks: 1, ranged: false, duration: Date.now() - context.startTime };
+        }
+
+        const remote = await this._withRetries(() => this._probe(url, context), context, `${fileName} (size check)`);
+
+        if (remote.size === 0) {
+            await fsPromises.writeFile(localPath, Buffer.alloc(0));
+            return { size: 0, resumedFromBytes: 0, chunks: 0, ranged: false, duration: Date.now() - context.startTime };
+        }
+
+        if (!remote.acceptRanges) {
+            // No Range support: plain streaming, restarted from zero on each retry
+            const size = await this._downloadWhole(url, localPath, tempPath, context, fileName, onProgress);
+            return { size, resumedFromBytes: 0, chunks: 1, ranged: false, duration: Date.now() - context.startTime };
+        }
+
+        const chunkCount = Math.ceil(remote.size / chunkSize);
+        // Single-range files are simply retried; only multi-chunk files keep resumable state
+        const persistent = chunkCount > 1;
+        const source = this.stripSasToken(url);
+
+        let entry = persistent
+            ? await this._loadResumableEntry(stateDir, fileName, source, remote, chunkSize, tempPath)
+            : null;
+
+        if (!entry) {
+            const handle = await fsPromises.open(tempPath, 'w');
+            try {
+                await handle.truncate(remote.size);
+            } finally {
+                await handle.close();
+            }
+
+            entry = {
+                source,
+                etag: remote.etag,
+                totalSize: remote.size,
+                chunkSize,
+                completedChunks: [],
+                tempPath: path.relative(stateDir, tempPath).split(path.sep).join('/'),
+                startedAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            if (persistent) {
+                await ManifestManager.updatePartialState(stateDir, fileName, entry);
+            }
+        }
+
+        const completed = new Set(entry.completedChunks);
+        const chunkLength = (index: number) => Math.min(chunkSize, remote.size - index * chunkSize);
+        const resumedFromBytes = Array.from(completed).reduce((sum, index) => sum + chunkLength(index), 0);
+        let bytesDownloaded = resumedFromBytes;
+
+        if (resumedFromBytes > 0) {
+            OutputLogger.info(`🔁 Resuming ${fileName} from ${ManifestManager.formatBytes(resumedFromBytes)} of ${ManifestManager.formatBytes(remote.size)}`);
+            if (onProgress) {
+                onProgress(bytesDownloaded, remote.size);
+            }
+        }
+
+        const pending: number[] = [];
+        for (let index = 0; index < chunkCount; index++) {
+            if (!completed.has(index)) {
+                pending.push(index);
+            }
+        }
+
+        const workers = remote.size >= parallelThreshold ? Math.max(1, concurrency) : 1;
+        const handle = await fsPromises.open(tempPath, 'r+');
+        let stopped = false;
+
+        const worker = async (): Promise<void> => {
+            while (pending.length > 0 && !stopped) {
+                const index = pending.shift()!;
+                const start = index * chunkSize;
+                const end = start + chunkLength(index) - 1;
+
+                const data = await this._withRetries(
+                    () => this._fetchRange(url, start, end, remote, context),
+                    context,
+                    `${fileName} bytes ${start}-${end}`
+                );
+                await handle.write(data, 0, data.length, start);
+
+                completed.add(index);
+                bytesDownloaded += data.length;
+                if (onProgress) {
+                    onProgress(bytesDownloaded, remote.size);
+                }
+
+                if (persistent) {
+                    entry!.completedChunks = Array.from(completed).sort((a, b) => a - b);
+                    await ManifestManager.updatePartialState(stateDir, fileName, entry!);
+                }
+            }
+        };
+
+        const outcomes = await Promise.allSettled(
+            Array.from({ length: Math.min(workers, pending.length) }, () => worker().catch(error => {
+                stopped = true;
+                throw error;
+            }))
+        );
+        await handle.close();
+
+        const failure = outcomes.find(outcome => outcome.status === 'rejected') as PromiseRejectedResult | undefined;
+        if (failure) {
+            if (!persistent) {
+                await fsPromises.unlink(tempPath).catch(() => {});
+            } else if (downloadManager.isCancelled(downloadKey) || (failure.reason && failure.reason.statusCode === 412)) {
+                // Cancelled, or the blob changed underneath us - its chunks won't be reused
+                await ManifestManager.updatePartialState(stateDir, fileName, null);
+                await fsPromises.unlink(tempPath).catch(() => {});
+            }
+            throw failure.reason;
+        }
+
+        await fsPromises.rename(tempPath, localPath);
+        if (persistent) {
+            await ManifestManager.updatePartialState(stateDir, fileName, null);
+        }
+
+        return {
+            size: remote.size,
+            resumedFromBytes,
+            chunks: chunkCount,
+            ranged: true,
+            duration: Date.now() - context.startTime
+        };
+    }
+
+    /**
+     * Stream a whole file to its temp path and move it into place
+     * Nothing can be resumed from a whole-file transfer, so a failure discards the temp file
+     * @private
+     */
+    static async _downloadWhole(
+        url: string,
+        localPath: string,
+        tempPath: string,
+        context: TransferContext,
+        fileName: string,
+        onProgress?: (bytesDownloaded: number, totalBytes: number) => void
+    ): Promise<number> {
+        try {
+            const size = await this._withRetries(
+                () => this._fetchWhole(url, tempPath, context, onProgress),
+                context,
+                fileName
+            );
+            await fsPromises.rename(tempPath, localPath);
+            return size;
+        } catch (error) {
+            await fsPromises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Load a partial entry if it can be resumed against the current remote file
+     * @private
+     */
+    static async _loadResumableEntry(
+        stateDir: string,
+        fileName: string,
+        source: string,
+        remote: RemoteInfo,
+        chunkSize: number,
+        tempPath: string
+    ): Promise<PartialDownloadEntry | null> {
+        const state = await ManifestManager.loadPartialState(stateDir);
+        const entry = state.files[fileName];
+        if (!entry) {
+            return null;
+        }
+
+        const sameSource = entry.source === source &&
+            entry.totalSize === remote.size &&
+            entry.chunkSize === chunkSize &&
+            (!entry.etag || !remote.etag || entry.etag === remote.etag);
+
+        let tempSize = -1;
+        try {
+            tempSize = (await fsPromises.stat(tempPath)).size;
+        } catch (error) {
+            // Partial data is gone - start over
+        }
+
+        if (sameSource && tempSize === remote.size) {
+            return entry;
+        }
+
+        OutputLogger.info(`🔄 ${fileName} changed since the interrupted download (or its partial data is missing) - starting over`);
+        await ManifestManager.updatePartialState(stateDir, fileName, null);
+        return null;
+    }
+
+    /**
+     * Run a request with retries, honouring pause/cancel between attempts
+     * @private
+     */
+    static async _withRetries<T>(operation: () => Promise<T>, context: TransferContext, label: string): Promise<T> {
+        let attempt = 0;
+
+        for (;;) {
+            await this._checkpoint(context);
+
+            try {
+                return await operation();
+            } catch (error: any) {
+                if (downloadManager.isInterruption(error)) {
+                    if (downloadManager.isCancelled(context.downloadKey)) {
+                        throw error;
+                    }
+                    // Paused - the next checkpoint waits for resume, and the attempt isn't counted
+                    continue;
+                }
+
+                if (!this._isRetryable(error) || attempt >= context.maxRetries) {
+                    throw error;
+                }
+
+                attempt++;
+                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
+                OutputLogger.warn(`⚠️ ${label} failed (${error.message}) - retrying in ${delay / 1000}s (${attempt}/${context.maxRetries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Wait while paused, then fail if cancelled or out of time
+     * @private
+     */
+    static async _checkpoint(context: TransferContext): Promise<void> {
+        if (context.downloadKey) {
+            const waitStart = Date.now();
+            const proceed = await downloadManager.waitWhilePaused(context.downloadKey);
+            context.pausedMs += Date.now() - waitStart;
+
+            if (!proceed) {
+                throw downloadManager.cancelledError(context.downloadKey);
+            }
+        }
+
+        if (context.timeoutMs && Date.now() - context.startTime - context.pausedMs > context.timeoutMs) {
+            throw new Error(`Download timeout after ${Math.round(context.timeoutMs / 60000)} minutes`);
+        }
+    }
+
+    /**
+     * Network errors, timeouts, throttling and server errors are worth retrying
+     * @private
+     */
+    static _isRetryable(error: any): boolean {
+        if (!error.statusCode) {
+            return true;
+        }
+        return error.statusCode === 408 || error.statusCode === 429 || error.statusCode >= 500;
+    }
+
+    /**
+     * HEAD the remote file for its size, ETag and Range support
+     * v3.33.2 fix: no x-ms-version header - it invalidates SAS signatures
+     * @private
+     */
+    static _probe(url: string, context: TransferContext): Promise<RemoteInfo> {
+        return new Promise((resolve, reject) => {
+            const transport = url.startsWith('http:') ? http : https;
+            const request = transport.request(url, { method: 'HEAD' }, response => {
+                untrack();
+                response.resume();
+
+                const statusCode = response.statusCode || 0;
+                if (statusCode < 200 || statusCode >= 300) {
+                    reject(this._httpError(statusCode, response.statusMessage));
+                    return;
+                }
+
+                const etag = response.headers['etag'];
+                resolve({
+                    size: parseInt(String(response.headers['content-length'] || '0'), 10),
+                    etag: typeof etag === 'string' ? etag : null,
+                    acceptRanges: String(response.headers['accept-ranges'] || '').toLowerCase() === 'bytes'
+                });
+            });
+            const untrack = downloadManager.trackRequest(context.downloadKey, request);
+
+            request.setTimeout(context.idleTimeoutMs, () => {
+                request.destroy(new Error(`No response after ${context.idleTimeoutMs / 1000}s`));
+            });
+            request.on('error', error => {
+                untrack();
+                reject(error);
+            });
+            request.end();
+        });
+    }
+
+    /**
+     * Fetch one byte range into memory
+     * @private
+     */
+    static _fetchRange(url: string, start: number, end: number, remote: RemoteInfo, context: TransferContext): Promise<Buffer> {
+        return new Promise((resolve, reject) => {
+            const headers: Record<string, string> = { Range: `bytes=${start}-${end}` };
+            if (remote.etag) {
+                headers['If-Match'] = remote.etag;
+            }
+
+            const transport = url.startsWith('http:') ? http : https;
+            const request = transport.get(url, { headers }, response => {
+                const statusCode = response.statusCode || 0;
+                // 200 is only acceptable when the range is the whole file
+                const wholeFile = statusCode === 200 && start === 0 && end === remote.size - 1;
+
+                if (statusCode !== 206 && !wholeFile) {
+                    untrack();
+                    response.resume();
+                    const error = statusCode === 412
+                        ? this._httpError(412, 'Source changed since the download started')
+                        : this._httpError(statusCode, response.statusMessage);
+                    reject(error);
+                    return;
+                }
+
+                const buffers: Buffer[] = [];
+                let received = 0;
+                response.on('data', (chunk: Buffer) => {
+                    buffers.push(chunk);
+                    received += chunk.length;
+                });
+                response.on('end', () => {
+                    untrack();
+                    const expected = end - start + 1;
+                    if (received !== expected) {
+                        reject(new Error(`Connection closed after ${received} of ${expected} bytes`));
+                        return;
+                    }
+                    resolve(Buffer.concat(buffers, received));
+                });
+                response.on('error', error => {
+                    untrack();
+                    reject(error);
+                });
+            });
+            const untrack = downloadManager.trackRequest(context.downloadKey, request);
+
+            request.setTimeout(context.idleTimeoutMs, () => {
+                request.destroy(new Error(`Download stalled (no data received for ${context.idleTimeoutMs / 1000}s)`));
+            });
+            request.on('error', error => {
+                untrack();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Stream the whole file (servers without Range support)
+     * @private
+     */
+    static _fetchWhole(
+        url: string,
+        tempPath: string,
+        context: TransferContext,
+        onProgress?: (bytesDownloaded: number, totalBytes: number) => void
+    ): Promise<number> {
+        return new Promise((resolve, reject) => {
+            const transport = url.startsWith('http:') ? http : https;
+            const request = transport.get(url, response => {
+                const statusCode = response.statusCode || 0;
+                if (statusCode !== 200) {
+                    untrack();
+                    response.resume();
+                    reject(this._httpError(statusCode, response.statusMessage));
+                    return;
+                }
+
+                const totalBytes = parseInt(String(response.headers['content-length'] || '0'), 10);
+                const file = fs.createWriteStream(tempPath);
+                let received = 0;
+
+                response.on('data', (chunk: Buffer) => {
+                    received += chunk.length;
+                    if (onProgress) {
+                        onProgress(received, totalBytes);
+                    }
+                });
+                response.pipe(file);
+
+                file.on('finish', () => {
+                    untrack();
+                    if (totalBytes && received !== totalBytes) {
+                        reject(new Error(`Connection closed after ${received} of ${totalBytes} bytes`));
+                        return;
+                    }
+                    resolve(received);
+                });
+                file.on('error', error => {
+                    untrack();
+                    reject(error);
+                });
+                response.on('error', error => {
+                    untrack();
+                    file.destroy();
+                    reject(error);
+                });
+            });
+            const untrack = downloadManager.trackRequest(context.downloadKey, request);
+
+            request.setTimeout(context.idleTimeoutMs, () => {
+                request.destroy(new Error(`Download stalled (no data received for ${context.idleTimeoutMs / 1000}s)`));
+            });
+            request.on('error', error => {
+                untrack();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Build an error carrying the HTTP status code
+     * @private
+     */
+    static _httpError(statusCode: number, statusMessage?: string): Error & { statusCode: number } {
+        return Object.assign(new Error(`HTTP ${statusCode}: ${statusMessage || 'Request failed'}`), { statusCode });
+    }
+}
+
+export default AzureBlobDownloader;
@@ -4,14 +4,20 @@
  * Part of DXP-110 implementation
  */
 
+import * as http from 'http';
 import * as https from 'https';
 import * as zlib from 'zlib';
 import { URL } from 'url';
+import { StringDecoder } from 'string_decoder';
 import OutputLogger from './output-logger';
 
 // Type definitions
 interface StreamOptions {
     debug?: boolean;
+    // Read from this byte offset (Range request, uncompressed); a 416 means nothing new
+    startByte?: number;
+    // Leave a trailing line without a newline unprocessed, for blobs that are still being appended to
+    completeLinesOnly?: boolean;
 }
 
 interface StreamStats {
@@ -19,6 +25,8 @@ interface StreamStats {
     linesProcessed: number;
     duration: number;
     throughput: number;
+    // Bytes up to and including the last newline; the next read of an appending blob starts there
+    completeBytes: number;
 }
 
 interface BlobCountResult {
@@ -46,77 +54,117 @@ class AzureBlobStreamer {
      * Stream a blob and process line-by-line
      */
     static async streamBlob(sasUrl: string, lineHandler: LineHandler, options: StreamOptions = {}): Promise<StreamStats> {
-        const { debug = false } = options;
+        const { debug = false, startByte = 0, completeLinesOnly = false } = options;
 
         return new Promise((resolve, reject) => {
             const startTime = Date.now();
             let bytesDownloaded = 0;
+            let completeBytes = 0;
             let linesProcessed = 0;
             let buffer = '';
+            const decoder = new StringDecoder('utf8');
 
             const parsedUrl = new URL(sasUrl);
 
+            const transport = parsedUrl.protocol === 'http:' ? http : https;
+
+            // Byte offsets only line up with the stored blob when it is sent uncompressed
+            const headers: Record<string, string> = startByte > 0
+                ? { 'Range': `bytes=${startByte}-` }
+                : { 'Accept-Encoding': 'gzip' };
+
             const requestOptions = {
                 hostname: parsedUrl.hostname,
+                port: parsedUrl.port || undefined,
                 path: parsedUrl.pathname + parsedUrl.search,
                 method: 'GET',
-                headers: {
-                    'Accept-Encoding': 'gzip'
-                }
+                headers
             };
 
-            const req = https.request(requestOptions, (res) => {
-                if (res.statusCode !== 200) {
+            const finish = () => {
+                const duration = Date.now() - startTime;
+                resolve({
+                    bytesDownloaded,
+                    linesProcessed,
+                    duration,
+                    throughput: Math.round(bytesDownloaded / (Math.max(duration, 1) / 1000)),
+                    completeBytes
+                });
+            };
+
+            const req = transport.request(requestOptions, (res) => {
+                if (startByte > 0 && res.statusCode === 416) {
+                    // Blob has not grown past the offset
+                    res.resume();
+                    finish();
+                    return;
+                }
+                if (res.statusCode !== 200 && !(startByte > 0 && res.statusCode === 206)) {
                     reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
                     return;
                 }
 
+                // A server that ignores Range sends the whole blob; skip what was already read
+                let skipBytes = startByte > 0 && res.statusCode === 200 ? startByte : 0;
+
                 // Handle gzip compression
                 const isGzipped = res.headers['content-encoding'] === 'gzip';
                 const stream = isGzipped ? res.pipe(zlib.createGunzip()) : res;
 
-                stream.on('data', async (chunk: Buffer) => {
+                // Lines are handed over one at a time, in order; 'end' waits until all of them are processed
+                let processing: Promise<void> = Promise.resolve();
+                const processLine = async (line: string, final: boolean) => {
+                    try {
+                        await lineHandler(line);
+                        linesProcessed++;
+                    } catch (error) {
+                        if (debug) {
+                            OutputLogger.debug(`Error processing ${final ? 'final ' : ''}line: ${(error as Error).message}`);
+                        }
+                    }
+                };
+
+                stream.on('data', (chunk: Buffer) => {
+                    if (skipBytes > 0) {
+                        const skipped = Math.min(skipBytes, chunk.length);
+                        skipBytes -= skipped;
+                        chunk = chunk.subarray(skipped);
+                        if (chunk.length === 0) {
+                            return;
+                        }
+                    }
+
+                    const lastNewline = chunk.lastIndexOf(0x0a);
+                    if (lastNewline >= 0) {
+                        completeBytes = bytesDownloaded + lastNewline + 1;
+                    }
                     bytesDownloaded += chunk.length;
-                    buffer += chunk.toString('utf8');
+                    buffer += decoder.write(chunk);
 
                     // Process complete lines
                     const lines = buffer.split('\n');
                     buffer = lines.pop() || ''; // Keep incomplete line in buffer
 
-                    for (const line of lines) {
-                        if (line.trim()) {
-                            try {
-                                await lineHandler(line);
-                                linesProcessed++;
-                            } catch (error) {
-                                if (debug) {
-                                    OutputLogger.debug(`Error processing line: ${(error as Error).message}`);
-                                }
+                    processing = processing.then(async () => {
+                        for (const line of lines) {
+                            if (line.trim()) {
+                                await processLine(line, false);
                             }
                         }
-                    }
+                    });
                 });
 
-                stream.on('end', async () => {
-                    // Process final line if exists
-                    if (buffer.trim()) {
-                        try {
-                            await lineHandler(buffer);
-                            linesProcessed++;
-                        } catch (error) {
-                            if (debug) {
-                                OutputLogger.debug(`Error processing final line: ${(error as Error).message}`);
-                            }
-                        }
-                    }
+                stream.on('end', () => {
+                    buffer += decoder.end();
+                    const finalLine = buffer;
 
-                    const duration = Date.now() - startTime;
-                    resolve({
-                        bytesDownloaded,
-                        linesProcessed,
-                        duration,
-                        throughput: Math.round(bytesDownloaded / (duration / 1000))
-                    });
+                    processing.then(async () => {
+                        // Process final line if exists
+                        if (!completeLinesOnly && finalLine.trim()) {
+                            await processLine(finalLine, true);
+                        }
+                        finish();
+                    }).catch(reject);
                 });
 
                 stream.on('error', reject);
@@ -143,7 +191,7 @@ class AzureBlobStreamer {
             do {
                 pageCount++;
                 // DXP-179: Fix double ?? bug - parsedUrl.search already includes leading ?
-                let listUrl = `${parsedUrl.protocol}//${parsedUrl.hostname}${parsedUrl.pathname}${parsedUrl.search}&restype=container&comp=list`;
+                let listUrl = `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}${parsedUrl.search}&restype=container&comp=list`;
                 if (marker) {
                     listUrl += `&marker=${encodeURIComponent(marker)}`;
                 }
@@ -171,8 +219,9 @@ class AzureBlobStreamer {
     /**
      * List blobs in a container and get their SAS URLs
      * DXP-117: Added pagination support to handle containers with >5000 blobs
+     * An optional name prefix (e.g. one site's y=/m=/d=/h= folder) keeps the listing small
      */
-    static async listBlobs(containerSasUrl: string): Promise<string[]> {
+    static async listBlobs(containerSasUrl: string, prefix?: string): Promise<string[]> {
         const MAX_PAGES = 20; // Limit to 100K blobs (5000 per page)
         const MAX_PAGES_FOR_SHORT_QUERIES = 5; // For minutesBack < 60, only fetch 25K blobs
         const parsedUrl = new URL(containerSasUrl);
@@ -191,7 +240,10 @@ class AzureBlobStreamer {
 
                 // Build URL with optional marker for pagination
                 // DXP-179: Fix double ?? bug - parsedUrl.search already includes leading ?
-                let listUrl = `${parsedUrl.protocol}//${parsedUrl.hostname}${parsedUrl.pathname}${parsedUrl.search}&restype=container&comp=list`;
+                let listUrl = `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}${parsedUrl.search}&restype=container&comp=list`;
+                if (prefix) {
+                    listUrl += `&prefix=${encodeURIComponent(prefix)}`;
+                }
                 if (marker) {
                     listUrl += `&marker=${encodeURIComponent(marker)}`;
                 }
@@ -231,7 +283,7 @@ class AzureBlobStreamer {
             const urlStartTime = Date.now();
             const blobUrls = allBlobNames.map(name => {
                 // DXP-179: Fix double ?? bug - parsedUrl.search already includes leading ?
-                return `${parsedUrl.protocol}//${parsedUrl.hostname}${parsedUrl.pathname}/${name}${parsedUrl.search}`;
+                return `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}/${name}${parsedUrl.search}`;
             });
             const urlDuration = Date.now() - urlStartTime;
             OutputLogger.info(`✅ Generated ${blobUrls.length} SAS URLs in ${urlDuration}ms`);
@@ -250,7 +302,8 @@ class AzureBlobStreamer {
      */
     static _fetchBlobPage(listUrl: string): Promise<BlobPageResult> {
         return new Promise((resolve, reject) => {
-            https.get(listUrl, (res) => {
+            const transport = listUrl.startsWith('http:') ? http : https;
+            transport.get(listUrl, (res) => {
                 let data = '';
 
                 res.on('data', (chunk) => {
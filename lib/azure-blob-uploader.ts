@@ -0,0 +1,232 @@
+/**
+ * Azure Blob Uploader Module
+ * Uploads local files to Azure Storage via SAS URLs (no SDK dependency)
+ * Uses Put Blob for small files and Put Block / Put Block List for large files
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as http from 'http';
+import * as https from 'https';
+import { URL } from 'url';
+import OutputLogger from './output-logger';
+
+// Type definitions
+interface UploadOptions {
+    blockSize?: number;
+    contentType?: string;
+    // Base64 MD5 of the whole file, stored as the blob's Content-MD5 property
+    contentMD5?: string;
+    onProgress?: (bytesUploaded: number, totalBytes: number) => void;
+    debug?: boolean;
+}
+
+interface UploadResult {
+    blobName: string;
+    blobUrl: string;
+    bytesUploaded: number;
+    blocks: number;
+    duration: number;
+    etag: string | null;
+}
+
+interface PutResponse {
+    statusCode: number;
+    headers: http.IncomingHttpHeaders;
+    body: string;
+}
+
+class AzureBlobUploader {
+    // Azure accepts blocks up to 4000 MiB, but 8 MiB keeps memory usage predictable
+    static DEFAULT_BLOCK_SIZE = 8 * 1024 * 1024;
+
+    // Azure limit for the number of committed blocks in a single blob
+    static MAX_BLOCKS = 50000;
+
+    static API_VERSION = '2020-10-02';
+
+    /**
+     * Build a blob URL from a container SAS URL
+     * The SAS query string stays at the end so the URL remains authorized
+     */
+    static buildBlobUrl(containerSasUrl: string, blobName: string): string {
+        const parsedUrl = new URL(containerSasUrl);
+        const encodedName = blobName.split('/').map(segment => encodeURIComponent(segment)).join('/');
+        const containerPath = parsedUrl.pathname.replace(/\/$/, '');
+        return `${parsedUrl.protocol}//${parsedUrl.host}${containerPath}/${encodedName}${parsedUrl.search}`;
+    }
+
+    /**
+     * Strip the SAS token from a URL so it can be shown to users or logged
+     */
+    static stripSasToken(url: string): string {
+        const parsedUrl = new URL(url);
+        return `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}`;
+    }
+
+    /**
+     * Upload a local file to a container SAS URL
+     */
+    static async uploadFile(
+        containerSasUrl: string,
+        blobName: string,
+        filePath: string,
+        options: UploadOptions = {}
+    ): Promise<UploadResult> {
+        const {
+            contentType = 'application/octet-stream',
+            contentMD5,
+            onProgress,
+            debug = false
+        } = options;
+
+        const stats = await fs.promises.stat(filePath);
+        const totalBytes = stats.size;
+        const blobUrl = this.buildBlobUrl(containerSasUrl, blobName);
+        const startTime = Date.now();
+
+        // Grow the block size if the file would exceed the block count limit
+        let blockSize = options.blockSize || this.DEFAULT_BLOCK_SIZE;
+        if (Math.ceil(totalBytes / blockSize) > this.MAX_BLOCKS) {
+            blockSize = Math.ceil(totalBytes / this.MAX_BLOCKS);
+        }
+
+        if (debug) {
+            OutputLogger.debug(`Uploading ${filePath} (${totalBytes} bytes) to ${this.stripSasToken(blobUrl)} with ${blockSize} byte blocks`);
+        }
+
+        // Small files go up in a single request
+        if (totalBytes <= blockSize) {
+            const body = await fs.promises.readFile(filePath);
+            const response = await this._putRequest(blobUrl, {
+                'x-ms-blob-type': 'BlockBlob',
+                'x-ms-blob-content-type': contentType,
+                ...(contentMD5 && { 'x-ms-blob-content-md5': contentMD5 })
+            }, body);
+
+            if (onProgress) {
+                onProgress(totalBytes, totalBytes);
+            }
+
+            return {
+                blobName,
+                blobUrl: this.stripSasToken(blobUrl),
+                bytesUploaded: totalBytes,
+                blocks: 1,
+                duration: Date.now() - startTime,
+                etag: (response.headers.etag as string) || null
+            };
+        }
+
+        // Large files are staged block by block, then committed with a block list
+        const blockIds: string[] = [];
+        let bytesUploaded = 0;
+        const handle = await fs.promises.open(filePath, 'r');
+
+        try {
+            const buffer = Buffer.alloc(blockSize);
+            while (bytesUploaded < totalBytes) {
+                const { bytesRead } = await handle.read(buffer, 0, blockSize, bytesUploaded);
+                if (bytesRead === 0) {
+                    break;
+                }
+
+                // Block IDs must be base64 and all the same length within a blob
+                const blockId = Buffer.from(`block-${String(blockIds.length).padStart(6, '0')}`).toString('base64');
+                const blockUrl = `${blobUrl}&comp=block&blockid=${encodeURIComponent(blockId)}`;
+
+                await this._putRequest(blockUrl, {}, buffer.subarray(0, bytesRead));
+
+                blockIds.push(blockId);
+                bytesUploaded += bytesRead;
+
+                if (onProgress) {
+                    onProgress(bytesUploaded, totalBytes);
+                }
+            }
+        } finally {
+            await handle.close();
+        }
+
+        const blockListXml = '<?xml version="1.0" encoding="utf-8"?><BlockList>' +
+            blockIds.map(id => `<Latest>${id}</Latest>`).join('') +
+            '</BlockList>';
+
+        // Azure only computes Content-MD5 for single-request uploads, so block blobs need it set explicitly
+        const response = await this._putRequest(`${blobUrl}&comp=blocklist`, {
+            'Content-Type': 'application/xml',
+            'x-ms-blob-content-type': contentType,
+            ...(contentMD5 && { 'x-ms-blob-content-md5': contentMD5 })
+        }, Buffer.from(blockListXml, 'utf8'));
+
+        return {
+            blobName,
+            blobUrl: this.stripSasToken(blobUrl),
+            bytesUploaded,
+            blocks: blockIds.length,
+            duration: Date.now() - startTime,
+            etag: (response.headers.etag as string) || null
+        };
+    }
+
+    /**
+     * Delete a blob from a container SAS URL (the SAS needs delete permission)
+     */
+    static async deleteBlob(containerSasUrl: string, blobName: string): Promise<void> {
+        await this._sendRequest('DELETE', this.buildBlobUrl(containerSasUrl, blobName), {}, Buffer.alloc(0));
+    }
+
+    /**
+     * Issue a PUT request against Azure Storage
+     * @private
+     */
+    static _putRequest(url: string, headers: Record<string, string>, body: Buffer): Promise<PutResponse> {
+        return this._sendRequest('PUT', url, headers, body);
+    }
+
+    /**
+     * Issue a request against Azure Storage
+     * @private
+     */
+    static _sendRequest(method: string, url: string, headers: Record<string, string>, body: Buffer): Promise<PutResponse> {
+        return new Promise((resolve, reject) => {
+            const parsedUrl = new URL(url);
+            const transport = parsedUrl.protocol === 'http:' ? http : https;
+
+            const req = transport.request({
+                hostname: parsedUrl.hostname,
+                port: parsedUrl.port || undefined,
+                path: parsedUrl.pathname + parsedUrl.search,
+                method,
+                headers: {
+                    'x-ms-version': this.API_VERSION,
+                    'Content-Length': body.length,
+                    ...headers
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    const statusCode = res.statusCode || 0;
+                    if (statusCode < 200 || statusCode >= 300) {
+                        // Azure returns an XML error document with a <Message> element
+                        const messageMatch = data.match(/<Message>([^<]*)<\/Message>/);
+                        const detail = messageMatch ? `: ${messageMatch[1].split('\n')[0]}` : '';
+                        reject(new Error(`HTTP ${statusCode}: ${res.statusMessage}${detail}`));
+                        return;
+                    }
+                    resolve({ statusCode, headers: res.headers, body: data });
+                });
+                res.on('error', reject);
+            });
+
+            req.on('error', reject);
+            req.write(body);
+            req.end();
+        });
+    }
+}
+
+export default AzureBlobUploader;
@@ -0,0 +1,461 @@
+/**
+ * Backup Catalog Module
+ * Inventory of downloaded database exports (.bacpac) with size, checksum and export timestamp,
+ * kept in a .backup-catalog.json next to the files, plus keep-N-daily / M-weekly retention
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ *
+ * Per-project retention (DXP_BACKUP_RETENTION_FILE, default ~/.optimizely-dxp/backup-retention.json).
+ * Projects without an entry (and no "default") are never pruned automatically:
+ * {
+ *   "default": { "keepDaily": 7, "keepWeekly": 4 },
+ *   "projects": {
+ *     "ACME": { "keepDaily": 14, "keepWeekly": 8 },
+ *     "Sandbox": { "autoPrune": false }
+ *   }
+ * }
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import OutputLogger from './output-logger';
+import ProjectSettingsFile from './project-settings-file';
+
+// Type definitions
+export interface BackupEntry {
+    fileName: string;
+    filePath: string;
+    projectName: string;
+    environment: string;
+    databaseName: string;
+    size: number;
+    checksum: string | null;
+    exportedAt: string;
+    downloadedAt: string | null;
+    exportId: string | null;
+    source: 'download' | 'scan';
+    mtimeMs: number;
+}
+
+interface CatalogFile {
+    version: string;
+    backups: Record<string, BackupEntry>;
+}
+
+export interface BackupFilter {
+    projectName?: string;
+    environment?: string;
+    databaseName?: string;
+}
+
+export interface RecordBackupParams {
+    filePath: string;
+    projectName: string;
+    environment: string;
+    databaseName: string;
+    exportId?: string | null;
+    exportedAt?: string | null;
+    downloadedAt?: string;
+}
+
+export interface RetentionPolicy {
+    keepDaily: number;
+    keepWeekly: number;
+    autoPrune: boolean;
+}
+
+export interface RetentionPlan {
+    keep: Array<{ entry: BackupEntry; reasons: string[] }>;
+    remove: BackupEntry[];
+}
+
+export interface PruneResult extends RetentionPlan {
+    dryRun: boolean;
+    freedBytes: number;
+    errors: Array<{ fileName: string; error: string }>;
+}
+
+export const DEFAULT_RETENTION_POLICY: RetentionPolicy = {
+    keepDaily: 7,
+    keepWeekly: 4,
+    autoPrune: false
+};
+
+const ENVIRONMENT_NAMES: Record<string, string> = {
+    production: 'Production',
+    preproduction: 'Preproduction',
+    integration: 'Integration'
+};
+
+// <project>-<environment>-<database>-<YYYY-MM-DDTHH-MM-SS>.bacpac, as written by db_export_download
+const BACPAC_NAME_PATTERN = /^(.+?)-(production|preproduction|integration)-(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})\.bacpac$/i;
+
+class BackupCatalog {
+    static CATALOG_FILE = '.backup-catalog.json';
+
+    private static policies = new ProjectSettingsFile<Partial<RetentionPolicy>>('DXP_BACKUP_RETENTION_FILE', 'backup-retention.json');
+
+    // Serializes catalog read-modify-write cycles per folder
+    private static writes = new Map<string, Promise<any>>();
+
+    static getCatalogPath(backupDir: string): string {
+        return path.join(backupDir, this.CATALOG_FILE);
+    }
+
+    /**
+     * Effective retention: built-in defaults, then the project's retention file entry, then call overrides
+     * Deleting downloads is opt-in, so only a project the file configures prunes automatically.
+     * @throws Error with code INVALID_SETTINGS_FILE when the retention file cannot be read or parsed
+     */
+    static getPolicy(projectName?: string, overrides: Partial<RetentionPolicy> = {}): RetentionPolicy {
+        const fromFile = this.policies.getProjectSettings(projectName, true);
+        const defined = (obj: Record<string, any>) =>
+            Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+
+        return { ...DEFAULT_RETENTION_POLICY, autoPrune: !!fromFile, ...defined(fromFile || {}), ...defined(overrides) };
+    }
+
+    /**
+     * Split a bacpac file name into its project, environment, database and download timestamp
+     */
+    static parseFileName(fileName: string): { projectName: string; environment: string; databaseName: string; timestamp: string } | null {
+        const match = fileName.match(BACPAC_NAME_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        // 2025-01-31T04-05-06 → 2025-01-31T04:05:06.000Z
+        const [datePart, timePart] = match[4].split('T');
+        return {
+            projectName: match[1],
+            environment: ENVIRONMENT_NAMES[match[2].toLowerCase()],
+            databaseName: match[3],
+            timestamp: new Date(`${datePart}T${timePart.replace(/-/g, ':')}Z`).toISOString()
+        };
+    }
+
+    /**
+     * Streamed hex MD5 (bacpacs are too large to read into memory)
+     */
+    static calculateChecksum(filePath: string): Promise<string> {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('md5');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Add or refresh a downloaded backup in its folder's catalog
+     */
+    static async record(params: RecordBackupParams): Promise<BackupEntry> {
+        const backupDir = path.dirname(params.filePath);
+        const fileName = path.basename(params.filePath);
+        const stats = await fs.promises.stat(params.filePath);
+        const checksum = await this.calculateChecksum(params.filePath);
+        const parsed = this.parseFileName(fileName);
+
+        const entry: BackupEntry = {
+            fileName,
+            filePath: params.filePath,
+            projectName: params.projectName,
+            environment: params.environment,
+            databaseName: params.databaseName,
+            size: stats.size,
+            checksum,
+            exportedAt: params.exportedAt || parsed?.timestamp || new Date(stats.mtimeMs).toISOString(),
+            downloadedAt: params.downloadedAt || new Date().toISOString(),
+            exportId: params.exportId || null,
+            source: 'download',
+            mtimeMs: stats.mtimeMs
+        };
+
+        await this.update(backupDir, catalog => {
+            catalog.backups[fileName] = entry;
+        });
+        return entry;
+    }
+
+    /**
+     * Reconcile a folder's catalog with the disk: forget deleted files, checksum new or changed bacpacs
+     * @returns All catalogued backups in the folder
+     */
+    static async sync(backupDir: string): Promise<BackupEntry[]> {
+        let names: string[];
+        try {
+            names = (await fs.promises.readdir(backupDir)).filter(name => name.toLowerCase().endsWith('.bacpac'));
+        } catch (error: any) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        if (names.length === 0 && !fs.existsSync(this.getCatalogPath(backupDir))) {
+            return [];
+        }
+
+        return this.update(backupDir, async catalog => {
+            for (const fileName of Object.keys(catalog.backups)) {
+                if (!names.includes(fileName)) {
+                    delete catalog.backups[fileName];
+                }
+            }
+
+            for (const fileName of names) {
+                const filePath = path.join(backupDir, fileName);
+                const stats = await fs.promises.stat(filePath);
+                const existing = catalog.backups[fileName];
+
+                if (existing && existing.size === stats.size && existing.mtimeMs === stats.mtimeMs) {
+                    existing.filePath = filePath;
+                    continue;
+                }
+
+                const parsed = this.parseFileName(fileName);
+                if (!existing && !parsed) {
+                    // Not one of ours - leave hand-named files alone
+                    continue;
+                }
+
+                OutputLogger.debug(`[BACKUPS] Checksumming ${fileName}`);
+                catalog.backups[fileName] = {
+                    fileName,
+                    filePath,
+                    projectName: existing?.projectName || parsed!.projectName,
+                    environment: existing?.environment || parsed!.environment,
+                    databaseName: existing?.databaseName || parsed!.databaseName,
+                    size: stats.size,
+                    checksum: await this.calculateChecksum(filePath),
+                    exportedAt: existing?.exportedAt || parsed!.timestamp,
+                    downloadedAt: existing?.downloadedAt || null,
+                    exportId: existing?.exportId || null,
+                    source: existing?.source || 'scan',
+                    mtimeMs: stats.mtimeMs
+                };
+            }
+
+            return Object.values(catalog.backups);
+        });
+    }
+
+    /**
+     * Catalogued backups across folders, newest export first
+     */
+    static async list(backupDirs: string[], filter: BackupFilter = {}): Promise<BackupEntry[]> {
+        const entries: BackupEntry[] = [];
+        for (const backupDir of Array.from(new Set(backupDirs.map(dir => path.resolve(dir))))) {
+            entries.push(...await this.sync(backupDir));
+        }
+
+        return entries
+            .filter(entry => this.matches(entry, filter))
+            .sort((a, b) => b.exportedAt.localeCompare(a.exportedAt));
+    }
+
+    /**
+     * Decide which backups a policy keeps, per project/environment/database series.
+     * Walking newest first, the newest backup of each of the last keepDaily days and
+     * keepWeekly ISO weeks is kept; everything else is removable.
+     */
+    static planRetention(entries: BackupEntry[], policy: RetentionPolicy, protectedPaths: string[] = []): RetentionPlan {
+        const series = new Map<string, BackupEntry[]>();
+        for (const entry of entries) {
+            const key = [this.safeName(entry.projectName), entry.environment.toLowerCase(), entry.databaseName.toLowerCase()].join('|');
+            if (!series.has(key)) {
+                series.set(key, []);
+            }
+            series.get(key)!.push(entry);
+        }
+
+        const plan: RetentionPlan = { keep: [], remove: [] };
+        const protectedSet = new Set(protectedPaths.map(filePath => path.resolve(filePath)));
+
+        for (const backups of series.values()) {
+            backups.sort((a, b) => b.exportedAt.localeCompare(a.exportedAt));
+            const days: string[] = [];
+            const weeks: string[] = [];
+
+            for (const entry of backups) {
+                const reasons: string[] = [];
+                const day = entry.exportedAt.slice(0, 10);
+                const week = this.isoWeek(entry.exportedAt);
+
+                if (days.length < policy.keepDaily && !days.includes(day)) {
+                    days.push(day);
+                    reasons.push(`daily ${day}`);
+                }
+                if (weeks.length < policy.keepWeekly && !weeks.includes(week)) {
+                    weeks.push(week);
+                    reasons.push(`weekly ${week}`);
+                }
+                if (protectedSet.has(path.resolve(entry.filePath))) {
+                    reasons.push('just downloaded');
+                }
+
+                if (reasons.length > 0) {
+                    plan.keep.push({ entry, reasons });
+                } else {
+                    plan.remove.push(entry);
+                }
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Apply a retention policy to catalogued backups
+     */
+    static async prune(
+        backupDirs: string[],
+        filter: BackupFilter,
+        policy: RetentionPolicy,
+        options: { dryRun?: boolean; protectedPaths?: string[] } = {}
+    ): Promise<PruneResult> {
+        const entries = await this.list(backupDirs, filter);
+        const plan = this.planRetention(entries, policy, options.protectedPaths);
+        const result: PruneResult = { ...plan, dryRun: !!options.dryRun, freedBytes: 0, errors: [] };
+
+        if (options.dryRun) {
+            result.freedBytes = plan.remove.reduce((sum, entry) => sum + entry.size, 0);
+            return result;
+        }
+
+        const removed: BackupEntry[] = [];
+        for (const entry of plan.remove) {
+            try {
+                await fs.promises.unlink(entry.filePath);
+            } catch (error: any) {
+                if (error.code !== 'ENOENT') {
+                    result.errors.push({ fileName: entry.fileName, error: error.message });
+                    continue;
+                }
+            }
+            removed.push(entry);
+            result.freedBytes += entry.size;
+            await this.update(path.dirname(entry.filePath), catalog => {
+                delete catalog.backups[entry.fileName];
+            });
+        }
+
+        result.remove = removed;
+        return result;
+    }
+
+    /**
+     * Run the project's retention after a download, scoped to the downloaded series.
+     * Never throws - a retention problem must not fail the download.
+     */
+    static async enforceRetention(entry: BackupEntry): Promise<PruneResult | null> {
+        let policy: RetentionPolicy;
+        try {
+            policy = this.getPolicy(entry.projectName);
+        } catch (error: any) {
+            // Never delete backups based on a policy we could not read
+            OutputLogger.warn(`⚠️  Backup retention skipped: ${error.message}`);
+            return null;
+        }
+        if (!policy.autoPrune) {
+            return null;
+        }
+        // Same rule as prune_backups: a policy that keeps nothing would remove every backup
+        if (policy.keepDaily < 1 && policy.keepWeekly < 1) {
+            OutputLogger.warn('⚠️  Backup retention skipped: keepDaily or keepWeekly must be at least 1');
+            return null;
+        }
+
+        try {
+            const result = await this.prune(
+                [path.dirname(entry.filePath)],
+                { projectName: entry.projectName, environment: entry.environment, databaseName: entry.databaseName },
+                policy,
+                { protectedPaths: [entry.filePath] }
+            );
+            if (result.remove.length > 0) {
+                OutputLogger.info(`🧹 Backup retention (${policy.keepDaily} daily, ${policy.keepWeekly} weekly) removed ${result.remove.length} old backup(s)`);
+            }
+            return result;
+        } catch (error: any) {
+            OutputLogger.warn(`⚠️  Backup retention failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    static matches(entry: BackupEntry, filter: BackupFilter): boolean {
+        if (filter.projectName && this.safeName(entry.projectName) !== this.safeName(filter.projectName)) {
+            return false;
+        }
+        if (filter.environment && entry.environment.toLowerCase() !== filter.environment.toLowerCase()) {
+            return false;
+        }
+        if (filter.databaseName && this.safeName(entry.databaseName) !== this.safeName(filter.databaseName)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Names as they appear in bacpac file names, compared case-insensitively
+     */
+    static safeName(name: string): string {
+        return name.replace(/[^a-zA-Z0-9-_]/g, '_').toLowerCase();
+    }
+
+    /**
+     * ISO-8601 week of a UTC timestamp, e.g. "2025-W05"
+     */
+    static isoWeek(timestamp: string): string {
+        const date = new Date(timestamp.slice(0, 10) + 'T00:00:00Z');
+        const dayOfWeek = date.getUTCDay() || 7;
+        // The Thursday of this week decides the ISO year
+        date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+        const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+        const week = Math.ceil(((date.getTime() - yearStart) / 86400000 + 1) / 7);
+        return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+
+    private static async load(backupDir: string): Promise<CatalogFile> {
+        try {
+            const content = JSON.parse(await fs.promises.readFile(this.getCatalogPath(backupDir), 'utf8')) as CatalogFile;
+            return { version: content.version || '1.0', backups: content.backups || {} };
+        } catch (error: any) {
+            if (error.code !== 'ENOENT') {
+                OutputLogger.warn(`⚠️  Rebuilding unreadable backup catalog in ${backupDir}: ${error.message}`);
+            }
+            return { version: '1.0', backups: {} };
+        }
+    }
+
+    /**
+     * Read-modify-write a folder's catalog under its write queue
+     */
+    private static async update<T>(backupDir: string, mutate: (catalog: CatalogFile) => T | Promise<T>): Promise<T> {
+        const catalogPath = this.getCatalogPath(backupDir);
+        const previous = this.writes.get(catalogPath) || Promise.resolve();
+
+        const write = previous.catch(() => {}).then(async () => {
+            const catalog = await this.load(backupDir);
+            const result = await mutate(catalog);
+
+            // Write then rename so a crash mid-write never leaves a truncated catalog
+            const tempPath = `${catalogPath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(catalog, null, 2), 'utf8');
+            await fs.promises.rename(tempPath, catalogPath);
+            return result;
+        });
+
+        this.writes.set(catalogPath, write);
+        try {
+            return await write;
+        } finally {
+            if (this.writes.get(catalogPath) === write) {
+                this.writes.delete(catalogPath);
+            }
+        }
+    }
+}
+
+export default BackupCatalog;
@@ -0,0 +1,713 @@
+/**
+ * Bacpac Inspector Module
+ * Reads a .bacpac (zip with model.xml, Origin.xml and per-table BCP data) without restoring it:
+ * model schema version, Episerver database version, tables with row counts and data sizes,
+ * and a diff between two exports
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import ZipReader, { ZipEntry } from './zip-reader';
+import OutputLogger from './output-logger';
+
+// Type definitions
+export type TableCategory = 'cms' | 'commerce' | 'other';
+
+export interface BacpacColumn {
+    name: string;
+    type: string;
+    nullable: boolean;
+    isMax: boolean;
+    length: number | null;
+    computed: boolean;
+}
+
+export interface BacpacTable {
+    schema: string;
+    name: string;
+    fullName: string;
+    category: TableCategory;
+    columns: BacpacColumn[];
+    dataFiles: number;
+    dataSize: number;
+    compressedSize: number;
+    rowCount: number | null;
+    rowCountNote?: string;
+}
+
+export interface BacpacOrigin {
+    exportStartedAt: string | null;
+    exportEndedAt: string | null;
+    productVersion: string | null;
+    serverVersion: string | null;
+    containsData: boolean | null;
+}
+
+export interface BacpacInspection {
+    filePath: string;
+    fileSize: number;
+    inspectedAt: string;
+    modelSchemaVersion: string | null;
+    targetPlatform: string | null;
+    episerverDatabaseVersion: number | null;
+    origin: BacpacOrigin;
+    rowsCounted: boolean;
+    tables: BacpacTable[];
+    totals: {
+        tables: number;
+        cmsTables: number;
+        commerceTables: number;
+        rows: number;
+        dataSize: number;
+        compressedSize: number;
+    };
+}
+
+export interface TableChange {
+    table: string;
+    category: TableCategory;
+    baseRows: number | null;
+    targetRows: number | null;
+    rowDelta: number | null;
+    rowChangePercent: number | null;
+    baseDataSize: number;
+    targetDataSize: number;
+    dataSizeDelta: number;
+    addedColumns: string[];
+    removedColumns: string[];
+}
+
+export interface BacpacDiff {
+    base: { filePath: string; modelSchemaVersion: string | null; episerverDatabaseVersion: number | null; exportedAt: string | null };
+    target: { filePath: string; modelSchemaVersion: string | null; episerverDatabaseVersion: number | null; exportedAt: string | null };
+    addedTables: string[];
+    removedTables: string[];
+    changedTables: TableChange[];
+    unchangedTables: number;
+    totals: { rowDelta: number; dataSizeDelta: number };
+    warnings: string[];
+}
+
+interface InspectOptions {
+    countRows?: boolean;
+}
+
+// Table name prefixes used by Optimizely (Episerver) CMS and Commerce
+const CMS_TABLE_PATTERNS = [/^tbl/i, /^AspNet/i, /^aspnet_/i];
+const COMMERCE_TABLE_PATTERNS = [
+    /^ecf/i, /^Catalog/i, /^NodeEntryRelation/i, /^CatalogEntry/i, /^Order/i, /^LineItem/i, /^Shipment/i,
+    /^Payment/i, /^Promotion/i, /^Campaign/i, /^Price/i, /^Market/i, /^Warehouse/i, /^Inventory/i,
+    /^Shipping/i, /^Tax/i, /^Jurisdiction/i, /^Currency/i, /^Country/i, /^StateProvince/i, /^Customer/i,
+    /^SerializableCart/i, /^Meta/i, /^mcmd_/i, /^mdp/i, /^cls_/i, /^Application/i
+];
+
+// A table losing more than this share of its rows between exports is called out
+const ROW_DROP_WARNING_RATIO = 0.5;
+
+/**
+ * BCP native-format field prefix length per SQL type
+ * 0 = fixed width (size in FIXED_SIZES), others = length prefix bytes
+ */
+const FIXED_SIZES: Record<string, number> = {
+    bit: 1, tinyint: 1, smallint: 2, int: 4, bigint: 8, real: 4, float: 8,
+    smallmoney: 4, money: 8, smalldatetime: 4, datetime: 8
+};
+const ONE_BYTE_PREFIX = ['decimal', 'numeric', 'uniqueidentifier', 'date', 'time', 'datetime2', 'datetimeoffset', 'timestamp', 'rowversion'];
+const TWO_BYTE_PREFIX = ['char', 'varchar', 'nchar', 'nvarchar', 'binary', 'varbinary', 'sysname'];
+const FOUR_BYTE_PREFIX = ['text', 'ntext', 'image'];
+const EIGHT_BYTE_PREFIX = ['xml', 'sql_variant', 'hierarchyid', 'geography', 'geometry'];
+
+export interface FieldSpec {
+    prefix: number;
+    fixed: number;
+}
+
+/**
+ * Hooks for rewriting a BCP stream: intercepted fields have their values collected and
+ * handed to onValue; every other byte (prefixes included) goes to onRaw unchanged, in order.
+ */
+export interface BcpFieldHooks {
+    intercept: Set<number>;
+    onRaw(bytes: Buffer): void;
+    onValue(field: number, value: Buffer | null): void;
+}
+
+/**
+ * Walks a BCP native-format stream by field length prefixes, counting rows.
+ * Values are skipped, never buffered (unless a hook intercepts the field), so
+ * max-length columns cost no memory.
+ */
+export class BcpReader {
+    rows: number;
+    private fields: FieldSpec[];
+    private hooks: BcpFieldHooks | null;
+    private field: number;
+    private skip: number;
+    private header: Buffer;
+    private headerHave: number;
+    private headerNeed: number;
+    private inChunkedValue: boolean;
+    private rowBytes: number;
+    private valueChunks: Buffer[];
+    private valueIsNull: boolean;
+
+    constructor(fields: FieldSpec[], hooks: BcpFieldHooks | null = null) {
+        this.fields = fields;
+        this.hooks = hooks;
+        this.rows = 0;
+        this.field = 0;
+        this.skip = 0;
+        this.header = Buffer.alloc(8);
+        this.headerHave = 0;
+        this.headerNeed = 0;
+        this.inChunkedValue = false;
+        this.rowBytes = 0;
+        this.valueChunks = [];
+        this.valueIsNull = false;
+        this.startField();
+    }
+
+    write(chunk: Buffer): void {
+        let pos = 0;
+        while (pos < chunk.length) {
+            const intercepted = this.isIntercepted();
+
+            if (this.skip > 0) {
+                const take = Math.min(this.skip, chunk.length - pos);
+                if (intercepted) {
+                    this.valueChunks.push(chunk.subarray(pos, pos + take));
+                } else if (this.hooks) {
+                    this.hooks.onRaw(chunk.subarray(pos, pos + take));
+                }
+                this.skip -= take;
+                this.rowBytes += take;
+                pos += take;
+                if (this.skip === 0) {
+                    this.valueDone();
+                }
+                continue;
+            }
+
+            const take = Math.min(this.headerNeed - this.headerHave, chunk.length - pos);
+            chunk.copy(this.header, this.headerHave, pos, pos + take);
+            if (!intercepted && this.hooks) {
+                this.hooks.onRaw(chunk.subarray(pos, pos + take));
+            }
+            this.headerHave += take;
+            this.rowBytes += take;
+            pos += take;
+            if (this.headerHave === this.headerNeed) {
+                this.headerDone();
+            }
+        }
+    }
+
+    /**
+     * True when the stream ended exactly on a row boundary
+     */
+    isAligned(): boolean {
+        return this.rowBytes === 0;
+    }
+
+    private isIntercepted(): boolean {
+        return this.hooks !== null && this.hooks.intercept.has(this.field);
+    }
+
+    private startField(): void {
+        const spec = this.fields[this.field];
+        this.headerHave = 0;
+        this.valueChunks = [];
+        this.valueIsNull = false;
+        if (spec.prefix === 0) {
+            this.headerNeed = 0;
+            this.skip = spec.fixed;
+        } else {
+            this.headerNeed = spec.prefix;
+        }
+    }
+
+    private headerDone(): void {
+        const need = this.headerNeed;
+        this.headerHave = 0;
+
+        // PLP chunk header inside a max-length value: 0 ends the value
+        if (this.inChunkedValue) {
+            const chunkLength = this.header.readUInt32LE(0);
+            if (chunkLength === 0) {
+                this.inChunkedValue = false;
+                this.nextField();
+            } else {
+                this.skip = chunkLength;
+            }
+            return;
+        }
+
+        let length: number;
+        if (need === 1) {
+            length = this.header[0] === 0xff ? -1 : this.header[0];
+        } else if (need === 2) {
+            length = this.header.readUInt16LE(0) === 0xffff ? -1 : this.header.readUInt16LE(0);
+        } else if (need === 4) {
+            length = this.header.readInt32LE(0);
+        } else {
+            const value = this.header.readBigInt64LE(0);
+            if (value === BigInt(-2)) {
+                // Unknown total length: 4-byte chunk lengths follow until a zero chunk
+                this.inChunkedValue = true;
+                this.headerNeed = 4;
+                return;
+            }
+            length = Number(value);
+        }
+
+        if (length <= 0) {
+            this.valueIsNull = length < 0;
+            this.nextField();
+        } else {
+            this.skip = length;
+        }
+    }
+
+    private valueDone(): void {
+        if (this.inChunkedValue) {
+            this.headerNeed = 4;
+            return;
+        }
+        this.nextField();
+    }
+
+    private nextField(): void {
+        if (this.isIntercepted()) {
+            this.hooks!.onValue(this.field, this.valueIsNull ? null : Buffer.concat(this.valueChunks));
+        }
+
+        this.field++;
+        if (this.field === this.fields.length) {
+            this.rows++;
+            this.rowBytes = 0;
+            this.field = 0;
+        }
+        this.startField();
+        // Zero-width fixed fields do not exist, but guard against spinning on one
+        if (this.headerNeed === 0 && this.skip === 0) {
+            this.nextField();
+        }
+    }
+}
+
+class BacpacInspector {
+    /**
+     * Inspect a local .bacpac
+     */
+    static async inspect(filePath: string, options: InspectOptions = {}): Promise<BacpacInspection> {
+        const countRows = options.countRows !== false;
+        const resolved = path.resolve(filePath);
+        const stats = await fs.promises.stat(resolved);
+        const zip = new ZipReader(resolved);
+
+        try {
+            await zip.open();
+            const modelEntry = zip.getEntry('model.xml');
+            if (!modelEntry) {
+                throw Object.assign(new Error(`Not a bacpac (model.xml missing): ${resolved}`), { code: 'INVALID_BACPAC' });
+            }
+
+            const model = this.parseModel((await zip.readEntry(modelEntry)).toString('utf8'));
+            const originEntry = zip.getEntry('Origin.xml');
+            const origin = originEntry
+                ? this.parseOrigin((await zip.readEntry(originEntry)).toString('utf8'))
+                : { exportStartedAt: null, exportEndedAt: null, productVersion: null, serverVersion: null, containsData: null };
+
+            const dataFiles = this.mapDataFiles(zip, model.tables);
+            for (const [table, entries] of dataFiles) {
+                for (const entry of entries) {
+                    table.dataFiles++;
+                    table.dataSize += entry.uncompressedSize;
+                    table.compressedSize += entry.compressedSize;
+                }
+            }
+
+            for (const table of model.tables) {
+                const entries = dataFiles.get(table) || [];
+                if (entries.length === 0) {
+                    table.rowCount = 0;
+                } else if (countRows) {
+                    await this.countTableRows(zip, table, entries);
+                }
+            }
+
+            const sorted = model.tables.sort((a, b) => b.dataSize - a.dataSize || a.fullName.localeCompare(b.fullName));
+            return {
+                filePath: resolved,
+                fileSize: stats.size,
+                inspectedAt: new Date().toISOString(),
+                modelSchemaVersion: model.schemaVersion,
+                targetPlatform: model.targetPlatform,
+                episerverDatabaseVersion: model.episerverDatabaseVersion,
+                origin,
+                rowsCounted: countRows,
+                tables: sorted,
+                totals: {
+                    tables: sorted.length,
+                    cmsTables: sorted.filter(table => table.category === 'cms').length,
+                    commerceTables: sorted.filter(table => table.category === 'commerce').length,
+                    rows: sorted.reduce((sum, table) => sum + (table.rowCount || 0), 0),
+                    dataSize: sorted.reduce((sum, table) => sum + table.dataSize, 0),
+                    compressedSize: sorted.reduce((sum, table) => sum + table.compressedSize, 0)
+                }
+            };
+        } finally {
+            await zip.close();
+        }
+    }
+
+    /**
+     * Compare two inspections (base = older/reference export, target = the one being checked)
+     */
+    static diff(base: BacpacInspection, target: BacpacInspection): BacpacDiff {
+        const baseTables = new Map(base.tables.map(table => [table.fullName.toLowerCase(), table]));
+        const targetTables = new Map(target.tables.map(table => [table.fullName.toLowerCase(), table]));
+        const warnings: string[] = [];
+
+        const addedTables = target.tables.filter(table => !baseTables.has(table.fullName.toLowerCase())).map(table => table.fullName);
+        const removedTables = base.tables.filter(table => !targetTables.has(table.fullName.toLowerCase())).map(table => table.fullName);
+        const changedTables: TableChange[] = [];
+        let unchangedTables = 0;
+
+        for (const targetTable of target.tables) {
+            const baseTable = baseTables.get(targetTable.fullName.toLowerCase());
+            if (!baseTable) {
+                continue;
+            }
+
+            const baseColumns = baseTable.columns.map(column => column.name);
+            const targetColumns = targetTable.columns.map(column => column.name);
+            const rowDelta = baseTable.rowCount !== null && targetTable.rowCount !== null
+                ? targetTable.rowCount - baseTable.rowCount
+                : null;
+            const change: TableChange = {
+                table: targetTable.fullName,
+                category: targetTable.category,
+                baseRows: baseTable.rowCount,
+                targetRows: targetTable.rowCount,
+                rowDelta,
+                rowChangePercent: rowDelta !== null && baseTable.rowCount
+                    ? Math.round((rowDelta / baseTable.rowCount) * 1000) / 10
+                    : null,
+                baseDataSize: baseTable.dataSize,
+                targetDataSize: targetTable.dataSize,
+                dataSizeDelta: targetTable.dataSize - baseTable.dataSize,
+                addedColumns: targetColumns.filter(name => !baseColumns.includes(name)),
+                removedColumns: baseColumns.filter(name => !targetColumns.includes(name))
+            };
+
+            if (!change.rowDelta && change.dataSizeDelta === 0 && change.addedColumns.length === 0 && change.removedColumns.length === 0) {
+                unchangedTables++;
+                continue;
+            }
+            changedTables.push(change);
+
+            if (baseTable.rowCount && targetTable.rowCount === 0) {
+                warnings.push(`${targetTable.fullName} is empty (had ${baseTable.rowCount} rows)`);
+            } else if (rowDelta !== null && baseTable.rowCount && -rowDelta / baseTable.rowCount > ROW_DROP_WARNING_RATIO) {
+                warnings.push(`${targetTable.fullName} lost ${-rowDelta} of ${baseTable.rowCount} rows`);
+            }
+        }
+
+        if (removedTables.length > 0) {
+            warnings.push(`${removedTables.length} table(s) missing from the target export`);
+        }
+        if (base.episerverDatabaseVersion !== target.episerverDatabaseVersion) {
+            warnings.push(`Episerver database version differs: ${base.episerverDatabaseVersion ?? 'unknown'} → ${target.episerverDatabaseVersion ?? 'unknown'}`);
+        }
+
+        changedTables.sort((a, b) => Math.abs(b.rowDelta || 0) - Math.abs(a.rowDelta || 0) || Math.abs(b.dataSizeDelta) - Math.abs(a.dataSizeDelta));
+
+        const summary = (inspection: BacpacInspection) => ({
+            filePath: inspection.filePath,
+            modelSchemaVersion: inspection.modelSchemaVersion,
+            episerverDatabaseVersion: inspection.episerverDatabaseVersion,
+            exportedAt: inspection.origin.exportEndedAt || inspection.origin.exportStartedAt
+        });
+
+        return {
+            base: summary(base),
+            target: summary(target),
+            addedTables,
+            removedTables,
+            changedTables,
+            unchangedTables,
+            totals: {
+                rowDelta: target.totals.rows - base.totals.rows,
+                dataSizeDelta: target.totals.dataSize - base.totals.dataSize
+            },
+            warnings
+        };
+    }
+
+    static categorize(tableName: string): TableCategory {
+        if (COMMERCE_TABLE_PATTERNS.some(pattern => pattern.test(tableName))) {
+            return 'commerce';
+        }
+        if (CMS_TABLE_PATTERNS.some(pattern => pattern.test(tableName))) {
+            return 'cms';
+        }
+        return 'other';
+    }
+
+    /**
+     * Group the archive's Data/<schema>.<table>/*.BCP entries by model table
+     */
+    static mapDataFiles(zip: ZipReader, tables: BacpacTable[]): Map<BacpacTable, ZipEntry[]> {
+        const byName = new Map(tables.map(table => [table.fullName.toLowerCase(), table]));
+        const dataFiles = new Map<BacpacTable, ZipEntry[]>();
+
+        for (const entry of zip.getEntries()) {
+            const match = this.decodeName(entry.name).match(/^Data\/(.+)\/[^/]+\.BCP$/i);
+            const table = match ? byName.get(match[1].toLowerCase()) : undefined;
+            if (!table) {
+                continue;
+            }
+            if (!dataFiles.has(table)) {
+                dataFiles.set(table, []);
+            }
+            dataFiles.get(table)!.push(entry);
+        }
+
+        return dataFiles;
+    }
+
+    /**
+     * Stream a table's BCP files through the row counter
+     */
+    static async countTableRows(zip: ZipReader, table: BacpacTable, entries: ZipEntry[]): Promise<void> {
+        const fields = table.columns.filter(column => !column.computed).map(column => this.fieldSpec(column));
+        if (fields.length === 0 || fields.some(field => field === null)) {
+            const unsupported = table.columns.filter(column => !column.computed && !this.fieldSpec(column)).map(column => `${column.name} (${column.type})`);
+            table.rowCountNote = `Row count unavailable: unsupported column type ${unsupported.join(', ')}`;
+            return;
+        }
+
+        let rows = 0;
+        for (const entry of entries) {
+            const counter = new BcpReader(fields as FieldSpec[]);
+            for await (const chunk of await zip.openStream(entry)) {
+                counter.write(chunk as Buffer);
+            }
+            if (!counter.isAligned()) {
+                OutputLogger.debug(`[BACPAC] ${entry.name} did not end on a row boundary`);
+                table.rowCountNote = 'Row count unavailable: data file layout not recognised';
+                return;
+            }
+            rows += counter.rows;
+        }
+        table.rowCount = rows;
+    }
+
+    static fieldSpec(column: BacpacColumn): FieldSpec | null {
+        const type = column.type.toLowerCase();
+        if (column.isMax || EIGHT_BYTE_PREFIX.includes(type)) {
+            return { prefix: 8, fixed: 0 };
+        }
+        if (FIXED_SIZES[type] !== undefined) {
+            return column.nullable ? { prefix: 1, fixed: 0 } : { prefix: 0, fixed: FIXED_SIZES[type] };
+        }
+        if (ONE_BYTE_PREFIX.includes(type)) {
+            return { prefix: 1, fixed: 0 };
+        }
+        if (TWO_BYTE_PREFIX.includes(type)) {
+            return { prefix: 2, fixed: 0 };
+        }
+        if (FOUR_BYTE_PREFIX.includes(type)) {
+            return { prefix: 4, fixed: 0 };
+        }
+        return null;
+    }
+
+    /**
+     * Pull tables, columns and versions out of model.xml
+     */
+    static parseModel(xml: string): {
+        schemaVersion: string | null;
+        targetPlatform: string | null;
+        episerverDatabaseVersion: number | null;
+        tables: BacpacTable[];
+    } {
+        const result = {
+            schemaVersion: null as string | null,
+            targetPlatform: null as string | null,
+            episerverDatabaseVersion: null as number | null,
+            tables: [] as BacpacTable[]
+        };
+
+        // Stack of open elements; each frame remembers its tag and attributes
+        const stack: Array<{ tag: string; attrs: Record<string, string> }> = [];
+        let table: BacpacTable | null = null;
+        let tableDepth = -1;
+        let column: BacpacColumn | null = null;
+        let columnDepth = -1;
+        let inVersionProcedure = false;
+        let procedureDepth = -1;
+
+        const token = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        let match: RegExpExecArray | null;
+
+        while ((match = token.exec(xml)) !== null) {
+            if (match[1] !== undefined) {
+                // CDATA: only the Episerver version procedure body matters
+                if (inVersionProcedure && result.episerverDatabaseVersion === null) {
+                    const version = match[1].match(/RETURN\s+(\d+)/i);
+                    if (version) {
+                        result.episerverDatabaseVersion = parseInt(version[1], 10);
+                    }
+                }
+                continue;
+            }
+            if (!match[3]) {
+                continue;
+            }
+
+            const closing = match[2] === '/';
+            const tag = match[3];
+            const selfClosing = match[5] === '/';
+
+            if (closing) {
+                stack.pop();
+                if (column && stack.length === columnDepth) {
+                    table!.columns.push(column);
+                    column = null;
+                } else if (table && stack.length === tableDepth) {
+                    result.tables.push(table);
+                    table = null;
+                } else if (inVersionProcedure && stack.length === procedureDepth) {
+                    inVersionProcedure = false;
+                }
+                continue;
+            }
+
+            const attrs = this.parseAttributes(match[4]);
+            const parent = stack[stack.length - 1];
+
+            if (tag === 'DataSchemaModel') {
+                result.schemaVersion = attrs.SchemaVersion || null;
+                result.targetPlatform = attrs.DspName ? attrs.DspName.replace(/^.*\.(\w+)DatabaseSchemaProvider$/, '$1') : null;
+            } else if (tag === 'Element' && parent && parent.tag === 'Model') {
+                if (attrs.Type === 'SqlTable') {
+                    const names = this.splitName(attrs.Name);
+                    if (names.length === 2) {
+                        table = {
+                            schema: names[0],
+                            name: names[1],
+                            fullName: `${names[0]}.${names[1]}`,
+                            category: this.categorize(names[1]),
+                            columns: [],
+                            dataFiles: 0,
+                            dataSize: 0,
+                            compressedSize: 0,
+                            rowCount: null
+                        };
+                        tableDepth = stack.length;
+                    }
+                } else if (attrs.Type === 'SqlProcedure' && /\[sp_DatabaseVersion\]$/i.test(attrs.Name || '')) {
+                    inVersionProcedure = true;
+                    procedureDepth = stack.length;
+                }
+            } else if (table && !column && tag === 'Element' && /^Sql(Simple|Computed)Column$/.test(attrs.Type || '')) {
+                const grandparent = stack[stack.length - 2];
+                if (grandparent && grandparent.tag === 'Relationship' && grandparent.attrs.Name === 'Columns') {
+                    const names = this.splitName(attrs.Name);
+                    column = {
+                        name: names[names.length - 1] || attrs.Name,
+                        type: attrs.Type === 'SqlComputedColumn' ? 'computed' : 'unknown',
+                        nullable: true,
+                        isMax: false,
+                        length: null,
+                        computed: attrs.Type === 'SqlComputedColumn'
+                    };
+                    columnDepth = stack.length;
+                }
+            } else if (column && tag === 'Property') {
+                if (attrs.Name === 'IsNullable') {
+                    column.nullable = attrs.Value !== 'False';
+                } else if (attrs.Name === 'IsMax') {
+                    column.isMax = attrs.Value === 'True';
+                } else if (attrs.Name === 'Length') {
+                    column.length = parseInt(attrs.Value, 10) || null;
+                }
+            } else if (column && !column.computed && column.type === 'unknown' && tag === 'References') {
+                const relationship = stack[stack.length - 2];
+                if (relationship && relationship.tag === 'Relationship' && relationship.attrs.Name === 'Type') {
+                    column.type = this.splitName(attrs.Name).pop() || attrs.Name;
+                }
+            }
+
+            if (!selfClosing) {
+                stack.push({ tag, attrs });
+            }
+        }
+
+        return result;
+    }
+
+    static parseOrigin(xml: string): BacpacOrigin {
+        const value = (tag: string): string | null => {
+            const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+            return match ? this.decodeEntities(match[1].trim()) : null;
+        };
+        const containsData = value('ContainsExportedData');
+
+        return {
+            exportStartedAt: value('Start'),
+            exportEndedAt: value('End'),
+            productVersion: value('ProductVersion'),
+            serverVersion: value('ServerVersion'),
+            containsData: containsData === null ? null : containsData.toLowerCase() === 'true'
+        };
+    }
+
+    /**
+     * "[dbo].[tblContent].[pkID]" → ["dbo", "tblContent", "pkID"]
+     */
+    static splitName(name: string = ''): string[] {
+        const parts: string[] = [];
+        const pattern = /\[((?:[^\]]|\]\])*)\]/g;
+        let match: RegExpExecArray | null;
+        while ((match = pattern.exec(name)) !== null) {
+            parts.push(match[1].replace(/\]\]/g, ']'));
+        }
+        return parts;
+    }
+
+    private static parseAttributes(source: string): Record<string, string> {
+        const attrs: Record<string, string> = {};
+        const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match: RegExpExecArray | null;
+        while ((match = pattern.exec(source)) !== null) {
+            attrs[match[1]] = this.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+        }
+        return attrs;
+    }
+
+    private static decodeEntities(value: string): string {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Package part names may be percent-encoded
+     */
+    private static decodeName(name: string): string {
+        try {
+            return decodeURIComponent(name);
+        } catch {
+            return name;
+        }
+    }
+}
+
+export default BacpacInspector;
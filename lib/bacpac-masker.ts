@@ -0,0 +1,527 @@
+/**
+ * Bacpac Masker Module
+ * Writes a sanitized copy of a .bacpac by rewriting table data with per-project masking rules
+ * (hash, fake, null, truncate). model.xml and every unmasked table are copied unchanged.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ *
+ * Per-project rules (DXP_MASKING_RULES_FILE, default ~/.optimizely-dxp/masking-rules.json).
+ * Table and column names accept * wildcards; the first matching rule wins. A project's
+ * "rules" list replaces the default one.
+ * {
+ *   "default": {
+ *     "salt": "change-me",
+ *     "rules": [
+ *       { "table": "tblUser*", "column": "Email", "action": "fake", "fake": "email" },
+ *       { "table": "cls_Contact", "column": "*Name", "action": "fake", "fake": "name" },
+ *       { "table": "OrderGroupAddress", "column": "Line1", "action": "hash" },
+ *       { "table": "*", "column": "PasswordHash", "action": "null" },
+ *       { "table": "tblComment", "column": "Body", "action": "truncate", "length": 20 }
+ *     ]
+ *   },
+ *   "projects": { "ACME": { "autoMask": true } }
+ * }
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { Transform } from 'stream';
+import ZipReader from './zip-reader';
+import ZipWriter from './zip-writer';
+import BacpacInspector, { BacpacColumn, BacpacTable, BcpReader, FieldSpec } from './bacpac-inspector';
+import ProjectSettingsFile from './project-settings-file';
+import OutputLogger from './output-logger';
+
+const { getGlobalAuditLogger } = require('./audit-logger');
+
+// Type definitions
+export type MaskAction = 'hash' | 'fake' | 'null' | 'truncate';
+export type FakeKind = 'email' | 'name' | 'firstName' | 'lastName' | 'phone' | 'address' | 'text';
+
+export interface MaskingRule {
+    table: string;
+    column: string;
+    action: MaskAction;
+    fake?: FakeKind;
+    length?: number;
+}
+
+export interface MaskingSettings {
+    rules?: MaskingRule[];
+    salt?: string;
+    autoMask?: boolean;
+}
+
+export interface MaskedColumn {
+    table: string;
+    column: string;
+    type: string;
+    action: MaskAction;
+    fake?: FakeKind;
+    length?: number;
+    rule: number;
+    valuesMasked: number;
+    nullsSkipped: number;
+}
+
+export interface MaskingPlan {
+    columns: MaskedColumn[];
+    errors: string[];
+    unusedRules: number[];
+}
+
+export interface MaskingReport {
+    sourcePath: string;
+    outputPath: string;
+    reportPath: string | null;
+    projectName: string | null;
+    startedAt: string;
+    durationMs: number;
+    rulesFile: string;
+    salted: boolean;
+    tablesRewritten: number;
+    rowsRewritten: number;
+    valuesMasked: number;
+    columns: MaskedColumn[];
+    unusedRules: MaskingRule[];
+}
+
+interface MaskOptions {
+    outputPath?: string;
+    projectName?: string;
+    rules?: MaskingRule[];
+    salt?: string;
+    source?: string;
+}
+
+const MASK_ACTIONS: MaskAction[] = ['hash', 'fake', 'null', 'truncate'];
+const UNICODE_TYPES = ['nchar', 'nvarchar', 'ntext', 'sysname'];
+const TEXT_TYPES = ['char', 'varchar', 'text', ...UNICODE_TYPES];
+const BINARY_TYPES = ['binary', 'varbinary', 'image'];
+const FIXED_LENGTH_TYPES = ['char', 'nchar', 'binary'];
+
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn', 'Robin', 'Drew'];
+const LAST_NAMES = ['Smith', 'Johnson', 'Lee', 'Brown', 'Garcia', 'Miller', 'Davis', 'Wilson', 'Moore', 'Clark', 'Lewis', 'Walker'];
+const STREETS = ['Main', 'Oak', 'Maple', 'Cedar', 'Pine', 'Elm', 'Lake', 'Hill', 'Park', 'River'];
+const LOREM = 'Lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore magna aliqua ';
+
+class BacpacMasker {
+    private static settings = new ProjectSettingsFile<MaskingSettings>('DXP_MASKING_RULES_FILE', 'masking-rules.json');
+
+    static getRulesFilePath(): string {
+        return this.settings.getPath();
+    }
+
+    static getSettings(projectName?: string): MaskingSettings {
+        return this.settings.getProjectSettings(projectName) || {};
+    }
+
+    /**
+     * Match rules against the model: which columns get which action, and which rules cannot apply
+     */
+    static plan(tables: BacpacTable[], rules: MaskingRule[]): MaskingPlan {
+        const plan: MaskingPlan = { columns: [], errors: [], unusedRules: [] };
+        const used = new Set<number>();
+
+        rules.forEach((rule, index) => {
+            if (!rule || !rule.table || !rule.column || !MASK_ACTIONS.includes(rule.action)) {
+                plan.errors.push(`Rule ${index + 1}: needs table, column and an action of ${MASK_ACTIONS.join(', ')}`);
+            }
+        });
+        if (plan.errors.length > 0) {
+            return plan;
+        }
+
+        for (const table of tables) {
+            for (const column of table.columns) {
+                if (column.computed) {
+                    continue;
+                }
+
+                const index = rules.findIndex(rule =>
+                    (this.globMatch(rule.table, table.name) || this.globMatch(rule.table, table.fullName)) &&
+                    this.globMatch(rule.column, column.name));
+                if (index === -1) {
+                    continue;
+                }
+
+                used.add(index);
+                const rule = rules[index];
+                const problem = this.checkRule(rule, column);
+                if (problem) {
+                    plan.errors.push(`${table.fullName}.${column.name} (${column.type}): ${problem} (rule ${index + 1})`);
+                    continue;
+                }
+                if (!BacpacInspector.fieldSpec(column) || table.columns.some(other => !other.computed && !BacpacInspector.fieldSpec(other))) {
+                    plan.errors.push(`${table.fullName}: table data uses a column type the masker cannot rewrite (rule ${index + 1})`);
+                    continue;
+                }
+
+                plan.columns.push({
+                    table: table.fullName,
+                    column: column.name,
+                    type: column.type,
+                    action: rule.action,
+                    fake: rule.action === 'fake' ? rule.fake || 'text' : undefined,
+                    length: rule.action === 'truncate' ? rule.length || 0 : undefined,
+                    rule: index + 1,
+                    valuesMasked: 0,
+                    nullsSkipped: 0
+                });
+            }
+        }
+
+        plan.unusedRules = rules.map((_, index) => index).filter(index => !used.has(index));
+        return plan;
+    }
+
+    /**
+     * Plan masking for a bacpac without writing anything (dry run)
+     */
+    static async preview(sourcePath: string, options: MaskOptions = {}): Promise<{ plan: MaskingPlan; rules: MaskingRule[]; outputPath: string }> {
+        const rules = options.rules || this.getSettings(options.projectName).rules || [];
+        const zip = new ZipReader(path.resolve(sourcePath));
+        try {
+            await zip.open();
+            const modelEntry = zip.getEntry('model.xml');
+            if (!modelEntry) {
+                throw Object.assign(new Error(`Not a bacpac (model.xml missing): ${sourcePath}`), { code: 'INVALID_BACPAC' });
+            }
+            const model = BacpacInspector.parseModel((await zip.readEntry(modelEntry)).toString('utf8'));
+            return { plan: this.plan(model.tables, rules), rules, outputPath: this.getOutputPath(sourcePath, options.outputPath) };
+        } finally {
+            await zip.close();
+        }
+    }
+
+    static getOutputPath(sourcePath: string, outputPath?: string): string {
+        return path.resolve(outputPath || path.resolve(sourcePath).replace(/\.bacpac$/i, '') + '.masked.bacpac');
+    }
+
+    /**
+     * Write a masked copy of a bacpac and audit it
+     * @throws when no rules apply or a rule cannot be applied to its column - nothing is written then
+     */
+    static async mask(sourcePath: string, options: MaskOptions = {}): Promise<MaskingReport> {
+        const startedAt = new Date();
+        const settings = this.getSettings(options.projectName);
+        const rules = options.rules || settings.rules || [];
+        const resolved = path.resolve(sourcePath);
+        const outputPath = this.getOutputPath(resolved, options.outputPath);
+
+        if (outputPath === resolved) {
+            throw Object.assign(new Error('outputPath must differ from the source bacpac'), { code: 'INVALID_MASKING' });
+        }
+        if (rules.length === 0) {
+            throw Object.assign(new Error(`No masking rules configured for ${options.projectName || 'this project'} in ${this.getRulesFilePath()}`), { code: 'INVALID_MASKING' });
+        }
+
+        // Without a configured salt hashes are still one-way, but differ between runs
+        const salt = options.salt || settings.salt || crypto.randomBytes(16).toString('hex');
+        const salted = !!(options.salt || settings.salt);
+
+        const zip = new ZipReader(resolved);
+        const tempPath = `${outputPath}.tmp`;
+        let writer: ZipWriter | null = null;
+
+        try {
+            await zip.open();
+            const modelEntry = zip.getEntry('model.xml');
+            if (!modelEntry) {
+                throw Object.assign(new Error(`Not a bacpac (model.xml missing): ${resolved}`), { code: 'INVALID_BACPAC' });
+            }
+            const model = BacpacInspector.parseModel((await zip.readEntry(modelEntry)).toString('utf8'));
+            const plan = this.plan(model.tables, rules);
+
+            if (plan.errors.length > 0) {
+                throw Object.assign(new Error(`Masking rules cannot be applied:\n${plan.errors.join('\n')}`), { code: 'INVALID_MASKING' });
+            }
+            if (plan.columns.length === 0) {
+                throw Object.assign(new Error('No masking rule matched a column in this bacpac'), { code: 'INVALID_MASKING' });
+            }
+
+            const dataFiles = BacpacInspector.mapDataFiles(zip, model.tables);
+            const maskedEntries = new Map<string, BacpacTable>();
+            for (const table of model.tables) {
+                if (plan.columns.some(column => column.table === table.fullName)) {
+                    for (const entry of dataFiles.get(table) || []) {
+                        maskedEntries.set(entry.name, table);
+                    }
+                }
+            }
+
+            writer = new ZipWriter(tempPath);
+            await writer.open();
+            let rowsRewritten = 0;
+
+            for (const entry of zip.getEntries()) {
+                const table = maskedEntries.get(entry.name);
+                if (!table) {
+                    await writer.addRaw(zip, entry);
+                    continue;
+                }
+
+                OutputLogger.debug(`[MASKING] Rewriting ${entry.name}`);
+                const transform = this.createTableTransform(table, plan.columns.filter(column => column.table === table.fullName), salt);
+                await writer.addStream(entry.name, (await zip.openStream(entry)).pipe(transform.stream), entry.uncompressedSize);
+                if (!transform.reader.isAligned()) {
+                    throw new Error(`${entry.name} did not end on a row boundary - the column layout was not recognised, nothing was written`);
+                }
+                rowsRewritten += transform.reader.rows;
+            }
+
+            await writer.close();
+            writer = null;
+            await fs.promises.rename(tempPath, outputPath);
+
+            const report: MaskingReport = {
+                sourcePath: resolved,
+                outputPath,
+                reportPath: null,
+                projectName: options.projectName || null,
+                startedAt: startedAt.toISOString(),
+                durationMs: Date.now() - startedAt.getTime(),
+                rulesFile: this.getRulesFilePath(),
+                salted,
+                tablesRewritten: new Set(maskedEntries.values()).size,
+                rowsRewritten,
+                valuesMasked: plan.columns.reduce((sum, column) => sum + column.valuesMasked, 0),
+                columns: plan.columns,
+                unusedRules: plan.unusedRules.map(index => rules[index])
+            };
+
+            report.reportPath = outputPath.replace(/\.bacpac$/i, '') + '.masking-report.json';
+            await fs.promises.writeFile(report.reportPath, JSON.stringify(report, null, 2), 'utf8');
+            await this.audit(report, options.source || 'mask_bacpac');
+            return report;
+        } catch (error) {
+            if (writer) {
+                await writer.abort();
+            }
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        } finally {
+            await zip.close();
+        }
+    }
+
+    /**
+     * BCP rewriting transform for one table's data file
+     */
+    static createTableTransform(table: BacpacTable, masked: MaskedColumn[], salt: string): { stream: Transform; reader: BcpReader } {
+        const columns = table.columns.filter(column => !column.computed);
+        const fields = columns.map(column => BacpacInspector.fieldSpec(column) as FieldSpec);
+        const byField = new Map<number, MaskedColumn>();
+        columns.forEach((column, index) => {
+            const target = masked.find(entry => entry.column === column.name);
+            if (target) {
+                byField.set(index, target);
+            }
+        });
+
+        let output: Buffer[] = [];
+        const reader = new BcpReader(fields, {
+            intercept: new Set(byField.keys()),
+            onRaw: bytes => output.push(Buffer.from(bytes)),
+            onValue: (field, value) => {
+                const target = byField.get(field)!;
+                const column = columns[field];
+                if (value === null) {
+                    target.nullsSkipped++;
+                    output.push(this.encodeField(fields[field], null));
+                    return;
+                }
+                target.valuesMasked++;
+                output.push(this.encodeField(fields[field], this.maskValue(value, column, target, salt)));
+            }
+        });
+
+        const stream = new Transform({
+            transform(chunk: Buffer, _encoding, callback) {
+                try {
+                    reader.write(chunk);
+                    const out = Buffer.concat(output);
+                    output = [];
+                    callback(null, out);
+                } catch (error) {
+                    callback(error as Error);
+                }
+            }
+        });
+
+        return { stream, reader };
+    }
+
+    /**
+     * New value for one field, in the column's storage encoding
+     */
+    static maskValue(value: Buffer, column: BacpacColumn, target: MaskedColumn, salt: string): Buffer | null {
+        const type = column.type.toLowerCase();
+        const digest = crypto.createHash('sha256').update(salt).update(value).digest();
+
+        if (target.action === 'null') {
+            return null;
+        }
+
+        if (type === 'uniqueidentifier') {
+            return digest.subarray(0, 16);
+        }
+
+        if (BINARY_TYPES.includes(type)) {
+            const bytes = target.action === 'truncate'
+                ? value.subarray(0, target.length || 0)
+                : digest;
+            return this.fitBinary(bytes, column);
+        }
+
+        const unicode = UNICODE_TYPES.includes(type);
+        const original = value.toString(unicode ? 'utf16le' : 'latin1');
+        let text: string;
+        if (target.action === 'truncate') {
+            text = original.slice(0, target.length || 0);
+        } else if (target.action === 'hash') {
+            text = digest.toString('hex');
+        } else {
+            text = this.fakeValue(target.fake || 'text', digest, original.length, column.length && !column.isMax ? column.length : Infinity);
+        }
+
+        return this.fitText(text, column, unicode);
+    }
+
+    /**
+     * Deterministic fake value for a field's salted digest
+     * Every kind carries a tag from the digest, so distinct originals stay distinct (unique
+     * indexes survive the import) and equal originals still match across tables.
+     */
+    static fakeValue(kind: FakeKind, digest: Buffer, originalLength: number, maxLength: number = Infinity): string {
+        const pick = (list: string[], byte: number) => list[digest[byte] % list.length];
+        const number = digest.readUInt32LE(0);
+        const tag = digest.toString('hex').slice(0, 12);
+        // Shorten the readable part rather than the tag when the column is narrow
+        const tagged = (readable: string, separator: string) => {
+            const room = maxLength - tag.length - separator.length;
+            return room > 0 ? `${readable.slice(0, room)}${separator}${tag}` : tag;
+        };
+
+        switch (kind) {
+            case 'email':
+                return `user-${digest.toString('hex').slice(0, 16)}@example.com`;
+            case 'firstName':
+                return tagged(pick(FIRST_NAMES, 1), '-');
+            case 'lastName':
+                return tagged(pick(LAST_NAMES, 2), '-');
+            case 'name':
+                return tagged(`${pick(FIRST_NAMES, 1)} ${pick(LAST_NAMES, 2)}`, '-');
+            case 'phone':
+                return `+1-555-${(digest.readBigUInt64LE(8) % BigInt(1e12)).toString().padStart(12, '0')}`;
+            case 'address':
+                return tagged(`${(number % 9000) + 100} ${pick(STREETS, 3)} Street`, ' #');
+            default: {
+                const length = Math.max(originalLength, tag.length);
+                return `${tag} ${LOREM.repeat(Math.ceil(length / LOREM.length))}`.slice(0, length);
+            }
+        }
+    }
+
+    /**
+     * Encode a field value with the field's BCP length prefix
+     */
+    static encodeField(spec: FieldSpec, value: Buffer | null): Buffer {
+        if (spec.prefix === 0) {
+            return value || Buffer.alloc(spec.fixed);
+        }
+
+        const header = Buffer.alloc(spec.prefix);
+        if (spec.prefix === 1) {
+            header[0] = value === null ? 0xff : value.length;
+        } else if (spec.prefix === 2) {
+            header.writeUInt16LE(value === null ? 0xffff : value.length, 0);
+        } else if (spec.prefix === 4) {
+            header.writeInt32LE(value === null ? -1 : value.length, 0);
+        } else {
+            header.writeBigInt64LE(BigInt(value === null ? -1 : value.length), 0);
+        }
+        return value === null ? header : Buffer.concat([header, value]);
+    }
+
+    static globMatch(pattern: string, value: string): boolean {
+        const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+        return regex.test(value);
+    }
+
+    /**
+     * Why a rule cannot apply to a column, or null when it can
+     */
+    private static checkRule(rule: MaskingRule, column: BacpacColumn): string | null {
+        const type = column.type.toLowerCase();
+        if (rule.action === 'null') {
+            return column.nullable ? null : 'column is NOT NULL, use hash, fake or truncate';
+        }
+        if (rule.action === 'truncate') {
+            if (!TEXT_TYPES.includes(type) && !BINARY_TYPES.includes(type)) {
+                return 'truncate needs a text or binary column';
+            }
+            return rule.length !== undefined && (!Number.isInteger(rule.length) || rule.length < 0) ? 'length must be a whole number >= 0' : null;
+        }
+        if (rule.action === 'hash') {
+            return TEXT_TYPES.includes(type) || BINARY_TYPES.includes(type) || type === 'uniqueidentifier'
+                ? null
+                : 'hash needs a text, binary or uniqueidentifier column';
+        }
+        return TEXT_TYPES.includes(type) ? null : 'fake needs a text column';
+    }
+
+    /**
+     * Cut to the column length (characters for text) and pad fixed-length columns
+     */
+    private static fitText(text: string, column: BacpacColumn, unicode: boolean): Buffer {
+        const type = column.type.toLowerCase();
+        let result = column.length && !column.isMax ? text.slice(0, column.length) : text;
+        if (FIXED_LENGTH_TYPES.includes(type) && column.length) {
+            result = result.padEnd(column.length, ' ');
+        }
+        return Buffer.from(result, unicode ? 'utf16le' : 'latin1');
+    }
+
+    private static fitBinary(bytes: Buffer, column: BacpacColumn): Buffer {
+        let result = column.length && !column.isMax ? bytes.subarray(0, column.length) : bytes;
+        if (FIXED_LENGTH_TYPES.includes(column.type.toLowerCase()) && column.length && result.length < column.length) {
+            result = Buffer.concat([result, Buffer.alloc(column.length - result.length)]);
+        }
+        return result;
+    }
+
+    private static async audit(report: MaskingReport, source: string): Promise<void> {
+        try {
+            await getGlobalAuditLogger().logOperation({
+                operation: 'mask_bacpac',
+                operation_type: 'database',
+                status: 'success',
+                user: { id: 'system' },
+                request: {
+                    tool: source,
+                    parameters: { sourcePath: report.sourcePath, outputPath: report.outputPath }
+                },
+                response: {
+                    result: 'success',
+                    duration_ms: report.durationMs
+                },
+                tags: ['masking'],
+                metadata: {
+                    project_name: report.projectName,
+                    rules_file: report.rulesFile,
+                    salted: report.salted,
+                    tables_rewritten: report.tablesRewritten,
+                    rows_rewritten: report.rowsRewritten,
+                    values_masked: report.valuesMasked,
+                    columns: report.columns.map(column => `${column.table}.${column.column}:${column.action}`),
+                    report_path: report.reportPath
+                }
+            });
+        } catch (error) {
+            console.error(`Failed to audit masking: ${(error as Error).message}`);
+        }
+    }
+}
+
+export default BacpacMasker;
@@ -5,6 +5,7 @@
  */
 
 // import ENVIRONMENTS - unused
+import MaintenanceWindows, { WindowCheck } from './maintenance-windows';
 
 // Type definitions
 interface DeploymentWarning {
@@ -78,10 +79,22 @@ interface ConcurrentCheck {
 
 interface TimingOptions {
     targetEnvironment?: string;
+    projectName?: string;
+    at?: Date;
+}
+
+interface PackageValidation {
+    valid: boolean;
+    error?: string;
+    suggestion?: string;
+    packageType?: 'cms' | 'commerce' | 'database';
 }
 
 interface TimingValidation {
     valid: boolean;
+    error?: string;
+    suggestion?: string;
+    window?: WindowCheck;
     warnings: DeploymentWarning[];
     currentTime: string;
     isPeakHours: boolean;
@@ -361,6 +374,46 @@ class DeploymentValidator {
         };
     }
 
+    /**
+     * Validate package file name against DXP naming conventions
+     * DXP rejects packages that don't follow <name>.cms.app.<version>.nupkg,
+     * <name>.commerce.app.<version>.nupkg or <name>.sqlbacpac
+     */
+    static validatePackageName(fileName: string): PackageValidation {
+        const patterns: Array<{ type: 'cms' | 'commerce' | 'database'; regex: RegExp }> = [
+            { type: 'cms', regex: /^.+\.cms\.app\..+\.nupkg$/i },
+            { type: 'commerce', regex: /^.+\.commerce\.app\..+\.nupkg$/i },
+            { type: 'database', regex: /^.+\.sqlbacpac$/i }
+        ];
+
+        if (!fileName || !fileName.trim()) {
+            return {
+                valid: false,
+                error: 'Package file name is required',
+                suggestion: 'Provide the path to a .nupkg or .sqlbacpac package'
+            };
+        }
+
+        if (/[\\/]/.test(fileName)) {
+            return {
+                valid: false,
+                error: `Package name must not contain path separators: ${fileName}`,
+                suggestion: 'Pass only the file name, e.g. mysite.cms.app.1.0.0.nupkg'
+            };
+        }
+
+        const match = patterns.find(p => p.regex.test(fileName));
+        if (!match) {
+            return {
+                valid: false,
+                error: `Invalid package name: ${fileName}`,
+                suggestion: 'Package names must follow one of: <name>.cms.app.<version>.nupkg, <name>.commerce.app.<version>.nupkg, <name>.sqlbacpac'
+            };
+        }
+
+        return { valid: true, packageType: match.type };
+    }
+
     /**
      * Check for concurrent deployments
      */
@@ -399,12 +452,45 @@ class DeploymentValidator {
      */
     static validateDeploymentTiming(options: TimingOptions = {}): TimingValidation {
         const warnings: DeploymentWarning[] = [];
-        const now = new Date();
-        const hour = now.getHours();
-        const dayOfWeek = now.getDay();
+        const now = options.at || new Date();
+
+        // Peak hours are judged in the project's timezone when one is configured, else server local time
+        const window = MaintenanceWindows.check(options.projectName, options.targetEnvironment, now);
+        const zoned = window.configured ? MaintenanceWindows.toZoned(now, window.timezone) : null;
+        const hour = zoned ? zoned.hour : now.getHours();
+        const dayOfWeek = zoned ? zoned.weekday : now.getDay();
+
+        // Maintenance windows, freezes and blackout dates are hard blocks for enforced environments
+        if (!window.allowed) {
+            const nextAllowed = window.nextAllowedTime
+                ? `Next allowed time: ${MaintenanceWindows.formatLocal(new Date(window.nextAllowedTime), window.timezone)}`
+                : 'No allowed time found in the next 60 days';
+
+            if (window.enforced) {
+                return {
+                    valid: false,
+                    error: `🚫 ${options.targetEnvironment} changes are blocked at ${window.localTime}: ${window.reason}`,
+                    suggestion: window.configError
+                        ? `Fix the file and try again (${window.configError})`
+                        : `${nextAllowed}. Use schedule_operation to run it then.`,
+                    window,
+                    warnings,
+                    currentTime: now.toISOString(),
+                    isPeakHours: hour >= 9 && hour <= 18,
+                    isWeekend: dayOfWeek === 0 || dayOfWeek === 6
+                };
+            }
+
+            warnings.push({
+                level: 'medium',
+                message: `🕒 ${window.reason}`,
+                suggestion: nextAllowed
+            });
+        }
 
         // Check for production deployment during peak hours
-        if (options.targetEnvironment === 'Production') {
+        // Skipped when the project has maintenance windows - being inside one is the signal that matters
+        if (options.targetEnvironment === 'Production' && !window.activeWindow) {
             // Peak hours (9 AM - 6 PM on weekdays)
             if (dayOfWeek >= 1 && dayOfWeek <= 5 && hour >= 9 && hour <= 18) {
                 warnings.push({
@@ -426,6 +512,7 @@ class DeploymentValidator {
 
         return {
             valid: true,
+            window,
             warnings,
             currentTime: now.toISOString(),
             isPeakHours: hour >= 9 && hour <= 18,
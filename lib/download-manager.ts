@@ -1,17 +1,23 @@
 /**
  * Download Manager - Tracks and manages active downloads
- * Prevents overlapping downloads and enables cancellation
+ * Prevents overlapping downloads and enables cancellation, pause and resume
  * Part of Jaxon Digital Optimizely DXP MCP Server
  */
 
 import { EventEmitter } from 'events';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
 import { ChildProcess } from 'child_process';
+import { ClientRequest } from 'http';
 import OutputLogger from './output-logger';
 import ProgressMonitor from './progress-monitor';
 import DownloadResourceHandler from './resources/download-resource';
 
 // Type definitions
 interface DownloadInfo {
+    // Use this key instead of generating one (database downloads keep their downloadId)
+    key?: string;
     projectName: string;
     containerName: string;
     environment: string;
@@ -22,17 +28,50 @@ interface DownloadInfo {
 interface Download extends DownloadInfo {
     key: string;
     startTime: number;
-    status: 'starting' | 'running' | 'completed' | 'cancelled' | 'failed';
+    status: 'starting' | 'running' | 'downloading' | 'paused' | 'completed' | 'cancelled' | 'failed';
     progress: number;
     pid: number | null;
     childProcess: ChildProcess | null;
     progressMonitor: ProgressMonitor | null;
     lastUpdate?: number;
     endTime?: number;
+    pausedAt?: number;
     result?: any;
     error?: string;
 }
 
+/**
+ * Pause/cancel state shared with the code doing the transfer.
+ * In-process downloads have no child process to kill, so in-flight HTTP
+ * requests are tracked here and destroyed when the download is paused or cancelled.
+ */
+interface DownloadControl {
+    paused: boolean;
+    cancelled: boolean;
+    waiters: Array<() => void>;
+    requests: Set<ClientRequest>;
+}
+
+/**
+ * A download that is re-run through its tool if the server stops before it finishes
+ */
+interface RestartRecord {
+    key: string;
+    operation: string;
+    args: Record<string, any>;
+    recordedAt: string;
+    // Paused by the user - not resumed on restart
+    paused?: boolean;
+}
+
+/**
+ * Runs a tool with resolved arguments (wired to the MCP command handlers by the server)
+ */
+export type DownloadExecutor = (operation: string, args: Record<string, any>) => Promise<any>;
+
+// Never written to the restart file - credentials are re-resolved from project config on restart
+const SECRET_PARAMETERS = ['apiKey', 'apiSecret', 'projectId', 'connectionString', 'isSelfHosted', 'projectType'];
+
 interface OverlapInfo {
     key: string;
     active: Download;
@@ -68,11 +107,19 @@ interface BasicProgress {
 class DownloadManager extends EventEmitter {
     private activeDownloads: Map<string, Download>;
     private downloadHistory: Download[];
+    private controls: Map<string, DownloadControl>;
+    private restartFile: string;
+
+    static PAUSED_CODE = 'DOWNLOAD_PAUSED';
+    static CANCELLED_CODE = 'DOWNLOAD_CANCELLED';
 
     constructor() {
         super();
         this.activeDownloads = new Map();
         this.downloadHistory = [];
+        this.controls = new Map();
+        this.restartFile = process.env.DXP_DOWNLOAD_RESTART_FILE ||
+            path.join(os.tmpdir(), '.optimizely-dxp-downloads', 'unfinished-downloads.json');
 
         // DXP-156: Wire DownloadResourceHandler to existing events
         this.on('downloadStarted', (download: Download) => {
@@ -134,6 +181,28 @@ class DownloadManager extends EventEmitter {
                 console.error(`Failed to emit download cancelled event: ${error.message}`);
             }
         });
+
+        this.on('downloadPaused', (download: Download) => {
+            try {
+                DownloadResourceHandler.emitPaused(download.key, {
+                    environment: download.environment,
+                    progress: download.progress
+                });
+            } catch (error: any) {
+                console.error(`Failed to emit download paused event: ${error.message}`);
+            }
+        });
+
+        this.on('downloadResumed', (download: Download) => {
+            try {
+                DownloadResourceHandler.emitResumed(download.key, {
+                    environment: download.environment,
+                    progress: download.progress
+                });
+            } catch (error: any) {
+                console.error(`Failed to emit download resumed event: ${error.message}`);
+            }
+        });
     }
 
     /**
@@ -231,7 +300,7 @@ class DownloadManager extends EventEmitter {
      * Register a new download
      */
     registerDownload(downloadInfo: DownloadInfo): string {
-        const key = this.generateDownloadKey(
+        const key = downloadInfo.key || this.generateDownloadKey(
             downloadInfo.projectName,
             downloadInfo.containerName,
             downloadInfo.environment,
@@ -250,6 +319,7 @@ class DownloadManager extends EventEmitter {
         };
 
         this.activeDownloads.set(key, download);
+        this.controls.set(key, { paused: false, cancelled: false, waiters: [], requests: new Set() });
         this.emit('downloadStarted', download);
 
         OutputLogger.info(`📥 Registered download: ${key}`);
@@ -263,7 +333,8 @@ class DownloadManager extends EventEmitter {
         const download = this.activeDownloads.get(key);
         if (download) {
             download.progress = progress;
-            if (status) {
+            // A chunk finishing just after a pause must not flip the status back
+            if (status && download.status !== 'paused') {
                 download.status = status as Download['status'];
             }
             download.lastUpdate = Date.now();
@@ -324,6 +395,129 @@ class DownloadManager extends EventEmitter {
         return progressMonitor.getProgress();
     }
 
+    /**
+     * Track an in-flight HTTP request so pause/cancel can interrupt it
+     * Returns a function that stops tracking it
+     */
+    trackRequest(key: string | null | undefined, request: ClientRequest): () => void {
+        const control = key ? this.controls.get(key) : undefined;
+        if (!control) {
+            return () => {};
+        }
+
+        control.requests.add(request);
+        return () => {
+            control.requests.delete(request);
+        };
+    }
+
+    /**
+     * Wait while a download is paused
+     * Resolves true to carry on, false if the download was cancelled
+     */
+    async waitWhilePaused(key: string | null | undefined): Promise<boolean> {
+        const control = key ? this.controls.get(key) : undefined;
+        if (!control) {
+            return true;
+        }
+
+        while (control.paused && !control.cancelled) {
+            await new Promise<void>(resolve => control.waiters.push(resolve));
+        }
+
+        return !control.cancelled;
+    }
+
+    /**
+     * Check whether a download has been cancelled
+     */
+    isCancelled(key: string | null | undefined): boolean {
+        const control = key ? this.controls.get(key) : undefined;
+        return !!control && control.cancelled;
+    }
+
+    /**
+     * Check whether an error came from pausing or cancelling a download
+     */
+    isInterruption(error: any): boolean {
+        return !!error && (error.code === DownloadManager.PAUSED_CODE || error.code === DownloadManager.CANCELLED_CODE);
+    }
+
+    /**
+     * Error thrown by transfers that stop because their download was cancelled
+     */
+    cancelledError(key: string): Error {
+        return Object.assign(new Error(`Download ${key} was cancelled`), { code: DownloadManager.CANCELLED_CODE });
+    }
+
+    /**
+     * Destroy in-flight requests with an interruption error
+     * @private
+     */
+    _interruptRequests(control: DownloadControl, code: string, message: string): void {
+        for (const request of control.requests) {
+            request.destroy(Object.assign(new Error(message), { code }));
+        }
+        control.requests.clear();
+    }
+
+    /**
+     * Pause a download
+     * In-flight requests are aborted; finished chunks are kept and the transfer
+     * continues from the first missing byte on resume
+     */
+    pauseDownload(key: string): CancelResult {
+        const download = this.activeDownloads.get(key);
+        const control = this.controls.get(key);
+        if (!download || !control) {
+            return { success: false, error: `Download ${key} not found` };
+        }
+        if (control.paused) {
+            return { success: false, error: `Download ${key} is already paused` };
+        }
+        if (download.childProcess) {
+            return { success: false, error: `Download ${key} runs in a separate process and cannot be paused` };
+        }
+
+        control.paused = true;
+        download.status = 'paused';
+        download.pausedAt = Date.now();
+        this._interruptRequests(control, DownloadManager.PAUSED_CODE, `Download ${key} paused`);
+        this._setPausedForRestart(key, true);
+
+        this.emit('downloadPaused', download);
+        OutputLogger.info(`⏸️ Paused download: ${key}`);
+
+        return { success: true, download };
+    }
+
+    /**
+     * Resume a paused download
+     */
+    resumeDownload(key: string): CancelResult {
+        const download = this.activeDownloads.get(key);
+        const control = this.controls.get(key);
+        if (!download || !control) {
+            return { success: false, error: `Download ${key} not found` };
+        }
+        if (!control.paused) {
+            return { success: false, error: `Download ${key} is not paused` };
+        }
+
+        control.paused = false;
+        download.status = 'running';
+        delete download.pausedAt;
+        this._setPausedForRestart(key, false);
+
+        const waiters = control.waiters.splice(0);
+        waiters.forEach(resolve => resolve());
+
+        this.emit('downloadResumed', download);
+        OutputLogger.info(`▶️ Resumed download: ${key}`);
+
+        return { success: true, download };
+    }
+
     /**
      * Cancel a specific download
      */
@@ -334,6 +528,14 @@ class DownloadManager extends EventEmitter {
         }
 
         try {
+            const control = this.controls.get(key);
+            if (control) {
+                control.cancelled = true;
+                this._interruptRequests(control, DownloadManager.CANCELLED_CODE, `Download ${key} was cancelled`);
+                const waiters = control.waiters.splice(0);
+                waiters.forEach(resolve => resolve());
+            }
+
             if (download.childProcess && !download.childProcess.killed) {
                 download.childProcess.kill('SIGTERM');
 
@@ -351,6 +553,7 @@ class DownloadManager extends EventEmitter {
             // Move to history
             this.downloadHistory.push(download);
             this.activeDownloads.delete(key);
+            this._forgetForRestart(key);
 
             this.emit('downloadCancelled', download);
             OutputLogger.info(`❌ Cancelled download: ${key}`);
@@ -385,10 +588,12 @@ class DownloadManager extends EventEmitter {
             download.status = 'completed';
             download.endTime = Date.now();
             download.result = result;
+            this.controls.delete(key);
 
             // Move to history
             this.downloadHistory.push(download);
             this.activeDownloads.delete(key);
+            this._forgetForRestart(key);
 
             this.emit('downloadCompleted', download);
             OutputLogger.info(`✅ Completed download: ${key}`);
@@ -404,16 +609,141 @@ class DownloadManager extends EventEmitter {
             download.status = 'failed';
             download.endTime = Date.now();
             download.error = error;
+            this.controls.delete(key);
 
             // Move to history
             this.downloadHistory.push(download);
             this.activeDownloads.delete(key);
+            this._forgetForRestart(key);
 
             this.emit('downloadFailed', download);
             OutputLogger.error(`❌ Failed download: ${key} - ${error}`);
         }
     }
 
+    /**
+     * Remember how to start a download again, so it resumes if the server stops first
+     * The record is dropped when the download completes, fails or is cancelled.
+     * @param operation - Tool that started the download (e.g. download_logs)
+     * @param args - Tool arguments that re-run it without confirmation
+     */
+    rememberForRestart(key: string, operation: string, args: Record<string, any>): void {
+        const cleanArgs: Record<string, any> = {};
+        for (const [name, value] of Object.entries(args)) {
+            if (!SECRET_PARAMETERS.includes(name) && !name.startsWith('__') && value !== undefined) {
+                cleanArgs[name] = value;
+            }
+        }
+
+        const records = this._loadRestartRecords().filter(record => record.key !== key);
+        records.push({ key, operation, args: cleanArgs, recordedAt: new Date().toISOString() });
+        this._saveRestartRecords(records);
+    }
+
+    /**
+     * Start again the downloads that were unfinished when the server last stopped
+     * Finished files are skipped and partial files continue from their last chunk.
+     * Downloads the user paused are left alone; starting them again continues from their partial files.
+     * @param executor - Function that runs a tool with resolved arguments
+     * @returns Number of downloads restarted
+     */
+    resumeUnfinished(executor: DownloadExecutor): number {
+        const records = this._loadRestartRecords();
+        if (records.length === 0) {
+            return 0;
+        }
+
+        // Each tool call records its download again under the key it registers
+        this._saveRestartRecords([]);
+
+        for (const record of records.filter(record => record.paused)) {
+            OutputLogger.info(`⏸️ Not resuming paused download ${record.key} - start it again to continue from its partial files`);
+        }
+
+        const unfinished = records.filter(record => !record.paused);
+        if (unfinished.length === 0) {
+            return 0;
+        }
+        OutputLogger.info(`🔁 Resuming ${unfinished.length} download${unfinished.length > 1 ? 's' : ''} interrupted by a server restart`);
+
+        for (const record of unfinished) {
+            executor(record.operation, record.args).then(response => {
+                if (response && response.error) {
+                    OutputLogger.error(`Could not resume download ${record.key}: ${response.error}`);
+                }
+            }).catch(error => {
+                OutputLogger.error(`Could not resume download ${record.key}: ${error.message}`);
+            });
+        }
+
+        return unfinished.length;
+    }
+
+    /**
+     * Mark a download's restart record paused or running
+     * @private
+     */
+    private _setPausedForRestart(key: string, paused: boolean): void {
+        const records = this._loadRestartRecords();
+        const record = records.find(item => item.key === key);
+        if (!record || !!record.paused === paused) {
+            return;
+        }
+
+        if (paused) {
+            record.paused = true;
+        } else {
+            delete record.paused;
+        }
+        this._saveRestartRecords(records);
+    }
+
+    /**
+     * Drop a download's restart record
+     * @private
+     */
+    private _forgetForRestart(key: string): void {
+        const records = this._loadRestartRecords();
+        const remaining = records.filter(record => record.key !== key);
+        if (remaining.length !== records.length) {
+            this._saveRestartRecords(remaining);
+        }
+    }
+
+    /**
+     * Load the restart records
+     * @private
+     */
+    private _loadRestartRecords(): RestartRecord[] {
+        try {
+            if (!fs.existsSync(this.restartFile)) {
+                return [];
+            }
+            const content = JSON.parse(fs.readFileSync(this.restartFile, 'utf-8'));
+            return Array.isArray(content.downloads) ? content.downloads : [];
+        } catch (error) {
+            OutputLogger.error(`Failed to load unfinished downloads: ${(error as Error).message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the restart records
+     * @private
+     */
+    private _saveRestartRecords(records: RestartRecord[]): void {
+        try {
+            fs.mkdirSync(path.dirname(this.restartFile), { recursive: true });
+
+            // Write then rename so a crash mid-write never leaves a truncated file; SAS URLs make it private
+            const tempFile = `${this.restartFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({ version: 1, downloads: records }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+            fs.renameSync(tempFile, this.restartFile);
+        } catch (error) {
+            OutputLogger.error(`Failed to save unfinished downloads: ${(error as Error).message}`);
+        }
+    }
+
     /**
      * Get all active downloads
      */
@@ -6,6 +6,7 @@
  */
 
 import * as crypto from 'crypto';
+import * as http from 'http';
 import * as https from 'https';
 import { URL } from 'url';
 import OutputLogger from './output-logger';
@@ -20,7 +21,7 @@ interface RequestOptions {
 }
 
 interface DeploymentParams {
-    TargetEnvironment: string;
+    TargetEnvironment?: string;
     SourceEnvironment?: string;
     PackageUrl?: string;
     ZeroDowntimeMode?: string;
@@ -28,6 +29,12 @@ interface DeploymentParams {
     IncludeBlob?: boolean;
     IncludeDb?: boolean;
     SourceApp?: string;
+    // Package deployments (Start-EpiDeployment DeploymentPackage parameter set)
+    packages?: string[];
+    targetEnvironment?: string;
+    directDeploy?: boolean;
+    maintenancePage?: boolean;
+    zeroDowntimeMode?: string;
 }
 
 interface ResetOptions {
@@ -210,8 +217,9 @@ class DXPRestClient {
 
                 // Prepare request options
                 const requestOptions: https.RequestOptions = {
+                    protocol: fullUrl.protocol,
                     hostname: fullUrl.hostname,
-                    port: fullUrl.port || 443,
+                    port: fullUrl.port || (fullUrl.protocol === 'http:' ? 80 : 443),
                     path: pathAndQuery,
                     method: method,
                     headers: {
@@ -286,7 +294,9 @@ class DXPRestClient {
      */
     static _executeRequest(options: https.RequestOptions, body: string): Promise<any> {
         return new Promise((resolve, reject) => {
-            const req = https.request(options, (res) => {
+            // Plain HTTP only for local endpoints such as the regression API simulator
+            const transport = options.protocol === 'http:' ? http : https;
+            const req = transport.request(options, (res) => {
                 let data = '';
 
                 res.on('data', (chunk) => {
@@ -7,6 +7,7 @@
 
 import { InMemoryEventBus } from './in-memory-bus';
 import { RedisEventBus } from './redis-event-bus';
+import { FileEventBus } from './file-event-bus';
 import { EventBusInterface, EventBusConfig } from './event-bus-interface';
 
 /**
@@ -14,7 +15,8 @@ import { EventBusInterface, EventBusConfig } from './event-bus-interface';
  */
 export const BUS_TYPES = {
     MEMORY: 'memory',
-    REDIS: 'redis'
+    REDIS: 'redis',
+    FILE: 'file'
 } as const;
 
 /**
@@ -45,6 +47,7 @@ export async function createEventBus(config: FactoryConfig = {}): Promise<EventB
         type = process.env.EVENT_BUS_TYPE || BUS_TYPES.MEMORY,
         redisUrl = process.env.REDIS_URL,
         projectId = process.env.PROJECT_NAME || 'default',
+        eventDir = process.env.EVENT_BUS_DIR,
         fallbackToMemory = true
     } = config;
 
@@ -79,15 +82,27 @@ export async function createEventBus(config: FactoryConfig = {}): Promise<EventB
 
             return memoryBus;
 
+        } else if (busType === BUS_TYPES.FILE) {
+            // File-backed event bus (durable history for single-user installs)
+            if (process.env.DEBUG === 'true') {
+                console.error('[EVENT BUS FACTORY] Creating file event bus...');
+            }
+
+            const fileBus = new FileEventBus();
+            await fileBus.initialize({ projectId, eventDir });
+
+            console.error('[EVENT BUS] File event bus initialized successfully');
+            return fileBus;
+
         } else {
-            throw new Error(`Unknown event bus type: ${busType}. Must be 'memory' or 'redis'`);
+            throw new Error(`Unknown event bus type: ${busType}. Must be 'memory', 'redis' or 'file'`);
         }
 
     } catch (error) {
         console.error('[EVENT BUS FACTORY] Failed to create event bus:', (error as Error).message);
 
-        // Fallback to in-memory if Redis fails
-        if (busType === BUS_TYPES.REDIS && fallbackToMemory) {
+        // Fallback to in-memory if Redis or the event directory fails
+        if ((busType === BUS_TYPES.REDIS || busType === BUS_TYPES.FILE) && fallbackToMemory) {
             console.error('[EVENT BUS FACTORY] Falling back to in-memory event bus...');
 
             const memoryBus = new InMemoryEventBus();
@@ -132,6 +147,7 @@ export function getConfigFromEnvironment(): FactoryConfig {
         type: process.env.EVENT_BUS_TYPE || BUS_TYPES.MEMORY,
         redisUrl: process.env.REDIS_URL,
         projectId: process.env.PROJECT_NAME || 'default',
+        eventDir: process.env.EVENT_BUS_DIR,
         fallbackToMemory: process.env.EVENT_BUS_FALLBACK !== 'false' // Default true
     };
 }
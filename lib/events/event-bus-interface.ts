@@ -12,6 +12,7 @@ import { DXPEvent } from './event-types';
  */
 export interface EventBusConfig {
     redisUrl?: string;
+    eventDir?: string;
     projectId?: string;
     fallbackToMemory?: boolean;
     [key: string]: any;
@@ -24,6 +25,7 @@ export interface HistoryOptions {
     pattern?: string;
     limit?: number;
     since?: Date | string;
+    until?: Date | string;
 }
 
 /**
@@ -16,6 +16,7 @@ export const EVENT_TYPES = {
     DEPLOYMENT_SUCCEEDED: 'deployment.succeeded',
     DEPLOYMENT_FAILED: 'deployment.failed',
     DEPLOYMENT_RESET: 'deployment.reset',
+    DEPLOYMENT_AUTO_DECISION: 'deployment.autoDecision',
 
     // Database Export Events
     EXPORT_STARTED: 'export.started',
@@ -28,7 +29,26 @@ export const EVENT_TYPES = {
     DOWNLOAD_IN_PROGRESS: 'download.inProgress',
     DOWNLOAD_SUCCEEDED: 'download.succeeded',
     DOWNLOAD_FAILED: 'download.failed',
-    DOWNLOAD_CANCELLED: 'download.cancelled'
+    DOWNLOAD_CANCELLED: 'download.cancelled',
+    DOWNLOAD_PAUSED: 'download.paused',
+    DOWNLOAD_RESUMED: 'download.resumed',
+
+    // Pipeline Events (Int → Pre → Prod orchestration)
+    PIPELINE_STARTED: 'pipeline.started',
+    PIPELINE_RESUMED: 'pipeline.resumed',
+    PIPELINE_STAGE_STARTED: 'pipeline.stageStarted',
+    PIPELINE_STAGE_AWAITING_VERIFICATION: 'pipeline.stageAwaitingVerification',
+    PIPELINE_STAGE_GATE_EVALUATED: 'pipeline.stageGateEvaluated',
+    PIPELINE_STAGE_SUCCEEDED: 'pipeline.stageSucceeded',
+    PIPELINE_STAGE_FAILED: 'pipeline.stageFailed',
+    PIPELINE_AWAITING_APPROVAL: 'pipeline.awaitingApproval',
+    PIPELINE_SUCCEEDED: 'pipeline.succeeded',
+    PIPELINE_FAILED: 'pipeline.failed',
+    PIPELINE_CANCELLED: 'pipeline.cancelled',
+
+    // Alert Events (tail_logs rule evaluation)
+    ALERT_TRIGGERED: 'alert.triggered',
+    ALERT_RESOLVED: 'alert.resolved'
 } as const;
 
 /**
@@ -120,15 +140,27 @@ export function createEvent(
  * Get resource type from event type
  * Maps event types to their corresponding resource types
  * @param eventType - Event type
- * @returns Resource type (deployment, export, download)
+ * @returns Resource type (deployment, export, download, pipeline, alert)
  */
 export function getResourceTypeFromEvent(eventType: string): string {
     if (eventType.startsWith('deployment.')) return 'deployment';
     if (eventType.startsWith('export.')) return 'export';
     if (eventType.startsWith('download.')) return 'download';
+    if (eventType.startsWith('pipeline.')) return 'pipeline';
+    if (eventType.startsWith('alert.')) return 'alert';
     throw new Error(`Cannot determine resource type from event type: ${eventType}`);
 }
 
+/**
+ * Check if event was re-published by replay_events rather than emitted live
+ * Resources and webhooks skip these, so old events can't reopen or re-announce an operation
+ * @param event - Event
+ * @returns True if replayed
+ */
+export function isReplayedEvent(event: DXPEvent): boolean {
+    return !!(event.metadata && event.metadata.replayed);
+}
+
 /**
  * Check if event represents a terminal state (operation complete/failed)
  * @param eventType - Event type
@@ -0,0 +1,339 @@
+/**
+ * File Event Bus
+ * Single-user durable event bus: in-process pub/sub with history in an append-only JSONL store
+ * The active file rotates into timestamped segments; segments are compacted after rotation and at startup
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { InMemoryEventBus } from './in-memory-bus';
+import { EventBusConfig, HistoryOptions, HealthStatus, BusStats } from './event-bus-interface';
+import { DXPEvent, isTerminalEvent } from './event-types';
+
+const ACTIVE_FILE = 'events.jsonl';
+const SEGMENT_PATTERN = /^events-(\d+)\.jsonl$/;
+
+/**
+ * Rotated segment; every event in it was written before rotatedAt
+ */
+interface Segment {
+    file: string;
+    rotatedAt: number;
+}
+
+/**
+ * Compaction result
+ */
+export interface CompactionResult {
+    segmentsBefore: number;
+    eventsKept: number;
+    eventsDropped: number;
+}
+
+/**
+ * File Event Bus Implementation
+ * Subscriptions and operation tracking come from the in-memory bus; history lives on disk
+ */
+export class FileEventBus extends InMemoryEventBus {
+    private eventDir: string;
+    private maxFileBytes: number;
+    private retentionMs: number;
+    private activeBytes: number;
+    private writeErrors: number;
+    private compactionTimer: NodeJS.Timeout | null;
+
+    constructor() {
+        super();
+        this.eventDir = '';
+        this.maxFileBytes = 10 * 1024 * 1024;
+        this.retentionMs = 7 * 24 * 60 * 60 * 1000;
+        this.activeBytes = 0;
+        this.writeErrors = 0;
+        this.compactionTimer = null;
+    }
+
+    /**
+     * Initialize the store directory and compact what the previous process left behind
+     * @param config - eventDir (default ~/.optimizely-dxp/events), maxFileBytes, retentionDays
+     */
+    async initialize(config: EventBusConfig = {}): Promise<void> {
+        this.eventDir = config.eventDir || process.env.EVENT_BUS_DIR || path.join(os.homedir(), '.optimizely-dxp', 'events');
+
+        const maxFileMb = parseFloat(process.env.EVENT_BUS_MAX_FILE_MB || '');
+        this.maxFileBytes = config.maxFileBytes || (maxFileMb > 0 ? maxFileMb * 1024 * 1024 : this.maxFileBytes);
+
+        const retentionDays = config.retentionDays || parseFloat(process.env.EVENT_BUS_RETENTION_DAYS || '') || 7;
+        this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+
+        fs.mkdirSync(this.eventDir, { recursive: true });
+        this.compact();
+
+        const activePath = path.join(this.eventDir, ACTIVE_FILE);
+        this.activeBytes = fs.existsSync(activePath) ? fs.statSync(activePath).size : 0;
+
+        if (process.env.DEBUG === 'true') {
+            console.error(`[EVENT BUS] File event bus initialized at ${this.eventDir}`);
+        }
+    }
+
+    /**
+     * Get event history from disk, oldest first
+     */
+    async getHistory(options: HistoryOptions = {}): Promise<DXPEvent[]> {
+        const {
+            pattern = '*',
+            limit = 100,
+            since = null,
+            until = null
+        } = options;
+
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const untilTime = until ? new Date(until).getTime() : null;
+
+        const events: DXPEvent[] = [];
+        let previousRotation = 0;
+
+        for (const file of this.historyFiles()) {
+            const rotatedAt = file.rotatedAt;
+            const startedAfter = previousRotation;
+            previousRotation = rotatedAt;
+
+            // Skip segments entirely outside the requested range
+            if (sinceTime !== null && rotatedAt < sinceTime) continue;
+            if (untilTime !== null && startedAfter > untilTime) continue;
+
+            for (const event of this.readEvents(file.file)) {
+                const time = new Date(event.timestamp).getTime();
+                if (sinceTime !== null && time < sinceTime) continue;
+                if (untilTime !== null && time > untilTime) continue;
+                if (pattern !== '*' && !this.matchesPattern(event.eventType, pattern)) continue;
+                events.push(event);
+            }
+        }
+
+        return events.slice(-limit);
+    }
+
+    /**
+     * Get bus health status
+     */
+    async getHealth(): Promise<HealthStatus> {
+        const health = await super.getHealth();
+        const { historySize: _historySize, ...details } = health.details || {};
+        return {
+            healthy: fs.existsSync(this.eventDir),
+            type: 'file',
+            details: {
+                ...details,
+                eventDir: this.eventDir,
+                segments: this.listSegments().length,
+                activeFileBytes: this.activeBytes,
+                writeErrors: this.writeErrors
+            }
+        };
+    }
+
+    /**
+     * Get bus statistics
+     */
+    async getStats(): Promise<BusStats> {
+        // In-memory history size does not apply; history is on disk
+        const { historySize: _historySize, ...stats } = await super.getStats();
+        return {
+            ...stats,
+            eventDir: this.eventDir,
+            segments: this.listSegments().length,
+            activeFileBytes: this.activeBytes
+        };
+    }
+
+    /**
+     * Rewrite all segments into one, dropping events past retention and the
+     * intermediate inProgress events of operations that have finished
+     */
+    compact(): CompactionResult {
+        const segments = this.listSegments();
+        const result: CompactionResult = { segmentsBefore: segments.length, eventsKept: 0, eventsDropped: 0 };
+        if (segments.length === 0) {
+            return result;
+        }
+
+        // Each segment is read once; the active file only tells which operations have finished
+        const segmentEvents = segments.map(segment => this.readEvents(segment.file));
+
+        // Operations that reached a terminal state anywhere in the store
+        const finished = new Set<string>();
+        for (const events of [...segmentEvents, this.readEvents(path.join(this.eventDir, ACTIVE_FILE))]) {
+            for (const event of events) {
+                if (isTerminalEvent(event.eventType)) {
+                    finished.add(event.operationId);
+                }
+            }
+        }
+
+        const cutoff = Date.now() - this.retentionMs;
+        const lines: string[] = [];
+        for (const events of segmentEvents) {
+            for (const event of events) {
+                const expired = new Date(event.timestamp).getTime() < cutoff;
+                const superseded = event.eventType.endsWith('.inProgress') && finished.has(event.operationId);
+                if (expired || superseded) {
+                    result.eventsDropped++;
+                } else {
+                    lines.push(JSON.stringify(event));
+                }
+            }
+        }
+        result.eventsKept = lines.length;
+
+        // Nothing to drop and nothing to merge
+        if (segments.length === 1 && result.eventsDropped === 0) {
+            return result;
+        }
+
+        const newest = segments[segments.length - 1];
+        if (lines.length > 0) {
+            const temp = path.join(this.eventDir, `compact-${process.pid}.tmp`);
+            fs.writeFileSync(temp, lines.join('\n') + '\n');
+            fs.renameSync(temp, newest.file);
+        } else {
+            fs.unlinkSync(newest.file);
+        }
+        segments.slice(0, -1).forEach(segment => fs.unlinkSync(segment.file));
+
+        if (process.env.DEBUG === 'true') {
+            console.error(`[EVENT BUS] Compacted ${segments.length} segment(s): kept ${result.eventsKept}, dropped ${result.eventsDropped}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Append event to the active file, rotating it when full
+     */
+    protected addToHistory(event: DXPEvent): void {
+        const line = JSON.stringify(event) + '\n';
+        try {
+            fs.appendFileSync(path.join(this.eventDir, ACTIVE_FILE), line);
+            this.activeBytes += Buffer.byteLength(line);
+        } catch (error) {
+            this.writeErrors++;
+            console.error('[EVENT BUS] Failed to write event history:', (error as Error).message);
+            return;
+        }
+
+        if (this.activeBytes >= this.maxFileBytes) {
+            this.rotate();
+        }
+    }
+
+    /**
+     * Stop a pending compaction; the next startup compacts instead
+     */
+    async close(): Promise<void> {
+        if (this.compactionTimer) {
+            clearTimeout(this.compactionTimer);
+            this.compactionTimer = null;
+        }
+        await super.close();
+    }
+
+    /**
+     * Move the active file into a segment and schedule compaction
+     */
+    private rotate(): void {
+        try {
+            let rotatedAt = Date.now();
+            // Keep segment names unique when rotating more than once per millisecond
+            while (fs.existsSync(this.segmentPath(rotatedAt))) {
+                rotatedAt++;
+            }
+            fs.renameSync(path.join(this.eventDir, ACTIVE_FILE), this.segmentPath(rotatedAt));
+            this.activeBytes = 0;
+            this.scheduleCompaction();
+        } catch (error) {
+            console.error('[EVENT BUS] Failed to rotate event history:', (error as Error).message);
+        }
+    }
+
+    /**
+     * Compact on a later tick: it re-reads the retained history, which must not hold up publish()
+     * Rotations before it runs share one compaction.
+     * @private
+     */
+    private scheduleCompaction(): void {
+        if (this.compactionTimer) {
+            return;
+        }
+
+        this.compactionTimer = setTimeout(() => {
+            this.compactionTimer = null;
+            try {
+                this.compact();
+            } catch (error) {
+                console.error('[EVENT BUS] Failed to compact event history:', (error as Error).message);
+            }
+        }, 0);
+
+        // Don't keep the process alive just for compaction
+        if (typeof this.compactionTimer.unref === 'function') {
+            this.compactionTimer.unref();
+        }
+    }
+
+    /**
+     * @private
+     */
+    private segmentPath(rotatedAt: number): string {
+        return path.join(this.eventDir, `events-${rotatedAt}.jsonl`);
+    }
+
+    /**
+     * Rotated segments, oldest first
+     */
+    private listSegments(): Segment[] {
+        let names: string[];
+        try {
+            names = fs.readdirSync(this.eventDir);
+        } catch {
+            return [];
+        }
+        return names
+            .map(name => ({ name, match: SEGMENT_PATTERN.exec(name) }))
+            .filter(entry => entry.match)
+            .map(entry => ({ file: path.join(this.eventDir, entry.name), rotatedAt: parseInt(entry.match![1], 10) }))
+            .sort((a, b) => a.rotatedAt - b.rotatedAt);
+    }
+
+    /**
+     * Segments followed by the active file (which has no rotation time yet)
+     */
+    private historyFiles(): Segment[] {
+        return [...this.listSegments(), { file: path.join(this.eventDir, ACTIVE_FILE), rotatedAt: Number.MAX_SAFE_INTEGER }];
+    }
+
+    /**
+     * Parse a JSONL file; a line cut short by a crash is skipped
+     */
+    private readEvents(file: string): DXPEvent[] {
+        let content: string;
+        try {
+            content = fs.readFileSync(file, 'utf-8');
+        } catch {
+            return [];
+        }
+
+        const events: DXPEvent[] = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                events.push(JSON.parse(line));
+            } catch {
+                // Ignore partial line
+            }
+        }
+        return events;
+    }
+}
@@ -102,8 +102,10 @@ export class InMemoryEventBus extends EventBusInterface {
             // Validate event structure
             validateEvent(event);
 
-            // Add to history
-            this.addToHistory(event);
+            // Add to history (replayed events are already there)
+            if (!event.metadata?.replayed) {
+                this.addToHistory(event);
+            }
 
             // Update stats
             this.stats.totalEvents++;
@@ -189,7 +191,8 @@ export class InMemoryEventBus extends EventBusInterface {
         const {
             pattern = '*',
             limit = 100,
-            since = null
+            since = null,
+            until = null
         } = options;
 
         let events: HistoricalEvent[] = this.eventHistory;
@@ -199,6 +202,10 @@ export class InMemoryEventBus extends EventBusInterface {
             const sinceTime = since instanceof Date ? since.getTime() : new Date(since).getTime();
             events = events.filter(e => new Date(e.timestamp).getTime() >= sinceTime);
         }
+        if (until) {
+            const untilTime = until instanceof Date ? until.getTime() : new Date(until).getTime();
+            events = events.filter(e => new Date(e.timestamp).getTime() <= untilTime);
+        }
 
         // Filter by pattern
         if (pattern !== '*') {
@@ -284,7 +291,7 @@ export class InMemoryEventBus extends EventBusInterface {
     /**
      * Add event to history
      */
-    private addToHistory(event: DXPEvent): void {
+    protected addToHistory(event: DXPEvent): void {
         this.eventHistory.push({
             ...event,
             _timestamp: Date.now() // Internal tracking
@@ -312,7 +319,7 @@ export class InMemoryEventBus extends EventBusInterface {
      * Match event type against pattern
      * Supports wildcards: deployment.* matches deployment.started, deployment.failed, etc.
      */
-    private matchesPattern(eventType: string, pattern: string): boolean {
+    protected matchesPattern(eventType: string, pattern: string): boolean {
         // Exact match
         if (pattern === eventType || pattern === '*') {
             return true;
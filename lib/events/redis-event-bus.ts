@@ -265,8 +265,10 @@ export class RedisEventBus extends EventBusInterface {
             const eventJson = JSON.stringify(event);
             await this.publisher.publish(topicName, eventJson);
 
-            // Add to history (with TTL)
-            await this.addToHistory(event);
+            // Add to history (with TTL); replayed events are already there
+            if (!event.metadata?.replayed) {
+                await this.addToHistory(event);
+            }
 
             // Update stats
             this.stats.totalEvents++;
@@ -364,16 +366,18 @@ export class RedisEventBus extends EventBusInterface {
         const {
             pattern = '*',
             limit = 100,
-            since = null
+            since = null,
+            until = null
         } = options;
 
         try {
             // Get events from Redis sorted set (by timestamp)
             const cutoff = since ? new Date(since).getTime() : 0;
+            const upTo = until ? new Date(until).getTime() : '+inf';
             const events = await this.publisher.zrangebyscore(
                 this.historyKey,
                 cutoff,
-                '+inf',
+                upTo,
                 'LIMIT', 0, limit
             );
 
@@ -7,6 +7,11 @@
 import { DXPEvent, getResourceTypeFromEvent, isTerminalEvent } from './event-types';
 import { getGlobalNotificationSender } from './notification-sender';
 
+/**
+ * Resource types rebuilt from event history at startup
+ */
+const RESTORABLE_TYPES = ['deployment', 'export', 'download'];
+
 /**
  * Resource metadata
  */
@@ -61,6 +66,8 @@ export interface ResourceStats {
         deployment: number;
         export: number;
         download: number;
+        pipeline: number;
+        alert: number;
     };
 }
 
@@ -172,6 +179,76 @@ export class ResourceManager {
         return resourceUri;
     }
 
+    /**
+     * Rebuild deployment, export and download resources from event history (oldest first)
+     * Uses the events' own timestamps and sends no notifications; resources whose operation
+     * finished longer ago than the cleanup TTL are not restored
+     * @param events - Historical events
+     * @returns Number of resources restored
+     */
+    rebuildFromHistory(events: DXPEvent[]): number {
+        const latest = new Map<string, { first: DXPEvent; last: DXPEvent }>();
+
+        for (const event of events) {
+            const resourceType = event.eventType.split('.')[0];
+            if (!RESTORABLE_TYPES.includes(resourceType)) {
+                continue;
+            }
+            const uri = `${resourceType}://${event.operationId}`;
+            const entry = latest.get(uri);
+            if (entry) {
+                entry.last = event;
+            } else {
+                latest.set(uri, { first: event, last: event });
+            }
+        }
+
+        const now = Date.now();
+        let restored = 0;
+
+        for (const [uri, { first, last }] of latest.entries()) {
+            // Live events win over history
+            if (this.resources.has(uri)) {
+                continue;
+            }
+
+            const terminal = isTerminalEvent(last.eventType);
+            const lastTime = new Date(last.timestamp).getTime();
+            if (terminal && now - lastTime > this.cleanupTTL) {
+                continue;
+            }
+
+            this.resources.set(uri, {
+                uri,
+                name: this.generateResourceName(last),
+                description: this.generateResourceDescription(last),
+                mimeType: 'application/json',
+                state: {
+                    ...(last.data || {}),
+                    eventType: last.eventType,
+                    lastUpdated: last.timestamp
+                },
+                metadata: {
+                    operationId: last.operationId,
+                    resourceType: getResourceTypeFromEvent(last.eventType),
+                    project: last.project || first.project || 'unknown',
+                    environment: last.environment || first.environment || 'unknown',
+                    createdAt: new Date(first.timestamp).getTime(),
+                    updatedAt: lastTime,
+                    isTerminal: terminal,
+                    completedAt: terminal ? lastTime : null
+                }
+            });
+            restored++;
+        }
+
+        if (restored > 0 && process.env.DEBUG === 'true') {
+            console.error(`[RESOURCE] Restored ${restored} resource(s) from event history`);
+        }
+
+        return restored;
+    }
+
     /**
      * Generate human-readable resource name
      * @param event - Event object
@@ -396,7 +473,9 @@ export class ResourceManager {
             byType: {
                 deployment: resources.filter(r => r.metadata.resourceType === 'deployment').length,
                 export: resources.filter(r => r.metadata.resourceType === 'export').length,
-                download: resources.filter(r => r.metadata.resourceType === 'download').length
+                download: resources.filter(r => r.metadata.resourceType === 'download').length,
+                pipeline: resources.filter(r => r.metadata.resourceType === 'pipeline').length,
+                alert: resources.filter(r => r.metadata.resourceType === 'alert').length
             }
         };
     }
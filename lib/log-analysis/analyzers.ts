@@ -4,6 +4,8 @@
  * Ported from log-analyzer-mcp for DXP-110
  */
 
+import ExceptionFingerprint from './exception-fingerprint';
+
 interface ParsedLogEntry {
     timestamp: Date;
     type: 'console' | 'http' | 'unknown';
@@ -20,6 +22,8 @@ interface ParsedLogEntry {
     host?: string;
     isError?: boolean;
     level?: string;
+    exception?: string;
+    format?: string;
 }
 
 interface ErrorAnalysis {
@@ -32,6 +36,32 @@ interface ErrorAnalysis {
     }>;
 }
 
+interface ExceptionGroup {
+    fingerprint: string;
+    type: string;
+    message: string;
+    sampleMessage: string;
+    count: number;
+    firstSeen: string;
+    lastSeen: string;
+    paths: string[];
+    innerTypes: string[];
+    sampleStack: string;
+}
+
+interface ExceptionAnalysis {
+    total: number;
+    groupCount: number;
+    topGroups: ExceptionGroup[];
+    fingerprints: string[];
+}
+
+interface LatencyHistogram {
+    // Upper bucket edges in ms; counts has one extra slot for values above the last edge
+    bounds: number[];
+    counts: number[];
+}
+
 interface PerformanceAnalysis {
     avgResponseTime: number | null;
     p95ResponseTime: number | null;
@@ -41,6 +71,41 @@ interface PerformanceAnalysis {
         avgTime: number;
         count: number;
     }>;
+    latencyHistogram: LatencyHistogram | null;
+}
+
+interface PathStats {
+    path: string;
+    requests: number;
+    errors: number;
+    timedRequests: number;
+    avgResponseTime: number | null;
+    stdDevResponseTime: number | null;
+}
+
+interface TimeSeriesBucket {
+    start: string;
+    requests: number;
+    errors: number;
+    errorRate: number;
+    p50ResponseTime: number | null;
+    p95ResponseTime: number | null;
+    p99ResponseTime: number | null;
+}
+
+interface Anomaly {
+    bucketStart: string;
+    metric: 'requests' | 'errors' | 'errorRate' | 'p95ResponseTime';
+    value: number;
+    expected: number;
+    zScore: number;
+    severity: 'warning' | 'critical';
+}
+
+interface TimeSeriesAnalysis {
+    bucketMinutes: number | null;
+    buckets: TimeSeriesBucket[];
+    anomalies: Anomaly[];
 }
 
 interface AIAgentAnalysis {
@@ -61,21 +126,51 @@ interface HealthScore {
     healthy: boolean;
 }
 
+// Bucket sizes tried in order until the window fits in TARGET_BUCKETS
+const BUCKET_SIZES_MINUTES = [1, 5, 10, 15, 30, 60, 120, 360, 720, 1440];
+const TARGET_BUCKETS = 60;
+const MAX_BUCKETS = 500;
+
+// Fixed latency histogram edges (ms) so baseline and slot histograms can be compared bin by bin
+const LATENCY_BOUNDS_MS = [10, 25, 50, 75, 100, 150, 200, 300, 400, 500, 750, 1000, 1500, 2000, 3000, 5000, 7500, 10000, 20000, 30000, 60000];
+// Per-path statistics kept for compare_logs, busiest paths first
+const MAX_PATH_STATS = 50;
+
+// EWMA baseline: buckets used to warm up before anything is flagged, and smoothing factor
+const ANOMALY_WARMUP_BUCKETS = 5;
+const EWMA_ALPHA = 0.3;
+const ANOMALY_Z = 3;
+const CRITICAL_Z = 6;
+
+/**
+ * DXP-128: Errors are detected differently for console vs HTTP logs
+ */
+function isErrorEntry(log: ParsedLogEntry): boolean {
+    // Console logs: use isError flag (level + keywords)
+    if (log.type === 'console') {
+        return log.isError === true;
+    }
+    // HTTP logs: use statusCode >= 400
+    return log.statusCode >= 400;
+}
+
+/**
+ * Value at percentile p (0-1) of an ascending array, same rank method as analyzePerformance
+ */
+function percentile(sorted: number[], p: number): number | null {
+    if (sorted.length === 0) {
+        return null;
+    }
+    return Math.round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]);
+}
+
 /**
  * Analyze errors in logs
  * @param {Object[]} logs - Parsed log entries
  * @returns {Object} Error analysis with guaranteed structure
  */
 function analyzeErrors(logs: ParsedLogEntry[]): ErrorAnalysis {
-    // DXP-128: Filter errors differently for console vs HTTP logs
-    const errors = logs.filter(log => {
-        // Console logs: use isError flag (level + keywords)
-        if (log.type === 'console') {
-            return log.isError === true;
-        }
-        // HTTP logs: use statusCode >= 400
-        return log.statusCode >= 400;
-    });
+    const errors = logs.filter(isErrorEntry);
 
     const byStatusCode: Record<string, number> = {};
     const byUrl: Record<string, { count: number; statusCodes: Set<number> }> = {};
@@ -133,6 +228,66 @@ function analyzeErrors(logs: ParsedLogEntry[]): ErrorAnalysis {
     };
 }
 
+/**
+ * Group exceptions by fingerprint
+ * The same exception thrown from many URLs is one group; paths lists where it was seen.
+ * @param {Object[]} logs - Parsed log entries
+ * @returns {Object} Exception groups, most frequent first
+ */
+function analyzeExceptions(logs: ParsedLogEntry[]): ExceptionAnalysis {
+    const groups = new Map<string, ExceptionGroup & { pathCounts: Map<string, number> }>();
+    let total = 0;
+
+    for (const log of logs) {
+        const exception = ExceptionFingerprint.extractException(log);
+        if (!exception) {
+            continue;
+        }
+        total++;
+
+        const fingerprint = ExceptionFingerprint.fingerprintException(exception);
+        const time = log.timestamp instanceof Date && !isNaN(log.timestamp.getTime()) ? log.timestamp.toISOString() : '';
+        let group = groups.get(fingerprint);
+        if (!group) {
+            group = {
+                fingerprint,
+                type: exception.type,
+                message: ExceptionFingerprint.normalizeMessage(exception.message),
+                sampleMessage: exception.message.substring(0, 300),
+                count: 0,
+                firstSeen: time,
+                lastSeen: time,
+                paths: [],
+                innerTypes: exception.innerTypes,
+                sampleStack: ExceptionFingerprint.sampleStack(exception),
+                pathCounts: new Map()
+            };
+            groups.set(fingerprint, group);
+        }
+
+        group.count++;
+        if (time && (!group.firstSeen || time < group.firstSeen)) group.firstSeen = time;
+        if (time && time > group.lastSeen) group.lastSeen = time;
+        if (log.path && log.path !== '/console') {
+            group.pathCounts.set(log.path, (group.pathCounts.get(log.path) || 0) + 1);
+        }
+    }
+
+    const sorted = Array.from(groups.values()).sort((a, b) => b.count - a.count);
+    const topGroups = sorted.slice(0, 20).map(({ pathCounts, ...group }) => ({
+        ...group,
+        paths: Array.from(pathCounts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([path]) => path)
+    }));
+
+    return {
+        total,
+        groupCount: groups.size,
+        topGroups,
+        // All fingerprints, so compare_logs can tell a new group from one outside the top 20
+        fingerprints: sorted.slice(0, 1000).map(group => group.fingerprint)
+    };
+}
+
 /**
  * Analyze performance metrics
  * @param {Object[]} logs - Parsed log entries
@@ -146,7 +301,8 @@ function analyzePerformance(logs: ParsedLogEntry[]): PerformanceAnalysis {
             avgResponseTime: null,
             p95ResponseTime: null,
             p99ResponseTime: null,
-            slowestPaths: []
+            slowestPaths: [],
+            latencyHistogram: null
         };
     }
 
@@ -180,14 +336,224 @@ function analyzePerformance(logs: ParsedLogEntry[]): PerformanceAnalysis {
         .sort((a, b) => b.avgTime - a.avgTime)
         .slice(0, 10);
 
+    // Distribution for significance tests in compare_logs
+    const counts = new Array(LATENCY_BOUNDS_MS.length + 1).fill(0);
+    let bin = 0;
+    for (const time of sorted) {
+        while (bin < LATENCY_BOUNDS_MS.length && time > LATENCY_BOUNDS_MS[bin]) {
+            bin++;
+        }
+        counts[bin]++;
+    }
+
     return {
         avgResponseTime: avg,
         p95ResponseTime: Math.round(p95),
         p99ResponseTime: Math.round(p99),
-        slowestPaths
+        slowestPaths,
+        latencyHistogram: { bounds: LATENCY_BOUNDS_MS, counts }
     };
 }
 
+/**
+ * Per-path request, error and latency statistics
+ * @param {Object[]} logs - Parsed log entries
+ * @returns {Object[]} Busiest paths first, with mean and standard deviation of response time
+ */
+function analyzePathStats(logs: ParsedLogEntry[]): PathStats[] {
+    const byPath = new Map<string, { requests: number; errors: number; timed: number; sum: number; sumSquares: number }>();
+
+    for (const log of logs) {
+        if (!log.path || log.path === '/console') {
+            continue;
+        }
+        let stats = byPath.get(log.path);
+        if (!stats) {
+            stats = { requests: 0, errors: 0, timed: 0, sum: 0, sumSquares: 0 };
+            byPath.set(log.path, stats);
+        }
+        stats.requests++;
+        if (isErrorEntry(log)) {
+            stats.errors++;
+        }
+        if (log.responseTime !== undefined && log.responseTime > 0) {
+            stats.timed++;
+            stats.sum += log.responseTime;
+            stats.sumSquares += log.responseTime * log.responseTime;
+        }
+    }
+
+    return Array.from(byPath.entries())
+        .sort((a, b) => b[1].requests - a[1].requests)
+        .slice(0, MAX_PATH_STATS)
+        .map(([path, stats]) => {
+            const mean = stats.timed > 0 ? stats.sum / stats.timed : null;
+            const variance = stats.timed > 1 && mean !== null
+                ? Math.max(0, (stats.sumSquares - stats.timed * mean * mean) / (stats.timed - 1))
+                : null;
+            return {
+                path,
+                requests: stats.requests,
+                errors: stats.errors,
+                timedRequests: stats.timed,
+                avgResponseTime: mean !== null ? Math.round(mean) : null,
+                stdDevResponseTime: variance !== null ? Math.round(Math.sqrt(variance)) : null
+            };
+        });
+}
+
+/**
+ * Split logs into fixed time buckets and flag buckets that break from the earlier part of the window
+ * @param {Object[]} logs - Parsed log entries
+ * @param {Object} options - bucketMinutes: bucket size; default picks one giving about 60 buckets
+ * @returns {Object} Buckets (oldest first) with request/error counts and latency percentiles, plus anomalies
+ */
+function analyzeTimeSeries(logs: ParsedLogEntry[], options: { bucketMinutes?: number } = {}): TimeSeriesAnalysis {
+    const times = logs
+        .map(log => log.timestamp instanceof Date ? log.timestamp.getTime() : NaN)
+        .filter(time => !isNaN(time));
+
+    if (times.length === 0) {
+        return { bucketMinutes: null, buckets: [], anomalies: [] };
+    }
+
+    let first = times[0];
+    let last = times[0];
+    for (const time of times) {
+        if (time < first) first = time;
+        if (time > last) last = time;
+    }
+
+    const spanMinutes = (last - first) / 60000;
+    let bucketMinutes = BUCKET_SIZES_MINUTES.find(size => spanMinutes / size < TARGET_BUCKETS)
+        || Math.ceil(spanMinutes / TARGET_BUCKETS);
+    if (options.bucketMinutes && options.bucketMinutes > 0) {
+        // An explicit size is honoured unless it would produce an unreasonable number of buckets
+        bucketMinutes = Math.max(options.bucketMinutes, Math.ceil(spanMinutes / MAX_BUCKETS));
+    }
+
+    const bucketMs = bucketMinutes * 60000;
+    const origin = Math.floor(first / bucketMs) * bucketMs;
+    const count = Math.floor((last - origin) / bucketMs) + 1;
+    const raw = Array.from({ length: count }, () => ({ requests: 0, errors: 0, timings: [] as number[] }));
+
+    for (const log of logs) {
+        const time = log.timestamp instanceof Date ? log.timestamp.getTime() : NaN;
+        if (isNaN(time)) {
+            continue;
+        }
+        const bucket = raw[Math.floor((time - origin) / bucketMs)];
+        bucket.requests++;
+        if (isErrorEntry(log)) {
+            bucket.errors++;
+        }
+        if (log.responseTime !== undefined && log.responseTime > 0) {
+            bucket.timings.push(log.responseTime);
+        }
+    }
+
+    const buckets: TimeSeriesBucket[] = raw.map((bucket, i) => {
+        const sorted = bucket.timings.sort((a, b) => a - b);
+        return {
+            start: new Date(origin + i * bucketMs).toISOString(),
+            requests: bucket.requests,
+            errors: bucket.errors,
+            errorRate: bucket.requests > 0 ? Math.round((bucket.errors / bucket.requests) * 10000) / 10000 : 0,
+            p50ResponseTime: percentile(sorted, 0.5),
+            p95ResponseTime: percentile(sorted, 0.95),
+            p99ResponseTime: percentile(sorted, 0.99)
+        };
+    });
+
+    const timedCounts = raw.map(bucket => bucket.timings.length);
+    return { bucketMinutes, buckets, anomalies: detectAnomalies(buckets, timedCounts) };
+}
+
+/**
+ * Flag upward breaks per metric with an EWMA baseline: each bucket is scored against the mean and
+ * variance of the buckets before it. Flagged buckets do not feed the baseline, so a sustained spike
+ * (e.g. after a deployment) stays flagged. Drops are not flagged: the newest buckets are often
+ * incomplete because logs reach storage with a delay.
+ */
+function detectAnomalies(buckets: TimeSeriesBucket[], timedCounts: number[]): Anomaly[] {
+    const metrics: Array<{
+        metric: Anomaly['metric'];
+        value: (bucket: TimeSeriesBucket, i: number) => number | null;
+        // Volume floor: smaller buckets still feed the baseline but are never flagged
+        scored: (bucket: TimeSeriesBucket) => boolean;
+        // Smallest deviation worth scoring, so a flat baseline (variance 0) does not flag noise
+        minDeviation: (mean: number) => number;
+    }> = [
+        {
+            metric: 'requests',
+            value: bucket => bucket.requests,
+            scored: bucket => bucket.requests >= 20,
+            minDeviation: mean => Math.max(1, Math.sqrt(mean))
+        },
+        {
+            metric: 'errors',
+            value: bucket => bucket.errors,
+            scored: bucket => bucket.errors >= 5,
+            minDeviation: mean => Math.max(1, Math.sqrt(mean))
+        },
+        {
+            metric: 'errorRate',
+            value: bucket => bucket.errorRate,
+            scored: bucket => bucket.requests >= 20 && bucket.errors >= 5,
+            minDeviation: () => 0.02
+        },
+        {
+            // Percentiles of a handful of requests are noise; those buckets are left out entirely
+            metric: 'p95ResponseTime',
+            value: (bucket, i) => timedCounts[i] >= 10 ? bucket.p95ResponseTime : null,
+            scored: () => true,
+            minDeviation: mean => Math.max(50, mean * 0.1)
+        }
+    ];
+
+    const anomalies: Anomaly[] = [];
+    for (const { metric, value, scored, minDeviation } of metrics) {
+        let mean = 0;
+        let variance = 0;
+        let seen = 0;
+
+        buckets.forEach((bucket, i) => {
+            const current = value(bucket, i);
+            if (current === null) {
+                return;
+            }
+
+            if (seen >= ANOMALY_WARMUP_BUCKETS && scored(bucket)) {
+                const deviation = Math.max(Math.sqrt(variance), minDeviation(mean));
+                const zScore = (current - mean) / deviation;
+                if (zScore >= ANOMALY_Z) {
+                    anomalies.push({
+                        bucketStart: bucket.start,
+                        metric,
+                        value: current,
+                        expected: metric === 'errorRate' ? Math.round(mean * 10000) / 10000 : Math.round(mean),
+                        zScore: Math.round(zScore * 10) / 10,
+                        severity: zScore >= CRITICAL_Z ? 'critical' : 'warning'
+                    });
+                    return;
+                }
+            }
+
+            if (seen === 0) {
+                mean = current;
+            } else {
+                const diff = current - mean;
+                const increment = EWMA_ALPHA * diff;
+                mean += increment;
+                variance = (1 - EWMA_ALPHA) * (variance + diff * increment);
+            }
+            seen++;
+        });
+    }
+
+    return anomalies.sort((a, b) => a.bucketStart.localeCompare(b.bucketStart));
+}
+
 /**
  * Detect AI agents in logs
  * @param {Object[]} logs - Parsed log entries
@@ -305,12 +671,14 @@ function calculateHealthScore(errorAnalysis: ErrorAnalysis, totalLogs: number):
  * @param {Object} errorAnalysis - Error analysis results
  * @param {Object} perfAnalysis - Performance analysis results
  * @param {Object} aiAnalysis - AI agent analysis results
+ * @param {Object} exceptionAnalysis - Optional exception groups
  * @returns {string[]} Array of recommendation strings
  */
 function generateRecommendations(
     errorAnalysis: ErrorAnalysis,
     perfAnalysis: PerformanceAnalysis,
-    aiAnalysis: AIAgentAnalysis
+    aiAnalysis: AIAgentAnalysis,
+    exceptionAnalysis?: ExceptionAnalysis
 ): string[] {
     const recommendations: string[] = [];
 
@@ -335,6 +703,13 @@ function generateRecommendations(
         recommendations.push(`MEDIUM: Slow response times detected (P95: ${perfAnalysis.p95ResponseTime}ms) - optimize slow endpoints`);
     }
 
+    // Recurring exceptions
+    const topException = exceptionAnalysis?.topGroups[0];
+    if (topException && topException.count > 10) {
+        const where = topException.paths.length > 0 ? ` (on ${topException.paths.length >= 5 ? '5+' : topException.paths.length} paths)` : '';
+        recommendations.push(`HIGH: ${topException.type} thrown ${topException.count} times${where} - fix exception group ${topException.fingerprint}`);
+    }
+
     // AI agent issues
     for (const [agent, data] of Object.entries(aiAnalysis.byAgent)) {
         if (data.successRate < 0.8) {
@@ -346,8 +721,13 @@ function generateRecommendations(
 }
 
 export default {
+    isErrorEntry,
+    percentile,
     analyzeErrors,
+    analyzeExceptions,
     analyzePerformance,
+    analyzePathStats,
+    analyzeTimeSeries,
     detectAIAgents,
     calculateHealthScore,
     generateRecommendations
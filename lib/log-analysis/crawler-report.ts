@@ -0,0 +1,491 @@
+/**
+ * Crawler Report Module
+ * Identifies search, SEO, social and AI crawlers by user agent, verifies them against published IP ranges,
+ * checks their requests against robots.txt and builds a per-crawler traffic report in one pass
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as net from 'net';
+import * as os from 'os';
+import * as path from 'path';
+import { ParsedLogEntry } from './log-parser';
+import robotsTxt, { RobotsPolicy } from './robots-txt';
+
+export type CrawlerCategory = 'ai' | 'search' | 'seo' | 'social' | 'monitoring' | 'other';
+
+/**
+ * Crawler definition, as built in or as written in crawlers.json
+ */
+export interface CrawlerDefinition {
+    name: string;
+    // Case-insensitive regular expression matched against the user agent
+    pattern: string;
+    category?: CrawlerCategory;
+    // Product token the crawler obeys in robots.txt. Default: name
+    robotsToken?: string;
+    // CIDR ranges the crawler's requests come from, e.g. "66.249.64.0/19"
+    ipRanges?: string[];
+    // JSON file of ranges: an array of CIDRs, or the {"prefixes":[{"ipv4Prefix":...}]} files Google, Bing and OpenAI publish
+    ipRangesFile?: string;
+}
+
+export type Verification = 'verified' | 'unverified' | 'unknown';
+
+export interface CompiledCrawler {
+    name: string;
+    category: CrawlerCategory;
+    robotsToken: string;
+    regex: RegExp;
+    ranges: net.BlockList | null;
+    rangeCount: number;
+}
+
+export interface CrawlerStats {
+    name: string;
+    category: CrawlerCategory;
+    requests: number;
+    bandwidthBytes: number;
+    shareOfRequests: number;
+    shareOfBandwidth: number;
+    avgResponseTime: number | null;
+    statusClasses: Record<string, number>;
+    topStatusCodes: Array<{ status: number; count: number }>;
+    topPaths: Array<{ path: string; count: number; bytes: number }>;
+    // Requests per hour of day, UTC (index 0 = 00:00-00:59)
+    byHourUtc: number[];
+    verification: {
+        rangesConfigured: boolean;
+        verified: number;
+        unverified: number;
+        unknown: number;
+        topUnverifiedIps: Array<{ ip: string; count: number }>;
+    };
+    robots: {
+        token: string;
+        group: string | null;
+        disallowedRequests: number;
+        disallowedPaths: Array<{ path: string; count: number; rule: string }>;
+    } | null;
+    firstSeen: string | null;
+    lastSeen: string | null;
+}
+
+export interface CrawlerReport {
+    totals: {
+        requests: number;
+        bandwidthBytes: number;
+        crawlerRequests: number;
+        crawlerBandwidthBytes: number;
+        crawlerShareOfRequests: number;
+        byCategory: Record<string, { requests: number; bandwidthBytes: number; crawlers: number }>;
+    };
+    crawlers: CrawlerStats[];
+    robotsTxt: { checked: boolean; groups: number };
+}
+
+/**
+ * Built-in crawlers, most specific first (the first matching pattern wins)
+ * Only long-stable ranges are built in; point ipRangesFile at the published lists for full coverage.
+ */
+const BUILT_IN_CRAWLERS: CrawlerDefinition[] = [
+    // AI crawlers and assistants
+    { name: 'ChatGPT-User', pattern: 'ChatGPT-User', category: 'ai' },
+    { name: 'OAI-SearchBot', pattern: 'OAI-SearchBot', category: 'ai' },
+    { name: 'GPTBot', pattern: 'GPTBot', category: 'ai' },
+    { name: 'Claude-User', pattern: 'Claude-User', category: 'ai' },
+    { name: 'Claude-SearchBot', pattern: 'Claude-SearchBot', category: 'ai' },
+    { name: 'ClaudeBot', pattern: 'ClaudeBot|Claude-Web', category: 'ai' },
+    { name: 'Anthropic-AI', pattern: 'anthropic', category: 'ai', robotsToken: 'anthropic-ai' },
+    { name: 'Perplexity-User', pattern: 'Perplexity-User', category: 'ai' },
+    { name: 'PerplexityBot', pattern: 'PerplexityBot', category: 'ai' },
+    { name: 'Google-Extended', pattern: 'Google-Extended', category: 'ai' },
+    { name: 'Applebot-Extended', pattern: 'Applebot-Extended', category: 'ai' },
+    { name: 'Bytespider', pattern: 'Bytespider', category: 'ai' },
+    { name: 'CCBot', pattern: 'CCBot', category: 'ai' },
+    { name: 'Amazonbot', pattern: 'Amazonbot', category: 'ai' },
+    { name: 'Meta-ExternalAgent', pattern: 'meta-externalagent', category: 'ai', robotsToken: 'meta-externalagent' },
+    { name: 'cohere-ai', pattern: 'cohere-ai', category: 'ai' },
+    { name: 'Diffbot', pattern: 'Diffbot', category: 'ai' },
+    { name: 'MistralAI-User', pattern: 'MistralAI-User', category: 'ai' },
+    // Search engines
+    { name: 'Googlebot', pattern: 'Googlebot', category: 'search', ipRanges: ['66.249.64.0/19'] },
+    { name: 'Bingbot', pattern: 'bingbot', category: 'search', ipRanges: ['157.55.39.0/24', '207.46.13.0/24', '40.77.167.0/24'] },
+    { name: 'Applebot', pattern: 'Applebot', category: 'search' },
+    { name: 'DuckDuckBot', pattern: 'DuckDuckBot', category: 'search' },
+    { name: 'YandexBot', pattern: 'YandexBot|YandexImages', category: 'search' },
+    { name: 'Baiduspider', pattern: 'Baiduspider', category: 'search' },
+    // SEO tools
+    { name: 'AhrefsBot', pattern: 'AhrefsBot', category: 'seo' },
+    { name: 'SemrushBot', pattern: 'SemrushBot', category: 'seo' },
+    { name: 'MJ12bot', pattern: 'MJ12bot', category: 'seo' },
+    { name: 'DotBot', pattern: 'DotBot', category: 'seo' },
+    { name: 'Screaming Frog', pattern: 'Screaming Frog', category: 'seo', robotsToken: 'Screaming Frog SEO Spider' },
+    // Link previews
+    { name: 'facebookexternalhit', pattern: 'facebookexternalhit', category: 'social' },
+    { name: 'Twitterbot', pattern: 'Twitterbot', category: 'social' },
+    { name: 'LinkedInBot', pattern: 'LinkedInBot', category: 'social' },
+    { name: 'Slackbot', pattern: 'Slackbot', category: 'social' },
+    // Uptime monitors
+    { name: 'Pingdom', pattern: 'Pingdom', category: 'monitoring' },
+    { name: 'UptimeRobot', pattern: 'UptimeRobot', category: 'monitoring' },
+    // Anything else that calls itself a bot
+    { name: 'Other bots', pattern: 'bot\\b|crawler|spider|crawl', category: 'other', robotsToken: '*' }
+];
+
+const CATEGORIES: CrawlerCategory[] = ['ai', 'search', 'seo', 'social', 'monitoring', 'other'];
+
+// Per-crawler maps are capped so a catch-all crawler hitting random URLs cannot grow without bound
+const MAX_TRACKED_KEYS = 10000;
+
+function configError(message: string): Error {
+    return Object.assign(new Error(message), { code: 'INVALID_CRAWLER_CONFIG' });
+}
+
+/**
+ * Copy of the built-in crawler list
+ */
+function getBuiltInCrawlers(): CrawlerDefinition[] {
+    return BUILT_IN_CRAWLERS.map(crawler => ({ ...crawler, ipRanges: crawler.ipRanges ? [...crawler.ipRanges] : undefined }));
+}
+
+/**
+ * Merge configured crawlers into the built-in list
+ * A configured crawler replaces the built-in one with the same name (case-insensitive) in place;
+ * new names go ahead of the built-ins so they win over broader built-in patterns.
+ */
+function mergeCrawlers(configured: Array<Partial<CrawlerDefinition>> | undefined, replaceBuiltIn: boolean = false): CrawlerDefinition[] {
+    const merged = replaceBuiltIn ? [] : getBuiltInCrawlers();
+    const added: CrawlerDefinition[] = [];
+
+    (configured || []).forEach((crawler, index) => {
+        if (!crawler || typeof crawler.name !== 'string' || !crawler.name.trim()) {
+            throw configError(`Crawler ${index + 1}: name is required`);
+        }
+        const existing = merged.findIndex(item => item.name.toLowerCase() === crawler.name!.toLowerCase());
+        if (existing >= 0) {
+            merged[existing] = { ...merged[existing], ...crawler } as CrawlerDefinition;
+        } else {
+            if (typeof crawler.pattern !== 'string' || !crawler.pattern) {
+                throw configError(`Crawler "${crawler.name}": pattern is required`);
+            }
+            added.push(crawler as CrawlerDefinition);
+        }
+    });
+
+    return [...added, ...merged];
+}
+
+/**
+ * Validate definitions and build their matchers and IP range lists
+ * @throws Error with code INVALID_CRAWLER_CONFIG
+ */
+function compileCrawlers(definitions: CrawlerDefinition[]): CompiledCrawler[] {
+    return definitions.map(definition => {
+        const category = definition.category || 'other';
+        if (!CATEGORIES.includes(category)) {
+            throw configError(`Crawler "${definition.name}": category must be one of ${CATEGORIES.join(', ')}`);
+        }
+
+        let regex: RegExp;
+        try {
+            regex = new RegExp(definition.pattern, 'i');
+        } catch (error) {
+            throw configError(`Crawler "${definition.name}": invalid pattern: ${(error as Error).message}`);
+        }
+
+        const cidrs = [...(definition.ipRanges || [])];
+        if (definition.ipRangesFile) {
+            cidrs.push(...loadRangesFile(definition.name, definition.ipRangesFile));
+        }
+
+        let ranges: net.BlockList | null = null;
+        if (cidrs.length > 0) {
+            ranges = new net.BlockList();
+            for (const cidr of cidrs) {
+                const [address, prefix] = String(cidr).trim().split('/');
+                const type = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+                const bits = prefix === undefined ? (type === 'ipv6' ? 128 : 32) : Number(prefix);
+                if (!type || !Number.isInteger(bits) || bits < 0 || bits > (type === 'ipv6' ? 128 : 32)) {
+                    throw configError(`Crawler "${definition.name}": invalid IP range "${cidr}"`);
+                }
+                ranges.addSubnet(address, bits, type);
+            }
+        }
+
+        return {
+            name: definition.name,
+            category,
+            robotsToken: definition.robotsToken || definition.name,
+            regex,
+            ranges,
+            rangeCount: cidrs.length
+        };
+    });
+}
+
+/**
+ * @private
+ */
+function loadRangesFile(crawlerName: string, file: string): string[] {
+    const resolved = path.resolve(file.replace(/^~(?=$|[\\/])/, os.homedir()));
+    let content: any;
+    try {
+        content = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+    } catch (error) {
+        throw configError(`Crawler "${crawlerName}": cannot read ipRangesFile ${resolved}: ${(error as Error).message}`);
+    }
+
+    if (Array.isArray(content)) {
+        return content.map(String);
+    }
+    if (content && Array.isArray(content.prefixes)) {
+        return content.prefixes
+            .map((prefix: any) => prefix.ipv4Prefix || prefix.ipv6Prefix)
+            .filter((cidr: any) => typeof cidr === 'string');
+    }
+    throw configError(`Crawler "${crawlerName}": ipRangesFile must hold an array of CIDRs or a {"prefixes": [...]} object`);
+}
+
+/**
+ * First crawler whose pattern matches the user agent
+ */
+function identifyCrawler(crawlers: CompiledCrawler[], userAgent: string): CompiledCrawler | null {
+    if (!userAgent) {
+        return null;
+    }
+    return crawlers.find(crawler => crawler.regex.test(userAgent)) || null;
+}
+
+/**
+ * Whether a request's IP is inside the crawler's published ranges
+ */
+function verifyIp(crawler: CompiledCrawler, ip: string): Verification {
+    if (!crawler.ranges || !ip) {
+        return 'unknown';
+    }
+    const address = ip.replace(/^\[|\](:\d+)?$/g, '').replace(/^(\d+\.\d+\.\d+\.\d+):\d+$/, '$1');
+    const type = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+    if (!type) {
+        return 'unknown';
+    }
+    return crawler.ranges.check(address, type) ? 'verified' : 'unverified';
+}
+
+/**
+ * @private
+ */
+function countKey(map: Map<string, number>, key: string, amount: number = 1): void {
+    if (!map.has(key) && map.size >= MAX_TRACKED_KEYS) {
+        key = '(other)';
+    }
+    map.set(key, (map.get(key) || 0) + amount);
+}
+
+/**
+ * @private
+ */
+function topEntries(map: Map<string, number>, top: number): Array<[string, number]> {
+    return Array.from(map.entries()).sort((a, b) => b[1] - a[1]).slice(0, top);
+}
+
+interface CrawlerAccumulator {
+    crawler: CompiledCrawler;
+    requests: number;
+    bytes: number;
+    timeSum: number;
+    timed: number;
+    statusCodes: Map<string, number>;
+    paths: Map<string, number>;
+    pathBytes: Map<string, number>;
+    byHour: number[];
+    verified: number;
+    unverified: number;
+    unknown: number;
+    unverifiedIps: Map<string, number>;
+    disallowed: number;
+    disallowedPaths: Map<string, number>;
+    disallowRules: Map<string, string>;
+    robotsGroup: string | null;
+    first: number;
+    last: number;
+}
+
+/**
+ * Builds the crawler report from HTTP entries one at a time
+ */
+class CrawlerReportBuilder {
+    private crawlers: CompiledCrawler[];
+    private robots: RobotsPolicy | null;
+    private top: number;
+    private stats: Map<string, CrawlerAccumulator>;
+    private totalRequests: number;
+    private totalBytes: number;
+
+    constructor(crawlers: CompiledCrawler[], options: { robots?: RobotsPolicy | null; top?: number } = {}) {
+        this.crawlers = crawlers;
+        this.robots = options.robots || null;
+        this.top = Math.max(1, options.top || 10);
+        this.stats = new Map();
+        this.totalRequests = 0;
+        this.totalBytes = 0;
+    }
+
+    /**
+     * Count one entry; console entries are ignored
+     */
+    add(entry: ParsedLogEntry): void {
+        if (entry.type !== 'http') {
+            return;
+        }
+
+        const bytes = entry.size || 0;
+        this.totalRequests++;
+        this.totalBytes += bytes;
+
+        const crawler = identifyCrawler(this.crawlers, entry.userAgent);
+        if (!crawler) {
+            return;
+        }
+
+        let stats = this.stats.get(crawler.name);
+        if (!stats) {
+            stats = {
+                crawler, requests: 0, bytes: 0, timeSum: 0, timed: 0,
+                statusCodes: new Map(), paths: new Map(), pathBytes: new Map(), byHour: new Array(24).fill(0),
+                verified: 0, unverified: 0, unknown: 0, unverifiedIps: new Map(),
+                disallowed: 0, disallowedPaths: new Map(), disallowRules: new Map(), robotsGroup: null,
+                first: Infinity, last: -Infinity
+            };
+            this.stats.set(crawler.name, stats);
+        }
+
+        stats.requests++;
+        stats.bytes += bytes;
+        if (entry.responseTime !== undefined && entry.responseTime > 0) {
+            stats.timeSum += entry.responseTime;
+            stats.timed++;
+        }
+        countKey(stats.statusCodes, String(entry.statusCode));
+        countKey(stats.paths, entry.path);
+        countKey(stats.pathBytes, entry.path, bytes);
+
+        const time = entry.timestamp instanceof Date ? entry.timestamp.getTime() : NaN;
+        if (!isNaN(time)) {
+            stats.byHour[entry.timestamp.getUTCHours()]++;
+            stats.first = Math.min(stats.first, time);
+            stats.last = Math.max(stats.last, time);
+        }
+
+        const verification = verifyIp(crawler, entry.ip);
+        stats[verification]++;
+        if (verification === 'unverified') {
+            countKey(stats.unverifiedIps, entry.ip);
+        }
+
+        if (this.robots) {
+            const decision = robotsTxt.isAllowed(this.robots, crawler.robotsToken, entry.path);
+            stats.robotsGroup = decision.group;
+            if (!decision.allowed) {
+                stats.disallowed++;
+                countKey(stats.disallowedPaths, entry.path);
+                if (stats.disallowedPaths.has(entry.path)) {
+                    stats.disallowRules.set(entry.path, decision.rule || '');
+                }
+            }
+        }
+    }
+
+    result(): CrawlerReport {
+        const byCategory: Record<string, { requests: number; bandwidthBytes: number; crawlers: number }> = {};
+        let crawlerRequests = 0;
+        let crawlerBytes = 0;
+
+        const crawlers = Array.from(this.stats.values())
+            .sort((a, b) => b.requests - a.requests)
+            .map(stats => {
+                const category = stats.crawler.category;
+                const totals = byCategory[category] || (byCategory[category] = { requests: 0, bandwidthBytes: 0, crawlers: 0 });
+                totals.requests += stats.requests;
+                totals.bandwidthBytes += stats.bytes;
+                totals.crawlers++;
+                crawlerRequests += stats.requests;
+                crawlerBytes += stats.bytes;
+
+                const statusClasses: Record<string, number> = {};
+                stats.statusCodes.forEach((count, status) => {
+                    const statusClass = `${status[0]}xx`;
+                    statusClasses[statusClass] = (statusClasses[statusClass] || 0) + count;
+                });
+
+                return {
+                    name: stats.crawler.name,
+                    category,
+                    requests: stats.requests,
+                    bandwidthBytes: stats.bytes,
+                    shareOfRequests: this.share(stats.requests, this.totalRequests),
+                    shareOfBandwidth: this.share(stats.bytes, this.totalBytes),
+                    avgResponseTime: stats.timed > 0 ? Math.round(stats.timeSum / stats.timed) : null,
+                    statusClasses,
+                    topStatusCodes: topEntries(stats.statusCodes, 5).map(([status, count]) => ({ status: Number(status) || 0, count })),
+                    topPaths: topEntries(stats.paths, this.top).map(([pathName, count]) => ({ path: pathName, count, bytes: stats.pathBytes.get(pathName) || 0 })),
+                    byHourUtc: stats.byHour,
+                    verification: {
+                        rangesConfigured: stats.crawler.ranges !== null,
+                        verified: stats.verified,
+                        unverified: stats.unverified,
+                        unknown: stats.unknown,
+                        topUnverifiedIps: topEntries(stats.unverifiedIps, 5).map(([ip, count]) => ({ ip, count }))
+                    },
+                    robots: this.robots ? {
+                        token: stats.crawler.robotsToken,
+                        group: stats.robotsGroup,
+                        disallowedRequests: stats.disallowed,
+                        disallowedPaths: topEntries(stats.disallowedPaths, this.top).map(([pathName, count]) => ({
+                            path: pathName,
+                            count,
+                            rule: stats.disallowRules.get(pathName) || ''
+                        }))
+                    } : null,
+                    firstSeen: isFinite(stats.first) ? new Date(stats.first).toISOString() : null,
+                    lastSeen: isFinite(stats.last) ? new Date(stats.last).toISOString() : null
+                };
+            });
+
+        return {
+            totals: {
+                requests: this.totalRequests,
+                bandwidthBytes: this.totalBytes,
+                crawlerRequests,
+                crawlerBandwidthBytes: crawlerBytes,
+                crawlerShareOfRequests: this.share(crawlerRequests, this.totalRequests),
+                byCategory
+            },
+            crawlers,
+            robotsTxt: { checked: this.robots !== null, groups: this.robots ? this.robots.groups.length : 0 }
+        };
+    }
+
+    /**
+     * Percentage rounded to one decimal
+     * @private
+     */
+    private share(part: number, total: number): number {
+        return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+    }
+}
+
+function createReportBuilder(crawlers: CompiledCrawler[], options: { robots?: RobotsPolicy | null; top?: number } = {}): CrawlerReportBuilder {
+    return new CrawlerReportBuilder(crawlers, options);
+}
+
+export { CrawlerReportBuilder };
+
+export default {
+    getBuiltInCrawlers,
+    mergeCrawlers,
+    compileCrawlers,
+    identifyCrawler,
+    verifyIp,
+    createReportBuilder
+};
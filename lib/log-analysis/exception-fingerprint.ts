@@ -0,0 +1,117 @@
+/**
+ * Exception Fingerprint Module
+ * Extracts .NET exceptions (type, message, stack frames) from parsed log entries and
+ * reduces them to stable fingerprints so the same failure groups together across URLs
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as crypto from 'crypto';
+
+export interface ExtractedException {
+    type: string;
+    message: string;
+    frames: string[];
+    innerTypes: string[];
+    text: string;
+}
+
+// Frames that make up the fingerprint; deeper frames are mostly framework plumbing
+const FINGERPRINT_FRAMES = 5;
+const SAMPLE_STACK_LINES = 15;
+
+const EXCEPTION_START = /(?:^|[\s>])((?:[A-Za-z_]\w*\.)+\w*Exception)(?::[ \t]*([^\r\n]*))?/;
+const INNER_EXCEPTION = /--->\s*((?:[A-Za-z_]\w*\.)+\w*Exception)/g;
+const STACK_FRAME = /^\s*at\s+(.+?)(?:\s+in\s+.+?:line\s+\d+)?\s*$/;
+
+/**
+ * Find the exception in an entry: the parser's exception text, else an exception named in the message
+ */
+function extractException(entry: { exception?: string; message?: string }): ExtractedException | null {
+    const text = entry.exception || (entry.message && EXCEPTION_START.test(entry.message) ? entry.message : '');
+    if (!text) {
+        return null;
+    }
+
+    const header = text.match(EXCEPTION_START);
+    if (!header) {
+        return null;
+    }
+
+    const frames: string[] = [];
+    for (const line of text.split(/\r?\n/)) {
+        const frame = line.match(STACK_FRAME);
+        if (frame) {
+            frames.push(frame[1]);
+        }
+    }
+
+    const innerTypes: string[] = [];
+    let inner: RegExpExecArray | null;
+    INNER_EXCEPTION.lastIndex = 0;
+    while ((inner = INNER_EXCEPTION.exec(text)) !== null) {
+        innerTypes.push(inner[1]);
+    }
+
+    return {
+        type: header[1],
+        message: (header[2] || '').trim(),
+        frames,
+        innerTypes,
+        text
+    };
+}
+
+/**
+ * Replace the variable parts of a message (ids, GUIDs, numbers, quoted values, URLs) with placeholders
+ */
+function normalizeMessage(message: string): string {
+    return message
+        .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<guid>')
+        .replace(/\bhttps?:\/\/\S+/gi, '<url>')
+        .replace(/\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g, '<email>')
+        .replace(/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g, '<date>')
+        .replace(/\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g, '<ip>')
+        .replace(/'[^']*'|"[^"]*"/g, '<value>')
+        .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+        .replace(/\b[0-9a-f]{16,}\b/gi, '<hex>')
+        .replace(/\b\d+\b/g, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Strip compiler-generated numbering from a frame so builds and async state machines match
+ * "Foo.<Bar>d__12.MoveNext()" → "Foo.<Bar>d__<n>.MoveNext()"
+ */
+function normalizeFrame(frame: string): string {
+    return frame
+        .replace(/(b__|d__|c__DisplayClass|__)\d+(_\d+)?/g, '$1<n>')
+        .replace(/`\d+/g, '`<n>')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Stable id of an exception: type plus top stack frames, or type plus normalised message without a stack
+ */
+function fingerprintException(exception: ExtractedException): string {
+    const parts = exception.frames.length > 0
+        ? [exception.type, ...exception.frames.slice(0, FINGERPRINT_FRAMES).map(normalizeFrame)]
+        : [exception.type, normalizeMessage(exception.message)];
+    return crypto.createHash('sha1').update(parts.join('\n')).digest('hex').substring(0, 12);
+}
+
+/**
+ * First lines of the exception text, for showing one example of a group
+ */
+function sampleStack(exception: ExtractedException): string {
+    return exception.text.split(/\r?\n/).slice(0, SAMPLE_STACK_LINES).join('\n');
+}
+
+export default {
+    extractException,
+    normalizeMessage,
+    normalizeFrame,
+    fingerprintException,
+    sampleStack
+};
@@ -4,6 +4,22 @@
  * Part of DXP-112 implementation
  */
 
+import Statistics from './statistics';
+
+interface LatencyHistogram {
+    bounds: number[];
+    counts: number[];
+}
+
+interface PathStats {
+    path: string;
+    requests: number;
+    errors: number;
+    timedRequests?: number;
+    avgResponseTime?: number | null;
+    stdDevResponseTime?: number | null;
+}
+
 interface LogAnalysisResult {
     errors?: {
         total: number;
@@ -12,29 +28,86 @@ interface LogAnalysisResult {
         avgResponseTime?: number | null;
         p95ResponseTime?: number | null;
         p99ResponseTime?: number | null;
+        latencyHistogram?: LatencyHistogram | null;
     };
     summary?: {
         healthScore: number;
+        totalLogs?: number;
+    };
+    exceptions?: {
+        topGroups?: ExceptionGroupSummary[];
+        fingerprints?: string[];
     };
+    paths?: PathStats[];
+}
+
+interface ExceptionGroupSummary {
+    fingerprint: string;
+    type: string;
+    message?: string;
+    count: number;
+    firstSeen?: string;
+    paths?: string[];
 }
 
 interface ComparisonThresholds {
     maxErrorIncrease?: number;
     maxScoreDecrease?: number;
     maxLatencyIncrease?: number;
+    minRequests?: number;
+    minPathRequests?: number;
+    confidence?: number;
 }
 
+interface ErrorRateTest {
+    baselineRate: number;
+    baselineInterval: [number, number];
+    slotRate: number;
+    slotInterval: [number, number];
+    relativeIncrease: number | null;
+    pValue: number;
+    significant: boolean;
+}
+
+interface LatencyTest {
+    method: 'mann-whitney' | 'threshold' | 'skipped';
+    baselineSamples: number;
+    slotSamples: number;
+    pValue: number | null;
+    probabilitySlower: number | null;
+    significant: boolean;
+    note?: string;
+}
+
+interface PathRegression {
+    path: string;
+    metric: 'errorRate' | 'latency';
+    baseline: number;
+    slot: number;
+    baselineRequests: number;
+    slotRequests: number;
+    pValue: number;
+}
+
+type Decision = 'safe' | 'warning' | 'critical' | 'insufficient_data';
+type Recommendation = 'proceed' | 'investigate' | 'rollback' | 'wait';
+
 interface ComparisonResult {
-    decision: 'safe' | 'warning' | 'critical';
-    recommendation: 'proceed' | 'investigate' | 'rollback';
+    decision: Decision;
+    recommendation: Recommendation;
+    insufficientData: boolean;
     baseline: {
+        requests: number | null;
         totalErrors: number;
+        errorRate: number | null;
         healthScore: number;
         avgLatency: number | null;
         p95Latency: number | null;
     };
     slot: {
+        requests: number | null;
         totalErrors: number;
+        errorRate: number | null;
         healthScore: number;
         avgLatency: number | null;
         p95Latency: number | null;
@@ -42,19 +115,35 @@ interface ComparisonResult {
     deltas: {
         errorDelta: number;
         errorDeltaPercent: number;
+        errorRateDelta: number | null;
         scoreDelta: number;
         latencyDelta: number;
     };
+    tests: {
+        errorRate: ErrorRateTest | null;
+        latency: LatencyTest;
+    };
+    pathRegressions: PathRegression[];
+    newExceptionGroups: ExceptionGroupSummary[];
     reasons: string[];
     thresholdsApplied: {
         maxErrorIncrease: number;
         maxScoreDecrease: number;
         maxLatencyIncrease: number;
+        minRequests: number;
+        minPathRequests: number;
+        confidence: number;
     };
 }
 
+// Below this many timed requests per side a latency distribution says little
+const MIN_LATENCY_SAMPLES = 30;
+
 /**
  * Compare two log analysis results and provide deployment recommendation
+ * Error counts are normalised by request volume and a change is only flagged when it is both
+ * statistically significant and larger than the threshold, so small samples do not cause rollbacks
+ * and high traffic does not hide a real regression.
  * @param {Object} baseline - Baseline log analysis result
  * @param {Object} slot - Slot log analysis result
  * @param {Object} thresholds - Optional threshold overrides
@@ -69,10 +158,16 @@ function compareLogs(
     const maxErrorIncrease = thresholds.maxErrorIncrease ?? 0.5;  // 50%
     const maxScoreDecrease = thresholds.maxScoreDecrease ?? 20;   // 20 points
     const maxLatencyIncrease = thresholds.maxLatencyIncrease ?? 100; // 100ms
+    const minRequests = thresholds.minRequests ?? 100;
+    const minPathRequests = thresholds.minPathRequests ?? 30;
+    const confidence = thresholds.confidence ?? 0.95;
+    const alpha = 1 - confidence;
 
     // Extract key metrics
     const baselineErrors = baseline.errors?.total ?? 0;
     const slotErrors = slot.errors?.total ?? 0;
+    const baselineRequests = baseline.summary?.totalLogs ?? null;
+    const slotRequests = slot.summary?.totalLogs ?? null;
     const baselineScore = baseline.summary?.healthScore ?? 100;
     const slotScore = slot.summary?.healthScore ?? 100;
     const baselineLatency = baseline.performance?.p95ResponseTime ?? 0;
@@ -86,63 +181,116 @@ function compareLogs(
     const scoreDelta = slotScore - baselineScore;
     const latencyDelta = slotLatency - baselineLatency;
 
-    // Evaluate thresholds
+    const errorRateTest = baselineRequests && slotRequests
+        ? testErrorRate(baselineErrors, baselineRequests, slotErrors, slotRequests, confidence)
+        : null;
+    const latencyTest = testLatency(baseline, slot, alpha);
+    const pathRegressions = findPathRegressions(baseline.paths || [], slot.paths || [], {
+        alpha, minPathRequests, maxErrorIncrease, maxLatencyIncrease
+    });
+
+    // Exception groups in the slot that the baseline never had (only when both sides were fingerprinted)
+    const newExceptionGroups = findNewExceptionGroups(baseline, slot);
+
     const reasons: string[] = [];
-    let decision: 'safe' | 'warning' | 'critical' = 'safe';
+    let decision: Decision = 'safe';
 
-    // Check error rate increase
-    if (errorDeltaPercent > maxErrorIncrease) {
-        const percentText = (errorDeltaPercent * 100).toFixed(1);
-        reasons.push(`Error rate increased by ${percentText}% (${baselineErrors} → ${slotErrors})`);
-        decision = 'critical';
-    }
+    // Without request volume on both sides there is nothing to normalise by - say so instead of guessing
+    const insufficientData = baselineRequests === null || slotRequests === null ||
+        baselineRequests < minRequests || slotRequests < minRequests;
 
-    // Check health score decrease
-    if (scoreDelta < 0 && Math.abs(scoreDelta) > maxScoreDecrease) {
-        reasons.push(`Health score dropped from ${baselineScore} to ${slotScore} (${scoreDelta} points)`);
-        decision = decision === 'critical' ? 'critical' : 'warning';
-    }
+    if (insufficientData) {
+        decision = 'insufficient_data';
+        reasons.push(baselineRequests === null || slotRequests === null
+            ? 'Request volume missing (summary.totalLogs) - cannot normalise error counts'
+            : `Not enough traffic to judge: ${baselineRequests} baseline and ${slotRequests} slot requests (need ${minRequests} each)`);
+        if (newExceptionGroups.length > 0) {
+            reasons.push(`${newExceptionGroups.length} new exception group(s) in slot - review them before deciding`);
+        }
+    } else {
+        // Check error rate increase: significant and larger than the threshold
+        if (errorRateTest && errorRateTest.significant &&
+            (errorRateTest.relativeIncrease === null || errorRateTest.relativeIncrease > maxErrorIncrease)) {
+            const increase = errorRateTest.relativeIncrease === null ? 'from zero' : `by ${(errorRateTest.relativeIncrease * 100).toFixed(1)}%`;
+            reasons.push(`Error rate increased ${increase} (${formatRate(errorRateTest.baselineRate)} → ${formatRate(errorRateTest.slotRate)}, p=${formatP(errorRateTest.pValue)})`);
+            decision = 'critical';
+        }
 
-    // Check latency increase
-    if (latencyDelta > maxLatencyIncrease) {
-        reasons.push(`P95 latency increased by ${latencyDelta}ms (${baselineLatency}ms → ${slotLatency}ms)`);
-        decision = decision === 'critical' ? 'critical' : 'warning';
-    }
+        // Check health score decrease; the score counts raw server errors, so only a significant error rate change counts
+        if (scoreDelta < 0 && Math.abs(scoreDelta) > maxScoreDecrease && errorRateTest?.significant) {
+            reasons.push(`Health score dropped from ${baselineScore} to ${slotScore} (${scoreDelta} points)`);
+            decision = decision === 'critical' ? 'critical' : 'warning';
+        }
 
-    // If no issues found, add positive reasons
-    if (reasons.length === 0) {
-        if (scoreDelta > 0) {
-            reasons.push(`Health score improved from ${baselineScore} to ${slotScore}`);
+        // Check latency increase: the distribution shifted and P95 moved by more than the threshold
+        if (latencyTest.significant && latencyDelta > maxLatencyIncrease) {
+            const evidence = latencyTest.pValue !== null ? `, p=${formatP(latencyTest.pValue)}` : '';
+            reasons.push(`P95 latency increased by ${latencyDelta}ms (${baselineLatency}ms → ${slotLatency}ms${evidence})`);
+            decision = decision === 'critical' ? 'critical' : 'warning';
         }
-        if (errorDelta <= 0) {
-            reasons.push(`Error rate maintained or decreased (${baselineErrors} → ${slotErrors})`);
+
+        if (pathRegressions.length > 0) {
+            const listed = pathRegressions.slice(0, 3).map(regression => regression.metric === 'errorRate'
+                ? `${regression.path} (errors ${formatRate(regression.baseline)} → ${formatRate(regression.slot)})`
+                : `${regression.path} (avg ${regression.baseline}ms → ${regression.slot}ms)`).join(', ');
+            const more = pathRegressions.length > 3 ? ` and ${pathRegressions.length - 3} more` : '';
+            reasons.push(`${pathRegressions.length} path regression(s): ${listed}${more}`);
+            decision = decision === 'critical' ? 'critical' : 'warning';
         }
-        if (latencyDelta <= 0) {
-            reasons.push(`Latency maintained or improved (${baselineLatency}ms → ${slotLatency}ms)`);
+
+        if (newExceptionGroups.length > 0) {
+            const listed = newExceptionGroups.slice(0, 3).map(group => `${group.type} ×${group.count}`).join(', ');
+            const more = newExceptionGroups.length > 3 ? ` and ${newExceptionGroups.length - 3} more` : '';
+            reasons.push(`${newExceptionGroups.length} new exception group(s) in slot: ${listed}${more}`);
+            decision = decision === 'critical' ? 'critical' : 'warning';
+        }
+
+        // If no issues found, add positive reasons
+        if (reasons.length === 0) {
+            if (scoreDelta > 0) {
+                reasons.push(`Health score improved from ${baselineScore} to ${slotScore}`);
+            }
+            if (errorRateTest) {
+                reasons.push(errorRateTest.slotRate <= errorRateTest.baselineRate
+                    ? `Error rate maintained or decreased (${formatRate(errorRateTest.baselineRate)} → ${formatRate(errorRateTest.slotRate)})`
+                    : `Error rate change not significant or below threshold (${formatRate(errorRateTest.baselineRate)} → ${formatRate(errorRateTest.slotRate)}, p=${formatP(errorRateTest.pValue)})`);
+            }
+            if (latencyDelta <= 0) {
+                reasons.push(`Latency maintained or improved (${baselineLatency}ms → ${slotLatency}ms)`);
+            } else {
+                reasons.push(`Latency change not significant or below threshold (${baselineLatency}ms → ${slotLatency}ms)`);
+            }
         }
     }
 
     // Make recommendation
-    let recommendation: 'proceed' | 'investigate' | 'rollback';
+    let recommendation: Recommendation;
     if (decision === 'safe') {
         recommendation = 'proceed';
     } else if (decision === 'warning') {
         recommendation = 'investigate';
-    } else {
+    } else if (decision === 'critical') {
         recommendation = 'rollback';
+    } else {
+        recommendation = 'wait';
     }
 
     return {
         decision,
         recommendation,
+        insufficientData,
         baseline: {
+            requests: baselineRequests,
             totalErrors: baselineErrors,
+            errorRate: errorRateTest ? errorRateTest.baselineRate : null,
             healthScore: baselineScore,
             avgLatency: baseline.performance?.avgResponseTime ?? 0,
             p95Latency: baselineLatency
         },
         slot: {
+            requests: slotRequests,
             totalErrors: slotErrors,
+            errorRate: errorRateTest ? errorRateTest.slotRate : null,
             healthScore: slotScore,
             avgLatency: slot.performance?.avgResponseTime ?? 0,
             p95Latency: slotLatency
@@ -150,18 +298,200 @@ function compareLogs(
         deltas: {
             errorDelta,
             errorDeltaPercent: parseFloat((errorDeltaPercent * 100).toFixed(2)),
+            errorRateDelta: errorRateTest ? round(errorRateTest.slotRate - errorRateTest.baselineRate, 6) : null,
             scoreDelta,
             latencyDelta
         },
+        tests: {
+            errorRate: errorRateTest,
+            latency: latencyTest
+        },
+        pathRegressions,
+        newExceptionGroups,
         reasons,
         thresholdsApplied: {
             maxErrorIncrease: maxErrorIncrease * 100,  // Convert to percentage for display
             maxScoreDecrease,
-            maxLatencyIncrease
+            maxLatencyIncrease,
+            minRequests,
+            minPathRequests,
+            confidence
         }
     };
 }
 
+/**
+ * Error rates with confidence intervals and a one-sided test for an increase in the slot
+ */
+function testErrorRate(baselineErrors: number, baselineRequests: number, slotErrors: number, slotRequests: number, confidence: number): ErrorRateTest {
+    const baselineRate = baselineErrors / baselineRequests;
+    const slotRate = slotErrors / slotRequests;
+    const { pValue } = Statistics.proportionIncreaseTest(baselineErrors, baselineRequests, slotErrors, slotRequests);
+
+    return {
+        baselineRate: round(baselineRate, 6),
+        baselineInterval: Statistics.wilsonInterval(baselineErrors, baselineRequests, confidence).map(value => round(value, 6)) as [number, number],
+        slotRate: round(slotRate, 6),
+        slotInterval: Statistics.wilsonInterval(slotErrors, slotRequests, confidence).map(value => round(value, 6)) as [number, number],
+        // null: the baseline had no errors, so any increase is unbounded
+        relativeIncrease: baselineRate > 0 ? round((slotRate - baselineRate) / baselineRate, 4) : (slotRate > 0 ? null : 0),
+        pValue: round(pValue, 6),
+        significant: pValue < 1 - confidence
+    };
+}
+
+/**
+ * Rank test on the latency histograms; without histograms (older callers) fall back to the P95 threshold alone
+ */
+function testLatency(baseline: LogAnalysisResult, slot: LogAnalysisResult, alpha: number): LatencyTest {
+    const baselineHistogram = baseline.performance?.latencyHistogram;
+    const slotHistogram = slot.performance?.latencyHistogram;
+
+    if (!baselineHistogram || !slotHistogram) {
+        return {
+            method: 'threshold',
+            baselineSamples: 0,
+            slotSamples: 0,
+            pValue: null,
+            probabilitySlower: null,
+            significant: true,
+            note: 'No latency histograms - P95 threshold applied without a significance test'
+        };
+    }
+
+    const baselineSamples = baselineHistogram.counts.reduce((sum, count) => sum + count, 0);
+    const slotSamples = slotHistogram.counts.reduce((sum, count) => sum + count, 0);
+    const sameBins = baselineHistogram.bounds.length === slotHistogram.bounds.length &&
+        baselineHistogram.bounds.every((bound, i) => bound === slotHistogram.bounds[i]);
+
+    if (!sameBins) {
+        return { method: 'skipped', baselineSamples, slotSamples, pValue: null, probabilitySlower: null, significant: false, note: 'Latency histograms use different bins' };
+    }
+    if (baselineSamples < MIN_LATENCY_SAMPLES || slotSamples < MIN_LATENCY_SAMPLES) {
+        return {
+            method: 'skipped', baselineSamples, slotSamples, pValue: null, probabilitySlower: null, significant: false,
+            note: `Need ${MIN_LATENCY_SAMPLES} timed requests per side`
+        };
+    }
+
+    const test = Statistics.rankIncreaseTest(baselineHistogram.counts, slotHistogram.counts);
+    if (!test) {
+        return { method: 'skipped', baselineSamples, slotSamples, pValue: null, probabilitySlower: null, significant: false };
+    }
+
+    return {
+        method: 'mann-whitney',
+        baselineSamples,
+        slotSamples,
+        pValue: round(test.pValue, 6),
+        probabilitySlower: round(test.probabilitySlower, 4),
+        significant: test.pValue < alpha
+    };
+}
+
+/**
+ * Paths with enough traffic on both sides whose error rate or mean latency got significantly worse.
+ * The significance level is split across all tests (Bonferroni) so checking many paths does not
+ * produce regressions by chance.
+ */
+function findPathRegressions(
+    baselinePaths: PathStats[],
+    slotPaths: PathStats[],
+    options: { alpha: number; minPathRequests: number; maxErrorIncrease: number; maxLatencyIncrease: number }
+): PathRegression[] {
+    const baselineByPath = new Map(baselinePaths.map(stats => [stats.path, stats]));
+    const candidates: Array<{ base: PathStats; current: PathStats; metric: PathRegression['metric'] }> = [];
+
+    for (const current of slotPaths) {
+        const base = baselineByPath.get(current.path);
+        if (!base || base.requests < options.minPathRequests || current.requests < options.minPathRequests) {
+            continue;
+        }
+        candidates.push({ base, current, metric: 'errorRate' });
+        if ((base.timedRequests ?? 0) >= options.minPathRequests && (current.timedRequests ?? 0) >= options.minPathRequests &&
+            base.avgResponseTime != null && current.avgResponseTime != null) {
+            candidates.push({ base, current, metric: 'latency' });
+        }
+    }
+
+    const alpha = options.alpha / Math.max(1, candidates.length);
+    const regressions: PathRegression[] = [];
+
+    for (const { base, current, metric } of candidates) {
+        if (metric === 'errorRate') {
+            const baseRate = base.errors / base.requests;
+            const slotRate = current.errors / current.requests;
+            const largeEnough = baseRate > 0 ? (slotRate - baseRate) / baseRate > options.maxErrorIncrease : slotRate > 0;
+            if (!largeEnough) {
+                continue;
+            }
+            const { pValue } = Statistics.proportionIncreaseTest(base.errors, base.requests, current.errors, current.requests);
+            if (pValue < alpha) {
+                regressions.push({
+                    path: current.path, metric, baseline: round(baseRate, 6), slot: round(slotRate, 6),
+                    baselineRequests: base.requests, slotRequests: current.requests, pValue: round(pValue, 6)
+                });
+            }
+        } else {
+            const baseMean = base.avgResponseTime!;
+            const slotMean = current.avgResponseTime!;
+            if (slotMean - baseMean <= options.maxLatencyIncrease) {
+                continue;
+            }
+            const { pValue } = Statistics.meanIncreaseTest(
+                baseMean, base.stdDevResponseTime ?? 0, base.timedRequests!,
+                slotMean, current.stdDevResponseTime ?? 0, current.timedRequests!
+            );
+            if (pValue < alpha) {
+                regressions.push({
+                    path: current.path, metric, baseline: baseMean, slot: slotMean,
+                    baselineRequests: base.timedRequests!, slotRequests: current.timedRequests!, pValue: round(pValue, 6)
+                });
+            }
+        }
+    }
+
+    return regressions.sort((a, b) => a.pValue - b.pValue);
+}
+
+function round(value: number, digits: number): number {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function formatRate(rate: number): string {
+    return `${(rate * 100).toFixed(2)}%`;
+}
+
+function formatP(pValue: number): string {
+    return pValue < 0.001 ? '<0.001' : pValue.toFixed(3);
+}
+
+/**
+ * Slot exception groups whose fingerprint does not occur in the baseline
+ */
+function findNewExceptionGroups(baseline: LogAnalysisResult, slot: LogAnalysisResult): ExceptionGroupSummary[] {
+    if (!baseline.exceptions || !slot.exceptions) {
+        return [];
+    }
+
+    const known = new Set([
+        ...(baseline.exceptions.fingerprints || []),
+        ...(baseline.exceptions.topGroups || []).map(group => group.fingerprint)
+    ]);
+
+    return (slot.exceptions.topGroups || [])
+        .filter(group => !known.has(group.fingerprint))
+        .map(group => ({
+            fingerprint: group.fingerprint,
+            type: group.type,
+            message: group.message,
+            count: group.count,
+            firstSeen: group.firstSeen,
+            paths: group.paths
+        }));
+}
+
 export default {
     compareLogs
 };
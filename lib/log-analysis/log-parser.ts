@@ -1,12 +1,13 @@
 /**
  * Log Parser Module
- * Parses Azure Application Insights logs (HTTP and Console)
+ * Parses Azure Application Insights logs (HTTP and Console) and self-hosted log files
+ * through a registry of formats that is auto-detected per file
  * Ported from log-analyzer-mcp for DXP-110
  */
 
-const { OutputLogger } = require('../output-logger');
+import OutputLogger from '../output-logger';
 
-interface ParsedLogEntry {
+export interface ParsedLogEntry {
     timestamp: Date;
     type: 'console' | 'http' | 'unknown';
     method: string;
@@ -22,6 +23,33 @@ interface ParsedLogEntry {
     host?: string;
     isError?: boolean;
     level?: string;
+    exception?: string;
+    format?: string;
+}
+
+/**
+ * Incremental parser for the lines of one file
+ * parseLine returns the entries completed by this line ([] when the line was consumed without
+ * finishing an entry, such as a header or a stack frame), or null when the line is not in this format.
+ */
+export interface LogLineParser {
+    parseLine(line: string, json: Record<string, any> | null): ParsedLogEntry[] | null;
+    flush(): ParsedLogEntry[];
+}
+
+export interface LogFormat {
+    name: string;
+    description: string;
+    /** Whether a line (already JSON-parsed when it is a JSON object) starts a file of this format */
+    detect(line: string, json: Record<string, any> | null): boolean;
+    createParser(options: { debug?: boolean }): LogLineParser;
+}
+
+export interface FormatStats {
+    files: number;
+    lines: number;
+    entries: number;
+    unparsed: number;
 }
 
 interface AzureLogBase {
@@ -77,8 +105,35 @@ interface IISLogProperties {
     CsHost?: string;
 }
 
+// Lines a file may start with before its format is recognised (e.g. stray stack frames)
+const DETECTION_LINES = 20;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_EXCEPTION_LENGTH = 8000;
+const MAX_RECORD_LINES = 200;
+
+// Level names normalised to the Azure App Service vocabulary the analyzers already use
+const LEVELS: Record<string, string> = {
+    trace: 'Verbose', trce: 'Verbose', verbose: 'Verbose', vrb: 'Verbose',
+    debug: 'Debug', dbug: 'Debug', dbg: 'Debug',
+    info: 'Informational', information: 'Informational', informational: 'Informational', inf: 'Informational',
+    warn: 'Warning', warning: 'Warning', wrn: 'Warning',
+    error: 'Error', err: 'Error', fail: 'Error',
+    fatal: 'Critical', ftl: 'Critical', critical: 'Critical', crit: 'Critical'
+};
+
+// DXP-128: Warning counts as an error for console logs
+const ERROR_LEVELS = ['Warning', 'Error', 'Critical'];
+
+const TIMESTAMP_PREFIX = /^\[?(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:\s?(?:Z|[+-]\d{2}:?\d{2}))?)\]?[\s|]*(.*)$/;
+const CONSOLE_LOGGER_PREFIX = /^(trce|dbug|info|warn|fail|crit):\s+(.*)$/;
+const EXCEPTION_HEADER = /^(?:Unhandled exception\.\s*)?((?:[A-Za-z_]\w*\.)+\w*(?:Exception|Error))(?::\s*(.*))?$/;
+const EXCEPTION_TYPE = /(?:^|[\s>])((?:[A-Za-z_]\w*\.)+\w*Exception)\b/;
+const LEVEL_TOKEN = /(?:^|[\s|[])(VRB|DBG|INF|WRN|ERR|FTL|TRACE|VERBOSE|DEBUG|INFO|INFORMATION|WARN|WARNING|ERROR|FATAL|CRITICAL)(?=[\]|:\s]|$)/i;
+const REQUEST_LINE = /\b(GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS)\s+(?:https?:\/\/[^/\s]+)?(\/[^\s?"']*)/;
+
 /**
- * Parse a single log entry from Azure logs
+ * Parse a single log entry (one JSON line) without file context
+ * W3C and plain-text files need the per-file parser from createFileParser.
  * @param {string} logLine - JSON log line
  * @param {boolean} debug - Enable debug logging for parse errors
  * @returns {Object|null} Parsed log entry or null if invalid
@@ -93,24 +148,29 @@ function parseLogEntry(logLine: string, debug: boolean = false): ParsedLogEntry
         return null;
     }
 
-    try {
-        const log: AzureLogBase = JSON.parse(logLine);
+    const json = parseJsonLine(logLine, debug);
+    if (!json) {
+        return null;
+    }
 
-        // Detect log format
-        if (log.category === 'AppServiceConsoleLogs') {
-            return parseAzureConsoleLog(log);
-        }
+    const format = detectLogFormat(logLine, json);
+    const entries = format ? format.createParser({ debug }).parseLine(logLine, json) : null;
+    return entries && entries.length > 0 ? entries[0] : null;
+}
 
-        if (log.category === 'AppServiceHTTPLogs' || log.category === 'AppServiceHttpLogs') {
-            return parseAzureHttpLog(log as AzureHttpLog);
-        }
+function parseJsonLine(line: string, debug: boolean = false): Record<string, any> | null {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) {
+        return null;
+    }
 
-        // Fallback to generic parsing
-        return parseGenericLog(log);
+    try {
+        const json = JSON.parse(trimmed);
+        return json && typeof json === 'object' && !Array.isArray(json) ? json : null;
     } catch (error) {
         // DXP-179: Log parsing errors when debug enabled
         if (debug) {
-            const linePreview = logLine.substring(0, 200) + (logLine.length > 200 ? '...' : '');
+            const linePreview = line.substring(0, 200) + (line.length > 200 ? '...' : '');
             OutputLogger.debug(`[PARSE ERROR] JSON parse failed: ${(error as Error).message}`);
             OutputLogger.debug(`   Line preview: ${linePreview}`);
         }
@@ -118,6 +178,22 @@ function parseLogEntry(logLine: string, debug: boolean = false): ParsedLogEntry
     }
 }
 
+/**
+ * Parse Azure App Service diagnostic log (JSON with a category)
+ */
+function parseAzureLog(log: AzureLogBase): ParsedLogEntry {
+    if (log.category === 'AppServiceConsoleLogs') {
+        return parseAzureConsoleLog(log);
+    }
+
+    if (log.category === 'AppServiceHTTPLogs' || log.category === 'AppServiceHttpLogs') {
+        return parseAzureHttpLog(log as AzureHttpLog);
+    }
+
+    // Fallback to generic parsing
+    return parseGenericLog(log);
+}
+
 /**
  * Parse Azure Console Log
  */
@@ -215,24 +291,492 @@ function parseGenericLog(log: AzureLogBase): ParsedLogEntry {
 }
 
 /**
- * Parse multiple log lines
- * @param {string[]} logLines - Array of JSON log lines
+ * Parse W3C extended log lines (IIS, App Service raw HTTP logs); columns come from #Fields
+ */
+function createW3cParser(): LogLineParser {
+    let fields: string[] = [];
+    let headerDate = '';
+
+    return {
+        parseLine(line) {
+            if (line.startsWith('#')) {
+                const directive = line.match(/^#(\w+):\s*(.*)$/);
+                if (directive && directive[1].toLowerCase() === 'fields') {
+                    fields = directive[2].trim().split(/\s+/).map(field => field.toLowerCase());
+                } else if (directive && directive[1].toLowerCase() === 'date') {
+                    headerDate = directive[2].trim().split(/\s+/)[0];
+                }
+                return [];
+            }
+
+            const values = line.trim().split(/\s+/);
+            if (fields.length === 0 || values.length !== fields.length) {
+                return null;
+            }
+
+            const record: Record<string, string> = {};
+            fields.forEach((field, i) => {
+                record[field] = values[i] === '-' ? '' : values[i];
+            });
+
+            // W3C times are UTC
+            const timestamp = new Date(`${record.date || headerDate}T${record.time}Z`);
+            if (isNaN(timestamp.getTime())) {
+                return null;
+            }
+
+            const forwardedFor = (record['x-forwarded-for'] || '').split(',')[0].split(':')[0];
+            const responseTime = parseInt(record['time-taken'] || '0');
+            const size = parseInt(record['sc-bytes'] || '0');
+
+            return [{
+                timestamp,
+                type: 'http',
+                method: record['cs-method'] || 'GET',
+                path: record['cs-uri-stem'] || '/',
+                statusCode: parseInt(record['sc-status'] || '200'),
+                userAgent: (record['cs(user-agent)'] || '').replace(/\+/g, ' '),
+                ip: forwardedFor || record['c-ip'] || '',
+                responseTime: responseTime || undefined,
+                size: size || undefined,
+                referrer: record['cs(referer)'] || undefined,
+                host: record['cs-host'] || undefined,
+                format: 'w3c'
+            }];
+        },
+        flush: () => []
+    };
+}
+
+/**
+ * Compact Log Event Format (Serilog.Formatting.Compact, Seq): @t, @m or @mt, @l, @x
+ */
+function parseClefLog(log: Record<string, any>): ParsedLogEntry | null {
+    const message = log['@m'] !== undefined ? String(log['@m']) : renderMessageTemplate(log['@mt'], log);
+    return buildStructuredEntry('clef', log['@t'], log['@l'] || 'Information', message, log['@x'], log);
+}
+
+/**
+ * Serilog JsonFormatter (Timestamp, Level, MessageTemplate, RenderedMessage, Exception, Properties)
+ * and NLog JsonLayout style lines (time, level, message, exception)
+ */
+function parseSerilogJsonLog(log: Record<string, any>): ParsedLogEntry | null {
+    const properties = { ...log, ...(log.Properties || log.properties || {}) };
+    const template = log.MessageTemplate || log.messageTemplate;
+    const message = log.RenderedMessage ?? log.message ?? log.Message ?? renderMessageTemplate(template, properties);
+    const timestamp = log.Timestamp || log.timestamp || log.time || log.date || log.longdate;
+    const level = log.Level || log.level || 'Information';
+
+    return buildStructuredEntry('serilog-json', timestamp, level, message, log.Exception || log.exception, properties);
+}
+
+/**
+ * Entry for a structured (Serilog/NLog/CLEF) event; request-logging events become HTTP entries
+ */
+function buildStructuredEntry(
+    format: string,
+    time: any,
+    rawLevel: any,
+    message: any,
+    exception: any,
+    properties: Record<string, any>
+): ParsedLogEntry | null {
+    const timestamp = new Date(time);
+    if (isNaN(timestamp.getTime())) {
+        return null;
+    }
+
+    const level = normalizeLevel(rawLevel);
+    const text = message === undefined || message === null ? '' : String(message);
+    const exceptionText = exception ? (typeof exception === 'string' ? exception : JSON.stringify(exception)) : undefined;
+    const statusCode = parseInt(properties.StatusCode);
+
+    // Serilog request logging: "HTTP {RequestMethod} {RequestPath} responded {StatusCode} in {Elapsed} ms"
+    if (!isNaN(statusCode) && properties.RequestPath) {
+        return {
+            timestamp,
+            type: 'http',
+            level,
+            method: properties.RequestMethod || 'GET',
+            path: String(properties.RequestPath),
+            statusCode,
+            userAgent: properties.UserAgent || '',
+            ip: properties.RemoteIpAddress || properties.ClientIp || '',
+            responseTime: Math.round(parseFloat(properties.Elapsed)) || undefined,
+            message: text.substring(0, MAX_MESSAGE_LENGTH),
+            exception: exceptionText ? exceptionText.substring(0, MAX_EXCEPTION_LENGTH) : undefined,
+            format
+        };
+    }
+
+    return {
+        timestamp,
+        type: 'console',
+        level,
+        method: properties.RequestMethod || 'LOG',
+        path: properties.RequestPath ? String(properties.RequestPath) : '/console',
+        statusCode: 200,
+        userAgent: '',
+        ip: '',
+        message: text.substring(0, MAX_MESSAGE_LENGTH),
+        exception: exceptionText ? exceptionText.substring(0, MAX_EXCEPTION_LENGTH) : undefined,
+        isError: ERROR_LEVELS.includes(level) || !!exceptionText,
+        format
+    };
+}
+
+/**
+ * Plain-text .NET logs and exception dumps
+ * A record starts at a timestamped line or an ASP.NET console logger line ("fail: ..."). An
+ * exception header belongs to the open record unless that record already has an exception;
+ * stack frames and other lines continue the current record.
+ */
+function createDotNetTextParser(): LogLineParser {
+    let record: string[] = [];
+    let recordHasException = false;
+    let lastTimestamp: Date | null = null;
+
+    const finish = (): ParsedLogEntry[] => {
+        if (record.length === 0) {
+            return [];
+        }
+        const entry = parseTextRecord(record, lastTimestamp);
+        record = [];
+        recordHasException = false;
+        lastTimestamp = entry.timestamp;
+        return [entry];
+    };
+
+    return {
+        parseLine(line) {
+            const exceptionHeader = EXCEPTION_HEADER.test(line);
+            if (TIMESTAMP_PREFIX.test(line) || CONSOLE_LOGGER_PREFIX.test(line) || (exceptionHeader && (record.length === 0 || recordHasException))) {
+                const completed = finish();
+                record.push(line);
+                recordHasException = exceptionHeader || EXCEPTION_TYPE.test(line);
+                return completed;
+            }
+            if (record.length === 0) {
+                return null;
+            }
+            if (record.length < MAX_RECORD_LINES) {
+                record.push(line);
+            }
+            recordHasException = recordHasException || exceptionHeader || EXCEPTION_TYPE.test(line);
+            return [];
+        },
+        flush: finish
+    };
+}
+
+function isTextRecordStart(line: string): boolean {
+    return TIMESTAMP_PREFIX.test(line) || CONSOLE_LOGGER_PREFIX.test(line) || EXCEPTION_HEADER.test(line);
+}
+
+function parseTextRecord(lines: string[], previousTimestamp: Date | null): ParsedLogEntry {
+    let first = lines[0];
+    let timestamp: Date | null = null;
+    let level: string | null = null;
+
+    const timestampMatch = first.match(TIMESTAMP_PREFIX);
+    if (timestampMatch) {
+        // Timestamps without an offset are taken as UTC, like the server logs they come from
+        let text = timestampMatch[1].replace(',', '.').replace(' ', 'T');
+        if (!/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+            text += 'Z';
+        }
+        const parsed = new Date(text.replace(/\s/g, ''));
+        timestamp = isNaN(parsed.getTime()) ? null : parsed;
+        first = timestampMatch[2];
+    }
+
+    const loggerMatch = first.match(CONSOLE_LOGGER_PREFIX);
+    if (loggerMatch) {
+        level = normalizeLevel(loggerMatch[1]);
+        first = loggerMatch[2];
+    } else {
+        const levelMatch = first.match(LEVEL_TOKEN);
+        if (levelMatch) {
+            level = normalizeLevel(levelMatch[1]);
+            first = first.replace(levelMatch[0], ' ');
+        }
+    }
+
+    // The exception runs from the first line naming an exception type to the end of the record
+    const exceptionStart = lines.findIndex((line, i) => i === 0 ? EXCEPTION_HEADER.test(first.trim()) || EXCEPTION_TYPE.test(first) : EXCEPTION_TYPE.test(line));
+    const exception = exceptionStart === -1
+        ? undefined
+        : [exceptionStart === 0 ? first.trim() : lines[exceptionStart], ...lines.slice(exceptionStart + 1)].join('\n').substring(0, MAX_EXCEPTION_LENGTH);
+
+    const message = [first, ...lines.slice(1, exceptionStart === -1 ? lines.length : Math.max(exceptionStart, 1))]
+        .map(line => line.trim())
+        .filter(line => line && line !== '|')
+        .join(' ')
+        .replace(/^[\]|:\s-]+/, '');
+    const request = lines.join(' ').match(REQUEST_LINE);
+    const resolvedLevel = level || (exception ? 'Error' : 'Informational');
+
+    return {
+        timestamp: timestamp || previousTimestamp || new Date(),
+        type: 'console',
+        level: resolvedLevel,
+        method: request ? request[1] : 'LOG',
+        path: request ? request[2] : '/console',
+        statusCode: 200,
+        userAgent: '',
+        ip: '',
+        message: (message || (exception || '').split('\n')[0]).substring(0, MAX_MESSAGE_LENGTH),
+        exception,
+        isError: ERROR_LEVELS.includes(resolvedLevel) || !!exception,
+        format: 'dotnet-text'
+    };
+}
+
+/**
+ * Replace {Property} holes in a Serilog message template with the event's values
+ */
+function renderMessageTemplate(template: any, properties: Record<string, any>): string {
+    if (typeof template !== 'string') {
+        return '';
+    }
+    return template.replace(/\{\{|\}\}|\{([@$]?)([\w.]+)(?:,[^:}]*)?(?::[^}]*)?\}/g, (token, _operator, name) => {
+        if (token === '{{') return '{';
+        if (token === '}}') return '}';
+        const value = properties[name];
+        if (value === undefined) return token;
+        return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+    });
+}
+
+function normalizeLevel(level: any): string {
+    const text = String(level || '').trim();
+    return LEVELS[text.toLowerCase()] || text || 'Informational';
+}
+
+/**
+ * Line parser for formats where every line is one JSON event
+ */
+function jsonLineParser(format: string, parse: (json: Record<string, any>) => ParsedLogEntry | null, debug: boolean = false): LogLineParser {
+    return {
+        parseLine(line, json) {
+            if (line.trim().startsWith('#')) {
+                return [];
+            }
+            const log = json || parseJsonLine(line, debug);
+            const entry = log ? parse(log) : null;
+            if (!entry) {
+                return null;
+            }
+            entry.format = entry.format || format;
+            return [entry];
+        },
+        flush: () => []
+    };
+}
+
+// Built-in formats, most specific first; registerLogFormat puts custom formats ahead of them
+const formats: LogFormat[] = [
+    {
+        name: 'azure-app-service',
+        description: 'Azure App Service diagnostic logs (AppServiceConsoleLogs, AppServiceHTTPLogs)',
+        detect: (_line, json) => !!json && /^AppService/i.test(String(json.category || '')),
+        createParser: ({ debug }) => jsonLineParser('azure-app-service', log => parseAzureLog(log), debug)
+    },
+    {
+        name: 'clef',
+        description: 'Serilog compact JSON / CLEF (@t, @mt, @l, @x)',
+        detect: (_line, json) => !!json && json['@t'] !== undefined,
+        createParser: ({ debug }) => jsonLineParser('clef', parseClefLog, debug)
+    },
+    {
+        name: 'serilog-json',
+        description: 'Serilog JsonFormatter and NLog JSON layouts',
+        detect: (_line, json) => !!json && !json.category && (
+            (json.Timestamp !== undefined && (json.MessageTemplate !== undefined || json.RenderedMessage !== undefined)) ||
+            ((json.time || json.timestamp || json.longdate) && json.level !== undefined && json.message !== undefined)
+        ),
+        createParser: ({ debug }) => jsonLineParser('serilog-json', parseSerilogJsonLog, debug)
+    },
+    {
+        name: 'w3c',
+        description: 'W3C extended log files (IIS, #Fields header)',
+        detect: (line, json) => !json && /^#(Software|Version|Date|Fields):/i.test(line),
+        createParser: () => createW3cParser()
+    },
+    {
+        name: 'dotnet-text',
+        description: 'Plain-text .NET logs and exception dumps',
+        detect: (line, json) => !json && isTextRecordStart(line),
+        createParser: () => createDotNetTextParser()
+    },
+    {
+        name: 'generic-json',
+        description: 'Other JSON lines (best-effort field guessing)',
+        detect: (_line, json) => !!json,
+        createParser: ({ debug }) => jsonLineParser('generic-json', log => parseGenericLog(log), debug)
+    }
+];
+
+/**
+ * Add a log format; it is tried before the built-in formats
+ */
+function registerLogFormat(format: LogFormat): void {
+    const existing = formats.findIndex(candidate => candidate.name === format.name);
+    if (existing !== -1) {
+        formats.splice(existing, 1);
+    }
+    formats.unshift(format);
+}
+
+function getLogFormats(): LogFormat[] {
+    return [...formats];
+}
+
+function detectLogFormat(line: string, json: Record<string, any> | null = null): LogFormat | null {
+    return formats.find(format => format.detect(line, json)) || null;
+}
+
+/**
+ * Parses one file (blob or local download): detects its format from the first recognisable
+ * line and keeps per-file state such as W3C columns or a multi-line exception
+ */
+class LogFileParser {
+    format: string | null;
+    lines: number;
+    entries: number;
+    unparsed: number;
+    private parser: LogLineParser | null;
+    private pending: string[];
+    private debug: boolean;
+
+    constructor(options: { debug?: boolean; format?: string } = {}) {
+        this.debug = options.debug || false;
+        this.format = null;
+        this.lines = 0;
+        this.entries = 0;
+        this.unparsed = 0;
+        this.parser = null;
+        this.pending = [];
+
+        if (options.format) {
+            const format = formats.find(candidate => candidate.name === options.format);
+            if (!format) {
+                throw new Error(`Unknown log format: ${options.format}. Known formats: ${formats.map(candidate => candidate.name).join(', ')}`);
+            }
+            this.use(format);
+        }
+    }
+
+    parseLine(line: string): ParsedLogEntry[] {
+        const text = line.replace(/\r$/, '');
+        if (!text.trim()) {
+            return [];
+        }
+        this.lines++;
+
+        if (this.parser) {
+            return this.feed(text, null);
+        }
+
+        const json = parseJsonLine(text);
+        const format = detectLogFormat(text, json);
+        if (!format) {
+            this.pending.push(text);
+            return this.pending.length >= DETECTION_LINES ? this.fallback() : [];
+        }
+
+        this.use(format);
+        return [...this.replayPending(), ...this.feed(text, json)];
+    }
+
+    /**
+     * End of file: complete any record still open
+     */
+    finish(): ParsedLogEntry[] {
+        const entries = this.parser ? [] : this.fallback();
+        if (!this.parser) {
+            return entries;
+        }
+        const flushed = this.parser.flush();
+        this.entries += flushed.length;
+        return [...entries, ...flushed];
+    }
+
+    private use(format: LogFormat): void {
+        this.format = format.name;
+        this.parser = format.createParser({ debug: this.debug });
+    }
+
+    // Nothing recognised in the first lines: treat the file as generic JSON
+    private fallback(): ParsedLogEntry[] {
+        if (this.pending.length === 0) {
+            return [];
+        }
+        this.use(formats.find(format => format.name === 'generic-json')!);
+        return this.replayPending();
+    }
+
+    private replayPending(): ParsedLogEntry[] {
+        const pending = this.pending;
+        this.pending = [];
+        return pending.flatMap(line => this.feed(line, null));
+    }
+
+    private feed(line: string, json: Record<string, any> | null): ParsedLogEntry[] {
+        const entries = this.parser!.parseLine(line, json);
+        if (entries === null) {
+            this.unparsed++;
+            return [];
+        }
+        this.entries += entries.length;
+        return entries;
+    }
+}
+
+function createFileParser(options: { debug?: boolean; format?: string } = {}): LogFileParser {
+    return new LogFileParser(options);
+}
+
+/**
+ * Add one file's counts to per-format totals
+ */
+function addFormatStats(stats: Record<string, FormatStats>, parser: LogFileParser): Record<string, FormatStats> {
+    if (!parser.format || parser.lines === 0) {
+        return stats;
+    }
+    const totals = stats[parser.format] || (stats[parser.format] = { files: 0, lines: 0, entries: 0, unparsed: 0 });
+    totals.files++;
+    totals.lines += parser.lines;
+    totals.entries += parser.entries;
+    totals.unparsed += parser.unparsed;
+    return stats;
+}
+
+/**
+ * Parse the lines of one file, detecting its format
+ * @param {string[]} logLines - Lines of a single log file
  * @returns {Object[]} Array of parsed log entries
  */
 function parseMultipleFormats(logLines: string[]): ParsedLogEntry[] {
+    const parser = createFileParser();
     const parsed: ParsedLogEntry[] = [];
 
     for (const line of logLines) {
-        const entry = parseLogEntry(line);
-        if (entry) {
-            parsed.push(entry);
-        }
+        parsed.push(...parser.parseLine(line));
     }
+    parsed.push(...parser.finish());
 
     return parsed;
 }
 
+export { LogFileParser };
+
 export default {
     parseLogEntry,
-    parseMultipleFormats
+    parseMultipleFormats,
+    createFileParser,
+    addFormatStats,
+    registerLogFormat,
+    getLogFormats,
+    detectLogFormat
 };
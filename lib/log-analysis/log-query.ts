@@ -0,0 +1,534 @@
+/**
+ * Log Query Module
+ * A small filter language over parsed log entries, plus group-by / count / top-N collection
+ *
+ *   status>=500 AND path=/checkout*
+ *   (status=5xx OR responseTime>2000) NOT userAgent~"bot|crawler"
+ *   level=error message~"timeout" time>="2026-10-19T08:00:00Z"
+ *
+ * Terms are `field op value`; adjacent terms are ANDed. Operators: = != (glob with *, or 5xx for status),
+ * > >= < <= (numbers and time), ~ !~ (case-insensitive regex). Values with spaces go in quotes.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import { ParsedLogEntry } from './log-parser';
+import analyzers from './analyzers';
+
+export type QueryField =
+    'time' | 'status' | 'method' | 'path' | 'userAgent' | 'ip' | 'responseTime' | 'size' |
+    'level' | 'message' | 'host' | 'referrer' | 'type' | 'format' | 'error';
+
+export type QueryOperator = '=' | '!=' | '>' | '>=' | '<' | '<=' | '~' | '!~';
+
+export type QueryNode =
+    { kind: 'and' | 'or'; children: QueryNode[] } |
+    { kind: 'not'; child: QueryNode } |
+    { kind: 'compare'; field: QueryField; op: QueryOperator; value: string; number?: number; pattern?: RegExp };
+
+export interface SearchOptions {
+    groupBy?: string[];
+    top?: number;
+    limit?: number;
+}
+
+export interface SearchGroup {
+    key: Record<string, string>;
+    count: number;
+    errors: number;
+    avgResponseTime: number | null;
+}
+
+export interface SearchEntry {
+    time: string | null;
+    type: string;
+    method: string;
+    path: string;
+    status: number;
+    responseTime: number | null;
+    ip: string;
+    userAgent: string;
+    level: string | null;
+    message: string | null;
+    source: string;
+}
+
+export interface SearchResult {
+    scanned: number;
+    matched: number;
+    groupBy: string[] | null;
+    groups: SearchGroup[] | null;
+    distinctGroups: number;
+    entries: SearchEntry[] | null;
+    truncated: boolean;
+    firstMatch: string | null;
+    lastMatch: string | null;
+}
+
+const FIELD_ALIASES: Record<string, QueryField> = {
+    time: 'time', timestamp: 'time',
+    status: 'status', statuscode: 'status',
+    method: 'method',
+    path: 'path', url: 'path', uri: 'path',
+    useragent: 'userAgent', ua: 'userAgent',
+    ip: 'ip', clientip: 'ip',
+    responsetime: 'responseTime', duration: 'responseTime', timetaken: 'responseTime',
+    size: 'size', bytes: 'size',
+    level: 'level',
+    message: 'message', msg: 'message',
+    host: 'host',
+    referrer: 'referrer', referer: 'referrer',
+    type: 'type',
+    format: 'format',
+    error: 'error', iserror: 'error'
+};
+
+const NUMERIC_FIELDS: QueryField[] = ['status', 'responseTime', 'size'];
+
+// Group-by keys besides the plain fields
+const GROUP_KEYS = ['statusClass', 'hour', 'minute', 'day'];
+
+// Distinct groups kept in memory; further keys are counted under "(other)"
+const MAX_GROUPS = 100000;
+const MAX_ENTRY_LIMIT = 500;
+const MESSAGE_PREVIEW = 300;
+
+function queryError(message: string, position?: number): Error {
+    return Object.assign(new Error(position !== undefined ? `${message} (at position ${position + 1})` : message), { code: 'INVALID_QUERY' });
+}
+
+/**
+ * Parse a filter expression; an empty expression matches every entry
+ * @throws Error with code INVALID_QUERY
+ */
+function parseQuery(text: string | null | undefined): QueryNode | null {
+    const source = (text || '').trim();
+    if (!source) {
+        return null;
+    }
+
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+    };
+
+    const keyword = (word: string): boolean => {
+        skipSpace();
+        const slice = source.substring(pos, pos + word.length);
+        const next = source[pos + word.length];
+        if (slice.toUpperCase() === word && (next === undefined || /[\s(]/.test(next))) {
+            pos += word.length;
+            return true;
+        }
+        return false;
+    };
+
+    const parseOr = (): QueryNode => {
+        const children = [parseAnd()];
+        while (keyword('OR')) {
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { kind: 'or', children };
+    };
+
+    const parseAnd = (): QueryNode => {
+        const children = [parseUnary()];
+        for (;;) {
+            skipSpace();
+            if (pos >= source.length || source[pos] === ')') break;
+            const save = pos;
+            if (keyword('OR')) {
+                pos = save;
+                break;
+            }
+            keyword('AND');
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { kind: 'and', children };
+    };
+
+    const parseUnary = (): QueryNode => {
+        skipSpace();
+        if (keyword('NOT')) {
+            return { kind: 'not', child: parseUnary() };
+        }
+        if (source[pos] === '(') {
+            const open = pos;
+            pos++;
+            const node = parseOr();
+            skipSpace();
+            if (source[pos] !== ')') {
+                throw queryError('Missing closing parenthesis', open);
+            }
+            pos++;
+            return node;
+        }
+        return parseTerm();
+    };
+
+    const parseTerm = (): QueryNode => {
+        skipSpace();
+        const start = pos;
+        const name = source.substring(pos).match(/^[A-Za-z_]+/);
+        if (!name) {
+            throw queryError(pos >= source.length ? 'Unexpected end of query' : `Expected a field name, found "${source[pos]}"`, pos);
+        }
+        pos += name[0].length;
+
+        const field = FIELD_ALIASES[name[0].toLowerCase()];
+        if (!field) {
+            throw queryError(`Unknown field "${name[0]}". Fields: ${Array.from(new Set(Object.values(FIELD_ALIASES))).join(', ')}`, start);
+        }
+
+        skipSpace();
+        const opMatch = source.substring(pos).match(/^(>=|<=|!=|!~|=|:|>|<|~)/);
+        if (!opMatch) {
+            throw queryError(`Expected an operator after "${name[0]}" (= != > >= < <= ~ !~)`, pos);
+        }
+        pos += opMatch[0].length;
+        const op = (opMatch[0] === ':' ? '=' : opMatch[0]) as QueryOperator;
+
+        skipSpace();
+        const value = parseValue();
+        return buildCompare(field, op, value, start);
+    };
+
+    const parseValue = (): string => {
+        const quote = source[pos];
+        if (quote === '"' || quote === '\'') {
+            let value = '';
+            pos++;
+            while (pos < source.length && source[pos] !== quote) {
+                if (source[pos] === '\\' && source[pos + 1] === quote) {
+                    pos++;
+                }
+                value += source[pos++];
+            }
+            if (pos >= source.length) {
+                throw queryError('Unterminated quoted value', pos);
+            }
+            pos++;
+            return value;
+        }
+
+        const bare = source.substring(pos).match(/^[^\s()]+/);
+        if (!bare) {
+            throw queryError('Expected a value', pos);
+        }
+        pos += bare[0].length;
+        return bare[0];
+    };
+
+    const node = parseOr();
+    skipSpace();
+    if (pos < source.length) {
+        throw queryError(`Unexpected "${source.substring(pos, pos + 10)}"`, pos);
+    }
+    return node;
+}
+
+/**
+ * Check a comparison's value against its field and precompile it
+ * @private
+ */
+function buildCompare(field: QueryField, op: QueryOperator, value: string, position: number): QueryNode {
+    const node: QueryNode = { kind: 'compare', field, op, value };
+
+    if (op === '~' || op === '!~') {
+        try {
+            node.pattern = new RegExp(value, 'i');
+        } catch (error) {
+            throw queryError(`Invalid regular expression "${value}": ${(error as Error).message}`, position);
+        }
+        return node;
+    }
+
+    const ordered = op === '>' || op === '>=' || op === '<' || op === '<=';
+
+    if (field === 'time') {
+        if (!ordered) {
+            throw queryError('time only supports > >= < <=', position);
+        }
+        const time = Date.parse(value);
+        if (isNaN(time)) {
+            throw queryError(`Invalid time "${value}", use ISO 8601 such as 2026-10-19T08:00:00Z`, position);
+        }
+        node.number = time;
+        return node;
+    }
+
+    if (field === 'error') {
+        if (ordered || !/^(true|false)$/i.test(value)) {
+            throw queryError('error takes error=true or error=false', position);
+        }
+        node.value = value.toLowerCase();
+        return node;
+    }
+
+    if (NUMERIC_FIELDS.includes(field)) {
+        if (field === 'status' && !ordered && /^[1-5]xx$/i.test(value)) {
+            node.value = value.toLowerCase();
+            return node;
+        }
+        const number = Number(value);
+        if (value === '' || isNaN(number)) {
+            throw queryError(`${field} needs a number${field === 'status' ? ' or a class such as 5xx' : ''}, got "${value}"`, position);
+        }
+        node.number = number;
+        return node;
+    }
+
+    if (ordered) {
+        throw queryError(`${op} needs a numeric field (status, responseTime, size) or time`, position);
+    }
+
+    // Glob on text fields: * matches anything, otherwise an exact case-insensitive match
+    node.pattern = new RegExp('^' + value.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+    return node;
+}
+
+/**
+ * Value of a field on an entry (numbers for numeric fields and time, strings otherwise)
+ */
+function getField(entry: ParsedLogEntry, field: QueryField): string | number | null {
+    switch (field) {
+        case 'time': return entry.timestamp instanceof Date ? entry.timestamp.getTime() : null;
+        case 'status': return entry.statusCode;
+        case 'responseTime': return entry.responseTime ?? null;
+        case 'size': return entry.size ?? null;
+        case 'method': return entry.method || '';
+        case 'path': return entry.path || '';
+        case 'userAgent': return entry.userAgent || '';
+        case 'ip': return entry.ip || '';
+        case 'level': return entry.level || '';
+        case 'message': return entry.exception ? `${entry.message || ''}\n${entry.exception}` : (entry.message || '');
+        case 'host': return entry.host || '';
+        case 'referrer': return entry.referrer || '';
+        case 'type': return entry.type;
+        case 'format': return entry.format || '';
+        case 'error': return analyzers.isErrorEntry(entry) ? 'true' : 'false';
+    }
+}
+
+/**
+ * Whether an entry matches a parsed query (null matches everything)
+ */
+function matchEntry(node: QueryNode | null, entry: ParsedLogEntry): boolean {
+    if (!node) {
+        return true;
+    }
+
+    switch (node.kind) {
+        case 'and': return node.children.every(child => matchEntry(child, entry));
+        case 'or': return node.children.some(child => matchEntry(child, entry));
+        case 'not': return !matchEntry(node.child, entry);
+    }
+
+    const actual = getField(entry, node.field);
+
+    if (node.op === '~' || node.op === '!~') {
+        const found = actual !== null && node.pattern!.test(String(actual));
+        return node.op === '~' ? found : !found;
+    }
+
+    if (node.number !== undefined) {
+        if (actual === null || typeof actual !== 'number' || isNaN(actual)) {
+            return node.op === '!=';
+        }
+        switch (node.op) {
+            case '=': return actual === node.number;
+            case '!=': return actual !== node.number;
+            case '>': return actual > node.number;
+            case '>=': return actual >= node.number;
+            case '<': return actual < node.number;
+            case '<=': return actual <= node.number;
+        }
+    }
+
+    let equal: boolean;
+    if (node.field === 'status') {
+        equal = typeof actual === 'number' && Math.floor(actual / 100) === Number(node.value[0]);
+    } else if (node.field === 'error') {
+        equal = actual === node.value;
+    } else {
+        equal = node.pattern!.test(String(actual ?? ''));
+    }
+    return node.op === '!=' ? !equal : equal;
+}
+
+/**
+ * Validate group-by keys: any query field except time, or statusClass / hour / minute / day
+ * @throws Error with code INVALID_QUERY
+ */
+function normalizeGroupBy(groupBy: string[] | null | undefined): string[] {
+    return (groupBy || []).map(key => {
+        const special = GROUP_KEYS.find(name => name.toLowerCase() === key.toLowerCase());
+        if (special) {
+            return special;
+        }
+        const field = FIELD_ALIASES[key.toLowerCase()];
+        if (!field || field === 'time') {
+            throw queryError(`Cannot group by "${key}". Use a field (${Array.from(new Set(Object.values(FIELD_ALIASES))).filter(f => f !== 'time').join(', ')}) or ${GROUP_KEYS.join(', ')}`);
+        }
+        return field;
+    });
+}
+
+/**
+ * @private
+ */
+function groupValue(entry: ParsedLogEntry, key: string): string {
+    const time = entry.timestamp instanceof Date && !isNaN(entry.timestamp.getTime()) ? entry.timestamp.toISOString() : null;
+    switch (key) {
+        case 'statusClass': return `${Math.floor(entry.statusCode / 100)}xx`;
+        case 'day': return time ? time.substring(0, 10) : '(none)';
+        case 'hour': return time ? `${time.substring(0, 13)}:00Z` : '(none)';
+        case 'minute': return time ? `${time.substring(0, 16)}Z` : '(none)';
+    }
+    const value = getField(entry, key as QueryField);
+    return value === null || value === '' ? '(none)' : String(value).substring(0, 200);
+}
+
+/**
+ * Collects matches: counts per group when grouping, otherwise the first `limit` entries
+ */
+class LogSearchCollector {
+    readonly groupBy: string[];
+    private query: QueryNode | null;
+    private top: number;
+    private limit: number;
+    private groups: Map<string, { key: Record<string, string>; count: number; errors: number; timeSum: number; timed: number }>;
+    private entries: SearchEntry[];
+    private scanned: number;
+    private matched: number;
+    private firstMatch: number;
+    private lastMatch: number;
+
+    constructor(query: QueryNode | null, options: SearchOptions = {}) {
+        this.query = query;
+        this.groupBy = normalizeGroupBy(options.groupBy);
+        this.top = Math.max(1, options.top || 20);
+        this.limit = Math.min(MAX_ENTRY_LIMIT, Math.max(0, options.limit ?? 50));
+        this.groups = new Map();
+        this.entries = [];
+        this.scanned = 0;
+        this.matched = 0;
+        this.firstMatch = Infinity;
+        this.lastMatch = -Infinity;
+    }
+
+    /**
+     * Test an entry and count it when it matches
+     * @returns True when the entry matched
+     */
+    add(entry: ParsedLogEntry, source: string): boolean {
+        this.scanned++;
+        if (!matchEntry(this.query, entry)) {
+            return false;
+        }
+
+        this.matched++;
+        const time = entry.timestamp instanceof Date ? entry.timestamp.getTime() : NaN;
+        if (!isNaN(time)) {
+            this.firstMatch = Math.min(this.firstMatch, time);
+            this.lastMatch = Math.max(this.lastMatch, time);
+        }
+
+        if (this.groupBy.length > 0) {
+            this.addToGroup(entry);
+        } else if (this.entries.length < this.limit) {
+            this.entries.push(toSearchEntry(entry, source));
+        }
+        return true;
+    }
+
+    result(): SearchResult {
+        const grouped = this.groupBy.length > 0;
+        const groups = grouped
+            ? Array.from(this.groups.values())
+                .sort((a, b) => b.count - a.count)
+                .slice(0, this.top)
+                .map(group => ({
+                    key: group.key,
+                    count: group.count,
+                    errors: group.errors,
+                    avgResponseTime: group.timed > 0 ? Math.round(group.timeSum / group.timed) : null
+                }))
+            : null;
+
+        return {
+            scanned: this.scanned,
+            matched: this.matched,
+            groupBy: grouped ? this.groupBy : null,
+            groups,
+            distinctGroups: this.groups.size,
+            entries: grouped ? null : this.entries,
+            truncated: grouped ? this.groups.size > this.top : this.matched > this.entries.length,
+            firstMatch: isFinite(this.firstMatch) ? new Date(this.firstMatch).toISOString() : null,
+            lastMatch: isFinite(this.lastMatch) ? new Date(this.lastMatch).toISOString() : null
+        };
+    }
+
+    private addToGroup(entry: ParsedLogEntry): void {
+        const values = this.groupBy.map(key => groupValue(entry, key));
+        let id = values.join('\u0000');
+        let group = this.groups.get(id);
+
+        if (!group && this.groups.size >= MAX_GROUPS) {
+            id = '\u0000other';
+            group = this.groups.get(id);
+            if (!group) {
+                group = { key: Object.fromEntries(this.groupBy.map(key => [key, '(other)'])), count: 0, errors: 0, timeSum: 0, timed: 0 };
+                this.groups.set(id, group);
+            }
+        }
+        if (!group) {
+            group = { key: Object.fromEntries(this.groupBy.map((key, i) => [key, values[i]])), count: 0, errors: 0, timeSum: 0, timed: 0 };
+            this.groups.set(id, group);
+        }
+
+        group.count++;
+        if (analyzers.isErrorEntry(entry)) {
+            group.errors++;
+        }
+        if (entry.responseTime !== undefined && entry.responseTime > 0) {
+            group.timeSum += entry.responseTime;
+            group.timed++;
+        }
+    }
+}
+
+/**
+ * @private
+ */
+function toSearchEntry(entry: ParsedLogEntry, source: string): SearchEntry {
+    const time = entry.timestamp instanceof Date && !isNaN(entry.timestamp.getTime()) ? entry.timestamp.toISOString() : null;
+    const message = entry.exception ? `${entry.message || ''}\n${entry.exception}`.trim() : entry.message;
+    return {
+        time,
+        type: entry.type,
+        method: entry.method,
+        path: entry.path,
+        status: entry.statusCode,
+        responseTime: entry.responseTime ?? null,
+        ip: entry.ip,
+        userAgent: entry.userAgent,
+        level: entry.level || null,
+        message: message ? message.substring(0, MESSAGE_PREVIEW) : null,
+        source
+    };
+}
+
+function createSearchCollector(query: QueryNode | null, options: SearchOptions = {}): LogSearchCollector {
+    return new LogSearchCollector(query, options);
+}
+
+export { LogSearchCollector };
+
+export default {
+    parseQuery,
+    matchEntry,
+    getField,
+    normalizeGroupBy,
+    createSearchCollector
+};
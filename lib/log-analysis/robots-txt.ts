@@ -0,0 +1,149 @@
+/**
+ * Robots.txt Module
+ * Parses robots.txt and answers whether a crawler token may fetch a path
+ * Follows RFC 9309: the most specific user-agent group applies, the longest matching rule wins
+ * and Allow wins ties. Rules support * and a trailing $.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+export interface RobotsRule {
+    allow: boolean;
+    pattern: string;
+    regex: RegExp;
+}
+
+export interface RobotsGroup {
+    agents: string[];
+    rules: RobotsRule[];
+}
+
+export interface RobotsPolicy {
+    groups: RobotsGroup[];
+    sitemaps: string[];
+}
+
+export interface RobotsDecision {
+    allowed: boolean;
+    // Rule that decided, or null when no rule matched (allowed by default)
+    rule: string | null;
+    // User-agent line of the group that applied ('*' for the catch-all group)
+    group: string | null;
+}
+
+/**
+ * Parse robots.txt text; unknown lines are ignored as the spec requires
+ */
+function parseRobotsTxt(text: string): RobotsPolicy {
+    const groups: RobotsGroup[] = [];
+    const sitemaps: string[] = [];
+    let current: RobotsGroup | null = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator <= 0) {
+            continue;
+        }
+
+        const key = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+
+        if (key === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (key === 'sitemap') {
+            sitemaps.push(value);
+        } else if ((key === 'allow' || key === 'disallow') && current && value) {
+            current.rules.push({ allow: key === 'allow', pattern: value, regex: compilePattern(value) });
+        }
+    }
+
+    return { groups, sitemaps };
+}
+
+/**
+ * @private
+ */
+function compilePattern(pattern: string): RegExp {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+/**
+ * Rules that apply to a crawler token, merging every group naming the most specific matching agent
+ * @private
+ */
+function rulesFor(policy: RobotsPolicy, token: string): { rules: RobotsRule[]; group: string | null } {
+    const lowerToken = token.toLowerCase();
+    let best: string | null = null;
+
+    for (const group of policy.groups) {
+        for (const agent of group.agents) {
+            if (agent !== '*' && lowerToken.startsWith(agent) && (!best || agent.length > best.length)) {
+                best = agent;
+            }
+        }
+    }
+    const chosen = best || (policy.groups.some(group => group.agents.includes('*')) ? '*' : null);
+    if (!chosen) {
+        return { rules: [], group: null };
+    }
+
+    const rules: RobotsRule[] = [];
+    policy.groups
+        .filter(group => group.agents.includes(chosen))
+        .forEach(group => rules.push(...group.rules));
+    return { rules, group: chosen };
+}
+
+/**
+ * Whether a crawler token may fetch a path
+ * @param token - Product token the crawler obeys, e.g. "GPTBot" or "Googlebot"
+ * @param urlPath - Path (and query, if any) of the request
+ */
+function isAllowed(policy: RobotsPolicy, token: string, urlPath: string): RobotsDecision {
+    const { rules, group } = rulesFor(policy, token);
+
+    // /robots.txt itself is always allowed
+    if (urlPath === '/robots.txt') {
+        return { allowed: true, rule: null, group };
+    }
+
+    let decision: RobotsRule | null = null;
+
+    for (const rule of rules) {
+        if (!rule.regex.test(urlPath)) {
+            continue;
+        }
+        if (!decision ||
+            rule.pattern.length > decision.pattern.length ||
+            (rule.pattern.length === decision.pattern.length && rule.allow && !decision.allow)) {
+            decision = rule;
+        }
+    }
+
+    return {
+        allowed: decision ? decision.allow : true,
+        rule: decision ? `${decision.allow ? 'Allow' : 'Disallow'}: ${decision.pattern}` : null,
+        group
+    };
+}
+
+export default {
+    parseRobotsTxt,
+    isAllowed
+};
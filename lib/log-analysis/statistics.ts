@@ -0,0 +1,131 @@
+/**
+ * Statistics Module
+ * Small significance tests used to compare baseline and slot logs: proportion intervals and tests,
+ * a rank test on binned latency distributions, and a mean comparison for per-path latency
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+export interface ProportionTest {
+    zScore: number;
+    pValue: number;
+}
+
+export interface RankTest {
+    zScore: number;
+    pValue: number;
+    // Probability that a random slot request is slower than a random baseline request (0.5 = no change)
+    probabilitySlower: number;
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+function normalCdf(z: number): number {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided critical z for a confidence level, e.g. 0.95 → 1.96
+ */
+function zForConfidence(confidence: number): number {
+    const target = 1 - (1 - confidence) / 2;
+    let low = 0;
+    let high = 10;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (normalCdf(mid) < target) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Wilson score interval for a proportion; stays inside [0, 1] and behaves at 0 successes
+ */
+function wilsonInterval(successes: number, total: number, confidence: number = 0.95): [number, number] {
+    if (total <= 0) {
+        return [0, 1];
+    }
+    const z = zForConfidence(confidence);
+    const p = successes / total;
+    const denominator = 1 + (z * z) / total;
+    const centre = p + (z * z) / (2 * total);
+    const margin = z * Math.sqrt((p * (1 - p)) / total + (z * z) / (4 * total * total));
+    return [Math.max(0, (centre - margin) / denominator), Math.min(1, (centre + margin) / denominator)];
+}
+
+/**
+ * One-sided pooled two-proportion z-test: is the second proportion higher than the first?
+ */
+function proportionIncreaseTest(successes1: number, total1: number, successes2: number, total2: number): ProportionTest {
+    const pooled = (successes1 + successes2) / (total1 + total2);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / total1 + 1 / total2));
+    if (!(standardError > 0)) {
+        return { zScore: 0, pValue: 1 };
+    }
+    const zScore = (successes2 / total2 - successes1 / total1) / standardError;
+    return { zScore, pValue: 1 - normalCdf(zScore) };
+}
+
+/**
+ * One-sided Mann-Whitney U test on two histograms with the same bins: are the second sample's values higher?
+ * Values in the same bin count as ties; normal approximation with tie correction.
+ */
+function rankIncreaseTest(counts1: number[], counts2: number[]): RankTest | null {
+    const n1 = counts1.reduce((sum, count) => sum + count, 0);
+    const n2 = counts2.reduce((sum, count) => sum + count, 0);
+    if (n1 === 0 || n2 === 0 || counts1.length !== counts2.length) {
+        return null;
+    }
+
+    let below = 0;
+    let u = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < counts1.length; i++) {
+        u += counts2[i] * (below + counts1[i] / 2);
+        below += counts1[i];
+        const tied = counts1[i] + counts2[i];
+        tieTerm += tied * tied * tied - tied;
+    }
+
+    const total = n1 + n2;
+    const mean = (n1 * n2) / 2;
+    const variance = ((n1 * n2) / 12) * ((total + 1) - tieTerm / (total * (total - 1)));
+    const zScore = variance > 0 ? (u - mean - 0.5) / Math.sqrt(variance) : 0;
+
+    return {
+        zScore,
+        pValue: variance > 0 ? 1 - normalCdf(zScore) : 1,
+        probabilitySlower: u / (n1 * n2)
+    };
+}
+
+/**
+ * One-sided Welch test on means from summary statistics (normal approximation, meant for n >= 30 per side)
+ */
+function meanIncreaseTest(
+    mean1: number, stdDev1: number, n1: number,
+    mean2: number, stdDev2: number, n2: number
+): ProportionTest {
+    const standardError = Math.sqrt((stdDev1 * stdDev1) / n1 + (stdDev2 * stdDev2) / n2);
+    if (!(standardError > 0)) {
+        return { zScore: 0, pValue: mean2 > mean1 ? 0 : 1 };
+    }
+    const zScore = (mean2 - mean1) / standardError;
+    return { zScore, pValue: 1 - normalCdf(zScore) };
+}
+
+export default {
+    normalCdf,
+    zForConfidence,
+    wilsonInterval,
+    proportionIncreaseTest,
+    rankIncreaseTest,
+    meanIncreaseTest
+};
@@ -0,0 +1,969 @@
+/**
+ * Log Tailer Module
+ * Background watchers that keep polling an environment's insights-logs container and evaluate alert rules
+ * Each poll lists the current and previous hour's blobs, reads only what was appended since the last poll
+ * (HTTP Range) and checks the rules over a sliding window. Rule state changes are emitted as
+ * alert.triggered / alert.resolved events, which reach the event bus, alert://{watcherId} resources and webhooks.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ *
+ * Per-project rules (DXP_ALERT_RULES_FILE, default ~/.optimizely-dxp/alert-rules.json):
+ * {
+ *   "default": { "rules": [{ "name": "5xx rate", "metric": "statusRate", "status": "5xx", "threshold": 2, "environment": "Production" }] },
+ *   "projects": {
+ *     "ACME": { "rules": [{ "name": "checkout p95", "metric": "p95", "path": "/checkout*", "threshold": 2000 }] }
+ *   }
+ * }
+ */
+
+import OutputLogger from './output-logger';
+import AzureBlobStreamer from './azure-blob-streamer';
+import ProjectSettingsFile from './project-settings-file';
+import LogAnalysisTools from './tools/log-analysis-tools';
+import logParser, { LogFileParser, ParsedLogEntry } from './log-analysis/log-parser';
+import analyzers from './log-analysis/analyzers';
+import ExceptionFingerprint from './log-analysis/exception-fingerprint';
+import { EVENT_TYPES } from './events/event-types';
+import AlertResourceHandler, { AlertWatcherSnapshot } from './resources/alert-resource';
+import { getGlobalWebhookManager } from './webhooks/webhook-manager';
+import { WebhookFormat } from './webhooks/webhook-formatter';
+
+// Type definitions
+export type AlertMetric =
+    'requests' | 'errors' | 'errorRate' | 'statusRate' | 'p95' | 'p99' | 'avgResponseTime' | 'newException';
+
+export type AlertOperator = '>' | '>=' | '<' | '<=';
+
+export type AlertSeverity = 'warning' | 'critical';
+
+export interface AlertRule {
+    name: string;
+    metric: AlertMetric;
+    // Percent for errorRate/statusRate, milliseconds for latency, a count for requests/errors; unused by newException
+    threshold?: number;
+    operator?: AlertOperator;
+    windowMinutes?: number;
+    // Rates and latency are not judged on windows with fewer requests than this
+    minRequests?: number;
+    // statusRate: '5xx', '4xx' or an exact code such as '503'
+    status?: string;
+    // Glob on the request path, e.g. '/checkout/*' (case-insensitive)
+    path?: string;
+    // newException: alert on an unseen exception type (default) or an unseen fingerprint (type + top frames)
+    exceptionKey?: 'type' | 'fingerprint';
+    // Only apply the rule when tailing this environment
+    environment?: string;
+    severity?: AlertSeverity;
+}
+
+export interface Alert {
+    key: string;
+    rule: string;
+    metric: AlertMetric;
+    severity: AlertSeverity;
+    value: number | null;
+    threshold: number | null;
+    operator: AlertOperator;
+    windowMinutes: number;
+    requests: number;
+    path?: string;
+    status?: string;
+    exceptionType?: string;
+    fingerprint?: string;
+    message: string;
+    triggeredAt: string;
+    resolvedAt: string | null;
+}
+
+export type WatcherStatus = 'running' | 'stopped' | 'failed';
+
+export interface TailWatcher {
+    watcherId: string;
+    projectId: string;
+    projectName: string;
+    environment: string;
+    logType: 'web' | 'application';
+    slot: boolean;
+    pollSeconds: number;
+    rules: AlertRule[];
+    rulesSource: 'arguments' | 'file' | 'default';
+    status: WatcherStatus;
+    polls: number;
+    entriesInWindow: number;
+    lastPollAt: string | null;
+    lastPollEntries: number;
+    lastEntryAt: string | null;
+    consecutiveErrors: number;
+    lastError: string | null;
+    activeAlerts: Alert[];
+    history: Alert[];
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+    createdAt: string;
+    stoppedAt: string | null;
+}
+
+export interface TailCredentials {
+    projectId: string;
+    apiKey: string;
+    apiSecret: string;
+    projectName?: string;
+}
+
+export interface StartTailOptions {
+    credentials: TailCredentials;
+    environment?: string;
+    logType?: 'web' | 'application';
+    slot?: boolean;
+    pollSeconds?: number;
+    rules?: Array<Partial<AlertRule>>;
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+}
+
+interface LogTailerOptions {
+    maxWatchers?: number;
+    maxConsecutiveErrors?: number;
+    debug?: boolean;
+}
+
+// Only what the rules need from a parsed entry, so a busy hour fits in memory
+interface TailEntry {
+    time: number;
+    path: string;
+    status: number;
+    isError: boolean;
+    responseTime?: number;
+    exceptionType?: string;
+    fingerprint?: string;
+}
+
+interface BlobCursor {
+    offset: number;
+    parser: LogFileParser;
+}
+
+interface CompiledRule extends Required<Omit<AlertRule, 'threshold' | 'status' | 'path' | 'environment'>> {
+    threshold?: number;
+    status?: string;
+    path?: string;
+    environment?: string;
+    pathPattern: RegExp | null;
+}
+
+// Poll-to-poll state that is not part of the watcher snapshot
+interface WatcherRuntime {
+    credentials: TailCredentials;
+    rules: CompiledRule[];
+    containerSasUrl: string | null;
+    sasIssuedAt: number;
+    // Blob name prefixes before y=/m=/d=/h= (one per site or slot); null when the container uses another layout
+    sitePrefixes: string[] | null;
+    cursors: Map<string, BlobCursor>;
+    entries: TailEntry[];
+    latestEntryTime: number;
+    knownExceptions: { type: Set<string>; fingerprint: Set<string> };
+}
+
+const METRICS: AlertMetric[] = ['requests', 'errors', 'errorRate', 'statusRate', 'p95', 'p99', 'avgResponseTime', 'newException'];
+const OPERATORS: AlertOperator[] = ['>', '>=', '<', '<='];
+
+const MIN_POLL_SECONDS = 30;
+const MAX_WINDOW_MINUTES = 60;
+// The first poll reads at least this far back so new-exception rules learn what is already normal
+const MIN_LOOKBACK_MINUTES = 15;
+// Container SAS links are issued for an hour; renew them well before they expire
+const SAS_REFRESH_MS = 45 * 60 * 1000;
+const MAX_ENTRIES = 500000;
+const HISTORY_LIMIT = 50;
+
+const DEFAULT_RULES: Record<'web' | 'application', Array<Partial<AlertRule>>> = {
+    web: [
+        { name: '5xx rate', metric: 'statusRate', status: '5xx', threshold: 2, windowMinutes: 5, severity: 'critical' },
+        { name: 'p95 latency', metric: 'p95', threshold: 2000, windowMinutes: 5, severity: 'warning' }
+    ],
+    application: [
+        { name: 'new exception type', metric: 'newException', windowMinutes: 30, severity: 'warning' },
+        { name: 'error rate', metric: 'errorRate', threshold: 10, windowMinutes: 5, severity: 'warning' }
+    ]
+};
+
+class LogTailer {
+    private static ruleFile = new ProjectSettingsFile<{ rules?: Array<Partial<AlertRule>> }>('DXP_ALERT_RULES_FILE', 'alert-rules.json');
+
+    private options: Required<LogTailerOptions>;
+    private watchers: Map<string, TailWatcher>;
+    private runtimes: Map<string, WatcherRuntime>;
+    private timers: Map<string, NodeJS.Timeout>;
+    private running: Set<string>;
+
+    constructor(options: LogTailerOptions = {}) {
+        this.options = {
+            maxWatchers: options.maxWatchers || 10,
+            // Stop a watcher after this many failed polls in a row
+            maxConsecutiveErrors: options.maxConsecutiveErrors || 5,
+            debug: options.debug || process.env.DEBUG === 'true'
+        };
+
+        this.watchers = new Map();
+        this.runtimes = new Map();
+        this.timers = new Map();
+        this.running = new Set();
+    }
+
+    /**
+     * Path of the alert rules file
+     */
+    static getRulesPath(): string {
+        return this.ruleFile.getPath();
+    }
+
+    /**
+     * Rules that apply to a watcher: explicit rules, else the project's rules file, else the log type defaults
+     * Rules with an environment only apply when tailing that environment.
+     * @throws Error with code INVALID_ALERT_RULE when a rule is malformed
+     */
+    static resolveRules(
+        projectName: string | undefined,
+        environment: string,
+        logType: 'web' | 'application',
+        rules?: Array<Partial<AlertRule>>
+    ): { rules: AlertRule[]; source: TailWatcher['rulesSource'] } {
+        let source: TailWatcher['rulesSource'] = 'arguments';
+        let candidates = rules && rules.length > 0 ? rules : null;
+
+        if (!candidates) {
+            const fromFile = this.ruleFile.getProjectSettings(projectName);
+            if (fromFile && Array.isArray(fromFile.rules) && fromFile.rules.length > 0) {
+                candidates = fromFile.rules;
+                source = 'file';
+            } else {
+                candidates = DEFAULT_RULES[logType];
+                source = 'default';
+            }
+        }
+
+        const normalized = candidates.map((rule, index) => this.normalizeRule(rule, index));
+        const names = new Set<string>();
+        for (const rule of normalized) {
+            if (names.has(rule.name)) {
+                throw Object.assign(new Error(`Duplicate alert rule name "${rule.name}"`), { code: 'INVALID_ALERT_RULE' });
+            }
+            names.add(rule.name);
+        }
+
+        const applicable = normalized.filter(rule =>
+            !rule.environment || rule.environment.toLowerCase() === environment.toLowerCase());
+
+        return { rules: applicable, source };
+    }
+
+    /**
+     * Validate a rule and fill in defaults
+     * @private
+     */
+    private static normalizeRule(rule: Partial<AlertRule>, index: number): AlertRule {
+        const invalid = (message: string) =>
+            Object.assign(new Error(`Alert rule ${index + 1}${rule.name ? ` ("${rule.name}")` : ''}: ${message}`), { code: 'INVALID_ALERT_RULE' });
+
+        if (!rule.metric || !METRICS.includes(rule.metric)) {
+            throw invalid(`metric must be one of ${METRICS.join(', ')}`);
+        }
+        if (rule.metric !== 'newException' && (typeof rule.threshold !== 'number' || !isFinite(rule.threshold))) {
+            throw invalid('threshold is required');
+        }
+        if (rule.operator && !OPERATORS.includes(rule.operator)) {
+            throw invalid(`operator must be one of ${OPERATORS.join(' ')}`);
+        }
+        if (rule.metric === 'statusRate' && !rule.status) {
+            throw invalid('statusRate needs a status such as "5xx" or "503"');
+        }
+        if (rule.status && !/^[1-5](\d\d|xx)$/i.test(rule.status)) {
+            throw invalid('status must look like "5xx", "4xx" or "503"');
+        }
+        const windowMinutes = rule.windowMinutes ?? 5;
+        if (!(windowMinutes >= 1 && windowMinutes <= MAX_WINDOW_MINUTES)) {
+            throw invalid(`windowMinutes must be between 1 and ${MAX_WINDOW_MINUTES}`);
+        }
+
+        const normalized: AlertRule = {
+            name: rule.name || `${rule.metric}${rule.status ? ` ${rule.status}` : ''}${rule.path ? ` ${rule.path}` : ''}`,
+            metric: rule.metric,
+            operator: rule.operator || '>',
+            windowMinutes,
+            minRequests: rule.minRequests ?? 20,
+            severity: rule.severity === 'critical' ? 'critical' : 'warning'
+        };
+        if (rule.metric !== 'newException') {
+            normalized.threshold = rule.threshold;
+        } else {
+            normalized.exceptionKey = rule.exceptionKey === 'fingerprint' ? 'fingerprint' : 'type';
+        }
+        if (rule.status) normalized.status = rule.status.toLowerCase();
+        if (rule.path) normalized.path = rule.path;
+        if (rule.environment) normalized.environment = rule.environment;
+        return normalized;
+    }
+
+    /**
+     * Start a watcher and run its first poll right away
+     */
+    start(config: StartTailOptions): TailWatcher {
+        const active = this.listWatchers().filter(watcher => watcher.status === 'running');
+        if (active.length >= this.options.maxWatchers) {
+            throw Object.assign(
+                new Error(`Already tailing ${active.length} log streams (limit ${this.options.maxWatchers}). Stop one with stop_tail_logs first.`),
+                { code: 'TOO_MANY_WATCHERS' }
+            );
+        }
+
+        const environment = config.environment || 'Production';
+        const logType = config.logType === 'application' ? 'application' : 'web';
+        const projectName = config.credentials.projectName || 'Unknown';
+        const { rules, source } = LogTailer.resolveRules(projectName, environment, logType, config.rules);
+        if (rules.length === 0) {
+            throw Object.assign(new Error(`No alert rules apply to ${environment}`), { code: 'INVALID_ALERT_RULE' });
+        }
+
+        const now = new Date().toISOString();
+        const watcher: TailWatcher = {
+            watcherId: `tail-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+            projectId: config.credentials.projectId,
+            projectName,
+            environment,
+            logType,
+            slot: config.slot === true,
+            pollSeconds: Math.max(MIN_POLL_SECONDS, config.pollSeconds || 60),
+            rules,
+            rulesSource: source,
+            status: 'running',
+            polls: 0,
+            entriesInWindow: 0,
+            lastPollAt: null,
+            lastPollEntries: 0,
+            lastEntryAt: null,
+            consecutiveErrors: 0,
+            lastError: null,
+            activeAlerts: [],
+            history: [],
+            webhookUrl: config.webhookUrl,
+            webhookHeaders: config.webhookHeaders,
+            webhookFormat: config.webhookFormat,
+            createdAt: now,
+            stoppedAt: null
+        };
+
+        this.watchers.set(watcher.watcherId, watcher);
+        this.runtimes.set(watcher.watcherId, {
+            credentials: config.credentials,
+            rules: rules.map(rule => this._compileRule(rule)),
+            containerSasUrl: null,
+            sasIssuedAt: 0,
+            sitePrefixes: null,
+            cursors: new Map(),
+            entries: [],
+            latestEntryTime: 0,
+            knownExceptions: { type: new Set(), fingerprint: new Set() }
+        });
+
+        if (watcher.webhookUrl) {
+            this._registerWebhook(watcher);
+        }
+
+        this._schedule(watcher.watcherId, 0);
+        return watcher;
+    }
+
+    /**
+     * Stop a watcher; alerts still active stay listed in its snapshot
+     */
+    stop(watcherId: string): TailWatcher {
+        const watcher = this._require(watcherId);
+        if (watcher.status === 'running') {
+            this._finish(watcher, 'stopped');
+        }
+        return watcher;
+    }
+
+    getWatcher(watcherId: string): TailWatcher | null {
+        return this.watchers.get(watcherId) || null;
+    }
+
+    listWatchers(projectName?: string): TailWatcher[] {
+        return Array.from(this.watchers.values())
+            .filter(watcher => !projectName || watcher.projectName.toLowerCase() === projectName.toLowerCase())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Snapshot published with alert events (no webhook headers)
+     */
+    toSnapshot(watcher: TailWatcher): AlertWatcherSnapshot {
+        const { webhookHeaders, history, ...snapshot } = watcher;
+        return { ...snapshot, activeAlerts: watcher.activeAlerts.map(alert => ({ ...alert })) };
+    }
+
+    /**
+     * Poll once and evaluate the rules (also used by the scheduler)
+     */
+    async poll(watcherId: string): Promise<void> {
+        const watcher = this._require(watcherId);
+        const runtime = this.runtimes.get(watcherId)!;
+        const firstPoll = watcher.polls === 0;
+
+        const blobUrls = await this._listRecentBlobs(watcher, runtime, firstPoll);
+        const entries = await this._readNewEntries(watcher, runtime, blobUrls);
+
+        this._ingest(watcher, runtime, entries, firstPoll);
+        this._evaluate(watcher, runtime);
+
+        watcher.polls++;
+        watcher.lastPollAt = new Date().toISOString();
+        watcher.lastPollEntries = entries.length;
+    }
+
+    /**
+     * Schedule the next poll for a watcher
+     * @private
+     */
+    private _schedule(watcherId: string, delay: number): void {
+        this._clearTimer(watcherId);
+
+        const timer = setTimeout(async () => {
+            this.timers.delete(watcherId);
+            await this._tick(watcherId);
+        }, delay);
+
+        // Don't keep the process alive just for log polling
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+
+        this.timers.set(watcherId, timer);
+    }
+
+    /**
+     * Clear a scheduled poll
+     * @private
+     */
+    private _clearTimer(watcherId: string): void {
+        const timer = this.timers.get(watcherId);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(watcherId);
+        }
+    }
+
+    /**
+     * Run one poll and schedule the next
+     * @private
+     */
+    private async _tick(watcherId: string): Promise<void> {
+        const watcher = this.watchers.get(watcherId);
+        if (!watcher || watcher.status !== 'running' || this.running.has(watcherId)) {
+            return;
+        }
+
+        this.running.add(watcherId);
+
+        try {
+            await this.poll(watcherId);
+            watcher.consecutiveErrors = 0;
+            watcher.lastError = null;
+        } catch (error) {
+            watcher.consecutiveErrors++;
+            watcher.lastError = (error as Error).message;
+            OutputLogger.error(`Log tail ${watcherId} poll failed (${watcher.consecutiveErrors}/${this.options.maxConsecutiveErrors}): ${watcher.lastError}`);
+
+            // A failing poll may be an expired SAS link; fetch a new one next time
+            const runtime = this.runtimes.get(watcherId);
+            if (runtime) {
+                runtime.containerSasUrl = null;
+            }
+
+            if (watcher.consecutiveErrors >= this.options.maxConsecutiveErrors) {
+                this._finish(watcher, 'failed');
+            }
+        } finally {
+            this.running.delete(watcherId);
+        }
+
+        if (watcher.status === 'running') {
+            this._schedule(watcherId, watcher.pollSeconds * 1000);
+        }
+    }
+
+    /**
+     * Stop polling and release the watcher's memory and webhook
+     * @private
+     */
+    private _finish(watcher: TailWatcher, status: WatcherStatus): void {
+        this._clearTimer(watcher.watcherId);
+        watcher.status = status;
+        watcher.stoppedAt = new Date().toISOString();
+
+        const runtime = this.runtimes.get(watcher.watcherId);
+        if (runtime) {
+            runtime.entries = [];
+            runtime.cursors.clear();
+        }
+
+        if (watcher.webhookUrl) {
+            getGlobalWebhookManager().unregister(watcher.watcherId);
+        }
+    }
+
+    /**
+     * Blob URLs that may hold new lines: the current and previous hour of every site
+     * @private
+     */
+    private async _listRecentBlobs(watcher: TailWatcher, runtime: WatcherRuntime, firstPoll: boolean): Promise<string[]> {
+        const refreshed = await this._ensureContainerSas(watcher, runtime);
+        const sasUrl = runtime.containerSasUrl!;
+
+        // Full listing when the SAS is new (sites and slots may have changed), prefixed listings otherwise
+        if (refreshed || !runtime.sitePrefixes) {
+            const all = LogAnalysisTools.filterBlobsBySlot(await AzureBlobStreamer.listBlobs(sasUrl), watcher.slot);
+            runtime.sitePrefixes = this._sitePrefixes(sasUrl, all);
+
+            // Later polls cover the same current and previous hour as the prefixed listings
+            const minutesBack = firstPoll
+                ? Math.max(MIN_LOOKBACK_MINUTES, ...runtime.rules.map(rule => rule.windowMinutes))
+                : 60;
+            return AzureBlobStreamer.filterBlobsByDate(all, { minutesBack, debug: this.options.debug });
+        }
+
+        const now = Date.now();
+        const hours = [new Date(now - 60 * 60 * 1000), new Date(now)].map(date =>
+            `y=${date.getUTCFullYear()}/m=${pad(date.getUTCMonth() + 1)}/d=${pad(date.getUTCDate())}/h=${pad(date.getUTCHours())}/`);
+
+        const urls: string[] = [];
+        for (const prefix of runtime.sitePrefixes) {
+            for (const hour of hours) {
+                urls.push(...await AzureBlobStreamer.listBlobs(sasUrl, prefix + hour));
+            }
+        }
+        return LogAnalysisTools.filterBlobsBySlot(urls, watcher.slot);
+    }
+
+    /**
+     * Find the log container and get a read SAS link, reusing it until it is close to expiry
+     * @returns True when a new link was issued
+     * @private
+     */
+    private async _ensureContainerSas(watcher: TailWatcher, runtime: WatcherRuntime): Promise<boolean> {
+        if (runtime.containerSasUrl && Date.now() - runtime.sasIssuedAt < SAS_REFRESH_MS) {
+            return false;
+        }
+
+        const { sasUrl } = await LogAnalysisTools.getLogContainerSas(runtime.credentials, watcher.environment, watcher.logType);
+        runtime.containerSasUrl = sasUrl;
+        runtime.sasIssuedAt = Date.now();
+        return true;
+    }
+
+    /**
+     * Distinct name prefixes ahead of the y=/m=/d=/h= folders, or null if any blob uses another layout
+     * @private
+     */
+    private _sitePrefixes(containerSasUrl: string, blobUrls: string[]): string[] | null {
+        const containerPath = new URL(containerSasUrl).pathname + '/';
+        const prefixes = new Set<string>();
+
+        for (const url of blobUrls) {
+            const name = new URL(url).pathname.substring(containerPath.length);
+            const index = name.indexOf('y=');
+            if (index < 0 || (index > 0 && name[index - 1] !== '/')) {
+                return null;
+            }
+            prefixes.add(name.substring(0, index));
+        }
+
+        return Array.from(prefixes);
+    }
+
+    /**
+     * Read what each blob gained since the last poll; blobs that dropped out of the listing are closed
+     * @private
+     */
+    private async _readNewEntries(watcher: TailWatcher, runtime: WatcherRuntime, blobUrls: string[]): Promise<TailEntry[]> {
+        const entries: TailEntry[] = [];
+        const trackExceptions = runtime.rules.some(rule => rule.metric === 'newException');
+        const keep = (parsed: ParsedLogEntry[]) => {
+            for (const entry of parsed) {
+                entries.push(this._toTailEntry(entry, trackExceptions));
+            }
+        };
+
+        const seen = new Set<string>();
+        for (const blobUrl of blobUrls) {
+            const name = blobUrl.split('?')[0];
+            seen.add(name);
+
+            let cursor = runtime.cursors.get(name);
+            if (!cursor) {
+                cursor = { offset: 0, parser: logParser.createFileParser({ debug: this.options.debug }) };
+                runtime.cursors.set(name, cursor);
+            }
+
+            const parser = cursor.parser;
+            const stats = await AzureBlobStreamer.streamBlob(blobUrl, async (line: string) => {
+                keep(parser.parseLine(line));
+            }, { debug: this.options.debug, startByte: cursor.offset, completeLinesOnly: true });
+            cursor.offset += stats.completeBytes;
+        }
+
+        for (const [name, cursor] of runtime.cursors) {
+            if (!seen.has(name)) {
+                keep(cursor.parser.finish());
+                runtime.cursors.delete(name);
+            }
+        }
+
+        if (this.options.debug) {
+            OutputLogger.debug(`Log tail ${watcher.watcherId}: ${entries.length} new entries from ${blobUrls.length} blobs`);
+        }
+        return entries;
+    }
+
+    /**
+     * @private
+     */
+    private _toTailEntry(entry: ParsedLogEntry, trackExceptions: boolean): TailEntry {
+        const tailEntry: TailEntry = {
+            time: entry.timestamp.getTime(),
+            path: entry.path,
+            status: entry.statusCode,
+            isError: analyzers.isErrorEntry(entry)
+        };
+        if (entry.responseTime !== undefined && entry.responseTime > 0) {
+            tailEntry.responseTime = entry.responseTime;
+        }
+        if (trackExceptions) {
+            const exception = ExceptionFingerprint.extractException(entry);
+            if (exception) {
+                tailEntry.exceptionType = exception.type;
+                tailEntry.fingerprint = ExceptionFingerprint.fingerprintException(exception);
+            }
+        }
+        return tailEntry;
+    }
+
+    /**
+     * Add new entries to the sliding window and learn exceptions
+     * On the first poll every exception counts as already known, so only later ones can be "new".
+     * @private
+     */
+    private _ingest(watcher: TailWatcher, runtime: WatcherRuntime, entries: TailEntry[], firstPoll: boolean): void {
+        for (const entry of entries) {
+            if (isNaN(entry.time)) {
+                continue;
+            }
+            if (entry.time > runtime.latestEntryTime && entry.time <= Date.now() + 5 * 60 * 1000) {
+                runtime.latestEntryTime = entry.time;
+            }
+            runtime.entries.push(entry);
+
+            if (firstPoll && entry.exceptionType) {
+                runtime.knownExceptions.type.add(entry.exceptionType);
+                runtime.knownExceptions.fingerprint.add(entry.fingerprint!);
+            }
+        }
+
+        // Windows end at the newest entry: App Service delivers logs a few minutes late
+        const maxWindow = Math.max(...runtime.rules.map(rule => rule.windowMinutes));
+        const cutoff = runtime.latestEntryTime - maxWindow * 60 * 1000;
+        runtime.entries = runtime.entries.filter(entry => entry.time > cutoff);
+        if (runtime.entries.length > MAX_ENTRIES) {
+            runtime.entries.sort((a, b) => a.time - b.time);
+            runtime.entries = runtime.entries.slice(-MAX_ENTRIES);
+        }
+
+        watcher.entriesInWindow = runtime.entries.length;
+        watcher.lastEntryAt = runtime.latestEntryTime > 0 ? new Date(runtime.latestEntryTime).toISOString() : null;
+    }
+
+    /**
+     * Check every rule against its window and emit state changes
+     * @private
+     */
+    private _evaluate(watcher: TailWatcher, runtime: WatcherRuntime): void {
+        const windowEnd = runtime.latestEntryTime || Date.now();
+
+        for (const rule of runtime.rules) {
+            if (rule.metric === 'newException') {
+                this._evaluateNewExceptions(watcher, runtime, rule, windowEnd);
+                continue;
+            }
+
+            const windowStart = windowEnd - rule.windowMinutes * 60 * 1000;
+            const inWindow = runtime.entries.filter(entry =>
+                entry.time > windowStart && entry.time <= windowEnd &&
+                (!rule.pathPattern || rule.pathPattern.test(entry.path)));
+
+            const value = this._measure(rule, inWindow);
+            if (value === null) {
+                // Not enough traffic to judge; keep the current state
+                continue;
+            }
+
+            const key = `rule:${rule.name}`;
+            const active = watcher.activeAlerts.find(alert => alert.key === key);
+            const breached = compare(value, rule.operator, rule.threshold!);
+
+            if (breached && !active) {
+                this._trigger(watcher, {
+                    key,
+                    rule: rule.name,
+                    metric: rule.metric,
+                    severity: rule.severity,
+                    value,
+                    threshold: rule.threshold!,
+                    operator: rule.operator,
+                    windowMinutes: rule.windowMinutes,
+                    requests: inWindow.length,
+                    path: rule.path,
+                    status: rule.status,
+                    message: `${rule.name}: ${describeMetric(rule)} ${formatValue(rule, value)} ${rule.operator} ${formatValue(rule, rule.threshold!)} over ${rule.windowMinutes} min on ${watcher.environment}`,
+                    triggeredAt: new Date().toISOString(),
+                    resolvedAt: null
+                });
+            } else if (breached && active) {
+                active.value = value;
+                active.requests = inWindow.length;
+            } else if (!breached && active) {
+                this._resolve(watcher, active, value, `${rule.name}: ${describeMetric(rule)} back to ${formatValue(rule, value)}`);
+            }
+        }
+    }
+
+    /**
+     * Alert once per exception type (or fingerprint) never seen by this watcher; resolve when it stops occurring
+     * @private
+     */
+    private _evaluateNewExceptions(watcher: TailWatcher, runtime: WatcherRuntime, rule: CompiledRule, windowEnd: number): void {
+        const known = runtime.knownExceptions[rule.exceptionKey];
+        const prefix = `newException:${rule.name}:`;
+        const unseen = new Map<string, { count: number; type: string; fingerprint: string }>();
+        const lastSeen = new Map<string, number>();
+
+        for (const entry of runtime.entries) {
+            if (!entry.exceptionType) {
+                continue;
+            }
+            const id = rule.exceptionKey === 'type' ? entry.exceptionType : entry.fingerprint!;
+            lastSeen.set(id, Math.max(lastSeen.get(id) || 0, entry.time));
+
+            if (!known.has(id)) {
+                const occurrence = unseen.get(id) || { count: 0, type: entry.exceptionType, fingerprint: entry.fingerprint! };
+                occurrence.count++;
+                unseen.set(id, occurrence);
+            }
+        }
+
+        for (const [id, occurrence] of unseen) {
+            known.add(id);
+            this._trigger(watcher, {
+                key: prefix + id,
+                rule: rule.name,
+                metric: rule.metric,
+                severity: rule.severity,
+                value: occurrence.count,
+                threshold: null,
+                operator: rule.operator,
+                windowMinutes: rule.windowMinutes,
+                requests: occurrence.count,
+                exceptionType: occurrence.type,
+                fingerprint: occurrence.fingerprint,
+                message: `${rule.name}: new exception ${occurrence.type} (${occurrence.count}x) on ${watcher.environment}`,
+                triggeredAt: new Date().toISOString(),
+                resolvedAt: null
+            });
+        }
+
+        const quietSince = windowEnd - rule.windowMinutes * 60 * 1000;
+        for (const alert of watcher.activeAlerts.filter(active => active.key.startsWith(prefix))) {
+            if ((lastSeen.get(alert.key.substring(prefix.length)) || 0) <= quietSince) {
+                this._resolve(watcher, alert, 0, `${rule.name}: ${alert.exceptionType} not seen for ${rule.windowMinutes} min`);
+            }
+        }
+    }
+
+    /**
+     * Value of a rule's metric over a window, or null when there are too few requests to judge
+     * @private
+     */
+    private _measure(rule: CompiledRule, entries: TailEntry[]): number | null {
+        switch (rule.metric) {
+            case 'requests':
+                return entries.length;
+            case 'errors':
+                return entries.filter(entry => entry.isError).length;
+        }
+
+        if (entries.length < rule.minRequests) {
+            return null;
+        }
+
+        switch (rule.metric) {
+            case 'errorRate':
+                return round((entries.filter(entry => entry.isError).length / entries.length) * 100);
+            case 'statusRate':
+                return round((entries.filter(entry => statusMatches(rule.status!, entry.status)).length / entries.length) * 100);
+        }
+
+        const times = entries
+            .filter(entry => entry.responseTime !== undefined)
+            .map(entry => entry.responseTime!)
+            .sort((a, b) => a - b);
+        if (times.length < rule.minRequests) {
+            return null;
+        }
+
+        if (rule.metric === 'avgResponseTime') {
+            return Math.round(times.reduce((sum, time) => sum + time, 0) / times.length);
+        }
+        return analyzers.percentile(times, rule.metric === 'p99' ? 0.99 : 0.95);
+    }
+
+    /**
+     * @private
+     */
+    private _trigger(watcher: TailWatcher, alert: Alert): void {
+        watcher.activeAlerts.push(alert);
+        this._remember(watcher, alert);
+        OutputLogger.warn(`🚨 ${alert.message}`);
+        AlertResourceHandler.emit(EVENT_TYPES.ALERT_TRIGGERED, this.toSnapshot(watcher), { ...alert });
+    }
+
+    /**
+     * @private
+     */
+    private _resolve(watcher: TailWatcher, alert: Alert, value: number, message: string): void {
+        watcher.activeAlerts = watcher.activeAlerts.filter(active => active.key !== alert.key);
+        const resolved: Alert = { ...alert, value, message, resolvedAt: new Date().toISOString() };
+        this._remember(watcher, resolved);
+        OutputLogger.info(`✅ ${message}`);
+        AlertResourceHandler.emit(EVENT_TYPES.ALERT_RESOLVED, this.toSnapshot(watcher), resolved);
+    }
+
+    /**
+     * @private
+     */
+    private _remember(watcher: TailWatcher, alert: Alert): void {
+        watcher.history.push({ ...alert });
+        if (watcher.history.length > HISTORY_LIMIT) {
+            watcher.history.splice(0, watcher.history.length - HISTORY_LIMIT);
+        }
+    }
+
+    /**
+     * @private
+     */
+    private _compileRule(rule: AlertRule): CompiledRule {
+        return {
+            ...rule,
+            operator: rule.operator || '>',
+            windowMinutes: rule.windowMinutes || 5,
+            minRequests: rule.minRequests ?? 20,
+            exceptionKey: rule.exceptionKey || 'type',
+            severity: rule.severity || 'warning',
+            pathPattern: rule.path
+                ? new RegExp('^' + rule.path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i')
+                : null
+        };
+    }
+
+    /**
+     * Register the watcher webhook (alert events use the watcher ID as operationId)
+     * @private
+     */
+    private _registerWebhook(watcher: TailWatcher): void {
+        try {
+            const result = getGlobalWebhookManager().register(watcher.watcherId, watcher.webhookUrl!, {
+                headers: watcher.webhookHeaders || {},
+                project: watcher.projectName,
+                environment: watcher.environment,
+                format: watcher.webhookFormat
+            });
+            if (!result.success) {
+                OutputLogger.warn(`⚠️ Webhook registration failed for ${watcher.watcherId}: ${result.error}`);
+            }
+        } catch (error) {
+            OutputLogger.error(`Failed to register log tail webhook: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * Get a watcher or throw
+     * @private
+     */
+    private _require(watcherId: string): TailWatcher {
+        const watcher = this.watchers.get(watcherId);
+        if (!watcher) {
+            throw Object.assign(new Error(`Log tail watcher not found: ${watcherId}`), { code: 'WATCHER_NOT_FOUND' });
+        }
+        return watcher;
+    }
+}
+
+function pad(value: number): string {
+    return String(value).padStart(2, '0');
+}
+
+function round(value: number): number {
+    return Math.round(value * 100) / 100;
+}
+
+function compare(value: number, operator: AlertOperator, threshold: number): boolean {
+    switch (operator) {
+        case '>=': return value >= threshold;
+        case '<': return value < threshold;
+        case '<=': return value <= threshold;
+        default: return value > threshold;
+    }
+}
+
+/**
+ * "5xx" matches 500-599, "503" only 503
+ */
+function statusMatches(status: string, code: number): boolean {
+    return status.endsWith('xx') ? Math.floor(code / 100) === Number(status[0]) : code === Number(status);
+}
+
+function describeMetric(rule: AlertRule): string {
+    const scope = rule.path ? ` on ${rule.path}` : '';
+    switch (rule.metric) {
+        case 'statusRate': return `${rule.status} rate${scope}`;
+        case 'errorRate': return `error rate${scope}`;
+        case 'avgResponseTime': return `average response time${scope}`;
+        default: return `${rule.metric}${scope}`;
+    }
+}
+
+function formatValue(rule: AlertRule, value: number): string {
+    if (rule.metric === 'errorRate' || rule.metric === 'statusRate') {
+        return `${value}%`;
+    }
+    if (rule.metric === 'p95' || rule.metric === 'p99' || rule.metric === 'avgResponseTime') {
+        return `${value}ms`;
+    }
+    return String(value);
+}
+
+// Global instance
+let globalTailer: LogTailer | null = null;
+
+/**
+ * Get global log tailer instance
+ * @returns Global tailer
+ */
+function getGlobalLogTailer(): LogTailer {
+    if (!globalTailer) {
+        globalTailer = new LogTailer();
+    }
+    return globalTailer;
+}
+
+export { LogTailer, getGlobalLogTailer };
@@ -0,0 +1,335 @@
+/**
+ * Maintenance Windows Module
+ * Per-project maintenance windows, freeze periods and holiday blackout dates
+ * Evaluated in the project's timezone so "22:00" means 22:00 where the site runs
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ *
+ * Configuration file (DXP_MAINTENANCE_WINDOWS_FILE, default ~/.optimizely-dxp/maintenance-windows.json):
+ * {
+ *   "default": { "timezone": "UTC" },
+ *   "projects": {
+ *     "ACME": {
+ *       "timezone": "Europe/Stockholm",
+ *       "enforce": ["Production"],
+ *       "maintenanceWindows": [{ "days": ["Tue", "Thu"], "start": "22:00", "end": "02:00" }],
+ *       "freezeWindows": [{ "start": "2026-12-18", "end": "2027-01-06", "reason": "Holiday freeze" }],
+ *       "blackoutDates": ["2026-11-27"]
+ *     }
+ *   }
+ * }
+ */
+
+import OutputLogger from './output-logger';
+import ProjectSettingsFile from './project-settings-file';
+
+// Type definitions
+export interface MaintenanceWindow {
+    days?: string[];
+    start: string;
+    end: string;
+    label?: string;
+}
+
+export interface FreezeWindow {
+    start: string;
+    end: string;
+    reason?: string;
+}
+
+export interface ProjectWindowConfig {
+    timezone?: string;
+    enforce?: string[];
+    maintenanceWindows?: MaintenanceWindow[];
+    freezeWindows?: FreezeWindow[];
+    blackoutDates?: string[];
+}
+
+export interface ZonedTime {
+    date: string;
+    weekday: number;
+    minutes: number;
+    hour: number;
+}
+
+export interface WindowCheck {
+    allowed: boolean;
+    enforced: boolean;
+    configured: boolean;
+    timezone: string;
+    localTime: string;
+    reason?: string;
+    nextAllowedTime?: string;
+    activeWindow?: string;
+    // Set when the configuration file exists but cannot be read; every environment is then blocked
+    configError?: string;
+}
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How far ahead to look for the next allowed slot, and at what resolution
+const SEARCH_HORIZON_DAYS = 60;
+const SEARCH_STEP_MINUTES = 15;
+
+class MaintenanceWindows {
+    private static settings = new ProjectSettingsFile<ProjectWindowConfig>('DXP_MAINTENANCE_WINDOWS_FILE', 'maintenance-windows.json');
+
+    // One formatter per timezone - findNextAllowedTime converts thousands of candidate times
+    private static formatters = new Map<string, Intl.DateTimeFormat>();
+
+    /**
+     * Path of the maintenance window configuration file
+     */
+    static getConfigPath(): string {
+        return this.settings.getPath();
+    }
+
+    /**
+     * Get the effective window configuration for a project
+     * Project settings override the "default" block key by key.
+     * @throws Error with code INVALID_SETTINGS_FILE when the file cannot be read or parsed
+     */
+    static getProjectConfig(projectName?: string): ProjectWindowConfig | null {
+        return this.settings.getProjectSettings(projectName, true);
+    }
+
+    /**
+     * Check whether an operation against an environment is allowed at a given time
+     * @param projectName - Project whose windows apply
+     * @param environment - Target environment (only environments listed in "enforce" are blocked)
+     * @param at - Time to check (default: now)
+     */
+    static check(projectName: string | undefined, environment: string | undefined, at: Date = new Date()): WindowCheck {
+        let config: ProjectWindowConfig | null;
+        try {
+            config = this.getProjectConfig(projectName);
+        } catch (error: any) {
+            // Freezes are safety controls: a broken file blocks changes instead of silently lifting them
+            OutputLogger.error(error.message);
+            const timezone = this.resolveTimezone();
+            return {
+                allowed: false,
+                enforced: !!environment,
+                configured: true,
+                timezone,
+                localTime: this.formatLocal(at, timezone),
+                reason: `maintenance window file ${this.getConfigPath()} cannot be read, so all changes are blocked until it is fixed`,
+                configError: error.message
+            };
+        }
+        const timezone = this.resolveTimezone(config?.timezone);
+        const localTime = this.formatLocal(at, timezone);
+
+        if (!config) {
+            return { allowed: true, enforced: false, configured: false, timezone, localTime };
+        }
+
+        const enforcedEnvironments = config.enforce || ['Production'];
+        const enforced = !!environment && enforcedEnvironments.includes(environment);
+        const reason = this.getBlockReason(config, timezone, at);
+
+        if (!reason) {
+            return {
+                allowed: true,
+                enforced,
+                configured: true,
+                timezone,
+                localTime,
+                activeWindow: this.getActiveWindowLabel(config, timezone, at)
+            };
+        }
+
+        const next = this.findNextAllowedTime(config, timezone, at);
+        return {
+            allowed: false,
+            enforced,
+            configured: true,
+            timezone,
+            localTime,
+            reason,
+            ...(next && { nextAllowedTime: next.toISOString() })
+        };
+    }
+
+    /**
+     * Why a time is blocked by the config, or null when it is allowed
+     */
+    static getBlockReason(config: ProjectWindowConfig, timezone: string, at: Date): string | null {
+        const zoned = this.toZoned(at, timezone);
+
+        if ((config.blackoutDates || []).includes(zoned.date)) {
+            return `${zoned.date} is a blackout date`;
+        }
+
+        for (const freeze of config.freezeWindows || []) {
+            if (this.inFreeze(freeze, zoned, at)) {
+                return `Change freeze${freeze.reason ? ` (${freeze.reason})` : ''} from ${freeze.start} to ${freeze.end}`;
+            }
+        }
+
+        const windows = config.maintenanceWindows || [];
+        if (windows.length > 0 && !windows.some(w => this.inWindow(w, zoned))) {
+            return `Outside maintenance windows (${windows.map(w => this.describeWindow(w)).join('; ')})`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the first allowed time after "from"
+     * @returns Next allowed time, or null if none within the search horizon
+     */
+    static findNextAllowedTime(config: ProjectWindowConfig, timezone: string, from: Date): Date | null {
+        const stepMs = SEARCH_STEP_MINUTES * 60 * 1000;
+        // Align to the step so suggestions land on :00/:15/:30/:45
+        let candidate = Math.ceil((from.getTime() + 1) / stepMs) * stepMs;
+        const horizon = from.getTime() + SEARCH_HORIZON_DAYS * 24 * 60 * 60 * 1000;
+
+        while (candidate <= horizon) {
+            if (!this.getBlockReason(config, timezone, new Date(candidate))) {
+                return new Date(candidate);
+            }
+            candidate += stepMs;
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a UTC instant to wall-clock parts in a timezone
+     */
+    static toZoned(at: Date, timezone: string): ZonedTime {
+        let formatter = this.formatters.get(timezone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            });
+            this.formatters.set(timezone, formatter);
+        }
+        const parts = formatter.formatToParts(at);
+
+        const get = (type: string) => parts.find(p => p.type === type)?.value || '';
+        const hour = parseInt(get('hour'), 10) % 24;
+        const minute = parseInt(get('minute'), 10);
+
+        return {
+            date: `${get('year')}-${get('month')}-${get('day')}`,
+            weekday: DAY_NAMES.indexOf(get('weekday').toLowerCase().substr(0, 3)),
+            minutes: hour * 60 + minute,
+            hour
+        };
+    }
+
+    /**
+     * Validate a timezone name, falling back to UTC
+     */
+    static resolveTimezone(timezone?: string): string {
+        if (!timezone) {
+            return 'UTC';
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return timezone;
+        } catch (error) {
+            OutputLogger.warn(`Unknown timezone "${timezone}" in maintenance window config, using UTC`);
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Format a time as "YYYY-MM-DD HH:MM (Zone)"
+     */
+    static formatLocal(at: Date, timezone: string): string {
+        const zoned = this.toZoned(at, timezone);
+        const hh = String(Math.floor(zoned.minutes / 60)).padStart(2, '0');
+        const mm = String(zoned.minutes % 60).padStart(2, '0');
+        return `${zoned.date} ${hh}:${mm} (${timezone})`;
+    }
+
+    /**
+     * Human-readable window description
+     */
+    static describeWindow(window: MaintenanceWindow): string {
+        const days = window.days && window.days.length > 0 ? window.days.join('/') : 'Daily';
+        return window.label || `${days} ${window.start}-${window.end}`;
+    }
+
+    /**
+     * Is a zoned time inside a recurring window
+     * Windows with end <= start run past midnight into the next day.
+     * @private
+     */
+    private static inWindow(window: MaintenanceWindow, zoned: ZonedTime): boolean {
+        const start = this.parseClock(window.start);
+        const end = this.parseClock(window.end);
+        if (start === null || end === null) {
+            return false;
+        }
+
+        const days = (window.days || []).map(d => DAY_NAMES.indexOf(d.toLowerCase().substr(0, 3)));
+        const onDay = (weekday: number) => days.length === 0 || days.includes(weekday);
+
+        if (start < end) {
+            return onDay(zoned.weekday) && zoned.minutes >= start && zoned.minutes < end;
+        }
+
+        // Overnight window: the part before midnight belongs to the listed day,
+        // the part after midnight to the day before
+        const previousDay = (zoned.weekday + 6) % 7;
+        return (onDay(zoned.weekday) && zoned.minutes >= start) ||
+            (onDay(previousDay) && zoned.minutes < end);
+    }
+
+    /**
+     * Is a time inside a freeze period
+     * Plain dates are whole days in the project timezone (end inclusive); full timestamps are exact.
+     * @private
+     */
+    private static inFreeze(freeze: FreezeWindow, zoned: ZonedTime, at: Date): boolean {
+        const isDateOnly = (value: string) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+        const afterStart = isDateOnly(freeze.start)
+            ? zoned.date >= freeze.start
+            : at.getTime() >= new Date(freeze.start).getTime();
+        const beforeEnd = isDateOnly(freeze.end)
+            ? zoned.date <= freeze.end
+            : at.getTime() < new Date(freeze.end).getTime();
+
+        return afterStart && beforeEnd;
+    }
+
+    /**
+     * Label of the maintenance window a time falls in, if any
+     * @private
+     */
+    private static getActiveWindowLabel(config: ProjectWindowConfig, timezone: string, at: Date): string | undefined {
+        const zoned = this.toZoned(at, timezone);
+        const window = (config.maintenanceWindows || []).find(w => this.inWindow(w, zoned));
+        return window ? this.describeWindow(window) : undefined;
+    }
+
+    /**
+     * Parse "HH:MM" into minutes after midnight
+     * @private
+     */
+    private static parseClock(value: string): number | null {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 24 || minutes > 59) {
+            return null;
+        }
+        return hours * 60 + minutes;
+    }
+}
+
+export default MaintenanceWindows;
@@ -56,6 +56,26 @@ interface SkippedFile {
     size: number;
 }
 
+/**
+ * An interrupted ranged download. Data is written to tempPath (relative to the
+ * download folder) and completedChunks lists the chunk indexes already on disk.
+ */
+export interface PartialDownloadEntry {
+    source: string;
+    etag: string | null;
+    totalSize: number;
+    chunkSize: number;
+    completedChunks: number[];
+    tempPath: string;
+    startedAt: string;
+    updatedAt: string;
+}
+
+export interface PartialDownloadState {
+    version: string;
+    files: { [key: string]: PartialDownloadEntry };
+}
+
 interface FilesToDownloadResult {
     manifest: Manifest;
     filesToDownload: RemoteFile[];
@@ -64,6 +84,11 @@ interface FilesToDownloadResult {
 }
 
 class ManifestManager {
+    static PARTIAL_STATE_FILE = '.download-partial.json';
+
+    // Per-folder write queues so parallel downloads don't overwrite each other's partial state
+    private static partialStateWrites = new Map<string, Promise<void>>();
+
     /**
      * Get manifest file path for a download location
      */
@@ -71,6 +96,65 @@ class ManifestManager {
         return path.join(downloadPath, '.download-manifest.json');
     }
 
+    /**
+     * Get partial download state path (lives next to the manifest)
+     */
+    static getPartialStatePath(downloadPath: string): string {
+        return path.join(downloadPath, this.PARTIAL_STATE_FILE);
+    }
+
+    /**
+     * Load partial download state, or an empty state if there is none
+     */
+    static async loadPartialState(downloadPath: string): Promise<PartialDownloadState> {
+        try {
+            const data = await fs.readFile(this.getPartialStatePath(downloadPath), 'utf8');
+            const state: PartialDownloadState = JSON.parse(data);
+            if (state && state.files) {
+                return state;
+            }
+        } catch (error) {
+            // Missing or unreadable state means nothing to resume
+        }
+        return { version: '1.0.0', files: {} };
+    }
+
+    /**
+     * Update partial download state under the folder's write queue
+     * Pass null as the entry to remove a file once it completes
+     */
+    static async updatePartialState(downloadPath: string, fileName: string, entry: PartialDownloadEntry | null): Promise<void> {
+        const statePath = this.getPartialStatePath(downloadPath);
+        const previous = this.partialStateWrites.get(statePath) || Promise.resolve();
+
+        const write = previous.then(async () => {
+            const state = await this.loadPartialState(downloadPath);
+            if (entry) {
+                state.files[fileName] = { ...entry, updatedAt: new Date().toISOString() };
+            } else {
+                delete state.files[fileName];
+            }
+
+            if (Object.keys(state.files).length === 0) {
+                await fs.unlink(statePath).catch(() => {});
+                return;
+            }
+
+            // Write then rename so a crash mid-write never leaves a truncated state file
+            const tempPath = `${statePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+            await fs.rename(tempPath, statePath);
+        }).catch(error => {
+            OutputLogger.error(`[MANIFEST] ❌ Failed to save partial download state: ${(error as Error).message}`);
+        });
+
+        this.partialStateWrites.set(statePath, write);
+        await write;
+        if (this.partialStateWrites.get(statePath) === write) {
+            this.partialStateWrites.delete(statePath);
+        }
+    }
+
     /**
      * Load existing manifest or create new one
      */
@@ -0,0 +1,422 @@
+/**
+ * Operation Scheduler Module
+ * Runs start_deployment, complete_deployment and db_export at a future time
+ * The queue is persisted to disk and picked up again when the server restarts
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import OutputLogger from './output-logger';
+
+// Type definitions
+export type ScheduledOperationType = 'start_deployment' | 'complete_deployment' | 'db_export';
+
+export type ScheduleStatus = 'pending' | 'running' | 'succeeded' | 'failed' | 'cancelled' | 'missed';
+
+export interface ScheduledOperation {
+    scheduleId: string;
+    operation: ScheduledOperationType;
+    projectName: string;
+    environment: string | null;
+    runAt: string;
+    parameters: Record<string, any>;
+    status: ScheduleStatus;
+    note?: string;
+    createdAt: string;
+    updatedAt: string;
+    startedAt: string | null;
+    completedAt: string | null;
+    result: string | null;
+    error: string | null;
+}
+
+export interface ScheduleRequest {
+    operation: ScheduledOperationType;
+    runAt: Date;
+    projectName: string;
+    parameters: Record<string, any>;
+    note?: string;
+}
+
+/**
+ * Runs a tool with resolved arguments (wired to the MCP command handlers by the server)
+ */
+export type OperationExecutor = (operation: ScheduledOperationType, args: Record<string, any>) => Promise<any>;
+
+interface SchedulerOptions {
+    stateFile?: string;
+    checkInterval?: number;
+    maxLateMinutes?: number;
+    retentionDays?: number;
+}
+
+interface QueueFile {
+    version: number;
+    operations: ScheduledOperation[];
+}
+
+export const SCHEDULABLE_OPERATIONS: ScheduledOperationType[] = ['start_deployment', 'complete_deployment', 'db_export'];
+
+// Never written to the queue file - credentials are re-resolved from project config at run time
+const SECRET_PARAMETERS = ['apiKey', 'apiSecret', 'projectId', 'connectionString', 'isSelfHosted', 'projectType'];
+
+class OperationScheduler {
+    private options: Required<SchedulerOptions>;
+    private operations: Map<string, ScheduledOperation>;
+    private executor: OperationExecutor | null;
+    private interval: NodeJS.Timeout | null;
+    private running: Set<string>;
+
+    constructor(options: SchedulerOptions = {}) {
+        this.options = {
+            stateFile: options.stateFile || process.env.DXP_SCHEDULER_STATE_FILE ||
+                path.join(os.tmpdir(), '.optimizely-dxp-scheduler', 'scheduled-operations.json'),
+            checkInterval: options.checkInterval || 30 * 1000,
+            // Operations overdue by more than this (server was down) are marked missed instead of run
+            maxLateMinutes: options.maxLateMinutes || parseInt(process.env.DXP_SCHEDULER_MAX_LATE_MINUTES || '60', 10),
+            retentionDays: options.retentionDays || 7
+        };
+
+        this.operations = new Map();
+        this.executor = null;
+        this.interval = null;
+        this.running = new Set();
+    }
+
+    /**
+     * Load the persisted queue and start checking for due operations
+     * @param executor - Function that runs a tool with resolved arguments
+     * @throws Error when the queue file exists but cannot be read or moved aside
+     */
+    initialize(executor: OperationExecutor): number {
+        this.executor = executor;
+
+        for (const operation of this._load()) {
+            // An operation that was mid-run when the server stopped has an unknown outcome
+            if (operation.status === 'running') {
+                operation.status = 'failed';
+                operation.error = 'Server stopped while the operation was running - check its status manually';
+                operation.completedAt = new Date().toISOString();
+            }
+            this.operations.set(operation.scheduleId, operation);
+        }
+
+        this._prune();
+        this._save();
+
+        if (!this.interval) {
+            this.interval = setInterval(() => {
+                this._checkDue().catch(error => {
+                    OutputLogger.error(`Scheduler check failed: ${error.message}`);
+                });
+            }, this.options.checkInterval);
+
+            // Don't keep the process alive just for the scheduler
+            if (typeof this.interval.unref === 'function') {
+                this.interval.unref();
+            }
+        }
+
+        const pending = this.list({ status: 'pending' }).length;
+        if (pending > 0) {
+            OutputLogger.info(`⏰ ${pending} scheduled operation${pending > 1 ? 's' : ''} loaded from ${this.options.stateFile}`);
+        }
+
+        // Catch up on anything that came due while the server was down
+        this._checkDue().catch(error => {
+            OutputLogger.error(`Scheduler check failed: ${error.message}`);
+        });
+
+        return pending;
+    }
+
+    /**
+     * Add an operation to the queue
+     */
+    schedule(request: ScheduleRequest): ScheduledOperation {
+        if (!SCHEDULABLE_OPERATIONS.includes(request.operation)) {
+            throw new Error(`Cannot schedule ${request.operation}. Supported: ${SCHEDULABLE_OPERATIONS.join(', ')}`);
+        }
+        if (isNaN(request.runAt.getTime())) {
+            throw new Error('runAt is not a valid date');
+        }
+        if (request.runAt.getTime() < Date.now() - 60 * 1000) {
+            throw new Error(`runAt ${request.runAt.toISOString()} is in the past`);
+        }
+
+        const parameters: Record<string, any> = {};
+        for (const [key, value] of Object.entries(request.parameters || {})) {
+            if (!SECRET_PARAMETERS.includes(key) && value !== undefined) {
+                parameters[key] = value;
+            }
+        }
+
+        const now = new Date().toISOString();
+        const operation: ScheduledOperation = {
+            scheduleId: `sched-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+            operation: request.operation,
+            projectName: request.projectName,
+            environment: this.getTargetEnvironment(request.operation, parameters),
+            runAt: request.runAt.toISOString(),
+            parameters,
+            status: 'pending',
+            ...(request.note && { note: request.note }),
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            completedAt: null,
+            result: null,
+            error: null
+        };
+
+        this.operations.set(operation.scheduleId, operation);
+        this._save();
+
+        return operation;
+    }
+
+    /**
+     * Environment an operation acts on (null when it is only known at run time)
+     */
+    getTargetEnvironment(operation: ScheduledOperationType, parameters: Record<string, any>): string | null {
+        if (operation === 'start_deployment') {
+            return parameters.targetEnvironment || null;
+        }
+        if (operation === 'db_export') {
+            return parameters.environment || null;
+        }
+        return null;
+    }
+
+    /**
+     * Get a scheduled operation by ID
+     */
+    get(scheduleId: string): ScheduledOperation | null {
+        return this.operations.get(scheduleId) || null;
+    }
+
+    /**
+     * List scheduled operations, soonest first
+     */
+    list(filters: { status?: ScheduleStatus; projectName?: string } = {}): ScheduledOperation[] {
+        let operations = Array.from(this.operations.values());
+
+        if (filters.status) {
+            operations = operations.filter(op => op.status === filters.status);
+        }
+        if (filters.projectName) {
+            const projectName = filters.projectName.toLowerCase();
+            operations = operations.filter(op => op.projectName.toLowerCase() === projectName);
+        }
+
+        return operations.sort((a, b) => a.runAt.localeCompare(b.runAt));
+    }
+
+    /**
+     * Cancel a pending operation
+     */
+    cancel(scheduleId: string, reason: string = 'Cancelled by user'): ScheduledOperation {
+        const operation = this.operations.get(scheduleId);
+        if (!operation) {
+            throw new Error(`Scheduled operation not found: ${scheduleId}`);
+        }
+        if (operation.status !== 'pending') {
+            throw new Error(`Cannot cancel ${scheduleId}: status is ${operation.status}`);
+        }
+
+        operation.status = 'cancelled';
+        operation.error = reason;
+        operation.completedAt = new Date().toISOString();
+        operation.updatedAt = operation.completedAt;
+        this._save();
+
+        return operation;
+    }
+
+    /**
+     * Stop checking for due operations
+     */
+    stop(): void {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Run every pending operation whose time has come
+     * @private
+     */
+    private async _checkDue(): Promise<void> {
+        const now = Date.now();
+        const due = this.list({ status: 'pending' }).filter(op => new Date(op.runAt).getTime() <= now);
+
+        for (const operation of due) {
+            const lateMinutes = (now - new Date(operation.runAt).getTime()) / 60000;
+
+            if (lateMinutes > this.options.maxLateMinutes) {
+                operation.status = 'missed';
+                operation.error = `Not run: server was unavailable until ${Math.round(lateMinutes)} minutes after the scheduled time`;
+                operation.completedAt = new Date().toISOString();
+                operation.updatedAt = operation.completedAt;
+                this._save();
+                OutputLogger.warn(`⏰ Scheduled ${operation.operation} ${operation.scheduleId} missed (${Math.round(lateMinutes)} min late)`);
+                continue;
+            }
+
+            await this._run(operation);
+        }
+    }
+
+    /**
+     * Execute one operation through the tool handlers
+     * @private
+     */
+    private async _run(operation: ScheduledOperation): Promise<void> {
+        if (!this.executor || this.running.has(operation.scheduleId)) {
+            return;
+        }
+
+        this.running.add(operation.scheduleId);
+        operation.status = 'running';
+        operation.startedAt = new Date().toISOString();
+        operation.updatedAt = operation.startedAt;
+        this._save();
+
+        OutputLogger.info(`⏰ Running scheduled ${operation.operation} ${operation.scheduleId} for ${operation.projectName}`);
+
+        try {
+            const response = await this.executor(operation.operation, {
+                ...operation.parameters,
+                projectName: operation.projectName
+            });
+
+            const outcome = this.summarizeResponse(response);
+            operation.status = outcome.error ? 'failed' : 'succeeded';
+            operation.result = outcome.text;
+            operation.error = outcome.error;
+        } catch (error) {
+            operation.status = 'failed';
+            operation.error = (error as Error).message;
+        } finally {
+            this.running.delete(operation.scheduleId);
+        }
+
+        operation.completedAt = new Date().toISOString();
+        operation.updatedAt = operation.completedAt;
+        this._save();
+
+        if (operation.status === 'failed') {
+            OutputLogger.error(`Scheduled ${operation.operation} ${operation.scheduleId} failed: ${operation.error}`);
+        } else {
+            OutputLogger.success(`Scheduled ${operation.operation} ${operation.scheduleId} completed`);
+        }
+    }
+
+    /**
+     * Reduce a tool response to a short text and an error (if any)
+     */
+    summarizeResponse(response: any): { text: string | null; error: string | null } {
+        const truncate = (text: string) => text.length > 2000 ? `${text.substring(0, 2000)}…` : text;
+
+        if (!response) {
+            return { text: null, error: null };
+        }
+        if (response.error) {
+            return { text: null, error: truncate(String(response.error)) };
+        }
+        if (response.data && response.data.error) {
+            return { text: response.message ? truncate(response.message) : null, error: String(response.data.error) };
+        }
+
+        const text = response.message ||
+            response.result?.content?.[0]?.text ||
+            response.content?.[0]?.text ||
+            (typeof response === 'string' ? response : null);
+
+        return { text: text ? truncate(text) : null, error: null };
+    }
+
+    /**
+     * Drop finished operations older than the retention period
+     * @private
+     */
+    private _prune(): void {
+        const cutoff = Date.now() - this.options.retentionDays * 24 * 60 * 60 * 1000;
+        for (const [scheduleId, operation] of this.operations) {
+            if (operation.status !== 'pending' && operation.completedAt && new Date(operation.completedAt).getTime() < cutoff) {
+                this.operations.delete(scheduleId);
+            }
+        }
+    }
+
+    /**
+     * Persist the queue
+     * @private
+     */
+    private _save(): void {
+        try {
+            const dir = path.dirname(this.options.stateFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const content: QueueFile = {
+                version: 1,
+                operations: Array.from(this.operations.values())
+            };
+
+            // Write then rename so a crash mid-write never leaves a truncated queue
+            const tempFile = `${this.options.stateFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(content, null, 2), 'utf-8');
+            fs.renameSync(tempFile, this.options.stateFile);
+        } catch (error) {
+            OutputLogger.error(`Failed to save scheduled operations: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * Load the persisted queue
+     * A file that cannot be parsed is moved aside rather than overwritten, so its operations can be recovered.
+     * @throws Error when the file cannot be read or moved aside - the scheduler must not start over it
+     * @private
+     */
+    private _load(): ScheduledOperation[] {
+        const stateFile = this.options.stateFile;
+        if (!fs.existsSync(stateFile)) {
+            return [];
+        }
+
+        const raw = fs.readFileSync(stateFile, 'utf-8');
+        try {
+            const content = JSON.parse(raw) as QueueFile;
+            if (!content || !Array.isArray(content.operations)) {
+                throw new Error('expected an object with an "operations" array');
+            }
+            return content.operations;
+        } catch (error) {
+            const corruptFile = `${stateFile}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+            fs.renameSync(stateFile, corruptFile);
+            OutputLogger.error(`Failed to load scheduled operations: ${(error as Error).message}. The file was moved to ${corruptFile} - no scheduled operations were loaded`);
+            return [];
+        }
+    }
+}
+
+// Global instance
+let globalScheduler: OperationScheduler | null = null;
+
+/**
+ * Get global operation scheduler instance
+ * @returns Global scheduler
+ */
+function getGlobalScheduler(): OperationScheduler {
+    if (!globalScheduler) {
+        globalScheduler = new OperationScheduler();
+    }
+    return globalScheduler;
+}
+
+export { OperationScheduler, getGlobalScheduler };
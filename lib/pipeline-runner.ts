@@ -0,0 +1,956 @@
+/**
+ * Pipeline Runner Module
+ * Promotes a build through Integration → Preproduction → Production as one tracked operation
+ * Each stage deploys, waits for verification, runs the compare_logs gate and then
+ * completes or resets the deployment. State is persisted so pipelines survive restarts.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import DXPRestClient from './dxp-rest-client';
+import OutputLogger from './output-logger';
+import { EVENT_TYPES } from './events/event-types';
+import PipelineResourceHandler, { PipelineSnapshot } from './resources/pipeline-resource';
+import { DEPLOYMENT_STATUS, isAwaitingVerification, isFailed, isReset } from './deployment-status-constants';
+import { getGlobalWebhookManager } from './webhooks/webhook-manager';
+import { WebhookFormat } from './webhooks/webhook-formatter';
+import DeploymentValidator from './deployment-validator';
+import { AutoVerifier } from './auto-verifier';
+
+// Type definitions
+export type PipelineStatus = 'running' | 'awaitingApproval' | 'succeeded' | 'failed' | 'cancelled';
+
+export type StageStatus =
+    'pending' | 'deploying' | 'verifying' | 'awaitingApproval' | 'completing' | 'resetting' |
+    'succeeded' | 'failed' | 'reset' | 'cancelled';
+
+export type GateAction = 'complete' | 'reset' | 'pause';
+
+export interface GateOptions {
+    enabled: boolean;
+    logType: 'web' | 'application';
+    minutesBack: number;
+    delayMinutes: number;
+    thresholds: {
+        maxErrorIncrease?: number;
+        maxScoreDecrease?: number;
+        maxLatencyIncrease?: number;
+    };
+    onWarning: GateAction;
+    onCritical: GateAction;
+}
+
+export interface GateResult {
+    decision: 'safe' | 'warning' | 'critical' | 'error';
+    recommendation: string;
+    action: GateAction;
+    reasons: string[];
+    comparison: any;
+    evaluatedAt: string;
+}
+
+export interface PipelineStage {
+    index: number;
+    name: string;
+    sourceEnvironment: string | null;
+    targetEnvironment: string;
+    packages?: string[];
+    status: StageStatus;
+    deploymentId: string | null;
+    deploymentStatus: string | null;
+    slotUrl: string | null;
+    startedAt: string | null;
+    verificationStartedAt: string | null;
+    completedAt: string | null;
+    gate: GateResult | null;
+    blockedUntil?: string | null;
+    error: string | null;
+}
+
+export interface PipelineState {
+    pipelineId: string;
+    projectId: string;
+    projectName: string;
+    status: PipelineStatus;
+    currentStage: number;
+    stages: PipelineStage[];
+    options: {
+        sourceApps: string[];
+        useMaintenancePage: boolean;
+        pollInterval: number;
+        gate: GateOptions;
+    };
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+    consecutiveErrors: number;
+    createdAt: string;
+    updatedAt: string;
+    completedAt: string | null;
+    error: string | null;
+}
+
+export interface PipelineCredentials {
+    projectId: string;
+    apiKey: string;
+    apiSecret: string;
+    projectName?: string;
+}
+
+export interface CreatePipelineOptions {
+    credentials: PipelineCredentials;
+    sourceEnvironment?: string;
+    targetEnvironment?: string;
+    packages?: string[];
+    sourceApps?: string[];
+    useMaintenancePage?: boolean;
+    pollInterval?: number;
+    gate?: Partial<GateOptions>;
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+}
+
+interface PipelineRunnerOptions {
+    stateDir?: string;
+    maxConsecutiveErrors?: number;
+    debug?: boolean;
+}
+
+export const PIPELINE_ENVIRONMENTS = ['Integration', 'Preproduction', 'Production'];
+
+const TERMINAL_STATUSES: PipelineStatus[] = ['succeeded', 'failed', 'cancelled'];
+
+class PipelineRunner {
+    private options: Required<PipelineRunnerOptions>;
+    private pipelines: Map<string, PipelineState>;
+    private credentials: Map<string, PipelineCredentials>;
+    private timers: Map<string, NodeJS.Timeout>;
+    private running: Set<string>;
+    private initialized: boolean;
+
+    constructor(options: PipelineRunnerOptions = {}) {
+        this.options = {
+            stateDir: options.stateDir || process.env.DXP_PIPELINE_STATE_DIR || path.join(os.tmpdir(), '.optimizely-dxp-pipelines'),
+            // Give up after this many API failures in a row
+            maxConsecutiveErrors: options.maxConsecutiveErrors || 5,
+            debug: options.debug || process.env.DEBUG === 'true'
+        };
+
+        this.pipelines = new Map();
+
+        // Credentials are kept in memory only - on restart they are re-resolved from project config
+        this.credentials = new Map();
+
+        this.timers = new Map();
+        this.running = new Set();
+        this.initialized = false;
+    }
+
+    /**
+     * Load persisted pipelines and resume the ones that were still running
+     * @returns Number of pipelines resumed
+     */
+    initialize(): number {
+        if (this.initialized) {
+            return 0;
+        }
+        this.initialized = true;
+
+        let resumed = 0;
+        for (const pipeline of this._loadAll()) {
+            this.pipelines.set(pipeline.pipelineId, pipeline);
+
+            if (TERMINAL_STATUSES.includes(pipeline.status)) {
+                continue;
+            }
+
+            if (pipeline.webhookUrl) {
+                this._registerWebhook(pipeline);
+            }
+
+            PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_RESUMED, this.toSnapshot(pipeline), {
+                reason: 'server_restart'
+            });
+
+            // Pipelines waiting for approval stay parked until approve() is called
+            if (pipeline.status === 'running') {
+                this._schedule(pipeline.pipelineId, 5000);
+            }
+            resumed++;
+        }
+
+        if (resumed > 0) {
+            OutputLogger.info(`🔁 Resumed ${resumed} deployment pipeline${resumed > 1 ? 's' : ''} from ${this.options.stateDir}`);
+        }
+
+        return resumed;
+    }
+
+    /**
+     * Create and start a new pipeline
+     */
+    createPipeline(config: CreatePipelineOptions): PipelineState {
+        const sourceEnvironment = config.sourceEnvironment || 'Integration';
+        const targetEnvironment = config.targetEnvironment || 'Production';
+        const stages = this.buildStages(sourceEnvironment, targetEnvironment, config.packages);
+
+        const now = new Date().toISOString();
+        const pipeline: PipelineState = {
+            pipelineId: `pipeline-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+            projectId: config.credentials.projectId,
+            projectName: config.credentials.projectName || 'Unknown',
+            status: 'running',
+            currentStage: 0,
+            stages,
+            options: {
+                sourceApps: config.sourceApps && config.sourceApps.length > 0 ? config.sourceApps : ['cms'],
+                useMaintenancePage: config.useMaintenancePage === true,
+                pollInterval: Math.max(10, config.pollInterval || 60) * 1000,
+                gate: {
+                    enabled: config.gate?.enabled !== false,
+                    logType: config.gate?.logType || 'web',
+                    minutesBack: config.gate?.minutesBack || 30,
+                    delayMinutes: config.gate?.delayMinutes ?? 5,
+                    thresholds: config.gate?.thresholds || {},
+                    onWarning: config.gate?.onWarning || 'pause',
+                    onCritical: config.gate?.onCritical || 'reset'
+                }
+            },
+            webhookUrl: config.webhookUrl,
+            webhookHeaders: config.webhookHeaders,
+            webhookFormat: config.webhookFormat,
+            consecutiveErrors: 0,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null,
+            error: null
+        };
+
+        this.pipelines.set(pipeline.pipelineId, pipeline);
+        this.credentials.set(pipeline.pipelineId, config.credentials);
+        this._save(pipeline);
+
+        if (pipeline.webhookUrl) {
+            this._registerWebhook(pipeline);
+        }
+
+        PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_STARTED, this.toSnapshot(pipeline));
+
+        this._schedule(pipeline.pipelineId, 0);
+        return pipeline;
+    }
+
+    /**
+     * Build the ordered stage list for a promotion path
+     * A leading package stage deploys uploaded packages to Integration first.
+     */
+    buildStages(sourceEnvironment: string, targetEnvironment: string, packages?: string[]): PipelineStage[] {
+        const sourceIndex = PIPELINE_ENVIRONMENTS.indexOf(sourceEnvironment);
+        const targetIndex = PIPELINE_ENVIRONMENTS.indexOf(targetEnvironment);
+
+        if (sourceIndex === -1 || targetIndex === -1) {
+            throw new Error(`Pipelines run between ${PIPELINE_ENVIRONMENTS.join(', ')}`);
+        }
+
+        const hasPackages = packages && packages.length > 0;
+        if (hasPackages && sourceIndex !== 0) {
+            throw new Error('Package pipelines must start from Integration');
+        }
+        if (targetIndex <= sourceIndex && !hasPackages) {
+            throw new Error(`Pipelines only promote upward. ${sourceEnvironment} → ${targetEnvironment} is not a valid path.`);
+        }
+
+        const stages: PipelineStage[] = [];
+        const addStage = (source: string | null, target: string, stagePackages?: string[]) => {
+            stages.push({
+                index: stages.length,
+                name: source ? `${source} → ${target}` : `Packages → ${target}`,
+                sourceEnvironment: source,
+                targetEnvironment: target,
+                ...(stagePackages && { packages: stagePackages }),
+                status: 'pending',
+                deploymentId: null,
+                deploymentStatus: null,
+                slotUrl: null,
+                startedAt: null,
+                verificationStartedAt: null,
+                completedAt: null,
+                gate: null,
+                error: null
+            });
+        };
+
+        if (hasPackages) {
+            addStage(null, PIPELINE_ENVIRONMENTS[0], packages);
+        }
+        for (let i = sourceIndex; i < targetIndex; i++) {
+            addStage(PIPELINE_ENVIRONMENTS[i], PIPELINE_ENVIRONMENTS[i + 1]);
+        }
+
+        return stages;
+    }
+
+    /**
+     * Get a pipeline by ID
+     */
+    getPipeline(pipelineId: string): PipelineState | null {
+        return this.pipelines.get(pipelineId) || null;
+    }
+
+    /**
+     * List known pipelines, newest first
+     */
+    listPipelines(filters: { activeOnly?: boolean; projectName?: string } = {}): PipelineState[] {
+        let pipelines = Array.from(this.pipelines.values());
+
+        if (filters.activeOnly) {
+            pipelines = pipelines.filter(p => !TERMINAL_STATUSES.includes(p.status));
+        }
+        if (filters.projectName) {
+            pipelines = pipelines.filter(p => p.projectName === filters.projectName);
+        }
+
+        return pipelines.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Resolve a paused stage with an explicit decision
+     * @param action - 'complete' to promote, 'reset' to roll back
+     */
+    async approve(pipelineId: string, action: 'complete' | 'reset', credentials?: PipelineCredentials): Promise<PipelineState> {
+        const pipeline = this._require(pipelineId);
+        const stage = pipeline.stages[pipeline.currentStage];
+
+        if (pipeline.status !== 'awaitingApproval' || !stage || stage.status !== 'awaitingApproval') {
+            throw new Error(`Pipeline ${pipelineId} is not waiting for approval (status: ${pipeline.status})`);
+        }
+
+        if (action === 'complete') {
+            const timing = DeploymentValidator.validateDeploymentTiming({
+                targetEnvironment: stage.targetEnvironment,
+                projectName: pipeline.projectName
+            });
+            if (!timing.valid) {
+                throw new Error(`${timing.error}. ${timing.suggestion}`);
+            }
+        }
+
+        if (credentials) {
+            this.credentials.set(pipelineId, credentials);
+        }
+        const creds = this._resolveCredentials(pipeline);
+
+        // Act on the deployment first: if the API call fails the stage stays awaiting approval
+        // and approve() can be retried
+        await this._applyGateAction(pipeline, stage, action, creds);
+
+        pipeline.status = 'running';
+        this._touch(pipeline);
+        PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_RESUMED, this.toSnapshot(pipeline), {
+            reason: 'approved',
+            action
+        });
+
+        this._schedule(pipelineId, pipeline.options.pollInterval);
+        return pipeline;
+    }
+
+    /**
+     * Cancel a pipeline
+     * The in-flight deployment (if any) is left as-is so it can be inspected or reset manually.
+     */
+    cancel(pipelineId: string, reason: string = 'Cancelled by user'): PipelineState {
+        const pipeline = this._require(pipelineId);
+
+        if (TERMINAL_STATUSES.includes(pipeline.status)) {
+            throw new Error(`Pipeline ${pipelineId} already ${pipeline.status}`);
+        }
+
+        this._clearTimer(pipelineId);
+
+        const stage = pipeline.stages[pipeline.currentStage];
+        if (stage && !['succeeded', 'failed', 'reset'].includes(stage.status)) {
+            stage.status = 'cancelled';
+            stage.completedAt = new Date().toISOString();
+        }
+
+        pipeline.status = 'cancelled';
+        pipeline.error = reason;
+        pipeline.completedAt = new Date().toISOString();
+        this._touch(pipeline);
+
+        PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_CANCELLED, this.toSnapshot(pipeline), { reason });
+        return pipeline;
+    }
+
+    /**
+     * Public view of a pipeline (no credentials or webhook headers)
+     */
+    toSnapshot(pipeline: PipelineState): PipelineSnapshot {
+        const { webhookHeaders, ...rest } = pipeline;
+        return JSON.parse(JSON.stringify(rest));
+    }
+
+    /**
+     * Stop all timers (used on shutdown and in tests)
+     */
+    stopAll(): void {
+        for (const pipelineId of Array.from(this.timers.keys())) {
+            this._clearTimer(pipelineId);
+        }
+    }
+
+    /**
+     * Schedule the next step for a pipeline
+     * @private
+     */
+    private _schedule(pipelineId: string, delay: number): void {
+        this._clearTimer(pipelineId);
+
+        const timer = setTimeout(async () => {
+            this.timers.delete(pipelineId);
+            await this._tick(pipelineId);
+        }, delay);
+
+        // Don't keep the process alive just for pipeline polling
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+
+        this.timers.set(pipelineId, timer);
+    }
+
+    /**
+     * Clear a scheduled step
+     * @private
+     */
+    private _clearTimer(pipelineId: string): void {
+        const timer = this.timers.get(pipelineId);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(pipelineId);
+        }
+    }
+
+    /**
+     * Run one step of the pipeline state machine
+     * @private
+     */
+    private async _tick(pipelineId: string): Promise<void> {
+        const pipeline = this.pipelines.get(pipelineId);
+        if (!pipeline || pipeline.status !== 'running' || this.running.has(pipelineId)) {
+            return;
+        }
+
+        this.running.add(pipelineId);
+        let delay = pipeline.options.pollInterval;
+
+        try {
+            const credentials = this._resolveCredentials(pipeline);
+            delay = await this._advance(pipeline, credentials);
+            pipeline.consecutiveErrors = 0;
+        } catch (error) {
+            pipeline.consecutiveErrors++;
+            const message = (error as Error).message;
+            OutputLogger.error(`Pipeline ${pipelineId} step failed (${pipeline.consecutiveErrors}/${this.options.maxConsecutiveErrors}): ${message}`);
+
+            if (pipeline.consecutiveErrors >= this.options.maxConsecutiveErrors) {
+                this._failPipeline(pipeline, `Giving up after ${pipeline.consecutiveErrors} consecutive errors: ${message}`);
+            }
+        } finally {
+            this.running.delete(pipelineId);
+        }
+
+        this._touch(pipeline);
+
+        if (pipeline.status === 'running') {
+            this._schedule(pipelineId, delay);
+        }
+    }
+
+    /**
+     * Advance the current stage
+     * @returns Delay in ms until the next step
+     * @private
+     */
+    private async _advance(pipeline: PipelineState, credentials: PipelineCredentials): Promise<number> {
+        const stage = pipeline.stages[pipeline.currentStage];
+        const pollInterval = pipeline.options.pollInterval;
+
+        switch (stage.status) {
+            case 'pending': {
+                const wait = this._maintenanceWindowDelay(pipeline, stage);
+                if (wait > 0) {
+                    return wait;
+                }
+                await this._startStage(pipeline, stage, credentials);
+                return pollInterval;
+            }
+
+            case 'deploying':
+            case 'completing':
+            case 'resetting':
+                return this._pollStage(pipeline, stage, credentials);
+
+            case 'verifying': {
+                // Gate runs when the window opens so it samples fresh logs right before completing
+                const wait = this._maintenanceWindowDelay(pipeline, stage);
+                if (wait > 0) {
+                    return wait;
+                }
+                return this._verifyStage(pipeline, stage, credentials);
+            }
+
+            default:
+                return pollInterval;
+        }
+    }
+
+    /**
+     * Time to wait before the stage may start or complete under the project's maintenance windows
+     * @returns Delay in ms (0 when allowed now)
+     * @private
+     */
+    private _maintenanceWindowDelay(pipeline: PipelineState, stage: PipelineStage): number {
+        const timing = DeploymentValidator.validateDeploymentTiming({
+            targetEnvironment: stage.targetEnvironment,
+            projectName: pipeline.projectName
+        });
+
+        if (timing.valid) {
+            stage.blockedUntil = null;
+            return 0;
+        }
+
+        const nextAllowed = timing.window && timing.window.nextAllowedTime;
+        if (stage.blockedUntil !== (nextAllowed || null)) {
+            stage.blockedUntil = nextAllowed || null;
+            OutputLogger.info(`⏸️ Pipeline ${pipeline.pipelineId}: ${stage.name} waiting for maintenance window (${timing.window?.reason})`);
+        }
+
+        // Re-check at least hourly in case the window configuration changes
+        const untilAllowed = nextAllowed ? new Date(nextAllowed).getTime() - Date.now() : Infinity;
+        return Math.max(pipeline.options.pollInterval, Math.min(untilAllowed, 60 * 60 * 1000));
+    }
+
+    /**
+     * Start the deployment for a stage
+     * @private
+     */
+    private async _startStage(pipeline: PipelineState, stage: PipelineStage, credentials: PipelineCredentials): Promise<void> {
+        // Based on EpiCloud.psm1 Start-EpiDeployment parameter sets (lowercase per PowerShell source)
+        const deploymentParams: any = { targetEnvironment: stage.targetEnvironment };
+
+        if (stage.packages) {
+            deploymentParams.packages = stage.packages;
+        } else {
+            deploymentParams.sourceEnvironment = stage.sourceEnvironment;
+            deploymentParams.sourceApps = pipeline.options.sourceApps;
+        }
+        if (pipeline.options.useMaintenancePage) {
+            deploymentParams.maintenancePage = true;
+        }
+
+        OutputLogger.info(`🚀 Pipeline ${pipeline.pipelineId}: starting stage ${stage.index + 1}/${pipeline.stages.length} (${stage.name})`);
+
+        const result = await DXPRestClient.startDeployment(
+            credentials.projectId,
+            credentials.apiKey,
+            credentials.apiSecret,
+            deploymentParams
+        );
+
+        if (!result || !result.id) {
+            throw new Error(`DXP API did not return a deployment ID for ${stage.name}`);
+        }
+
+        stage.status = 'deploying';
+        stage.deploymentId = result.id;
+        stage.deploymentStatus = result.status || DEPLOYMENT_STATUS.IN_PROGRESS;
+        stage.startedAt = new Date().toISOString();
+        this._touch(pipeline);
+
+        // Stage deployments are regular deployments too - deployment://{id} resources and monitoring
+        const DeploymentActionOperations = require('./tools/deployment/deployment-actions').default;
+        DeploymentActionOperations.trackStartedDeployment(result.id, {
+            tool: 'start_pipeline',
+            projectId: credentials.projectId,
+            projectName: pipeline.projectName,
+            apiKey: credentials.apiKey,
+            apiSecret: credentials.apiSecret,
+            sourceEnvironment: stage.sourceEnvironment || undefined,
+            targetEnvironment: stage.targetEnvironment,
+            deploymentType: stage.packages ? 'package' : 'code',
+            packages: stage.packages,
+            status: stage.deploymentStatus || undefined
+        });
+
+        PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_STAGE_STARTED, this.toSnapshot(pipeline), {
+            stage: stage.index,
+            deploymentId: stage.deploymentId
+        });
+    }
+
+    /**
+     * Poll the stage deployment and react to status changes
+     * @private
+     */
+    private async _pollStage(pipeline: PipelineState, stage: PipelineStage, credentials: PipelineCredentials): Promise<number> {
+        const result = await DXPRestClient.getDeployments(
+            credentials.projectId,
+            credentials.apiKey,
+            credentials.apiSecret,
+            stage.deploymentId!
+        );
+
+        const status: string = (result && (result.status || result.Status)) || 'Unknown';
+        stage.deploymentStatus = status;
+
+        if (isFailed(status)) {
+            const error = result.errorMessage || result.ErrorMessage || `Deployment ${stage.deploymentId} failed`;
+            this._failStage(pipeline, stage, error);
+            return 0;
+        }
+
+        if (stage.status === 'resetting') {
+            if (status === DEPLOYMENT_STATUS.RESET || (isReset(status) && !status.toLowerCase().includes('resetting'))) {
+                stage.status = 'reset';
+                stage.completedAt = new Date().toISOString();
+                PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_STAGE_FAILED, this.toSnapshot(pipeline), {
+                    stage: stage.index,
+                    deploymentId: stage.deploymentId,
+                    reason: 'reset'
+                });
+                this._failPipeline(pipeline, stage.error || `Stage ${stage.name} was reset`);
+            }
+            return pipeline.options.pollInterval;
+        }
+
+        if (stage.status === 'deploying' && isAwaitingVerification(status)) {
+            stage.status = 'verifying';
+            stage.slotUrl = result.deploymentSlotUrl || result.DeploymentSlotUrl || null;
+            stage.verificationStartedAt = new Date().toISOString();
+
+            PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_STAGE_AWAITING_VERIFICATION, this.toSnapshot(pipeline), {
+                stage: stage.index,
+                deploymentId: stage.deploymentId,
+                slotUrl: stage.slotUrl
+            });
+
+            // Give the slot time to receive verification traffic before sampling logs
+            return pipeline.options.gate.enabled ? pipeline.options.gate.delayMinutes * 60 * 1000 : 0;
+        }
+
+        if (status === DEPLOYMENT_STATUS.SUCCEEDED) {
+            this._succeedStage(pipeline, stage);
+            return 0;
+        }
+
+        return pipeline.options.pollInterval;
+    }
+
+    /**
+     * Run the log comparison gate and act on it
+     * @private
+     */
+    private async _verifyStage(pipeline: PipelineState, stage: PipelineStage, credentials: PipelineCredentials): Promise<number> {
+        const gateOptions = pipeline.options.gate;
+        let gate: GateResult;
+
+        if (!gateOptions.enabled) {
+            gate = {
+                decision: 'safe',
+                recommendation: 'proceed',
+                action: 'complete',
+                reasons: ['Log gate disabled for this pipeline'],
+                comparison: null,
+                evaluatedAt: new Date().toISOString()
+            };
+        } else {
+            gate = await this.evaluateGate(stage.targetEnvironment, credentials, gateOptions);
+        }
+
+        stage.gate = gate;
+        this._touch(pipeline);
+
+        PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_STAGE_GATE_EVALUATED, this.toSnapshot(pipeline), {
+            stage: stage.index,
+            deploymentId: stage.deploymentId,
+            decision: gate.decision,
+            action: gate.action
+        });
+
+        await this._applyGateAction(pipeline, stage, gate.action, credentials);
+        return pipeline.options.pollInterval;
+    }
+
+    /**
+     * Compare production (baseline) and slot logs for an environment
+     */
+    async evaluateGate(environment: string, credentials: PipelineCredentials, gateOptions: GateOptions): Promise<GateResult> {
+        const evaluation = await AutoVerifier.evaluate(environment, credentials, {
+            logType: gateOptions.logType,
+            sampleMinutes: gateOptions.minutesBack,
+            thresholds: gateOptions.thresholds
+        });
+
+        // A gate that cannot run is treated like a warning - never auto-complete blind
+        let action: GateAction;
+        if (evaluation.decision === 'safe') {
+            action = 'complete';
+        } else if (evaluation.decision === 'critical') {
+            action = gateOptions.onCritical;
+        } else {
+            const blind = evaluation.decision === 'error' || evaluation.insufficientData;
+            action = blind && gateOptions.onWarning === 'complete' ? 'pause' : gateOptions.onWarning;
+        }
+
+        return {
+            decision: evaluation.decision,
+            recommendation: evaluation.recommendation,
+            action,
+            reasons: evaluation.reasons,
+            comparison: evaluation.comparison,
+            evaluatedAt: evaluation.evaluatedAt
+        };
+    }
+
+    /**
+     * Complete, reset or park the stage deployment
+     * @private
+     */
+    private async _applyGateAction(
+        pipeline: PipelineState,
+        stage: PipelineStage,
+        action: GateAction,
+        credentials: PipelineCredentials
+    ): Promise<void> {
+        if (action === 'pause') {
+            stage.status = 'awaitingApproval';
+            pipeline.status = 'awaitingApproval';
+            PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_AWAITING_APPROVAL, this.toSnapshot(pipeline), {
+                stage: stage.index,
+                deploymentId: stage.deploymentId,
+                slotUrl: stage.slotUrl
+            });
+            return;
+        }
+
+        if (action === 'complete') {
+            OutputLogger.info(`✅ Pipeline ${pipeline.pipelineId}: completing ${stage.name} (${stage.deploymentId})`);
+            await DXPRestClient.completeDeployment(
+                credentials.projectId,
+                credentials.apiKey,
+                credentials.apiSecret,
+                stage.deploymentId!
+            );
+            stage.status = 'completing';
+            return;
+        }
+
+        OutputLogger.warn(`⏪ Pipeline ${pipeline.pipelineId}: resetting ${stage.name} (${stage.deploymentId})`);
+        await DXPRestClient.resetDeployment(
+            credentials.projectId,
+            credentials.apiKey,
+            credentials.apiSecret,
+            stage.deploymentId!
+        );
+        stage.status = 'resetting';
+        stage.error = stage.gate && stage.gate.reasons.length > 0
+            ? `Gate rejected ${stage.name}: ${stage.gate.reasons.join('; ')}`
+            : `Stage ${stage.name} was reset`;
+    }
+
+    /**
+     * Mark the current stage succeeded and move on
+     * @private
+     */
+    private _succeedStage(pipeline: PipelineState, stage: PipelineStage): void {
+        stage.status = 'succeeded';
+        stage.completedAt = new Date().toISOString();
+
+        PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_STAGE_SUCCEEDED, this.toSnapshot(pipeline), {
+            stage: stage.index,
+            deploymentId: stage.deploymentId
+        });
+
+        if (stage.index >= pipeline.stages.length - 1) {
+            pipeline.status = 'succeeded';
+            pipeline.completedAt = new Date().toISOString();
+            this._touch(pipeline);
+            PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_SUCCEEDED, this.toSnapshot(pipeline));
+            OutputLogger.success(`🏁 Pipeline ${pipeline.pipelineId} succeeded`);
+            return;
+        }
+
+        pipeline.currentStage++;
+    }
+
+    /**
+     * Mark the current stage failed and stop the pipeline
+     * @private
+     */
+    private _failStage(pipeline: PipelineState, stage: PipelineStage, error: string): void {
+        stage.status = 'failed';
+        stage.error = error;
+        stage.completedAt = new Date().toISOString();
+
+        PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_STAGE_FAILED, this.toSnapshot(pipeline), {
+            stage: stage.index,
+            deploymentId: stage.deploymentId,
+            error
+        });
+
+        this._failPipeline(pipeline, `${stage.name} failed: ${error}`);
+    }
+
+    /**
+     * Mark the pipeline failed
+     * @private
+     */
+    private _failPipeline(pipeline: PipelineState, error: string): void {
+        this._clearTimer(pipeline.pipelineId);
+        pipeline.status = 'failed';
+        pipeline.error = error;
+        pipeline.completedAt = new Date().toISOString();
+        this._touch(pipeline);
+
+        PipelineResourceHandler.emit(EVENT_TYPES.PIPELINE_FAILED, this.toSnapshot(pipeline), { error });
+        OutputLogger.error(`❌ Pipeline ${pipeline.pipelineId} failed: ${error}`);
+    }
+
+    /**
+     * Get credentials for a pipeline, re-resolving from project config after a restart
+     * @private
+     */
+    private _resolveCredentials(pipeline: PipelineState): PipelineCredentials {
+        const cached = this.credentials.get(pipeline.pipelineId);
+        if (cached) {
+            return cached;
+        }
+
+        const ProjectTools = require('./tools/project-tools').default;
+        const project = ProjectTools.getConfiguredProjects().find((p: any) =>
+            p.projectId === pipeline.projectId || p.name === pipeline.projectName
+        );
+
+        if (!project || !project.apiKey || !project.apiSecret) {
+            throw new Error(`No credentials configured for project ${pipeline.projectName} (${pipeline.projectId})`);
+        }
+
+        const credentials = {
+            projectId: project.projectId,
+            apiKey: project.apiKey,
+            apiSecret: project.apiSecret,
+            projectName: project.name
+        };
+        this.credentials.set(pipeline.pipelineId, credentials);
+        return credentials;
+    }
+
+    /**
+     * Register the pipeline webhook (pipeline events use the pipeline ID as operationId)
+     * @private
+     */
+    private _registerWebhook(pipeline: PipelineState): void {
+        try {
+            const result = getGlobalWebhookManager().register(pipeline.pipelineId, pipeline.webhookUrl!, {
+                headers: pipeline.webhookHeaders || {},
+                project: pipeline.projectName,
+                format: pipeline.webhookFormat
+            });
+            if (!result.success) {
+                OutputLogger.warn(`⚠️ Webhook registration failed for ${pipeline.pipelineId}: ${result.error}`);
+            }
+        } catch (error) {
+            OutputLogger.error(`Failed to register pipeline webhook: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * Get a pipeline or throw
+     * @private
+     */
+    private _require(pipelineId: string): PipelineState {
+        const pipeline = this.pipelines.get(pipelineId);
+        if (!pipeline) {
+            throw new Error(`Pipeline not found: ${pipelineId}`);
+        }
+        return pipeline;
+    }
+
+    /**
+     * Update timestamp and persist
+     * @private
+     */
+    private _touch(pipeline: PipelineState): void {
+        pipeline.updatedAt = new Date().toISOString();
+        this._save(pipeline);
+    }
+
+    /**
+     * Persist pipeline state to disk
+     * @private
+     */
+    private _save(pipeline: PipelineState): void {
+        try {
+            if (!fs.existsSync(this.options.stateDir)) {
+                fs.mkdirSync(this.options.stateDir, { recursive: true });
+            }
+
+            // Webhook headers may carry auth tokens - keep the file private
+            const stateFile = path.join(this.options.stateDir, `${pipeline.pipelineId}.json`);
+            fs.writeFileSync(stateFile, JSON.stringify(pipeline, null, 2), { encoding: 'utf-8', mode: 0o600 });
+        } catch (error) {
+            OutputLogger.error(`Failed to save pipeline state: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * Load all persisted pipelines
+     * @private
+     */
+    private _loadAll(): PipelineState[] {
+        try {
+            if (!fs.existsSync(this.options.stateDir)) {
+                return [];
+            }
+
+            const pipelines: PipelineState[] = [];
+            for (const file of fs.readdirSync(this.options.stateDir)) {
+                if (!file.endsWith('.json')) {
+                    continue;
+                }
+                try {
+                    const content = fs.readFileSync(path.join(this.options.stateDir, file), 'utf-8');
+                    pipelines.push(JSON.parse(content) as PipelineState);
+                } catch (error) {
+                    OutputLogger.warn(`Skipping unreadable pipeline state ${file}: ${(error as Error).message}`);
+                }
+            }
+            return pipelines;
+        } catch (error) {
+            OutputLogger.error(`Failed to load pipeline state: ${(error as Error).message}`);
+            return [];
+        }
+    }
+}
+
+// Global instance
+let globalRunner: PipelineRunner | null = null;
+
+/**
+ * Get global pipeline runner instance
+ * @returns Global runner
+ */
+function getGlobalPipelineRunner(): PipelineRunner {
+    if (!globalRunner) {
+        globalRunner = new PipelineRunner();
+    }
+    return globalRunner;
+}
+
+export { PipelineRunner, getGlobalPipelineRunner };
@@ -0,0 +1,111 @@
+/**
+ * Project Settings File Module
+ * Reads optional JSON settings files with a "default" block and per-project overrides
+ * Used by maintenance windows and auto-verification policies
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import OutputLogger from './output-logger';
+
+// Type definitions
+export interface SettingsFileContent<T> {
+    default?: T;
+    projects?: Record<string, T>;
+}
+
+class ProjectSettingsFile<T extends object> {
+    private envVar: string;
+    private fileName: string;
+    private cache: { file: string; mtimeMs: number; content: SettingsFileContent<T> } | null;
+
+    /**
+     * @param envVar - Environment variable that overrides the file location
+     * @param fileName - File name under ~/.optimizely-dxp/
+     */
+    constructor(envVar: string, fileName: string) {
+        this.envVar = envVar;
+        this.fileName = fileName;
+        this.cache = null;
+    }
+
+    /**
+     * Path of the settings file
+     */
+    getPath(): string {
+        return process.env[this.envVar] || path.join(os.homedir(), '.optimizely-dxp', this.fileName);
+    }
+
+    /**
+     * Effective settings for a project ("default" merged with the project block, key by key)
+     * Project names match case-insensitively.
+     * @param projectName - Project whose block applies
+     * @param strict - Throw when the file exists but cannot be read or parsed, instead of
+     *                 treating it as absent (for settings that must fail closed)
+     * @returns Settings, or null when neither a default nor a project block exists
+     * @throws Error with code INVALID_SETTINGS_FILE (strict only)
+     */
+    getProjectSettings(projectName?: string, strict: boolean = false): T | null {
+        const content = strict ? this.read() : this.load();
+        if (!content) {
+            return null;
+        }
+
+        const projects = content.projects || {};
+        const projectKey = projectName
+            ? Object.keys(projects).find(name => name.toLowerCase() === projectName.toLowerCase())
+            : undefined;
+
+        if (!content.default && !projectKey) {
+            return null;
+        }
+
+        return { ...(content.default || {}), ...(projectKey ? projects[projectKey] : {}) } as T;
+    }
+
+    /**
+     * Load the file, re-reading it when it changes on disk
+     * An unreadable or malformed file is logged and treated as absent.
+     */
+    load(): SettingsFileContent<T> | null {
+        try {
+            return this.read();
+        } catch (error: any) {
+            OutputLogger.error(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Load the file, re-reading it when it changes on disk
+     * @returns File content, or null when the file does not exist
+     * @throws Error with code INVALID_SETTINGS_FILE when the file cannot be read or is not a JSON object
+     */
+    read(): SettingsFileContent<T> | null {
+        const file = this.getPath();
+
+        try {
+            const stats = fs.statSync(file);
+            if (this.cache && this.cache.file === file && this.cache.mtimeMs === stats.mtimeMs) {
+                return this.cache.content;
+            }
+
+            const content = JSON.parse(fs.readFileSync(file, 'utf-8')) as SettingsFileContent<T>;
+            if (!content || typeof content !== 'object' || Array.isArray(content)) {
+                throw new Error('expected a JSON object');
+            }
+            this.cache = { file, mtimeMs: stats.mtimeMs, content };
+            return content;
+        } catch (error: any) {
+            this.cache = null;
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw Object.assign(new Error(`Failed to read settings file ${file}: ${error.message}`), { code: 'INVALID_SETTINGS_FILE', file });
+        }
+    }
+}
+
+export default ProjectSettingsFile;
@@ -739,20 +739,21 @@ class AutonomousDeploymentPrompts {
      }
 
 3. **Extract** decision from response data:
-   - decision: "safe", "warning", or "critical"
-   - recommendation: "proceed", "investigate", or "rollback"
+   - decision: "safe", "warning", "critical" or "insufficient_data"
+   - recommendation: "proceed", "investigate", "rollback" or "wait"
    - reasons: array of explanation strings
 
 4. **Make decision:**
    - If recommendation is "proceed" → complete deployment
    - If recommendation is "investigate" → flag for human review
    - If recommendation is "rollback" → reset deployment
+   - If recommendation is "wait" → too little traffic to judge; sample again later, never complete
 
 ${executionInstructions}
 
 5. **Return** to orchestrator:
-   - decision (safe/warning/critical)
-   - recommendation (proceed/investigate/rollback)
+   - decision (safe/warning/critical/insufficient_data)
+   - recommendation (proceed/investigate/rollback/wait)
    - reasons (array of strings)
    - action taken (completed/reset/pending-review)
    - deploymentId
@@ -766,6 +767,9 @@ ${executionInstructions}
 - **SAFE (proceed):** No threshold violations, deploy is healthy
 - **WARNING (investigate):** Minor issues, human review recommended
 - **CRITICAL (rollback):** Major issues, automatic rollback recommended
+- **INSUFFICIENT_DATA (wait):** Fewer than 100 requests on a side, no decision possible yet
+
+Changes are only flagged when they are statistically significant (95% confidence) and larger than the threshold.
 
 **Default Thresholds:**
 - maxErrorIncrease: 50% (0.5)
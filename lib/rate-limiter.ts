@@ -125,6 +125,11 @@ class RateLimiter {
         this.cleanupInterval = setInterval(() => {
             this.cleanup();
         }, 60000); // Every minute
+
+        // Don't keep the process alive just for cleanup
+        if (typeof this.cleanupInterval.unref === 'function') {
+            this.cleanupInterval.unref();
+        }
     }
 
     /**
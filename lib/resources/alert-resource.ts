@@ -0,0 +1,87 @@
+/**
+ * Alert Resource Handler
+ * Handles alert://{watcherId} resources
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import { getGlobalEmitter } from '../events/event-emitter';
+import { getGlobalResourceManager } from '../events/resource-manager';
+import { getGlobalNotificationSender } from '../events/notification-sender';
+import { createEvent, DXPEvent, isReplayedEvent } from '../events/event-types';
+
+/**
+ * Watcher snapshot carried in every alert event
+ * The snapshot lists the alerts still firing, so alert://{watcherId} always shows the current state
+ */
+export interface AlertWatcherSnapshot {
+    watcherId: string;
+    projectName?: string;
+    environment: string;
+    logType: string;
+    activeAlerts: Array<{ key: string; [key: string]: any }>;
+    [key: string]: any;
+}
+
+/**
+ * Alert Resource Handler
+ * Manages log tailing alert resources
+ */
+class AlertResourceHandler {
+    /**
+     * Initialize alert event listeners
+     */
+    static initialize(): void {
+        const emitter = getGlobalEmitter();
+        const resourceManager = getGlobalResourceManager();
+        const notificationSender = getGlobalNotificationSender();
+
+        emitter.on('*', async (event: DXPEvent) => {
+            // Replayed history must not overwrite the live state
+            if (event.eventType.startsWith('alert.') && !isReplayedEvent(event)) {
+                // Register or update resource
+                const resourceUri = resourceManager.registerOrUpdateResource(event);
+
+                // Send notification to MCP clients
+                if (notificationSender) {
+                    await notificationSender.sendResourceUpdated(resourceUri);
+                }
+            }
+        });
+
+        if (process.env.DEBUG === 'true') {
+            console.error('[ALERT RESOURCE] Initialized');
+        }
+    }
+
+    /**
+     * Emit an alert event
+     * @param eventType - EVENT_TYPES.ALERT_TRIGGERED or EVENT_TYPES.ALERT_RESOLVED
+     * @param watcher - Current watcher snapshot
+     * @param alert - The alert that fired or cleared
+     */
+    static emit(eventType: string, watcher: AlertWatcherSnapshot, alert: Record<string, any>): DXPEvent {
+        const emitter = getGlobalEmitter();
+
+        const event = createEvent(
+            eventType,
+            watcher.watcherId,
+            {
+                ...watcher,
+                alert
+            },
+            {
+                operation: 'alert',
+                user: 'system',
+                project: watcher.projectName,
+                environment: watcher.environment
+            }
+        );
+        event.project = watcher.projectName;
+        event.environment = watcher.environment;
+
+        emitter.emitEvent(event);
+        return event;
+    }
+}
+
+export default AlertResourceHandler;
@@ -7,7 +7,7 @@
 import { getGlobalEmitter } from '../events/event-emitter';
 import { getGlobalResourceManager } from '../events/resource-manager';
 import { getGlobalNotificationSender } from '../events/notification-sender';
-import { createEvent, EVENT_TYPES, DXPEvent } from '../events/event-types';
+import { createEvent, EVENT_TYPES, DXPEvent, isReplayedEvent } from '../events/event-types';
 
 /**
  * Deployment details for event emission
@@ -36,6 +36,11 @@ class DeploymentResourceHandler {
 
         // Listen for all deployment events
         emitter.on('deployment.*', async (event: DXPEvent) => {
+            // Replayed history must not overwrite the live state
+            if (isReplayedEvent(event)) {
+                return;
+            }
+
             // Register or update resource
             const resourceUri = resourceManager.registerOrUpdateResource(event);
 
@@ -239,6 +244,31 @@ class DeploymentResourceHandler {
         emitter.emitEvent(event);
         return event;
     }
+
+    /**
+     * Emit auto-verification decision event
+     * @param deploymentId - Deployment ID
+     * @param details - Decision, action taken and the comparison behind it
+     */
+    static emitAutoDecision(deploymentId: string, details: DeploymentDetails = {}): DXPEvent {
+        const emitter = getGlobalEmitter();
+        const event = createEvent(
+            EVENT_TYPES.DEPLOYMENT_AUTO_DECISION,
+            deploymentId,
+            {
+                deploymentId,
+                status: 'AwaitingVerification',
+                ...details
+            },
+            {
+                operation: 'auto_verify',
+                user: 'system'
+            }
+        );
+
+        emitter.emitEvent(event);
+        return event;
+    }
 }
 
 export default DeploymentResourceHandler;
@@ -7,7 +7,7 @@
 import { getGlobalEmitter } from '../events/event-emitter';
 import { getGlobalResourceManager } from '../events/resource-manager';
 import { getGlobalNotificationSender } from '../events/notification-sender';
-import { createEvent, EVENT_TYPES, DXPEvent } from '../events/event-types';
+import { createEvent, EVENT_TYPES, DXPEvent, isReplayedEvent } from '../events/event-types';
 
 /**
  * Download details for event emission
@@ -38,7 +38,8 @@ class DownloadResourceHandler {
 
         // Listen for all download events via wildcard
         emitter.on('*', async (event: DXPEvent) => {
-            if (event.eventType.startsWith('download.')) {
+            // Replayed history must not overwrite the live state
+            if (event.eventType.startsWith('download.') && !isReplayedEvent(event)) {
                 // Register or update resource
                 const resourceUri = resourceManager.registerOrUpdateResource(event);
 
@@ -186,6 +187,56 @@ class DownloadResourceHandler {
         emitter.emitEvent(event);
         return event;
     }
+
+    /**
+     * Emit download paused event
+     * @param downloadId - Download ID
+     * @param details - Pause details
+     */
+    static emitPaused(downloadId: string, details: DownloadDetails = {}): DXPEvent {
+        const emitter = getGlobalEmitter();
+        const event = createEvent(
+            EVENT_TYPES.DOWNLOAD_PAUSED,
+            downloadId,
+            {
+                downloadId,
+                status: 'Paused',
+                ...details
+            },
+            {
+                operation: 'download_pause',
+                user: 'system'
+            }
+        );
+
+        emitter.emitEvent(event);
+        return event;
+    }
+
+    /**
+     * Emit download resumed event
+     * @param downloadId - Download ID
+     * @param details - Resume details
+     */
+    static emitResumed(downloadId: string, details: DownloadDetails = {}): DXPEvent {
+        const emitter = getGlobalEmitter();
+        const event = createEvent(
+            EVENT_TYPES.DOWNLOAD_RESUMED,
+            downloadId,
+            {
+                downloadId,
+                status: 'InProgress',
+                ...details
+            },
+            {
+                operation: 'download_resume',
+                user: 'system'
+            }
+        );
+
+        emitter.emitEvent(event);
+        return event;
+    }
 }
 
 export default DownloadResourceHandler;
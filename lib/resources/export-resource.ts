@@ -7,7 +7,7 @@
 import { getGlobalEmitter } from '../events/event-emitter';
 import { getGlobalResourceManager } from '../events/resource-manager';
 import { getGlobalNotificationSender } from '../events/notification-sender';
-import { createEvent, EVENT_TYPES, DXPEvent } from '../events/event-types';
+import { createEvent, EVENT_TYPES, DXPEvent, isReplayedEvent } from '../events/event-types';
 
 /**
  * Export details for event emission
@@ -17,6 +17,8 @@ export interface ExportDetails {
     status?: string;
     progress?: number;
     downloadUrl?: string;
+    // Size of the exported bacpac, when known
+    sizeBytes?: number;
     error?: string;
     [key: string]: any;
 }
@@ -36,7 +38,8 @@ class ExportResourceHandler {
 
         // Listen for all export events via wildcard
         emitter.on('*', async (event: DXPEvent) => {
-            if (event.eventType.startsWith('export.')) {
+            // Replayed history must not overwrite the live state
+            if (event.eventType.startsWith('export.') && !isReplayedEvent(event)) {
                 // Register or update resource
                 const resourceUri = resourceManager.registerOrUpdateResource(event);
 
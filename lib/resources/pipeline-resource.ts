@@ -0,0 +1,88 @@
+/**
+ * Pipeline Resource Handler
+ * Handles pipeline://{id} resources
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import { getGlobalEmitter } from '../events/event-emitter';
+import { getGlobalResourceManager } from '../events/resource-manager';
+import { getGlobalNotificationSender } from '../events/notification-sender';
+import { createEvent, DXPEvent, isReplayedEvent } from '../events/event-types';
+
+/**
+ * Pipeline snapshot carried in every pipeline event
+ * The full snapshot is the resource state, so pipeline://{id} always reflects the latest run
+ */
+export interface PipelineSnapshot {
+    pipelineId: string;
+    projectName?: string;
+    status: string;
+    currentStage: number;
+    stages: Array<{ targetEnvironment: string; [key: string]: any }>;
+    [key: string]: any;
+}
+
+/**
+ * Pipeline Resource Handler
+ * Manages pipeline orchestration resources
+ */
+class PipelineResourceHandler {
+    /**
+     * Initialize pipeline event listeners
+     */
+    static initialize(): void {
+        const emitter = getGlobalEmitter();
+        const resourceManager = getGlobalResourceManager();
+        const notificationSender = getGlobalNotificationSender();
+
+        emitter.on('*', async (event: DXPEvent) => {
+            // Replayed history must not overwrite the live state
+            if (event.eventType.startsWith('pipeline.') && !isReplayedEvent(event)) {
+                // Register or update resource
+                const resourceUri = resourceManager.registerOrUpdateResource(event);
+
+                // Send notification to MCP clients
+                if (notificationSender) {
+                    await notificationSender.sendResourceUpdated(resourceUri);
+                }
+            }
+        });
+
+        if (process.env.DEBUG === 'true') {
+            console.error('[PIPELINE RESOURCE] Initialized');
+        }
+    }
+
+    /**
+     * Emit a pipeline event
+     * @param eventType - One of the EVENT_TYPES.PIPELINE_* values
+     * @param pipeline - Current pipeline snapshot
+     * @param details - Stage-specific details (stage index, deploymentId, gate result, ...)
+     */
+    static emit(eventType: string, pipeline: PipelineSnapshot, details: Record<string, any> = {}): DXPEvent {
+        const emitter = getGlobalEmitter();
+        const stage = pipeline.stages[pipeline.currentStage];
+
+        const event = createEvent(
+            eventType,
+            pipeline.pipelineId,
+            {
+                ...pipeline,
+                ...details
+            },
+            {
+                operation: 'pipeline',
+                user: 'system',
+                project: pipeline.projectName,
+                environment: stage ? stage.targetEnvironment : undefined
+            }
+        );
+        event.project = pipeline.projectName;
+        event.environment = stage ? stage.targetEnvironment : undefined;
+
+        emitter.emitEvent(event);
+        return event;
+    }
+}
+
+export default PipelineResourceHandler;
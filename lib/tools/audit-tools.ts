@@ -0,0 +1,329 @@
+/**
+ * Audit Tools Module
+ * Integrity verification, export, aggregation and correlation trees for the audit trail
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import ResponseBuilder from '../response-builder';
+import { getGlobalAuditLogger } from '../audit-logger';
+
+/**
+ * verify_audit_log arguments
+ */
+interface VerifyAuditLogArgs {
+    date?: string;
+    start_date?: string;
+    end_date?: string;
+    limit?: number;
+}
+
+/**
+ * Entry filters shared by query, export and summary
+ */
+interface AuditFilterArgs {
+    start_time?: string;
+    end_time?: string;
+    tool_name?: string;
+    status?: string;
+    project?: string;
+    environment?: string;
+    user?: string;
+    tag?: string;
+    params?: Record<string, string>;
+}
+
+/**
+ * query_audit_log arguments
+ */
+interface QueryAuditLogArgs extends AuditFilterArgs {
+    correlation_id?: string;
+    limit?: number;
+    offset?: number;
+}
+
+/**
+ * export_audit_log arguments
+ */
+interface ExportAuditLogArgs extends AuditFilterArgs {
+    format?: 'csv' | 'json';
+    output_path?: string;
+}
+
+/**
+ * trace_audit_correlation arguments
+ */
+interface TraceAuditCorrelationArgs {
+    correlation_id?: string;
+    deployment_id?: string;
+    export_id?: string;
+    start_time?: string;
+    end_time?: string;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const ISSUE_LABELS: Record<string, string> = {
+    modified: 'Modified',
+    missing: 'Missing',
+    out_of_order: 'Reordered',
+    duplicate: 'Duplicated',
+    chain_break: 'Chain break',
+    unchained: 'Unchained',
+    after_seal: 'After seal',
+    unsealed: 'Unsealed day',
+    seal_mismatch: 'Bad seal',
+    hmac_mismatch: 'Bad seal HMAC',
+    malformed: 'Malformed',
+    unreadable: 'Unreadable'
+};
+
+class AuditTools {
+    /**
+     * Verify hash chain, sequence numbers and day seals of the audit trail
+     */
+    static async handleVerifyAuditLog(args: VerifyAuditLogArgs): Promise<any> {
+        const startDate = args.date || args.start_date;
+        const endDate = args.date || args.end_date;
+        for (const value of [startDate, endDate]) {
+            if (value && !DATE_PATTERN.test(value)) {
+                return ResponseBuilder.invalidParams(`Invalid date: ${value}. Use YYYY-MM-DD`);
+            }
+        }
+
+        const report = await getGlobalAuditLogger().verify({ startDate, endDate });
+        const limit = Math.min(args.limit || 100, 1000);
+
+        const data = {
+            ...report,
+            totalIssues: report.issues.length,
+            issues: report.issues.slice(0, limit)
+        };
+
+        return ResponseBuilder.successWithStructuredData(data, this.formatReport(report, limit));
+    }
+
+    /**
+     * Filtered, paginated audit entries, newest first
+     * Returns the raw result object ({ total, entries, hasMore, count, limit, offset }) that clients expect
+     */
+    static async handleQueryAuditLog(args: QueryAuditLogArgs): Promise<any> {
+        const filters = this.toFilters(args);
+        if (typeof filters === 'string') {
+            return ResponseBuilder.invalidParams(filters);
+        }
+
+        const result = await getGlobalAuditLogger().query({
+            ...filters,
+            correlationId: args.correlation_id,
+            limit: args.limit,
+            offset: args.offset
+        });
+
+        return {
+            total: result.total,
+            entries: result.entries,
+            hasMore: result.hasMore,
+            count: result.entries.length,
+            limit: args.limit || 100,
+            offset: args.offset || 0
+        };
+    }
+
+    /**
+     * Write entries in a time range to a CSV or JSON file for auditors
+     */
+    static async handleExportAuditLog(args: ExportAuditLogArgs): Promise<any> {
+        const filters = this.toFilters(args);
+        if (typeof filters === 'string') {
+            return ResponseBuilder.invalidParams(filters);
+        }
+        const { startTime, endTime } = filters;
+
+        const result = await getGlobalAuditLogger().export({
+            ...filters,
+            format: args.format || 'csv',
+            outputPath: args.output_path
+        });
+
+        let message = `📤 **Audit Log Exported**\n\n`;
+        message += `**File:** ${result.outputPath}\n`;
+        message += `**Format:** ${result.format.toUpperCase()}\n`;
+        message += `**Range:** ${startTime || 'first entry'} to ${endTime || 'now'}\n`;
+        message += `**Entries:** ${result.entries} (${(result.bytes / 1024).toFixed(1)} KB)\n`;
+        if (result.entries > 0) {
+            message += `\nEach entry includes its seq and hash; run verify_audit_log over the same days to show the trail is intact.\n`;
+        }
+
+        return ResponseBuilder.successWithStructuredData({ ...result, startTime: startTime || null, endTime: endTime || null }, ResponseBuilder.addFooter(message));
+    }
+
+    /**
+     * Counts per tool and status, failure rate and duration percentiles, deployments per environment per week
+     */
+    static async handleSummarizeAuditLog(args: AuditFilterArgs): Promise<any> {
+        const filters = this.toFilters(args);
+        if (typeof filters === 'string') {
+            return ResponseBuilder.invalidParams(filters);
+        }
+
+        const summary = await getGlobalAuditLogger().aggregate(filters);
+        return ResponseBuilder.successWithStructuredData(summary, this.formatSummary(summary, filters));
+    }
+
+    /**
+     * Tree of tool calls and background work behind one call, deployment or export
+     */
+    static async handleTraceAuditCorrelation(args: TraceAuditCorrelationArgs): Promise<any> {
+        if (!args.correlation_id && !args.deployment_id && !args.export_id) {
+            return ResponseBuilder.invalidParams('Provide correlation_id, deployment_id or export_id');
+        }
+        const range = this.toFilters({ start_time: args.start_time, end_time: args.end_time });
+        if (typeof range === 'string') {
+            return ResponseBuilder.invalidParams(range);
+        }
+
+        const tree = await getGlobalAuditLogger().correlationTree({
+            correlationId: args.correlation_id,
+            deploymentId: args.deployment_id,
+            exportId: args.export_id,
+            startTime: range.startTime,
+            endTime: range.endTime
+        });
+
+        const subject = args.correlation_id
+            ? `correlation ${args.correlation_id}`
+            : args.deployment_id ? `deployment ${args.deployment_id}` : `export ${args.export_id}`;
+        let message = `🌳 **Audit Trail for ${subject}**\n\n`;
+        if (tree.roots.length === 0) {
+            message += 'No audited calls found.\n';
+            return ResponseBuilder.successWithStructuredData(tree, ResponseBuilder.addFooter(message));
+        }
+
+        message += `**Calls:** ${tree.entries}\n\n`;
+        const lines: string[] = [];
+        const render = (node: any, depth: number) => {
+            const icon = node.status === 'success' ? '✅' : node.status === 'failure' || node.status === 'error' ? '❌' : '•';
+            const details = [node.environment, node.duration_ms ? `${node.duration_ms}ms` : null].filter(Boolean).join(', ');
+            lines.push(`${'  '.repeat(depth)}- ${icon} **${node.operation}** ${node.timestamp}${details ? ` (${details})` : ''}${node.error ? ` — ${node.error}` : ''}`);
+            node.children.forEach((child: any) => render(child, depth + 1));
+        };
+        tree.roots.forEach((root: any) => render(root, 0));
+        message += `${lines.join('\n')}\n`;
+        if (tree.missingParents.length > 0) {
+            message += `\n⚠️ ${tree.missingParents.length} parent call${tree.missingParents.length === 1 ? ' is' : 's are'} outside the searched range or removed by retention.\n`;
+        }
+
+        return ResponseBuilder.successWithStructuredData(tree, ResponseBuilder.addFooter(message));
+    }
+
+    /**
+     * Validate and normalize filter arguments
+     * Times are converted to ISO 8601 so they compare against entry timestamps; a bare end date covers the whole day.
+     * @returns Filters for the audit logger, or an error message
+     */
+    static toFilters(args: AuditFilterArgs): Record<string, any> | string {
+        for (const value of [args.start_time, args.end_time]) {
+            if (value && isNaN(Date.parse(value))) {
+                return `Invalid time: ${value}. Use an ISO 8601 timestamp or YYYY-MM-DD`;
+            }
+        }
+        const startTime = args.start_time ? new Date(args.start_time).toISOString() : undefined;
+        const endTime = args.end_time
+            ? (DATE_PATTERN.test(args.end_time) ? `${args.end_time}T23:59:59.999Z` : new Date(args.end_time).toISOString())
+            : undefined;
+        if (startTime && endTime && startTime > endTime) {
+            return 'start_time must be before end_time';
+        }
+
+        return {
+            startTime,
+            endTime,
+            toolName: args.tool_name,
+            status: args.status,
+            project: args.project,
+            environment: args.environment,
+            user: args.user,
+            tag: args.tag,
+            params: args.params && Object.keys(args.params).length > 0 ? args.params : undefined
+        };
+    }
+
+    /**
+     * Format an aggregation for display
+     */
+    static formatSummary(summary: any, filters: Record<string, any>): string {
+        let message = `📊 **Audit Log Summary**\n\n`;
+        if (summary.total === 0) {
+            message += 'No audit entries match.\n';
+            return ResponseBuilder.addFooter(message);
+        }
+
+        const scope = ['project', 'environment', 'user', 'tag', 'toolName', 'status']
+            .filter(name => filters[name])
+            .map(name => `${name}=${filters[name]}`);
+        message += `**Entries:** ${summary.total} from ${summary.firstTimestamp} to ${summary.lastTimestamp}\n`;
+        if (scope.length > 0) {
+            message += `**Filters:** ${scope.join(', ')}\n`;
+        }
+        message += `**By status:** ${Object.entries(summary.byStatus).map(([status, count]) => `${status} ${count}`).join(', ')}\n\n`;
+
+        message += `| Tool | Calls | Failures | Failure rate | p95 duration |\n|------|-------|----------|--------------|--------------|\n`;
+        summary.byTool.forEach((tool: any) => {
+            const failures = (tool.byStatus.failure || 0) + (tool.byStatus.error || 0);
+            const p95 = tool.p95DurationMs !== null ? `${tool.p95DurationMs}ms` : '-';
+            message += `| ${tool.tool} | ${tool.total} | ${failures} | ${tool.failureRate}% | ${p95} |\n`;
+        });
+
+        if (summary.deploymentsByWeek.length > 0) {
+            message += `\n**Deployments per week:**\n`;
+            message += `| Week of | Environment | Deployments | Failed |\n|---------|-------------|-------------|--------|\n`;
+            summary.deploymentsByWeek.forEach((bucket: any) => {
+                message += `| ${bucket.week} | ${bucket.environment} | ${bucket.total} | ${bucket.failure} |\n`;
+            });
+        }
+
+        return ResponseBuilder.addFooter(message);
+    }
+
+    /**
+     * Format a verification report for display
+     */
+    static formatReport(report: any, limit: number): string {
+        let message = `🔒 **Audit Log Integrity:** ${report.valid ? '✅ intact' : `❌ ${report.issues.length} issue${report.issues.length === 1 ? '' : 's'} found`}\n\n`;
+
+        if (report.checkedFiles === 0) {
+            message += 'No audit files in range.\n';
+            return ResponseBuilder.addFooter(message);
+        }
+
+        const sealed = report.files.filter((file: any) => file.sealed).length;
+        message += `**Files:** ${report.checkedFiles} (${sealed} sealed${report.openDay ? `, ${report.openDay} still open` : ''})\n`;
+        message += `**Entries:** ${report.entries} chained`;
+        message += report.anchor ? `, seq ${report.anchor.seq} to ${report.lastSeq}` : '';
+        message += report.legacyEntries > 0 ? `; ${report.legacyEntries} written before hash chaining (not verifiable)` : '';
+        message += '\n';
+
+        const hmacStates = report.files.filter((file: any) => file.seal).map((file: any) => file.seal.hmac);
+        if (hmacStates.includes('unverified')) {
+            message += `**Seal HMACs:** present but not checked; set DXP_AUDIT_HMAC_KEY to verify them\n`;
+        } else if (hmacStates.includes('valid') || hmacStates.includes('invalid')) {
+            const valid = hmacStates.filter((state: string) => state === 'valid').length;
+            message += `**Seal HMACs:** ${valid} of ${hmacStates.length} valid\n`;
+        }
+
+        if (report.issues.length > 0) {
+            message += `\n**Affected entries:**\n`;
+            report.issues.slice(0, limit).forEach((issue: any) => {
+                const where = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+                message += `- **${ISSUE_LABELS[issue.type] || issue.type}** ${where}: ${issue.message}\n`;
+            });
+            if (report.issues.length > limit) {
+                message += `- … ${report.issues.length - limit} more (raise limit to see them)\n`;
+            }
+        }
+
+        return ResponseBuilder.addFooter(message);
+    }
+}
+
+export default AuditTools;
@@ -0,0 +1,400 @@
+/**
+ * Backup Tools - Inventory, retention and inspection of downloaded database exports
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ResponseBuilder from '../response-builder';
+import DownloadConfig from '../download-config';
+import BackupCatalog, { BackupEntry, BackupFilter, RetentionPolicy, PruneResult } from '../backup-catalog';
+import BacpacInspector, { BacpacInspection, BacpacDiff } from '../bacpac-inspector';
+import BacpacMasker, { MaskingPlan, MaskingReport, MaskingRule } from '../bacpac-masker';
+
+interface ListBackupsArgs {
+    environment?: string;
+    database?: string;
+    downloadPath?: string;
+    projectName?: string;
+    projectId?: string;
+    apiKey?: string;
+    apiSecret?: string;
+}
+
+interface PruneBackupsArgs extends ListBackupsArgs {
+    keepDaily?: number;
+    keepWeekly?: number;
+    dryRun?: boolean;
+}
+
+interface InspectBacpacArgs extends ListBackupsArgs {
+    filePath?: string;
+    compareTo?: string;
+    countRows?: boolean;
+    limit?: number;
+}
+
+interface MaskBacpacArgs extends ListBackupsArgs {
+    filePath?: string;
+    outputPath?: string;
+    dryRun?: boolean;
+}
+
+class BackupTools {
+    /**
+     * List catalogued bacpacs for the project
+     */
+    static async handleListBackups(args: ListBackupsArgs): Promise<any> {
+        try {
+            const filter = this.getFilter(args);
+            const backups = await BackupCatalog.list(await this.getBackupDirs(args), filter);
+            const policy = BackupCatalog.getPolicy(args.projectName);
+            const totalSize = backups.reduce((sum, entry) => sum + entry.size, 0);
+
+            let message = `💾 **Database Backups${args.projectName ? ` - ${args.projectName}` : ''}**\n\n`;
+            if (backups.length === 0) {
+                message += 'No downloaded backups found. Use db_export and db_export_download to create one.';
+            } else {
+                message += `${backups.length} backup(s), ${this.formatBytes(totalSize)} total\n\n`;
+                for (const entry of backups) {
+                    message += this.formatEntry(entry);
+                }
+            }
+            message += `\n\n🧹 Retention: keep ${policy.keepDaily} daily, ${policy.keepWeekly} weekly` +
+                (policy.autoPrune ? ' (applied after each db_export_download)' : ' (auto-prune off)');
+
+            return ResponseBuilder.successWithStructuredData({
+                projectName: args.projectName || null,
+                filter,
+                count: backups.length,
+                totalSize,
+                retention: policy,
+                backups
+            }, message);
+        } catch (error: any) {
+            return ResponseBuilder.internalError('Failed to list backups', error.message);
+        }
+    }
+
+    /**
+     * Apply keep-N-daily / M-weekly retention (dry run unless dryRun is false)
+     */
+    static async handlePruneBackups(args: PruneBackupsArgs): Promise<any> {
+        const overrides: Partial<RetentionPolicy> = { keepDaily: args.keepDaily, keepWeekly: args.keepWeekly };
+        const dryRun = args.dryRun !== false;
+
+        try {
+            const policy = BackupCatalog.getPolicy(args.projectName, overrides);
+            if (policy.keepDaily < 1 && policy.keepWeekly < 1) {
+                return ResponseBuilder.invalidParams('keepDaily or keepWeekly must be at least 1 - prune_backups never removes every backup');
+            }
+
+            const result = await BackupCatalog.prune(await this.getBackupDirs(args), this.getFilter(args), policy, { dryRun });
+            return ResponseBuilder.successWithStructuredData({
+                projectName: args.projectName || null,
+                dryRun,
+                policy: { keepDaily: policy.keepDaily, keepWeekly: policy.keepWeekly },
+                kept: result.keep.map(({ entry, reasons }) => ({ ...entry, reasons })),
+                removed: result.remove,
+                freedBytes: result.freedBytes,
+                errors: result.errors
+            }, this.formatPruneResult(result, policy));
+        } catch (error: any) {
+            return ResponseBuilder.internalError('Failed to prune backups', error.message);
+        }
+    }
+
+    /**
+     * Inspect a bacpac without restoring it, optionally diffing it against another export
+     * filePath defaults to the newest catalogued backup; compareTo "previous" picks the backup before it.
+     */
+    static async handleInspectBacpac(args: InspectBacpacArgs): Promise<any> {
+        const limit = args.limit || 25;
+
+        try {
+            let filePath = args.filePath ? path.resolve(args.filePath) : null;
+            let compareTo = args.compareTo && args.compareTo !== 'previous' ? path.resolve(args.compareTo) : null;
+
+            if (!filePath || args.compareTo === 'previous') {
+                const backups = await BackupCatalog.list(await this.getBackupDirs(args), this.getFilter(args));
+                if (!filePath) {
+                    if (backups.length === 0) {
+                        return ResponseBuilder.invalidParams('No downloaded backups found - pass filePath or download one with db_export_download first');
+                    }
+                    filePath = backups[0].filePath;
+                }
+                if (args.compareTo === 'previous') {
+                    const current = backups.find(entry => path.resolve(entry.filePath) === filePath);
+                    const previous = current && backups.find(entry =>
+                        entry !== current &&
+                        entry.exportedAt < current.exportedAt &&
+                        BackupCatalog.matches(entry, { projectName: current.projectName, environment: current.environment, databaseName: current.databaseName }));
+                    if (!previous) {
+                        return ResponseBuilder.invalidParams(`No earlier catalogued backup of the same environment and database to compare ${path.basename(filePath)} with`);
+                    }
+                    compareTo = previous.filePath;
+                }
+            }
+
+            for (const file of [filePath, compareTo]) {
+                if (file && !fs.existsSync(file)) {
+                    return ResponseBuilder.invalidParams(`Bacpac not found: ${file}`);
+                }
+            }
+
+            const inspection = await BacpacInspector.inspect(filePath, { countRows: args.countRows });
+            if (!compareTo) {
+                return ResponseBuilder.successWithStructuredData(inspection, this.formatInspection(inspection, limit));
+            }
+
+            // The file being checked is the target; the reference export is the base
+            const base = await BacpacInspector.inspect(compareTo, { countRows: args.countRows });
+            const diff = BacpacInspector.diff(base, inspection);
+            return ResponseBuilder.successWithStructuredData(
+                { inspection, diff },
+                this.formatInspection(inspection, limit) + '\n\n' + this.formatDiff(diff, limit)
+            );
+        } catch (error: any) {
+            if (error.code === 'INVALID_ZIP' || error.code === 'INVALID_BACPAC') {
+                return ResponseBuilder.invalidParams(error.message);
+            }
+            return ResponseBuilder.internalError('Failed to inspect bacpac', error.message);
+        }
+    }
+
+    /**
+     * Write a masked copy of a bacpac using the project's masking rules
+     * filePath defaults to the newest catalogued backup.
+     */
+    static async handleMaskBacpac(args: MaskBacpacArgs): Promise<any> {
+        try {
+            let filePath = args.filePath ? path.resolve(args.filePath) : null;
+            if (!filePath) {
+                const backups = await BackupCatalog.list(await this.getBackupDirs(args), this.getFilter(args));
+                if (backups.length === 0) {
+                    return ResponseBuilder.invalidParams('No downloaded backups found - pass filePath or download one with db_export_download first');
+                }
+                filePath = backups[0].filePath;
+            }
+            if (!fs.existsSync(filePath)) {
+                return ResponseBuilder.invalidParams(`Bacpac not found: ${filePath}`);
+            }
+
+            const options = { projectName: args.projectName, outputPath: args.outputPath };
+            if (args.dryRun) {
+                const preview = await BacpacMasker.preview(filePath, options);
+                return ResponseBuilder.successWithStructuredData(
+                    { dryRun: true, filePath, ...preview },
+                    this.formatMaskingPlan(filePath, preview.plan, preview.rules, preview.outputPath)
+                );
+            }
+
+            const report = await BacpacMasker.mask(filePath, options);
+            return ResponseBuilder.successWithStructuredData(report, this.formatMaskingReport(report));
+        } catch (error: any) {
+            if (error.code === 'INVALID_ZIP' || error.code === 'INVALID_BACPAC' || error.code === 'INVALID_MASKING') {
+                return ResponseBuilder.invalidParams(error.message);
+            }
+            return ResponseBuilder.internalError('Failed to mask bacpac', error.message);
+        }
+    }
+
+    /**
+     * Folders db_export_download may have written this project's bacpacs to
+     */
+    static async getBackupDirs(args: ListBackupsArgs): Promise<string[]> {
+        const projectName = args.projectName || 'Unknown';
+        const environments = args.environment ? [args.environment] : ['Production', 'Preproduction', 'Integration'];
+
+        // Downloads resolve the folder without an environment, so include that location too
+        const dirs = [await DownloadConfig.getDownloadPath('database', projectName, args.downloadPath || null, '')];
+        for (const environment of environments) {
+            dirs.push(await DownloadConfig.getDownloadPath('database', projectName, args.downloadPath || null, environment));
+        }
+        return Array.from(new Set(dirs));
+    }
+
+    static getFilter(args: ListBackupsArgs): BackupFilter {
+        return {
+            projectName: args.projectName,
+            environment: args.environment,
+            databaseName: args.database
+        };
+    }
+
+    static formatEntry(entry: BackupEntry): string {
+        return `• **${entry.fileName}**\n` +
+            `  ${entry.environment} / ${entry.databaseName} • ${this.formatBytes(entry.size)} • exported ${entry.exportedAt}\n` +
+            `  MD5: ${entry.checksum || 'n/a'}\n`;
+    }
+
+    static formatInspection(inspection: BacpacInspection, limit: number): string {
+        const { totals, origin } = inspection;
+        let message = `🔬 **Bacpac: ${path.basename(inspection.filePath)}**\n\n`;
+        message += `• Size: ${this.formatBytes(inspection.fileSize)} (${this.formatBytes(totals.dataSize)} table data uncompressed)\n`;
+        message += `• Model schema version: ${inspection.modelSchemaVersion || 'unknown'}${inspection.targetPlatform ? ` (${inspection.targetPlatform})` : ''}\n`;
+        message += `• Episerver database version: ${inspection.episerverDatabaseVersion ?? 'not found'}\n`;
+        if (origin.exportEndedAt || origin.exportStartedAt) {
+            message += `• Exported: ${origin.exportEndedAt || origin.exportStartedAt}${origin.serverVersion ? ` from SQL ${origin.serverVersion}` : ''}\n`;
+        }
+        message += `• Tables: ${totals.tables} (${totals.cmsTables} CMS, ${totals.commerceTables} Commerce)`;
+        message += inspection.rowsCounted ? ` • Rows: ${totals.rows.toLocaleString()}\n` : ' • Rows: not counted\n';
+
+        const unknownRows = inspection.tables.filter(table => inspection.rowsCounted && table.rowCount === null);
+        if (unknownRows.length > 0) {
+            message += `⚠️  Row counts unavailable for ${unknownRows.length} table(s): ${unknownRows.map(table => table.fullName).join(', ')}\n`;
+        }
+
+        message += `\n**Largest tables:**\n`;
+        for (const table of inspection.tables.slice(0, limit)) {
+            const rows = table.rowCount === null ? '?' : table.rowCount.toLocaleString();
+            message += `• ${table.fullName} - ${rows} rows, ${this.formatBytes(table.dataSize)}${table.category !== 'other' ? ` [${table.category}]` : ''}\n`;
+        }
+        if (inspection.tables.length > limit) {
+            message += `• ... ${inspection.tables.length - limit} more (see structured data)\n`;
+        }
+
+        const names = (category: string) => inspection.tables
+            .filter(table => table.category === category)
+            .map(table => table.name)
+            .sort((a, b) => a.localeCompare(b));
+        const cms = names('cms');
+        const commerce = names('commerce');
+        if (cms.length > 0) {
+            message += `\n**Episerver CMS tables (${cms.length}):** ${cms.join(', ')}\n`;
+        }
+        if (commerce.length > 0) {
+            message += `\n**Commerce tables (${commerce.length}):** ${commerce.join(', ')}\n`;
+        }
+
+        return message.trimEnd();
+    }
+
+    static formatDiff(diff: BacpacDiff, limit: number): string {
+        const signed = (value: number) => `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+        let message = `🔀 **Compared with ${path.basename(diff.base.filePath)}**\n\n`;
+        message += `• Rows: ${signed(diff.totals.rowDelta)} • Table data: ${diff.totals.dataSizeDelta < 0 ? '-' : '+'}${this.formatBytes(Math.abs(diff.totals.dataSizeDelta))}\n`;
+        message += `• Tables added: ${diff.addedTables.length} • removed: ${diff.removedTables.length} • changed: ${diff.changedTables.length} • unchanged: ${diff.unchangedTables}\n`;
+        if (diff.base.modelSchemaVersion !== diff.target.modelSchemaVersion) {
+            message += `• Model schema version: ${diff.base.modelSchemaVersion} → ${diff.target.modelSchemaVersion}\n`;
+        }
+
+        if (diff.warnings.length > 0) {
+            message += `\n**⚠️ Warnings:**\n${diff.warnings.map(warning => `• ${warning}`).join('\n')}\n`;
+        }
+        if (diff.addedTables.length > 0) {
+            message += `\n**Added tables:** ${diff.addedTables.join(', ')}\n`;
+        }
+        if (diff.removedTables.length > 0) {
+            message += `\n**Removed tables:** ${diff.removedTables.join(', ')}\n`;
+        }
+        if (diff.changedTables.length > 0) {
+            message += `\n**Changed tables:**\n`;
+            for (const change of diff.changedTables.slice(0, limit)) {
+                const rows = change.rowDelta === null
+                    ? 'rows ?'
+                    : `${change.baseRows!.toLocaleString()} → ${change.targetRows!.toLocaleString()} rows${change.rowChangePercent !== null ? ` (${change.rowChangePercent > 0 ? '+' : ''}${change.rowChangePercent}%)` : ''}`;
+                const columns = [
+                    ...change.addedColumns.map(name => `+${name}`),
+                    ...change.removedColumns.map(name => `-${name}`)
+                ];
+                message += `• ${change.table}: ${rows}${columns.length > 0 ? `, columns ${columns.join(' ')}` : ''}\n`;
+            }
+            if (diff.changedTables.length > limit) {
+                message += `• ... ${diff.changedTables.length - limit} more (see structured data)\n`;
+            }
+        }
+
+        return message.trimEnd();
+    }
+
+    static formatMaskingPlan(filePath: string, plan: MaskingPlan, rules: MaskingRule[], outputPath: string): string {
+        let message = `🔍 **Masking Preview** - ${path.basename(filePath)}\n\n`;
+        message += `Rules: ${rules.length} from ${BacpacMasker.getRulesFilePath()}\n`;
+        message += `Output would be: ${outputPath}\n\n`;
+
+        if (plan.errors.length > 0) {
+            message += `❌ **Rules that cannot be applied**\n`;
+            plan.errors.forEach(error => { message += `• ${error}\n`; });
+            message += '\n';
+        }
+        if (plan.columns.length > 0) {
+            message += `**Columns to mask (${plan.columns.length})**\n`;
+            plan.columns.forEach(column => { message += `• ${this.formatMaskedColumn(column)}\n`; });
+        } else {
+            message += `No rule matches a column in this bacpac.\n`;
+        }
+        if (plan.unusedRules.length > 0) {
+            message += `\n⚠️ Rules matching nothing: ${plan.unusedRules.map(index => `#${index + 1} ${rules[index].table}.${rules[index].column}`).join(', ')}\n`;
+        }
+        return message;
+    }
+
+    static formatMaskingReport(report: MaskingReport): string {
+        let message = `🛡️ **Masked Bacpac Written**\n\n`;
+        message += `Source: ${report.sourcePath}\n`;
+        message += `Output: ${report.outputPath}\n`;
+        message += `Report: ${report.reportPath}\n`;
+        message += `Tables rewritten: ${report.tablesRewritten} (${report.rowsRewritten.toLocaleString()} rows, ${report.valuesMasked.toLocaleString()} values masked) in ${(report.durationMs / 1000).toFixed(1)}s\n\n`;
+
+        message += `**Columns**\n`;
+        report.columns.forEach(column => {
+            message += `• ${this.formatMaskedColumn(column)} - ${column.valuesMasked.toLocaleString()} masked, ${column.nullsSkipped.toLocaleString()} null\n`;
+        });
+        if (report.unusedRules.length > 0) {
+            message += `\n⚠️ Rules matching nothing: ${report.unusedRules.map(rule => `${rule.table}.${rule.column}`).join(', ')}\n`;
+        }
+        if (!report.salted) {
+            message += `\n💡 No salt configured: hashed and faked values differ between runs. Set "salt" in the rules file for stable output.\n`;
+        }
+        return message;
+    }
+
+    static formatMaskedColumn(column: { table: string; column: string; type: string; action: string; fake?: string; length?: number }): string {
+        const detail = column.action === 'fake' ? ` (${column.fake})` : column.action === 'truncate' ? ` (${column.length})` : '';
+        return `${column.table}.${column.column} [${column.type}] → ${column.action}${detail}`;
+    }
+
+    static formatPruneResult(result: PruneResult, policy: RetentionPolicy): string {
+        let message = result.dryRun
+            ? `🔍 **Backup Prune Preview** (keep ${policy.keepDaily} daily, ${policy.keepWeekly} weekly)\n\n`
+            : `🧹 **Backups Pruned** (keep ${policy.keepDaily} daily, ${policy.keepWeekly} weekly)\n\n`;
+
+        message += `Keep: ${result.keep.length} • ${result.dryRun ? 'Would remove' : 'Removed'}: ${result.remove.length}` +
+            ` • ${result.dryRun ? 'Would free' : 'Freed'}: ${this.formatBytes(result.freedBytes)}\n`;
+
+        if (result.keep.length > 0) {
+            message += '\n**Kept:**\n';
+            for (const { entry, reasons } of result.keep) {
+                message += `• ${entry.fileName} (${reasons.join(', ')})\n`;
+            }
+        }
+        if (result.remove.length > 0) {
+            message += `\n**${result.dryRun ? 'Would remove' : 'Removed'}:**\n`;
+            for (const entry of result.remove) {
+                message += `• ${entry.fileName} (${this.formatBytes(entry.size)})\n`;
+            }
+        }
+        if (result.errors.length > 0) {
+            message += '\n**Errors:**\n';
+            for (const { fileName, error } of result.errors) {
+                message += `• ${fileName}: ${error}\n`;
+            }
+        }
+        if (result.dryRun && result.remove.length > 0) {
+            message += '\n💡 Call prune_backups again with dryRun: false to delete these files.';
+        }
+
+        return message;
+    }
+
+    static formatBytes(bytes: number): string {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+    }
+}
+
+export default BackupTools;
@@ -0,0 +1,513 @@
+/**
+ * Blob Diff Tools - Compare blob containers across environments or against a local folder
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import fs from 'fs';
+const fsPromises = fs.promises;
+import path from 'path';
+import { URL } from 'url';
+import ResponseBuilder from '../response-builder';
+import OutputLogger from '../output-logger';
+import ManifestManager from '../manifest-manager';
+import BlobDownloadTools from './blob-download-tools';
+import BlobUploadTools from './blob-upload-tools';
+
+/**
+ * diff_blob_containers arguments
+ * Each side is an environment (optionally with a container) or a local folder.
+ */
+interface BlobDiffArgs {
+    sourceEnvironment?: string;
+    sourceContainer?: string;
+    sourcePath?: string;
+    targetEnvironment?: string;
+    targetContainer?: string;
+    targetPath?: string;
+    prefix?: string;
+    filter?: string;
+    outputFile?: string;
+    // Legacy parameters for compatibility
+    projectName?: string;
+    projectId?: string;
+    apiKey?: string;
+    apiSecret?: string;
+    isSelfHosted?: boolean;
+    connectionString?: string;
+    apiUrl?: string;
+}
+
+/**
+ * Where one side of the diff came from
+ */
+export interface DiffSide {
+    type: 'environment' | 'local';
+    environment?: string;
+    container?: string;
+    path?: string;
+    prefix?: string;
+}
+
+/**
+ * One blob (or local file) on one side
+ * md5 is base64, matching the Content-MD5 blob property.
+ */
+interface DiffItem {
+    name: string;
+    size: number;
+    lastModified?: string | null;
+    md5?: string | null;
+    localPath?: string;
+}
+
+interface ChangedEntry {
+    name: string;
+    sourceSize: number;
+    targetSize: number;
+    reason: 'checksum' | 'size';
+}
+
+interface DiffTotals {
+    count: number;
+    bytes: number;
+}
+
+/**
+ * Diff file written by diff_blob_containers and read by download_blobs / upload_blobs
+ */
+export interface BlobDiffFile {
+    version: number;
+    generatedAt: string;
+    // Project both sides were listed in; transfers reject a diff from another project
+    projectId?: string;
+    source: DiffSide;
+    target: DiffSide;
+    summary: {
+        added: DiffTotals;
+        removed: DiffTotals;
+        changed: DiffTotals & { sizeDelta: number };
+        unchanged: DiffTotals;
+        unverified: number;
+    };
+    added: Array<{ name: string; size: number }>;
+    removed: Array<{ name: string; size: number }>;
+    changed: ChangedEntry[];
+}
+
+/**
+ * Blob names a later transfer should act on
+ */
+export interface DiffSelection {
+    diff: BlobDiffFile;
+    // Added + changed: what a download from the source or an upload to the target moves
+    transfer: Set<string>;
+    // Only in the target: what a sync would delete
+    removed: Set<string>;
+}
+
+/**
+ * Project, environment and container a transfer is about to act on
+ */
+export interface DiffScope {
+    projectId: string;
+    environment: string;
+    container: string;
+}
+
+class BlobDiffTools {
+    // 2: records the project; version 1 files cannot be checked against one
+    static DIFF_FILE_VERSION = 2;
+
+    // Entries per category shown in the chat response (the diff file has them all)
+    static PREVIEW_LIMIT = 15;
+
+    /**
+     * Compare two containers, or a container and a local folder
+     */
+    static async handleDiffBlobContainers(args: BlobDiffArgs): Promise<any> {
+        if (args.isSelfHosted || args.connectionString) {
+            return ResponseBuilder.invalidParams('Container diffs use DXP API SAS links and are not available for self-hosted projects.');
+        }
+
+        if (!args.apiKey || !args.apiSecret || !args.projectId) {
+            return ResponseBuilder.invalidParams('Missing required parameters');
+        }
+
+        if (!args.sourceEnvironment === !args.sourcePath) {
+            return ResponseBuilder.invalidParams('Provide either sourceEnvironment or sourcePath (local folder) for the source side');
+        }
+        if (!args.targetEnvironment === !args.targetPath) {
+            return ResponseBuilder.invalidParams('Provide either targetEnvironment or targetPath (local folder) for the target side');
+        }
+        if (args.sourcePath && args.targetPath) {
+            return ResponseBuilder.invalidParams('At least one side must be an environment');
+        }
+
+        const prefix = BlobUploadTools.normalizePrefix(args.prefix);
+
+        try {
+            const source = await this.loadSide(args, 'source', prefix);
+            if ('error' in source) {
+                return source.error;
+            }
+            const target = await this.loadSide(args, 'target', prefix);
+            if ('error' in target) {
+                return target.error;
+            }
+
+            const diff = await this.compare(source.side, source.items, target.side, target.items);
+            diff.projectId = args.projectId;
+
+            let outputFile: string | null = null;
+            if (args.outputFile) {
+                outputFile = path.resolve(args.outputFile);
+                await fsPromises.mkdir(path.dirname(outputFile), { recursive: true });
+                await fsPromises.writeFile(outputFile, JSON.stringify(diff, null, 2), 'utf8');
+                OutputLogger.info(`💾 Diff written to ${outputFile}`);
+            }
+
+            const result = this.formatDiff(diff, outputFile);
+            return ResponseBuilder.successWithStructuredData(result.data, result.message);
+        } catch (error: any) {
+            console.error('Diff blob containers error:', error);
+            return ResponseBuilder.internalError('Failed to diff blob containers', error.message);
+        }
+    }
+
+    /**
+     * List one side of the diff
+     * @private
+     */
+    static async loadSide(
+        args: BlobDiffArgs,
+        which: 'source' | 'target',
+        prefix: string
+    ): Promise<{ side: DiffSide; items: Map<string, DiffItem> } | { error: any }> {
+        const environment = which === 'source' ? args.sourceEnvironment : args.targetEnvironment;
+        const localPath = which === 'source' ? args.sourcePath : args.targetPath;
+
+        if (localPath) {
+            const rootPath = path.resolve(localPath);
+            try {
+                if (!(await fsPromises.stat(rootPath)).isDirectory()) {
+                    return { error: ResponseBuilder.invalidParams(`${which}Path is not a folder: ${rootPath}`) };
+                }
+            } catch (error) {
+                return { error: ResponseBuilder.invalidParams(`${which}Path not found: ${rootPath}`) };
+            }
+
+            OutputLogger.info(`📂 Scanning ${rootPath}...`);
+            return {
+                side: { type: 'local', path: rootPath, ...(prefix && { prefix }) },
+                items: await this.listLocal(rootPath, prefix, args.filter)
+            };
+        }
+
+        const env = BlobDownloadTools.parseEnvironment(environment!);
+        const requestedContainer = which === 'source' ? args.sourceContainer : args.targetContainer;
+        const access = await BlobUploadTools.resolveContainer(args, env, requestedContainer, false);
+        if ('error' in access) {
+            return { error: ResponseBuilder.error(access.error) };
+        }
+
+        OutputLogger.info(`📋 Listing ${access.containerName} in ${env}...`);
+        const url = new URL(access.sasUrl);
+        const listing = await BlobDownloadTools.listBlobsInContainer(`${url.protocol}//${url.host}${url.pathname}`, url.search);
+
+        const items = new Map<string, DiffItem>();
+        for (const blob of listing.blobs) {
+            if (blob.name.startsWith(prefix) && this.matchesFilter(blob.name, args.filter)) {
+                items.set(blob.name, {
+                    name: blob.name,
+                    size: blob.size || 0,
+                    lastModified: blob.lastModified || null,
+                    md5: blob.contentMD5 || null
+                });
+            }
+        }
+
+        return {
+            side: { type: 'environment', environment: env, container: access.containerName, ...(prefix && { prefix }) },
+            items
+        };
+    }
+
+    /**
+     * Files in a local folder, keyed by the blob name they correspond to
+     * Checksums come from the folder's download manifest when it has them;
+     * the rest are computed on demand in compare().
+     * @private
+     */
+    static async listLocal(rootPath: string, prefix: string, filter?: string): Promise<Map<string, DiffItem>> {
+        const files = await BlobUploadTools.collectLocalFiles(rootPath, prefix);
+        const manifest = await ManifestManager.loadManifest(rootPath);
+        const items = new Map<string, DiffItem>();
+
+        for (const file of files) {
+            if (!this.matchesFilter(file.blobName, filter)) {
+                continue;
+            }
+
+            // Folders filled by download_blobs use blob names as manifest keys
+            const entry = manifest.files[file.blobName] || manifest.files[file.blobName.substring(prefix.length)];
+            const manifestMD5 = entry && entry.checksum && entry.size === file.size ? this.hexToBase64(entry.checksum) : null;
+
+            items.set(file.blobName, {
+                name: file.blobName,
+                size: file.size,
+                lastModified: entry ? entry.lastModified : null,
+                md5: manifestMD5,
+                localPath: file.filePath
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Compare two listings
+     * Checksums decide when both sides have one; otherwise a size difference
+     * means changed and same-size files are counted as unverified.
+     */
+    static async compare(
+        sourceSide: DiffSide,
+        source: Map<string, DiffItem>,
+        targetSide: DiffSide,
+        target: Map<string, DiffItem>
+    ): Promise<BlobDiffFile> {
+        const added: Array<{ name: string; size: number }> = [];
+        const removed: Array<{ name: string; size: number }> = [];
+        const changed: ChangedEntry[] = [];
+        let unchangedCount = 0;
+        let unchangedBytes = 0;
+        let unverified = 0;
+
+        for (const [name, sourceItem] of source) {
+            const targetItem = target.get(name);
+            if (!targetItem) {
+                added.push({ name, size: sourceItem.size });
+                continue;
+            }
+
+            if (sourceItem.size !== targetItem.size) {
+                changed.push({ name, sourceSize: sourceItem.size, targetSize: targetItem.size, reason: 'size' });
+                continue;
+            }
+
+            // Only hash local files when the other side has a checksum to compare with
+            const sourceMD5 = await this.resolveChecksum(sourceItem, targetItem);
+            const targetMD5 = await this.resolveChecksum(targetItem, sourceItem);
+
+            if (sourceMD5 && targetMD5) {
+                if (sourceMD5 !== targetMD5) {
+                    changed.push({ name, sourceSize: sourceItem.size, targetSize: targetItem.size, reason: 'checksum' });
+                    continue;
+                }
+            } else {
+                unverified++;
+            }
+
+            unchangedCount++;
+            unchangedBytes += sourceItem.size;
+        }
+
+        for (const [name, targetItem] of target) {
+            if (!source.has(name)) {
+                removed.push({ name, size: targetItem.size });
+            }
+        }
+
+        const byName = (a: { name: string }, b: { name: string }) => a.name.localeCompare(b.name);
+        added.sort(byName);
+        removed.sort(byName);
+        changed.sort(byName);
+
+        const total = (entries: Array<{ size: number }>): DiffTotals => ({
+            count: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+        });
+
+        return {
+            version: this.DIFF_FILE_VERSION,
+            generatedAt: new Date().toISOString(),
+            source: sourceSide,
+            target: targetSide,
+            summary: {
+                added: total(added),
+                removed: total(removed),
+                changed: {
+                    count: changed.length,
+                    bytes: changed.reduce((sum, entry) => sum + entry.sourceSize, 0),
+                    sizeDelta: changed.reduce((sum, entry) => sum + (entry.sourceSize - entry.targetSize), 0)
+                },
+                unchanged: { count: unchangedCount, bytes: unchangedBytes },
+                unverified
+            },
+            added,
+            removed,
+            changed
+        };
+    }
+
+    /**
+     * Checksum for an item, hashing a local file only if the other side has one
+     * @private
+     */
+    static async resolveChecksum(item: DiffItem, other: DiffItem): Promise<string | null> {
+        if (item.md5) {
+            return item.md5;
+        }
+        if (item.localPath && other.md5) {
+            const hex = await ManifestManager.calculateChecksum(item.localPath);
+            item.md5 = hex ? this.hexToBase64(hex) : null;
+            return item.md5;
+        }
+        return null;
+    }
+
+    /**
+     * Read a diff file written by diff_blob_containers and check it describes the container
+     * a transfer is about to use: download_blobs reads from the diff's source, upload_blobs
+     * and sync_blobs write to its target.
+     * @throws When the file is missing, not a blob diff, or generated for another project,
+     * environment or container
+     */
+    static async loadDiffFile(diffFile: string, side: 'source' | 'target', scope: DiffScope): Promise<DiffSelection> {
+        const filePath = path.resolve(diffFile);
+        let diff: BlobDiffFile;
+        try {
+            diff = JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+        } catch (error: any) {
+            throw new Error(`Cannot read diff file ${filePath}: ${error.message}`);
+        }
+
+        if (diff && typeof diff.version === 'number' && diff.version < this.DIFF_FILE_VERSION) {
+            throw new Error(`${filePath} was written by an older diff_blob_containers and does not record its project - run the diff again`);
+        }
+        if (!diff || diff.version !== this.DIFF_FILE_VERSION || !diff.source || !diff.target ||
+            !Array.isArray(diff.added) || !Array.isArray(diff.changed)) {
+            throw new Error(`${filePath} is not a diff file from diff_blob_containers`);
+        }
+
+        if (diff.projectId !== scope.projectId) {
+            throw new Error(`${filePath} was generated for project ${diff.projectId || 'unknown'}, not ${scope.projectId}`);
+        }
+        const expected = diff[side];
+        if (expected.type !== 'environment' ||
+            expected.environment !== scope.environment ||
+            (expected.container || '').toLowerCase() !== scope.container.toLowerCase()) {
+            throw new Error(
+                `${filePath} has ${this.describeSide(expected)} as its ${side}, not ${scope.environment} / ${scope.container} - ` +
+                `run diff_blob_containers again for this ${side === 'source' ? 'download' : 'upload'}`
+            );
+        }
+
+        const transfer = new Set<string>([
+            ...diff.added.map(entry => entry.name),
+            ...diff.changed.map(entry => entry.name)
+        ]);
+        const removed = new Set<string>((diff.removed || []).map(entry => entry.name));
+
+        OutputLogger.info(`📄 Using diff ${filePath}: ${transfer.size} added/changed, ${removed.size} removed`);
+        return { diff, transfer, removed };
+    }
+
+    /**
+     * Same filter syntax as download_blobs (glob or substring, case-insensitive)
+     * @private
+     */
+    static matchesFilter(name: string, filter?: string): boolean {
+        const pattern = BlobDownloadTools.globToRegex(filter);
+        return !pattern || new RegExp(pattern, 'i').test(name);
+    }
+
+    /**
+     * Manifest checksums are hex; Azure Content-MD5 is base64
+     * @private
+     */
+    static hexToBase64(hex: string): string {
+        return Buffer.from(hex, 'hex').toString('base64');
+    }
+
+    static describeSide(side: DiffSide): string {
+        const location = side.type === 'local'
+            ? `local folder ${side.path}`
+            : `${side.environment} / ${side.container}`;
+        return side.prefix ? `${location} (prefix ${side.prefix})` : location;
+    }
+
+    static formatDiff(diff: BlobDiffFile, outputFile: string | null): { data: any; message: string } {
+        const { summary } = diff;
+        const size = (bytes: number) => BlobDownloadTools.formatBytes(bytes);
+        const identical = summary.added.count === 0 && summary.removed.count === 0 && summary.changed.count === 0;
+
+        let message = `${identical ? '✅' : '🔀'} **Blob Container Diff**\n\n`;
+        message += `**Source:** ${this.describeSide(diff.source)}\n`;
+        message += `**Target:** ${this.describeSide(diff.target)}\n\n`;
+
+        if (identical) {
+            message += `No differences across ${summary.unchanged.count} files (${size(summary.unchanged.bytes)}).\n`;
+        } else {
+            const delta = summary.changed.sizeDelta;
+            message += `| | Files | Size |\n|---|---:|---:|\n`;
+            message += `| ➕ Added (only in source) | ${summary.added.count} | ${size(summary.added.bytes)} |\n`;
+            message += `| ➖ Removed (only in target) | ${summary.removed.count} | ${size(summary.removed.bytes)} |\n`;
+            message += `| ✏️ Changed | ${summary.changed.count} | ${size(summary.changed.bytes)} (${delta >= 0 ? '+' : '-'}${size(Math.abs(delta))}) |\n`;
+            message += `| ✓ Unchanged | ${summary.unchanged.count} | ${size(summary.unchanged.bytes)} |\n`;
+
+            message += this.formatEntries('Added', diff.added.map(entry => `${entry.name} - ${size(entry.size)}`));
+            message += this.formatEntries('Removed', diff.removed.map(entry => `${entry.name} - ${size(entry.size)}`));
+            message += this.formatEntries('Changed', diff.changed.map(entry =>
+                `${entry.name} - ${size(entry.targetSize)} → ${size(entry.sourceSize)}${entry.reason === 'checksum' ? ' (content differs)' : ''}`
+            ));
+        }
+
+        if (summary.unverified > 0) {
+            message += `\nℹ️ ${summary.unverified} same-size files had no checksum on one side and were counted as unchanged.\n`;
+        }
+
+        if (outputFile) {
+            message += `\n💾 **Diff file:** ${outputFile}\n`;
+            message += diff.source.type === 'environment'
+                ? `💡 Pass it as \`diffFile\` to download_blobs (from ${diff.source.environment}) or upload_blobs/sync_blobs to move only these blobs.\n`
+                : `💡 Pass it as \`diffFile\` to upload_blobs or sync_blobs to push only these files.\n`;
+        } else if (!identical) {
+            message += `\n💡 Add \`outputFile\` to save a diff that download_blobs/upload_blobs can take as input.\n`;
+        }
+
+        return {
+            data: {
+                source: diff.source,
+                target: diff.target,
+                summary,
+                identical,
+                added: diff.added.slice(0, 100),
+                removed: diff.removed.slice(0, 100),
+                changed: diff.changed.slice(0, 100),
+                truncated: diff.added.length > 100 || diff.removed.length > 100 || diff.changed.length > 100,
+                outputFile
+            },
+            message: ResponseBuilder.addFooter(message)
+        };
+    }
+
+    /**
+     * Bulleted list, truncated after PREVIEW_LIMIT entries
+     * @private
+     */
+    static formatEntries(label: string, lines: string[]): string {
+        if (lines.length === 0) {
+            return '';
+        }
+        let text = `\n**${label}:**\n`;
+        lines.slice(0, this.PREVIEW_LIMIT).forEach(line => {
+            text += `• ${line}\n`;
+        });
+        if (lines.length > this.PREVIEW_LIMIT) {
+            text += `• ...and ${lines.length - this.PREVIEW_LIMIT} more\n`;
+        }
+        return text;
+    }
+}
+
+export default BlobDiffTools;
@@ -6,6 +6,7 @@
 import fs from 'fs';
 const fsPromises = fs.promises;
 import path from 'path';
+import http from 'http';
 import https from 'https';
 import { URL } from 'url';
 import ProjectTools from './project-tools';
@@ -20,6 +21,7 @@ import ManifestManager from '../manifest-manager';
 import SelfHostedStorage from '../self-hosted-storage';
 import ProjectResolutionFix from './project-resolution-fix';
 import ProgressMonitor from '../progress-monitor';
+import AzureBlobDownloader from '../azure-blob-downloader';
 
 /**
  * Blob download arguments
@@ -30,6 +32,7 @@ interface BlobDownloadArgs {
     containerName?: string;
     downloadPath?: string;
     filter?: string;
+    diffFile?: string;
     previewOnly?: boolean;
     incremental?: boolean;
     forceFullDownload?: boolean;
@@ -72,6 +75,7 @@ interface BlobInfo {
     name: string;
     size?: number;
     lastModified?: string | null;
+    contentMD5?: string | null;
 }
 
 /**
@@ -108,6 +112,7 @@ interface DownloadResult {
     downloadedFiles: Array<{ name: string; size?: number }>;
     failedFiles: Array<{ name: string; error: string }>;
     totalSize: number;
+    cancelled?: boolean;
 }
 
 /**
@@ -451,6 +456,21 @@ class BlobDownloadTools {
                 );
             }
 
+            // A diff file from diff_blob_containers limits the download to added/changed blobs
+            // (required lazily: blob-diff-tools imports this module)
+            let onlyBlobs: Set<string> | null = null;
+            if (args.diffFile) {
+                try {
+                    onlyBlobs = (await require('./blob-diff-tools').default.loadDiffFile(args.diffFile, 'source', {
+                        projectId: projectConfig.projectId,
+                        environment: targetEnv,
+                        container: targetContainer
+                    })).transfer;
+                } catch (error: any) {
+                    return ResponseBuilder.invalidParams(error.message);
+                }
+            }
+
             // Always show preview first (unless explicitly skipped)
             // CRITICAL: When previewOnly is true, never skip confirmation to ensure preview runs
             const skipConfirmation = args.skipConfirmation === true && !previewOnly;
@@ -479,7 +499,8 @@ class BlobDownloadTools {
                     sasUrl,
                     filter,
                     previewOnly ? null : targetPath,  // Don't pass path in preview mode
-                    args.incremental !== false && !args.forceFullDownload
+                    args.incremental !== false && !args.forceFullDownload,
+                    onlyBlobs
                 );
 
                 // Show download confirmation with all details
@@ -613,6 +634,16 @@ class BlobDownloadTools {
                 }
 
                 downloadKey = downloadManager.registerDownload(downloadInfo);
+                downloadManager.rememberForRestart(downloadKey, 'download_blobs', {
+                    ...args,
+                    projectName: projectConfig.name,
+                    environment: targetEnv,
+                    containerName: targetContainer,
+                    downloadPath: targetPath,
+                    background: true,
+                    previewOnly: false,
+                    skipConfirmation: true
+                });
 
                 if (process.env.DEBUG === 'true') {
                     console.error('[DEBUG] Registered new download:', downloadKey);
@@ -631,7 +662,8 @@ class BlobDownloadTools {
                     downloadKey,  // Pass the key for progress updates
                     args.incremental !== false,  // Default to true
                     args.forceFullDownload === true,  // Default to false
-                    monitorProgress  // DXP-3: Pass monitor flag
+                    monitorProgress,  // DXP-3: Pass monitor flag
+                    onlyBlobs
                 );
 
                 // Mark download as complete
@@ -910,7 +942,7 @@ class BlobDownloadTools {
                     // Check common property names
                     const urlProps = ['sasLink', 'url', 'sasUrl', 'link'];
                     for (const prop of urlProps) {
-                        if (result[prop] && typeof result[prop] === 'string' && result[prop].startsWith('https://')) {
+                        if (result[prop] && typeof result[prop] === 'string' && /^https?:\/\//.test(result[prop])) {
                             return result[prop];
                         }
                     }
@@ -925,13 +957,13 @@ class BlobDownloadTools {
             // Now search for URL in the text
             if (textToSearch) {
                 // Look for URL in backticks (the format used by StorageTools)
-                const backtickMatch = textToSearch.match(/`(https:\/\/[^`]+)`/);
+                const backtickMatch = textToSearch.match(/`(https?:\/\/[^`]+)`/);
                 if (backtickMatch) {
                     return backtickMatch[1];
                 }
 
                 // Fallback: Look for any HTTPS URL
-                const urlMatch = textToSearch.match(/https:\/\/[^\s"'`<>\\]+/);
+                const urlMatch = textToSearch.match(/https?:\/\/[^\s"'`<>\\]+/);
                 if (urlMatch) {
                     return urlMatch[0];
                 }
@@ -954,11 +986,13 @@ class BlobDownloadTools {
         downloadKey: string | null = null,
         incremental = true,
         forceFullDownload = false,
-        monitorProgress = false
+        monitorProgress = false,
+        onlyBlobs: Set<string> | null = null
     ): Promise<DownloadResult> {
         const downloadedFiles: Array<{ name: string; size?: number }> = [];
         const failedFiles: Array<{ name: string; error: string }> = [];
         let totalSize = 0;
+        let cancelled = false;
 
         // DXP-3: Initialize progress monitor
         let progressMonitor: any = null;
@@ -1000,6 +1034,11 @@ class BlobDownloadTools {
                 }
             }
 
+            if (onlyBlobs) {
+                blobsToDownload = blobsToDownload.filter(blob => onlyBlobs.has(blob.name));
+                OutputLogger.info(`✅ Diff file: ${blobsToDownload.length} added/changed blobs to download`);
+            }
+
             // Check for incremental download opportunities
             let incrementalInfo: IncrementalInfo | null = null;
             let skippedFiles: ManifestFileInfo[] = [];
@@ -1095,6 +1134,12 @@ class BlobDownloadTools {
 
             // Download each blob
             for (let i = 0; i < blobsToDownload.length; i++) {
+                // Paused downloads wait here between files; in-flight ranges are aborted and resumed
+                if (downloadKey && !(await downloadManager.waitWhilePaused(downloadKey))) {
+                    cancelled = true;
+                    break;
+                }
+
                 const blob = blobsToDownload[i];
                 const progressNum = i + 1;
                 const percentage = Math.round((progressNum / blobsToDownload.length) * 100);
@@ -1126,8 +1171,8 @@ class BlobDownloadTools {
                     // Ensure parent directory exists
                     await fsPromises.mkdir(path.dirname(localPath), { recursive: true});
 
-                    // Download the blob
-                    const size = await this.downloadBlob(blobUrl, localPath);
+                    // Download the blob (ranged and resumable; partial state sits next to the manifest)
+                    const size = await this.downloadBlob(blobUrl, localPath, targetPath, downloadKey, blob.size);
 
                     downloadedFiles.push({ name: blob.name, size });
                     totalSize += size;
@@ -1148,11 +1193,24 @@ class BlobDownloadTools {
                     }
 
                 } catch (error: any) {
+                    if (downloadManager.isCancelled(downloadKey)) {
+                        cancelled = true;
+                        break;
+                    }
                     OutputLogger.error(`Failed to download ${blob.name}: ${error.message}`);
                     failedFiles.push({ name: blob.name, error: error.message });
                 }
             }
 
+            if (cancelled) {
+                OutputLogger.info(`❌ Download cancelled - keeping ${downloadedFiles.length} completed files; run it again to resume`);
+            }
+
+            // Record completed files so a re-run (e.g. after a cancel) skips them
+            if (incrementalInfo && downloadedFiles.length > 0) {
+                await ManifestManager.saveManifest(targetPath, incrementalInfo.manifest);
+            }
+
             // DXP-3: Mark download as complete in progress monitor
             if (monitorProgress && progressMonitor) {
                 progressMonitor.complete();
@@ -1177,7 +1235,7 @@ class BlobDownloadTools {
             throw error;
         }
 
-        return { downloadedFiles, failedFiles, totalSize };
+        return { downloadedFiles, failedFiles, totalSize, cancelled };
     }
 
     /**
@@ -1220,7 +1278,8 @@ class BlobDownloadTools {
                 listUrl += `&marker=${encodeURIComponent(marker)}`;
             }
 
-            https.get(listUrl, (response) => {
+            const transport = listUrl.startsWith('http:') ? http : https;
+            transport.get(listUrl, (response) => {
                 let data = '';
 
                 response.on('data', chunk => {
@@ -1254,12 +1313,14 @@ class BlobDownloadTools {
             const nameMatch = blobXml.match(/<Name>([^<]+)<\/Name>/);
             const sizeMatch = blobXml.match(/<Content-Length>(\d+)<\/Content-Length>/);
             const lastModifiedMatch = blobXml.match(/<Last-Modified>([^<]+)<\/Last-Modified>/);
+            const md5Match = blobXml.match(/<Content-MD5>([^<]+)<\/Content-MD5>/);
 
             if (nameMatch) {
                 blobs.push({
                     name: nameMatch[1],
                     size: sizeMatch ? parseInt(sizeMatch[1]) : 0,
-                    lastModified: lastModifiedMatch ? lastModifiedMatch[1] : null
+                    lastModified: lastModifiedMatch ? lastModifiedMatch[1] : null,
+                    contentMD5: md5Match ? md5Match[1] : null
                 });
             }
         }
@@ -1276,34 +1337,21 @@ class BlobDownloadTools {
 
     /**
      * Download a single blob
+     * Uses Range requests so interrupted transfers resume, and large blobs download in parallel chunks
      */
-    static async downloadBlob(blobUrl: string, localPath: string): Promise<number> {
-        return new Promise((resolve, reject) => {
-            const file = fs.createWriteStream(localPath);
-            let size = 0;
-
-            https.get(blobUrl, (response) => {
-                if (response.statusCode !== 200) {
-                    reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                    return;
-                }
-
-                response.on('data', chunk => {
-                    size += chunk.length;
-                });
-
-                response.pipe(file);
-
-                file.on('finish', () => {
-                    file.close(() => resolve(size));
-                });
-
-                file.on('error', (error) => {
-                    fs.unlinkSync(localPath);
-                    reject(error);
-                });
-            }).on('error', reject);
+    static async downloadBlob(
+        blobUrl: string,
+        localPath: string,
+        stateDir: string | null = null,
+        downloadKey: string | null = null,
+        expectedSize?: number
+    ): Promise<number> {
+        const result = await AzureBlobDownloader.download(blobUrl, localPath, {
+            stateDir: stateDir || path.dirname(localPath),
+            downloadKey,
+            expectedSize
         });
+        return result.size;
     }
 
     /**
@@ -1346,7 +1394,8 @@ class BlobDownloadTools {
         sasUrl: string,
         filter: string | undefined,
         targetPath: string | null = null,
-        checkIncremental = false
+        checkIncremental = false,
+        onlyBlobs: Set<string> | null = null
     ): Promise<PreviewResult> {
         try {
             // Parse the SAS URL
@@ -1369,6 +1418,9 @@ class BlobDownloadTools {
                 const filterRegex = new RegExp(regexPattern!, 'i');
                 filteredBlobs = blobs.filter(blob => filterRegex.test(blob.name));
             }
+            if (onlyBlobs) {
+                filteredBlobs = filteredBlobs.filter(blob => onlyBlobs.has(blob.name));
+            }
 
             // Calculate filtered statistics
             const filteredTotalSize = filteredBlobs.reduce((sum, blob) => sum + (blob.size || 0), 0);
@@ -1547,7 +1599,7 @@ class BlobDownloadTools {
     ): any {
         const { downloadedFiles, failedFiles, totalSize } = result;
 
-        let message = `✅ **Blob Download Complete**\n\n`;
+        let message = result.cancelled ? `❌ **Blob Download Cancelled**\n\n` : `✅ **Blob Download Complete**\n\n`;
         message += `📦➡️💾 **Downloaded From**: ${environment} / ${containerName}\n`;
         message += `💾 **Saved To**: \`${targetPath}\`\n\n`;
 
@@ -1566,6 +1618,10 @@ class BlobDownloadTools {
             }
         }
 
+        if (result.cancelled) {
+            message += `\nCompleted files were kept. Run the same download again to continue where it stopped.\n`;
+        }
+
         message += `\n💡 **Tips**:\n`;
         message += `• Files are organized in the same structure as the container\n`;
         message += `• You can filter downloads with --filter "pattern"\n`;
@@ -1581,7 +1637,8 @@ class BlobDownloadTools {
             totalSizeBytes: totalSize,
             totalSize: this.formatBytes(totalSize),
             downloadedFiles: downloadedFiles,
-            failedFiles: failedFiles
+            failedFiles: failedFiles,
+            cancelled: result.cancelled === true
         }, message);
     }
 
@@ -1808,6 +1865,13 @@ class BlobDownloadTools {
                     `\`\`\`\ndownload_status({ downloadId: "${downloadKey}", monitor: true })\n\`\`\``);
             }
 
+            downloadManager.rememberForRestart(downloadKey, 'download_blobs', {
+                ...args,
+                background: true,
+                previewOnly: false,
+                skipConfirmation: true
+            });
+
             // Start download in background (don't await!)
             // Force skipConfirmation for background downloads
             const downloadArgs: BlobDownloadArgs = {
@@ -0,0 +1,659 @@
+/**
+ * Blob Upload Tools - Upload and sync local folders into Azure Storage containers
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import fs from 'fs';
+const fsPromises = fs.promises;
+import path from 'path';
+import crypto from 'crypto';
+import { URL } from 'url';
+import ResponseBuilder from '../response-builder';
+import OutputLogger from '../output-logger';
+import DXPRestClient from '../dxp-rest-client';
+import AzureBlobUploader from '../azure-blob-uploader';
+import PermissionChecker from './permission-checker';
+import BlobDownloadTools from './blob-download-tools';
+
+/**
+ * Credentials needed to reach an environment's containers
+ */
+export interface ContainerAccessArgs {
+    projectName?: string;
+    projectId?: string;
+    apiKey?: string;
+    apiSecret?: string;
+    apiUrl?: string;
+}
+
+/**
+ * Blob upload/sync arguments
+ */
+interface BlobUploadArgs {
+    environment?: string;
+    project?: string;
+    sourcePath?: string;
+    containerName?: string;
+    targetPrefix?: string;
+    include?: string | string[];
+    exclude?: string | string[];
+    dryRun?: boolean;
+    skipUnchanged?: boolean;
+    concurrency?: number;
+    diffFile?: string;
+    // Legacy parameters for compatibility
+    projectName?: string;
+    projectId?: string;
+    apiKey?: string;
+    apiSecret?: string;
+    isSelfHosted?: boolean;
+    connectionString?: string;
+    apiUrl?: string;
+}
+
+type UploadMode = 'upload' | 'sync';
+
+/**
+ * Local file to upload
+ */
+interface LocalFile {
+    blobName: string;
+    filePath: string;
+    size: number;
+    contentMD5?: string;
+}
+
+/**
+ * Remote blob from the container listing
+ */
+interface RemoteBlob {
+    name: string;
+    size?: number;
+    contentMD5?: string | null;
+}
+
+/**
+ * One planned change
+ */
+interface PlanEntry {
+    blobName: string;
+    size: number;
+    reason: 'new' | 'changed' | 'unchanged' | 'remote-only';
+    file?: LocalFile;
+}
+
+/**
+ * Diff between the local folder and the container
+ */
+interface UploadPlan {
+    toUpload: PlanEntry[];
+    unchanged: PlanEntry[];
+    toDelete: PlanEntry[];
+    localFiles: number;
+    remoteBlobs: number;
+    bytesToUpload: number;
+}
+
+/**
+ * Outcome of applying a plan
+ */
+interface UploadOutcome {
+    uploaded: Array<{ blobName: string; size: number }>;
+    deleted: string[];
+    failed: Array<{ blobName: string; action: 'upload' | 'delete'; error: string }>;
+    bytesUploaded: number;
+    duration: number;
+}
+
+class BlobUploadTools {
+    static DEFAULT_CONCURRENCY = 4;
+    static MAX_CONCURRENCY = 16;
+
+    // Files listed in previews before the rest are summarised
+    static PREVIEW_LIMIT = 15;
+
+    // Blob properties are served as-is by the CDN, so media needs a real content type
+    static CONTENT_TYPES: Record<string, string> = {
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.png': 'image/png',
+        '.gif': 'image/gif',
+        '.webp': 'image/webp',
+        '.svg': 'image/svg+xml',
+        '.ico': 'image/x-icon',
+        '.avif': 'image/avif',
+        '.pdf': 'application/pdf',
+        '.json': 'application/json',
+        '.xml': 'application/xml',
+        '.txt': 'text/plain',
+        '.csv': 'text/csv',
+        '.html': 'text/html',
+        '.css': 'text/css',
+        '.js': 'application/javascript',
+        '.mp4': 'video/mp4',
+        '.webm': 'video/webm',
+        '.mp3': 'audio/mpeg',
+        '.woff': 'font/woff',
+        '.woff2': 'font/woff2',
+        '.zip': 'application/zip',
+        '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    };
+
+    // Never pushed to storage: download manifests and OS metadata
+    static IGNORED_FILES = ['.download-manifest.json', '.download-partial.json', '.backup-catalog.json', '.DS_Store', 'Thumbs.db', 'desktop.ini'];
+
+    /**
+     * Upload new and changed files from a local folder (never deletes)
+     */
+    static async handleUploadBlobs(args: BlobUploadArgs): Promise<any> {
+        return this.handleTransfer(args, 'upload');
+    }
+
+    /**
+     * Mirror a local folder into a container: upload new/changed files and delete
+     * blobs under the prefix that no longer exist locally. Dry run unless dryRun=false.
+     */
+    static async handleSyncBlobs(args: BlobUploadArgs): Promise<any> {
+        return this.handleTransfer({ ...args, dryRun: args.dryRun !== false }, 'sync');
+    }
+
+    static async handleTransfer(args: BlobUploadArgs, mode: UploadMode): Promise<any> {
+        if (args.isSelfHosted || args.connectionString) {
+            return ResponseBuilder.invalidParams('Blob uploads through the DXP API are not available for self-hosted projects. Use Azure Storage Explorer or azcopy with your connection string.');
+        }
+
+        if (!args.apiKey || !args.apiSecret || !args.projectId) {
+            return ResponseBuilder.invalidParams('Missing required parameters');
+        }
+
+        if (!args.environment) {
+            return ResponseBuilder.invalidParams('environment is required (uploads never default to an environment)');
+        }
+
+        if (!args.sourcePath) {
+            return ResponseBuilder.invalidParams('sourcePath is required (local folder to upload)');
+        }
+
+        const sourcePath = path.resolve(args.sourcePath);
+        try {
+            const stats = await fsPromises.stat(sourcePath);
+            if (!stats.isDirectory()) {
+                return ResponseBuilder.invalidParams(`sourcePath is not a folder: ${sourcePath}`);
+            }
+        } catch (error) {
+            return ResponseBuilder.invalidParams(`sourcePath not found: ${sourcePath}`);
+        }
+
+        const environment = BlobDownloadTools.parseEnvironment(args.environment);
+        const concurrency = Math.max(1, Math.min(args.concurrency || this.DEFAULT_CONCURRENCY, this.MAX_CONCURRENCY));
+        const dryRun = args.dryRun === true;
+        const skipUnchanged = args.skipUnchanged !== false;
+        const targetPrefix = this.normalizePrefix(args.targetPrefix);
+
+        try {
+            const access = await this.resolveContainer(args, environment, args.containerName, true);
+            if ('error' in access) {
+                return ResponseBuilder.error(access.error);
+            }
+            const { containerName, sasUrl } = access;
+
+            // A diff file from diff_blob_containers narrows the run to the blobs it lists
+            // (required lazily: blob-diff-tools imports this module)
+            let diffSelection = null;
+            if (args.diffFile) {
+                try {
+                    diffSelection = await require('./blob-diff-tools').default.loadDiffFile(args.diffFile, 'target', {
+                        projectId: args.projectId,
+                        environment,
+                        container: containerName
+                    });
+                } catch (error: any) {
+                    return ResponseBuilder.invalidParams(error.message);
+                }
+            }
+
+            OutputLogger.info(`📂 Scanning ${sourcePath}...`);
+            let localFiles = await this.collectLocalFiles(sourcePath, targetPrefix, args.include, args.exclude);
+            if (diffSelection) {
+                localFiles = localFiles.filter(file => diffSelection.transfer.has(file.blobName));
+            }
+
+            OutputLogger.info(`📋 Listing ${containerName} in ${environment}...`);
+            const url = new URL(sasUrl);
+            const listing = await BlobDownloadTools.listBlobsInContainer(`${url.protocol}//${url.host}${url.pathname}`, url.search);
+            const remoteBlobs = listing.blobs.filter(blob =>
+                blob.name.startsWith(targetPrefix) &&
+                this.matchesFilters(blob.name.substring(targetPrefix.length), args.include, args.exclude) &&
+                (!diffSelection || diffSelection.transfer.has(blob.name) || diffSelection.removed.has(blob.name))
+            );
+
+            const plan = await this.buildPlan(localFiles, remoteBlobs, mode, skipUnchanged);
+
+            const context = { mode, environment, containerName, sourcePath, targetPrefix, dryRun, concurrency, diffFile: args.diffFile };
+
+            if (dryRun) {
+                const preview = this.formatPlan(plan, context);
+                return ResponseBuilder.successWithStructuredData(preview.data, preview.message);
+            }
+
+            const outcome = await this.applyPlan(plan, sasUrl, concurrency);
+            const result = this.formatOutcome(plan, outcome, context);
+            return ResponseBuilder.successWithStructuredData(result.data, result.message);
+        } catch (error: any) {
+            console.error(`${mode === 'sync' ? 'Sync' : 'Upload'} blobs error:`, error);
+            return ResponseBuilder.internalError(`Failed to ${mode} blobs`, error.message);
+        }
+    }
+
+    /**
+     * Check environment access, pick the container and issue a SAS link for it
+     * Without a container name the media container is auto-detected.
+     * @returns Container name and SAS URL, or an error message
+     */
+    static async resolveContainer(
+        args: ContainerAccessArgs,
+        environment: string,
+        requestedName: string | undefined,
+        writable: boolean
+    ): Promise<{ containerName: string; sasUrl: string } | { error: string }> {
+        const permissions = await PermissionChecker.getOrCheckPermissionsSafe({
+            apiKey: args.apiKey,
+            apiSecret: args.apiSecret,
+            projectId: args.projectId,
+            id: args.projectId,
+            projectName: args.projectName || 'Project'
+        });
+
+        if (!permissions.accessible.includes(environment)) {
+            return {
+                error: `❌ **Access Denied to ${environment}**\n\n` +
+                    `Your API key does not have access to the ${environment} environment.\n\n` +
+                    `**Available environments:** ${permissions.accessible.join(', ') || 'None'}`
+            };
+        }
+
+        // Uploads can only go to writable containers
+        const containers = this.parseContainerNames(
+            await DXPRestClient.getStorageContainers(args.projectId!, args.apiKey!, args.apiSecret!, environment, writable, { apiUrl: args.apiUrl })
+        );
+        const label = writable ? 'Writable containers' : 'Containers';
+
+        // Exact container names win over friendly aliases ("media", "web")
+        let containerName = requestedName;
+        if (containerName && !containers.includes(containerName.toLowerCase())) {
+            containerName = BlobDownloadTools.parseNaturalLanguageContainer(containerName);
+        }
+        if (containerName) {
+            containerName = containerName.toLowerCase();
+            if (!containers.includes(containerName)) {
+                return {
+                    error: `❌ Container '${requestedName}' is not ${writable ? 'writable' : 'available'} in ${environment}.\n\n` +
+                        `**${label}:** ${containers.join(', ') || 'None'}`
+                };
+            }
+        } else {
+            containerName = BlobDownloadTools.detectMediaContainer(containers) || undefined;
+            if (!containerName) {
+                return {
+                    error: `❌ Could not pick a container automatically in ${environment}.\n\n` +
+                        `**${label}:** ${containers.join(', ') || 'None'}\n\n` +
+                        `💡 Pass a container name to choose one.`
+                };
+            }
+            OutputLogger.info(`📦 Auto-selected container in ${environment}: ${containerName}`);
+        }
+
+        const sasResult = await DXPRestClient.getContainerSasLink(
+            args.projectId!,
+            args.apiKey!,
+            args.apiSecret!,
+            environment,
+            containerName,
+            { retentionHours: 2, writable },
+            { apiUrl: args.apiUrl }
+        );
+        const sasUrl = sasResult && (sasResult.sasLink || sasResult.url);
+        if (!sasUrl) {
+            return { error: `Failed to generate a ${writable ? 'writable ' : ''}SAS link for ${containerName}` };
+        }
+
+        return { containerName, sasUrl };
+    }
+
+    /**
+     * Walk a folder and return the files that pass the include/exclude filters
+     * Blob names use forward slashes and start with the target prefix.
+     */
+    static async collectLocalFiles(
+        rootPath: string,
+        targetPrefix: string,
+        include?: string | string[],
+        exclude?: string | string[]
+    ): Promise<LocalFile[]> {
+        const files: LocalFile[] = [];
+
+        const walk = async (dir: string): Promise<void> => {
+            const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                    continue;
+                }
+                // *.partial files are interrupted downloads, not content
+                if (!entry.isFile() || this.IGNORED_FILES.includes(entry.name) || entry.name.endsWith('.partial')) {
+                    continue;
+                }
+
+                const relativePath = path.relative(rootPath, fullPath).split(path.sep).join('/');
+                if (!this.matchesFilters(relativePath, include, exclude)) {
+                    continue;
+                }
+
+                const stats = await fsPromises.stat(fullPath);
+                files.push({
+                    blobName: targetPrefix + relativePath,
+                    filePath: fullPath,
+                    size: stats.size
+                });
+            }
+        };
+
+        await walk(rootPath);
+        return files.sort((a, b) => a.blobName.localeCompare(b.blobName));
+    }
+
+    /**
+     * Check a relative path against include/exclude patterns
+     * Patterns use the same syntax as download_blobs filters (glob or substring, case-insensitive).
+     */
+    static matchesFilters(relativePath: string, include?: string | string[], exclude?: string | string[]): boolean {
+        const toRegexes = (patterns?: string | string[]): RegExp[] =>
+            ([] as string[]).concat(patterns || [])
+                .map(pattern => BlobDownloadTools.globToRegex(pattern))
+                .filter((pattern): pattern is string => !!pattern)
+                .map(pattern => new RegExp(pattern, 'i'));
+
+        const includes = toRegexes(include);
+        const excludes = toRegexes(exclude);
+
+        if (includes.length > 0 && !includes.some(regex => regex.test(relativePath))) {
+            return false;
+        }
+        return !excludes.some(regex => regex.test(relativePath));
+    }
+
+    /**
+     * Diff local files against the remote listing
+     * Same-size files are hashed and compared with the blob's Content-MD5;
+     * blobs without a stored MD5 are re-uploaded so later syncs can skip them.
+     */
+    static async buildPlan(localFiles: LocalFile[], remoteBlobs: RemoteBlob[], mode: UploadMode, skipUnchanged: boolean): Promise<UploadPlan> {
+        const remoteByName = new Map(remoteBlobs.map(blob => [blob.name, blob]));
+        const localNames = new Set(localFiles.map(file => file.blobName));
+
+        const toUpload: PlanEntry[] = [];
+        const unchanged: PlanEntry[] = [];
+
+        for (const file of localFiles) {
+            const remote = remoteByName.get(file.blobName);
+            if (!remote) {
+                toUpload.push({ blobName: file.blobName, size: file.size, reason: 'new', file });
+                continue;
+            }
+
+            if (skipUnchanged && remote.contentMD5 && remote.size === file.size) {
+                file.contentMD5 = await this.calculateContentMD5(file.filePath);
+                if (file.contentMD5 === remote.contentMD5) {
+                    unchanged.push({ blobName: file.blobName, size: file.size, reason: 'unchanged', file });
+                    continue;
+                }
+            }
+
+            toUpload.push({ blobName: file.blobName, size: file.size, reason: 'changed', file });
+        }
+
+        const toDelete: PlanEntry[] = mode === 'sync'
+            ? remoteBlobs
+                .filter(blob => !localNames.has(blob.name))
+                .map(blob => ({ blobName: blob.name, size: blob.size || 0, reason: 'remote-only' as const }))
+            : [];
+
+        return {
+            toUpload,
+            unchanged,
+            toDelete,
+            localFiles: localFiles.length,
+            remoteBlobs: remoteBlobs.length,
+            bytesToUpload: toUpload.reduce((sum, entry) => sum + entry.size, 0)
+        };
+    }
+
+    /**
+     * Upload and delete with a bounded number of requests in flight
+     * Failures are collected per file so one bad file does not stop the run.
+     */
+    static async applyPlan(plan: UploadPlan, sasUrl: string, concurrency: number): Promise<UploadOutcome> {
+        const startTime = Date.now();
+        const outcome: UploadOutcome = { uploaded: [], deleted: [], failed: [], bytesUploaded: 0, duration: 0 };
+        const total = plan.toUpload.length + plan.toDelete.length;
+        let done = 0;
+
+        const report = () => {
+            done++;
+            if (done % 25 === 0 || done === total) {
+                OutputLogger.info(`📤 ${done}/${total} operations (${BlobDownloadTools.formatBytes(outcome.bytesUploaded)} uploaded)`);
+            }
+        };
+
+        const tasks: Array<() => Promise<void>> = [
+            ...plan.toUpload.map(entry => async () => {
+                const file = entry.file!;
+                try {
+                    const contentMD5 = file.contentMD5 || await this.calculateContentMD5(file.filePath);
+                    const result = await AzureBlobUploader.uploadFile(sasUrl, file.blobName, file.filePath, {
+                        contentType: this.getContentType(file.filePath),
+                        contentMD5
+                    });
+                    outcome.uploaded.push({ blobName: file.blobName, size: result.bytesUploaded });
+                    outcome.bytesUploaded += result.bytesUploaded;
+                } catch (error: any) {
+                    outcome.failed.push({ blobName: file.blobName, action: 'upload', error: error.message });
+                }
+                report();
+            }),
+            ...plan.toDelete.map(entry => async () => {
+                try {
+                    await AzureBlobUploader.deleteBlob(sasUrl, entry.blobName);
+                    outcome.deleted.push(entry.blobName);
+                } catch (error: any) {
+                    outcome.failed.push({ blobName: entry.blobName, action: 'delete', error: error.message });
+                }
+                report();
+            })
+        ];
+
+        await this.runWithConcurrency(tasks, concurrency);
+
+        outcome.duration = Date.now() - startTime;
+        return outcome;
+    }
+
+    /**
+     * Run tasks with at most `limit` in flight
+     */
+    static async runWithConcurrency(tasks: Array<() => Promise<void>>, limit: number): Promise<void> {
+        let next = 0;
+        const worker = async (): Promise<void> => {
+            while (next < tasks.length) {
+                const task = tasks[next++];
+                await task();
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, () => worker()));
+    }
+
+    /**
+     * Base64 MD5 of a file, in the form Azure stores as Content-MD5
+     */
+    static calculateContentMD5(filePath: string): Promise<string> {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('md5');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('base64')))
+                .on('error', reject);
+        });
+    }
+
+    static getContentType(filePath: string): string {
+        return this.CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    }
+
+    /**
+     * "media/2024" → "media/2024/", "" → ""
+     */
+    static normalizePrefix(prefix?: string): string {
+        if (!prefix) {
+            return '';
+        }
+        const trimmed = prefix.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+        return trimmed ? `${trimmed}/` : '';
+    }
+
+    /**
+     * Container names from the storage containers API (array or { storageContainers })
+     */
+    static parseContainerNames(result: any): string[] {
+        const list = Array.isArray(result) ? result : (result && result.storageContainers) || [];
+        return list
+            .map((item: any) => (typeof item === 'string' ? item : item && (item.name || item.containerName)))
+            .filter((name: any): name is string => typeof name === 'string')
+            .map((name: string) => name.toLowerCase());
+    }
+
+    static formatPlan(plan: UploadPlan, context: Record<string, any>): { data: any; message: string } {
+        const verb = context.mode === 'sync' ? 'Sync' : 'Upload';
+        let message = `🔍 **${verb} Preview (dry run)**\n\n`;
+        message += this.formatHeader(context);
+        message += `**Local files:** ${plan.localFiles}\n`;
+        message += `**Remote blobs in scope:** ${plan.remoteBlobs}\n\n`;
+
+        message += `📤 **To upload:** ${plan.toUpload.length} (${BlobDownloadTools.formatBytes(plan.bytesToUpload)})`;
+        const newCount = plan.toUpload.filter(entry => entry.reason === 'new').length;
+        if (plan.toUpload.length > 0) {
+            message += ` - ${newCount} new, ${plan.toUpload.length - newCount} changed`;
+        }
+        message += '\n';
+        message += `⏭️ **Unchanged (MD5 match):** ${plan.unchanged.length}\n`;
+        if (context.mode === 'sync') {
+            message += `🗑️ **To delete (not in local folder):** ${plan.toDelete.length}\n`;
+        }
+
+        message += this.formatEntries('Upload', plan.toUpload);
+        if (context.mode === 'sync') {
+            message += this.formatEntries('Delete', plan.toDelete);
+        }
+
+        const params = context.mode === 'sync' ? 'dryRun: false' : 'dryRun: false (or omit it)';
+        message += `\n💡 Run again with \`${params}\` to apply these changes.`;
+
+        return {
+            data: {
+                mode: context.mode,
+                dryRun: true,
+                environment: context.environment,
+                containerName: context.containerName,
+                targetPrefix: context.targetPrefix || null,
+                localFiles: plan.localFiles,
+                remoteBlobs: plan.remoteBlobs,
+                toUpload: plan.toUpload.map(entry => ({ blobName: entry.blobName, size: entry.size, reason: entry.reason })),
+                unchanged: plan.unchanged.length,
+                toDelete: plan.toDelete.map(entry => ({ blobName: entry.blobName, size: entry.size })),
+                bytesToUpload: plan.bytesToUpload
+            },
+            message: ResponseBuilder.addFooter(message)
+        };
+    }
+
+    static formatOutcome(plan: UploadPlan, outcome: UploadOutcome, context: Record<string, any>): { data: any; message: string } {
+        const verb = context.mode === 'sync' ? 'Sync' : 'Upload';
+        const status = outcome.failed.length === 0 ? '✅' : '⚠️';
+
+        let message = `${status} **${verb} ${outcome.failed.length === 0 ? 'Complete' : 'Finished With Errors'}**\n\n`;
+        message += this.formatHeader(context);
+        message += `**Uploaded:** ${outcome.uploaded.length} files (${BlobDownloadTools.formatBytes(outcome.bytesUploaded)})\n`;
+        message += `**Skipped (unchanged):** ${plan.unchanged.length}\n`;
+        if (context.mode === 'sync') {
+            message += `**Deleted:** ${outcome.deleted.length}\n`;
+        }
+        message += `**Duration:** ${BlobDownloadTools.formatDuration(Math.round(outcome.duration / 1000))}\n`;
+
+        if (outcome.failed.length > 0) {
+            message += `\n**Failed (${outcome.failed.length}):**\n`;
+            outcome.failed.slice(0, this.PREVIEW_LIMIT).forEach(failure => {
+                message += `• ${failure.action} ${failure.blobName}: ${failure.error}\n`;
+            });
+            if (outcome.failed.length > this.PREVIEW_LIMIT) {
+                message += `• ...and ${outcome.failed.length - this.PREVIEW_LIMIT} more\n`;
+            }
+        }
+
+        return {
+            data: {
+                mode: context.mode,
+                dryRun: false,
+                environment: context.environment,
+                containerName: context.containerName,
+                targetPrefix: context.targetPrefix || null,
+                uploaded: outcome.uploaded.length,
+                skipped: plan.unchanged.length,
+                deleted: outcome.deleted.length,
+                failed: outcome.failed,
+                bytesUploaded: outcome.bytesUploaded,
+                durationMs: outcome.duration
+            },
+            message: ResponseBuilder.addFooter(message)
+        };
+    }
+
+    /**
+     * Environment/container/source lines shared by preview and result
+     * @private
+     */
+    static formatHeader(context: Record<string, any>): string {
+        let header = `**Environment:** ${context.environment}\n`;
+        header += `**Container:** ${context.containerName}${context.targetPrefix ? `/${context.targetPrefix}` : ''}\n`;
+        header += `**Source:** ${context.sourcePath}\n`;
+        if (context.diffFile) {
+            header += `**Limited to diff:** ${context.diffFile}\n`;
+        }
+        if (!context.dryRun) {
+            header += `**Concurrency:** ${context.concurrency}\n`;
+        }
+        return header + '\n';
+    }
+
+    /**
+     * Bulleted file list, truncated after PREVIEW_LIMIT entries
+     * @private
+     */
+    static formatEntries(label: string, entries: PlanEntry[]): string {
+        if (entries.length === 0) {
+            return '';
+        }
+        let text = `\n**${label}:**\n`;
+        entries.slice(0, this.PREVIEW_LIMIT).forEach(entry => {
+            const reason = entry.reason === 'new' || entry.reason === 'changed' ? ` (${entry.reason})` : '';
+            text += `• ${entry.blobName} - ${BlobDownloadTools.formatBytes(entry.size)}${reason}\n`;
+        });
+        if (entries.length > this.PREVIEW_LIMIT) {
+            text += `• ...and ${entries.length - this.PREVIEW_LIMIT} more\n`;
+        }
+        return text;
+    }
+}
+
+export default BlobUploadTools;
@@ -11,6 +11,7 @@ import ErrorHandler from '../error-handler';
 import OutputLogger from '../output-logger';
 import fs from 'fs/promises';
 import path from 'path';
+import http from 'http';
 import https from 'https';
 import { URL } from 'url';
 
@@ -279,7 +280,8 @@ class ContainerDiscoveryTools {
             const url = new URL(sasUrl);
             const listUrl = `${url.origin}${url.pathname}${url.search}&restype=container&comp=list&maxresults=${maxSamples}`;
 
-            https.get(listUrl, (response) => {
+            const transport = url.protocol === 'http:' ? http : https;
+            transport.get(listUrl, (response) => {
                 let data = '';
 
                 response.on('data', chunk => {
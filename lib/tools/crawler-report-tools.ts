@@ -0,0 +1,189 @@
+/**
+ * Crawler Report Tools Module
+ * crawler_report: per-bot volume, bandwidth, paths, status, time of day, IP verification and robots.txt compliance
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import ResponseBuilder from '../response-builder';
+import ProjectSettingsFile from '../project-settings-file';
+import LogSearchTools, { ScanLogsArgs } from './log-search-tools';
+import crawlerReport, { CrawlerDefinition, CrawlerReport, CrawlerCategory, CrawlerReportBuilder } from '../log-analysis/crawler-report';
+import robotsTxt, { RobotsPolicy } from '../log-analysis/robots-txt';
+
+/**
+ * crawlers.json block (default or per project)
+ */
+interface CrawlerSettings {
+    crawlers?: Array<Partial<CrawlerDefinition>>;
+    // Use only the configured crawlers instead of adding them to the built-in list
+    replaceBuiltIn?: boolean;
+    robotsTxtPath?: string;
+}
+
+/**
+ * crawler_report arguments
+ */
+interface CrawlerReportArgs extends ScanLogsArgs {
+    robotsTxtPath?: string;
+    category?: CrawlerCategory;
+    top?: number;
+}
+
+const CATEGORY_LABELS: Record<string, string> = {
+    ai: '🤖 AI',
+    search: '🔍 Search',
+    seo: '📈 SEO',
+    social: '💬 Social',
+    monitoring: '📟 Monitoring',
+    other: '🕷️ Other'
+};
+
+class CrawlerReportTools {
+    private static settingsFile = new ProjectSettingsFile<CrawlerSettings>('DXP_CRAWLERS_FILE', 'crawlers.json');
+
+    /**
+     * Path of the crawler patterns file
+     */
+    static getSettingsPath(): string {
+        return this.settingsFile.getPath();
+    }
+
+    /**
+     * Build the crawler report for an environment's web logs
+     */
+    static async handleCrawlerReport(args: CrawlerReportArgs): Promise<any> {
+        const settings = this.settingsFile.getProjectSettings(args.projectName) || {};
+
+        let builder: CrawlerReportBuilder;
+        let robots: RobotsPolicy | null = null;
+        const robotsPath = args.robotsTxtPath || settings.robotsTxtPath;
+        try {
+            const crawlers = crawlerReport.compileCrawlers(crawlerReport.mergeCrawlers(settings.crawlers, settings.replaceBuiltIn));
+            if (robotsPath) {
+                robots = this.loadRobotsTxt(robotsPath);
+            }
+            builder = crawlerReport.createReportBuilder(crawlers, { robots, top: args.top });
+        } catch (error: any) {
+            return ResponseBuilder.invalidParams(error.message);
+        }
+
+        const scan = await LogSearchTools.scanLogs(args, 'web', entry => builder.add(entry));
+        if ('error' in scan) {
+            return scan.error;
+        }
+        const { stats, window } = scan;
+
+        const report = builder.result();
+        if (args.category) {
+            report.crawlers = report.crawlers.filter(crawler => crawler.category === args.category);
+        }
+
+        const data = {
+            source: args.source || 'local',
+            environment: args.environment || 'Production',
+            timeRange: window ? { start: new Date(window.start).toISOString(), end: new Date(window.end).toISOString() } : null,
+            filesScanned: stats.filesScanned,
+            filesFailed: stats.filesFailed,
+            patternsFile: this.getSettingsPath(),
+            robotsTxtPath: robotsPath ? path.resolve(this.expandHome(robotsPath)) : null,
+            ...report
+        };
+
+        return ResponseBuilder.successWithStructuredData(data, this.formatReport(data, report));
+    }
+
+    /**
+     * Read and parse a local robots.txt
+     * @throws Error when the file cannot be read
+     */
+    static loadRobotsTxt(file: string): RobotsPolicy {
+        const resolved = path.resolve(this.expandHome(file));
+        try {
+            return robotsTxt.parseRobotsTxt(fs.readFileSync(resolved, 'utf-8'));
+        } catch (error: any) {
+            throw new Error(`Cannot read robots.txt at ${resolved}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static expandHome(file: string): string {
+        return file.replace(/^~(?=$|[\\/])/, os.homedir());
+    }
+
+    /**
+     * Format the report for display
+     */
+    static formatReport(data: { environment: string; source: string; filesScanned: number; timeRange: { start: string; end: string } | null }, report: CrawlerReport): string {
+        const { totals } = report;
+        let message = `🕷️ **Crawler Report** - ${data.environment} web logs (${data.source === 'stream' ? 'streamed' : 'downloaded'})\n\n`;
+        if (data.timeRange) {
+            message += `**Time range:** ${data.timeRange.start} to ${data.timeRange.end}\n`;
+        }
+        message += `**Requests:** ${totals.requests.toLocaleString()} in ${data.filesScanned} file${data.filesScanned === 1 ? '' : 's'}, `;
+        message += `${totals.crawlerRequests.toLocaleString()} from crawlers (${totals.crawlerShareOfRequests}%)\n`;
+        message += `**Crawler bandwidth:** ${this.formatBytes(totals.crawlerBandwidthBytes)} of ${this.formatBytes(totals.bandwidthBytes)}\n`;
+
+        const categories = Object.entries(totals.byCategory).sort((a, b) => b[1].requests - a[1].requests);
+        if (categories.length > 0) {
+            message += `**By category:** ${categories.map(([category, stats]) => `${CATEGORY_LABELS[category] || category} ${stats.requests.toLocaleString()}`).join(', ')}\n`;
+        }
+        message += '\n';
+
+        if (report.crawlers.length === 0) {
+            message += 'No crawler traffic found.\n';
+            return ResponseBuilder.addFooter(message);
+        }
+
+        report.crawlers.forEach(crawler => {
+            message += `### ${CATEGORY_LABELS[crawler.category] || crawler.category}: ${crawler.name}\n`;
+            message += `- ${crawler.requests.toLocaleString()} requests (${crawler.shareOfRequests}%), ${this.formatBytes(crawler.bandwidthBytes)} (${crawler.shareOfBandwidth}% of bandwidth)`;
+            message += `${crawler.avgResponseTime !== null ? `, avg ${crawler.avgResponseTime}ms` : ''}\n`;
+            message += `- Status: ${Object.entries(crawler.statusClasses).sort().map(([statusClass, count]) => `${statusClass} ${count}`).join(', ')}\n`;
+
+            const peak = crawler.byHourUtc.indexOf(Math.max(...crawler.byHourUtc));
+            message += `- Busiest hour: ${String(peak).padStart(2, '0')}:00 UTC (${crawler.byHourUtc[peak]} requests)\n`;
+
+            if (crawler.topPaths.length > 0) {
+                message += `- Top paths: ${crawler.topPaths.slice(0, 5).map(p => `${p.path} (${p.count})`).join(', ')}\n`;
+            }
+
+            const verification = crawler.verification;
+            if (verification.rangesConfigured) {
+                message += `- IP check: ${verification.verified} verified, ${verification.unverified} outside published ranges`;
+                if (verification.topUnverifiedIps.length > 0) {
+                    message += ` ⚠️ (e.g. ${verification.topUnverifiedIps.slice(0, 3).map(ip => ip.ip).join(', ')})`;
+                }
+                message += '\n';
+            }
+
+            if (crawler.robots && crawler.robots.disallowedRequests > 0) {
+                message += `- 🚫 robots.txt: ${crawler.robots.disallowedRequests} requests to disallowed paths`;
+                message += ` (group "${crawler.robots.group}"): ${crawler.robots.disallowedPaths.slice(0, 5).map(p => `${p.path} (${p.count})`).join(', ')}\n`;
+            }
+            message += '\n';
+        });
+
+        if (!report.robotsTxt.checked) {
+            message += '💡 Pass robotsTxtPath to check which crawlers fetched disallowed paths.\n';
+        }
+
+        return ResponseBuilder.addFooter(message);
+    }
+
+    /**
+     * @private
+     */
+    static formatBytes(bytes: number): string {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+}
+
+export default CrawlerReportTools;
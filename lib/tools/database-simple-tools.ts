@@ -11,9 +11,14 @@ import DownloadManager from '../download-manager';
 import OutputLogger from '../output-logger';
 import ExportResourceHandler from '../resources/export-resource';
 import DownloadConfig from '../download-config';
+import AzureBlobDownloader from '../azure-blob-downloader';
+import BackupCatalog, { PruneResult } from '../backup-catalog';
+import BacpacMasker from '../bacpac-masker';
+import { getGlobalAuditLogger } from '../audit-logger';
 
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const https = require('https');
 const os = require('os');
 const { EventEmitter } = require('events');
@@ -78,6 +83,7 @@ interface DownloadDatabaseExportArgs {
     skipConfirmation?: boolean;
     incremental?: boolean;
     timeoutMinutes?: number;
+    mask?: boolean;
 }
 
 /**
@@ -122,6 +128,7 @@ interface BackupInfo {
     downloadedAt: string;
     filePath: string;
     fileSize: number;
+    exportedAt?: string | null;
     retentionHours?: number;
 }
 
@@ -461,7 +468,8 @@ class DatabaseSimpleTools {
                     args.downloadPath,
                     args.projectName,
                     args.environment,
-                    databaseName
+                    databaseName,
+                    args.mask
                 );
 
                 const fileSize = await this.getRemoteFileSize(args.downloadUrl).catch(() => 0);
@@ -491,7 +499,8 @@ class DatabaseSimpleTools {
                     databaseName,
                     args.skipConfirmation,
                     args.incremental,
-                    args.timeoutMinutes
+                    args.timeoutMinutes,
+                    args.mask
                 );
 
                 return ResponseBuilder.success(result);
@@ -675,6 +684,9 @@ class DatabaseSimpleTools {
 
             await this.saveCurrentExportState(exportInfo);
 
+            // Later calls for this export (status, download) are audited as children of this one
+            getGlobalAuditLogger().linkResource('export_id', exportId);
+
             // DXP-155: Emit export started event
             try {
                 ExportResourceHandler.emitStarted(exportId, {
@@ -817,10 +829,15 @@ class DatabaseSimpleTools {
                         percentComplete: parsedStatus.percentComplete || 0
                     });
                 } else if (parsedStatus.status === 'Succeeded') {
+                    // Size of the bacpac for event consumers (webhook messages show it)
+                    const sizeBytes = parsedStatus.downloadUrl
+                        ? await this.getRemoteFileSize(parsedStatus.downloadUrl).catch(() => 0)
+                        : 0;
                     ExportResourceHandler.emitSucceeded(exportId!, {
                         downloadUrl: parsedStatus.downloadUrl,
                         environment: args.environment || 'Production',
-                        databaseName
+                        databaseName,
+                        ...(sizeBytes > 0 ? { sizeBytes } : {})
                     });
                 } else if (parsedStatus.status === 'Failed') {
                     ExportResourceHandler.emitFailed(exportId!, {
@@ -972,7 +989,8 @@ class DatabaseSimpleTools {
         databaseName: string | undefined,
         skipConfirmation?: boolean,
         incremental?: boolean,
-        timeoutMinutes?: number
+        timeoutMinutes?: number,
+        mask?: boolean
     ): Promise<string> {
         // DXP-186: Use DownloadConfig to respect dbPath configuration
         const basePath = await DownloadConfig.getDownloadPath(
@@ -985,8 +1003,10 @@ class DatabaseSimpleTools {
         const safeDatabaseName = (databaseName || 'epicms').replace(/[^a-zA-Z0-9-_]/g, '_');
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const filename = `${safeProjectName}-${safeEnvironment}-${safeDatabaseName}-${timestamp}.bacpac`;
-        const filepath = path.join(basePath, filename);
+        // Reuse the file name of an interrupted download of this export so it resumes
+        const filepath = await AzureBlobDownloader.findPartial(basePath, downloadUrl) ||
+            path.join(basePath, `${safeProjectName}-${safeEnvironment}-${safeDatabaseName}-${timestamp}.bacpac`);
+        const filename = path.basename(filepath);
 
         // Create download ID for tracking
         const downloadId = `${safeProjectName}-db-${safeEnvironment}-${safeDatabaseName}-${Date.now()}`;
@@ -1018,7 +1038,7 @@ class DatabaseSimpleTools {
         }
 
         // Get remote file size for progress tracking
-        const fileSize = await this.getRemoteFileSize(downloadUrl);
+        const { size: fileSize, lastModified: exportedAt } = await this.getRemoteFileInfo(downloadUrl);
         const estimatedTime = this.estimateDownloadTime(fileSize);
 
         if (!skipConfirmation) {
@@ -1031,6 +1051,7 @@ class DatabaseSimpleTools {
 
         // Register download with DownloadManager
         DownloadManager.registerDownload({
+            key: downloadId,
             projectName: downloadId,
             containerName: databaseName || 'epicms',
             environment: environment || 'Production',
@@ -1039,6 +1060,7 @@ class DatabaseSimpleTools {
             totalFiles: 1,
             totalSize: fileSize
         });
+        this.rememberForRestart(downloadId, downloadUrl, downloadPath, projectName, environment, databaseName, mask);
 
         // Save download state
         const downloadState: DownloadState = {
@@ -1070,22 +1092,30 @@ class DatabaseSimpleTools {
                 projectName: projectName || 'Unknown',
                 environment: environment || 'Production',
                 databaseName: databaseName || 'epicms',
-                exportId: downloadUrl.split('/').pop() || 'unknown',
+                exportId: AzureBlobDownloader.stripSasToken(downloadUrl).split('/').pop() || 'unknown',
                 downloadUrl,
                 downloadedAt: new Date().toISOString(),
                 filePath: filepath,
-                fileSize
+                fileSize,
+                exportedAt
             };
-            await this.storeBackupInfo(projectName || 'Unknown', backupInfo);
+            const retention = await this.storeBackupInfo(projectName || 'Unknown', backupInfo);
+            const retentionNote = retention && retention.remove.length > 0
+                ? `\\nRetention: removed ${retention.remove.length} old backup(s), freed ${this.formatBytes(retention.freedBytes)}`
+                : '';
+            const maskingNote = await this.maskDownloadedBackup(projectName, filepath, mask);
 
             return `✅ Database backup downloaded successfully\\n` +
                    `File: ${filename}\\n` +
                    `Size: ${this.formatBytes(fileSize)}\\n` +
-                   `Location: ${filepath}`;
+                   `Location: ${filepath}` +
+                   retentionNote +
+                   maskingNote;
         } catch (error: any) {
-            // Mark download failed
+            // Mark download failed (a cancelled download has already left DownloadManager)
+            const cancelled = DownloadManager.isCancelled(downloadId);
             DownloadManager.failDownload(downloadId, error.message);
-            downloadState.status = 'failed';
+            downloadState.status = cancelled ? 'cancelled' : 'failed';
             downloadState.error = error.message;
             downloadState.completedAt = new Date().toISOString();
             await this.saveDownloadState(downloadState);
@@ -1103,7 +1133,8 @@ class DatabaseSimpleTools {
         downloadPath: string | undefined,
         projectName: string | undefined,
         environment: string | undefined,
-        databaseName: string | undefined
+        databaseName: string | undefined,
+        mask?: boolean
     ): Promise<string> {
         // DXP-186: Use DownloadConfig to respect dbPath configuration
         const basePath = await DownloadConfig.getDownloadPath(
@@ -1120,14 +1151,16 @@ class DatabaseSimpleTools {
 
         // Get remote file size for preview
         let fileSize = 0;
+        let exportedAt: string | null = null;
         try {
-            fileSize = await this.getRemoteFileSize(downloadUrl);
+            ({ size: fileSize, lastModified: exportedAt } = await this.getRemoteFileInfo(downloadUrl));
         } catch (error: any) {
             OutputLogger.warn(`⚠️  Could not get file size: ${error.message}`);
         }
 
         // Register download with DownloadManager
         DownloadManager.registerDownload({
+            key: downloadId,
             projectName: downloadId,
             containerName: databaseName || 'epicms',
             environment: environment || 'Production',
@@ -1136,6 +1169,7 @@ class DatabaseSimpleTools {
             totalFiles: 1,
             totalSize: fileSize
         });
+        this.rememberForRestart(downloadId, downloadUrl, downloadPath, projectName, environment, databaseName, mask);
 
         // Start download in background (don't await!)
         this.runDatabaseDownloadInBackground(
@@ -1145,7 +1179,9 @@ class DatabaseSimpleTools {
             projectName,
             environment,
             databaseName,
-            fileSize
+            fileSize,
+            exportedAt,
+            mask
         ).catch(error => {
             OutputLogger.error(`Background database download ${downloadId} failed: ${error.message}`);
             DownloadManager.failDownload(downloadId, error.message);
@@ -1154,6 +1190,29 @@ class DatabaseSimpleTools {
         return downloadId;
     }
 
+    /**
+     * Record a database download so it resumes in the background after a server restart
+     */
+    static rememberForRestart(
+        downloadId: string,
+        downloadUrl: string,
+        downloadPath: string | undefined,
+        projectName: string | undefined,
+        environment: string | undefined,
+        databaseName: string | undefined,
+        mask?: boolean
+    ): void {
+        DownloadManager.rememberForRestart(downloadId, 'db_export_download', {
+            downloadUrl,
+            downloadPath,
+            projectName,
+            environment,
+            database: databaseName,
+            mask,
+            background: true
+        });
+    }
+
     /**
      * Run database download in background
      * DXP-183: Helper for background downloads
@@ -1165,7 +1224,9 @@ class DatabaseSimpleTools {
         projectName: string | undefined,
         environment: string | undefined,
         databaseName: string | undefined,
-        fileSize: number
+        fileSize: number,
+        exportedAt: string | null = null,
+        mask?: boolean
     ): Promise<void> {
         // DXP-186: Use DownloadConfig to respect dbPath configuration
         const basePath = await DownloadConfig.getDownloadPath(
@@ -1178,8 +1239,10 @@ class DatabaseSimpleTools {
         const safeDatabaseName = (databaseName || 'epicms').replace(/[^a-zA-Z0-9-_]/g, '_');
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const filename = `${safeProjectName}-${safeEnvironment}-${safeDatabaseName}-${timestamp}.bacpac`;
-        const filepath = path.join(basePath, filename);
+        // Reuse the file name of an interrupted download of this export so it resumes
+        const filepath = await AzureBlobDownloader.findPartial(basePath, downloadUrl) ||
+            path.join(basePath, `${safeProjectName}-${safeEnvironment}-${safeDatabaseName}-${timestamp}.bacpac`);
+        const filename = path.basename(filepath);
 
         // Save download state
         const downloadState: DownloadState = {
@@ -1211,29 +1274,42 @@ class DatabaseSimpleTools {
                 projectName: projectName || 'Unknown',
                 environment: environment || 'Production',
                 databaseName: databaseName || 'epicms',
-                exportId: downloadUrl.split('/').pop() || 'unknown',
+                exportId: AzureBlobDownloader.stripSasToken(downloadUrl).split('/').pop() || 'unknown',
                 downloadUrl,
                 downloadedAt: new Date().toISOString(),
                 filePath: filepath,
-                fileSize
+                fileSize,
+                exportedAt
             };
             await this.storeBackupInfo(projectName || 'Unknown', backupInfo);
 
             OutputLogger.success(`✅ Background database download completed: ${filename}`);
+
+            const maskingNote = await this.maskDownloadedBackup(projectName, filepath, mask);
+            if (maskingNote) {
+                OutputLogger.info(maskingNote.replace(/^\\n/, ''));
+            }
         } catch (error: any) {
-            // Mark download failed
+            // Mark download failed (a cancelled download has already left DownloadManager)
+            const cancelled = DownloadManager.isCancelled(downloadId);
             DownloadManager.failDownload(downloadId, error.message);
-            downloadState.status = 'failed';
+            downloadState.status = cancelled ? 'cancelled' : 'failed';
             downloadState.error = error.message;
             downloadState.completedAt = new Date().toISOString();
             await this.saveDownloadState(downloadState);
 
+            if (cancelled) {
+                OutputLogger.info(`❌ Database download ${downloadId} cancelled - partial data deleted`);
+                return;
+            }
             throw error;
         }
     }
 
     /**
      * Download file from HTTPS URL with progress tracking
+     * Ranged and resumable: partial state is kept next to the backups, so a dropped
+     * connection, pause or restart continues from the last finished chunk (cancel deletes it)
      */
     static async downloadFile(
         url: string,
@@ -1241,95 +1317,59 @@ class DatabaseSimpleTools {
         timeoutMs: number,
         downloadId: string
     ): Promise<void> {
-        return new Promise((resolve, reject) => {
-            const file = fs.createWriteStream(filepath);
-            let downloadedBytes = 0;
-            let lastProgressTime = Date.now();
-
-            const timeoutHandle = setTimeout(() => {
-                file.close();
-                fs.unlinkSync(filepath);
-                reject(new Error(`Download timeout after ${timeoutMs / 60000} minutes`));
-            }, timeoutMs);
-
-            // v3.33.2 fix: Do NOT add x-ms-version header for SAS URLs (invalidates signature)
-            const requestOptions = {
-                headers: {} as Record<string, string>
-            };
-
-            https.get(url, requestOptions, (response: any) => {
-                const totalBytes = parseInt(response.headers['content-length'] || '0', 10);
-
-                // Create progress monitor
-                const monitor = new ProgressMonitor({
-                    totalBytes,
-                    showInMCP: true
-                } as any);
-
-                response.on('data', (chunk: Buffer) => {
-                    downloadedBytes += chunk.length;
-                    file.write(chunk);
-
-                    // Update progress
-                    (monitor as any).update(downloadedBytes);
-                    DownloadManager.updateProgress(downloadId, downloadedBytes);
-
-                    // Reset stall timer
-                    lastProgressTime = Date.now();
-                });
-
-                response.on('end', () => {
-                    file.end();
-                    clearTimeout(timeoutHandle);
-                    monitor.complete();
-                    resolve();
-                });
-
-                response.on('error', (error: Error) => {
-                    file.close();
-                    fs.unlinkSync(filepath);
-                    clearTimeout(timeoutHandle);
-                    reject(error);
-                });
-
-                // Check for stalls (no data for 2 minutes)
-                const stallCheckInterval = setInterval(() => {
-                    const stallTime = Date.now() - lastProgressTime;
-                    if (stallTime > 120000) { // 2 minutes
-                        clearInterval(stallCheckInterval);
-                        clearTimeout(timeoutHandle);
-                        file.close();
-                        fs.unlinkSync(filepath);
-                        reject(new Error('Download stalled (no data received for 2 minutes)'));
-                    }
-                }, 10000); // Check every 10 seconds
-
-                response.on('end', () => clearInterval(stallCheckInterval));
-            }).on('error', (error: Error) => {
-                file.close();
-                fs.unlinkSync(filepath);
-                clearTimeout(timeoutHandle);
-                reject(error);
-            });
+        const monitor = new ProgressMonitor({
+            totalFiles: 1,
+            showInMCP: true
+        } as any);
+
+        let lastPercent = -1;
+        let lastBytes = 0;
+        await AzureBlobDownloader.download(url, filepath, {
+            downloadKey: downloadId,
+            timeoutMs,
+            onProgress: (bytesDownloaded, totalBytes) => {
+                lastBytes = bytesDownloaded;
+                monitor.setTotals(1, totalBytes);
+                monitor.update(0, bytesDownloaded, path.basename(filepath));
+
+                const percent = totalBytes > 0 ? Math.floor((bytesDownloaded / totalBytes) * 100) : 0;
+                if (percent !== lastPercent) {
+                    lastPercent = percent;
+                    DownloadManager.updateProgress(downloadId, percent, 'running');
+                }
+            }
         });
+
+        monitor.update(1, lastBytes, path.basename(filepath));
+        monitor.complete();
     }
 
     /**
      * Get remote file size via HEAD request
      */
     static async getRemoteFileSize(url: string): Promise<number> {
+        return (await this.getRemoteFileInfo(url)).size;
+    }
+
+    /**
+     * Get remote file size and Last-Modified (when the export wrote the bacpac)
+     */
+    static async getRemoteFileInfo(url: string): Promise<{ size: number; lastModified: string | null }> {
         return new Promise((resolve, reject) => {
             const parsedUrl = new URL(url);
             const options = {
                 method: 'HEAD',
                 hostname: parsedUrl.hostname,
+                port: parsedUrl.port || undefined,
                 path: parsedUrl.pathname + parsedUrl.search,
                 headers: {} as Record<string, string>
             };
 
-            https.request(options, (response: any) => {
+            const transport = parsedUrl.protocol === 'http:' ? http : https;
+            transport.request(options, (response: any) => {
                 const size = parseInt(response.headers['content-length'] || '0', 10);
-                resolve(size);
+                const lastModified = response.headers['last-modified'];
+                resolve({ size, lastModified: lastModified ? new Date(lastModified).toISOString() : null });
             }).on('error', reject).end();
         });
     }
@@ -1851,9 +1891,11 @@ class DatabaseSimpleTools {
     }
 
     /**
-     * Store backup information in history
+     * Store backup information in history, record it in the folder's backup catalog
+     * and apply the project's retention policy
+     * @returns Retention outcome, or null when auto-pruning is off or cataloguing failed
      */
-    static async storeBackupInfo(projectName: string, backupInfo: BackupInfo): Promise<void> {
+    static async storeBackupInfo(projectName: string, backupInfo: BackupInfo): Promise<PruneResult | null> {
         if (!this.backupHistory[projectName]) {
             this.backupHistory[projectName] = [];
         }
@@ -1864,6 +1906,40 @@ class DatabaseSimpleTools {
         if (this.backupHistory[projectName].length > 50) {
             this.backupHistory[projectName] = this.backupHistory[projectName].slice(-50);
         }
+
+        try {
+            const entry = await BackupCatalog.record({
+                filePath: backupInfo.filePath,
+                projectName: backupInfo.projectName,
+                environment: backupInfo.environment,
+                databaseName: backupInfo.databaseName,
+                exportId: backupInfo.exportId,
+                exportedAt: backupInfo.exportedAt,
+                downloadedAt: backupInfo.downloadedAt
+            });
+            return await BackupCatalog.enforceRetention(entry);
+        } catch (error: any) {
+            OutputLogger.warn(`⚠️  Could not add backup to catalog: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Write a masked copy of a downloaded bacpac when requested or enabled for the project
+     * Masking failures never fail the download; they are reported in the returned note.
+     */
+    static async maskDownloadedBackup(projectName: string | undefined, filePath: string, mask?: boolean): Promise<string> {
+        if (!(mask ?? BacpacMasker.getSettings(projectName).autoMask)) {
+            return '';
+        }
+
+        try {
+            const report = await BacpacMasker.mask(filePath, { projectName, source: 'db_export_download' });
+            return `\\nMasked copy: ${report.outputPath} (${report.valuesMasked} values in ${report.tablesRewritten} table(s), report: ${report.reportPath})`;
+        } catch (error: any) {
+            OutputLogger.warn(`⚠️  Could not mask ${path.basename(filePath)}: ${error.message}`);
+            return `\\n⚠️ Masking failed: ${error.message}`;
+        }
     }
 
     /**
@@ -14,6 +14,9 @@ import { DEPLOYMENT_STATUS, isAwaitingVerification, isInProgress, isSucceeded, i
 import DXPRestClient from '../../dxp-rest-client';
 import DeploymentResourceHandler from '../../resources/deployment-resource';
 import { getGlobalWebhookManager } from '../../webhooks/webhook-manager';
+import { WebhookFormat } from '../../webhooks/webhook-formatter';
+import { getGlobalAutoVerifier, VerificationSession } from '../../auto-verifier';
+import { getGlobalAuditLogger } from '../../audit-logger';
 
 /**
  * Start deployment arguments
@@ -36,6 +39,7 @@ interface StartDeploymentArgs {
     apiUrl?: string;
     webhookUrl?: string;
     webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
 }
 
 /**
@@ -51,6 +55,14 @@ interface CompleteDeploymentArgs {
     isSelfHosted?: boolean;
     connectionString?: string;
     apiUrl?: string;
+    autoVerify?: boolean;
+    verifySampleMinutes?: number;
+    verifyDelayMinutes?: number;
+    maxErrorIncrease?: number;
+    maxScoreDecrease?: number;
+    maxLatencyIncrease?: number;
+    onWarning?: 'complete' | 'reset' | 'hold';
+    onCritical?: 'reset' | 'hold';
 }
 
 /**
@@ -79,6 +91,14 @@ interface MonitorDeploymentArgs {
     apiSecret?: string;
     projectId?: string;
     projectName?: string;
+    autoVerify?: boolean;
+    verifySampleMinutes?: number;
+    verifyDelayMinutes?: number;
+    maxErrorIncrease?: number;
+    maxScoreDecrease?: number;
+    maxLatencyIncrease?: number;
+    onWarning?: 'complete' | 'reset' | 'hold';
+    onCritical?: 'reset' | 'hold';
 }
 
 /**
@@ -133,6 +153,9 @@ interface ParamValidation {
  * Timing validation result
  */
 interface TimingCheck {
+    valid?: boolean;
+    error?: string;
+    suggestion?: string;
     warnings?: Warning[];
 }
 
@@ -149,6 +172,25 @@ interface DeploymentParams {
     maintenancePage?: boolean;
 }
 
+/**
+ * Context for post-start tracking (events, webhooks, monitoring)
+ */
+interface TrackingContext {
+    tool: string;
+    projectId: string;
+    projectName?: string;
+    apiKey: string;
+    apiSecret: string;
+    sourceEnvironment?: string;
+    targetEnvironment?: string;
+    deploymentType?: string;
+    packages?: string[];
+    status?: string;
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+}
+
 /**
  * Deployment result from API
  */
@@ -186,6 +228,11 @@ class DeploymentActionOperations {
         try {
             const result = await this.startDeployment(args);
 
+            // Validation failures (invalid path, blocked maintenance window) are already MCP error responses
+            if (result && typeof result === 'object' && 'error' in result) {
+                return result;
+            }
+
             // Check if result is already a structured response with data and message
             if (result && typeof result === 'object' && 'data' in result && 'message' in result) {
                 return ResponseBuilder.successWithStructuredData(result.data, result.message);
@@ -206,7 +253,7 @@ class DeploymentActionOperations {
             deploymentType, sourceApps,
             includeBlob, includeDatabase,
             directDeploy, useMaintenancePage,
-            webhookUrl, webhookHeaders
+            webhookUrl, webhookHeaders, webhookFormat
         } = args;
 
         // DXP-67: Defensive check for useMaintenancePage to prevent accidental production downtime
@@ -455,8 +502,12 @@ class DeploymentActionOperations {
 
         // Check deployment timing
         const timingCheck: TimingCheck = DeploymentValidator.validateDeploymentTiming({
-            targetEnvironment
+            targetEnvironment,
+            projectName
         });
+        if (!timingCheck.valid) {
+            return ResponseBuilder.error(`${timingCheck.error}\n\n💡 ${timingCheck.suggestion}`);
+        }
         if (timingCheck.warnings && timingCheck.warnings.length > 0) {
             timingCheck.warnings.forEach(warn => {
                 console.error(`Timing warning: ${warn.message}`);
@@ -544,88 +595,20 @@ class DeploymentActionOperations {
 
                 // Extract deployment ID from result and start monitoring
                 if (result.id) {
-                    // DXP-136: Emit deployment started event
-                    try {
-                        DeploymentResourceHandler.emitStarted(result.id, {
-                            project: projectName,
-                            environment: targetEnvironment,
-                            sourceEnvironment: sourceEnvironment,
-                            targetEnvironment: targetEnvironment,
-                            deploymentType: deploymentType,
-                            status: result.status
-                        });
-                    } catch (eventError: any) {
-                        console.error(`Failed to emit deployment event: ${eventError.message}`);
-                        // Don't fail the deployment if event emission fails
-                    }
-
-                    // DXP-140: Register webhook if provided
-                    if (webhookUrl) {
-                        try {
-                            const webhookManager = getGlobalWebhookManager();
-                            const registrationResult = webhookManager.register(
-                                result.id, // operationId (deploymentId)
-                                webhookUrl,
-                                {
-                                    headers: webhookHeaders || {},
-                                    project: projectName,
-                                    environment: targetEnvironment
-                                }
-                            );
-
-                            const logger = new StructuredLogger({
-                                context: {
-                                    tool: 'start_deployment',
-                                    deployment_id: result.id,
-                                    project: projectName,
-                                    environment: targetEnvironment
-                                }
-                            });
-
-                            if (registrationResult.success) {
-                                logger.info('Webhook registered for deployment', {
-                                    webhook_url: webhookUrl,
-                                    deployment_id: result.id
-                                });
-                                console.log(`🔔 Webhook registered for deployment ${result.id}`);
-                            } else {
-                                logger.warn('Webhook registration failed', {
-                                    error: registrationResult.error,
-                                    deployment_id: result.id
-                                });
-                                console.log(`⚠️ Webhook registration failed: ${registrationResult.error}`);
-                            }
-                        } catch (webhookError: any) {
-                            console.error(`Failed to register webhook: ${webhookError.message}`);
-                            // Don't fail the deployment if webhook registration fails
-                        }
-                    }
-
-                    try {
-                        const monitor = getGlobalMonitor();
-                        monitor.startMonitoring({
-                            deploymentId: result.id,
-                            projectId: args.projectId!,
-                            apiKey: args.apiKey!,
-                            apiSecret: args.apiSecret!,
-                            interval: 60 * 1000 // 1 minute default
-                        });
-
-                        const logger = new StructuredLogger({
-                            context: {
-                                tool: 'start_deployment',
-                                deployment_id: result.id
-                            }
-                        });
-                        logger.info('Auto-monitoring started for deployment', {
-                            deployment_id: result.id,
-                            interval_ms: 60 * 1000
-                        });
-                        console.log(`🔄 Auto-monitoring started for deployment ${result.id}`);
-                    } catch (monitorError: any) {
-                        console.error(`Failed to start monitoring: ${monitorError.message}`);
-                        // Don't fail the deployment if monitoring fails
-                    }
+                    this.trackStartedDeployment(result.id, {
+                        tool: 'start_deployment',
+                        projectId: projectId!,
+                        projectName,
+                        apiKey: apiKey!,
+                        apiSecret: apiSecret!,
+                        sourceEnvironment,
+                        targetEnvironment,
+                        deploymentType,
+                        status: result.status,
+                        webhookUrl,
+                        webhookHeaders,
+                        webhookFormat
+                    });
                 }
 
                 // Return structured response with both data and message
@@ -663,6 +646,107 @@ class DeploymentActionOperations {
         }
     }
 
+    /**
+     * Wire up tracking for a deployment that was just started
+     * Emits the started event, registers the optional webhook and starts background monitoring.
+     * Shared by start_deployment and deploy_package so both show up in resources and events.
+     */
+    static trackStartedDeployment(deploymentId: string, context: TrackingContext): void {
+        const {
+            tool, projectId, projectName, apiKey, apiSecret,
+            sourceEnvironment, targetEnvironment, deploymentType, packages,
+            status, webhookUrl, webhookHeaders, webhookFormat
+        } = context;
+
+        // Later calls for this deployment (monitor, complete, reset) are audited as children of this one
+        getGlobalAuditLogger().linkResource('deployment_id', deploymentId);
+
+        // DXP-136: Emit deployment started event
+        try {
+            DeploymentResourceHandler.emitStarted(deploymentId, {
+                project: projectName,
+                environment: targetEnvironment,
+                sourceEnvironment: sourceEnvironment,
+                targetEnvironment: targetEnvironment,
+                deploymentType: deploymentType,
+                packages: packages,
+                status: status
+            });
+        } catch (eventError: any) {
+            console.error(`Failed to emit deployment event: ${eventError.message}`);
+            // Don't fail the deployment if event emission fails
+        }
+
+        // DXP-140: Register webhook if provided
+        if (webhookUrl) {
+            try {
+                const webhookManager = getGlobalWebhookManager();
+                const registrationResult = webhookManager.register(
+                    deploymentId, // operationId (deploymentId)
+                    webhookUrl,
+                    {
+                        headers: webhookHeaders || {},
+                        project: projectName,
+                        environment: targetEnvironment,
+                        format: webhookFormat
+                    }
+                );
+
+                const logger = new StructuredLogger({
+                    context: {
+                        tool,
+                        deployment_id: deploymentId,
+                        project: projectName,
+                        environment: targetEnvironment
+                    }
+                });
+
+                if (registrationResult.success) {
+                    logger.info('Webhook registered for deployment', {
+                        webhook_url: webhookUrl,
+                        deployment_id: deploymentId
+                    });
+                    console.log(`🔔 Webhook registered for deployment ${deploymentId}`);
+                } else {
+                    logger.warn('Webhook registration failed', {
+                        error: registrationResult.error,
+                        deployment_id: deploymentId
+                    });
+                    console.log(`⚠️ Webhook registration failed: ${registrationResult.error}`);
+                }
+            } catch (webhookError: any) {
+                console.error(`Failed to register webhook: ${webhookError.message}`);
+                // Don't fail the deployment if webhook registration fails
+            }
+        }
+
+        try {
+            const monitor = getGlobalMonitor();
+            monitor.startMonitoring({
+                deploymentId,
+                projectId,
+                apiKey,
+                apiSecret,
+                interval: 60 * 1000 // 1 minute default
+            });
+
+            const logger = new StructuredLogger({
+                context: {
+                    tool,
+                    deployment_id: deploymentId
+                }
+            });
+            logger.info('Auto-monitoring started for deployment', {
+                deployment_id: deploymentId,
+                interval_ms: 60 * 1000
+            });
+            console.log(`🔄 Auto-monitoring started for deployment ${deploymentId}`);
+        } catch (monitorError: any) {
+            console.error(`Failed to start monitoring: ${monitorError.message}`);
+            // Don't fail the deployment if monitoring fails
+        }
+    }
+
     /**
      * Complete a deployment in verification state
      */
@@ -707,7 +791,7 @@ class DeploymentActionOperations {
 
         // DXP-68: Validate deployment state before attempting completion
         console.error('Checking deployment state before completion...');
-        const DeploymentListOperations = require('./deployment-list');
+        const DeploymentListOperations = require('./deployment-list').default;
 
         try {
             const statusResult = await DeploymentListOperations.getDeploymentStatus({
@@ -732,6 +816,47 @@ class DeploymentActionOperations {
 
             console.error(`Current deployment status: ${currentStatus}`);
 
+            // Auto-verification: hand the decision to the verifier instead of completing now
+            if (args.autoVerify && (isAwaitingVerification(currentStatus) || isInProgress(currentStatus))) {
+                const targetEnvironment = statusResult && statusResult.data ? statusResult.data.targetEnvironment : undefined;
+                const session = this.startAutoVerification(args, 'complete_deployment', targetEnvironment);
+
+                return {
+                    data: {
+                        deploymentId: deploymentId,
+                        currentStatus: currentStatus,
+                        autoVerification: session
+                    },
+                    message: ResponseBuilder.addFooter(
+                        `🤖 **Auto-Verification Enabled**\n\n` +
+                        `**Deployment ID**: ${deploymentId}\n` +
+                        `**Current State**: ${currentStatus}\n\n` +
+                        this.formatAutoVerification(session)
+                    )
+                };
+            }
+
+            // Completing swaps the slot into the live environment, so maintenance windows apply here too
+            const targetEnvironment = statusResult && statusResult.data ? statusResult.data.targetEnvironment : null;
+            if (targetEnvironment && isAwaitingVerification(currentStatus)) {
+                const timingCheck: TimingCheck = DeploymentValidator.validateDeploymentTiming({
+                    targetEnvironment,
+                    projectName: args.projectName
+                });
+                if (!timingCheck.valid) {
+                    return {
+                        data: {
+                            error: 'MAINTENANCE_WINDOW',
+                            deploymentId: deploymentId,
+                            currentStatus: currentStatus,
+                            targetEnvironment: targetEnvironment,
+                            canComplete: false
+                        },
+                        message: ResponseBuilder.addFooter(`${timingCheck.error}\n\n💡 ${timingCheck.suggestion}`)
+                    };
+                }
+            }
+
             // Check if deployment is in the correct state for completion (DXP-69: Use status constants)
             if (!isAwaitingVerification(currentStatus)) {
                 // Return structured error response
@@ -1098,6 +1223,7 @@ class DeploymentActionOperations {
             interval = 30,
             maxDuration = 30,
             autoComplete = false,
+            autoVerify = false,
             apiKey, apiSecret, projectId, projectName
         } = args;
 
@@ -1182,11 +1308,13 @@ class DeploymentActionOperations {
                 // Deployment awaiting verification
                 message.push(`🔍 **Deployment Awaiting Verification**\n`);
                 message.push(`The deployment has completed and is ready for review.\n\n`);
-                message.push(`**Next Steps:**\n`);
-                message.push(`1. Review the deployment at verification URLs\n`);
-                message.push(`2. Use \`complete_deployment\` to finalize if everything looks good\n`);
-                message.push(`3. Use \`reset_deployment\` to rollback if issues are found\n\n`);
-                message.push(`**AI: No monitoring needed - deployment awaits user verification.**`);
+                if (!autoVerify) {
+                    message.push(`**Next Steps:**\n`);
+                    message.push(`1. Review the deployment at verification URLs\n`);
+                    message.push(`2. Use \`complete_deployment\` to finalize if everything looks good\n`);
+                    message.push(`3. Use \`reset_deployment\` to rollback if issues are found\n\n`);
+                    message.push(`**AI: No monitoring needed - deployment awaits user verification.**`);
+                }
 
             } else if (inProgressStatuses.includes(currentStatus)) {
                 // Deployment in progress - provide transparent monitoring instructions
@@ -1226,6 +1354,13 @@ class DeploymentActionOperations {
                 message.push(`**AI: Check status manually using get_deployment_status.**`);
             }
 
+            if (autoVerify && !completeStatuses.includes(currentStatus)) {
+                const session = this.startAutoVerification(args, 'monitor_deployment', deploymentData?.targetEnvironment);
+                (structuredData as any).autoVerification = session;
+                message.push(`\n🤖 **Auto-Verification Enabled**\n`);
+                message.push(this.formatAutoVerification(session));
+            }
+
             return ResponseBuilder.successWithStructuredData(structuredData, message.join('\n'));
 
         } catch (error: any) {
@@ -1237,11 +1372,63 @@ class DeploymentActionOperations {
         }
     }
 
+    /**
+     * Start auto-verification for a deployment with the per-call policy overrides
+     */
+    static startAutoVerification(
+        args: CompleteDeploymentArgs | MonitorDeploymentArgs,
+        source: string,
+        environment?: string
+    ): VerificationSession {
+        return getGlobalAutoVerifier().start({
+            deploymentId: args.deploymentId!,
+            credentials: {
+                projectId: args.projectId!,
+                apiKey: args.apiKey!,
+                apiSecret: args.apiSecret!,
+                projectName: args.projectName
+            },
+            source,
+            environment,
+            apiUrl: (args as CompleteDeploymentArgs).apiUrl,
+            policy: {
+                sampleMinutes: args.verifySampleMinutes,
+                delayMinutes: args.verifyDelayMinutes,
+                onWarning: args.onWarning,
+                onCritical: args.onCritical,
+                thresholds: {
+                    maxErrorIncrease: args.maxErrorIncrease,
+                    maxScoreDecrease: args.maxScoreDecrease,
+                    maxLatencyIncrease: args.maxLatencyIncrease
+                }
+            }
+        });
+    }
+
+    /**
+     * Describe what auto-verification will do
+     */
+    static formatAutoVerification(session: VerificationSession): string {
+        const { policy } = session;
+        const thresholds = Object.entries(policy.thresholds)
+            .map(([name, value]) => `${name}=${value}`)
+            .join(', ');
+
+        return `Once the deployment reaches **${DEPLOYMENT_STATUS.AWAITING_VERIFICATION}**, the server waits ${policy.delayMinutes} minutes, ` +
+            `compares the last ${policy.sampleMinutes} minutes of ${policy.logType} logs (production vs slot), then:\n` +
+            `• **Safe** → complete\n` +
+            `• **Warning** → ${policy.onWarning}\n` +
+            `• **Critical** → ${policy.onCritical}\n\n` +
+            `**Thresholds:** ${thresholds || 'comparator defaults'}\n\n` +
+            `The decision is written to the audit log and emitted as a \`deployment.autoDecision\` event on deployment://${session.deploymentId}. ` +
+            `The server must keep running until then.`;
+    }
+
     /**
      * Get deployment status (required for handleMonitorDeployment)
      */
     static async handleGetDeploymentStatus(args: any): Promise<any> {
-        const DeploymentListOperations = require('./deployment-list');
+        const DeploymentListOperations = require('./deployment-list').default;
         return DeploymentListOperations.handleGetDeploymentStatus(args);
     }
 }
@@ -5,6 +5,7 @@
  */
 
 import { Config, ResponseBuilder } from '../../index';
+import ManifestManager from '../../manifest-manager';
 
 /**
  * Deployment object from API
@@ -100,6 +101,30 @@ interface StartDeploymentArgs {
     useMaintenancePage?: boolean;
 }
 
+/**
+ * Uploaded package details
+ */
+interface UploadedPackage {
+    packageName: string;
+    packageType?: string;
+    bytesUploaded: number;
+    duration: number;
+    blobUrl?: string;
+}
+
+/**
+ * Package deployment arguments
+ */
+interface PackageDeploymentArgs {
+    projectId?: string;
+    projectName?: string;
+    targetEnvironment?: string;
+    packages: string[];
+    directDeploy?: boolean;
+    useMaintenancePage?: boolean;
+    zeroDowntimeMode?: string;
+}
+
 class DeploymentFormatters {
     /**
      * Format date/time in user's local timezone with timezone name
@@ -773,6 +798,101 @@ class DeploymentFormatters {
         return { data: structuredData, message: message };
     }
 
+    /**
+     * Format package upload response
+     */
+    static formatPackageUploaded(uploads: UploadedPackage[], projectName?: string): StructuredResult {
+        const { FORMATTING: { STATUS_ICONS } } = Config;
+
+        const totalBytes = uploads.reduce((sum, u) => sum + u.bytesUploaded, 0);
+
+        let message = `${STATUS_ICONS.SUCCESS} **Package${uploads.length > 1 ? 's' : ''} Uploaded`;
+        message += projectName ? ` - ${projectName}**\n\n` : `**\n\n`;
+
+        uploads.forEach(upload => {
+            const seconds = Math.max(upload.duration / 1000, 0.001);
+            message += `📦 **${upload.packageName}**\n`;
+            if (upload.packageType) {
+                message += `   • Type: ${upload.packageType}\n`;
+            }
+            message += `   • Size: ${ManifestManager.formatBytes(upload.bytesUploaded)}\n`;
+            message += `   • Duration: ${seconds.toFixed(1)}s (${ManifestManager.formatBytes(upload.bytesUploaded / seconds)}/s)\n\n`;
+        });
+
+        message += `**Next Step**: Deploy the uploaded package${uploads.length > 1 ? 's' : ''}:\n`;
+        message += `\`\`\`\ndeploy_package({ packages: ${JSON.stringify(uploads.map(u => u.packageName))}, targetEnvironment: "Integration" })\n\`\`\`\n`;
+
+        return {
+            data: {
+                packages: uploads.map(u => u.packageName),
+                uploads,
+                totalBytes
+            },
+            message: ResponseBuilder.addFooter(message)
+        };
+    }
+
+    /**
+     * Format package deployment started response
+     */
+    static formatPackageDeploymentStarted(deployment: Deployment, args: PackageDeploymentArgs): StructuredResult {
+        const { FORMATTING: { STATUS_ICONS } } = Config;
+
+        const needsVerification = !args.directDeploy;
+        const previewUrl = needsVerification ? this.getPreviewUrl(args.targetEnvironment!, args.projectId || null) : null;
+
+        const structuredData = {
+            deploymentId: deployment.id,
+            status: deployment.status || 'InProgress',
+            targetEnvironment: args.targetEnvironment,
+            deploymentType: 'package',
+            packages: args.packages,
+            projectId: args.projectId,
+            projectName: args.projectName,
+            startTime: deployment.startTime || new Date().toISOString(),
+            percentComplete: deployment.percentComplete || 0,
+            needsVerification: needsVerification,
+            previewUrl: previewUrl,
+            directDeploy: args.directDeploy,
+            useMaintenancePage: args.useMaintenancePage,
+            zeroDowntimeMode: args.zeroDowntimeMode
+        };
+
+        let message = `${STATUS_ICONS.SUCCESS} **Package Deployment Started`;
+        message += args.projectName ? ` - ${args.projectName}**\n\n` : `**\n\n`;
+
+        message += `**Deployment ID**: ${deployment.id}\n`;
+        message += `**To**: ${args.targetEnvironment}\n`;
+        message += `**Packages**:\n`;
+        args.packages.forEach(pkg => {
+            message += `   • ${pkg}\n`;
+        });
+        if (args.zeroDowntimeMode) {
+            message += `**Zero Downtime Mode**: ${args.zeroDowntimeMode}\n`;
+        }
+        if (deployment.status) {
+            message += `**Status**: ${deployment.status}\n`;
+        }
+
+        if (needsVerification && previewUrl) {
+            message += `\n**🔗 Preview URL (Slot)**: ${previewUrl}\n`;
+            message += `_Your deployment will be available for preview at this slot URL once it enters verification state_\n`;
+        }
+
+        message += '\n## 🎯 **Monitoring Options**:\n';
+        message += `Auto-monitoring has started. Subscribe to \`deployment://${deployment.id}\` for real-time events, or check on demand:\n`;
+        message += `\`\`\`\nget_deployment_status({ deploymentId: "${deployment.id}" })\n\`\`\`\n`;
+
+        if (needsVerification) {
+            message += '\n**📋 Deployment Stages**:\n';
+            message += '1. **In Progress** - Deployment is running\n';
+            message += '2. **Verification** - Review changes at preview URL\n';
+            message += '3. **Complete** - After you run `complete_deployment`\n';
+        }
+
+        return { data: structuredData, message: ResponseBuilder.addFooter(message) };
+    }
+
     /**
      * Format deployment completed response
      */
@@ -0,0 +1,380 @@
+/**
+ * Deployment Package Operations
+ * Handles uploading code/database packages and deploying them to an environment
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { ResponseBuilder, ErrorHandler } from '../../index';
+import DeploymentFormatters from './deployment-formatters';
+import DeploymentActionOperations from './deployment-actions';
+import { WebhookFormat } from '../../webhooks/webhook-formatter';
+import DeploymentValidator from '../../deployment-validator';
+import PermissionChecker from '../permission-checker';
+import DXPRestClient from '../../dxp-rest-client';
+import AzureBlobUploader from '../../azure-blob-uploader';
+import UploadProgress from '../../upload-progress';
+
+/**
+ * Upload package arguments
+ */
+interface UploadPackageArgs {
+    apiKey?: string;
+    apiSecret?: string;
+    projectId?: string;
+    projectName?: string;
+    packagePath?: string;
+    packagePaths?: string[];
+    isSelfHosted?: boolean;
+    connectionString?: string;
+    apiUrl?: string;
+}
+
+/**
+ * Deploy package arguments
+ */
+interface DeployPackageArgs extends UploadPackageArgs {
+    packages?: string[];
+    targetEnvironment?: string;
+    directDeploy?: boolean;
+    useMaintenancePage?: boolean;
+    zeroDowntimeMode?: string;
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+}
+
+/**
+ * Result of a single package upload
+ */
+interface UploadedPackage {
+    packageName: string;
+    packageType?: string;
+    bytesUploaded: number;
+    duration: number;
+    blobUrl?: string;
+}
+
+/**
+ * Deployment result from API
+ */
+interface DeploymentResult {
+    id: string;
+    status?: string;
+    startTime?: string;
+    percentComplete?: number;
+    [key: string]: any;
+}
+
+class DeploymentPackageOperations {
+    /**
+     * Upload one or more deployment packages
+     */
+    static async handleUploadPackage(args: UploadPackageArgs): Promise<any> {
+        if (args.isSelfHosted || args.connectionString) {
+            return ResponseBuilder.invalidParams('Package uploads are not available for self-hosted projects.');
+        }
+
+        if (!args.apiKey || !args.apiSecret || !args.projectId) {
+            return ResponseBuilder.invalidParams('Missing required parameters');
+        }
+
+        const packagePaths = this.collectPackagePaths(args);
+        if (packagePaths.length === 0) {
+            return ResponseBuilder.invalidParams('packagePath is required (path to a .nupkg or .sqlbacpac file)');
+        }
+
+        try {
+            const validationError = await this.validatePackageFiles(packagePaths);
+            if (validationError) {
+                return ResponseBuilder.error(validationError);
+            }
+
+            const uploads = await this.uploadPackages(args, packagePaths);
+            const result = DeploymentFormatters.formatPackageUploaded(uploads, args.projectName);
+            return ResponseBuilder.successWithStructuredData(result.data, result.message);
+        } catch (error: any) {
+            console.error('Upload package error:', error);
+            return ResponseBuilder.internalError('Failed to upload package', error.message);
+        }
+    }
+
+    /**
+     * Deploy packages to an environment, uploading local files first if needed
+     */
+    static async handleDeployPackage(args: DeployPackageArgs): Promise<any> {
+        if (args.isSelfHosted || args.connectionString) {
+            return ResponseBuilder.invalidParams('Deployments are not available for self-hosted projects. Self-hosted projects can only download existing backups and blobs.');
+        }
+
+        if (!args.apiKey || !args.apiSecret || !args.projectId) {
+            return ResponseBuilder.invalidParams('Missing required parameters');
+        }
+
+        if (!args.targetEnvironment) {
+            return ResponseBuilder.invalidParams('targetEnvironment is required');
+        }
+
+        const packagePaths = this.collectPackagePaths(args);
+        const uploadedPackages = args.packages || [];
+
+        if (packagePaths.length === 0 && uploadedPackages.length === 0) {
+            return ResponseBuilder.invalidParams('Provide packagePath (local file to upload) or packages (names of already uploaded packages)');
+        }
+
+        try {
+            const result = await this.deployPackage(args, packagePaths, uploadedPackages);
+
+            // Validation failures are already MCP error responses
+            if (result && typeof result === 'object' && 'error' in result) {
+                return result;
+            }
+
+            if (result && typeof result === 'object' && 'data' in result && 'message' in result) {
+                return ResponseBuilder.successWithStructuredData(result.data, result.message);
+            }
+
+            return ResponseBuilder.success(result);
+        } catch (error: any) {
+            console.error('Deploy package error:', error);
+            return ResponseBuilder.internalError('Failed to deploy package', error.message);
+        }
+    }
+
+    static async deployPackage(args: DeployPackageArgs, packagePaths: string[], uploadedPackages: string[]): Promise<any> {
+        const {
+            apiKey, apiSecret, projectId, projectName, targetEnvironment,
+            directDeploy, useMaintenancePage, zeroDowntimeMode,
+            webhookUrl, webhookHeaders, webhookFormat
+        } = args;
+
+        // Validate names of packages that are already in the upload container
+        for (const packageName of uploadedPackages) {
+            const validation = DeploymentValidator.validatePackageName(packageName);
+            if (!validation.valid) {
+                return ResponseBuilder.error(`❌ ${validation.error}\n\n💡 ${validation.suggestion}`);
+            }
+        }
+
+        const validationError = await this.validatePackageFiles(packagePaths);
+        if (validationError) {
+            return ResponseBuilder.error(validationError);
+        }
+
+        // Check access to the target environment before uploading anything
+        const permissions = await PermissionChecker.getOrCheckPermissionsSafe({
+            apiKey: apiKey!,
+            apiSecret: apiSecret!,
+            projectId: projectId!,
+            id: projectId!,
+            projectName: projectName || 'Project'
+        });
+
+        if (!permissions.accessible.includes(targetEnvironment!)) {
+            return {
+                data: {
+                    error: 'insufficient_permissions',
+                    missingAccess: [targetEnvironment],
+                    availableEnvironments: permissions.accessible
+                },
+                message: `ℹ️ **Access Level Check**\n\n` +
+                    `Package deployments require access to the target environment.\n\n` +
+                    `**Requested:** ${targetEnvironment}\n` +
+                    `**Your access level:** ${permissions.accessible.join(', ')}`
+            };
+        }
+
+        // DXP-67: Defensive check for useMaintenancePage to prevent accidental production downtime
+        if (useMaintenancePage === true) {
+            console.error('⚠️  WARNING: useMaintenancePage is set to TRUE');
+            console.error(`    This will show a maintenance page during deployment to ${targetEnvironment}`);
+        }
+
+        const timingCheck = DeploymentValidator.validateDeploymentTiming({ targetEnvironment, projectName });
+        if (!timingCheck.valid) {
+            return ResponseBuilder.error(`${timingCheck.error}\n\n💡 ${timingCheck.suggestion}`);
+        }
+        if (timingCheck.warnings && timingCheck.warnings.length > 0) {
+            timingCheck.warnings.forEach(warn => {
+                console.error(`Timing warning: ${warn.message}`);
+            });
+        }
+
+        // Upload local packages first so the deployment can reference them by name
+        const uploads = packagePaths.length > 0 ? await this.uploadPackages(args, packagePaths) : [];
+        const packages = [...uploadedPackages, ...uploads.map(u => u.packageName)];
+
+        // Based on EpiCloud.psm1 Start-EpiDeployment DeploymentPackage parameter set
+        const deploymentParams: any = {
+            targetEnvironment: targetEnvironment!,
+            packages
+        };
+        if (directDeploy === true) {
+            deploymentParams.directDeploy = true;
+        }
+        if (useMaintenancePage === true) {
+            deploymentParams.maintenancePage = true;
+        }
+        if (zeroDowntimeMode) {
+            deploymentParams.zeroDowntimeMode = zeroDowntimeMode;
+        }
+
+        console.error(`Starting package deployment via REST API with payload:`);
+        console.error(JSON.stringify(deploymentParams, null, 2));
+
+        try {
+            const result: DeploymentResult = await DXPRestClient.startDeployment(
+                projectId!,
+                apiKey!,
+                apiSecret!,
+                deploymentParams,
+                { apiUrl: args.apiUrl } // Support custom API URLs
+            );
+
+            if (!result) {
+                return { data: null, message: ResponseBuilder.addFooter('Deployment started but no details available') };
+            }
+
+            const formatted = DeploymentFormatters.formatPackageDeploymentStarted(result, {
+                projectId,
+                projectName,
+                targetEnvironment,
+                packages,
+                directDeploy,
+                useMaintenancePage,
+                zeroDowntimeMode
+            });
+            formatted.data.uploads = uploads;
+
+            if (result.id) {
+                DeploymentActionOperations.trackStartedDeployment(result.id, {
+                    tool: 'deploy_package',
+                    projectId: projectId!,
+                    projectName,
+                    apiKey: apiKey!,
+                    apiSecret: apiSecret!,
+                    targetEnvironment,
+                    deploymentType: 'package',
+                    packages,
+                    status: result.status,
+                    webhookUrl,
+                    webhookHeaders,
+                    webhookFormat
+                });
+            }
+
+            return formatted;
+        } catch (error: any) {
+            const errorDetails = {
+                operation: 'Deploy Package',
+                projectId,
+                projectName,
+                targetEnvironment,
+                apiKey
+            };
+
+            if (error.statusCode === 401 || error.statusCode === 403) {
+                return ErrorHandler.formatError({
+                    type: 'ACCESS_DENIED',
+                    message: 'Access denied to deployment API',
+                    statusCode: error.statusCode
+                } as any, errorDetails);
+            }
+
+            return ErrorHandler.formatError({
+                type: 'API_ERROR',
+                message: error.message,
+                statusCode: error.statusCode
+            } as any, errorDetails);
+        }
+    }
+
+    /**
+     * Upload package files to the project's package container
+     */
+    static async uploadPackages(args: UploadPackageArgs, packagePaths: string[]): Promise<UploadedPackage[]> {
+        const packageLocation = await DXPRestClient.getPackageLocation(
+            args.projectId!,
+            args.apiKey!,
+            args.apiSecret!,
+            { apiUrl: args.apiUrl }
+        );
+
+        if (!packageLocation || typeof packageLocation !== 'string') {
+            throw new Error('DXP API did not return a package upload location');
+        }
+
+        const uploads: UploadedPackage[] = [];
+        for (const packagePath of packagePaths) {
+            const packageName = path.basename(packagePath);
+            const validation = DeploymentValidator.validatePackageName(packageName);
+            const tracker = UploadProgress.createTracker(packagePath);
+
+            console.error(`📦 Uploading ${packageName}...`);
+
+            try {
+                const result = await AzureBlobUploader.uploadFile(packageLocation, packageName, packagePath, {
+                    onProgress: (bytesUploaded) => tracker.setProgress(bytesUploaded)
+                });
+                tracker.complete();
+
+                uploads.push({
+                    packageName,
+                    packageType: validation.packageType,
+                    bytesUploaded: result.bytesUploaded,
+                    duration: result.duration,
+                    blobUrl: result.blobUrl
+                });
+            } catch (error: any) {
+                tracker.fail(error);
+                throw new Error(`Upload of ${packageName} failed: ${error.message}`);
+            }
+        }
+
+        return uploads;
+    }
+
+    /**
+     * Check that package files exist and follow the DXP naming convention
+     * @returns Error message, or null when all packages are valid
+     */
+    static async validatePackageFiles(packagePaths: string[]): Promise<string | null> {
+        for (const packagePath of packagePaths) {
+            const validation = DeploymentValidator.validatePackageName(path.basename(packagePath));
+            if (!validation.valid) {
+                return `❌ ${validation.error}\n\n💡 ${validation.suggestion}`;
+            }
+
+            try {
+                const stats = await fs.promises.stat(packagePath);
+                if (!stats.isFile()) {
+                    return `❌ Package path is not a file: ${packagePath}`;
+                }
+                if (stats.size === 0) {
+                    return `❌ Package file is empty: ${packagePath}`;
+                }
+            } catch (error) {
+                return `❌ Package file not found: ${packagePath}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Combine packagePath and packagePaths arguments into a single list
+     */
+    static collectPackagePaths(args: UploadPackageArgs): string[] {
+        const paths: string[] = [];
+        if (args.packagePath) {
+            paths.push(args.packagePath);
+        }
+        if (args.packagePaths) {
+            paths.push(...args.packagePaths);
+        }
+        return paths.map(p => path.resolve(p));
+    }
+}
+
+export default DeploymentPackageOperations;
@@ -7,6 +7,7 @@
 import DeploymentListOperations from './deployment-list';
 import DeploymentActionOperations from './deployment-actions';
 import DeploymentFormatters from './deployment-formatters';
+import DeploymentPackageOperations from './deployment-package';
 
 class DeploymentTools {
     // List operations
@@ -34,11 +35,21 @@ class DeploymentTools {
     static async handleMonitorDeployment(args: any): Promise<any> {
         return DeploymentActionOperations.handleMonitorDeployment(args);
     }
+
+    // Package operations
+    static async handleUploadPackage(args: any): Promise<any> {
+        return DeploymentPackageOperations.handleUploadPackage(args);
+    }
+
+    static async handleDeployPackage(args: any): Promise<any> {
+        return DeploymentPackageOperations.handleDeployPackage(args);
+    }
 }
 
 export {
     DeploymentTools,
     DeploymentListOperations,
     DeploymentActionOperations,
+    DeploymentPackageOperations,
     DeploymentFormatters
 };
@@ -1,6 +1,6 @@
 /**
  * Download Management Tools
- * Handles listing, cancelling, and monitoring active downloads
+ * Handles listing, cancelling, pausing/resuming, and monitoring active downloads
  * Part of Jaxon Digital Optimizely DXP MCP Server
  */
 
@@ -25,6 +25,13 @@ interface DownloadCancelArgs {
     downloadId?: string;
 }
 
+/**
+ * Download pause/resume arguments
+ */
+interface DownloadControlArgs {
+    downloadId?: string;
+}
+
 /**
  * Download status arguments
  */
@@ -48,6 +55,7 @@ interface LogDownload {
     dateRange?: string;
     pid?: number;
     error?: string;
+    type?: string;
 }
 
 /**
@@ -219,7 +227,7 @@ class DownloadManagementTools {
      */
     static _filterByStatus(downloads: any[], status: string): any[] {
         const statusMap: Record<string, string[] | null> = {
-            'active': ['starting', 'running', 'pending', 'in_progress'],
+            'active': ['starting', 'running', 'downloading', 'paused', 'pending', 'in_progress'],
             'completed': ['completed', 'complete'],
             'failed': ['failed', 'cancelled', 'error'],
             'all': null
@@ -238,7 +246,8 @@ class DownloadManagementTools {
     static _formatLogDownload(download: LogDownload): UnifiedDownload {
         return {
             downloadId: download.key,
-            type: 'logs',
+            // Database downloads are tracked by DownloadManager under their downloadId too
+            type: download.type === 'database' ? 'database' : 'logs',
             status: download.status,
             progress: download.progress,
             startTime: download.startTime,
@@ -392,6 +401,8 @@ class DownloadManagementTools {
         const statusEmoji: Record<string, string> = {
             'starting': '⏳',
             'running': '⏳',
+            'downloading': '⏳',
+            'paused': '⏸️',
             'completed': '✅',
             'cancelled': '❌',
             'failed': '💥'
@@ -405,7 +416,9 @@ class DownloadManagementTools {
         message += `• **Status**: ${download.status}\n`;
         message += `• **Progress**: ${download.progress}%\n`;
 
-        if (download.status === 'running' || download.status === 'starting') {
+        if (download.status === 'paused') {
+            message += `• **Resume**: \`download_resume({ downloadId: "${download.downloadId}" })\`\n`;
+        } else if (download.status === 'running' || download.status === 'starting' || download.status === 'downloading') {
             message += `• **Running**: ${elapsedMinutes}m ${elapsedSeconds}s\n`;
         } else if (download.endTime) {
             const duration = Math.floor((download.endTime - download.startTime) / 60000);
@@ -451,33 +464,15 @@ class DownloadManagementTools {
      * @private
      */
     static async _cancelSingleDownload(downloadId: string): Promise<any> {
-        // Check if it's a database download
-        // DXP-178 FIX: Need .default for ES module default export
-        const DatabaseSimpleTools = require('./database-simple-tools').default;
-        // DXP-178 FIX: Use .backgroundDownloads.get() instead of non-existent .getDownloadStatus()
-        const dbDownload = DatabaseSimpleTools.backgroundDownloads.get(downloadId);
-
-        if (dbDownload) {
-            return ResponseBuilder.error(
-                `❌ **Cannot Cancel Database Download**\n\n` +
-                `Database downloads use Azure Blob streaming and cannot be interrupted. ` +
-                `The download will complete in the background.\n\n` +
-                `**Download ID**: ${downloadId}\n` +
-                `**Progress**: ${dbDownload.percent || 0}%\n\n` +
-                `**Monitor progress:** \`download_status({ downloadId: "${downloadId}" })\``
-            );
-        }
-
-        // Check if it's a log download
-        const logDownload = downloadManager.getDownload(downloadId);
-        if (!logDownload) {
+        // Log, blob and database downloads are all tracked by downloadManager
+        const activeDownload = downloadManager.getDownload(downloadId);
+        if (!activeDownload) {
             return ResponseBuilder.error(
                 `Download ${downloadId} not found.\n\n` +
                 `**View active downloads:** \`download_list({ status: "active" })\``
             );
         }
 
-        // Cancel the log download
         const result: CancelResult = downloadManager.cancelDownload(downloadId);
 
         if (result.success) {
@@ -491,10 +486,11 @@ class DownloadManagementTools {
             };
 
             const message = `❌ **Download Cancelled**\n\n` +
-                `**Download**: ${download.containerName} logs\n` +
+                `**Download**: ${this._describeDownload(download)}\n` +
                 `**Runtime**: ${elapsed} minutes\n` +
                 `**Progress**: ${download.progress}%\n\n` +
-                `Partially downloaded files have been preserved.`;
+                `Partially downloaded files have been preserved. ` +
+                `Starting the same download again resumes from the last finished chunk.`;
 
             return ResponseBuilder.successWithStructuredData(structuredData, message);
         } else {
@@ -508,20 +504,8 @@ class DownloadManagementTools {
      */
     static async _cancelAllDownloads(): Promise<any> {
         const logResults: CancelResult[] = downloadManager.cancelAllDownloads();
-
-        // Find database downloads that can't be cancelled
-        // DXP-178 FIX: Need .default for ES module default export
-        const DatabaseSimpleTools = require('./database-simple-tools').default;
+        // Nothing is skipped any more - database downloads are cancellable too
         const dbDownloads: SkippedDownload[] = [];
-        for (const [id, download] of DatabaseSimpleTools.backgroundDownloads.entries()) {
-            if (download.status === 'in_progress' || download.status === 'pending') {
-                dbDownloads.push({
-                    downloadId: id,
-                    type: 'database',
-                    reason: 'Database downloads cannot be cancelled'
-                });
-            }
-        }
 
         const cancelled = logResults.filter(r => r.success).map(r => r.download!.key);
         const failed: FailedCancel[] = logResults.filter(r => !r.success).map(r => ({
@@ -536,22 +520,13 @@ class DownloadManagementTools {
         let message = `❌ **Cancel All Downloads**\n\n`;
 
         if (cancelled.length > 0) {
-            message += `**Cancelled log downloads** (${cancelled.length}):\n`;
+            message += `**Cancelled downloads** (${cancelled.length}):\n`;
             for (const id of cancelled) {
                 message += `• ${id}\n`;
             }
             message += `\n`;
         }
 
-        if (dbDownloads.length > 0) {
-            message += `**Database downloads continuing** (${dbDownloads.length}):\n`;
-            message += `These downloads cannot be cancelled and will complete in background.\n`;
-            for (const db of dbDownloads) {
-                message += `• ${db.downloadId}\n`;
-            }
-            message += `\n`;
-        }
-
         if (failed.length > 0) {
             message += `**Failed to cancel** (${failed.length}):\n`;
             for (const f of failed) {
@@ -569,6 +544,93 @@ class DownloadManagementTools {
         return ResponseBuilder.successWithStructuredData(structuredData, message);
     }
 
+    /**
+     * Pause an active download
+     * In-flight range requests are aborted; finished chunks stay on disk
+     */
+    static async handleDownloadPause(args: DownloadControlArgs): Promise<any> {
+        if (!args || !args.downloadId) {
+            return ResponseBuilder.invalidParams('downloadId is required.');
+        }
+
+        try {
+            const result: CancelResult = downloadManager.pauseDownload(args.downloadId);
+            if (!result.success) {
+                return ResponseBuilder.error(
+                    `Failed to pause: ${result.error}\n\n` +
+                    `**View active downloads:** \`download_list({ status: "active" })\``
+                );
+            }
+
+            const download = result.download;
+            const message = `⏸️ **Download Paused**\n\n` +
+                `**Download**: ${this._describeDownload(download)}\n` +
+                `**Progress**: ${download.progress}%\n\n` +
+                `Finished chunks are kept on disk and nothing is re-downloaded on resume.\n\n` +
+                `**Resume:** \`download_resume({ downloadId: "${download.key}" })\``;
+
+            return ResponseBuilder.successWithStructuredData({
+                downloadId: download.key,
+                status: download.status,
+                progress: download.progress
+            }, message);
+        } catch (error: any) {
+            OutputLogger.error(`Pause download error: ${error}`);
+            return ResponseBuilder.internalError('Failed to pause download', error.message);
+        }
+    }
+
+    /**
+     * Resume a paused download
+     */
+    static async handleDownloadResume(args: DownloadControlArgs): Promise<any> {
+        if (!args || !args.downloadId) {
+            return ResponseBuilder.invalidParams('downloadId is required.');
+        }
+
+        try {
+            const pausedAt = downloadManager.getDownload(args.downloadId)?.pausedAt;
+            const result: CancelResult = downloadManager.resumeDownload(args.downloadId);
+            if (!result.success) {
+                return ResponseBuilder.error(
+                    `Failed to resume: ${result.error}\n\n` +
+                    `A download interrupted by a restart is resumed by starting the same download again.`
+                );
+            }
+
+            const download = result.download;
+            const pausedFor = pausedAt ? Math.round((Date.now() - pausedAt) / 1000) : null;
+            const message = `▶️ **Download Resumed**\n\n` +
+                `**Download**: ${this._describeDownload(download)}\n` +
+                `**Progress**: ${download.progress}%\n\n` +
+                `**Monitor progress:** \`download_status({ downloadId: "${download.key}" })\``;
+
+            return ResponseBuilder.successWithStructuredData({
+                downloadId: download.key,
+                status: download.status,
+                progress: download.progress,
+                pausedSeconds: pausedFor
+            }, message);
+        } catch (error: any) {
+            OutputLogger.error(`Resume download error: ${error}`);
+            return ResponseBuilder.internalError('Failed to resume download', error.message);
+        }
+    }
+
+    /**
+     * Short label for a tracked download
+     * @private
+     */
+    static _describeDownload(download: any): string {
+        if (download.type === 'database') {
+            return `${download.containerName} database (${download.environment})`;
+        }
+        if (download.type === 'blobs') {
+            return `${download.containerName} blobs (${download.environment})`;
+        }
+        return `${download.containerName} logs`;
+    }
+
     /**
      * Get download status for a specific download (DXP-82)
      * Checks both log downloads (downloadManager) and database exports (DatabaseSimpleTools)
@@ -592,7 +654,7 @@ class DownloadManagementTools {
 
             // If not found, check database export system
             if (!download) {
-                const DatabaseSimpleTools = require('./database-simple-tools');
+                const DatabaseSimpleTools = require('./database-simple-tools').default;
                 // DXP-178 FIX: Use .backgroundDownloads.get() instead of non-existent .getDownloadStatus()
                 download = DatabaseSimpleTools.backgroundDownloads.get(args.downloadId);
 
@@ -619,7 +681,7 @@ class DownloadManagementTools {
 
             let message = `# 📊 Download Status\n\n`;
             message += `**ID**: ${download.key}\n`;
-            message += `**Type**: ${download.containerName} logs\n`;
+            message += `**Type**: ${this._describeDownload(download)}\n`;
             message += `**Project**: ${download.projectName} (${download.environment})\n`;
             message += `**Status**: ${download.status}\n`;
 
@@ -691,7 +753,11 @@ class DownloadManagementTools {
             if (download.status === 'failed') {
                 message += `• Retry: Start a new download with same parameters\n`;
                 message += `• Debug: Set DEBUG=true environment variable for detailed logs\n`;
-            } else {
+            } else if (download.status === 'paused') {
+                message += `• Resume: \`download_resume({ downloadId: "${download.key}" })\`\n`;
+                message += `• Cancel: \`download_cancel({ downloadId: "${download.key}" })\`\n`;
+            } else if (download.status !== 'completed' && download.status !== 'cancelled') {
+                message += `• Pause: \`download_pause({ downloadId: "${download.key}" })\`\n`;
                 message += `• Cancel: \`download_cancel({ downloadId: "${download.key}" })\`\n`;
             }
             message += `• View all: \`download_list({ status: "active" })\`\n`;
@@ -699,7 +765,7 @@ class DownloadManagementTools {
             // DXP-3: Add structured data with live progress
             const structuredData: any = {
                 downloadId: download.key,
-                type: 'logs',
+                type: download.type === 'database' ? 'database' : 'logs',
                 containerName: download.containerName,
                 projectName: download.projectName,
                 environment: download.environment,
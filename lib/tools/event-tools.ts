@@ -0,0 +1,191 @@
+/**
+ * Event Tools Module
+ * replay_events: re-send event history for a time range to a webhook or to the bus subscribers
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import ResponseBuilder from '../response-builder';
+import { getGlobalEmitter } from '../events/event-emitter';
+import { DXPEvent } from '../events/event-types';
+import { getGlobalWebhookManager } from '../webhooks/webhook-manager';
+import { WebhookFormat } from '../webhooks/webhook-formatter';
+
+/**
+ * replay_events arguments
+ */
+interface ReplayEventsArgs {
+    since?: string;
+    until?: string;
+    minutesBack?: number;
+    pattern?: string;
+    operationId?: string;
+    project?: string;
+    target?: 'webhook' | 'subscribers';
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+    limit?: number;
+}
+
+const DEFAULT_LIMIT = 500;
+// The webhook queue holds at most 1000 deliveries
+const MAX_LIMIT = 1000;
+// Events read from history before filtering
+const MAX_SCAN = 50000;
+
+class EventTools {
+    /**
+     * Re-send history to a webhook URL or re-publish it to bus subscribers
+     * Replayed events carry metadata.replayed and are not written to history again;
+     * resources and webhooks skip them, so only outside subscribers see a subscribers replay
+     */
+    static async handleReplayEvents(args: ReplayEventsArgs): Promise<any> {
+        const target = args.target || (args.webhookUrl ? 'webhook' : 'subscribers');
+        if (target === 'webhook' && !args.webhookUrl) {
+            return ResponseBuilder.invalidParams('webhookUrl is required when target is "webhook"');
+        }
+
+        const range = this.timeRange(args);
+        if ('error' in range) {
+            return ResponseBuilder.invalidParams(range.error);
+        }
+
+        const limit = Math.min(args.limit || DEFAULT_LIMIT, MAX_LIMIT);
+        const emitter = getGlobalEmitter();
+
+        let events: DXPEvent[];
+        try {
+            // Read past the limit so filters still fill it and the oldest events go first
+            events = await emitter.getHistory({
+                pattern: args.pattern || '*',
+                since: range.since,
+                until: range.until,
+                limit: MAX_SCAN
+            });
+        } catch (error: any) {
+            return ResponseBuilder.error(`Failed to read event history: ${error.message}`);
+        }
+
+        events = events.filter(event => this.matches(event, args));
+        const available = events.length;
+        events = events.slice(0, limit);
+
+        const health = await emitter.getHealth();
+        const busType = health.type || 'unknown';
+
+        let queued = 0;
+        let failed = 0;
+        if (events.length > 0) {
+            if (target === 'webhook') {
+                const result = getGlobalWebhookManager().replay(args.webhookUrl!, events, { headers: args.webhookHeaders, format: args.webhookFormat });
+                if (!result.success) {
+                    return ResponseBuilder.invalidParams(`Invalid webhook: ${result.error}`);
+                }
+                queued = result.queued;
+                failed = result.failed;
+            } else {
+                for (const event of events) {
+                    await emitter.emitEvent({ ...event, metadata: { ...event.metadata, replayed: true } });
+                    queued++;
+                }
+            }
+        }
+
+        const data = {
+            target,
+            busType,
+            since: range.since.toISOString(),
+            until: range.until.toISOString(),
+            pattern: args.pattern || '*',
+            operationId: args.operationId || null,
+            project: args.project || null,
+            matched: available,
+            replayed: queued,
+            failed,
+            truncated: available > events.length,
+            // Continue from here when truncated
+            nextSince: available > events.length ? events[events.length - 1].timestamp : null,
+            byType: events.reduce<Record<string, number>>((counts, event) => {
+                counts[event.eventType] = (counts[event.eventType] || 0) + 1;
+                return counts;
+            }, {})
+        };
+
+        return ResponseBuilder.successWithStructuredData(data, this.formatResult(data));
+    }
+
+    /**
+     * Resolve since/until (default: the last 60 minutes)
+     * @private
+     */
+    static timeRange(args: ReplayEventsArgs): { since: Date; until: Date } | { error: string } {
+        const until = args.until ? new Date(args.until) : new Date();
+        if (isNaN(until.getTime())) {
+            return { error: `Invalid until: ${args.until}` };
+        }
+
+        const since = args.since
+            ? new Date(args.since)
+            : new Date(until.getTime() - (args.minutesBack || 60) * 60 * 1000);
+        if (isNaN(since.getTime())) {
+            return { error: `Invalid since: ${args.since}` };
+        }
+        if (since > until) {
+            return { error: 'since must be before until' };
+        }
+
+        return { since, until };
+    }
+
+    /**
+     * @private
+     */
+    static matches(event: DXPEvent, args: ReplayEventsArgs): boolean {
+        if (args.operationId && event.operationId !== args.operationId) {
+            return false;
+        }
+        if (args.project) {
+            const project = event.project || event.metadata?.project;
+            if (!project || String(project).toLowerCase() !== args.project.toLowerCase()) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Format the replay summary for display
+     */
+    static formatResult(data: { target: string; busType: string; since: string; until: string; pattern: string; matched: number; replayed: number; failed: number; truncated: boolean; nextSince: string | null; byType: Record<string, number> }): string {
+        let message = `🔁 **Event Replay** - ${data.target === 'webhook' ? 'webhook' : 'bus subscribers'}\n\n`;
+        message += `**Time range:** ${data.since} to ${data.until}\n`;
+        message += `**Pattern:** ${data.pattern}\n`;
+
+        if (data.matched === 0) {
+            message += '\nNo events found in history for this range.\n';
+            if (data.busType === 'in-memory') {
+                message += '💡 The in-memory bus only keeps events since the server started. Set EVENT_BUS_TYPE=file to keep history across restarts.\n';
+            }
+            return ResponseBuilder.addFooter(message);
+        }
+
+        message += `**Replayed:** ${data.replayed} of ${data.matched} event${data.matched === 1 ? '' : 's'}`;
+        message += data.target === 'webhook' ? ' queued for delivery' : ' re-published';
+        message += data.failed > 0 ? ` (⚠️ ${data.failed} could not be queued)\n` : '\n';
+        if (data.truncated) {
+            message += `⚠️ More events matched than the limit; continue with since=${data.nextSince}.\n`;
+        }
+
+        message += '\n**By type:**\n';
+        Object.entries(data.byType)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([eventType, count]) => {
+                message += `- ${eventType}: ${count}\n`;
+            });
+
+        message += '\nReplayed events carry metadata.replayed = true. This server\'s resources and webhooks ignore them.\n';
+        return ResponseBuilder.addFooter(message);
+    }
+}
+
+export default EventTools;
@@ -14,17 +14,21 @@ import AzureBlobStreamer from '../azure-blob-streamer';
 
 // DXP-179: Access default export explicitly for CommonJS/ESM interop
 const logParser = require('../log-analysis/log-parser');
-const { parseLogEntry } = logParser.default || logParser;
+const { createFileParser, addFormatStats } = logParser.default || logParser;
 // DXP-173: Access default export explicitly for CommonJS/ESM interop
 const analyzers = require('../log-analysis/analyzers');
 const {
     analyzeErrors,
+    analyzeExceptions,
     analyzePerformance,
+    analyzePathStats,
+    analyzeTimeSeries,
     detectAIAgents,
     calculateHealthScore,
     generateRecommendations
 } = analyzers.default || analyzers;
-const { compareLogs } = require('../log-analysis/log-comparator');
+const logComparator = require('../log-analysis/log-comparator');
+const { compareLogs } = logComparator.default || logComparator;
 
 /**
  * Analyze logs streaming arguments
@@ -41,6 +45,7 @@ interface AnalyzeLogsArgs {
     slot?: boolean;  // DXP-116: Filter main/slot storage
     debug?: boolean;  // DXP-118: Debug mode
     timeoutSeconds?: number;  // DXP-188: Configurable timeout
+    bucketMinutes?: number;
 }
 
 /**
@@ -73,6 +78,7 @@ interface SingleLogTypeParams {
     slot?: boolean;
     debug?: boolean;
     timeoutSeconds?: number;  // DXP-188: Configurable timeout
+    bucketMinutes?: number;
 }
 
 /**
@@ -98,6 +104,27 @@ interface ErrorAnalysis {
     topErrors: Array<{ message: string; count: number }>;
 }
 
+/**
+ * Exception groups (fingerprinted .NET exceptions)
+ */
+interface ExceptionAnalysis {
+    total: number;
+    groupCount: number;
+    topGroups: Array<{
+        fingerprint: string;
+        type: string;
+        message: string;
+        sampleMessage: string;
+        count: number;
+        firstSeen: string;
+        lastSeen: string;
+        paths: string[];
+        innerTypes: string[];
+        sampleStack: string;
+    }>;
+    fingerprints: string[];
+}
+
 /**
  * Performance analysis result
  */
@@ -106,6 +133,43 @@ interface PerformanceAnalysis {
     p95ResponseTime: number | null;
     p99ResponseTime: number | null;
     slowestPaths: Array<{ path: string; avgTime: number }>;
+    latencyHistogram: { bounds: number[]; counts: number[] } | null;
+}
+
+/**
+ * Per-path request, error and latency statistics (compare_logs uses them for per-path regressions)
+ */
+interface PathStats {
+    path: string;
+    requests: number;
+    errors: number;
+    timedRequests: number;
+    avgResponseTime: number | null;
+    stdDevResponseTime: number | null;
+}
+
+/**
+ * Time series buckets (oldest first) and the buckets flagged against the earlier part of the window
+ */
+interface TimeSeriesAnalysis {
+    bucketMinutes: number | null;
+    buckets: Array<{
+        start: string;
+        requests: number;
+        errors: number;
+        errorRate: number;
+        p50ResponseTime: number | null;
+        p95ResponseTime: number | null;
+        p99ResponseTime: number | null;
+    }>;
+    anomalies: Array<{
+        bucketStart: string;
+        metric: 'requests' | 'errors' | 'errorRate' | 'p95ResponseTime';
+        value: number;
+        expected: number;
+        zScore: number;
+        severity: 'warning' | 'critical';
+    }>;
 }
 
 /**
@@ -143,14 +207,28 @@ interface DebugInfo {
  */
 interface LogAnalysisResult {
     parsedLogs: ParsedLog[];
+    formatStats: Record<string, FormatStats>;
     errorAnalysis: ErrorAnalysis;
+    exceptionAnalysis: ExceptionAnalysis;
     perfAnalysis: PerformanceAnalysis;
+    pathStats: PathStats[];
+    timeSeries: TimeSeriesAnalysis;
     aiAnalysis: AIAnalysis;
     healthStatus: HealthStatus;
     recommendations: string[];
     debugInfo?: DebugInfo | null;
 }
 
+/**
+ * Per-format parse counts (files detected as the format, lines read, entries parsed, lines not understood)
+ */
+interface FormatStats {
+    files: number;
+    lines: number;
+    entries: number;
+    unparsed: number;
+}
+
 /**
  * Time range
  */
@@ -171,6 +249,9 @@ interface CompareLogsArgs {
         maxErrorIncrease?: number;
         maxScoreDecrease?: number;
         maxLatencyIncrease?: number;
+        minRequests?: number;
+        minPathRequests?: number;
+        confidence?: number;
     };
 }
 
@@ -242,19 +323,24 @@ class LogAnalysisTools {
                 },
                 slot: args.slot,  // DXP-116: Pass slot parameter to filter main/slot storage
                 debug: args.debug,  // DXP-118: Pass debug parameter
-                timeoutSeconds: args.timeoutSeconds  // DXP-188: Pass timeout parameter
+                timeoutSeconds: args.timeoutSeconds,  // DXP-188: Pass timeout parameter
+                bucketMinutes: args.bucketMinutes
             });
 
             if (result.parsedLogs.length === 0) {
                 // DXP-179: Pass debugInfo so users can troubleshoot why 0 logs returned
-                return this.buildEmptyResponse(args.logType!, structuredContent, result.debugInfo);
+                return this.buildEmptyResponse(args.logType!, structuredContent, result.debugInfo, result.formatStats);
             }
 
             // Build response
             return this.buildResponse({
                 parsedLogs: result.parsedLogs,
+                formatStats: result.formatStats,
                 errorAnalysis: result.errorAnalysis,
+                exceptionAnalysis: result.exceptionAnalysis,
                 perfAnalysis: result.perfAnalysis,
+                pathStats: result.pathStats,
+                timeSeries: result.timeSeries,
                 aiAnalysis: result.aiAnalysis,
                 healthStatus: result.healthStatus,
                 recommendations: result.recommendations,
@@ -306,7 +392,8 @@ class LogAnalysisTools {
             timeFilter,
             slot: args.slot,  // DXP-116: Pass slot parameter
             debug: args.debug,  // DXP-118: Pass debug parameter
-            timeoutSeconds: args.timeoutSeconds  // DXP-188: Pass timeout parameter
+            timeoutSeconds: args.timeoutSeconds,  // DXP-188: Pass timeout parameter
+            bucketMinutes: args.bucketMinutes
         });
 
         // Analyze web logs
@@ -318,7 +405,8 @@ class LogAnalysisTools {
             timeFilter,
             slot: args.slot,  // DXP-116: Pass slot parameter
             debug: args.debug,  // DXP-118: Pass debug parameter
-            timeoutSeconds: args.timeoutSeconds  // DXP-188: Pass timeout parameter
+            timeoutSeconds: args.timeoutSeconds,  // DXP-188: Pass timeout parameter
+            bucketMinutes: args.bucketMinutes
         });
 
         // Combine results
@@ -334,9 +422,13 @@ class LogAnalysisTools {
         const totalLogs = combinedLogs.length;
         const combinedHealthScore = calculateHealthScore({ total: totalErrors }, totalLogs);
 
+        // Exceptions are grouped across both log types
+        const combinedExceptions = analyzeExceptions(combinedLogs);
+        const combinedTimeSeries = analyzeTimeSeries(combinedLogs, { bucketMinutes: args.bucketMinutes });
+
         // Generate combined recommendations
         const combinedRecommendations = [
-            ...generateRecommendations(appResult.errorAnalysis, appResult.perfAnalysis, appResult.aiAnalysis),
+            ...generateRecommendations(appResult.errorAnalysis, appResult.perfAnalysis, appResult.aiAnalysis, combinedExceptions),
             ...generateRecommendations(webResult.errorAnalysis, webResult.perfAnalysis, webResult.aiAnalysis)
         ];
 
@@ -346,6 +438,8 @@ class LogAnalysisTools {
             webResult,
             combinedLogs,
             combinedErrors,
+            combinedExceptions,
+            combinedTimeSeries,
             combinedHealthScore,
             combinedRecommendations,
             environment: args.environment!,
@@ -361,7 +455,7 @@ class LogAnalysisTools {
      * DXP-118: Added optional debug parameter for troubleshooting
      */
     static async analyzeSingleLogType(params: SingleLogTypeParams): Promise<LogAnalysisResult> {
-        const { logType, environment, credentials, timeFilter, slot, debug = false, timeoutSeconds } = params;
+        const { logType, environment, credentials, timeFilter, slot, debug = false, timeoutSeconds, bucketMinutes } = params;
         OutputLogger.info(`🚀 Starting log analysis: ${logType} logs from ${environment}`);
 
         // DXP-188: Smart timeout based on time range
@@ -381,7 +475,7 @@ class LogAnalysisTools {
         });
 
         return Promise.race([
-            this._analyzeSingleLogTypeImpl({ logType, environment, credentials, timeFilter, slot, debug }),
+            this._analyzeSingleLogTypeImpl({ logType, environment, credentials, timeFilter, slot, debug, bucketMinutes }),
             timeoutPromise
         ]);
     }
@@ -391,7 +485,7 @@ class LogAnalysisTools {
      * @private
      */
     static async _analyzeSingleLogTypeImpl(params: SingleLogTypeParams): Promise<LogAnalysisResult> {
-        const { logType, environment, credentials, timeFilter, slot, debug = false } = params;
+        const { logType, environment, credentials, timeFilter, slot, debug = false, bucketMinutes } = params;
 
         // DXP-118: Collect debug info only if requested
         let debugInfo: DebugInfo | null = null;
@@ -428,36 +522,7 @@ class LogAnalysisTools {
         }
 
         // Match container by logType (same logic as download_logs)
-        let containerName: string | undefined;
-        const logTypeLower = logType.toLowerCase();
-
-        if (logTypeLower === 'application') {
-            // Try exact matches first
-            containerName = containers.find(c => {
-                const lowerC = c.toLowerCase();
-                return lowerC === 'insights-logs-appserviceconsolelogs' ||
-                       lowerC === 'azure-application-logs';
-            }) || containers.find(c => {
-                // Fallback to partial matches
-                const lowerC = c.toLowerCase();
-                return lowerC.includes('consolelog') ||
-                       lowerC.includes('console') ||
-                       lowerC.includes('application');
-            });
-        } else { // web/http
-            // Try exact matches first
-            containerName = containers.find(c => {
-                const lowerC = c.toLowerCase();
-                return lowerC === 'insights-logs-appservicehttplogs' ||
-                       lowerC === 'azure-web-logs';
-            }) || containers.find(c => {
-                // Fallback to partial matches
-                const lowerC = c.toLowerCase();
-                return lowerC.includes('httplog') ||
-                       lowerC.includes('http') ||
-                       lowerC.includes('web');
-            });
-        }
+        const containerName = this.matchLogContainer(containers, logType);
 
         if (!containerName) {
             throw new Error(
@@ -605,17 +670,7 @@ class LogAnalysisTools {
         // DXP-116: Filter by slot parameter (main site vs deployment slot)
         if (slot !== undefined) {
             const beforeSlotFilter = blobUrls.length;
-            blobUrls = blobUrls.filter((url: string) => {
-                const nameUpper = url.toUpperCase();
-                if (slot === true) {
-                    // slot=true: Only include deployment slot logs (/SLOTS/SLOT/)
-                    return nameUpper.includes('/SLOTS/SLOT/');
-                } else if (slot === false) {
-                    // slot=false (default): Exclude ALL slot logs (any /SLOTS/ path)
-                    return !nameUpper.includes('/SLOTS/');
-                }
-                return true;
-            });
+            blobUrls = this.filterBlobsBySlot(blobUrls, slot);
             OutputLogger.info(`After slot filter (slot=${slot}): ${blobUrls.length} blobs (removed ${beforeSlotFilter - blobUrls.length})`);
         }
 
@@ -634,41 +689,52 @@ class LogAnalysisTools {
             OutputLogger.warn(`💡 Try: Expand the time range or check if logs exist for this period`);
         }
 
-        // Stream and parse logs
+        // Stream and parse logs; each blob gets its own parser so its format is detected separately
         const parsedLogs: ParsedLog[] = [];
+        const formatStats: Record<string, FormatStats> = {};
         let totalBytes = 0;
         let totalLines = 0;
 
         for (const blobUrl of filteredBlobs) {
+            const fileParser = createFileParser({ debug });  // DXP-179: Pass debug to parser
             try {
                 // DXP-179: Pass debug flag so parsing errors are logged
                 const stats = await AzureBlobStreamer.streamBlob(blobUrl, async (line: string) => {
-                    const parsed = parseLogEntry(line, debug);  // DXP-179: Pass debug to parser
-                    if (parsed) {
-                        parsedLogs.push(parsed);
-                    }
+                    parsedLogs.push(...fileParser.parseLine(line));
                 }, { debug });
+                parsedLogs.push(...fileParser.finish());
 
                 totalBytes += stats.bytesDownloaded;
                 totalLines += stats.linesProcessed;
             } catch (error: any) {
                 OutputLogger.debug(`Skipping blob ${blobUrl}: ${error.message}`);
             }
+            addFormatStats(formatStats, fileParser);
         }
 
         OutputLogger.info(`✅ Parsed ${parsedLogs.length} log entries from ${totalLines} lines (${Math.round(totalBytes / 1024)} KB)`);
+        if (debug) {
+            OutputLogger.debug(`Log formats: ${JSON.stringify(formatStats)}`);
+        }
 
         // Analyze logs
         const errorAnalysis = analyzeErrors(parsedLogs);
+        const exceptionAnalysis = analyzeExceptions(parsedLogs);
         const perfAnalysis = analyzePerformance(parsedLogs);
+        const pathStats = analyzePathStats(parsedLogs);
+        const timeSeries = analyzeTimeSeries(parsedLogs, { bucketMinutes });
         const aiAnalysis = detectAIAgents(parsedLogs);
         const healthStatus = calculateHealthScore(errorAnalysis, parsedLogs.length);
-        const recommendations = generateRecommendations(errorAnalysis, perfAnalysis, aiAnalysis);
+        const recommendations = generateRecommendations(errorAnalysis, perfAnalysis, aiAnalysis, exceptionAnalysis);
 
         return {
             parsedLogs,
+            formatStats,
             errorAnalysis,
+            exceptionAnalysis,
             perfAnalysis,
+            pathStats,
+            timeSeries,
             aiAnalysis,
             healthStatus,
             recommendations,
@@ -680,9 +746,15 @@ class LogAnalysisTools {
      * Build empty response for no logs found
      * DXP-179: Added debugInfo parameter to help troubleshoot why 0 logs returned
      */
-    static buildEmptyResponse(logType: string, structuredContent: boolean, debugInfo?: any): any {
+    static buildEmptyResponse(logType: string, structuredContent: boolean, debugInfo?: any, formatStats: Record<string, FormatStats> = {}): any {
         let message = `No ${logType} logs found in the specified time range`;
 
+        // Lines were read but none parsed: say which formats were detected
+        const formatsLine = LogAnalysisTools.formatFormatStats(formatStats);
+        if (formatsLine) {
+            message += `\n\n**Formats:** ${formatsLine}`;
+        }
+
         // DXP-179: Add debug section to message if debug info available
         if (debugInfo) {
             message += `\n\n## 🔍 Debug Info (DXP-179 Investigation)\n\n`;
@@ -710,6 +782,7 @@ class LogAnalysisTools {
                     consoleLogs: logType === 'application' ? 0 : null,
                     healthScore: 100,
                     healthy: true,
+                    formats: formatStats,
                     timeRange: {
                         start: null,
                         end: null,
@@ -718,12 +791,17 @@ class LogAnalysisTools {
                     }
                 },
                 errors: { total: 0, byStatusCode: {}, topErrors: [] },
+                exceptions: { total: 0, groupCount: 0, topGroups: [], fingerprints: [] },
                 performance: {
                     avgResponseTime: null,
                     p95ResponseTime: null,
                     p99ResponseTime: null,
-                    slowestPaths: []
+                    slowestPaths: [],
+                    latencyHistogram: null
                 },
+                paths: [],
+                timeSeries: { bucketMinutes: null, buckets: [] },
+                anomalies: [],
                 aiAgents: { detected: [], byAgent: {} },
                 recommendations: [],
                 // DXP-179: Include debug info in structured response when debug flag is set
@@ -740,8 +818,12 @@ class LogAnalysisTools {
     static buildResponse(data: any): any {
         const {
             parsedLogs,
+            formatStats = {},
             errorAnalysis,
+            exceptionAnalysis,
             perfAnalysis,
+            pathStats = [],
+            timeSeries,
             aiAnalysis,
             healthStatus,
             recommendations,
@@ -792,6 +874,10 @@ class LogAnalysisTools {
         message += `**Environment:** ${environment}\n`;
         message += `**Log Type:** ${logType}\n`;
         message += `**Total Logs:** ${parsedLogs.length}\n`;
+        const formatsLine = LogAnalysisTools.formatFormatStats(formatStats);
+        if (formatsLine) {
+            message += `**Formats:** ${formatsLine}\n`;
+        }
         message += `**Health Score:** ${healthStatus.score}/100 ${healthStatus.healthy ? '✅' : '⚠️'}\n\n`;
 
         if (errorAnalysis.total > 0) {
@@ -805,6 +891,8 @@ class LogAnalysisTools {
             message += '\n';
         }
 
+        message += LogAnalysisTools.formatExceptionGroups(exceptionAnalysis);
+
         if (perfAnalysis.avgResponseTime !== null) {
             message += `## ⏱️ Performance\n\n`;
             message += `- **Avg:** ${perfAnalysis.avgResponseTime}ms\n`;
@@ -812,6 +900,8 @@ class LogAnalysisTools {
             message += `- **P99:** ${perfAnalysis.p99ResponseTime}ms\n\n`;
         }
 
+        message += LogAnalysisTools.formatAnomalies(timeSeries);
+
         if (aiAnalysis.detected.length > 0) {
             message += `## 🤖 AI Agents (${aiAnalysis.detected.length})\n\n`;
             for (const agent of aiAnalysis.detected) {
@@ -837,6 +927,7 @@ class LogAnalysisTools {
                     consoleLogs: logType === 'application' ? parsedLogs.length : null,
                     healthScore: healthStatus.score,
                     healthy: healthStatus.healthy,
+                    formats: formatStats,
                     timeRange
                 },
                 errors: {
@@ -844,12 +935,20 @@ class LogAnalysisTools {
                     byStatusCode: errorAnalysis.byStatusCode || {},
                     topErrors: errorAnalysis.topErrors || []
                 },
+                exceptions: exceptionAnalysis || { total: 0, groupCount: 0, topGroups: [], fingerprints: [] },
                 performance: {
                     avgResponseTime: perfAnalysis.avgResponseTime,
                     p95ResponseTime: perfAnalysis.p95ResponseTime,
                     p99ResponseTime: perfAnalysis.p99ResponseTime,
-                    slowestPaths: perfAnalysis.slowestPaths || []
+                    slowestPaths: perfAnalysis.slowestPaths || [],
+                    latencyHistogram: perfAnalysis.latencyHistogram || null
+                },
+                paths: pathStats,
+                timeSeries: {
+                    bucketMinutes: timeSeries?.bucketMinutes ?? null,
+                    buckets: timeSeries?.buckets || []
                 },
+                anomalies: timeSeries?.anomalies || [],
                 aiAgents: {
                     detected: aiAnalysis.detected || [],
                     byAgent: aiAnalysis.byAgent || {}
@@ -875,6 +974,8 @@ class LogAnalysisTools {
             webResult,
             combinedLogs,
             combinedErrors,
+            combinedExceptions,
+            combinedTimeSeries,
             combinedHealthScore,
             combinedRecommendations,
             environment,
@@ -898,12 +999,18 @@ class LogAnalysisTools {
             endFormatted: LogAnalysisTools.formatTimestamp(endISO)
         };
 
+        const formatStats = LogAnalysisTools.mergeFormatStats(appResult.formatStats, webResult.formatStats);
+
         // Build formatted message
         let message = `# 📊 Combined Log Analysis Report\n\n`;
         message += `**Project:** ${projectName}\n`;
         message += `**Environment:** ${environment}\n`;
         message += `**Log Types:** Application + Web (ALL)\n`;
         message += `**Total Logs:** ${combinedLogs.length} (${appResult.parsedLogs.length} console + ${webResult.parsedLogs.length} HTTP)\n`;
+        const formatsLine = LogAnalysisTools.formatFormatStats(formatStats);
+        if (formatsLine) {
+            message += `**Formats:** ${formatsLine}\n`;
+        }
         message += `**Health Score:** ${combinedHealthScore.score}/100 ${combinedHealthScore.healthy ? '✅' : '⚠️'}\n\n`;
 
         if (combinedErrors.total > 0) {
@@ -932,6 +1039,8 @@ class LogAnalysisTools {
             }
         }
 
+        message += LogAnalysisTools.formatExceptionGroups(combinedExceptions);
+
         if (webResult.perfAnalysis.avgResponseTime !== null) {
             message += `## ⏱️ Performance (HTTP)\n\n`;
             message += `- **Avg:** ${webResult.perfAnalysis.avgResponseTime}ms\n`;
@@ -939,6 +1048,8 @@ class LogAnalysisTools {
             message += `- **P99:** ${webResult.perfAnalysis.p99ResponseTime}ms\n\n`;
         }
 
+        message += LogAnalysisTools.formatAnomalies(combinedTimeSeries);
+
         // Combine AI agents from both log types
         const allAIAgents = new Set([...appResult.aiAnalysis.detected, ...webResult.aiAnalysis.detected]);
         if (allAIAgents.size > 0) {
@@ -973,6 +1084,7 @@ class LogAnalysisTools {
                     httpLogs: webResult.parsedLogs.length,
                     healthScore: combinedHealthScore.score,
                     healthy: combinedHealthScore.healthy,
+                    formats: formatStats,
                     timeRange
                 },
                 errors: {
@@ -987,12 +1099,20 @@ class LogAnalysisTools {
                         topErrors: combinedErrors.http.topErrors || []
                     }
                 },
+                exceptions: combinedExceptions,
                 performance: {
                     avgResponseTime: webResult.perfAnalysis.avgResponseTime,
                     p95ResponseTime: webResult.perfAnalysis.p95ResponseTime,
                     p99ResponseTime: webResult.perfAnalysis.p99ResponseTime,
-                    slowestPaths: webResult.perfAnalysis.slowestPaths || []
+                    slowestPaths: webResult.perfAnalysis.slowestPaths || [],
+                    latencyHistogram: webResult.perfAnalysis.latencyHistogram || null
+                },
+                paths: analyzePathStats(combinedLogs),
+                timeSeries: {
+                    bucketMinutes: combinedTimeSeries.bucketMinutes,
+                    buckets: combinedTimeSeries.buckets
                 },
+                anomalies: combinedTimeSeries.anomalies,
                 aiAgents: {
                     detected: [...allAIAgents],
                     byAgent: {
@@ -1033,10 +1153,46 @@ class LogAnalysisTools {
             message += `## 📊 Metrics Comparison\n\n`;
             message += `| Metric | Baseline | Slot | Delta |\n`;
             message += `|--------|----------|------|-------|\n`;
+            message += `| **Requests** | ${comparison.baseline.requests ?? 'n/a'} | ${comparison.slot.requests ?? 'n/a'} | |\n`;
+            const errorRateTest = comparison.tests.errorRate;
+            if (errorRateTest) {
+                message += `| **Error Rate** | ${LogAnalysisTools.formatRateWithInterval(errorRateTest.baselineRate, errorRateTest.baselineInterval)} | ${LogAnalysisTools.formatRateWithInterval(errorRateTest.slotRate, errorRateTest.slotInterval)} | ${LogAnalysisTools.formatDelta(Math.round(comparison.deltas.errorRateDelta * 10000) / 100)} pts |\n`;
+            }
             message += `| **Errors** | ${comparison.baseline.totalErrors} | ${comparison.slot.totalErrors} | ${LogAnalysisTools.formatDelta(comparison.deltas.errorDelta)} (${LogAnalysisTools.formatPercent(comparison.deltas.errorDeltaPercent)}) |\n`;
             message += `| **Health Score** | ${comparison.baseline.healthScore} | ${comparison.slot.healthScore} | ${LogAnalysisTools.formatDelta(comparison.deltas.scoreDelta)} pts |\n`;
             message += `| **P95 Latency** | ${comparison.baseline.p95Latency}ms | ${comparison.slot.p95Latency}ms | ${LogAnalysisTools.formatDelta(comparison.deltas.latencyDelta)}ms |\n\n`;
 
+            message += `## 🧪 Significance (${Math.round(comparison.thresholdsApplied.confidence * 100)}% confidence)\n\n`;
+            if (errorRateTest) {
+                message += `- **Error rate:** p=${LogAnalysisTools.formatPValue(errorRateTest.pValue)} - ${errorRateTest.significant ? 'significant increase' : 'no significant increase'}\n`;
+            }
+            const latencyTest = comparison.tests.latency;
+            if (latencyTest.method === 'mann-whitney') {
+                message += `- **Latency (Mann-Whitney):** p=${LogAnalysisTools.formatPValue(latencyTest.pValue)}, P(slot slower)=${latencyTest.probabilitySlower} - ${latencyTest.significant ? 'significant shift' : 'no significant shift'}\n`;
+            } else {
+                message += `- **Latency:** ${latencyTest.note || 'not tested'}\n`;
+            }
+            message += '\n';
+
+            if (comparison.pathRegressions.length > 0) {
+                message += `## 🛣️ Path Regressions\n\n`;
+                for (const regression of comparison.pathRegressions.slice(0, 10)) {
+                    const values = regression.metric === 'errorRate'
+                        ? `error rate ${(regression.baseline * 100).toFixed(2)}% → ${(regression.slot * 100).toFixed(2)}%`
+                        : `avg ${regression.baseline}ms → ${regression.slot}ms`;
+                    message += `- **${regression.path}**: ${values} (${regression.baselineRequests} vs ${regression.slotRequests} requests, p=${LogAnalysisTools.formatPValue(regression.pValue)})\n`;
+                }
+                message += '\n';
+            }
+
+            if (comparison.newExceptionGroups.length > 0) {
+                message += `## 🆕 New Exception Groups in Slot\n\n`;
+                for (const group of comparison.newExceptionGroups.slice(0, 10)) {
+                    message += `- **${group.type}** ×${group.count} \`${group.fingerprint}\`${group.message ? ` - ${group.message.substring(0, 120)}` : ''}\n`;
+                }
+                message += '\n';
+            }
+
             if (comparison.reasons.length > 0) {
                 message += `## ${comparison.decision === 'safe' ? '✅' : '⚠️'} Analysis\n\n`;
                 for (const reason of comparison.reasons) {
@@ -1049,6 +1205,7 @@ class LogAnalysisTools {
             message += `- **Max Error Increase:** ${comparison.thresholdsApplied.maxErrorIncrease}%\n`;
             message += `- **Max Score Decrease:** ${comparison.thresholdsApplied.maxScoreDecrease} points\n`;
             message += `- **Max Latency Increase:** ${comparison.thresholdsApplied.maxLatencyIncrease}ms\n`;
+            message += `- **Min Requests:** ${comparison.thresholdsApplied.minRequests} per side (${comparison.thresholdsApplied.minPathRequests} per path)\n`;
 
             // Return with structured data
             return ResponseBuilder.successWithStructuredData(comparison, message);
@@ -1059,6 +1216,90 @@ class LogAnalysisTools {
         }
     }
 
+    /**
+     * Helper: Markdown section for the most frequent exception groups
+     */
+    static formatExceptionGroups(exceptionAnalysis?: ExceptionAnalysis, limit: number = 5): string {
+        if (!exceptionAnalysis || exceptionAnalysis.total === 0) {
+            return '';
+        }
+
+        let message = `## 🧩 Exceptions (${exceptionAnalysis.total} in ${exceptionAnalysis.groupCount} group${exceptionAnalysis.groupCount === 1 ? '' : 's'})\n\n`;
+        for (const group of exceptionAnalysis.topGroups.slice(0, limit)) {
+            message += `- **${group.type}** ×${group.count} \`${group.fingerprint}\``;
+            if (group.message) {
+                message += ` - ${group.message.substring(0, 120)}`;
+            }
+            message += `\n  First: ${LogAnalysisTools.formatTimestamp(group.firstSeen)}, last: ${LogAnalysisTools.formatTimestamp(group.lastSeen)}`;
+            if (group.paths.length > 0) {
+                message += `, paths: ${group.paths.slice(0, 3).join(', ')}`;
+            }
+            message += '\n';
+        }
+        return message + '\n';
+    }
+
+    /**
+     * Helper: Markdown section listing time buckets flagged as anomalies
+     */
+    static formatAnomalies(timeSeries?: TimeSeriesAnalysis, limit: number = 10): string {
+        if (!timeSeries || timeSeries.anomalies.length === 0) {
+            return '';
+        }
+
+        const labels: Record<string, string> = {
+            requests: 'Requests',
+            errors: 'Errors',
+            errorRate: 'Error rate',
+            p95ResponseTime: 'P95'
+        };
+        const show = (metric: string, value: number): string => {
+            if (metric === 'errorRate') return `${(value * 100).toFixed(1)}%`;
+            if (metric === 'p95ResponseTime') return `${value}ms`;
+            return String(value);
+        };
+
+        let message = `## 📈 Anomalies (${timeSeries.anomalies.length}, ${timeSeries.bucketMinutes}-minute buckets)\n\n`;
+        // Most recent first: a spike right after a deployment matters most
+        for (const anomaly of [...timeSeries.anomalies].reverse().slice(0, limit)) {
+            message += `- ${anomaly.severity === 'critical' ? '🔴' : '🟡'} **${LogAnalysisTools.formatTimestamp(anomaly.bucketStart)}** ${labels[anomaly.metric]}: ${show(anomaly.metric, anomaly.value)} (expected ~${show(anomaly.metric, anomaly.expected)}, z=${anomaly.zScore})\n`;
+        }
+        return message + '\n';
+    }
+
+    /**
+     * Helper: One-line summary of detected log formats, e.g. "w3c (3 files, 1,200 entries, 4 unparsed lines)"
+     */
+    static formatFormatStats(formatStats: Record<string, FormatStats> = {}): string | null {
+        const parts = Object.entries(formatStats)
+            .sort((a, b) => b[1].entries - a[1].entries)
+            .map(([format, stats]) => {
+                let text = `${format} (${stats.files} file${stats.files === 1 ? '' : 's'}, ${stats.entries.toLocaleString()} entries`;
+                if (stats.unparsed > 0) {
+                    text += `, ${stats.unparsed.toLocaleString()} unparsed lines`;
+                }
+                return text + ')';
+            });
+        return parts.length > 0 ? parts.join(', ') : null;
+    }
+
+    /**
+     * Helper: Add up format stats from several analyses
+     */
+    static mergeFormatStats(...sources: Array<Record<string, FormatStats> | undefined>): Record<string, FormatStats> {
+        const merged: Record<string, FormatStats> = {};
+        for (const source of sources) {
+            for (const [format, stats] of Object.entries(source || {})) {
+                const totals = merged[format] || (merged[format] = { files: 0, lines: 0, entries: 0, unparsed: 0 });
+                totals.files += stats.files;
+                totals.lines += stats.lines;
+                totals.entries += stats.entries;
+                totals.unparsed += stats.unparsed;
+            }
+        }
+        return merged;
+    }
+
     /**
      * Helper: Format timestamp for human readability
      * DXP-138: Convert ISO timestamp to "Oct 17 at 5:42 PM UTC" format
@@ -1087,6 +1328,7 @@ class LogAnalysisTools {
             case 'safe': return '✅';
             case 'warning': return '⚠️';
             case 'critical': return '🚨';
+            case 'insufficient_data': return '⏳';
             default: return '';
         }
     }
@@ -1100,6 +1342,21 @@ class LogAnalysisTools {
         return '0';
     }
 
+    /**
+     * Helper: Rate as a percentage with its confidence interval, e.g. "1.20% (0.90-1.60%)"
+     */
+    static formatRateWithInterval(rate: number, interval: [number, number]): string {
+        return `${(rate * 100).toFixed(2)}% (${(interval[0] * 100).toFixed(2)}-${(interval[1] * 100).toFixed(2)}%)`;
+    }
+
+    /**
+     * Helper: p-value for display
+     */
+    static formatPValue(pValue: number | null): string {
+        if (pValue === null) return 'n/a';
+        return pValue < 0.001 ? '<0.001' : pValue.toFixed(3);
+    }
+
     /**
      * Helper: Format percentage
      */
@@ -1108,6 +1365,51 @@ class LogAnalysisTools {
         return `${sign}${percent}%`;
     }
 
+    /**
+     * Pick the insights-logs container for a log type (same logic as download_logs)
+     * Exact names first, then partial matches
+     */
+    static matchLogContainer(containers: string[], logType: string): string | undefined {
+        if (logType.toLowerCase() === 'application') {
+            return containers.find(c => {
+                const lowerC = c.toLowerCase();
+                return lowerC === 'insights-logs-appserviceconsolelogs' ||
+                       lowerC === 'azure-application-logs';
+            }) || containers.find(c => {
+                const lowerC = c.toLowerCase();
+                return lowerC.includes('consolelog') ||
+                       lowerC.includes('console') ||
+                       lowerC.includes('application');
+            });
+        }
+
+        // web/http
+        return containers.find(c => {
+            const lowerC = c.toLowerCase();
+            return lowerC === 'insights-logs-appservicehttplogs' ||
+                   lowerC === 'azure-web-logs';
+        }) || containers.find(c => {
+            const lowerC = c.toLowerCase();
+            return lowerC.includes('httplog') ||
+                   lowerC.includes('http') ||
+                   lowerC.includes('web');
+        });
+    }
+
+    /**
+     * DXP-116: Keep main site or deployment slot blobs
+     * slot=true: only deployment slot logs (/SLOTS/SLOT/); slot=false: exclude any /SLOTS/ path
+     */
+    static filterBlobsBySlot(blobUrls: string[], slot?: boolean): string[] {
+        if (slot === undefined) {
+            return blobUrls;
+        }
+        return blobUrls.filter((url: string) => {
+            const nameUpper = url.toUpperCase();
+            return slot ? nameUpper.includes('/SLOTS/SLOT/') : !nameUpper.includes('/SLOTS/');
+        });
+    }
+
     /**
      * Extract container list from storage tools response
      * DXP-179: Helper method for dynamic container discovery
@@ -1177,6 +1479,35 @@ class LogAnalysisTools {
 
         return containers;
     }
+
+    /**
+     * Find the container for a log type and issue a one-hour read SAS URL for it
+     * Used by the tailer and search_logs; the analysis path keeps its own debug-heavy flow
+     */
+    static async getLogContainerSas(credentials: Credentials, environment: string, logType: string): Promise<{ containerName: string; sasUrl: string }> {
+        const { apiKey, apiSecret, projectId } = credentials;
+        const containersResult = await StorageTools.handleListStorageContainers({
+            apiKey, apiSecret, projectId, environment
+        });
+        const containers = this.extractContainerList(containersResult);
+        const containerName = this.matchLogContainer(containers, logType);
+        if (!containerName) {
+            throw new Error(`No container found for logType="${logType}". Available containers: ${containers.join(', ') || 'none'}`);
+        }
+
+        const sasResult = await StorageTools.generateStorageSasLink({
+            apiKey, apiSecret, projectId,
+            environment,
+            containerName,
+            permissions: 'Read',
+            expiryHours: 1
+        }) as any;
+        if (!sasResult || !sasResult.data || !sasResult.data.sasUrl) {
+            throw new Error('Failed to generate SAS URL for log container');
+        }
+
+        return { containerName, sasUrl: sasResult.data.sasUrl };
+    }
 }
 
 export default LogAnalysisTools;
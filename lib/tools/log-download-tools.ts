@@ -7,6 +7,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const http = require('http');
 const https = require('https');
 const ResponseBuilder = require('../response-builder').default;
 const ErrorHandler = require('../error-handler').default;
@@ -19,6 +20,7 @@ const ManifestManager = require('../manifest-manager').default;
 const ProjectResolutionFix = require('./project-resolution-fix').default;
 const SelfHostedStorage = require('../self-hosted-storage').default;
 const ProgressMonitor = require('../progress-monitor').default;
+const AzureBlobDownloader = require('../azure-blob-downloader').default;
 
 
 class LogDownloadTools {
@@ -1023,6 +1025,12 @@ class LogDownloadTools {
                     totalFiles: logs.length,
                     downloadPath
                 });
+                downloadManager.rememberForRestart(downloadKey, 'download_logs', {
+                    ...this.argsForRestart(args),
+                    projectName,
+                    containerName,
+                    downloadPath
+                });
 
                 if (process.env.DEBUG === 'true') {
                     console.error('[DEBUG] Registered new download:', downloadKey);
@@ -1063,6 +1071,12 @@ class LogDownloadTools {
 
             // Process logs in batches for parallel downloading
             for (let i = 0; i < logsToDownload.length; i += BATCH_SIZE) {
+                // Paused downloads wait between batches; cancelled ones stop here
+                if (!(await downloadManager.waitWhilePaused(downloadKey))) {
+                    OutputLogger.info(`❌ Download cancelled - keeping ${downloadedCount} downloaded files`);
+                    break;
+                }
+
                 const batch = logsToDownload.slice(i, Math.min(i + BATCH_SIZE, logsToDownload.length));
 
                 // Download batch in parallel
@@ -1075,7 +1089,11 @@ class LogDownloadTools {
                         await fs.mkdir(localDir, { recursive: true });
 
                         // Download the log file
-                        const size: any = await this.downloadLogFile(log.url, localPath, log.name);
+                        const size: any = await this.downloadLogFile(log.url, localPath, log.name, {
+                            stateDir: downloadPath,
+                            downloadKey,
+                            expectedSize: log.size
+                        });
                         downloadedCount++;
                         totalSize += (size as any);
 
@@ -1678,6 +1696,12 @@ class LogDownloadTools {
 
             // Process logs in batches for parallel downloading
             for (let i = 0; i < logsToDownload.length; i += BATCH_SIZE) {
+                // Paused downloads wait between batches; cancelled ones stop here
+                if (!(await downloadManager.waitWhilePaused(downloadId))) {
+                    OutputLogger.info(`❌ Download cancelled - keeping ${downloadedCount} downloaded files`);
+                    break;
+                }
+
                 const batch = logsToDownload.slice(i, Math.min(i + BATCH_SIZE, logsToDownload.length));
 
                 // Download batch in parallel
@@ -1692,7 +1716,11 @@ class LogDownloadTools {
                     }, log.name);
 
                     try {
-                        const size: any = await this.downloadLogFile(blobUrl, localPath, log.name);
+                        const size: any = await this.downloadLogFile(blobUrl, localPath, log.name, {
+                            stateDir: finalPath,
+                            downloadKey: downloadId,
+                            expectedSize: log.size
+                        });
                         downloadedCount++;
                         totalSize += size;
 
@@ -3038,7 +3066,7 @@ class LogDownloadTools {
 
         try {
             const response: any = await new Promise((resolve, reject) => {
-                https.get(listUrl, (res: any) => {
+                (listUrl.startsWith('http:') ? http : https).get(listUrl, (res: any) => {
                     let data = '';
                     res.on('data', (chunk: any) => data += chunk);
                     res.on('end', () => resolve({ statusCode: res.statusCode, data }));
@@ -3316,7 +3344,7 @@ class LogDownloadTools {
                 reject(new Error(`Container listing timeout after 60 seconds`));
             }, 60000); // 60 second timeout
 
-            const req = https.get(listUrl, (response: any) => {
+            const req = (listUrl.startsWith('http:') ? http : https).get(listUrl, (response: any) => {
                 clearTimeout(timeout);
                 let data = '';
                 
@@ -3884,52 +3912,17 @@ class LogDownloadTools {
     
     /**
      * Download a single log file
+     * Dropped connections are retried (large files resume from the last finished chunk),
+     * and pausing or cancelling the download interrupts the request
      */
-    static async downloadLogFile(fileUrl: any, localPath: any, displayName: any) {
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                req.destroy();
-                reject(new Error(`Download timeout after 60 seconds for ${displayName}`));
-            }, 60000); // 60 second timeout
-
-            const req = https.get(fileUrl, (response: any) => {
-                clearTimeout(timeout);
-
-                if (response.statusCode !== 200) {
-                    reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                    return;
-                }
-
-                const fileStream = require('fs').createWriteStream(localPath);
-                let downloadedSize = 0;
-
-                response.on('data', (chunk: any) => {
-                    downloadedSize += chunk.length;
-                });
-
-                response.pipe(fileStream);
-
-                fileStream.on('finish', () => {
-                    fileStream.close();
-                    resolve(downloadedSize);
-                });
-
-                fileStream.on('error', (error: any) => {
-                    clearTimeout(timeout);
-                    fs.unlink(localPath).catch(() => {});
-                    reject(error);
-                });
-            }).on('error', (error: any) => {
-                clearTimeout(timeout);
-                reject(error);
-            });
-
-            // Set socket timeout as additional safety
-            req.setTimeout(60000, () => {
-                req.destroy();
-                reject(new Error(`Socket timeout after 60 seconds for ${displayName}`));
-            });
+    static async downloadLogFile(fileUrl: any, localPath: any, _displayName: any, options: any = {}) {
+        const result = await AzureBlobDownloader.download(fileUrl, localPath, {
+            stateDir: options.stateDir,
+            downloadKey: options.downloadKey || null,
+            expectedSize: options.expectedSize,
+            idleTimeoutMs: 60000 // 60 second timeout
         });
+        return result.size;
     }
     
     /**
@@ -4033,7 +4026,7 @@ class LogDownloadTools {
                     // Check common property names
                     const urlProps = ['sasLink', 'url', 'sasUrl', 'link'];
                     for (const prop of urlProps) {
-                        if (result[prop] && typeof result[prop] === 'string' && result[prop].startsWith('https://')) {
+                        if (result[prop] && typeof result[prop] === 'string' && /^https?:\/\//.test(result[prop])) {
                             return result[prop];
                         }
                     }
@@ -4048,13 +4041,13 @@ class LogDownloadTools {
             // Now search for URL in the text
             if (textToSearch) {
                 // Look for URL in backticks (the format used by StorageTools)
-                const backtickMatch = textToSearch.match(/`(https:\/\/[^`]+)`/);
+                const backtickMatch = textToSearch.match(/`(https?:\/\/[^`]+)`/);
                 if (backtickMatch) {
                     return backtickMatch[1];
                 }
                 
                 // Fallback: Look for any HTTPS URL
-                const urlMatch = textToSearch.match(/https:\/\/[^\s"'`<>\\]+/);
+                const urlMatch = textToSearch.match(/https?:\/\/[^\s"'`<>\\]+/);
                 if (urlMatch) {
                     return urlMatch[0];
                 }
@@ -5850,6 +5843,12 @@ class LogDownloadTools {
                     `\`\`\`\ndownload_status({ downloadId: "${downloadKey}", monitor: true })\n\`\`\``);
             }
 
+            downloadManager.rememberForRestart(downloadKey, 'download_logs', {
+                ...this.argsForRestart(args),
+                projectName,
+                containerName
+            });
+
             // Start download in background (don't await!)
             // Force skipConfirmation for background downloads
             const downloadArgs = {
@@ -5908,6 +5907,39 @@ class LogDownloadTools {
         }
     }
 
+    /**
+     * Arguments that start this download again after a server restart
+     * Relative windows (daysBack, hoursBack...) are pinned to the range they covered
+     * when the download started, so a restart resumes the same files
+     */
+    static argsForRestart(args: any) {
+        const restartArgs = {
+            ...args,
+            background: true,
+            previewOnly: false,
+            skipConfirmation: true
+        };
+
+        const relativeKeys = ['secondsBack', 'minutesBack', 'hoursBack', 'daysBack', 'weeksBack', 'monthsBack', 'yearsBack', 'startDate', 'endDate'];
+        if (!relativeKeys.some(key => args[key] !== undefined && args[key] !== null)) {
+            return restartArgs;
+        }
+
+        try {
+            const range = this.processDateFilters(args);
+            if (range && range.startDate && range.endDate) {
+                relativeKeys.forEach(key => delete restartArgs[key]);
+                restartArgs.startDateTime = range.startDate.toISOString();
+                // "Today" windows end at midnight, but endDateTime can't be in the future
+                restartArgs.endDateTime = new Date(Math.min(range.endDate.getTime(), Date.now())).toISOString();
+            }
+        } catch (error) {
+            // Keep the original arguments - the restart re-evaluates them
+        }
+
+        return restartArgs;
+    }
+
     /**
      * DXP-3: Run download in background (async, no await)
      */
@@ -0,0 +1,410 @@
+/**
+ * Log Search Tools Module
+ * search_logs: run a filter expression with group-by / top-N over downloaded or streamed logs
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as readline from 'readline';
+import ResponseBuilder from '../response-builder';
+import OutputLogger from '../output-logger';
+import AzureBlobStreamer from '../azure-blob-streamer';
+import LogAnalysisTools from './log-analysis-tools';
+import logParser, { ParsedLogEntry, FormatStats } from '../log-analysis/log-parser';
+import logQuery, { LogSearchCollector, SearchResult } from '../log-analysis/log-query';
+
+const DownloadConfig = require('../download-config').default;
+const ManifestManager = require('../manifest-manager').default;
+
+/**
+ * Arguments that choose which logs are read
+ */
+export interface ScanLogsArgs {
+    source?: 'local' | 'stream';
+    environment?: string;
+    slot?: boolean;
+    downloadPath?: string;
+    minutesBack?: number;
+    startDateTime?: string;
+    endDateTime?: string;
+    apiKey?: string;
+    apiSecret?: string;
+    projectId?: string;
+    projectName?: string;
+    isSelfHosted?: boolean;
+    connectionString?: string;
+}
+
+/**
+ * search_logs arguments
+ */
+interface SearchLogsArgs extends ScanLogsArgs {
+    query?: string;
+    logType?: 'web' | 'application' | 'all';
+    groupBy?: string[];
+    top?: number;
+    limit?: number;
+}
+
+/**
+ * A downloaded log file located through its folder's manifest
+ */
+interface LocalLogFile {
+    filePath: string;
+    name: string;
+}
+
+/**
+ * Where the searched lines came from
+ */
+export interface SearchSourceStats {
+    filesScanned: number;
+    filesFailed: number;
+    linesRead: number;
+    locations: string[];
+    formats: Record<string, FormatStats>;
+}
+
+// Manifest folders are <root>/<container> or <root>/slot/<container>
+const MANIFEST_SEARCH_DEPTH = 3;
+const STREAM_DEFAULT_MINUTES = 60;
+
+class LogSearchTools {
+    /**
+     * Search logs with a filter expression
+     */
+    static async handleSearchLogs(args: SearchLogsArgs): Promise<any> {
+        const source = args.source || 'local';
+        const environment = args.environment || 'Production';
+        const logType = args.logType || 'all';
+
+        let collector: LogSearchCollector;
+        try {
+            collector = logQuery.createSearchCollector(logQuery.parseQuery(args.query), {
+                groupBy: args.groupBy,
+                top: args.top,
+                limit: args.limit
+            });
+        } catch (error: any) {
+            return ResponseBuilder.invalidParams(error.message);
+        }
+
+        const scan = await this.scanLogs(args, logType, (entry, name) => {
+            collector.add(entry, name);
+        });
+        if ('error' in scan) {
+            return scan.error;
+        }
+        const { stats, window } = scan;
+
+        const result = collector.result();
+        const data = {
+            source,
+            environment,
+            logType,
+            query: args.query || null,
+            timeRange: window ? { start: new Date(window.start).toISOString(), end: new Date(window.end).toISOString() } : null,
+            locations: stats.locations,
+            filesScanned: stats.filesScanned,
+            filesFailed: stats.filesFailed,
+            linesRead: stats.linesRead,
+            formats: stats.formats,
+            ...result
+        };
+
+        return ResponseBuilder.successWithStructuredData(data, this.formatResult(data, result));
+    }
+
+    /**
+     * Feed every entry in the requested time range to handle, from downloads or streamed blobs
+     * Shared by search_logs and crawler_report so both read logs the same way.
+     * @returns Source statistics, or an error response for bad arguments or missing downloads
+     */
+    static async scanLogs(
+        args: ScanLogsArgs,
+        logType: string,
+        handle: (entry: ParsedLogEntry, name: string) => void
+    ): Promise<{ stats: SearchSourceStats; window: { start: number; end: number } | null } | { error: any }> {
+        const source = args.source || 'local';
+        const environment = args.environment || 'Production';
+        const timeFilter = {
+            minutesBack: args.minutesBack,
+            startDateTime: args.startDateTime,
+            endDateTime: args.endDateTime
+        };
+        if ((timeFilter.startDateTime && !timeFilter.endDateTime) || (!timeFilter.startDateTime && timeFilter.endDateTime)) {
+            return { error: ResponseBuilder.invalidParams('startDateTime and endDateTime must be given together') };
+        }
+        if (source === 'stream' && !timeFilter.minutesBack && !timeFilter.startDateTime) {
+            timeFilter.minutesBack = STREAM_DEFAULT_MINUTES;
+        }
+        const window = this.timeWindow(timeFilter);
+
+        const stats: SearchSourceStats = { filesScanned: 0, filesFailed: 0, linesRead: 0, locations: [], formats: {} };
+        const handleInWindow = (entry: ParsedLogEntry, name: string) => {
+            if (window) {
+                const time = entry.timestamp instanceof Date ? entry.timestamp.getTime() : NaN;
+                if (isNaN(time) || time < window.start || time > window.end) {
+                    return;
+                }
+            }
+            handle(entry, name);
+        };
+
+        try {
+            if (source === 'stream') {
+                if (args.isSelfHosted || args.connectionString) {
+                    return { error: ResponseBuilder.invalidParams('Streaming reads the DXP insights-logs containers. For self-hosted projects download the logs and use source "local" with downloadPath.') };
+                }
+                if (!args.apiKey || !args.apiSecret || !args.projectId) {
+                    return { error: ResponseBuilder.invalidParams('Missing required parameters') };
+                }
+                await this.searchStream(args, environment, logType, timeFilter, stats, handleInWindow);
+            } else {
+                const root = await DownloadConfig.getDownloadPath('logs', args.projectName || 'Unknown', args.downloadPath || null, environment);
+                const found = await this.findLocalLogFiles(root, logType, args.slot, !!args.downloadPath, timeFilter);
+                if (found.manifests.length === 0) {
+                    return {
+                        error: ResponseBuilder.error(
+                            `No downloaded logs found under ${root} (no ${path.basename(ManifestManager.getManifestPath(root))} for ${logType} logs).\n\n` +
+                            `💡 Run download_logs first, or pass downloadPath pointing at a folder download_logs wrote to.`
+                        )
+                    };
+                }
+                stats.locations = found.manifests;
+                await this.searchLocal(found.files, stats, handleInWindow);
+            }
+        } catch (error: any) {
+            OutputLogger.error(`Log scan failed: ${error.message}`);
+            return { error: ResponseBuilder.error(`Log search failed: ${error.message}`) };
+        }
+
+        return { stats, window };
+    }
+
+    /**
+     * Locate downloaded log files through the download manifests under root
+     * Below root, a folder is kept when its name matches the log type's container and it sits under slot/ only for slot=true.
+     * The root folder itself is always searched when the caller pointed at it.
+     */
+    static async findLocalLogFiles(
+        root: string,
+        logType: string,
+        slot: boolean | undefined,
+        explicitRoot: boolean,
+        timeFilter: { minutesBack?: number; startDateTime?: string; endDateTime?: string }
+    ): Promise<{ manifests: string[]; files: LocalLogFile[] }> {
+        const manifests: string[] = [];
+        const files: LocalLogFile[] = [];
+
+        for (const dir of this.findManifestFolders(root, MANIFEST_SEARCH_DEPTH)) {
+            if (dir !== root || !explicitRoot) {
+                const segments = path.relative(root, dir).split(path.sep).map(segment => segment.toLowerCase());
+                const inSlot = segments.includes('slot');
+                if ((slot === true && !inSlot) || (slot !== true && inSlot)) {
+                    continue;
+                }
+                if (logType !== 'all' && !LogAnalysisTools.matchLogContainer([path.basename(dir)], logType)) {
+                    continue;
+                }
+            }
+
+            const manifest = await ManifestManager.loadManifest(dir);
+            let names = Object.keys(manifest.files || {}).map(name => name.split(path.sep).join('/'));
+            names = LogAnalysisTools.filterBlobsBySlot(names, slot === true ? true : undefined);
+            names = AzureBlobStreamer.filterBlobsByDate(names, timeFilter);
+
+            manifests.push(dir);
+            for (const name of names) {
+                const filePath = path.join(dir, name);
+                if (/\.(gz|zip)$/i.test(name) || !fs.existsSync(filePath)) {
+                    continue;
+                }
+                files.push({ filePath, name });
+            }
+        }
+
+        files.sort((a, b) => a.name.localeCompare(b.name));
+        return { manifests, files };
+    }
+
+    /**
+     * Folders holding a download manifest, root first
+     * @private
+     */
+    static findManifestFolders(root: string, depth: number): string[] {
+        const folders: string[] = [];
+        if (!fs.existsSync(root)) {
+            return folders;
+        }
+        if (fs.existsSync(ManifestManager.getManifestPath(root))) {
+            folders.push(root);
+        }
+        if (depth <= 0) {
+            return folders;
+        }
+
+        let children: fs.Dirent[] = [];
+        try {
+            children = fs.readdirSync(root, { withFileTypes: true });
+        } catch {
+            return folders;
+        }
+        for (const child of children) {
+            // Downloaded blob paths (resourceId=..., y=2026, ...) never hold manifests
+            if (child.isDirectory() && !child.name.startsWith('.') && !child.name.includes('=')) {
+                folders.push(...this.findManifestFolders(path.join(root, child.name), depth - 1));
+            }
+        }
+        return folders;
+    }
+
+    /**
+     * Read downloaded files line by line through the same per-file parser the analyzers use
+     * @private
+     */
+    static async searchLocal(
+        files: LocalLogFile[],
+        stats: SearchSourceStats,
+        handle: (entry: ParsedLogEntry, name: string) => void
+    ): Promise<void> {
+        for (const file of files) {
+            const parser = logParser.createFileParser();
+            try {
+                const lines = readline.createInterface({ input: fs.createReadStream(file.filePath), crlfDelay: Infinity });
+                for await (const line of lines) {
+                    parser.parseLine(line).forEach(entry => handle(entry, file.name));
+                }
+                parser.finish().forEach(entry => handle(entry, file.name));
+                stats.filesScanned++;
+            } catch (error: any) {
+                stats.filesFailed++;
+                OutputLogger.debug(`Skipping ${file.filePath}: ${error.message}`);
+            }
+            stats.linesRead += parser.lines;
+            logParser.addFormatStats(stats.formats, parser);
+        }
+    }
+
+    /**
+     * Stream the matching blobs of each log type's container
+     * @private
+     */
+    static async searchStream(
+        args: ScanLogsArgs,
+        environment: string,
+        logType: string,
+        timeFilter: { minutesBack?: number; startDateTime?: string; endDateTime?: string },
+        stats: SearchSourceStats,
+        handle: (entry: ParsedLogEntry, name: string) => void
+    ): Promise<void> {
+        const credentials = { apiKey: args.apiKey!, apiSecret: args.apiSecret!, projectId: args.projectId! };
+        const logTypes = logType === 'all' ? ['web', 'application'] : [logType];
+
+        for (const type of logTypes) {
+            let container;
+            try {
+                container = await LogAnalysisTools.getLogContainerSas(credentials, environment, type);
+            } catch (error: any) {
+                // With logType "all" a project may only have one of the containers
+                if (logTypes.length > 1 && error.message.startsWith('No container found')) {
+                    OutputLogger.warn(`⚠️ ${error.message}`);
+                    continue;
+                }
+                throw error;
+            }
+
+            let blobUrls = await AzureBlobStreamer.listBlobs(container.sasUrl);
+            blobUrls = LogAnalysisTools.filterBlobsBySlot(blobUrls, args.slot === true);
+            blobUrls = AzureBlobStreamer.filterBlobsByDate(blobUrls, timeFilter);
+            stats.locations.push(container.containerName);
+
+            const containerPath = new URL(container.sasUrl).pathname + '/';
+            for (const blobUrl of blobUrls) {
+                const name = decodeURIComponent(new URL(blobUrl).pathname.substring(containerPath.length));
+                const parser = logParser.createFileParser();
+                try {
+                    const streamed = await AzureBlobStreamer.streamBlob(blobUrl, async (line: string) => {
+                        parser.parseLine(line).forEach(entry => handle(entry, name));
+                    });
+                    parser.finish().forEach(entry => handle(entry, name));
+                    stats.filesScanned++;
+                    stats.linesRead += streamed.linesProcessed;
+                } catch (error: any) {
+                    stats.filesFailed++;
+                    OutputLogger.debug(`Skipping blob ${name}: ${error.message}`);
+                }
+                logParser.addFormatStats(stats.formats, parser);
+            }
+        }
+    }
+
+    /**
+     * Entry-level time bounds matching the blob filter, or null for no limit
+     * @private
+     */
+    static timeWindow(timeFilter: { minutesBack?: number; startDateTime?: string; endDateTime?: string }): { start: number; end: number } | null {
+        if (timeFilter.minutesBack) {
+            const end = Date.now();
+            return { start: end - timeFilter.minutesBack * 60 * 1000, end };
+        }
+        if (timeFilter.startDateTime && timeFilter.endDateTime) {
+            const start = Date.parse(timeFilter.startDateTime);
+            const end = Date.parse(timeFilter.endDateTime);
+            if (!isNaN(start) && !isNaN(end)) {
+                return { start, end };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Format search results for display
+     */
+    static formatResult(data: { source: string; environment: string; logType: string; query: string | null; filesScanned: number; filesFailed: number; timeRange: { start: string; end: string } | null }, result: SearchResult): string {
+        let message = `🔎 **Log Search** - ${data.environment} ${data.logType} logs (${data.source === 'stream' ? 'streamed' : 'downloaded'})\n\n`;
+        message += `**Query:** ${data.query ? `\`${data.query}\`` : '(all entries)'}\n`;
+        if (data.timeRange) {
+            message += `**Time range:** ${data.timeRange.start} to ${data.timeRange.end}\n`;
+        }
+        message += `**Scanned:** ${result.scanned.toLocaleString()} entries in ${data.filesScanned} file${data.filesScanned === 1 ? '' : 's'}`;
+        message += `${data.filesFailed > 0 ? ` (${data.filesFailed} unreadable)` : ''}\n`;
+        message += `**Matched:** ${result.matched.toLocaleString()}`;
+        if (result.firstMatch) {
+            message += ` (${result.firstMatch} to ${result.lastMatch})`;
+        }
+        message += '\n\n';
+
+        if (result.groups) {
+            message += `**Top ${result.groups.length} by ${result.groupBy!.join(', ')}**${result.truncated ? ` (of ${result.distinctGroups.toLocaleString()} groups)` : ''}:\n`;
+            result.groups.forEach((group, i) => {
+                const key = result.groupBy!.map(name => group.key[name]).join(' | ');
+                message += `${i + 1}. ${key} - ${group.count.toLocaleString()}`;
+                if (group.errors > 0) {
+                    message += `, ${group.errors.toLocaleString()} errors`;
+                }
+                if (group.avgResponseTime !== null) {
+                    message += `, avg ${group.avgResponseTime}ms`;
+                }
+                message += '\n';
+            });
+        } else if (result.entries && result.entries.length > 0) {
+            message += `**Entries**${result.truncated ? ` (first ${result.entries.length})` : ''}:\n`;
+            result.entries.forEach(entry => {
+                if (entry.type === 'http') {
+                    message += `• ${entry.time || '-'} ${entry.method} ${entry.path} → ${entry.status}`;
+                    message += `${entry.responseTime !== null ? ` (${entry.responseTime}ms)` : ''} ${entry.ip}\n`;
+                } else {
+                    message += `• ${entry.time || '-'} [${entry.level || 'info'}] ${(entry.message || '').split('\n')[0].substring(0, 160)}\n`;
+                }
+            });
+        } else if (result.matched === 0) {
+            message += 'No entries matched.\n';
+        }
+
+        return ResponseBuilder.addFooter(message);
+    }
+}
+
+export default LogSearchTools;
@@ -0,0 +1,231 @@
+/**
+ * Log Tail Tools Module
+ * Start, inspect and stop background log watchers that raise alerts from rules
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import ResponseBuilder from '../response-builder';
+import PermissionChecker from './permission-checker';
+import { getGlobalLogTailer, LogTailer, TailWatcher, AlertRule, Alert } from '../log-tailer';
+import { WebhookFormat } from '../webhooks/webhook-formatter';
+
+/**
+ * Common project arguments (filled in by withProjectResolution)
+ */
+interface ProjectArgs {
+    apiKey?: string;
+    apiSecret?: string;
+    projectId?: string;
+    projectName?: string;
+    isSelfHosted?: boolean;
+    connectionString?: string;
+}
+
+/**
+ * tail_logs arguments
+ */
+interface TailLogsArgs extends ProjectArgs {
+    environment?: string;
+    logType?: 'web' | 'application';
+    slot?: boolean;
+    pollSeconds?: number;
+    rules?: Array<Partial<AlertRule>>;
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+}
+
+/**
+ * Arguments for tools that target an existing watcher
+ */
+interface WatcherIdArgs {
+    watcherId?: string;
+    projectName?: string;
+}
+
+const STATUS_ICONS: Record<string, string> = {
+    running: '👀',
+    stopped: '⏹️',
+    failed: '❌'
+};
+
+class LogTailTools {
+    /**
+     * Start tailing an environment's logs
+     */
+    static async handleTailLogs(args: TailLogsArgs): Promise<any> {
+        if (args.isSelfHosted || args.connectionString) {
+            return ResponseBuilder.invalidParams('Log tailing reads the DXP insights-logs containers and is not available for self-hosted projects.');
+        }
+
+        if (!args.apiKey || !args.apiSecret || !args.projectId) {
+            return ResponseBuilder.invalidParams('Missing required parameters');
+        }
+
+        const environment = args.environment || 'Production';
+
+        try {
+            const permissions = await PermissionChecker.getOrCheckPermissionsSafe({
+                apiKey: args.apiKey,
+                apiSecret: args.apiSecret,
+                projectId: args.projectId,
+                id: args.projectId,
+                projectName: args.projectName || 'Project'
+            });
+
+            if (!permissions.accessible.includes(environment)) {
+                return ResponseBuilder.successWithStructuredData({
+                    error: 'insufficient_permissions',
+                    environment,
+                    availableEnvironments: permissions.accessible
+                }, `ℹ️ **Access Level Check**\n\n` +
+                    `Tailing ${environment} logs requires access to ${environment}.\n\n` +
+                    `**Your access level:** ${permissions.accessible.join(', ')}`);
+            }
+
+            const tailer = getGlobalLogTailer();
+            const watcher = tailer.start({
+                credentials: {
+                    projectId: args.projectId,
+                    apiKey: args.apiKey,
+                    apiSecret: args.apiSecret,
+                    projectName: args.projectName
+                },
+                environment,
+                logType: args.logType,
+                slot: args.slot,
+                pollSeconds: args.pollSeconds,
+                rules: args.rules,
+                webhookUrl: args.webhookUrl,
+                webhookHeaders: args.webhookHeaders,
+                webhookFormat: args.webhookFormat
+            });
+
+            let message = `👀 **Tailing ${watcher.environment} ${watcher.logType} logs**\n\n`;
+            message += `**Watcher ID:** ${watcher.watcherId}\n`;
+            message += `**Project:** ${watcher.projectName}\n`;
+            message += `**Polling:** every ${watcher.pollSeconds}s${watcher.slot ? ' (deployment slot)' : ''}\n\n`;
+            message += this.formatRules(watcher);
+            if (watcher.rulesSource === 'default') {
+                message += `\n💡 Using the default rules. Pass rules or add them to ${LogTailer.getRulesPath()}.\n`;
+            }
+            message += `\n📡 Alerts arrive as alert.triggered / alert.resolved events on the alert://${watcher.watcherId} resource` +
+                `${watcher.webhookUrl ? ' and the webhook' : ''}. Check with get_tail_status(), stop with stop_tail_logs().`;
+
+            return ResponseBuilder.successWithStructuredData(
+                tailer.toSnapshot(watcher),
+                ResponseBuilder.addFooter(message)
+            );
+        } catch (error: any) {
+            return ResponseBuilder.invalidParams(error.message);
+        }
+    }
+
+    /**
+     * Status of one watcher, or all watchers when no ID is given
+     */
+    static async handleGetTailStatus(args: WatcherIdArgs): Promise<any> {
+        const tailer = getGlobalLogTailer();
+
+        if (!args.watcherId) {
+            const watchers = tailer.listWatchers(args.projectName);
+            if (watchers.length === 0) {
+                return ResponseBuilder.successWithStructuredData({ watchers: [] }, 'No log tail watchers. Start one with tail_logs().');
+            }
+
+            let message = `👀 **Log Tail Watchers** (${watchers.length})\n\n`;
+            watchers.forEach(watcher => {
+                message += `${STATUS_ICONS[watcher.status] || '•'} **${watcher.watcherId}** - ${watcher.projectName} ${watcher.environment} ${watcher.logType} - ${watcher.status}`;
+                message += ` (${watcher.activeAlerts.length} active alert${watcher.activeAlerts.length === 1 ? '' : 's'})\n`;
+            });
+
+            return ResponseBuilder.successWithStructuredData(
+                { watchers: watchers.map(watcher => tailer.toSnapshot(watcher)) },
+                message
+            );
+        }
+
+        const watcher = tailer.getWatcher(args.watcherId);
+        if (!watcher) {
+            return ResponseBuilder.error(`Log tail watcher not found: ${args.watcherId}`);
+        }
+
+        let message = `${STATUS_ICONS[watcher.status] || '📋'} **Watcher ${watcher.watcherId}**\n\n`;
+        message += `**Project:** ${watcher.projectName}\n`;
+        message += `**Logs:** ${watcher.environment} ${watcher.logType}${watcher.slot ? ' (slot)' : ''}\n`;
+        message += `**Status:** ${watcher.status}\n`;
+        message += `**Polls:** ${watcher.polls}${watcher.lastPollAt ? ` (last ${watcher.lastPollAt}, ${watcher.lastPollEntries} new entries)` : ''}\n`;
+        message += `**Entries in window:** ${watcher.entriesInWindow}${watcher.lastEntryAt ? ` (newest ${watcher.lastEntryAt})` : ''}\n`;
+        if (watcher.lastError) {
+            message += `**Last error:** ${watcher.lastError} (${watcher.consecutiveErrors} in a row)\n`;
+        }
+        message += `\n${this.formatRules(watcher)}`;
+
+        message += `\n**Active alerts:** ${watcher.activeAlerts.length === 0 ? 'none' : ''}\n`;
+        watcher.activeAlerts.forEach(alert => {
+            message += `  🚨 ${this.formatAlert(alert)}\n`;
+        });
+
+        const recent = watcher.history.slice(-10).reverse();
+        if (recent.length > 0) {
+            message += `\n**Recent alert changes:**\n`;
+            recent.forEach(alert => {
+                message += `  ${alert.resolvedAt ? '✅' : '🚨'} ${alert.resolvedAt || alert.triggeredAt} - ${alert.message}\n`;
+            });
+        }
+
+        return ResponseBuilder.successWithStructuredData(
+            { ...tailer.toSnapshot(watcher), history: watcher.history },
+            message
+        );
+    }
+
+    /**
+     * Stop a watcher
+     */
+    static async handleStopTailLogs(args: WatcherIdArgs): Promise<any> {
+        if (!args.watcherId) {
+            return ResponseBuilder.invalidParams('watcherId is required');
+        }
+
+        const tailer = getGlobalLogTailer();
+
+        try {
+            const watcher = tailer.stop(args.watcherId);
+            let message = `⏹️ Stopped tailing ${watcher.environment} ${watcher.logType} logs (${watcher.watcherId}) after ${watcher.polls} polls.`;
+            if (watcher.activeAlerts.length > 0) {
+                message += `\n\n⚠️ ${watcher.activeAlerts.length} alert${watcher.activeAlerts.length === 1 ? ' was' : 's were'} still active; no resolved event will be sent for them.`;
+            }
+            return ResponseBuilder.successWithStructuredData(tailer.toSnapshot(watcher), message);
+        } catch (error: any) {
+            return ResponseBuilder.error(error.message);
+        }
+    }
+
+    /**
+     * Format rule list for display
+     */
+    static formatRules(watcher: TailWatcher): string {
+        let text = `**Rules** (${watcher.rulesSource}):\n`;
+        watcher.rules.forEach(rule => {
+            text += `  • ${rule.name}: `;
+            if (rule.metric === 'newException') {
+                text += `new exception ${rule.exceptionKey || 'type'}, resolves after ${rule.windowMinutes} min without it`;
+            } else {
+                text += `${rule.metric}${rule.status ? ` ${rule.status}` : ''}${rule.path ? ` on ${rule.path}` : ''} ` +
+                    `${rule.operator} ${rule.threshold} over ${rule.windowMinutes} min`;
+            }
+            text += ` [${rule.severity}]\n`;
+        });
+        return text;
+    }
+
+    /**
+     * Format one alert for display
+     */
+    static formatAlert(alert: Alert): string {
+        return `[${alert.severity}] ${alert.message} (since ${alert.triggeredAt})`;
+    }
+}
+
+export default LogTailTools;
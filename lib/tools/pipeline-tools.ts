@@ -0,0 +1,307 @@
+/**
+ * Pipeline Tools Module
+ * Start and manage Integration → Preproduction → Production promotion pipelines
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import ResponseBuilder from '../response-builder';
+import PermissionChecker from './permission-checker';
+import { getGlobalPipelineRunner, PipelineState, PIPELINE_ENVIRONMENTS } from '../pipeline-runner';
+import { WebhookFormat } from '../webhooks/webhook-formatter';
+
+/**
+ * Common project arguments (filled in by withProjectResolution)
+ */
+interface ProjectArgs {
+    apiKey?: string;
+    apiSecret?: string;
+    projectId?: string;
+    projectName?: string;
+    isSelfHosted?: boolean;
+    connectionString?: string;
+}
+
+/**
+ * start_pipeline arguments
+ */
+interface StartPipelineArgs extends ProjectArgs {
+    sourceEnvironment?: string;
+    targetEnvironment?: string;
+    packages?: string[];
+    sourceApps?: string[];
+    useMaintenancePage?: boolean;
+    pollInterval?: number;
+    gateEnabled?: boolean;
+    gateLogType?: 'web' | 'application';
+    gateMinutesBack?: number;
+    gateDelayMinutes?: number;
+    maxErrorIncrease?: number;
+    maxScoreDecrease?: number;
+    maxLatencyIncrease?: number;
+    onWarning?: 'complete' | 'reset' | 'pause';
+    onCritical?: 'reset' | 'pause';
+    webhookUrl?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+}
+
+/**
+ * Arguments for tools that target an existing pipeline
+ */
+interface PipelineIdArgs extends ProjectArgs {
+    pipelineId?: string;
+    action?: 'complete' | 'reset';
+    reason?: string;
+    activeOnly?: boolean;
+}
+
+const STAGE_ICONS: Record<string, string> = {
+    pending: '⏳',
+    deploying: '🔄',
+    verifying: '🔍',
+    awaitingApproval: '✋',
+    completing: '🔄',
+    resetting: '⏪',
+    succeeded: '✅',
+    failed: '❌',
+    reset: '⏪',
+    cancelled: '🚫'
+};
+
+class PipelineTools {
+    /**
+     * Start a new promotion pipeline
+     */
+    static async handleStartPipeline(args: StartPipelineArgs): Promise<any> {
+        if (args.isSelfHosted || args.connectionString) {
+            return ResponseBuilder.invalidParams('Pipelines are not available for self-hosted projects.');
+        }
+
+        if (!args.apiKey || !args.apiSecret || !args.projectId) {
+            return ResponseBuilder.invalidParams('Missing required parameters');
+        }
+
+        const runner = getGlobalPipelineRunner();
+        const sourceEnvironment = args.sourceEnvironment || 'Integration';
+        const targetEnvironment = args.targetEnvironment || 'Production';
+
+        try {
+            // Validate the path up front so permission errors mention the right environments
+            const stages = runner.buildStages(sourceEnvironment, targetEnvironment, args.packages);
+            const requiredEnvironments = Array.from(new Set(stages.map(s => s.targetEnvironment)));
+
+            const permissions = await PermissionChecker.getOrCheckPermissionsSafe({
+                apiKey: args.apiKey,
+                apiSecret: args.apiSecret,
+                projectId: args.projectId,
+                id: args.projectId,
+                projectName: args.projectName || 'Project'
+            });
+
+            const missingAccess = requiredEnvironments.filter(env => !permissions.accessible.includes(env));
+            if (missingAccess.length > 0) {
+                return ResponseBuilder.successWithStructuredData({
+                    error: 'insufficient_permissions',
+                    missingAccess,
+                    availableEnvironments: permissions.accessible
+                }, `ℹ️ **Access Level Check**\n\n` +
+                    `A pipeline deploys to every environment on its path.\n\n` +
+                    `**Requires:** ${requiredEnvironments.join(', ')}\n` +
+                    `**Your access level:** ${permissions.accessible.join(', ')}`);
+            }
+
+            const pipeline = runner.createPipeline({
+                credentials: {
+                    projectId: args.projectId,
+                    apiKey: args.apiKey,
+                    apiSecret: args.apiSecret,
+                    projectName: args.projectName
+                },
+                sourceEnvironment,
+                targetEnvironment,
+                packages: args.packages,
+                sourceApps: args.sourceApps,
+                useMaintenancePage: args.useMaintenancePage,
+                pollInterval: args.pollInterval,
+                gate: {
+                    enabled: args.gateEnabled,
+                    logType: args.gateLogType,
+                    minutesBack: args.gateMinutesBack,
+                    delayMinutes: args.gateDelayMinutes,
+                    thresholds: {
+                        maxErrorIncrease: args.maxErrorIncrease,
+                        maxScoreDecrease: args.maxScoreDecrease,
+                        maxLatencyIncrease: args.maxLatencyIncrease
+                    },
+                    onWarning: args.onWarning,
+                    onCritical: args.onCritical
+                },
+                webhookUrl: args.webhookUrl,
+                webhookHeaders: args.webhookHeaders,
+                webhookFormat: args.webhookFormat
+            });
+
+            const gate = pipeline.options.gate;
+            let message = `🚀 **Pipeline Started**\n\n`;
+            message += `**Pipeline ID:** ${pipeline.pipelineId}\n`;
+            message += `**Project:** ${pipeline.projectName}\n\n`;
+            message += this.formatStages(pipeline);
+            message += `\n**Log gate:** ${gate.enabled
+                ? `${gate.logType} logs, ${gate.minutesBack}min window, ${gate.delayMinutes}min after verification (warning → ${gate.onWarning}, critical → ${gate.onCritical})`
+                : 'disabled (stages auto-complete)'}\n\n`;
+            message += `📡 Follow progress via the pipeline://${pipeline.pipelineId} resource or get_pipeline_status().`;
+
+            return ResponseBuilder.successWithStructuredData(
+                runner.toSnapshot(pipeline),
+                ResponseBuilder.addFooter(message)
+            );
+        } catch (error: any) {
+            return ResponseBuilder.invalidParams(error.message);
+        }
+    }
+
+    /**
+     * Get the status of a pipeline
+     */
+    static async handleGetPipelineStatus(args: PipelineIdArgs): Promise<any> {
+        if (!args.pipelineId) {
+            return ResponseBuilder.invalidParams('pipelineId is required');
+        }
+
+        const runner = getGlobalPipelineRunner();
+        const pipeline = runner.getPipeline(args.pipelineId);
+        if (!pipeline) {
+            return ResponseBuilder.error(`Pipeline not found: ${args.pipelineId}`);
+        }
+
+        let message = `📋 **Pipeline ${pipeline.pipelineId}**\n\n`;
+        message += `**Project:** ${pipeline.projectName}\n`;
+        message += `**Status:** ${pipeline.status}\n`;
+        message += `**Started:** ${pipeline.createdAt}\n`;
+        if (pipeline.completedAt) {
+            message += `**Finished:** ${pipeline.completedAt}\n`;
+        }
+        if (pipeline.error) {
+            message += `**Error:** ${pipeline.error}\n`;
+        }
+        message += `\n${this.formatStages(pipeline)}`;
+
+        const stage = pipeline.stages[pipeline.currentStage];
+        if (stage && stage.gate) {
+            message += `\n**Last gate (${stage.name}):** ${stage.gate.decision} → ${stage.gate.action}\n`;
+            stage.gate.reasons.forEach(reason => {
+                message += `  • ${reason}\n`;
+            });
+        }
+
+        if (pipeline.status === 'awaitingApproval') {
+            message += `\n✋ Waiting for a decision. Test ${stage.slotUrl || 'the slot'} then call ` +
+                `approve_pipeline_stage({ pipelineId: "${pipeline.pipelineId}", action: "complete" }) or action "reset".`;
+        }
+
+        return ResponseBuilder.successWithStructuredData(runner.toSnapshot(pipeline), message);
+    }
+
+    /**
+     * List pipelines
+     */
+    static async handleListPipelines(args: PipelineIdArgs): Promise<any> {
+        const runner = getGlobalPipelineRunner();
+        const pipelines = runner.listPipelines({ activeOnly: args.activeOnly });
+
+        if (pipelines.length === 0) {
+            return ResponseBuilder.successWithStructuredData(
+                { pipelines: [] },
+                args.activeOnly ? 'No active pipelines.' : 'No pipelines found.'
+            );
+        }
+
+        let message = `📋 **Pipelines** (${pipelines.length})\n\n`;
+        pipelines.forEach(pipeline => {
+            const stage = pipeline.stages[pipeline.currentStage];
+            message += `• **${pipeline.pipelineId}** - ${pipeline.projectName} - ${pipeline.status}`;
+            if (stage && !['succeeded', 'cancelled'].includes(pipeline.status)) {
+                message += ` (stage ${stage.index + 1}/${pipeline.stages.length}: ${stage.name}, ${stage.status})`;
+            }
+            message += `\n`;
+        });
+
+        return ResponseBuilder.successWithStructuredData(
+            { pipelines: pipelines.map(p => runner.toSnapshot(p)) },
+            message
+        );
+    }
+
+    /**
+     * Complete or reset a stage that the gate paused
+     */
+    static async handleApprovePipelineStage(args: PipelineIdArgs): Promise<any> {
+        if (!args.pipelineId) {
+            return ResponseBuilder.invalidParams('pipelineId is required');
+        }
+        if (args.action !== 'complete' && args.action !== 'reset') {
+            return ResponseBuilder.invalidParams('action must be "complete" or "reset"');
+        }
+
+        const runner = getGlobalPipelineRunner();
+        const credentials = args.apiKey && args.apiSecret && args.projectId
+            ? { projectId: args.projectId, apiKey: args.apiKey, apiSecret: args.apiSecret, projectName: args.projectName }
+            : undefined;
+
+        try {
+            const pipeline = await runner.approve(args.pipelineId, args.action, credentials);
+            const stage = pipeline.stages[pipeline.currentStage];
+
+            const message = args.action === 'complete'
+                ? `✅ Completing ${stage.name} (${stage.deploymentId}). The pipeline continues once the deployment succeeds.`
+                : `⏪ Resetting ${stage.name} (${stage.deploymentId}). The pipeline stops after the reset.`;
+
+            return ResponseBuilder.successWithStructuredData(runner.toSnapshot(pipeline), message);
+        } catch (error: any) {
+            return ResponseBuilder.error(error.message);
+        }
+    }
+
+    /**
+     * Cancel a pipeline
+     */
+    static async handleCancelPipeline(args: PipelineIdArgs): Promise<any> {
+        if (!args.pipelineId) {
+            return ResponseBuilder.invalidParams('pipelineId is required');
+        }
+
+        const runner = getGlobalPipelineRunner();
+
+        try {
+            const pipeline = runner.cancel(args.pipelineId, args.reason);
+            const stage = pipeline.stages[pipeline.currentStage];
+
+            let message = `🚫 Pipeline ${pipeline.pipelineId} cancelled.`;
+            if (stage && stage.deploymentId) {
+                message += `\n\n⚠️ Deployment ${stage.deploymentId} (${stage.name}) was not touched. ` +
+                    `Check it with get_deployment_status() and reset it if needed.`;
+            }
+
+            return ResponseBuilder.successWithStructuredData(runner.toSnapshot(pipeline), message);
+        } catch (error: any) {
+            return ResponseBuilder.error(error.message);
+        }
+    }
+
+    /**
+     * Format stage list for display
+     */
+    static formatStages(pipeline: PipelineState): string {
+        let text = `**Stages** (${PIPELINE_ENVIRONMENTS.join(' → ')}):\n`;
+        pipeline.stages.forEach(stage => {
+            text += `${STAGE_ICONS[stage.status] || '•'} ${stage.index + 1}. ${stage.name} - ${stage.status}`;
+            if (stage.deploymentId) {
+                text += ` (${stage.deploymentId})`;
+            }
+            text += `\n`;
+        });
+        return text;
+    }
+}
+
+export default PipelineTools;
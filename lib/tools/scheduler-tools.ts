@@ -0,0 +1,227 @@
+/**
+ * Scheduler Tools Module
+ * schedule_operation, list_scheduled and cancel_scheduled
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import ResponseBuilder from '../response-builder';
+import DeploymentValidator from '../deployment-validator';
+import MaintenanceWindows from '../maintenance-windows';
+import {
+    getGlobalScheduler,
+    ScheduledOperation,
+    ScheduledOperationType,
+    ScheduleStatus,
+    SCHEDULABLE_OPERATIONS
+} from '../operation-scheduler';
+
+/**
+ * Anything with a zod-style safeParse (the tool schemas in src/index.ts)
+ */
+interface ParameterSchema {
+    safeParse(value: any): { success: boolean; data?: any; error?: any };
+}
+
+interface ScheduleOperationArgs {
+    operation?: ScheduledOperationType;
+    runAt?: string;
+    delayMinutes?: number;
+    parameters?: Record<string, any>;
+    note?: string;
+    projectName?: string;
+    isSelfHosted?: boolean;
+    connectionString?: string;
+}
+
+interface ScheduledListArgs {
+    status?: ScheduleStatus;
+    projectName?: string;
+    scheduleId?: string;
+    reason?: string;
+}
+
+const STATUS_ICONS: Record<string, string> = {
+    pending: '⏳',
+    running: '🔄',
+    succeeded: '✅',
+    failed: '❌',
+    cancelled: '🚫',
+    missed: '⚠️'
+};
+
+class SchedulerTools {
+    /**
+     * Schedule an operation for later
+     * @param operationSchemas - Tool schemas used to validate parameters now rather than at run time
+     */
+    static async handleScheduleOperation(args: ScheduleOperationArgs, operationSchemas: Record<string, ParameterSchema>): Promise<any> {
+        if (args.isSelfHosted || args.connectionString) {
+            return ResponseBuilder.invalidParams('Scheduled operations are not available for self-hosted projects.');
+        }
+
+        const operation = args.operation;
+        if (!operation || !SCHEDULABLE_OPERATIONS.includes(operation)) {
+            return ResponseBuilder.invalidParams(`operation must be one of: ${SCHEDULABLE_OPERATIONS.join(', ')}`);
+        }
+
+        if (!args.projectName) {
+            return ResponseBuilder.invalidParams('Could not resolve a project for the scheduled operation');
+        }
+
+        // Validate with the tool's own schema so mistakes surface now, not at 2 AM
+        const schema = operationSchemas[operation];
+        const parsed = schema
+            ? schema.safeParse({ ...(args.parameters || {}), projectName: args.projectName })
+            : { success: true, data: args.parameters || {} };
+
+        if (!parsed.success) {
+            const issues = parsed.error && parsed.error.issues
+                ? parsed.error.issues.map((i: any) => `${i.path.join('.')}: ${i.message}`).join('; ')
+                : String(parsed.error);
+            return ResponseBuilder.invalidParams(`parameters are not valid for ${operation}: ${issues}`);
+        }
+
+        const parameters = parsed.data;
+        const scheduler = getGlobalScheduler();
+        const targetEnvironment = scheduler.getTargetEnvironment(operation, parameters);
+        const enforcesWindows = operation !== 'db_export';
+
+        // Work out when to run
+        let runAt: Date;
+        if (args.runAt === 'next-window') {
+            const check = MaintenanceWindows.check(args.projectName, targetEnvironment || 'Production', new Date());
+            if (check.configError) {
+                return ResponseBuilder.error(`Cannot find the next maintenance window: ${check.configError}`);
+            }
+            if (!check.configured) {
+                return ResponseBuilder.invalidParams(`No maintenance windows configured for ${args.projectName} (${MaintenanceWindows.getConfigPath()})`);
+            }
+            if (check.allowed) {
+                runAt = new Date();
+            } else if (check.nextAllowedTime) {
+                runAt = new Date(check.nextAllowedTime);
+            } else {
+                return ResponseBuilder.error('No maintenance window opens within the next 60 days');
+            }
+        } else if (args.runAt) {
+            runAt = new Date(args.runAt);
+            if (isNaN(runAt.getTime())) {
+                return ResponseBuilder.invalidParams(`runAt "${args.runAt}" is not a valid ISO 8601 time (e.g., 2026-11-03T22:00:00+01:00)`);
+            }
+        } else if (args.delayMinutes !== undefined) {
+            runAt = new Date(Date.now() + args.delayMinutes * 60 * 1000);
+        } else {
+            return ResponseBuilder.invalidParams('Provide runAt (ISO 8601 or "next-window") or delayMinutes');
+        }
+
+        // Refuse times the validator would block anyway
+        if (enforcesWindows && targetEnvironment) {
+            const timing = DeploymentValidator.validateDeploymentTiming({
+                targetEnvironment,
+                projectName: args.projectName,
+                at: runAt
+            });
+            if (!timing.valid) {
+                return ResponseBuilder.error(`${timing.error}\n\n💡 ${timing.suggestion}`);
+            }
+        }
+
+        try {
+            const scheduled = scheduler.schedule({
+                operation,
+                runAt,
+                projectName: args.projectName,
+                parameters,
+                note: args.note
+            });
+
+            const window = MaintenanceWindows.check(args.projectName, targetEnvironment || undefined, runAt);
+            let message = `⏰ **Operation Scheduled**\n\n`;
+            message += `**Schedule ID:** ${scheduled.scheduleId}\n`;
+            message += `**Operation:** ${scheduled.operation}\n`;
+            message += `**Project:** ${scheduled.projectName}\n`;
+            if (scheduled.environment) {
+                message += `**Environment:** ${scheduled.environment}\n`;
+            }
+            message += `**Runs at:** ${scheduled.runAt}`;
+            if (window.configured) {
+                message += ` (${window.localTime})`;
+            }
+            message += `\n`;
+            if (window.activeWindow) {
+                message += `**Maintenance window:** ${window.activeWindow}\n`;
+            }
+            message += `\nThe server runs it at that time (it must be running). Cancel with cancel_scheduled({ scheduleId: "${scheduled.scheduleId}" }).`;
+
+            return ResponseBuilder.successWithStructuredData(scheduled, ResponseBuilder.addFooter(message));
+        } catch (error: any) {
+            return ResponseBuilder.invalidParams(error.message);
+        }
+    }
+
+    /**
+     * List scheduled operations
+     */
+    static async handleListScheduled(args: ScheduledListArgs): Promise<any> {
+        const operations = getGlobalScheduler().list({
+            status: args.status,
+            projectName: args.projectName
+        });
+
+        if (operations.length === 0) {
+            return ResponseBuilder.successWithStructuredData(
+                { operations: [] },
+                args.status ? `No ${args.status} scheduled operations.` : 'No scheduled operations.'
+            );
+        }
+
+        let message = `⏰ **Scheduled Operations** (${operations.length})\n\n`;
+        operations.forEach(op => {
+            message += this.formatOperationLine(op);
+        });
+
+        return ResponseBuilder.successWithStructuredData({ operations }, message);
+    }
+
+    /**
+     * Cancel a pending scheduled operation
+     */
+    static async handleCancelScheduled(args: ScheduledListArgs): Promise<any> {
+        if (!args.scheduleId) {
+            return ResponseBuilder.invalidParams('scheduleId is required');
+        }
+
+        try {
+            const operation = getGlobalScheduler().cancel(args.scheduleId, args.reason);
+            return ResponseBuilder.successWithStructuredData(
+                operation,
+                `🚫 Cancelled scheduled ${operation.operation} ${operation.scheduleId} (was due ${operation.runAt}).`
+            );
+        } catch (error: any) {
+            return ResponseBuilder.error(error.message);
+        }
+    }
+
+    /**
+     * One line per scheduled operation
+     */
+    static formatOperationLine(op: ScheduledOperation): string {
+        let line = `${STATUS_ICONS[op.status] || '•'} **${op.scheduleId}** - ${op.operation}`;
+        if (op.environment) {
+            line += ` → ${op.environment}`;
+        }
+        if (op.parameters.deploymentId) {
+            line += ` (${op.parameters.deploymentId})`;
+        }
+        line += ` - ${op.projectName} - ${op.runAt} - ${op.status}`;
+        if (op.error) {
+            line += `\n   ${op.error}`;
+        }
+        if (op.note) {
+            line += `\n   📝 ${op.note}`;
+        }
+        return line + `\n`;
+    }
+}
+
+export default SchedulerTools;
@@ -0,0 +1,401 @@
+/**
+ * Webhook Tools Module
+ * Subscriptions, delivery log queries, redelivery of failed webhooks and signing secret rotation
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import ResponseBuilder from '../response-builder';
+import WebhookValidator from '../webhooks/webhook-validator';
+import WebhookLogger from '../webhooks/webhook-logger';
+import { getGlobalWebhookQueue } from '../webhooks/webhook-queue';
+import { getGlobalWebhookManager } from '../webhooks/webhook-manager';
+import { getGlobalWebhookSubscriptionStore, WebhookSubscription } from '../webhooks/webhook-subscriptions';
+import { WebhookFormat } from '../webhooks/webhook-formatter';
+import { getGlobalWebhookSecretStore } from '../webhooks/webhook-secrets';
+import { getGlobalWebhookDeliveryLog, WebhookDeliveryLog, DeliveryRecord, DeliveryStatus } from '../webhooks/webhook-delivery-log';
+import { SIGNATURE_HEADER, SIGNATURE_TIMESTAMP_HEADER } from '../webhooks/webhook-signer';
+
+/**
+ * list_webhook_deliveries arguments
+ */
+interface ListDeliveriesArgs {
+    deliveryId?: string;
+    status?: DeliveryStatus;
+    url?: string;
+    eventType?: string;
+    operationId?: string;
+    since?: string;
+    limit?: number;
+}
+
+/**
+ * redeliver_webhook arguments
+ */
+interface RedeliverArgs {
+    deliveryId?: string;
+    deadLetters?: boolean;
+    url?: string;
+    limit?: number;
+}
+
+/**
+ * rotate_webhook_secret arguments
+ */
+interface RotateSecretArgs {
+    webhookUrl?: string;
+    overlapHours?: number;
+    secret?: string;
+    remove?: boolean;
+}
+
+/**
+ * add_webhook_subscription arguments
+ */
+interface AddSubscriptionArgs {
+    webhookUrl?: string;
+    events?: string[];
+    project?: string;
+    environment?: string;
+    webhookHeaders?: Record<string, string>;
+    webhookFormat?: WebhookFormat;
+    description?: string;
+    subscriptionId?: string;
+}
+
+/**
+ * list_webhook_subscriptions arguments
+ */
+interface ListSubscriptionsArgs {
+    project?: string;
+}
+
+/**
+ * remove_webhook_subscription arguments
+ */
+interface RemoveSubscriptionArgs {
+    subscriptionId?: string;
+}
+
+const STATUS_ICONS: Record<DeliveryStatus, string> = {
+    pending: '⏳',
+    retrying: '🔄',
+    delivered: '✅',
+    dead_letter: '💀'
+};
+
+class WebhookTools {
+    /**
+     * Add a persistent subscription, or update one when subscriptionId is given
+     */
+    static async handleAddWebhookSubscription(args: AddSubscriptionArgs): Promise<any> {
+        if (!args.webhookUrl) {
+            return ResponseBuilder.invalidParams('webhookUrl is required');
+        }
+
+        const result = getGlobalWebhookManager().saveSubscription({
+            url: args.webhookUrl,
+            headers: args.webhookHeaders,
+            events: args.events,
+            project: args.project,
+            environment: args.environment,
+            description: args.description,
+            format: args.webhookFormat
+        }, args.subscriptionId);
+
+        if (!result.success || !result.subscription) {
+            return ResponseBuilder.invalidParams(result.error || 'Failed to save subscription');
+        }
+
+        const subscription = result.subscription;
+        const data = {
+            subscription: this.toDisplaySubscription(subscription),
+            subscriptionsFile: getGlobalWebhookSubscriptionStore().getPath()
+        };
+
+        let message = `🔔 Subscription **${subscription.id}** ${args.subscriptionId ? 'updated' : 'added'}\n\n`;
+        message += this.formatSubscription(subscription);
+        message += `\nEvents from every matching operation are delivered without passing webhookUrl to each tool.\n`;
+        return ResponseBuilder.successWithStructuredData(data, ResponseBuilder.addFooter(message));
+    }
+
+    /**
+     * List persistent subscriptions
+     */
+    static async handleListWebhookSubscriptions(args: ListSubscriptionsArgs): Promise<any> {
+        const subscriptions = getGlobalWebhookManager().listSubscriptions(args.project);
+        const data = {
+            subscriptionsFile: getGlobalWebhookSubscriptionStore().getPath(),
+            count: subscriptions.length,
+            subscriptions: subscriptions.map(subscription => this.toDisplaySubscription(subscription))
+        };
+
+        let message = `🔔 **Webhook Subscriptions** (${subscriptions.length})${args.project ? ` for ${args.project}` : ''}\n\n`;
+        if (subscriptions.length === 0) {
+            message += 'No subscriptions. Add one with add_webhook_subscription.\n';
+        } else {
+            subscriptions.forEach(subscription => {
+                message += `**${subscription.id}**\n${this.formatSubscription(subscription)}\n`;
+            });
+        }
+        return ResponseBuilder.successWithStructuredData(data, ResponseBuilder.addFooter(message));
+    }
+
+    /**
+     * Remove a persistent subscription
+     */
+    static async handleRemoveWebhookSubscription(args: RemoveSubscriptionArgs): Promise<any> {
+        if (!args.subscriptionId) {
+            return ResponseBuilder.invalidParams('subscriptionId is required');
+        }
+
+        const removed = getGlobalWebhookManager().removeSubscription(args.subscriptionId);
+        if (!removed) {
+            return ResponseBuilder.invalidParams(`Subscription not found: ${args.subscriptionId}`);
+        }
+
+        const message = `🔕 Subscription **${removed.id}** removed. ${WebhookLogger.sanitizeUrl(removed.url)} no longer receives its events.`;
+        return ResponseBuilder.successWithStructuredData({ removed: this.toDisplaySubscription(removed) }, ResponseBuilder.addFooter(message));
+    }
+
+    /**
+     * Query the persisted webhook delivery log
+     */
+    static async handleListWebhookDeliveries(args: ListDeliveriesArgs): Promise<any> {
+        const deliveryLog = getGlobalWebhookDeliveryLog();
+
+        if (args.deliveryId) {
+            const delivery = deliveryLog.get(args.deliveryId);
+            if (!delivery) {
+                return ResponseBuilder.invalidParams(`Delivery not found: ${args.deliveryId}`);
+            }
+            const data = { delivery: { ...WebhookDeliveryLog.toDisplay(delivery), payload: delivery.payload } };
+            return ResponseBuilder.successWithStructuredData(data, this.formatDelivery(delivery));
+        }
+
+        if (args.since && isNaN(new Date(args.since).getTime())) {
+            return ResponseBuilder.invalidParams(`Invalid since: ${args.since}`);
+        }
+
+        const limit = Math.min(args.limit || 50, 500);
+        const { total, deliveries } = deliveryLog.list({
+            status: args.status,
+            url: args.url,
+            eventType: args.eventType,
+            operationId: args.operationId,
+            since: args.since,
+            limit
+        });
+
+        const data = {
+            logFile: deliveryLog.getPath(),
+            total,
+            count: deliveries.length,
+            stats: deliveryLog.getStats(),
+            deliveries: deliveries.map(delivery => WebhookDeliveryLog.toDisplay(delivery))
+        };
+
+        return ResponseBuilder.successWithStructuredData(data, this.formatDeliveries(total, deliveries, data.stats.pendingDeadLetters));
+    }
+
+    /**
+     * Re-send one delivery, or all dead letters
+     */
+    static async handleRedeliverWebhook(args: RedeliverArgs): Promise<any> {
+        if (!args.deliveryId && !args.deadLetters) {
+            return ResponseBuilder.invalidParams('Provide deliveryId, or deadLetters: true to redeliver all dead letters');
+        }
+
+        const queue = getGlobalWebhookQueue();
+
+        if (args.deliveryId) {
+            const original = getGlobalWebhookDeliveryLog().get(args.deliveryId);
+            if (original) {
+                const urlError = this.validateUrl(original.url);
+                if (urlError) {
+                    return ResponseBuilder.invalidParams(`Cannot redeliver to ${WebhookLogger.sanitizeUrl(original.url)}: ${urlError}`);
+                }
+            }
+
+            const result = queue.redeliver(args.deliveryId);
+            if (!result.success) {
+                return ResponseBuilder.invalidParams(result.error || 'Redelivery failed');
+            }
+
+            const data = { redeliveryOf: args.deliveryId, deliveryId: result.deliveryId };
+            const message = `🔁 Delivery ${args.deliveryId} queued again as **${result.deliveryId}**.\n\n` +
+                `Check the outcome with list_webhook_deliveries({ deliveryId: "${result.deliveryId}" }).`;
+            return ResponseBuilder.successWithStructuredData(data, ResponseBuilder.addFooter(message));
+        }
+
+        const { queued, failed } = queue.redeliverDeadLetters({ url: args.url, limit: Math.min(args.limit || 100, 500) });
+        const data = { queued: queued.length, failed: failed.length, deliveryIds: queued, failures: failed };
+
+        let message = `🔁 **Dead Letter Redelivery**\n\n`;
+        if (queued.length === 0 && failed.length === 0) {
+            message += 'No dead letters to redeliver.\n';
+        } else {
+            message += `Queued ${queued.length} dead letter${queued.length === 1 ? '' : 's'} for redelivery.\n`;
+            failed.slice(0, 10).forEach(failure => {
+                message += `- ⚠️ ${failure.deliveryId}: ${failure.error}\n`;
+            });
+        }
+        return ResponseBuilder.successWithStructuredData(data, ResponseBuilder.addFooter(message));
+    }
+
+    /**
+     * Create (or rotate) the signing secret for a webhook URL
+     */
+    static async handleRotateWebhookSecret(args: RotateSecretArgs): Promise<any> {
+        if (!args.webhookUrl) {
+            return ResponseBuilder.invalidParams('webhookUrl is required');
+        }
+
+        const store = getGlobalWebhookSecretStore();
+
+        if (args.remove) {
+            let removed;
+            try {
+                removed = store.remove(args.webhookUrl);
+            } catch (error: any) {
+                return ResponseBuilder.error(`Failed to remove webhook secret: ${error.message}`);
+            }
+            const message = removed
+                ? `🔓 Signing disabled for ${WebhookLogger.sanitizeUrl(args.webhookUrl)}. Requests are no longer signed.`
+                : `No signing secret was configured for ${WebhookLogger.sanitizeUrl(args.webhookUrl)}.`;
+            return ResponseBuilder.successWithStructuredData({ removed }, ResponseBuilder.addFooter(message));
+        }
+
+        const urlError = this.validateUrl(args.webhookUrl);
+        if (urlError) {
+            return ResponseBuilder.invalidParams(urlError);
+        }
+
+        const overlapHours = args.overlapHours ?? 24;
+        let rotation;
+        try {
+            rotation = store.rotate(args.webhookUrl, overlapHours, args.secret);
+        } catch (error: any) {
+            if (error.code === 'INVALID_SECRET') {
+                return ResponseBuilder.invalidParams(error.message);
+            }
+            return ResponseBuilder.error(`Failed to save webhook secret: ${error.message}`);
+        }
+
+        const data = {
+            webhook: rotation.webhook,
+            secretId: rotation.secret.id,
+            secret: rotation.secret.secret,
+            createdAt: rotation.secret.createdAt,
+            overlapping: rotation.overlapping,
+            secretsFile: store.getPath()
+        };
+
+        let message = `🔐 **Webhook Signing Secret** for ${rotation.webhook}\n\n`;
+        message += `**Secret:** \`${rotation.secret.secret}\`\n`;
+        message += `Store it in the receiver now; it is not shown again.\n\n`;
+        if (rotation.overlapping.length > 0) {
+            message += `**Overlap:** requests carry a signature for the new secret and for ${rotation.overlapping.length} previous secret${rotation.overlapping.length === 1 ? '' : 's'}`;
+            message += ` until ${rotation.overlapping.map(p => p.expiresAt).sort().pop()}.\n\n`;
+        }
+        message += `**Verifying:** compute HMAC-SHA256 of \`<${SIGNATURE_TIMESTAMP_HEADER}>.<raw body>\` with the secret, hex encoded, `;
+        message += `and compare it with any \`v1=\` value in the ${SIGNATURE_HEADER} header. Reject timestamps older than 5 minutes.\n`;
+        return ResponseBuilder.successWithStructuredData(data, ResponseBuilder.addFooter(message));
+    }
+
+    /**
+     * Same URL rules as webhook registration
+     * @private
+     */
+    static validateUrl(url: string): string | null {
+        const validation = WebhookValidator.validateUrl(url, {
+            allowHttp: process.env.NODE_ENV === 'development',
+            allowLocalhost: process.env.NODE_ENV === 'development'
+        });
+        return validation.valid ? null : (validation.error || 'Invalid webhook URL');
+    }
+
+    /**
+     * Subscription with the URL's query string redacted and the headers reduced to their names
+     */
+    static toDisplaySubscription(subscription: WebhookSubscription): Omit<WebhookSubscription, 'headers'> & { headerNames: string[] } {
+        const { headers, ...rest } = subscription;
+        return {
+            ...rest,
+            url: WebhookLogger.sanitizeUrl(subscription.url),
+            headerNames: Object.keys(headers || {})
+        };
+    }
+
+    /**
+     * Format one subscription for display
+     */
+    static formatSubscription(subscription: WebhookSubscription): string {
+        let message = `   URL: ${WebhookLogger.sanitizeUrl(subscription.url)}\n`;
+        message += `   Events: ${subscription.events.join(', ')}\n`;
+        message += `   Scope: ${subscription.project || 'any project'} / ${subscription.environment || 'any environment'}\n`;
+        message += `   Format: ${subscription.format || 'json'}\n`;
+        if (subscription.description) {
+            message += `   Description: ${subscription.description}\n`;
+        }
+        const headerNames = Object.keys(subscription.headers || {});
+        if (headerNames.length > 0) {
+            message += `   Headers: ${headerNames.join(', ')}\n`;
+        }
+        return message;
+    }
+
+    /**
+     * Format a delivery list for display
+     */
+    static formatDeliveries(total: number, deliveries: DeliveryRecord[], pendingDeadLetters: number): string {
+        let message = `📬 **Webhook Deliveries** (${deliveries.length} of ${total})\n\n`;
+        if (deliveries.length === 0) {
+            message += 'No deliveries match.\n';
+            return ResponseBuilder.addFooter(message);
+        }
+
+        deliveries.forEach(delivery => {
+            message += `${STATUS_ICONS[delivery.status]} **${delivery.id}** ${delivery.eventType}`;
+            message += delivery.operationId ? ` (${delivery.operationId})` : '';
+            message += ` → ${WebhookLogger.sanitizeUrl(delivery.url)}\n`;
+            message += `   ${delivery.queuedAt} · ${delivery.status} · ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`;
+            message += delivery.statusCode ? ` · HTTP ${delivery.statusCode}` : '';
+            message += delivery.signed ? ' · signed' : '';
+            message += delivery.error ? ` · ${delivery.error}` : '';
+            message += delivery.redeliveredAs ? ` · redelivered as ${delivery.redeliveredAs}` : '';
+            message += '\n';
+        });
+
+        if (pendingDeadLetters > 0) {
+            message += `\n💀 ${pendingDeadLetters} dead letter${pendingDeadLetters === 1 ? '' : 's'} waiting. Use redeliver_webhook({ deadLetters: true }) to send them again.\n`;
+        }
+        return ResponseBuilder.addFooter(message);
+    }
+
+    /**
+     * Format one delivery for display
+     */
+    static formatDelivery(delivery: DeliveryRecord): string {
+        let message = `${STATUS_ICONS[delivery.status]} **Delivery ${delivery.id}**\n\n`;
+        message += `**Event:** ${delivery.eventType}${delivery.operationId ? ` (${delivery.operationId})` : ''}\n`;
+        message += `**URL:** ${WebhookLogger.sanitizeUrl(delivery.url)}\n`;
+        message += `**Format:** ${delivery.format || 'json'}\n`;
+        message += `**Status:** ${delivery.status} after ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}${delivery.signed ? ' (signed)' : ''}\n`;
+        message += `**Queued:** ${delivery.queuedAt}${delivery.completedAt ? `, finished ${delivery.completedAt}` : ''}\n`;
+        if (delivery.redeliveryOf) {
+            message += `**Redelivery of:** ${delivery.redeliveryOf}\n`;
+        }
+        if (delivery.redeliveredAs) {
+            message += `**Redelivered as:** ${delivery.redeliveredAs}\n`;
+        }
+        if (delivery.errors.length > 0) {
+            message += '\n**Attempts:**\n';
+            delivery.errors.forEach(error => {
+                message += `- #${error.attempt} ${new Date(error.timestamp).toISOString()}: ${error.error}\n`;
+            });
+        }
+        return ResponseBuilder.addFooter(message);
+    }
+}
+
+export default WebhookTools;
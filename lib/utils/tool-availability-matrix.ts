@@ -150,8 +150,68 @@ class ToolAvailabilityMatrix {
             description: 'Get detailed deployment status',
             restrictedMessage: 'Deployment status is only available for DXP PaaS hosting.'
         },
+        'schedule_operation': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Deployments',
+            description: 'Schedule a deployment, completion or database export',
+            restrictedMessage: 'Scheduled operations are only available for DXP PaaS hosting.'
+        },
+        'list_scheduled': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Deployments',
+            description: 'List scheduled operations',
+            restrictedMessage: 'Scheduled operations are only available for DXP PaaS hosting.'
+        },
+        'cancel_scheduled': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Deployments',
+            description: 'Cancel a scheduled operation',
+            restrictedMessage: 'Scheduled operations are only available for DXP PaaS hosting.'
+        },
+        'start_pipeline': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Deployments',
+            description: 'Promote a build through Integration, Preproduction and Production with log gates',
+            restrictedMessage: 'Deployment pipelines are only available for DXP PaaS hosting. DXP SaaS handles deployments automatically.'
+        },
+        'get_pipeline_status': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Deployments',
+            description: 'Get deployment pipeline status',
+            restrictedMessage: 'Deployment pipelines are only available for DXP PaaS hosting.'
+        },
+        'list_pipelines': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Deployments',
+            description: 'List deployment pipelines',
+            restrictedMessage: 'Deployment pipelines are only available for DXP PaaS hosting.'
+        },
+        'approve_pipeline_stage': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Deployments',
+            description: 'Complete or reset a paused pipeline stage',
+            restrictedMessage: 'Deployment pipelines are only available for DXP PaaS hosting.'
+        },
+        'cancel_pipeline': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Deployments',
+            description: 'Cancel a deployment pipeline',
+            restrictedMessage: 'Deployment pipelines are only available for DXP PaaS hosting.'
+        },
 
         // Package Management - DXP PaaS Only
+        'upload_package': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Package Management',
+            description: 'Upload a deployment package to DXP',
+            restrictedMessage: 'Package uploads are only available for DXP PaaS hosting. DXP SaaS handles deployments automatically. Self-hosted users should deploy through Azure DevOps.'
+        },
+        'deploy_package': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Package Management',
+            description: 'Upload and deploy a code or database package',
+            restrictedMessage: 'Package deployment is only available for DXP PaaS hosting.'
+        },
         'upload_deployment_package': {
             hostingTypes: ['dxp-paas'],
             category: 'Package Management',
@@ -214,6 +274,26 @@ class ToolAvailabilityMatrix {
             description: 'Download completed export (background or synchronous)',
             restrictedMessage: 'Database export download is only available for DXP PaaS hosting.'
         },
+        'list_backups': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Database',
+            description: 'List downloaded backups with size, checksum and export timestamp'
+        },
+        'prune_backups': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Database',
+            description: 'Apply keep-daily/keep-weekly retention to downloaded backups (dry run by default)'
+        },
+        'inspect_bacpac': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Database',
+            description: 'Report tables, row counts and versions in a bacpac, or diff two exports'
+        },
+        'mask_bacpac': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Database',
+            description: 'Write a masked copy of a bacpac using per-project rules'
+        },
         // REMOVED: list_exports - tool relies on broken queryPaaSExports (DXP-49)
 
 
@@ -231,6 +311,24 @@ class ToolAvailabilityMatrix {
             category: 'Storage & Downloads',
             description: 'Download blob storage content'
         },
+        'upload_blobs': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Storage & Downloads',
+            description: 'Upload a local folder to a writable blob container',
+            restrictedMessage: 'Blob uploads use writable SAS links from the DXP API and are only available for DXP PaaS hosting. Self-hosted users can upload with Azure Storage Explorer or azcopy.'
+        },
+        'sync_blobs': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Storage & Downloads',
+            description: 'Mirror a local folder into a writable blob container',
+            restrictedMessage: 'Blob sync uses writable SAS links from the DXP API and is only available for DXP PaaS hosting. Self-hosted users can sync with azcopy.'
+        },
+        'diff_blob_containers': {
+            hostingTypes: ['dxp-paas'],
+            category: 'Storage & Downloads',
+            description: 'Compare blob containers across environments or with a local folder',
+            restrictedMessage: 'Container diffs use SAS links from the DXP API and are only available for DXP PaaS hosting.'
+        },
         'download_logs': {
             hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted'],
             category: 'Storage & Downloads',
@@ -266,6 +364,32 @@ class ToolAvailabilityMatrix {
             category: 'Storage & Downloads',
             description: 'Compare baseline vs slot logs for deployment decisions'
         },
+        'tail_logs': {
+            hostingTypes: ['dxp-paas', 'dxp-saas'],
+            category: 'Storage & Downloads',
+            description: 'Tail logs in the background and raise alerts from rules',
+            restrictedMessage: 'Log tailing reads the DXP log containers and is not available for self-hosted projects.'
+        },
+        'get_tail_status': {
+            hostingTypes: ['dxp-paas', 'dxp-saas'],
+            category: 'Storage & Downloads',
+            description: 'Show log tail watchers and their active alerts'
+        },
+        'stop_tail_logs': {
+            hostingTypes: ['dxp-paas', 'dxp-saas'],
+            category: 'Storage & Downloads',
+            description: 'Stop a log tail watcher'
+        },
+        'search_logs': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted'],
+            category: 'Storage & Downloads',
+            description: 'Search downloaded or streamed logs with filters and group-by'
+        },
+        'crawler_report': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted'],
+            category: 'Storage & Downloads',
+            description: 'Bot and AI-crawler traffic report with IP verification and robots.txt check'
+        },
         // REMOVED: check_download_capabilities - consolidated into db_export preview mode (DXP-81)
 
         // Download Management - DXP-82 consolidated tools (available to all)
@@ -282,7 +406,17 @@ class ToolAvailabilityMatrix {
         'download_cancel': {
             hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted'],
             category: 'Download Management',
-            description: 'View download history'
+            description: 'Cancel one or all active downloads'
+        },
+        'download_pause': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted'],
+            category: 'Download Management',
+            description: 'Pause an active download, keeping finished chunks'
+        },
+        'download_resume': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted'],
+            category: 'Download Management',
+            description: 'Resume a paused download from its last finished chunk'
         },
 
         // Storage Management - DXP PaaS Only (SAS generation)
@@ -341,6 +475,66 @@ class ToolAvailabilityMatrix {
             category: 'Monitoring',
             description: 'Get cache status'
         },
+        'replay_events': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Re-send event history to a webhook or bus subscribers'
+        },
+        'add_webhook_subscription': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Subscribe a webhook to events by project, environment and event pattern'
+        },
+        'list_webhook_subscriptions': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'List persistent webhook subscriptions'
+        },
+        'remove_webhook_subscription': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Remove a persistent webhook subscription'
+        },
+        'list_webhook_deliveries': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Query the persisted webhook delivery log and dead letters'
+        },
+        'redeliver_webhook': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Send a webhook delivery or all dead letters again'
+        },
+        'rotate_webhook_secret': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Create or rotate a webhook signing secret'
+        },
+        'verify_audit_log': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Verify the hash chain and day seals of the audit trail'
+        },
+        'export_audit_log': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Export audit entries for a time range to CSV or JSON'
+        },
+        'query_audit_log': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Query audit entries by time, tool, status, project, environment, user, tag or parameters'
+        },
+        'summarize_audit_log': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Audit counts, failure rates, p95 durations and deployments per week'
+        },
+        'trace_audit_correlation': {
+            hostingTypes: ['dxp-paas', 'dxp-saas', 'self-hosted', 'unknown'],
+            category: 'Monitoring',
+            description: 'Tree of audited calls behind a call, deployment or export'
+        },
 
         // Support Tools - Available to all
         'get_version': {
@@ -0,0 +1,284 @@
+/**
+ * Webhook Delivery Log
+ * Persisted record of every webhook delivery, used for querying, redelivery and dead letters
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import OutputLogger from '../output-logger';
+import WebhookLogger from './webhook-logger';
+import { WebhookFormat } from './webhook-formatter';
+
+/**
+ * Delivery status
+ * dead_letter: retries exhausted, not retryable, queue full or interrupted by a restart
+ */
+export type DeliveryStatus = 'pending' | 'retrying' | 'delivered' | 'dead_letter';
+
+/**
+ * Delivery attempt error
+ */
+export interface DeliveryError {
+    attempt: number;
+    error: string;
+    statusCode?: number;
+    timestamp: number;
+}
+
+/**
+ * Delivery record
+ */
+export interface DeliveryRecord {
+    id: string;
+    url: string;
+    eventType: string;
+    operationId: string | null;
+    status: DeliveryStatus;
+    attempts: number;
+    signed: boolean;
+    queuedAt: string;
+    lastAttemptAt: string | null;
+    completedAt: string | null;
+    statusCode: number | null;
+    responseTime: number | null;
+    error: string | null;
+    errors: DeliveryError[];
+    redeliveryOf: string | null;
+    redeliveredAs: string | null;
+    payload: any;
+    headers: Record<string, string>;
+    // Missing in records written before formats existed (flat JSON)
+    format?: WebhookFormat;
+}
+
+/**
+ * Delivery query options
+ */
+export interface DeliveryQuery {
+    status?: DeliveryStatus;
+    url?: string;
+    eventType?: string;
+    operationId?: string;
+    since?: string | Date;
+    // Only dead letters that have not been redelivered yet
+    pendingDeadLetters?: boolean;
+    limit?: number;
+}
+
+/**
+ * Delivery Log Class
+ * Append-only JSONL file; each line is the latest snapshot of one delivery (last line wins).
+ * The file is rewritten with the newest maxRecords deliveries once enough lines accumulate.
+ */
+class WebhookDeliveryLog {
+    private file: string;
+    private maxRecords: number;
+    private records: Map<string, DeliveryRecord>;
+    private loaded: boolean;
+    private linesSinceCompaction: number;
+
+    constructor(options: { file?: string; maxRecords?: number } = {}) {
+        this.file = options.file || process.env.DXP_WEBHOOK_DELIVERY_LOG ||
+            path.join(os.homedir(), '.optimizely-dxp', 'webhook-deliveries.jsonl');
+        this.maxRecords = options.maxRecords || 2000;
+        this.records = new Map();
+        this.loaded = false;
+        this.linesSinceCompaction = 0;
+    }
+
+    /**
+     * Path of the delivery log
+     */
+    getPath(): string {
+        return this.file;
+    }
+
+    /**
+     * Save a new or updated delivery
+     */
+    record(delivery: DeliveryRecord): void {
+        this.load();
+
+        // Re-insert so the map stays in last-updated order
+        this.records.delete(delivery.id);
+        this.records.set(delivery.id, delivery);
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, JSON.stringify(delivery) + '\n', { encoding: 'utf-8', mode: 0o600 });
+            this.linesSinceCompaction++;
+        } catch (error) {
+            OutputLogger.error(`Failed to write webhook delivery log: ${(error as Error).message}`);
+            return;
+        }
+
+        if (this.linesSinceCompaction > this.maxRecords) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Get one delivery
+     */
+    get(deliveryId: string): DeliveryRecord | null {
+        this.load();
+        return this.records.get(deliveryId) || null;
+    }
+
+    /**
+     * Query deliveries, newest first
+     */
+    list(query: DeliveryQuery = {}): { total: number; deliveries: DeliveryRecord[] } {
+        this.load();
+        const since = query.since ? new Date(query.since).getTime() : null;
+        const urlFilter = query.url ? query.url.toLowerCase() : null;
+
+        const matches = Array.from(this.records.values())
+            .filter(delivery => {
+                if (query.status && delivery.status !== query.status) return false;
+                if (query.pendingDeadLetters && (delivery.status !== 'dead_letter' || delivery.redeliveredAs)) return false;
+                if (urlFilter && !delivery.url.toLowerCase().includes(urlFilter)) return false;
+                if (query.eventType && !this.matchesEventType(delivery.eventType, query.eventType)) return false;
+                if (query.operationId && delivery.operationId !== query.operationId) return false;
+                if (since !== null && new Date(delivery.queuedAt).getTime() < since) return false;
+                return true;
+            })
+            .sort((a, b) => b.queuedAt.localeCompare(a.queuedAt));
+
+        return {
+            total: matches.length,
+            deliveries: matches.slice(0, query.limit || 50)
+        };
+    }
+
+    /**
+     * Delivery counts by status
+     */
+    getStats(): Record<DeliveryStatus, number> & { total: number; pendingDeadLetters: number } {
+        this.load();
+        const stats = { total: 0, pending: 0, retrying: 0, delivered: 0, dead_letter: 0, pendingDeadLetters: 0 };
+        for (const delivery of this.records.values()) {
+            stats.total++;
+            stats[delivery.status]++;
+            if (delivery.status === 'dead_letter' && !delivery.redeliveredAs) {
+                stats.pendingDeadLetters++;
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Record with the URL's query string redacted and the headers reduced to their names
+     */
+    static toDisplay(delivery: DeliveryRecord): Omit<DeliveryRecord, 'headers' | 'payload'> & { headerNames: string[] } {
+        const { headers, payload: _payload, ...rest } = delivery;
+        return {
+            ...rest,
+            url: WebhookLogger.sanitizeUrl(delivery.url),
+            headerNames: Object.keys(headers || {})
+        };
+    }
+
+    /**
+     * Load the log on first use; deliveries that were in flight when the
+     * previous process stopped become dead letters
+     * @private
+     */
+    private load(): void {
+        if (this.loaded) {
+            return;
+        }
+        this.loaded = true;
+
+        let content: string;
+        try {
+            content = fs.readFileSync(this.file, 'utf-8');
+        } catch (error: any) {
+            if (error.code !== 'ENOENT') {
+                OutputLogger.error(`Failed to read webhook delivery log: ${error.message}`);
+            }
+            return;
+        }
+
+        let lines = 0;
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            lines++;
+            try {
+                const delivery = JSON.parse(line) as DeliveryRecord;
+                this.records.delete(delivery.id);
+                this.records.set(delivery.id, delivery);
+            } catch {
+                // Ignore a line cut short by a crash
+            }
+        }
+        this.linesSinceCompaction = lines;
+
+        const interrupted = Array.from(this.records.values())
+            .filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying');
+        for (const delivery of interrupted) {
+            this.record({
+                ...delivery,
+                status: 'dead_letter',
+                error: 'Interrupted by server restart',
+                completedAt: new Date().toISOString()
+            });
+        }
+
+        if (this.linesSinceCompaction > this.records.size * 2) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the file with the newest deliveries only
+     * @private
+     */
+    private compact(): void {
+        const keep = Array.from(this.records.values()).slice(-this.maxRecords);
+        this.records = new Map(keep.map(delivery => [delivery.id, delivery]));
+
+        try {
+            const tempFile = `${this.file}.tmp`;
+            fs.writeFileSync(tempFile, keep.map(delivery => JSON.stringify(delivery)).join('\n') + (keep.length ? '\n' : ''), { encoding: 'utf-8', mode: 0o600 });
+            fs.renameSync(tempFile, this.file);
+            this.linesSinceCompaction = keep.length;
+        } catch (error) {
+            OutputLogger.error(`Failed to compact webhook delivery log: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    private matchesEventType(eventType: string, pattern: string): boolean {
+        if (pattern === '*' || pattern === eventType) return true;
+        if (pattern.endsWith('*')) return eventType.startsWith(pattern.slice(0, -1));
+        return false;
+    }
+}
+
+// Singleton instance
+let globalLog: WebhookDeliveryLog | null = null;
+
+/**
+ * Get the global webhook delivery log
+ * @returns Global log
+ */
+export function getGlobalWebhookDeliveryLog(): WebhookDeliveryLog {
+    if (!globalLog) {
+        globalLog = new WebhookDeliveryLog();
+    }
+    return globalLog;
+}
+
+/**
+ * Reset the global log (for testing)
+ */
+export function resetGlobalWebhookDeliveryLog(): void {
+    globalLog = null;
+}
+
+export { WebhookDeliveryLog };
@@ -0,0 +1,354 @@
+/**
+ * Webhook Formatter
+ * Renders DXPEvents as flat JSON, Slack Block Kit, Teams Adaptive Cards or CloudEvents 1.0
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import crypto from 'crypto';
+import { DXPEvent } from '../events/event-types';
+import WebhookTransformer, { WebhookPayload } from './webhook-transformer';
+import { getGlobalWebhookTemplateStore, WebhookTemplateStore } from './webhook-templates';
+
+/**
+ * Payload formats
+ * - json: flat V2 payload (default)
+ * - slack: Slack Block Kit message for incoming webhooks
+ * - teams: Adaptive Card message for Teams incoming webhooks and workflows
+ * - cloudevents: CloudEvents 1.0 structured mode (attributes and data in the body)
+ * - cloudevents-binary: CloudEvents 1.0 binary mode (attributes in ce-* headers, data as the body)
+ */
+export type WebhookFormat = 'json' | 'slack' | 'teams' | 'cloudevents' | 'cloudevents-binary';
+
+export const WEBHOOK_FORMATS: WebhookFormat[] = ['json', 'slack', 'teams', 'cloudevents', 'cloudevents-binary'];
+
+/**
+ * Rendered webhook request
+ */
+export interface FormattedWebhook {
+    body: any;
+    contentType: string;
+    // Format-specific headers (CloudEvents binary mode attributes)
+    headers: Record<string, string>;
+    eventType: string;
+}
+
+/**
+ * Label/value pair shown in Slack fields and Teams fact sets
+ */
+interface Fact {
+    title: string;
+    value: string;
+}
+
+const CLOUDEVENTS_TYPE_PREFIX = 'com.jaxondigital.dxp.';
+
+// Slack limits: header text 150, section text 3000, 10 fields, button URL 3000
+const SLACK_HEADER_MAX = 150;
+const ERROR_DETAILS_MAX = 2000;
+const BUTTON_URL_MAX = 3000;
+
+/**
+ * Webhook Formatter Class
+ */
+class WebhookFormatter {
+    /**
+     * Check a format name
+     */
+    static isValidFormat(format: string): format is WebhookFormat {
+        return (WEBHOOK_FORMATS as string[]).includes(format);
+    }
+
+    /**
+     * Render an event in the given format
+     * @param event - DXPEvent object
+     * @param format - Payload format (default: json)
+     */
+    static format(event: DXPEvent, format: WebhookFormat = 'json'): FormattedWebhook {
+        const payload = WebhookTransformer.transform(event);
+
+        switch (format) {
+            case 'slack':
+                return this.json(event, this.toSlack(event, payload));
+            case 'teams':
+                return this.json(event, this.toTeams(event, payload));
+            case 'cloudevents':
+                return {
+                    body: { ...this.cloudEventAttributes(event, payload), data: payload },
+                    contentType: 'application/cloudevents+json',
+                    headers: {},
+                    eventType: event.eventType
+                };
+            case 'cloudevents-binary': {
+                const headers: Record<string, string> = {};
+                for (const [name, value] of Object.entries(this.cloudEventAttributes(event, payload))) {
+                    if (name !== 'datacontenttype') {
+                        headers[`ce-${name}`] = value;
+                    }
+                }
+                return { body: payload, contentType: 'application/json', headers, eventType: event.eventType };
+            }
+            default:
+                return this.json(event, payload);
+        }
+    }
+
+    /**
+     * Slack Block Kit message
+     * @private
+     */
+    private static toSlack(event: DXPEvent, payload: WebhookPayload): any {
+        const { title, text } = this.renderTemplate(event, payload);
+        const blocks: any[] = [
+            { type: 'header', text: { type: 'plain_text', text: this.truncate(title, SLACK_HEADER_MAX), emoji: true } }
+        ];
+
+        if (text) {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+        }
+
+        const facts = this.facts(event, payload);
+        if (facts.length > 0) {
+            blocks.push({
+                type: 'section',
+                fields: facts.slice(0, 10).map(fact => ({ type: 'mrkdwn', text: `*${fact.title}*\n${fact.value}` }))
+            });
+        }
+
+        const error = this.errorDetails(payload);
+        if (error) {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Error*\n\`\`\`${error}\`\`\`` } });
+        }
+
+        const buttons = this.buttons(payload);
+        if (buttons.length > 0) {
+            blocks.push({
+                type: 'actions',
+                elements: buttons.map(button => ({
+                    type: 'button',
+                    text: { type: 'plain_text', text: button.title, emoji: true },
+                    url: button.value
+                }))
+            });
+        }
+
+        blocks.push({
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: `${event.eventType} · ${event.operationId} · ${event.timestamp}` }]
+        });
+
+        // text is the notification fallback for clients that cannot show blocks
+        return { text: title, blocks };
+    }
+
+    /**
+     * Teams message with an Adaptive Card attachment
+     * @private
+     */
+    private static toTeams(event: DXPEvent, payload: WebhookPayload): any {
+        const { title, text } = this.renderTemplate(event, payload);
+        const body: any[] = [
+            { type: 'TextBlock', text: title, size: 'Medium', weight: 'Bolder', wrap: true }
+        ];
+
+        if (text) {
+            body.push({ type: 'TextBlock', text, wrap: true });
+        }
+
+        const facts = this.facts(event, payload);
+        if (facts.length > 0) {
+            body.push({ type: 'FactSet', facts });
+        }
+
+        const error = this.errorDetails(payload);
+        if (error) {
+            body.push({ type: 'TextBlock', text: error, wrap: true, color: 'Attention', fontType: 'Monospace' });
+        }
+
+        body.push({ type: 'TextBlock', text: `${event.eventType} · ${event.operationId} · ${event.timestamp}`, isSubtle: true, size: 'Small', wrap: true });
+
+        const card: any = {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body,
+            msteams: { width: 'Full' }
+        };
+
+        const buttons = this.buttons(payload);
+        if (buttons.length > 0) {
+            card.actions = buttons.map(button => ({ type: 'Action.OpenUrl', title: button.title, url: button.value }));
+        }
+
+        return {
+            type: 'message',
+            summary: title,
+            attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', contentUrl: null, content: card }]
+        };
+    }
+
+    /**
+     * CloudEvents 1.0 context attributes
+     * The id is derived from the event, so retries and redeliveries of one event share it
+     * and receivers can deduplicate on source + id.
+     * @private
+     */
+    private static cloudEventAttributes(event: DXPEvent, payload: WebhookPayload): Record<string, string> {
+        const project = payload.project && payload.project !== 'unknown' ? payload.project : null;
+        const environment = payload.environment && payload.environment !== 'unknown' ? payload.environment : null;
+
+        const attributes: Record<string, string> = {
+            specversion: '1.0',
+            id: crypto.createHash('sha256').update(`${event.operationId}|${event.eventType}|${event.timestamp}`).digest('hex').substring(0, 32),
+            source: project ? `/optimizely-dxp/projects/${encodeURIComponent(project)}` : '/optimizely-dxp',
+            type: `${CLOUDEVENTS_TYPE_PREFIX}${event.eventType}`,
+            subject: event.operationId,
+            time: event.timestamp,
+            datacontenttype: 'application/json'
+        };
+        // Extension attributes (lowercase alphanumeric names) for routing without parsing data
+        if (environment) {
+            attributes.dxpenvironment = environment;
+        }
+        return attributes;
+    }
+
+    /**
+     * Title and text from the event's template
+     * @private
+     */
+    private static renderTemplate(event: DXPEvent, payload: WebhookPayload): { title: string; text: string } {
+        const template = getGlobalWebhookTemplateStore().resolve(event.eventType);
+        const fields = this.templateFields(event, payload);
+        return {
+            title: WebhookTemplateStore.render(template.title, fields) || event.eventType,
+            text: template.text ? WebhookTemplateStore.render(template.text, fields) : ''
+        };
+    }
+
+    /**
+     * Flat payload plus derived fields available to templates
+     * @private
+     */
+    private static templateFields(event: DXPEvent, payload: WebhookPayload): Record<string, any> {
+        const fields: Record<string, any> = { ...payload, operationId: event.operationId };
+        for (const name of ['project', 'environment']) {
+            if (fields[name] === 'unknown') {
+                delete fields[name];
+            }
+        }
+
+        const [resource, action = ''] = event.eventType.split('.');
+        fields.eventLabel = `${this.capitalize(resource)} ${action.replace(/([A-Z])/g, ' $1').toLowerCase()}`.trim();
+
+        const sizeBytes = this.sizeBytes(payload);
+        if (sizeBytes !== null) {
+            fields.size = this.formatBytes(sizeBytes);
+        }
+
+        if (payload.alert && typeof payload.alert === 'object') {
+            fields.alertRule = payload.alert.rule;
+            fields.alertMessage = payload.alert.message;
+            fields.alertSeverity = payload.alert.severity;
+        }
+        return fields;
+    }
+
+    /**
+     * Facts shown under the message
+     * @private
+     */
+    private static facts(event: DXPEvent, payload: WebhookPayload): Fact[] {
+        const facts: Fact[] = [];
+        const add = (title: string, value: any) => {
+            if (value !== undefined && value !== null && value !== '' && value !== 'unknown') {
+                facts.push({ title, value: String(value) });
+            }
+        };
+
+        add('Project', payload.project);
+        add('Environment', payload.environment || payload.targetEnvironment);
+        add('Source', payload.sourceEnvironment);
+        add('Status', payload.status);
+        if (event.eventType.endsWith('.inProgress')) {
+            const progress = payload.percentComplete ?? payload.progress;
+            add('Progress', progress !== undefined ? `${progress}%` : undefined);
+        }
+        add('Database', payload.databaseName);
+        const sizeBytes = this.sizeBytes(payload);
+        add('Size', sizeBytes !== null ? this.formatBytes(sizeBytes) : undefined);
+        if (payload.alert && typeof payload.alert === 'object') {
+            add('Severity', payload.alert.severity);
+            add('Value', payload.alert.value);
+        }
+        add('Operation', event.operationId);
+        return facts;
+    }
+
+    /**
+     * Link buttons (only the verification slot; export download links are signed URLs
+     * to a database backup and are not posted to chat)
+     * @private
+     */
+    private static buttons(payload: WebhookPayload): Fact[] {
+        if (typeof payload.slotUrl === 'string' && /^https?:\/\//.test(payload.slotUrl) && payload.slotUrl.length <= BUTTON_URL_MAX) {
+            return [{ title: 'Open verification slot', value: payload.slotUrl }];
+        }
+        return [];
+    }
+
+    /**
+     * @private
+     */
+    private static errorDetails(payload: WebhookPayload): string | null {
+        if (!payload.error) {
+            return null;
+        }
+        const error = typeof payload.error === 'string' ? payload.error : JSON.stringify(payload.error);
+        return this.truncate(error.replace(/```/g, "'''"), ERROR_DETAILS_MAX);
+    }
+
+    /**
+     * @private
+     */
+    private static sizeBytes(payload: WebhookPayload): number | null {
+        const size = payload.sizeBytes ?? payload.fileSize;
+        return typeof size === 'number' && size > 0 ? size : null;
+    }
+
+    /**
+     * @private
+     */
+    private static json(event: DXPEvent, body: any): FormattedWebhook {
+        return { body, contentType: 'application/json', headers: {}, eventType: event.eventType };
+    }
+
+    /**
+     * @private
+     */
+    private static formatBytes(bytes: number): string {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    /**
+     * @private
+     */
+    private static truncate(text: string, max: number): string {
+        return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+    }
+
+    /**
+     * @private
+     */
+    private static capitalize(text: string): string {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+export default WebhookFormatter;
@@ -8,9 +8,11 @@ import { getGlobalEmitter } from '../events/event-emitter';
 import { getGlobalWebhookQueue } from './webhook-queue';
 import WebhookValidator from './webhook-validator';
 import WebhookLogger from './webhook-logger';
-import { DXPEvent, isTerminalEvent } from '../events/event-types';
+import { DXPEvent, isReplayedEvent, isTerminalEvent } from '../events/event-types';
 import { DXPEventEmitter } from '../events/event-emitter';
 import { WebhookQueue } from './webhook-queue';
+import WebhookFormatter, { WebhookFormat } from './webhook-formatter';
+import { getGlobalWebhookSubscriptionStore, WebhookSubscriptionStore, WebhookSubscription, SubscriptionInput, OperationContext } from './webhook-subscriptions';
 
 /**
  * Webhook configuration
@@ -21,6 +23,7 @@ export interface WebhookConfig {
     registeredAt: number;
     project: string;
     environment: string;
+    format: WebhookFormat;
 }
 
 /**
@@ -29,8 +32,10 @@ export interface WebhookConfig {
 export interface WebhookStats {
     registrations: number;
     deliveries: number;
+    subscriptionDeliveries: number;
     errors: number;
     activeWebhooks: number;
+    subscriptions: number;
     queueStats: any;
     deliveryStats: any;
 }
@@ -43,6 +48,13 @@ export interface RegisterResult {
     error?: string;
 }
 
+/**
+ * Subscription save result
+ */
+export interface SubscriptionResult extends RegisterResult {
+    subscription?: WebhookSubscription;
+}
+
 /**
  * Register options
  */
@@ -50,6 +62,8 @@ export interface RegisterOptions {
     headers?: Record<string, string>;
     project?: string;
     environment?: string;
+    // Payload format (default: flat JSON)
+    format?: WebhookFormat;
 }
 
 /**
@@ -61,6 +75,7 @@ export interface ActiveWebhook {
     project: string;
     environment: string;
     registeredAt: number;
+    format: WebhookFormat;
 }
 
 /**
@@ -69,11 +84,14 @@ export interface ActiveWebhook {
  */
 class WebhookManager {
     private webhooks: Map<string, WebhookConfig>;
+    private subscriptionStore: WebhookSubscriptionStore;
+    private operationContexts: Map<string, OperationContext>;
     private emitter: DXPEventEmitter;
     private queue: WebhookQueue;
     private stats: {
         registrations: number;
         deliveries: number;
+        subscriptionDeliveries: number;
         errors: number;
     };
     private initialized: boolean;
@@ -82,6 +100,13 @@ class WebhookManager {
         // Map of operationId → webhook config
         this.webhooks = new Map();
 
+        // Persistent project/environment subscriptions
+        this.subscriptionStore = getGlobalWebhookSubscriptionStore();
+
+        // Map of operationId → project/environment, learned from earlier events of the operation
+        // (progress and completion events usually carry neither)
+        this.operationContexts = new Map();
+
         // Event emitter and queue
         this.emitter = getGlobalEmitter();
         this.queue = getGlobalWebhookQueue();
@@ -90,6 +115,7 @@ class WebhookManager {
         this.stats = {
             registrations: 0,
             deliveries: 0,
+            subscriptionDeliveries: 0,
             errors: 0
         };
 
@@ -111,6 +137,18 @@ class WebhookManager {
             this.handleEvent(event);
         });
 
+        // Recover operation contexts from persisted history (file or Redis bus)
+        this.emitter.getHistory({ limit: 5000 }).then(events => {
+            for (const event of events) {
+                this.updateContext(event);
+                if (isTerminalEvent(event.eventType)) {
+                    this.operationContexts.delete(event.operationId);
+                }
+            }
+        }).catch(error => {
+            console.error('[WEBHOOK MANAGER] Failed to read event history:', error.message);
+        });
+
         this.initialized = true;
 
         if (process.env.DEBUG === 'true') {
@@ -148,13 +186,18 @@ class WebhookManager {
             }
         }
 
+        if (options.format && !WebhookFormatter.isValidFormat(options.format)) {
+            return { success: false, error: `Unknown webhook format: ${options.format}` };
+        }
+
         // Register webhook
         this.webhooks.set(operationId, {
             url: webhookUrl,
             headers: options.headers || {},
             registeredAt: Date.now(),
             project: options.project || 'unknown',
-            environment: options.environment || 'unknown'
+            environment: options.environment || 'unknown',
+            format: options.format || 'json'
         });
 
         this.stats.registrations++;
@@ -186,10 +229,26 @@ class WebhookManager {
      * @param event - Event object
      */
     private handleEvent(event: DXPEvent): void {
+        // Replays reach webhooks only through replay_events with target "webhook"
+        if (isReplayedEvent(event)) {
+            return;
+        }
+
         const { operationId } = event;
+        const context = this.updateContext(event);
 
         // Check if there's a webhook registered for this operation
         const webhookConfig = this.webhooks.get(operationId);
+
+        // Persistent subscriptions (skipping a URL the operation's own webhook already gets)
+        this.deliverToSubscriptions(event, context, webhookConfig ? webhookConfig.url : null);
+
+        if (isTerminalEvent(event.eventType)) {
+            setTimeout(() => {
+                this.operationContexts.delete(operationId);
+            }, 5000);
+        }
+
         if (!webhookConfig) {
             return; // No webhook registered for this operation
         }
@@ -217,7 +276,8 @@ class WebhookManager {
             webhookConfig.url,
             enrichedEvent,
             {
-                headers: webhookConfig.headers
+                headers: webhookConfig.headers,
+                format: webhookConfig.format
             }
         );
 
@@ -241,6 +301,184 @@ class WebhookManager {
         }
     }
 
+    /**
+     * Queue an event for every subscription whose scope and patterns match
+     * @private
+     */
+    private deliverToSubscriptions(event: DXPEvent, context: OperationContext, skipUrl: string | null): void {
+        const subscriptions = this.subscriptionStore.match(event.eventType, context)
+            .filter(subscription => subscription.url !== skipUrl);
+        if (subscriptions.length === 0) {
+            return;
+        }
+
+        const validation = WebhookValidator.validatePayload(event);
+        if (!validation.valid) {
+            WebhookLogger.logError('unknown', subscriptions[0].url, `Invalid event payload: ${validation.error}`);
+            this.stats.errors++;
+            return;
+        }
+
+        // One delivery per URL even when several subscriptions match
+        const delivered = new Set<string>();
+        for (const subscription of subscriptions) {
+            if (delivered.has(subscription.url)) {
+                continue;
+            }
+            delivered.add(subscription.url);
+
+            const enrichedEvent: DXPEvent = {
+                ...event,
+                metadata: {
+                    ...event.metadata,
+                    project: context.project || 'unknown',
+                    environment: context.environment || 'unknown',
+                    subscriptionId: subscription.id
+                }
+            };
+
+            const webhookId = this.queue.enqueue(subscription.url, enrichedEvent, {
+                headers: subscription.headers,
+                format: subscription.format || 'json'
+            });
+            if (webhookId) {
+                this.stats.subscriptionDeliveries++;
+
+                if (process.env.DEBUG === 'true') {
+                    console.error(`[WEBHOOK MANAGER] Queued ${webhookId} for ${event.eventType} (subscription: ${subscription.id})`);
+                }
+            } else {
+                this.stats.errors++;
+                WebhookLogger.logError('unknown', subscription.url, 'Failed to queue webhook (queue full?)');
+            }
+        }
+    }
+
+    /**
+     * Remember the project/environment an operation belongs to
+     * @returns Context for the event's operation
+     * @private
+     */
+    private updateContext(event: DXPEvent): OperationContext {
+        const data = event.data || {};
+        const metadata = event.metadata || {};
+        const known = this.operationContexts.get(event.operationId) || {};
+        const registered = this.webhooks.get(event.operationId);
+
+        const project = event.project || metadata.project || data.project || known.project ||
+            (registered && registered.project !== 'unknown' ? registered.project : null);
+        const environment = event.environment || metadata.environment || data.targetEnvironment || data.environment ||
+            known.environment || (registered && registered.environment !== 'unknown' ? registered.environment : null);
+
+        const context: OperationContext = { project: project || null, environment: environment || null };
+        if (context.project || context.environment) {
+            this.operationContexts.set(event.operationId, context);
+        }
+        return context;
+    }
+
+    /**
+     * Add a persistent subscription, or update an existing one
+     * @param input - URL, headers, event patterns and scope
+     * @param subscriptionId - Subscription to update
+     */
+    saveSubscription(input: SubscriptionInput, subscriptionId?: string): SubscriptionResult {
+        const validation = WebhookValidator.validateUrl(input.url, {
+            allowHttp: process.env.NODE_ENV === 'development',
+            allowLocalhost: process.env.NODE_ENV === 'development'
+        });
+        if (!validation.valid) {
+            return { success: false, error: validation.error };
+        }
+
+        if (input.headers) {
+            const headersValidation = WebhookValidator.validateHeaders(input.headers);
+            if (!headersValidation.valid) {
+                return { success: false, error: headersValidation.error };
+            }
+        }
+
+        if (input.format && !WebhookFormatter.isValidFormat(input.format)) {
+            return { success: false, error: `Unknown webhook format: ${input.format}` };
+        }
+
+        try {
+            return { success: true, subscription: this.subscriptionStore.save(input, subscriptionId) };
+        } catch (error: any) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a persistent subscription
+     * @returns The removed subscription, or null if not found
+     */
+    removeSubscription(subscriptionId: string): WebhookSubscription | null {
+        return this.subscriptionStore.remove(subscriptionId);
+    }
+
+    /**
+     * Persistent subscriptions, optionally only those that apply to a project
+     */
+    listSubscriptions(project?: string): WebhookSubscription[] {
+        return this.subscriptionStore.list(project);
+    }
+
+    /**
+     * Re-send historical events to a webhook URL
+     * Events are marked metadata.replayed so receivers can tell them from live ones
+     * @param webhookUrl - Webhook URL
+     * @param events - Events to send, in delivery order
+     * @param options - Webhook options
+     * @returns { success, queued, failed, error? }
+     */
+    replay(webhookUrl: string, events: DXPEvent[], options: RegisterOptions = {}): RegisterResult & { queued: number; failed: number } {
+        const validation = WebhookValidator.validateUrl(webhookUrl, {
+            allowHttp: process.env.NODE_ENV === 'development',
+            allowLocalhost: process.env.NODE_ENV === 'development'
+        });
+        if (!validation.valid) {
+            return { success: false, error: validation.error, queued: 0, failed: 0 };
+        }
+
+        if (options.headers) {
+            const headersValidation = WebhookValidator.validateHeaders(options.headers);
+            if (!headersValidation.valid) {
+                return { success: false, error: headersValidation.error, queued: 0, failed: 0 };
+            }
+        }
+
+        if (options.format && !WebhookFormatter.isValidFormat(options.format)) {
+            return { success: false, error: `Unknown webhook format: ${options.format}`, queued: 0, failed: 0 };
+        }
+
+        let queued = 0;
+        let failed = 0;
+        for (const event of events) {
+            const replayedEvent: DXPEvent = {
+                ...event,
+                metadata: { ...event.metadata, replayed: true }
+            };
+            const webhookId = this.queue.enqueue(webhookUrl, replayedEvent, {
+                headers: options.headers || {},
+                format: options.format
+            });
+            if (webhookId) {
+                queued++;
+            } else {
+                failed++;
+            }
+        }
+
+        this.stats.deliveries += queued;
+        this.stats.errors += failed;
+        if (failed > 0) {
+            WebhookLogger.logError('replay', webhookUrl, `Failed to queue ${failed} replayed event(s) (queue full?)`);
+        }
+
+        return { success: true, queued, failed };
+    }
+
     /**
      * Get webhook statistics
      * @returns Statistics
@@ -249,6 +487,7 @@ class WebhookManager {
         return {
             ...this.stats,
             activeWebhooks: this.webhooks.size,
+            subscriptions: this.subscriptionStore.list().length,
             queueStats: this.queue.getStats(),
             deliveryStats: WebhookLogger.getStats()
         };
@@ -266,7 +505,8 @@ class WebhookManager {
                 url: WebhookLogger.sanitizeUrl(config.url),
                 project: config.project,
                 environment: config.environment,
-                registeredAt: config.registeredAt
+                registeredAt: config.registeredAt,
+                format: config.format
             });
         }
         return active;
@@ -277,10 +517,12 @@ class WebhookManager {
      */
     clear(): void {
         this.webhooks.clear();
+        this.operationContexts.clear();
         this.queue.clear();
         this.stats = {
             registrations: 0,
             deliveries: 0,
+            subscriptionDeliveries: 0,
             errors: 0
         };
     }
@@ -1,12 +1,16 @@
 /**
  * Webhook Queue
  * Retry queue for webhook deliveries
+ * Deliveries that exhaust their retries are kept as dead letters in the delivery log for redelivery
  * Part of Jaxon Digital Optimizely DXP MCP Server - DXP-136 Phase 2
  */
 
 import WebhookSender from './webhook-sender';
 import WebhookLogger from './webhook-logger';
 import { SendResult } from './webhook-sender';
+import { getGlobalWebhookSecretStore } from './webhook-secrets';
+import { getGlobalWebhookDeliveryLog, DeliveryRecord, DeliveryStatus } from './webhook-delivery-log';
+import { WebhookFormat } from './webhook-formatter';
 
 /**
  * Queue options
@@ -42,6 +46,8 @@ export interface QueuedWebhook {
     lastAttempt: number | null;
     nextRetry: number;
     errors: QueueError[];
+    redeliveryOf: string | null;
+    format: WebhookFormat;
 }
 
 /**
@@ -52,6 +58,7 @@ export interface QueueStats {
     sent: number;
     failed: number;
     retrying: number;
+    deadLettered: number;
     queueSize: number;
     activeDeliveries: number;
     queuesCount: number;
@@ -63,6 +70,19 @@ export interface QueueStats {
 export interface EnqueueOptions {
     webhookId?: string;
     headers?: Record<string, string>;
+    // Delivery this one re-sends
+    redeliveryOf?: string;
+    // Payload format (default: flat JSON)
+    format?: WebhookFormat;
+}
+
+/**
+ * Redelivery result
+ */
+export interface RedeliveryResult {
+    success: boolean;
+    deliveryId?: string;
+    error?: string;
 }
 
 /**
@@ -78,6 +98,7 @@ class WebhookQueue {
         sent: number;
         failed: number;
         retrying: number;
+        deadLettered: number;
     };
 
     constructor(options: QueueOptions = {}) {
@@ -99,7 +120,8 @@ class WebhookQueue {
             queued: 0,
             sent: 0,
             failed: 0,
-            retrying: 0
+            retrying: 0,
+            deadLettered: 0
         };
     }
 
@@ -113,16 +135,6 @@ class WebhookQueue {
     enqueue(url: string, payload: any, options: EnqueueOptions = {}): string | null {
         const webhookId = options.webhookId || `webhook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-        // Check queue size
-        if (this.getTotalQueueSize() >= this.options.maxQueueSize) {
-            WebhookLogger.logError(webhookId, url, 'Queue full', {
-                currentSize: this.getTotalQueueSize(),
-                maxSize: this.options.maxQueueSize
-            });
-            this.stats.failed++;
-            return null;
-        }
-
         // Create queued webhook
         const queuedWebhook: QueuedWebhook = {
             id: webhookId,
@@ -134,9 +146,27 @@ class WebhookQueue {
             queuedAt: Date.now(),
             lastAttempt: null,
             nextRetry: Date.now(), // Immediate first attempt
-            errors: []
+            errors: [],
+            redeliveryOf: options.redeliveryOf || null,
+            format: options.format || 'json'
         };
 
+        // Check queue size
+        if (this.getTotalQueueSize() >= this.options.maxQueueSize) {
+            WebhookLogger.logError(webhookId, url, 'Queue full', {
+                currentSize: this.getTotalQueueSize(),
+                maxSize: this.options.maxQueueSize
+            });
+            this.stats.failed++;
+            // A redelivery that cannot be queued leaves its original dead letter pending; redeliver() reports it
+            if (!queuedWebhook.redeliveryOf) {
+                this.deadLetter(queuedWebhook, 'Queue full');
+            }
+            return null;
+        }
+
+        this.recordDelivery(queuedWebhook, 'pending');
+
         // Get or create queue for this URL
         if (!this.queues.has(url)) {
             this.queues.set(url, []);
@@ -186,13 +216,18 @@ class WebhookQueue {
         }
 
         try {
+            // Secrets are looked up per attempt so a rotation applies to retries too
+            const secrets = getGlobalWebhookSecretStore().getActiveSecrets(queuedWebhook.url);
+
             // Send webhook
             const result: SendResult = await WebhookSender.send(
                 queuedWebhook.url,
                 queuedWebhook.payload,
                 {
                     headers: queuedWebhook.headers,
-                    webhookId: queuedWebhook.id
+                    webhookId: queuedWebhook.id,
+                    secrets,
+                    format: queuedWebhook.format
                 }
             );
 
@@ -200,6 +235,7 @@ class WebhookQueue {
                 // Success - remove from queue
                 this.removeFromQueue(queuedWebhook);
                 this.stats.sent++;
+                this.recordDelivery(queuedWebhook, 'delivered', { result, signed: secrets.length > 0 });
 
                 WebhookLogger.logSuccess(queuedWebhook.id, queuedWebhook.url, {
                     attempts: queuedWebhook.attempts,
@@ -224,6 +260,7 @@ class WebhookQueue {
                     const retryDelay = this.getRetryDelay(queuedWebhook.attempts);
                     queuedWebhook.nextRetry = Date.now() + retryDelay;
                     this.stats.retrying++;
+                    this.recordDelivery(queuedWebhook, 'retrying', { result, signed: secrets.length > 0 });
 
                     WebhookLogger.logRetry(queuedWebhook.id, queuedWebhook.url, queuedWebhook.attempts, retryDelay, result.error || 'Unknown error');
 
@@ -234,9 +271,10 @@ class WebhookQueue {
                     // Schedule next retry
                     this.scheduleDelivery(queuedWebhook);
                 } else {
-                    // Max retries reached or not retryable - remove from queue
+                    // Max retries reached or not retryable - move to dead letters
                     this.removeFromQueue(queuedWebhook);
                     this.stats.failed++;
+                    this.deadLetter(queuedWebhook, result.error || 'Unknown error', { result, signed: secrets.length > 0 });
 
                     WebhookLogger.logFailure(queuedWebhook.id, queuedWebhook.url, {
                         attempts: queuedWebhook.attempts,
@@ -253,6 +291,7 @@ class WebhookQueue {
             // Unexpected error
             this.removeFromQueue(queuedWebhook);
             this.stats.failed++;
+            this.deadLetter(queuedWebhook, error.message);
 
             WebhookLogger.logError(queuedWebhook.id, queuedWebhook.url, error.message);
 
@@ -264,6 +303,105 @@ class WebhookQueue {
         }
     }
 
+    /**
+     * Queue a stored delivery again (same URL, payload and headers; signed with the current secrets)
+     * @param deliveryId - Delivery ID from the delivery log
+     */
+    redeliver(deliveryId: string): RedeliveryResult {
+        const deliveryLog = getGlobalWebhookDeliveryLog();
+        const original = deliveryLog.get(deliveryId);
+        if (!original) {
+            return { success: false, error: `Delivery not found: ${deliveryId}` };
+        }
+        if (original.status === 'pending' || original.status === 'retrying') {
+            return { success: false, error: `Delivery ${deliveryId} is still in progress` };
+        }
+
+        const newId = this.enqueue(original.url, original.payload, {
+            headers: original.headers,
+            redeliveryOf: deliveryId,
+            format: original.format
+        });
+        if (!newId) {
+            return { success: false, error: 'Failed to queue redelivery (queue full?)' };
+        }
+
+        deliveryLog.record({ ...original, redeliveredAs: newId });
+        return { success: true, deliveryId: newId };
+    }
+
+    /**
+     * Redeliver dead letters, oldest first
+     * @param options - url: only this webhook (substring match), limit: max redeliveries
+     */
+    redeliverDeadLetters(options: { url?: string; limit?: number } = {}): { queued: string[]; failed: Array<{ deliveryId: string; error: string }> } {
+        const { deliveries } = getGlobalWebhookDeliveryLog().list({
+            pendingDeadLetters: true,
+            url: options.url,
+            limit: options.limit || 100
+        });
+
+        const queued: string[] = [];
+        const failed: Array<{ deliveryId: string; error: string }> = [];
+        for (const delivery of deliveries.reverse()) {
+            const result = this.redeliver(delivery.id);
+            if (result.success) {
+                queued.push(result.deliveryId!);
+            } else {
+                failed.push({ deliveryId: delivery.id, error: result.error || 'Unknown error' });
+            }
+        }
+        return { queued, failed };
+    }
+
+    /**
+     * Dead letters that have not been redelivered, newest first
+     */
+    getDeadLetters(limit: number = 50): DeliveryRecord[] {
+        return getGlobalWebhookDeliveryLog().list({ pendingDeadLetters: true, limit }).deliveries;
+    }
+
+    /**
+     * Move a delivery to the dead letters
+     * @private
+     */
+    private deadLetter(queuedWebhook: QueuedWebhook, error: string, details: { result?: SendResult; signed?: boolean } = {}): void {
+        this.stats.deadLettered++;
+        this.recordDelivery(queuedWebhook, 'dead_letter', { ...details, error });
+    }
+
+    /**
+     * Save the delivery's current state to the delivery log
+     * @private
+     */
+    private recordDelivery(queuedWebhook: QueuedWebhook, status: DeliveryStatus, details: { result?: SendResult; signed?: boolean; error?: string } = {}): void {
+        const { result } = details;
+        const finished = status === 'delivered' || status === 'dead_letter';
+        const previous = getGlobalWebhookDeliveryLog().get(queuedWebhook.id);
+
+        getGlobalWebhookDeliveryLog().record({
+            id: queuedWebhook.id,
+            url: queuedWebhook.url,
+            eventType: queuedWebhook.payload?.eventType || 'unknown',
+            operationId: queuedWebhook.payload?.operationId || null,
+            status,
+            attempts: queuedWebhook.attempts,
+            signed: details.signed ?? previous?.signed ?? false,
+            queuedAt: new Date(queuedWebhook.queuedAt).toISOString(),
+            lastAttemptAt: queuedWebhook.lastAttempt ? new Date(queuedWebhook.lastAttempt).toISOString() : null,
+            completedAt: finished ? new Date().toISOString() : null,
+            statusCode: result?.statusCode ?? null,
+            responseTime: result?.responseTime ?? null,
+            error: status === 'delivered' ? null : (details.error || result?.error || null),
+            errors: queuedWebhook.errors,
+            redeliveryOf: queuedWebhook.redeliveryOf,
+            redeliveredAs: null,
+            payload: queuedWebhook.payload,
+            headers: queuedWebhook.headers,
+            format: queuedWebhook.format
+        });
+    }
+
     /**
      * Get retry delay for attempt number
      * @param attemptNumber - Current attempt number
@@ -332,7 +470,8 @@ class WebhookQueue {
             queued: 0,
             sent: 0,
             failed: 0,
-            retrying: 0
+            retrying: 0,
+            deadLettered: 0
         };
     }
 }
@@ -0,0 +1,232 @@
+/**
+ * Webhook Secret Store
+ * Persists per-webhook signing secrets and handles rotation with an overlap period
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import crypto from 'crypto';
+import { URL } from 'url';
+
+/**
+ * One signing secret
+ */
+export interface WebhookSecret {
+    id: string;
+    secret: string;
+    createdAt: string;
+    // Set when a newer secret replaced this one; the secret still signs until then
+    expiresAt: string | null;
+}
+
+/**
+ * Secrets file layout
+ */
+interface SecretsFile {
+    version: number;
+    webhooks: Record<string, WebhookSecret[]>;
+}
+
+/**
+ * Rotation result
+ */
+export interface RotationResult {
+    webhook: string;
+    secret: WebhookSecret;
+    // Previous secrets still signing during the overlap
+    overlapping: Array<{ id: string; expiresAt: string | null }>;
+}
+
+/**
+ * Secret summary without the secret value
+ */
+export interface SecretInfo {
+    webhook: string;
+    secrets: Array<{ id: string; createdAt: string; expiresAt: string | null }>;
+}
+
+/**
+ * Webhook Secret Store Class
+ * Secrets are keyed by webhook URL without its query string, so tokens in the query do not
+ * create separate keys. The file is written with owner-only permissions.
+ */
+class WebhookSecretStore {
+    private file: string;
+    private webhooks: Map<string, WebhookSecret[]>;
+    private loadedMtimeMs: number | null;
+
+    constructor(file?: string) {
+        this.file = file || process.env.DXP_WEBHOOK_SECRETS_FILE ||
+            path.join(os.homedir(), '.optimizely-dxp', 'webhook-secrets.json');
+        this.webhooks = new Map();
+        this.loadedMtimeMs = null;
+    }
+
+    /**
+     * Path of the secrets file
+     */
+    getPath(): string {
+        return this.file;
+    }
+
+    /**
+     * Store key for a webhook URL
+     */
+    static keyFor(webhookUrl: string): string {
+        try {
+            const parsed = new URL(webhookUrl);
+            return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname}`;
+        } catch {
+            return webhookUrl;
+        }
+    }
+
+    /**
+     * Secrets that currently sign requests to a URL, newest first
+     * @returns Empty array when the webhook has no secret (requests go unsigned)
+     * @throws Error with code INVALID_SECRETS_FILE when the secrets file cannot be read
+     */
+    getActiveSecrets(webhookUrl: string): string[] {
+        this.load();
+        const now = Date.now();
+        return (this.webhooks.get(WebhookSecretStore.keyFor(webhookUrl)) || [])
+            .filter(secret => !secret.expiresAt || new Date(secret.expiresAt).getTime() > now)
+            .map(secret => secret.secret);
+    }
+
+    /**
+     * Create a new secret for a webhook; earlier secrets keep signing for the overlap period
+     * @param webhookUrl - Webhook URL
+     * @param overlapHours - How long previous secrets stay valid (0 = stop immediately)
+     * @param secret - Use this value instead of generating one
+     */
+    rotate(webhookUrl: string, overlapHours: number = 24, secret?: string): RotationResult {
+        if (secret !== undefined && secret.length < 16) {
+            throw Object.assign(new Error('Webhook secrets must be at least 16 characters'), { code: 'INVALID_SECRET' });
+        }
+
+        this.load();
+        const key = WebhookSecretStore.keyFor(webhookUrl);
+        const now = Date.now();
+        const overlapEnd = new Date(now + Math.max(0, overlapHours) * 60 * 60 * 1000).toISOString();
+
+        // Expired secrets are dropped; the rest stop at the end of the overlap
+        const previous = overlapHours <= 0 ? [] : (this.webhooks.get(key) || [])
+            .filter(existing => !existing.expiresAt || new Date(existing.expiresAt).getTime() > now)
+            .map(existing => ({
+                ...existing,
+                expiresAt: existing.expiresAt && existing.expiresAt < overlapEnd ? existing.expiresAt : overlapEnd
+            }));
+
+        const created: WebhookSecret = {
+            id: `whk_${crypto.randomBytes(4).toString('hex')}`,
+            secret: secret || `whsec_${crypto.randomBytes(32).toString('base64url')}`,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: null
+        };
+
+        this.webhooks.set(key, [created, ...previous]);
+        this.save();
+
+        return {
+            webhook: key,
+            secret: created,
+            overlapping: previous.map(p => ({ id: p.id, expiresAt: p.expiresAt }))
+        };
+    }
+
+    /**
+     * Remove all secrets for a webhook (requests go unsigned)
+     * @returns True if the webhook had secrets
+     */
+    remove(webhookUrl: string): boolean {
+        this.load();
+        const removed = this.webhooks.delete(WebhookSecretStore.keyFor(webhookUrl));
+        if (removed) {
+            this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * Webhooks with secrets, without secret values
+     */
+    list(): SecretInfo[] {
+        this.load();
+        return Array.from(this.webhooks.entries()).map(([webhook, secrets]) => ({
+            webhook,
+            secrets: secrets.map(({ id, createdAt, expiresAt }) => ({ id, createdAt, expiresAt }))
+        }));
+    }
+
+    /**
+     * Load the file, re-reading it when it changes on disk
+     * A file that cannot be read is never treated as empty: that would send unsigned requests
+     * and the next save would overwrite every stored secret.
+     * @throws Error with code INVALID_SECRETS_FILE when the file exists but cannot be read or parsed
+     * @private
+     */
+    private load(): void {
+        try {
+            const stats = fs.statSync(this.file);
+            if (this.loadedMtimeMs === stats.mtimeMs) {
+                return;
+            }
+            const content = JSON.parse(fs.readFileSync(this.file, 'utf-8')) as SecretsFile;
+            if (!content || typeof content !== 'object' || Array.isArray(content)) {
+                throw new Error('expected a JSON object');
+            }
+            this.webhooks = new Map(Object.entries(content.webhooks || {}));
+            this.loadedMtimeMs = stats.mtimeMs;
+        } catch (error: any) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            this.loadedMtimeMs = null;
+            throw Object.assign(new Error(`Failed to read webhook secrets from ${this.file}: ${error.message}`), { code: 'INVALID_SECRETS_FILE' });
+        }
+    }
+
+    /**
+     * Persist secrets (owner read/write only)
+     * @private
+     */
+    private save(): void {
+        const content: SecretsFile = {
+            version: 1,
+            webhooks: Object.fromEntries(this.webhooks)
+        };
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        // Write then rename so a crash mid-write never loses the secrets
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(content, null, 2), { encoding: 'utf-8', mode: 0o600 });
+        fs.renameSync(tempFile, this.file);
+        this.loadedMtimeMs = fs.statSync(this.file).mtimeMs;
+    }
+}
+
+// Singleton instance
+let globalStore: WebhookSecretStore | null = null;
+
+/**
+ * Get the global webhook secret store
+ * @returns Global store
+ */
+export function getGlobalWebhookSecretStore(): WebhookSecretStore {
+    if (!globalStore) {
+        globalStore = new WebhookSecretStore();
+    }
+    return globalStore;
+}
+
+/**
+ * Reset the global store (for testing)
+ */
+export function resetGlobalWebhookSecretStore(): void {
+    globalStore = null;
+}
+
+export { WebhookSecretStore };
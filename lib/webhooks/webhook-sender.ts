@@ -8,7 +8,8 @@ import https from 'https';
 import http from 'http';
 import { URL } from 'url';
 import crypto from 'crypto';
-import WebhookTransformer from './webhook-transformer';
+import WebhookFormatter, { WebhookFormat } from './webhook-formatter';
+import WebhookSigner from './webhook-signer';
 
 /**
  * Send options
@@ -17,6 +18,10 @@ export interface SendOptions {
     headers?: Record<string, string>;
     timeout?: number;
     webhookId?: string;
+    // Signing secrets, newest first (no signature headers when empty)
+    secrets?: string[];
+    // Payload format (default: flat JSON)
+    format?: WebhookFormat;
 }
 
 /**
@@ -56,7 +61,9 @@ class WebhookSender {
         const {
             headers = {},
             timeout = 10000, // 10 second timeout
-            webhookId = crypto.randomUUID()
+            webhookId = crypto.randomUUID(),
+            secrets = [],
+            format = 'json'
         } = options;
 
         return new Promise((resolve) => {
@@ -65,21 +72,25 @@ class WebhookSender {
                 const isHttps = parsedUrl.protocol === 'https:';
                 const httpModule = isHttps ? https : http;
 
-                // Transform payload to flat format (industry-standard)
-                const transformedPayload = WebhookTransformer.transform(payload);
+                // Render payload in the webhook's format (flat JSON by default)
+                const formatted = WebhookFormatter.format(payload, format);
 
                 // Prepare payload
-                const payloadStr = JSON.stringify(transformedPayload);
+                const payloadStr = JSON.stringify(formatted.body);
 
                 // Prepare headers
                 const requestHeaders: Record<string, string | number> = {
-                    'Content-Type': 'application/json',
+                    'Content-Type': formatted.contentType,
                     'Content-Length': Buffer.byteLength(payloadStr),
                     'User-Agent': 'Jaxon-DXP-MCP-Webhook/1.0',
-                    'X-Webhook-Event': transformedPayload.eventType || 'unknown',
+                    'X-Webhook-Event': formatted.eventType || 'unknown',
                     'X-Webhook-ID': webhookId,
                     'X-Webhook-Timestamp': new Date().toISOString(),
-                    ...headers // Custom headers last (can override defaults except reserved ones)
+                    ...headers, // Custom headers last (can override defaults except reserved ones)
+                    // CloudEvents binary mode attributes describe the body and cannot be overridden
+                    ...formatted.headers,
+                    // Signature is computed over the exact body and cannot be overridden
+                    ...(secrets.length > 0 ? WebhookSigner.sign(payloadStr, secrets) : {})
                 };
 
                 // Prepare request options
@@ -0,0 +1,76 @@
+/**
+ * Webhook Signer
+ * HMAC-SHA256 request signing so receivers can verify a webhook came from this server
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Signature headers
+ */
+export const SIGNATURE_HEADER = 'X-Signature';
+export const SIGNATURE_TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+
+/**
+ * Computed signature headers
+ */
+export interface SignatureHeaders {
+    [SIGNATURE_HEADER]: string;
+    [SIGNATURE_TIMESTAMP_HEADER]: string;
+}
+
+/**
+ * Webhook Signer Class
+ * Signs "<timestamp>.<body>" with each active secret (Stripe/GitHub style).
+ * During a rotation overlap the header carries one v1= signature per secret,
+ * so receivers holding either the old or the new secret can verify.
+ */
+class WebhookSigner {
+    /**
+     * Build signature headers for a request body
+     * @param body - Exact request body that will be sent
+     * @param secrets - Active secrets, newest first
+     * @param timestamp - Unix time in seconds (default: now)
+     */
+    static sign(body: string, secrets: string[], timestamp: number = Math.floor(Date.now() / 1000)): SignatureHeaders {
+        const signatures = secrets.map(secret => `v1=${this.computeSignature(body, secret, timestamp)}`);
+        return {
+            [SIGNATURE_HEADER]: signatures.join(','),
+            [SIGNATURE_TIMESTAMP_HEADER]: String(timestamp)
+        };
+    }
+
+    /**
+     * Verify a received request (reference implementation for receivers)
+     * @param body - Raw request body
+     * @param signatureHeader - X-Signature header value
+     * @param timestampHeader - X-Signature-Timestamp header value
+     * @param secret - Receiver's secret
+     * @param toleranceSeconds - Maximum age of the timestamp (default: 300)
+     */
+    static verify(body: string, signatureHeader: string, timestampHeader: string, secret: string, toleranceSeconds: number = 300): boolean {
+        const timestamp = parseInt(timestampHeader, 10);
+        if (isNaN(timestamp) || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.computeSignature(body, secret, timestamp), 'hex');
+        return signatureHeader.split(',')
+            .map(part => part.trim())
+            .filter(part => part.startsWith('v1='))
+            .some(part => {
+                const candidate = Buffer.from(part.substring(3), 'hex');
+                return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+            });
+    }
+
+    /**
+     * @private
+     */
+    static computeSignature(body: string, secret: string, timestamp: number): string {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+}
+
+export default WebhookSigner;
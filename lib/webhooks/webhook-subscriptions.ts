@@ -0,0 +1,266 @@
+/**
+ * Webhook Subscription Store
+ * Persistent webhook subscriptions scoped to a project and/or environment with event-type patterns
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import crypto from 'crypto';
+import OutputLogger from '../output-logger';
+import { WebhookFormat } from './webhook-formatter';
+
+/**
+ * Webhook subscription
+ */
+export interface WebhookSubscription {
+    id: string;
+    url: string;
+    headers: Record<string, string>;
+    // Event type patterns, e.g. "deployment.*", "*.failed" or "*"
+    events: string[];
+    // null = any project / any environment
+    project: string | null;
+    environment: string | null;
+    description: string | null;
+    // Payload format; missing in subscriptions saved before formats existed (flat JSON)
+    format?: WebhookFormat;
+    createdAt: string;
+    updatedAt: string;
+}
+
+/**
+ * Fields accepted when adding or updating a subscription
+ */
+export interface SubscriptionInput {
+    url: string;
+    headers?: Record<string, string>;
+    events?: string[];
+    project?: string | null;
+    environment?: string | null;
+    description?: string | null;
+    format?: WebhookFormat;
+}
+
+/**
+ * Operation context used to match a subscription's scope
+ */
+export interface OperationContext {
+    project?: string | null;
+    environment?: string | null;
+}
+
+/**
+ * Subscriptions file layout
+ */
+interface SubscriptionsFile {
+    version: number;
+    subscriptions: WebhookSubscription[];
+}
+
+const EVENT_PATTERN = /^[A-Za-z*?]+(\.[A-Za-z*?]+)*$/;
+
+/**
+ * Webhook Subscription Store Class
+ * Kept in ~/.optimizely-dxp/webhook-subscriptions.json (owner-only, headers may hold tokens)
+ * and re-read when the file changes on disk.
+ */
+class WebhookSubscriptionStore {
+    private file: string;
+    private subscriptions: WebhookSubscription[];
+    private compiled: Map<string, RegExp>;
+    private loadedMtimeMs: number | null;
+
+    constructor(file?: string) {
+        this.file = file || process.env.DXP_WEBHOOK_SUBSCRIPTIONS_FILE ||
+            path.join(os.homedir(), '.optimizely-dxp', 'webhook-subscriptions.json');
+        this.subscriptions = [];
+        this.compiled = new Map();
+        this.loadedMtimeMs = null;
+    }
+
+    /**
+     * Path of the subscriptions file
+     */
+    getPath(): string {
+        return this.file;
+    }
+
+    /**
+     * Check event patterns
+     * @throws Error with code INVALID_PATTERN
+     */
+    static validatePatterns(events: string[]): void {
+        if (events.length === 0) {
+            throw Object.assign(new Error('At least one event pattern is required'), { code: 'INVALID_PATTERN' });
+        }
+        for (const pattern of events) {
+            if (pattern !== '*' && !EVENT_PATTERN.test(pattern)) {
+                throw Object.assign(new Error(`Invalid event pattern "${pattern}". Use event types with * and ? wildcards, e.g. "deployment.*" or "*.failed"`), { code: 'INVALID_PATTERN' });
+            }
+        }
+    }
+
+    /**
+     * Add a subscription, or replace the fields of an existing one
+     * @param input - Subscription fields
+     * @param subscriptionId - Existing subscription to update
+     * @throws Error with code INVALID_PATTERN or NOT_FOUND
+     */
+    save(input: SubscriptionInput, subscriptionId?: string): WebhookSubscription {
+        const events = input.events && input.events.length > 0 ? input.events : ['*'];
+        WebhookSubscriptionStore.validatePatterns(events);
+
+        this.load();
+        const now = new Date().toISOString();
+        const existing = subscriptionId ? this.subscriptions.find(s => s.id === subscriptionId) : undefined;
+        if (subscriptionId && !existing) {
+            throw Object.assign(new Error(`Subscription not found: ${subscriptionId}`), { code: 'NOT_FOUND' });
+        }
+
+        const subscription: WebhookSubscription = {
+            id: existing ? existing.id : `sub-${crypto.randomBytes(4).toString('hex')}`,
+            url: input.url,
+            headers: input.headers || {},
+            events,
+            project: input.project || null,
+            environment: input.environment || null,
+            description: input.description || null,
+            format: input.format || 'json',
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        this.subscriptions = existing
+            ? this.subscriptions.map(s => (s.id === subscription.id ? subscription : s))
+            : [...this.subscriptions, subscription];
+        this.persist();
+        return subscription;
+    }
+
+    /**
+     * Remove a subscription
+     * @returns The removed subscription, or null if not found
+     */
+    remove(subscriptionId: string): WebhookSubscription | null {
+        this.load();
+        const subscription = this.subscriptions.find(s => s.id === subscriptionId);
+        if (!subscription) {
+            return null;
+        }
+        this.subscriptions = this.subscriptions.filter(s => s.id !== subscriptionId);
+        this.persist();
+        return subscription;
+    }
+
+    /**
+     * All subscriptions, optionally only those that apply to a project
+     */
+    list(project?: string): WebhookSubscription[] {
+        this.load();
+        if (!project) {
+            return [...this.subscriptions];
+        }
+        return this.subscriptions.filter(s => !s.project || this.sameName(s.project, project));
+    }
+
+    /**
+     * Subscriptions that want an event
+     * @param eventType - Event type
+     * @param context - Project and environment of the event's operation
+     */
+    match(eventType: string, context: OperationContext): WebhookSubscription[] {
+        this.load();
+        return this.subscriptions.filter(subscription => {
+            if (subscription.project && !this.sameName(subscription.project, context.project)) return false;
+            if (subscription.environment && !this.sameName(subscription.environment, context.environment)) return false;
+            return subscription.events.some(pattern => this.patternRegex(pattern).test(eventType));
+        });
+    }
+
+    /**
+     * @private
+     */
+    private sameName(expected: string, actual: string | null | undefined): boolean {
+        return !!actual && expected.toLowerCase() === actual.toLowerCase();
+    }
+
+    /**
+     * Glob to regex: * matches any run of characters (including dots), ? one character
+     * @private
+     */
+    private patternRegex(pattern: string): RegExp {
+        let regex = this.compiled.get(pattern);
+        if (!regex) {
+            const body = pattern
+                .split('')
+                .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+                .join('');
+            regex = new RegExp(`^${body}$`, 'i');
+            this.compiled.set(pattern, regex);
+        }
+        return regex;
+    }
+
+    /**
+     * Load the file, re-reading it when it changes on disk
+     * @private
+     */
+    private load(): void {
+        try {
+            const stats = fs.statSync(this.file);
+            if (this.loadedMtimeMs === stats.mtimeMs) {
+                return;
+            }
+            const content = JSON.parse(fs.readFileSync(this.file, 'utf-8')) as SubscriptionsFile;
+            this.subscriptions = Array.isArray(content.subscriptions) ? content.subscriptions : [];
+            this.loadedMtimeMs = stats.mtimeMs;
+        } catch (error: any) {
+            if (error.code !== 'ENOENT') {
+                OutputLogger.error(`Failed to read webhook subscriptions from ${this.file}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Save subscriptions (owner read/write only)
+     * @private
+     */
+    private persist(): void {
+        const content: SubscriptionsFile = {
+            version: 1,
+            subscriptions: this.subscriptions
+        };
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        // Write then rename so a crash mid-write never leaves a truncated file
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(content, null, 2), { encoding: 'utf-8', mode: 0o600 });
+        fs.renameSync(tempFile, this.file);
+        this.loadedMtimeMs = fs.statSync(this.file).mtimeMs;
+    }
+}
+
+// Singleton instance
+let globalStore: WebhookSubscriptionStore | null = null;
+
+/**
+ * Get the global webhook subscription store
+ * @returns Global store
+ */
+export function getGlobalWebhookSubscriptionStore(): WebhookSubscriptionStore {
+    if (!globalStore) {
+        globalStore = new WebhookSubscriptionStore();
+    }
+    return globalStore;
+}
+
+/**
+ * Reset the global store (for testing)
+ */
+export function resetGlobalWebhookSubscriptionStore(): void {
+    globalStore = null;
+}
+
+export { WebhookSubscriptionStore };
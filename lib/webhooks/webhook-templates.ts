@@ -0,0 +1,209 @@
+/**
+ * Webhook Message Templates
+ * Wording for Slack and Teams messages, overridable from a JSON file without code changes
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import OutputLogger from '../output-logger';
+
+/**
+ * Message template
+ * Placeholders: {{field}} or {{field|fallback}}, where field is any flat payload field
+ * (project, environment, sourceEnvironment, status, progress, error, databaseName, size, ...)
+ */
+export interface MessageTemplate {
+    title: string;
+    text?: string;
+}
+
+/**
+ * Templates file layout
+ * Keys are event types or patterns ("deployment.failed", "deployment.*", "*")
+ */
+interface TemplatesFile {
+    version?: number;
+    templates: Record<string, Partial<MessageTemplate>>;
+}
+
+/**
+ * Built-in templates
+ */
+const DEFAULT_TEMPLATES: Record<string, MessageTemplate> = {
+    'deployment.started': {
+        title: '🚀 Deployment started on {{environment|unknown environment}}',
+        text: '{{project|Project}}: {{sourceEnvironment|package}} → {{environment|unknown environment}}'
+    },
+    'deployment.inProgress': {
+        title: '⏳ Deployment in progress on {{environment|unknown environment}}',
+        text: 'Progress: {{progress|0}}%'
+    },
+    'deployment.awaitingVerification': {
+        title: '🔍 Deployment awaiting verification on {{environment|unknown environment}}',
+        text: 'Check the verification slot, then complete or reset the deployment.'
+    },
+    'deployment.completing': {
+        title: '⏳ Deployment completing on {{environment|unknown environment}}'
+    },
+    'deployment.succeeded': {
+        title: '✅ Deployment succeeded on {{environment|unknown environment}}',
+        text: '{{project|Project}} is live on {{environment|the target environment}}.'
+    },
+    'deployment.failed': {
+        title: '❌ Deployment failed on {{environment|unknown environment}}',
+        text: '{{project|Project}} could not be deployed.'
+    },
+    'deployment.reset': {
+        title: '↩️ Deployment reset on {{environment|unknown environment}}'
+    },
+    'export.started': {
+        title: '📦 Database export started on {{environment|unknown environment}}',
+        text: '{{databaseName|Database}} from {{project|project}}'
+    },
+    'export.succeeded': {
+        title: '📦 Database export ready ({{size|size unknown}})',
+        text: '{{databaseName|Database}} from {{environment|unknown environment}} can be downloaded.'
+    },
+    'export.failed': {
+        title: '❌ Database export failed on {{environment|unknown environment}}',
+        text: '{{databaseName|Database}} could not be exported.'
+    },
+    'alert.triggered': {
+        title: '🚨 {{alertRule|Alert}} triggered on {{environment|unknown environment}}',
+        text: '{{alertMessage}}'
+    },
+    'alert.resolved': {
+        title: '✅ {{alertRule|Alert}} resolved on {{environment|unknown environment}}',
+        text: '{{alertMessage}}'
+    },
+    '*': {
+        title: '{{eventLabel}}',
+        text: '{{message}}'
+    }
+};
+
+/**
+ * Webhook Template Store Class
+ * Looks templates up in ~/.optimizely-dxp/webhook-templates.json first, then in the built-in set.
+ * The most specific key wins: an exact event type, then the pattern with the most literal characters.
+ * The file is re-read when it changes on disk.
+ */
+class WebhookTemplateStore {
+    private file: string;
+    private custom: Record<string, Partial<MessageTemplate>>;
+    private loadedMtimeMs: number | null;
+
+    constructor(file?: string) {
+        this.file = file || process.env.DXP_WEBHOOK_TEMPLATES_FILE ||
+            path.join(os.homedir(), '.optimizely-dxp', 'webhook-templates.json');
+        this.custom = {};
+        this.loadedMtimeMs = null;
+    }
+
+    /**
+     * Path of the templates file
+     */
+    getPath(): string {
+        return this.file;
+    }
+
+    /**
+     * Template for an event type
+     * Custom title and text are taken separately, so a file may override only one of them.
+     */
+    resolve(eventType: string): MessageTemplate {
+        this.load();
+        const custom = this.bestMatch(this.custom, eventType) || {};
+        const builtIn = this.bestMatch(DEFAULT_TEMPLATES, eventType) || DEFAULT_TEMPLATES['*'];
+        return {
+            title: custom.title || builtIn.title,
+            text: custom.text !== undefined ? custom.text : builtIn.text
+        };
+    }
+
+    /**
+     * Fill in {{field}} and {{field|fallback}} placeholders
+     * Missing fields without a fallback render as an empty string.
+     */
+    static render(template: string, fields: Record<string, any>): string {
+        return template.replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (_match, name: string, fallback?: string) => {
+            const value = fields[name];
+            if (value === undefined || value === null || value === '' || typeof value === 'object') {
+                return fallback !== undefined ? fallback : '';
+            }
+            return String(value);
+        }).trim();
+    }
+
+    /**
+     * @private
+     */
+    private bestMatch<T>(templates: Record<string, T>, eventType: string): T | null {
+        if (templates[eventType]) {
+            return templates[eventType];
+        }
+
+        let best: { key: string; literals: number } | null = null;
+        for (const key of Object.keys(templates)) {
+            if (!key.includes('*') || !this.patternMatches(key, eventType)) continue;
+            const literals = key.replace(/\*/g, '').length;
+            if (!best || literals > best.literals) {
+                best = { key, literals };
+            }
+        }
+        return best ? templates[best.key] : null;
+    }
+
+    /**
+     * @private
+     */
+    private patternMatches(pattern: string, eventType: string): boolean {
+        const body = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${body}$`, 'i').test(eventType);
+    }
+
+    /**
+     * Load the file, re-reading it when it changes on disk
+     * @private
+     */
+    private load(): void {
+        try {
+            const stats = fs.statSync(this.file);
+            if (this.loadedMtimeMs === stats.mtimeMs) {
+                return;
+            }
+            const content = JSON.parse(fs.readFileSync(this.file, 'utf-8')) as TemplatesFile;
+            this.custom = content.templates && typeof content.templates === 'object' ? content.templates : {};
+            this.loadedMtimeMs = stats.mtimeMs;
+        } catch (error: any) {
+            if (error.code !== 'ENOENT') {
+                OutputLogger.error(`Failed to read webhook templates from ${this.file}: ${error.message}`);
+            }
+        }
+    }
+}
+
+// Singleton instance
+let globalStore: WebhookTemplateStore | null = null;
+
+/**
+ * Get the global webhook template store
+ * @returns Global store
+ */
+export function getGlobalWebhookTemplateStore(): WebhookTemplateStore {
+    if (!globalStore) {
+        globalStore = new WebhookTemplateStore();
+    }
+    return globalStore;
+}
+
+/**
+ * Reset the global store (for testing)
+ */
+export function resetGlobalWebhookTemplateStore(): void {
+    globalStore = null;
+}
+
+export { WebhookTemplateStore, DEFAULT_TEMPLATES };
@@ -100,7 +100,7 @@ class WebhookValidator {
         }
 
         // Check for suspicious headers
-        const suspiciousHeaders = ['host', 'connection', 'transfer-encoding', 'upgrade'];
+        const suspiciousHeaders = ['host', 'connection', 'transfer-encoding', 'upgrade', 'x-signature', 'x-signature-timestamp'];
         for (const key of Object.keys(headers)) {
             const lowerKey = key.toLowerCase();
             if (suspiciousHeaders.includes(lowerKey)) {
@@ -0,0 +1,229 @@
+/**
+ * Zip Reader Module
+ * Minimal read-only zip (and ZIP64) access for large local archives such as .bacpac files.
+ * Reads the central directory with positioned reads and streams single entries, so
+ * multi-gigabyte archives are never loaded into memory.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as zlib from 'zlib';
+import { Readable } from 'stream';
+
+// Type definitions
+export interface ZipEntry {
+    name: string;
+    method: number;
+    crc32: number;
+    compressedSize: number;
+    uncompressedSize: number;
+    localHeaderOffset: number;
+}
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+class ZipReader {
+    private filePath: string;
+    private handle: fs.promises.FileHandle | null;
+    private entries: Map<string, ZipEntry> | null;
+
+    constructor(filePath: string) {
+        this.filePath = filePath;
+        this.handle = null;
+        this.entries = null;
+    }
+
+    /**
+     * Open the archive and read its central directory
+     * The file is closed again if it is not a readable ZIP
+     */
+    async open(): Promise<void> {
+        this.handle = await fs.promises.open(this.filePath, 'r');
+        try {
+            await this.readCentralDirectory(this.handle);
+        } catch (error) {
+            await this.close();
+            throw error;
+        }
+    }
+
+    private async readCentralDirectory(handle: fs.promises.FileHandle): Promise<void> {
+        const { size } = await handle.stat();
+
+        // End of central directory record: 22 bytes plus an optional comment of up to 64 KB
+        const tailSize = Math.min(size, 22 + 0xffff);
+        const tail = await this.read(size - tailSize, tailSize);
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw this.formatError('end of central directory not found');
+        }
+
+        let entryCount = tail.readUInt16LE(eocd + 10);
+        let directorySize = tail.readUInt32LE(eocd + 12);
+        let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+        // ZIP64: the locator sits directly before the classic record
+        if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+            const zip64Offset = Number(tail.readBigUInt64LE(eocd - 20 + 8));
+            const zip64 = await this.read(zip64Offset, 56);
+            if (zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+                throw this.formatError('invalid ZIP64 end of central directory');
+            }
+            entryCount = Number(zip64.readBigUInt64LE(32));
+            directorySize = Number(zip64.readBigUInt64LE(40));
+            directoryOffset = Number(zip64.readBigUInt64LE(48));
+        }
+
+        const directory = await this.read(directoryOffset, directorySize);
+        const entries = new Map<string, ZipEntry>();
+        let pos = 0;
+
+        for (let i = 0; i < entryCount; i++) {
+            if (directory.readUInt32LE(pos) !== CENTRAL_HEADER_SIGNATURE) {
+                throw this.formatError('corrupt central directory');
+            }
+
+            const nameLength = directory.readUInt16LE(pos + 28);
+            const extraLength = directory.readUInt16LE(pos + 30);
+            const commentLength = directory.readUInt16LE(pos + 32);
+            const entry: ZipEntry = {
+                name: directory.toString('utf8', pos + 46, pos + 46 + nameLength),
+                method: directory.readUInt16LE(pos + 10),
+                crc32: directory.readUInt32LE(pos + 16),
+                compressedSize: directory.readUInt32LE(pos + 20),
+                uncompressedSize: directory.readUInt32LE(pos + 24),
+                localHeaderOffset: directory.readUInt32LE(pos + 42)
+            };
+
+            this.applyZip64Extra(entry, directory.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength));
+            entries.set(entry.name, entry);
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        this.entries = entries;
+    }
+
+    async close(): Promise<void> {
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+
+    getEntries(): ZipEntry[] {
+        return Array.from(this.requireEntries().values());
+    }
+
+    getEntry(name: string): ZipEntry | null {
+        return this.requireEntries().get(name) || null;
+    }
+
+    /**
+     * Stream an entry's stored bytes as they are in the archive (still compressed)
+     */
+    async openRawStream(entry: ZipEntry): Promise<Readable> {
+        const header = await this.read(entry.localHeaderOffset, 30);
+        if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+            throw this.formatError(`invalid local header for ${entry.name}`);
+        }
+
+        const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        if (entry.compressedSize === 0) {
+            return Readable.from([]);
+        }
+        return fs.createReadStream(this.filePath, { start: dataOffset, end: dataOffset + entry.compressedSize - 1 });
+    }
+
+    /**
+     * Stream an entry's uncompressed content
+     */
+    async openStream(entry: ZipEntry): Promise<Readable> {
+        const raw = await this.openRawStream(entry);
+        if (entry.compressedSize === 0 || entry.method === METHOD_STORED) {
+            return raw;
+        }
+        if (entry.method === METHOD_DEFLATED) {
+            const inflate = zlib.createInflateRaw();
+            raw.on('error', error => inflate.destroy(error));
+            return raw.pipe(inflate);
+        }
+
+        raw.destroy();
+        throw this.formatError(`unsupported compression method ${entry.method} for ${entry.name}`);
+    }
+
+    /**
+     * Read a whole (small) entry into memory
+     */
+    async readEntry(entry: ZipEntry): Promise<Buffer> {
+        const chunks: Buffer[] = [];
+        for await (const chunk of await this.openStream(entry)) {
+            chunks.push(chunk as Buffer);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Replace 0xFFFFFFFF placeholders with the values from the ZIP64 extra field (id 0x0001)
+     */
+    private applyZip64Extra(entry: ZipEntry, extra: Buffer): void {
+        let pos = 0;
+        while (pos + 4 <= extra.length) {
+            const id = extra.readUInt16LE(pos);
+            const length = extra.readUInt16LE(pos + 2);
+            if (id === 0x0001) {
+                let field = pos + 4;
+                if (entry.uncompressedSize === 0xffffffff) {
+                    entry.uncompressedSize = Number(extra.readBigUInt64LE(field));
+                    field += 8;
+                }
+                if (entry.compressedSize === 0xffffffff) {
+                    entry.compressedSize = Number(extra.readBigUInt64LE(field));
+                    field += 8;
+                }
+                if (entry.localHeaderOffset === 0xffffffff) {
+                    entry.localHeaderOffset = Number(extra.readBigUInt64LE(field));
+                }
+                return;
+            }
+            pos += 4 + length;
+        }
+    }
+
+    private async read(position: number, length: number): Promise<Buffer> {
+        if (!this.handle) {
+            throw new Error('Zip archive is not open');
+        }
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await this.handle.read(buffer, 0, length, position);
+        if (bytesRead < length) {
+            throw this.formatError('unexpected end of file');
+        }
+        return buffer;
+    }
+
+    private requireEntries(): Map<string, ZipEntry> {
+        if (!this.entries) {
+            throw new Error('Zip archive is not open');
+        }
+        return this.entries;
+    }
+
+    private formatError(reason: string): Error {
+        return Object.assign(new Error(`Not a readable zip archive (${reason}): ${this.filePath}`), { code: 'INVALID_ZIP' });
+    }
+}
+
+export default ZipReader;
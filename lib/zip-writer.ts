@@ -0,0 +1,276 @@
+/**
+ * Zip Writer Module
+ * Sequential zip (and ZIP64) writer for rebuilding large archives such as .bacpac files:
+ * unchanged entries are copied compressed from a ZipReader, rewritten entries are deflated
+ * from a stream. Local headers are patched in place, so no data descriptors are needed.
+ * Part of Jaxon Digital Optimizely DXP MCP Server
+ */
+
+import * as fs from 'fs';
+import * as zlib from 'zlib';
+import { Readable } from 'stream';
+import ZipReader, { ZipEntry } from './zip-reader';
+
+interface WrittenEntry {
+    name: Buffer;
+    method: number;
+    crc32: number;
+    compressedSize: number;
+    uncompressedSize: number;
+    localHeaderOffset: number;
+    headerSize: number;
+}
+
+const UINT32_MAX = 0xffffffff;
+const METHOD_DEFLATED = 8;
+const FLAG_UTF8 = 0x0800;
+
+let crcTable: Int32Array | null = null;
+
+/**
+ * CRC-32 as used by zip; zlib.crc32 where the runtime has it (Node 20.15+/22.2+)
+ */
+export function crc32(data: Buffer, previous: number = 0): number {
+    const native = (zlib as any).crc32;
+    if (typeof native === 'function') {
+        return native(data, previous);
+    }
+
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = ~previous;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+class ZipWriter {
+    private filePath: string;
+    private handle: fs.promises.FileHandle | null;
+    private position: number;
+    private written: WrittenEntry[];
+
+    constructor(filePath: string) {
+        this.filePath = filePath;
+        this.handle = null;
+        this.position = 0;
+        this.written = [];
+    }
+
+    async open(): Promise<void> {
+        this.handle = await fs.promises.open(this.filePath, 'w');
+    }
+
+    /**
+     * Copy an entry from another archive without recompressing it
+     */
+    async addRaw(source: ZipReader, entry: ZipEntry): Promise<void> {
+        const record = await this.writeLocalHeader(entry.name, entry.method, entry.uncompressedSize);
+        for await (const chunk of await source.openRawStream(entry)) {
+            await this.append(chunk as Buffer);
+        }
+
+        record.crc32 = entry.crc32;
+        record.compressedSize = entry.compressedSize;
+        record.uncompressedSize = entry.uncompressedSize;
+        await this.patchLocalHeader(record);
+    }
+
+    /**
+     * Deflate a stream into a new entry
+     * @param sizeHint - Expected uncompressed size; decides whether ZIP64 room is reserved up front
+     */
+    async addStream(name: string, content: Readable, sizeHint: number): Promise<void> {
+        const record = await this.writeLocalHeader(name, METHOD_DEFLATED, sizeHint);
+        const deflate = zlib.createDeflateRaw();
+        let crc = 0;
+        let size = 0;
+
+        content.on('data', (chunk: Buffer) => {
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+        });
+        content.on('error', error => deflate.destroy(error));
+        content.pipe(deflate);
+
+        for await (const chunk of deflate) {
+            await this.append(chunk as Buffer);
+        }
+
+        record.crc32 = crc;
+        record.uncompressedSize = size;
+        record.compressedSize = this.position - record.localHeaderOffset - record.headerSize;
+        await this.patchLocalHeader(record);
+    }
+
+    /**
+     * Write the central directory and close the file
+     */
+    async close(): Promise<void> {
+        const directoryOffset = this.position;
+        for (const record of this.written) {
+            const zip64 = this.zip64Fields(record);
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(45, 4);
+            header.writeUInt16LE(zip64.length > 0 ? 45 : 20, 6);
+            header.writeUInt16LE(FLAG_UTF8, 8);
+            header.writeUInt16LE(record.method, 10);
+            this.writeDosTime(header, 12);
+            header.writeUInt32LE(record.crc32, 16);
+            header.writeUInt32LE(Math.min(record.compressedSize, UINT32_MAX), 20);
+            header.writeUInt32LE(Math.min(record.uncompressedSize, UINT32_MAX), 24);
+            header.writeUInt16LE(record.name.length, 28);
+            header.writeUInt16LE(zip64.length > 0 ? 4 + zip64.length : 0, 30);
+            header.writeUInt32LE(Math.min(record.localHeaderOffset, UINT32_MAX), 42);
+
+            const extra = zip64.length > 0 ? Buffer.alloc(4 + zip64.length) : Buffer.alloc(0);
+            if (zip64.length > 0) {
+                extra.writeUInt16LE(0x0001, 0);
+                extra.writeUInt16LE(zip64.length, 2);
+                zip64.copy(extra, 4);
+            }
+            await this.append(Buffer.concat([header, record.name, extra]));
+        }
+
+        const directorySize = this.position - directoryOffset;
+        const needsZip64 = this.written.length >= 0xffff || directoryOffset >= UINT32_MAX || directorySize >= UINT32_MAX;
+
+        if (needsZip64) {
+            const zip64Offset = this.position;
+            const record = Buffer.alloc(56);
+            record.writeUInt32LE(0x06064b50, 0);
+            record.writeBigUInt64LE(BigInt(44), 4);
+            record.writeUInt16LE(45, 12);
+            record.writeUInt16LE(45, 14);
+            record.writeBigUInt64LE(BigInt(this.written.length), 24);
+            record.writeBigUInt64LE(BigInt(this.written.length), 32);
+            record.writeBigUInt64LE(BigInt(directorySize), 40);
+            record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(0x07064b50, 0);
+            locator.writeBigUInt64LE(BigInt(zip64Offset), 8);
+            locator.writeUInt32LE(1, 16);
+            await this.append(Buffer.concat([record, locator]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(Math.min(this.written.length, 0xffff), 8);
+        end.writeUInt16LE(Math.min(this.written.length, 0xffff), 10);
+        end.writeUInt32LE(Math.min(directorySize, UINT32_MAX), 12);
+        end.writeUInt32LE(Math.min(directoryOffset, UINT32_MAX), 16);
+        await this.append(end);
+
+        await this.abort();
+    }
+
+    /**
+     * Close the file handle without finishing the archive
+     */
+    async abort(): Promise<void> {
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+
+    private async writeLocalHeader(name: string, method: number, sizeHint: number): Promise<WrittenEntry> {
+        // Reserve ZIP64 sizes when the entry may pass 4 GB; the room cannot be added afterwards
+        const reserveZip64 = sizeHint >= UINT32_MAX - 0x10000000;
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const record: WrittenEntry = {
+            name: nameBuffer,
+            method,
+            crc32: 0,
+            compressedSize: 0,
+            uncompressedSize: 0,
+            localHeaderOffset: this.position,
+            headerSize: 30 + nameBuffer.length + (reserveZip64 ? 20 : 0)
+        };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(reserveZip64 ? 45 : 20, 4);
+        header.writeUInt16LE(FLAG_UTF8, 6);
+        header.writeUInt16LE(method, 8);
+        this.writeDosTime(header, 10);
+        header.writeUInt16LE(record.name.length, 26);
+        header.writeUInt16LE(reserveZip64 ? 20 : 0, 28);
+
+        const extra = reserveZip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+        if (reserveZip64) {
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(16, 2);
+        }
+
+        await this.append(Buffer.concat([header, record.name, extra]));
+        this.written.push(record);
+        return record;
+    }
+
+    private async patchLocalHeader(record: WrittenEntry): Promise<void> {
+        const hasZip64 = record.headerSize > 30 + record.name.length;
+        if (!hasZip64 && (record.compressedSize >= UINT32_MAX || record.uncompressedSize >= UINT32_MAX)) {
+            throw new Error(`Zip entry ${record.name.toString('utf8')} grew past 4 GB without ZIP64 room`);
+        }
+
+        const sizes = Buffer.alloc(12);
+        sizes.writeUInt32LE(record.crc32, 0);
+        sizes.writeUInt32LE(hasZip64 ? UINT32_MAX : record.compressedSize, 4);
+        sizes.writeUInt32LE(hasZip64 ? UINT32_MAX : record.uncompressedSize, 8);
+        await this.handle!.write(sizes, 0, 12, record.localHeaderOffset + 14);
+
+        if (hasZip64) {
+            const zip64 = Buffer.alloc(16);
+            zip64.writeBigUInt64LE(BigInt(record.uncompressedSize), 0);
+            zip64.writeBigUInt64LE(BigInt(record.compressedSize), 8);
+            await this.handle!.write(zip64, 0, 16, record.localHeaderOffset + 30 + record.name.length + 4);
+        }
+    }
+
+    /**
+     * ZIP64 extra values for the central directory, in the order the format requires
+     */
+    private zip64Fields(record: WrittenEntry): Buffer {
+        const values: number[] = [];
+        if (record.uncompressedSize >= UINT32_MAX) values.push(record.uncompressedSize);
+        if (record.compressedSize >= UINT32_MAX) values.push(record.compressedSize);
+        if (record.localHeaderOffset >= UINT32_MAX) values.push(record.localHeaderOffset);
+
+        const buffer = Buffer.alloc(values.length * 8);
+        values.forEach((value, i) => buffer.writeBigUInt64LE(BigInt(value), i * 8));
+        return buffer;
+    }
+
+    private writeDosTime(buffer: Buffer, offset: number): void {
+        const now = new Date();
+        buffer.writeUInt16LE((now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2), offset);
+        buffer.writeUInt16LE(((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(), offset + 2);
+    }
+
+    private async append(data: Buffer): Promise<void> {
+        if (!this.handle) {
+            throw new Error('Zip writer is not open');
+        }
+        let offset = 0;
+        while (offset < data.length) {
+            const { bytesWritten } = await this.handle.write(data, offset, data.length - offset, this.position);
+            offset += bytesWritten;
+            this.position += bytesWritten;
+        }
+    }
+}
+
+export default ZipWriter;
@@ -0,0 +1,887 @@
+/**
+ * DXP API Simulator
+ * Local stand-in for the paasportal v1.0 REST API so tools, monitors and
+ * webhook flows can be exercised end-to-end with no network.
+ *
+ *   - Verifies the epi-hmac Authorization header (signature, clock skew, nonce replay)
+ *   - Per-key environment access (403 for environments the key cannot reach)
+ *   - Stateful deployments: InProgress → AwaitingVerification → Completing → Succeeded,
+ *     Resetting → Reset, or Failed when scripted
+ *   - Stateful database exports whose bacpac lands in a fake blob container
+ *   - Storage containers with SAS links served by FakeBlobServer (one per environment)
+ *   - Scripted failures (429, 5xx, slow responses, failed/slow transitions)
+ *   - Webhook capture endpoint for delivery assertions
+ *
+ * Point the MCP at it with OPTIMIZELY_API_URL=<simulator.apiUrl>.
+ * State transitions are computed from elapsed time when read, so the simulator
+ * keeps no timers of its own.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { FakeBlobServer } = require('./fake-blob-server');
+const { FailureScript } = require('./failure-script');
+
+const API_PREFIX = '/api/v1.0/';
+const CONTROL_PREFIX = '/_simulator/';
+const ENVIRONMENTS = ['Integration', 'Preproduction', 'Production'];
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_REQUEST_LOG = 500;
+
+const DEFAULT_PROJECT = {
+    projectId: '6c8b2f1e-0d4a-4b7e-9a51-5f2e8c3d1a00',
+    name: 'Simulator',
+    clientKey: 'simulator-client-key',
+    // Base64, like real DXP API secrets
+    clientSecret: Buffer.from('simulator-client-secret-do-not-use').toString('base64'),
+    environments: ENVIRONMENTS
+};
+
+const DEFAULT_CONTAINERS = [
+    { name: 'azure-application-logs', writable: false },
+    { name: 'azure-web-logs', writable: false },
+    { name: 'mysitemedia', writable: true }
+];
+
+const DEFAULT_TRANSITIONS = {
+    deploymentMs: 30000,
+    completeMs: 10000,
+    resetMs: 10000,
+    exportMs: 20000
+};
+
+class DxpApiSimulator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port=0] - API port (0 picks a free port)
+     * @param {string} [options.host='127.0.0.1']
+     * @param {Array} [options.projects] - [{ projectId, name, clientKey, clientSecret, environments }]
+     * @param {Object} [options.transitions] - { deploymentMs, completeMs, resetMs, exportMs }
+     * @param {Array} [options.containers] - [{ name, writable }] created in every environment
+     * @param {Function} [options.bacpacFactory] - (exportInfo) => Buffer for finished exports
+     */
+    constructor(options = {}) {
+        this.port = options.port || 0;
+        this.host = options.host || '127.0.0.1';
+        this.projects = (options.projects || [DEFAULT_PROJECT]).map(p => ({ environments: ENVIRONMENTS, ...p }));
+        this.transitions = { ...DEFAULT_TRANSITIONS, ...(options.transitions || {}) };
+        this.containerSpecs = options.containers || DEFAULT_CONTAINERS;
+        this.bacpacFactory = options.bacpacFactory || defaultBacpac;
+
+        this.failureScript = new FailureScript();
+        this.blobServers = {};
+        this.server = null;
+        this.baseUrl = null;
+
+        this._resetState();
+    }
+
+    /**
+     * API base to use as OPTIMIZELY_API_URL
+     */
+    get apiUrl() {
+        return this.baseUrl ? `${this.baseUrl}${API_PREFIX}` : null;
+    }
+
+    /**
+     * Start the API and the blob servers
+     * @returns {Promise<string>} API base URL
+     */
+    async start() {
+        for (const environment of ENVIRONMENTS) {
+            this.blobServers[environment] = new FakeBlobServer({
+                accountName: `sim${environment.toLowerCase()}`,
+                host: this.host,
+                failureScript: this.failureScript
+            });
+        }
+        // Packages and bacpacs live outside the environment storage accounts, as in DXP
+        this.blobServers.shared = new FakeBlobServer({
+            accountName: 'simshared',
+            host: this.host,
+            failureScript: this.failureScript
+        });
+
+        for (const blobServer of Object.values(this.blobServers)) {
+            await blobServer.start();
+        }
+        this._seedContainers();
+
+        await new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                this._handle(req, res).catch(error => {
+                    this._send(res, 500, { success: false, errors: [error.message] });
+                });
+            });
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.baseUrl = `http://${this.host}:${this.server.address().port}`;
+                resolve();
+            });
+        });
+
+        return this.apiUrl;
+    }
+
+    /**
+     * Stop the API and blob servers
+     */
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => {
+                this.server.close(() => resolve());
+                this.server.closeAllConnections && this.server.closeAllConnections();
+            });
+            this.server = null;
+        }
+        for (const blobServer of Object.values(this.blobServers)) {
+            await blobServer.stop();
+        }
+    }
+
+    /**
+     * Forget deployments, exports, captured webhooks, scripted failures and blobs
+     */
+    reset() {
+        this._resetState();
+        this.failureScript.clear();
+        for (const blobServer of Object.values(this.blobServers)) {
+            blobServer.clear();
+        }
+        this._seedContainers();
+    }
+
+    /**
+     * Add a scripted failure (see FailureScript)
+     */
+    script(rule) {
+        return this.failureScript.add(rule);
+    }
+
+    /**
+     * Change how long state transitions take
+     */
+    setTransitions(transitions) {
+        Object.assign(this.transitions, transitions);
+    }
+
+    /**
+     * Environment variables that point an MCP server at this simulator
+     */
+    getEnv(project = this.projects[0]) {
+        return {
+            OPTIMIZELY_API_URL: this.apiUrl,
+            OPTIMIZELY_PROJECT_ID: project.projectId,
+            OPTIMIZELY_PROJECT_NAME: project.name,
+            OPTIMIZELY_PROJECT_KEY: project.clientKey,
+            OPTIMIZELY_PROJECT_SECRET: project.clientSecret
+        };
+    }
+
+    /**
+     * Add a deployment directly (e.g. one already AwaitingVerification)
+     */
+    seedDeployment(fields = {}) {
+        const project = this.projects[0];
+        const deployment = this._createDeployment(fields.projectId || project.projectId, {
+            SourceEnvironment: fields.sourceEnvironment || 'Preproduction',
+            TargetEnvironment: fields.targetEnvironment || 'Production'
+        });
+        if (fields.status) {
+            this._enterPhase(deployment, fields.status, 0);
+        }
+        return this._view(deployment);
+    }
+
+    /**
+     * Write hourly App Service log blobs (PT1H.json) for an environment
+     * @param {string} environment
+     * @param {Object} [options]
+     * @param {number} [options.hours=2] - Hours back from now
+     * @param {number} [options.requestsPerHour=120]
+     * @param {number} [options.errorRate=0.02] - Share of 5xx responses
+     * @param {number} [options.latencyMs=180] - Typical TimeTaken
+     * @param {boolean} [options.slot=false] - Write deployment slot logs (/SLOTS/SLOT/)
+     */
+    seedLogs(environment, options = {}) {
+        const blobServer = this.blobServers[environment];
+        if (!blobServer) {
+            throw new Error(`Unknown environment ${environment}`);
+        }
+
+        const hours = options.hours || 2;
+        const requestsPerHour = options.requestsPerHour || 120;
+        const errorRate = options.errorRate !== undefined ? options.errorRate : 0.02;
+        const latencyMs = options.latencyMs || 180;
+        const site = `SIM${environment.toUpperCase().substring(0, 4)}`;
+        const resourceId = `/SUBSCRIPTIONS/00000000-0000-0000-0000-000000000000/RESOURCEGROUPS/${site}/PROVIDERS/MICROSOFT.WEB/SITES/${site}${options.slot ? '/SLOTS/SLOT' : ''}`;
+        const paths = ['/', '/products', '/products/42', '/cart', '/search', '/globalassets/logo.png', '/api/content'];
+        const written = [];
+
+        for (let h = hours - 1; h >= 0; h--) {
+            const hourStart = new Date(Date.now() - h * 60 * 60 * 1000);
+            hourStart.setUTCMinutes(0, 0, 0);
+
+            const httpLines = [];
+            const consoleLines = [];
+            for (let i = 0; i < requestsPerHour; i++) {
+                const time = new Date(Math.min(hourStart.getTime() + Math.floor((i / requestsPerHour) * 3600000), Date.now()));
+                const failed = (i * 7919) % 1000 < errorRate * 1000;
+                const path = paths[i % paths.length];
+
+                httpLines.push(JSON.stringify({
+                    time: time.toISOString(),
+                    resourceId,
+                    category: 'AppServiceHTTPLogs',
+                    operationName: 'Microsoft.Web/sites/log',
+                    properties: JSON.stringify({
+                        CsMethod: i % 9 === 0 ? 'POST' : 'GET',
+                        CsUriStem: path,
+                        ScStatus: failed ? '500' : (i % 23 === 0 ? '404' : '200'),
+                        TimeTaken: String(Math.round(latencyMs * (0.5 + ((i * 37) % 100) / 100))),
+                        ScBytes: String(1024 + (i * 131) % 40960),
+                        UserAgent: 'Mozilla/5.0 (Simulator)',
+                        CIp: `10.0.${i % 255}.${(i * 3) % 255}`,
+                        CsHost: `${site.toLowerCase()}.dxcloud.episerver.net`
+                    })
+                }));
+
+                if (failed) {
+                    consoleLines.push(JSON.stringify({
+                        time: time.toISOString(),
+                        resourceId,
+                        category: 'AppServiceConsoleLogs',
+                        level: 'Error',
+                        resultDescription: `System.InvalidOperationException: Simulated failure handling ${path}\n   at Simulator.Controllers.PageController.Index()`
+                    }));
+                }
+            }
+
+            const datePath = `y=${hourStart.getUTCFullYear()}/m=${pad(hourStart.getUTCMonth() + 1)}/d=${pad(hourStart.getUTCDate())}/h=${pad(hourStart.getUTCHours())}/m=00`;
+            const name = `resourceId=${resourceId}/${datePath}/PT1H.json`;
+            blobServer.putBlob('azure-web-logs', name, httpLines.join('\n') + '\n', { contentType: 'application/json', lastModified: hourStart });
+            blobServer.putBlob('azure-application-logs', name, consoleLines.join('\n') + (consoleLines.length ? '\n' : ''), { contentType: 'application/json', lastModified: hourStart });
+            written.push(name);
+        }
+
+        return written;
+    }
+
+    /**
+     * Snapshot of everything the simulator holds
+     */
+    getState() {
+        return {
+            apiUrl: this.apiUrl,
+            projects: this.projects.map(p => ({ projectId: p.projectId, name: p.name, environments: p.environments })),
+            transitions: this.transitions,
+            deployments: Array.from(this.deployments.values()).map(d => this._view(d)),
+            exports: Array.from(this.exports.values()).map(e => this._viewExport(e)),
+            storage: Object.fromEntries(Object.entries(this.blobServers).map(([key, server]) => [key, server.describe()])),
+            script: this.failureScript.list(),
+            webhooks: this.webhooks.length,
+            requests: this.requests.length
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Request handling
+    // ------------------------------------------------------------------
+
+    async _handle(req, res) {
+        const url = new URL(req.url, this.baseUrl);
+        const rawBody = await readBody(req);
+
+        if (url.pathname.startsWith(CONTROL_PREFIX)) {
+            return this._handleControl(req, res, url, rawBody);
+        }
+
+        if (!url.pathname.startsWith(API_PREFIX)) {
+            return this._send(res, 404, { success: false, errors: [`Not found: ${url.pathname}`] });
+        }
+
+        const route = url.pathname.substring(API_PREFIX.length);
+        const logEntry = { at: new Date().toISOString(), method: req.method, path: route + url.search, status: 0 };
+        this.requests.push(logEntry);
+        if (this.requests.length > MAX_REQUEST_LOG) {
+            this.requests.shift();
+        }
+
+        const respond = (status, payload, headers = {}) => {
+            logEntry.status = status;
+            this._send(res, status, payload, headers);
+        };
+
+        // Scripted faults come before auth, like a gateway in front of the API
+        const rule = this.failureScript.takeHttp('api', req.method, '/' + route);
+        if (rule) {
+            if (rule.delayMs) {
+                await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+            }
+            if (rule.status) {
+                const headers = rule.retryAfter !== null ? { 'Retry-After': String(rule.retryAfter) } : {};
+                return respond(rule.status, { success: false, errors: [rule.message || `Scripted ${rule.status} response`] }, headers);
+            }
+        }
+
+        const auth = this._authenticate(req, url, rawBody);
+        if (auth.error) {
+            return respond(401, { success: false, errors: [auth.error] });
+        }
+
+        let payload = null;
+        if (rawBody.length > 0) {
+            try {
+                payload = JSON.parse(rawBody.toString('utf8'));
+            } catch (error) {
+                return respond(400, { success: false, errors: ['Request body is not valid JSON'] });
+            }
+        }
+
+        const segments = route.split('/').filter(Boolean).map(decodeURIComponent);
+        if (segments[0] !== 'projects' || !segments[1]) {
+            return respond(404, { success: false, errors: [`Unknown endpoint ${route}`] });
+        }
+
+        const projectId = segments[1];
+        if (auth.project.projectId !== projectId) {
+            return respond(403, { success: false, errors: ['The API key does not have access to this project'] });
+        }
+
+        const result = this._route(auth.project, req.method, segments.slice(2), url.searchParams, payload || {});
+        return respond(result.status, result.body);
+    }
+
+    /**
+     * Dispatch an authenticated API call
+     * @returns {{status: number, body: Object}}
+     */
+    _route(project, method, segments, query, payload) {
+        const ok = result => ({ status: 200, body: { success: true, result } });
+        const fail = (status, message) => ({ status, body: { success: false, errors: [message] } });
+        const [resource, id, action, ...rest] = segments;
+
+        // projects/{id}/deployments[/{id}[/complete|/reset]]
+        if (resource === 'deployments') {
+            if (method === 'GET' && !id) {
+                return ok(Array.from(this.deployments.values())
+                    .filter(d => d.projectId === project.projectId)
+                    .map(d => this._view(d))
+                    .sort((a, b) => (a.startTime < b.startTime ? 1 : -1)));
+            }
+            if (method === 'POST' && !id) {
+                return this._startDeployment(project, payload);
+            }
+
+            const deployment = this.deployments.get(id);
+            if (!deployment || deployment.projectId !== project.projectId) {
+                return fail(404, `Deployment ${id} was not found`);
+            }
+            if (method === 'GET' && !action) {
+                return ok(this._view(deployment));
+            }
+            if (method === 'POST' && action === 'complete') {
+                if (this._phase(deployment) !== 'AwaitingVerification') {
+                    return fail(400, `Deployment ${id} is ${this._phase(deployment)} and cannot be completed`);
+                }
+                this._enterPhase(deployment, 'Completing', this.transitions.completeMs);
+                return ok(this._view(deployment));
+            }
+            if (method === 'POST' && action === 'reset') {
+                const phase = this._phase(deployment);
+                if (phase !== 'AwaitingVerification' && phase !== 'Failed') {
+                    return fail(400, `Deployment ${id} is ${phase} and cannot be reset`);
+                }
+                deployment.resetOptions = payload;
+                this._enterPhase(deployment, 'Resetting', this.transitions.resetMs);
+                return ok(this._view(deployment));
+            }
+            return fail(404, `Unknown deployment action ${action}`);
+        }
+
+        // projects/{id}/packages/location
+        if (resource === 'packages' && id === 'location' && method === 'GET') {
+            const location = this.blobServers.shared.generateSasUrl('deploymentpackages', { permissions: 'rwl', expiresInHours: 1 });
+            return ok({ location });
+        }
+
+        // projects/{id}/environments/{env}/...
+        if (resource === 'environments') {
+            const environment = id;
+            if (!ENVIRONMENTS.includes(environment)) {
+                return fail(400, `Invalid environment ${environment}`);
+            }
+            if (!project.environments.includes(environment)) {
+                return fail(403, `The API key does not have access to the ${environment} environment`);
+            }
+
+            if (action === 'storagecontainers') {
+                return this._routeStorage(project, environment, method, rest, query, payload);
+            }
+            if (action === 'databases') {
+                return this._routeDatabases(project, environment, method, rest, payload);
+            }
+        }
+
+        return fail(404, `Unknown endpoint ${segments.join('/')}`);
+    }
+
+    _routeStorage(project, environment, method, rest, query, payload) {
+        const [containerName, action] = rest;
+        const blobServer = this.blobServers[environment];
+
+        if (!containerName && method === 'GET') {
+            const writableOnly = query.get('writable') === 'true';
+            const storageContainers = this.containerSpecs
+                .filter(c => !writableOnly || c.writable)
+                .map(c => c.name);
+            return { status: 200, body: { success: true, result: { projectId: project.projectId, environment, storageContainers } } };
+        }
+
+        if (containerName && action === 'saslink' && method === 'POST') {
+            const spec = this.containerSpecs.find(c => c.name === containerName);
+            if (!spec) {
+                return { status: 404, body: { success: false, errors: [`Storage container ${containerName} was not found in ${environment}`] } };
+            }
+            const writable = payload.Writable === true;
+            if (writable && !spec.writable) {
+                return { status: 403, body: { success: false, errors: [`Storage container ${containerName} is read-only`] } };
+            }
+
+            const retentionHours = payload.RetentionHours || 24;
+            const sasLink = blobServer.generateSasUrl(containerName, {
+                permissions: writable ? 'rwdl' : 'rl',
+                expiresInHours: retentionHours
+            });
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    result: {
+                        projectId: project.projectId,
+                        environment,
+                        containerName,
+                        sasLink,
+                        expiresOn: new Date(Date.now() + retentionHours * 3600000).toISOString()
+                    }
+                }
+            };
+        }
+
+        return { status: 404, body: { success: false, errors: ['Unknown storage endpoint'] } };
+    }
+
+    _routeDatabases(project, environment, method, rest, payload) {
+        const [databaseName, action, exportId] = rest;
+        if (!['epicms', 'epicommerce'].includes(databaseName) || action !== 'exports') {
+            return { status: 404, body: { success: false, errors: ['Unknown database endpoint'] } };
+        }
+
+        if (method === 'POST' && !exportId) {
+            const running = Array.from(this.exports.values()).find(e =>
+                e.projectId === project.projectId && e.environment === environment &&
+                e.databaseName === databaseName && this._exportStatus(e) === 'InProgress');
+            if (running) {
+                return { status: 409, body: { success: false, errors: [`An export of ${databaseName} in ${environment} is already in progress (${running.id})`] } };
+            }
+
+            const outcome = this.failureScript.takeOutcome('export');
+            const created = new Date();
+            const exportInfo = {
+                id: crypto.randomUUID(),
+                projectId: project.projectId,
+                environment,
+                databaseName,
+                retentionHours: payload.RetentionHours || 24,
+                created,
+                durationMs: (outcome && outcome.durationMs) || this.transitions.exportMs,
+                outcome: (outcome && outcome.outcome) || 'Succeeded',
+                errors: (outcome && outcome.errors) || null,
+                bacpacName: `${project.name || 'project'}.${environment}.${databaseName}.${created.toISOString().replace(/[-:]/g, '').substring(0, 15)}.bacpac`,
+                downloadLink: null
+            };
+            this.exports.set(exportInfo.id, exportInfo);
+            return { status: 200, body: { success: true, result: this._viewExport(exportInfo) } };
+        }
+
+        if (method === 'GET' && !exportId) {
+            const list = Array.from(this.exports.values())
+                .filter(e => e.projectId === project.projectId && e.environment === environment && e.databaseName === databaseName)
+                .map(e => this._viewExport(e));
+            return { status: 200, body: { success: true, result: list } };
+        }
+
+        if (method === 'GET' && exportId) {
+            const exportInfo = this.exports.get(exportId);
+            if (!exportInfo || exportInfo.projectId !== project.projectId) {
+                return { status: 404, body: { success: false, errors: [`Export ${exportId} was not found`] } };
+            }
+            return { status: 200, body: { success: true, result: this._viewExport(exportInfo) } };
+        }
+
+        return { status: 404, body: { success: false, errors: ['Unknown export endpoint'] } };
+    }
+
+    // ------------------------------------------------------------------
+    // Control endpoints (unauthenticated, for tests driving a separate process)
+    // ------------------------------------------------------------------
+
+    _handleControl(req, res, url, rawBody) {
+        const route = url.pathname.substring(CONTROL_PREFIX.length);
+        let payload = {};
+        try {
+            payload = rawBody.length ? JSON.parse(rawBody.toString('utf8')) : {};
+        } catch (error) {
+            // Webhook captures keep non-JSON bodies as text
+        }
+
+        try {
+            if (route === 'state' && req.method === 'GET') {
+                return this._send(res, 200, this.getState());
+            }
+            if (route === 'requests' && req.method === 'GET') {
+                return this._send(res, 200, this.requests);
+            }
+            if (route === 'reset' && req.method === 'POST') {
+                this.reset();
+                return this._send(res, 200, { reset: true });
+            }
+            if (route === 'script' && req.method === 'POST') {
+                const rules = Array.isArray(payload) ? payload : [payload];
+                return this._send(res, 200, rules.map(rule => this.script(rule)));
+            }
+            if (route === 'script' && req.method === 'DELETE') {
+                this.failureScript.clear();
+                return this._send(res, 200, { cleared: true });
+            }
+            if (route === 'transitions' && req.method === 'POST') {
+                this.setTransitions(payload);
+                return this._send(res, 200, this.transitions);
+            }
+            if (route === 'deployments' && req.method === 'POST') {
+                return this._send(res, 200, this.seedDeployment(payload));
+            }
+            if (route === 'logs' && req.method === 'POST') {
+                return this._send(res, 200, { blobs: this.seedLogs(payload.environment || 'Production', payload) });
+            }
+            if (route === 'webhooks' && req.method === 'GET') {
+                return this._send(res, 200, this.webhooks);
+            }
+            if (route === 'webhooks' && req.method === 'DELETE') {
+                this.webhooks = [];
+                return this._send(res, 200, { cleared: true });
+            }
+            if (route.startsWith('webhooks/') && req.method === 'POST') {
+                this.webhooks.push({
+                    receivedAt: new Date().toISOString(),
+                    name: route.substring('webhooks/'.length),
+                    headers: req.headers,
+                    body: rawBody.toString('utf8')
+                });
+                return this._send(res, 200, { received: true });
+            }
+        } catch (error) {
+            return this._send(res, 400, { error: error.message });
+        }
+
+        return this._send(res, 404, { error: `Unknown control endpoint ${route}` });
+    }
+
+    // ------------------------------------------------------------------
+    // Authentication
+    // ------------------------------------------------------------------
+
+    /**
+     * Verify "epi-hmac {key}:{timestamp}:{nonce}:{signature}"
+     * Signature = HMAC-SHA256(base64-decoded secret, key + METHOD + pathAndQuery + timestamp + nonce + base64(MD5(body)))
+     */
+    _authenticate(req, url, rawBody) {
+        const header = req.headers.authorization || '';
+        const match = /^epi-hmac ([^:]+):(\d+):([^:]+):(.+)$/.exec(header);
+        if (!match) {
+            return { error: 'Missing or malformed epi-hmac Authorization header' };
+        }
+
+        const [, clientKey, timestamp, nonce, signature] = match;
+        const project = this.projects.find(p => p.clientKey === clientKey);
+        if (!project) {
+            return { error: 'Unknown API key' };
+        }
+
+        if (Math.abs(Date.now() - parseInt(timestamp, 10)) > MAX_CLOCK_SKEW_MS) {
+            return { error: 'Request timestamp is outside the allowed clock skew' };
+        }
+
+        const nonceKey = `${clientKey}:${nonce}`;
+        if (this.nonces.has(nonceKey)) {
+            return { error: 'Nonce has already been used' };
+        }
+
+        const bodyHash = crypto.createHash('md5').update(rawBody).digest('base64');
+        const message = `${clientKey}${req.method.toUpperCase()}${url.pathname}${url.search}${timestamp}${nonce}${bodyHash}`;
+        const expected = Buffer.from(crypto.createHmac('sha256', Buffer.from(project.clientSecret, 'base64')).update(message, 'utf8').digest('base64'));
+        const actual = Buffer.from(signature);
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { error: 'Signature did not match' };
+        }
+
+        this.nonces.set(nonceKey, Date.now());
+        this._pruneNonces();
+        return { project };
+    }
+
+    _pruneNonces() {
+        const cutoff = Date.now() - MAX_CLOCK_SKEW_MS;
+        for (const [key, seenAt] of this.nonces) {
+            if (seenAt < cutoff) {
+                this.nonces.delete(key);
+            }
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Deployments
+    // ------------------------------------------------------------------
+
+    _startDeployment(project, payload) {
+        const target = payload.TargetEnvironment || payload.targetEnvironment;
+        const source = payload.SourceEnvironment || payload.sourceEnvironment;
+        const packages = payload.packages || (payload.PackageUrl ? [payload.PackageUrl] : null);
+
+        if (!target || !ENVIRONMENTS.includes(target)) {
+            return { status: 400, body: { success: false, errors: ['TargetEnvironment must be Integration, Preproduction or Production'] } };
+        }
+        if (!source && !packages) {
+            return { status: 400, body: { success: false, errors: ['Either SourceEnvironment or packages is required'] } };
+        }
+        if (!project.environments.includes(target)) {
+            return { status: 403, body: { success: false, errors: [`The API key does not have access to the ${target} environment`] } };
+        }
+
+        const busy = Array.from(this.deployments.values()).find(d =>
+            d.projectId === project.projectId && d.targetEnvironment === target &&
+            ['InProgress', 'AwaitingVerification', 'Completing', 'Resetting'].includes(this._phase(d)));
+        if (busy) {
+            return { status: 409, body: { success: false, errors: [`There is already a deployment in progress for ${target} (${busy.id})`] } };
+        }
+
+        const deployment = this._createDeployment(project.projectId, payload);
+        return { status: 200, body: { success: true, result: this._view(deployment) } };
+    }
+
+    _createDeployment(projectId, payload) {
+        const outcome = this.failureScript.takeOutcome('deployment');
+        const target = payload.TargetEnvironment || payload.targetEnvironment;
+        const source = payload.SourceEnvironment || payload.sourceEnvironment || null;
+        const directDeploy = payload.DirectDeploy === true || payload.directDeploy === true;
+
+        const deployment = {
+            id: crypto.randomUUID(),
+            projectId,
+            sourceEnvironment: source,
+            targetEnvironment: target,
+            parameters: {
+                sourceEnvironment: source,
+                targetEnvironment: target,
+                packages: payload.packages || (payload.PackageUrl ? [payload.PackageUrl] : undefined),
+                sourceApps: payload.SourceApp ? [].concat(payload.SourceApp) : undefined,
+                includeBlob: !!payload.IncludeBlob,
+                includeDb: !!payload.IncludeDb,
+                directDeploy,
+                zeroDowntimeMode: payload.ZeroDowntimeMode || payload.zeroDowntimeMode || 'NotApplicable',
+                maintenancePage: !!payload.maintenancePage
+            },
+            startTime: new Date().toISOString(),
+            endTime: null,
+            outcome: (outcome && outcome.outcome) || 'Succeeded',
+            errors: (outcome && outcome.errors) || null,
+            // Direct deploys skip the verification slot
+            verify: !directDeploy,
+            phase: 'InProgress',
+            phaseStart: Date.now(),
+            phaseMs: (outcome && outcome.durationMs) || this.transitions.deploymentMs,
+            resetOptions: null
+        };
+
+        this.deployments.set(deployment.id, deployment);
+        return deployment;
+    }
+
+    _enterPhase(deployment, phase, durationMs) {
+        deployment.phase = phase;
+        deployment.phaseStart = Date.now();
+        deployment.phaseMs = durationMs;
+        if (['Succeeded', 'Failed', 'Reset'].includes(phase)) {
+            deployment.endTime = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Advance a deployment to where elapsed time puts it
+     */
+    _phase(deployment) {
+        const elapsed = Date.now() - deployment.phaseStart;
+        if (elapsed < deployment.phaseMs) {
+            return deployment.phase;
+        }
+
+        switch (deployment.phase) {
+            case 'InProgress':
+                if (deployment.outcome === 'Failed') {
+                    this._enterPhase(deployment, 'Failed', 0);
+                } else {
+                    this._enterPhase(deployment, deployment.verify ? 'AwaitingVerification' : 'Succeeded', 0);
+                }
+                break;
+            case 'Completing':
+                this._enterPhase(deployment, 'Succeeded', 0);
+                break;
+            case 'Resetting':
+                this._enterPhase(deployment, 'Reset', 0);
+                break;
+        }
+        return deployment.phase;
+    }
+
+    /**
+     * Deployment as the API returns it
+     */
+    _view(deployment) {
+        const status = this._phase(deployment);
+        const elapsed = Date.now() - deployment.phaseStart;
+        const inTransition = ['InProgress', 'Completing', 'Resetting'].includes(status);
+        const percentComplete = inTransition
+            ? Math.min(99, Math.floor((elapsed / Math.max(deployment.phaseMs, 1)) * 100))
+            : 100;
+
+        const view = {
+            id: deployment.id,
+            projectId: deployment.projectId,
+            status,
+            startTime: deployment.startTime,
+            endTime: deployment.endTime,
+            percentComplete,
+            parameters: deployment.parameters,
+            deploymentErrors: status === 'Failed' ? (deployment.errors || ['Simulated deployment failure']) : [],
+            deploymentWarnings: [],
+            validationLinks: status === 'AwaitingVerification'
+                ? [`https://${deployment.projectId.substring(0, 8)}-slot.${deployment.targetEnvironment.toLowerCase()}.dxcloud.episerver.net/`]
+                : []
+        };
+        return view;
+    }
+
+    // ------------------------------------------------------------------
+    // Exports
+    // ------------------------------------------------------------------
+
+    _exportStatus(exportInfo) {
+        const elapsed = Date.now() - exportInfo.created.getTime();
+        if (elapsed < exportInfo.durationMs) {
+            return 'InProgress';
+        }
+        if (exportInfo.outcome === 'Failed') {
+            return 'Failed';
+        }
+
+        // Materialise the bacpac the first time the export is seen finished
+        if (!exportInfo.downloadLink) {
+            this.blobServers.shared.putBlob('bacpacs', exportInfo.bacpacName, this.bacpacFactory(exportInfo), {
+                contentType: 'application/octet-stream'
+            });
+            exportInfo.downloadLink = this.blobServers.shared.generateSasUrl('bacpacs', {
+                permissions: 'r',
+                expiresInHours: exportInfo.retentionHours
+            }).replace('/bacpacs?', `/bacpacs/${encodeURIComponent(exportInfo.bacpacName)}?`);
+        }
+        return 'Succeeded';
+    }
+
+    _viewExport(exportInfo) {
+        const status = this._exportStatus(exportInfo);
+        return {
+            id: exportInfo.id,
+            projectId: exportInfo.projectId,
+            environment: exportInfo.environment,
+            databaseName: exportInfo.databaseName,
+            status,
+            percentComplete: status === 'InProgress'
+                ? Math.min(99, Math.floor(((Date.now() - exportInfo.created.getTime()) / exportInfo.durationMs) * 100))
+                : 100,
+            bacpacName: exportInfo.bacpacName,
+            downloadLink: status === 'Succeeded' ? exportInfo.downloadLink : null,
+            created: exportInfo.created.toISOString(),
+            completedAt: status === 'InProgress' ? null : new Date(exportInfo.created.getTime() + exportInfo.durationMs).toISOString(),
+            errors: status === 'Failed' ? (exportInfo.errors || ['Simulated export failure']) : []
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------
+
+    _resetState() {
+        this.deployments = new Map();
+        this.exports = new Map();
+        this.nonces = new Map();
+        this.requests = [];
+        this.webhooks = [];
+    }
+
+    _seedContainers() {
+        for (const environment of ENVIRONMENTS) {
+            const blobServer = this.blobServers[environment];
+            if (blobServer) {
+                this.containerSpecs.forEach(spec => blobServer.createContainer(spec.name));
+            }
+        }
+        if (this.blobServers.shared) {
+            this.blobServers.shared.createContainer('deploymentpackages');
+            this.blobServers.shared.createContainer('bacpacs');
+        }
+    }
+
+    _send(res, status, payload, headers = {}) {
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        const body = JSON.stringify(payload);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            ...headers
+        });
+        res.end(body);
+    }
+}
+
+/**
+ * Placeholder bacpac: deterministic bytes sized like a small database
+ */
+function defaultBacpac(exportInfo) {
+    const size = 256 * 1024;
+    const seed = crypto.createHash('sha256').update(exportInfo.id).digest();
+    const data = Buffer.alloc(size);
+    for (let i = 0; i < size; i++) {
+        data[i] = seed[i % seed.length] ^ (i & 0xff);
+    }
+    return data;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+module.exports = { DxpApiSimulator, DEFAULT_PROJECT, ENVIRONMENTS };
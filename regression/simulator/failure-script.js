@@ -0,0 +1,113 @@
+/**
+ * Failure Script
+ * Scripted faults for the DXP API simulator and fake blob server:
+ * HTTP errors (429, 5xx), slow responses, dropped connections, and deployment/export outcomes.
+ *
+ * Rules are matched in the order they were added. `times` is how many
+ * requests a rule applies to (default 1, 0 = until cleared).
+ *
+ *   script.add({ status: 429, path: '/deployments', retryAfter: 2, times: 2 })
+ *   script.add({ status: 503, method: 'GET', target: 'blob' })
+ *   script.add({ delayMs: 5000, pathPattern: 'exports/[^/]+$' })
+ *   script.add({ dropAfterBytes: 1024, method: 'GET', target: 'blob' })  // cut the body mid-transfer
+ *   script.add({ kind: 'deployment', outcome: 'Failed', errors: ['Warmup failed'] })
+ *   script.add({ kind: 'export', durationMs: 120000 })
+ */
+
+const RULE_KINDS = ['http', 'deployment', 'export'];
+
+class FailureScript {
+    constructor() {
+        this.rules = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a rule
+     * @returns {Object} The stored rule (with id and remaining count)
+     */
+    add(rule) {
+        const kind = rule.kind || 'http';
+        if (!RULE_KINDS.includes(kind)) {
+            throw new Error(`Unknown rule kind "${kind}" (expected ${RULE_KINDS.join(', ')})`);
+        }
+        if (kind === 'http' && !rule.status && !rule.delayMs && rule.dropAfterBytes === undefined) {
+            throw new Error('HTTP rules need a status, delayMs and/or dropAfterBytes');
+        }
+
+        const stored = {
+            id: this.nextId++,
+            kind,
+            target: rule.target || 'api',
+            method: rule.method ? rule.method.toUpperCase() : null,
+            path: rule.path || null,
+            pathPattern: rule.pathPattern || null,
+            status: rule.status || null,
+            retryAfter: rule.retryAfter !== undefined ? rule.retryAfter : null,
+            delayMs: rule.delayMs || 0,
+            dropAfterBytes: rule.dropAfterBytes !== undefined ? rule.dropAfterBytes : null,
+            message: rule.message || null,
+            outcome: rule.outcome || null,
+            errors: rule.errors || null,
+            durationMs: rule.durationMs || null,
+            remaining: rule.times === 0 ? Infinity : (rule.times || 1),
+            hits: 0
+        };
+
+        this.rules.push(stored);
+        return stored;
+    }
+
+    /**
+     * Take the first HTTP rule matching a request, consuming one use
+     * @param {string} target - 'api' or 'blob'
+     */
+    takeHttp(target, method, path) {
+        const rule = this.rules.find(r =>
+            r.kind === 'http' &&
+            r.target === target &&
+            r.remaining > 0 &&
+            (!r.method || r.method === method) &&
+            (!r.path || path.includes(r.path)) &&
+            (!r.pathPattern || new RegExp(r.pathPattern).test(path))
+        );
+        return rule ? this._consume(rule) : null;
+    }
+
+    /**
+     * Take the next deployment or export outcome rule, consuming one use
+     * @param {string} kind - 'deployment' or 'export'
+     */
+    takeOutcome(kind) {
+        const rule = this.rules.find(r => r.kind === kind && r.remaining > 0);
+        return rule ? this._consume(rule) : null;
+    }
+
+    /**
+     * Rules that still apply
+     */
+    list() {
+        return this.rules
+            .filter(r => r.remaining > 0)
+            .map(r => ({ ...r, remaining: r.remaining === Infinity ? 'unlimited' : r.remaining }));
+    }
+
+    /**
+     * Remove one rule, or all of them
+     */
+    clear(id = null) {
+        if (id === null) {
+            this.rules = [];
+        } else {
+            this.rules = this.rules.filter(r => r.id !== id);
+        }
+    }
+
+    _consume(rule) {
+        rule.remaining--;
+        rule.hits++;
+        return rule;
+    }
+}
+
+module.exports = { FailureScript, RULE_KINDS };
@@ -0,0 +1,454 @@
+/**
+ * Fake Blob Server
+ * A local stand-in for one Azure Storage account, enough of the Blob REST API
+ * for the MCP's download, streaming and upload paths:
+ *   - container listing (restype=container&comp=list, prefix, marker, maxresults)
+ *   - GET/HEAD blob with Range and If-Match support
+ *   - PUT blob, PUT block + block list (x-ms-blob-content-md5 / -type honoured)
+ *   - DELETE blob
+ * Requests must carry a SAS token issued by generateSasUrl(); signature,
+ * expiry and permissions are checked like the real service.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const SAS_VERSION = '2021-08-06';
+const DEFAULT_MAX_RESULTS = 5000;
+
+class FakeBlobServer {
+    /**
+     * @param {Object} options
+     * @param {string} options.accountName - Label used in logs and state dumps
+     * @param {number} [options.port=0] - 0 picks a free port
+     * @param {string} [options.host='127.0.0.1']
+     * @param {FailureScript} [options.failureScript] - Shared scripted faults (target 'blob')
+     */
+    constructor(options = {}) {
+        this.accountName = options.accountName || 'simstorage';
+        this.port = options.port || 0;
+        this.host = options.host || '127.0.0.1';
+        this.failureScript = options.failureScript || null;
+        this.accountKey = crypto.randomBytes(32);
+        this.containers = new Map();
+        this.server = null;
+        this.baseUrl = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:54321
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                this._handle(req, res).catch(error => {
+                    this._sendError(res, 500, 'InternalError', error.message);
+                });
+            });
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.baseUrl = `http://${this.host}:${this.server.address().port}`;
+                resolve(this.baseUrl);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server.closeAllConnections && this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Create a container if it does not exist
+     */
+    createContainer(name) {
+        if (!this.containers.has(name)) {
+            this.containers.set(name, { blobs: new Map(), blocks: new Map() });
+        }
+        return this.containers.get(name);
+    }
+
+    /**
+     * Store a blob directly (seeding test data)
+     */
+    putBlob(containerName, blobName, data, options = {}) {
+        const container = this.createContainer(containerName);
+        const body = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+        const blob = {
+            data: body,
+            contentType: options.contentType || 'application/octet-stream',
+            contentMD5: options.contentMD5 !== undefined
+                ? options.contentMD5
+                : crypto.createHash('md5').update(body).digest('base64'),
+            lastModified: options.lastModified || new Date(),
+            etag: `"0x${crypto.randomBytes(8).toString('hex').toUpperCase()}"`
+        };
+        container.blobs.set(blobName, blob);
+        return blob;
+    }
+
+    /**
+     * Read a stored blob (assertions)
+     */
+    getBlob(containerName, blobName) {
+        const container = this.containers.get(containerName);
+        return container ? container.blobs.get(blobName) || null : null;
+    }
+
+    /**
+     * Names and sizes of blobs in a container
+     */
+    listBlobs(containerName, prefix = '') {
+        const container = this.containers.get(containerName);
+        if (!container) {
+            return [];
+        }
+        return Array.from(container.blobs.entries())
+            .filter(([name]) => name.startsWith(prefix))
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([name, blob]) => ({ name, size: blob.data.length, contentMD5: blob.contentMD5, lastModified: blob.lastModified }));
+    }
+
+    /**
+     * Issue a container SAS URL
+     * @param {string} containerName
+     * @param {Object} [options]
+     * @param {string} [options.permissions='rl'] - Any of r, l, w, c, d
+     * @param {number} [options.expiresInHours=24]
+     */
+    generateSasUrl(containerName, options = {}) {
+        if (!this.baseUrl) {
+            throw new Error(`Blob server ${this.accountName} is not started`);
+        }
+        this.createContainer(containerName);
+
+        const permissions = options.permissions || 'rl';
+        const expiresOn = new Date(Date.now() + (options.expiresInHours || 24) * 60 * 60 * 1000).toISOString();
+        const params = new URLSearchParams({
+            sv: SAS_VERSION,
+            sr: 'c',
+            sp: permissions,
+            se: expiresOn,
+            sig: this._sign(containerName, permissions, expiresOn)
+        });
+
+        return `${this.baseUrl}/${containerName}?${params.toString()}`;
+    }
+
+    /**
+     * Remove all containers
+     */
+    clear() {
+        this.containers.clear();
+    }
+
+    /**
+     * Summary for state dumps
+     */
+    describe() {
+        const containers = {};
+        for (const [name, container] of this.containers) {
+            containers[name] = container.blobs.size;
+        }
+        return { accountName: this.accountName, baseUrl: this.baseUrl, containers };
+    }
+
+    // ------------------------------------------------------------------
+    // Request handling
+    // ------------------------------------------------------------------
+
+    async _handle(req, res) {
+        const url = new URL(req.url, this.baseUrl);
+        const [, containerName, ...blobParts] = url.pathname.split('/');
+        const blobName = decodeURIComponent(blobParts.join('/'));
+        const body = await this._readBody(req);
+
+        let dropAfterBytes = null;
+        if (this.failureScript) {
+            const rule = this.failureScript.takeHttp('blob', req.method, url.pathname);
+            if (rule) {
+                dropAfterBytes = rule.dropAfterBytes;
+                if (rule.delayMs) {
+                    await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+                }
+                if (rule.status) {
+                    if (rule.retryAfter !== null) {
+                        res.setHeader('Retry-After', String(rule.retryAfter));
+                    }
+                    this._sendError(res, rule.status, 'ScriptedFailure', rule.message || `Scripted ${rule.status}`);
+                    return;
+                }
+            }
+        }
+
+        const isList = url.searchParams.get('restype') === 'container' && url.searchParams.get('comp') === 'list';
+        const required = isList ? 'l'
+            : req.method === 'PUT' ? 'w'
+                : req.method === 'DELETE' ? 'd'
+                    : 'r';
+
+        const authError = this._checkSas(containerName, url.searchParams, required);
+        if (authError) {
+            this._sendError(res, 403, 'AuthenticationFailed', authError);
+            return;
+        }
+
+        const container = this.containers.get(containerName);
+        if (!container) {
+            this._sendError(res, 404, 'ContainerNotFound', 'The specified container does not exist.');
+            return;
+        }
+
+        if (isList) {
+            this._list(container, url.searchParams, res);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            this._get(container, blobName, req, res, dropAfterBytes);
+        } else if (req.method === 'PUT') {
+            this._put(containerName, blobName, url.searchParams, req, body, res);
+        } else if (req.method === 'DELETE') {
+            if (!container.blobs.delete(blobName)) {
+                this._sendError(res, 404, 'BlobNotFound', 'The specified blob does not exist.');
+                return;
+            }
+            res.writeHead(202);
+            res.end();
+        } else {
+            this._sendError(res, 405, 'UnsupportedHttpVerb', `${req.method} is not supported`);
+        }
+    }
+
+    _list(container, params, res) {
+        const prefix = params.get('prefix') || '';
+        const marker = params.get('marker') || '';
+        const maxResults = Math.min(parseInt(params.get('maxresults') || String(DEFAULT_MAX_RESULTS), 10), DEFAULT_MAX_RESULTS);
+
+        const names = Array.from(container.blobs.keys())
+            .filter(name => name.startsWith(prefix) && (!marker || name >= marker))
+            .sort();
+        const page = names.slice(0, maxResults);
+        const nextMarker = names.length > maxResults ? names[maxResults] : '';
+
+        const blobsXml = page.map(name => {
+            const blob = container.blobs.get(name);
+            return '<Blob>' +
+                `<Name>${escapeXml(name)}</Name>` +
+                '<Properties>' +
+                `<Last-Modified>${blob.lastModified.toUTCString()}</Last-Modified>` +
+                `<Etag>${blob.etag}</Etag>` +
+                `<Content-Length>${blob.data.length}</Content-Length>` +
+                `<Content-Type>${escapeXml(blob.contentType)}</Content-Type>` +
+                `<Content-MD5>${blob.contentMD5 || ''}</Content-MD5>` +
+                '<BlobType>BlockBlob</BlobType>' +
+                '</Properties>' +
+                '</Blob>';
+        }).join('');
+
+        const xml = '<?xml version="1.0" encoding="utf-8"?>' +
+            '<EnumerationResults>' +
+            (prefix ? `<Prefix>${escapeXml(prefix)}</Prefix>` : '') +
+            (marker ? `<Marker>${escapeXml(marker)}</Marker>` : '') +
+            `<MaxResults>${maxResults}</MaxResults>` +
+            `<Blobs>${blobsXml}</Blobs>` +
+            `<NextMarker>${escapeXml(nextMarker)}</NextMarker>` +
+            '</EnumerationResults>';
+
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(xml);
+    }
+
+    _get(container, blobName, req, res, dropAfterBytes = null) {
+        const blob = container.blobs.get(blobName);
+        if (!blob) {
+            this._sendError(res, 404, 'BlobNotFound', 'The specified blob does not exist.');
+            return;
+        }
+
+        const ifMatch = req.headers['if-match'];
+        if (ifMatch && ifMatch !== '*' && ifMatch !== blob.etag) {
+            this._sendError(res, 412, 'ConditionNotMet', 'The condition specified using HTTP conditional header(s) is not met.');
+            return;
+        }
+
+        const headers = {
+            'Content-Type': blob.contentType,
+            'Last-Modified': blob.lastModified.toUTCString(),
+            'ETag': blob.etag,
+            'Accept-Ranges': 'bytes',
+            'x-ms-blob-type': 'BlockBlob'
+        };
+        if (blob.contentMD5) {
+            headers['Content-MD5'] = blob.contentMD5;
+        }
+
+        const total = blob.data.length;
+        const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+        if (range && (range[1] || range[2])) {
+            const start = range[1] ? parseInt(range[1], 10) : Math.max(0, total - parseInt(range[2], 10));
+            const end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), total - 1) : total - 1;
+
+            if (start >= total || start > end) {
+                res.writeHead(416, { 'Content-Range': `bytes */${total}` });
+                res.end();
+                return;
+            }
+
+            res.writeHead(206, {
+                ...headers,
+                'Content-Range': `bytes ${start}-${end}/${total}`,
+                'Content-Length': String(end - start + 1)
+            });
+            this._sendBody(req, res, blob.data.subarray(start, end + 1), dropAfterBytes);
+            return;
+        }
+
+        res.writeHead(200, { ...headers, 'Content-Length': String(total) });
+        this._sendBody(req, res, blob.data, dropAfterBytes);
+    }
+
+    /**
+     * Send a blob body, optionally cutting the connection part-way (scripted dropAfterBytes)
+     */
+    _sendBody(req, res, data, dropAfterBytes) {
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        if (dropAfterBytes === null || dropAfterBytes >= data.length) {
+            res.end(data);
+            return;
+        }
+        res.write(data.subarray(0, dropAfterBytes), () => res.socket.destroy());
+    }
+
+    _put(containerName, blobName, params, req, body, res) {
+        const container = this.containers.get(containerName);
+        const comp = params.get('comp');
+        const contentType = req.headers['x-ms-blob-content-type'] || 'application/octet-stream';
+        const contentMD5 = req.headers['x-ms-blob-content-md5'];
+
+        if (comp === 'block') {
+            const blockId = params.get('blockid');
+            if (!blockId) {
+                this._sendError(res, 400, 'InvalidQueryParameterValue', 'blockid is required');
+                return;
+            }
+            const staged = container.blocks.get(blobName) || new Map();
+            staged.set(blockId, body);
+            container.blocks.set(blobName, staged);
+            res.writeHead(201);
+            res.end();
+            return;
+        }
+
+        if (comp === 'blocklist') {
+            const staged = container.blocks.get(blobName) || new Map();
+            const ids = Array.from(body.toString('utf8').matchAll(/<(?:Latest|Uncommitted|Committed)>([^<]+)<\//g)).map(m => m[1]);
+            const missing = ids.find(id => !staged.has(id));
+            if (missing) {
+                this._sendError(res, 400, 'InvalidBlockList', `Block ${missing} was not staged`);
+                return;
+            }
+
+            // Like Azure, a committed block list only carries an MD5 when the client supplies one
+            const blob = this.putBlob(containerName, blobName, Buffer.concat(ids.map(id => staged.get(id))), {
+                contentType,
+                contentMD5: contentMD5 || null
+            });
+            container.blocks.delete(blobName);
+            res.writeHead(201, { 'ETag': blob.etag });
+            res.end();
+            return;
+        }
+
+        if (req.headers['x-ms-blob-type'] !== 'BlockBlob') {
+            this._sendError(res, 400, 'MissingRequiredHeader', 'x-ms-blob-type: BlockBlob is required');
+            return;
+        }
+
+        if (contentMD5) {
+            const actual = crypto.createHash('md5').update(body).digest('base64');
+            if (actual !== contentMD5) {
+                this._sendError(res, 400, 'Md5Mismatch', 'The MD5 value specified in the request did not match the MD5 value calculated by the server.');
+                return;
+            }
+        }
+
+        const blob = this.putBlob(containerName, blobName, body, { contentType });
+        res.writeHead(201, { 'ETag': blob.etag, 'Content-MD5': blob.contentMD5 });
+        res.end();
+    }
+
+    // ------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------
+
+    _sign(containerName, permissions, expiresOn) {
+        return crypto.createHmac('sha256', this.accountKey)
+            .update(`${permissions}\n${expiresOn}\n/${this.accountName}/${containerName}`, 'utf8')
+            .digest('base64');
+    }
+
+    _checkSas(containerName, params, required) {
+        const signature = params.get('sig');
+        const permissions = params.get('sp') || '';
+        const expiresOn = params.get('se') || '';
+
+        if (!signature) {
+            return 'Server failed to authenticate the request. No SAS token was supplied.';
+        }
+
+        const expected = Buffer.from(this._sign(containerName, permissions, expiresOn));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return 'Signature did not match.';
+        }
+        if (new Date(expiresOn).getTime() < Date.now()) {
+            return 'Signed expiry time has passed.';
+        }
+        if (!permissions.includes(required) && !(required === 'w' && permissions.includes('c'))) {
+            return `This request is not authorized to perform this operation using this permission (needs "${required}").`;
+        }
+        return null;
+    }
+
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    _sendError(res, status, code, message) {
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="utf-8"?><Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+    }
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = { FakeBlobServer, escapeXml };
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * DXP API Simulator entry point
+ *
+ * Library use:
+ *   const { DxpApiSimulator } = require('./regression/simulator');
+ *   const simulator = new DxpApiSimulator({ transitions: { deploymentMs: 500 } });
+ *   await simulator.start();
+ *   Object.assign(process.env, simulator.getEnv());
+ *
+ * Standalone:
+ *   node regression/simulator [--port 8089] [--transition-seconds 5] [--seed-logs]
+ */
+
+const { DxpApiSimulator, DEFAULT_PROJECT, ENVIRONMENTS } = require('./dxp-api-simulator');
+const { FakeBlobServer } = require('./fake-blob-server');
+const { FailureScript } = require('./failure-script');
+
+function parseArgs(argv) {
+    const options = { port: 8089, transitionSeconds: null, seedLogs: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                options.port = parseInt(argv[++i], 10);
+                break;
+            case '--transition-seconds':
+                options.transitionSeconds = parseFloat(argv[++i]);
+                break;
+            case '--seed-logs':
+                options.seedLogs = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node regression/simulator [--port 8089] [--transition-seconds N] [--seed-logs]');
+        return;
+    }
+
+    const transitions = options.transitionSeconds !== null
+        ? {
+            deploymentMs: options.transitionSeconds * 1000,
+            completeMs: options.transitionSeconds * 1000,
+            resetMs: options.transitionSeconds * 1000,
+            exportMs: options.transitionSeconds * 1000
+        }
+        : undefined;
+
+    const simulator = new DxpApiSimulator({ port: options.port, transitions });
+    await simulator.start();
+
+    if (options.seedLogs) {
+        ENVIRONMENTS.forEach(environment => simulator.seedLogs(environment));
+    }
+
+    console.log('🧪 DXP API simulator running');
+    console.log(`   API:      ${simulator.apiUrl}`);
+    console.log(`   Control:  ${simulator.baseUrl}/_simulator/state`);
+    console.log('');
+    console.log('Point the MCP server at it with:');
+    for (const [key, value] of Object.entries(simulator.getEnv())) {
+        console.log(`   export ${key}="${value}"`);
+    }
+    console.log('');
+    console.log('Press Ctrl+C to stop.');
+
+    const shutdown = async () => {
+        await simulator.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Simulator failed to start: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { DxpApiSimulator, FakeBlobServer, FailureScript, DEFAULT_PROJECT, ENVIRONMENTS };
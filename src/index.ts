@@ -28,9 +28,17 @@
  *    - Enables enterprise monitoring integrations (DataDog, Splunk, etc.)
  *    - Auto-fallback to in-memory if Redis unavailable
  *
+ * 3. File (Single-user durable history):
+ *    - Set EVENT_BUS_TYPE=file
+ *    - Events appended to ~/.optimizely-dxp/events/events.jsonl, rotated and compacted
+ *    - History survives restarts; deployment/export/download resources are rebuilt from it
+ *
  * Environment Variables:
- *   EVENT_BUS_TYPE     - 'memory' (default) or 'redis'
+ *   EVENT_BUS_TYPE     - 'memory' (default), 'redis' or 'file'
  *   REDIS_URL          - Redis connection URL (required if EVENT_BUS_TYPE=redis)
+ *   EVENT_BUS_DIR      - Event store directory for EVENT_BUS_TYPE=file
+ *   EVENT_BUS_MAX_FILE_MB      - Rotate the active event file at this size (default: 10)
+ *   EVENT_BUS_RETENTION_DAYS   - Drop file history older than this (default: 7)
  *   EVENT_BUS_FALLBACK - Set to 'false' to disable auto-fallback to in-memory
  *
  * Example Redis Configuration:
@@ -125,10 +133,21 @@ import PermissionChecker from '../lib/tools/permission-checker';
 import SimpleTools from '../lib/tools/simple-tools';
 import DatabaseSimpleTools from '../lib/tools/database-simple-tools';
 import BlobDownloadTools from '../lib/tools/blob-download-tools';
+import BlobUploadTools from '../lib/tools/blob-upload-tools';
+import BlobDiffTools from '../lib/tools/blob-diff-tools';
+import BackupTools from '../lib/tools/backup-tools';
 import LogDownloadTools from '../lib/tools/log-download-tools';
 import DownloadManagementTools from '../lib/tools/download-management-tools';
 import ProjectSwitchTool from '../lib/tools/project-switch-tool';
 import LogAnalysisTools from '../lib/tools/log-analysis-tools';
+import LogTailTools from '../lib/tools/log-tail-tools';
+import LogSearchTools from '../lib/tools/log-search-tools';
+import CrawlerReportTools from '../lib/tools/crawler-report-tools';
+import EventTools from '../lib/tools/event-tools';
+import WebhookTools from '../lib/tools/webhook-tools';
+import AuditTools from '../lib/tools/audit-tools';
+import PipelineTools from '../lib/tools/pipeline-tools';
+import SchedulerTools from '../lib/tools/scheduler-tools';
 import VersionChecker from '../lib/version-check';
 import AIGuidanceTools from '../lib/tools/ai-guidance-tools';
 import DatabaseExportPrompts from '../lib/prompts/database-export-prompts';
@@ -139,16 +158,22 @@ import { getTelemetry } from '../lib/telemetry';
 
 // DXP-136: Import event system for MCP Resources
 import { getGlobalResourceManager } from '../lib/events/resource-manager';
+import { getGlobalEmitter } from '../lib/events/event-emitter';
 import { initializeNotificationSender } from '../lib/events/notification-sender';
 import DeploymentResourceHandler from '../lib/resources/deployment-resource';
 import ExportResourceHandler from '../lib/resources/export-resource';
 import DownloadResourceHandler from '../lib/resources/download-resource';
+import PipelineResourceHandler from '../lib/resources/pipeline-resource';
+import AlertResourceHandler from '../lib/resources/alert-resource';
+import { getGlobalPipelineRunner } from '../lib/pipeline-runner';
+import { getGlobalScheduler } from '../lib/operation-scheduler';
+import downloadManager from '../lib/download-manager';
 
 // DXP-140: Import webhook system for Phase 2
 import { getGlobalWebhookManager } from '../lib/webhooks/webhook-manager';
 
 // DXP-124-3: Import audit logger for tool invocation tracking
-import { AuditLogger } from '../lib/audit-logger';
+import { AuditLogger, setGlobalAuditLogger } from '../lib/audit-logger';
 
 // Hosting type detection and tool filtering (DXP-23)
 import HostingDetector from '../lib/utils/hosting-detector';
@@ -169,6 +194,7 @@ const auditLogger = new AuditLogger({
     version: packageJson.version,
     enabled: process.env.DXP_AUDIT_ENABLED !== 'false' // Default: enabled, can disable with DXP_AUDIT_ENABLED=false
 });
+setGlobalAuditLogger(auditLogger);
 
 // Import express for HTTP mode
 import express from 'express';
@@ -229,6 +255,35 @@ const environmentSchema = z.string().transform(normalizeEnvironmentName).pipe(
     z.enum(['Integration', 'Preproduction', 'Production'])
 );
 
+// Shared by upload_blobs and sync_blobs
+const blobUploadFields = {
+    environment: environmentSchema.describe('Environment to upload to (required - uploads never default to an environment)'),
+    sourcePath: z.string().describe('Local folder to upload'),
+    containerName: z.string().optional().describe('Writable storage container (auto-detects the media container if not specified)'),
+    targetPrefix: z.string().optional().describe('Blob name prefix to upload under (e.g., "globalassets/2024")'),
+    include: z.union([z.string(), z.array(z.string())]).optional().describe('Only upload matching files: glob ("*.jpg", "products/*.png") or substring, same syntax as download_blobs filter'),
+    exclude: z.union([z.string(), z.array(z.string())]).optional().describe('Skip matching files (glob or substring)'),
+    skipUnchanged: z.boolean().optional().default(true).describe('Skip files whose MD5 matches the blob Content-MD5. Default: true'),
+    concurrency: z.number().int().min(1).max(16).optional().default(4).describe('Parallel uploads (1-16). Default: 4'),
+    diffFile: z.string().optional().describe('Diff file from diff_blob_containers - only upload its added/changed blobs (and only delete its removed ones); its target must be this environment and container'),
+    projectName: z.string().optional(),
+    projectId: z.string().optional(),
+    apiKey: z.string().optional(),
+    apiSecret: z.string().optional()
+};
+
+// Auto-verification options shared by complete_deployment and monitor_deployment
+const autoVerifyFields = {
+    autoVerify: z.boolean().optional().describe('Compare slot vs production logs at AwaitingVerification, then complete or reset automatically (default: false)'),
+    verifySampleMinutes: z.number().min(5).max(240).optional().describe('Minutes of logs to sample from baseline and slot (default: 30)'),
+    verifyDelayMinutes: z.number().min(0).max(120).optional().describe('Minutes to let slot traffic build up before sampling (default: 5)'),
+    maxErrorIncrease: z.number().optional().describe('Max error increase, 0.5 = 50% (default: 0.5)'),
+    maxScoreDecrease: z.number().optional().describe('Max health score drop in points (default: 20)'),
+    maxLatencyIncrease: z.number().optional().describe('Max P95 latency increase in ms (default: 100)'),
+    onWarning: z.enum(['complete', 'reset', 'hold']).optional().describe('Action on a warning verdict (default: hold)'),
+    onCritical: z.enum(['reset', 'hold']).optional().describe('Action on a critical verdict (default: reset)')
+};
+
 // Define Zod schemas for each tool
 const schemas = {
     
@@ -299,9 +354,11 @@ const schemas = {
         environment: z.string().optional().describe('Environment where export was created (not required if downloadUrl provided)'),
         downloadUrl: z.string().optional().describe('Direct SAS URL to download from (skips API authentication - useful for downloaded URLs from db_export_status)'),
         downloadPath: z.string().optional().describe('Directory to save downloaded export'),
+        database: z.string().optional().describe('Database the export is of, used in the file name: epicms or epicommerce (default: epicms)'),
         background: z.boolean().optional().default(true).describe('Download in background vs wait for completion (default: true)'),
         skipConfirmation: z.boolean().optional().describe('Skip file overwrite confirmation prompts'),
         monitor: z.boolean().optional().describe('Enable download monitoring - instructs AI to poll check_download_status until complete'),
+        mask: z.boolean().optional().describe('Also write a masked copy using the project masking rules (default: autoMask from the masking rules file)'),
         project: z.string().optional().describe('Project name (default: current project)'),
         // Legacy parameters
         projectName: z.string().optional().describe('Alternative to project parameter'),
@@ -314,6 +371,64 @@ const schemas = {
         environment: z.string().optional().describe('Environment to test (default: Production)')
     }),
 
+    list_backups: z.object({
+        environment: z.string().optional().describe('Only backups of this environment: Production, Preproduction, Integration'),
+        database: z.string().optional().describe('Only backups of this database (epicms or epicommerce)'),
+        downloadPath: z.string().optional().describe('Folder the backups were downloaded to (default: the project database download path)'),
+        project: z.string().optional().describe('Project name (default: current project)'),
+        // Legacy parameters
+        projectName: z.string().optional().describe('Alternative to project parameter'),
+        projectId: z.string().optional().describe('Project UUID (if providing inline credentials)'),
+        apiKey: z.string().optional().describe('API key (if providing inline credentials)'),
+        apiSecret: z.string().optional().describe('API secret (if providing inline credentials)')
+    }),
+
+    prune_backups: z.object({
+        keepDaily: z.number().int().min(0).optional().describe('Keep the newest backup of each of the last N days (default: retention file, else 7)'),
+        keepWeekly: z.number().int().min(0).optional().describe('Keep the newest backup of each of the last M ISO weeks (default: retention file, else 4)'),
+        dryRun: z.boolean().optional().default(true).describe('Show what would be deleted without deleting. Default: true - set false to apply'),
+        environment: z.string().optional().describe('Only prune backups of this environment'),
+        database: z.string().optional().describe('Only prune backups of this database (epicms or epicommerce)'),
+        downloadPath: z.string().optional().describe('Folder the backups were downloaded to (default: the project database download path)'),
+        project: z.string().optional().describe('Project name (default: current project)'),
+        // Legacy parameters
+        projectName: z.string().optional().describe('Alternative to project parameter'),
+        projectId: z.string().optional().describe('Project UUID (if providing inline credentials)'),
+        apiKey: z.string().optional().describe('API key (if providing inline credentials)'),
+        apiSecret: z.string().optional().describe('API secret (if providing inline credentials)')
+    }),
+
+    inspect_bacpac: z.object({
+        filePath: z.string().optional().describe('Path to the .bacpac (default: newest downloaded backup matching environment/database)'),
+        compareTo: z.string().optional().describe('Path to another .bacpac to diff against, or "previous" for the backup before it in the catalog'),
+        countRows: z.boolean().optional().default(true).describe('Count rows by reading the table data (default: true). Set false for a fast schema-and-size-only report'),
+        limit: z.number().int().min(1).max(500).optional().default(25).describe('Tables to list in the text report (default: 25). Structured data always has all tables'),
+        environment: z.string().optional().describe('Pick the newest backup of this environment when filePath is omitted'),
+        database: z.string().optional().describe('Pick the newest backup of this database when filePath is omitted'),
+        downloadPath: z.string().optional().describe('Folder the backups were downloaded to (default: the project database download path)'),
+        project: z.string().optional().describe('Project name (default: current project)'),
+        // Legacy parameters
+        projectName: z.string().optional().describe('Alternative to project parameter'),
+        projectId: z.string().optional().describe('Project UUID (if providing inline credentials)'),
+        apiKey: z.string().optional().describe('API key (if providing inline credentials)'),
+        apiSecret: z.string().optional().describe('API secret (if providing inline credentials)')
+    }),
+
+    mask_bacpac: z.object({
+        filePath: z.string().optional().describe('Path to the .bacpac to mask (default: newest downloaded backup matching environment/database)'),
+        outputPath: z.string().optional().describe('Where to write the masked copy (default: <name>.masked.bacpac next to the source)'),
+        dryRun: z.boolean().optional().default(false).describe('Only show which columns the rules match, without writing (default: false)'),
+        environment: z.string().optional().describe('Pick the newest backup of this environment when filePath is omitted'),
+        database: z.string().optional().describe('Pick the newest backup of this database when filePath is omitted'),
+        downloadPath: z.string().optional().describe('Folder the backups were downloaded to (default: the project database download path)'),
+        project: z.string().optional().describe('Project name (default: current project)'),
+        // Legacy parameters
+        projectName: z.string().optional().describe('Alternative to project parameter'),
+        projectId: z.string().optional().describe('Project UUID (if providing inline credentials)'),
+        apiKey: z.string().optional().describe('API key (if providing inline credentials)'),
+        apiSecret: z.string().optional().describe('API secret (if providing inline credentials)')
+    }),
+
     // REMOVED: check_export_status - renamed to db_export_status
     // REMOVED: export_database - renamed to db_export
     // REMOVED: download_database_export - renamed to db_export_download
@@ -328,6 +443,7 @@ const schemas = {
         downloadPath: z.string().optional().describe('Where to save files (auto-detected based on project)'),
         previewOnly: z.boolean().optional().describe('Show download preview without actually downloading'),
         filter: z.string().optional().describe('Filter for specific files: exact name ("logo.png"), glob pattern ("*.pdf", "2024/*.jpg"), or substring ("report")'),
+        diffFile: z.string().optional().describe('Diff file from diff_blob_containers - download only its added and changed blobs; its source must be this environment and container'),
         incremental: z.boolean().optional().describe('Use smart incremental download (skip unchanged files). Default: true'),
         forceFullDownload: z.boolean().optional().describe('Force full download even if files exist locally. Default: false'),
         skipConfirmation: z.boolean().optional().default(false).describe('Skip confirmation preview (WARNING: downloads immediately without preview). Default: false - always show preview'),
@@ -339,6 +455,33 @@ const schemas = {
         apiSecret: z.string().optional()
     }),
 
+    // Blob upload tools
+    upload_blobs: z.object({
+        ...blobUploadFields,
+        dryRun: z.boolean().optional().default(false).describe('Show what would be uploaded without uploading. Default: false')
+    }),
+
+    sync_blobs: z.object({
+        ...blobUploadFields,
+        dryRun: z.boolean().optional().default(true).describe('Show uploads and deletions without applying them. Default: true - set false to apply')
+    }),
+
+    diff_blob_containers: z.object({
+        sourceEnvironment: environmentSchema.optional().describe('Environment to compare from (e.g., Production)'),
+        sourceContainer: z.string().optional().describe('Source container (auto-detects the media container if not specified)'),
+        sourcePath: z.string().optional().describe('Local folder to use as the source instead of an environment'),
+        targetEnvironment: environmentSchema.optional().describe('Environment to compare against (e.g., Preproduction)'),
+        targetContainer: z.string().optional().describe('Target container (auto-detects the media container if not specified)'),
+        targetPath: z.string().optional().describe('Local folder to use as the target instead of an environment'),
+        prefix: z.string().optional().describe('Only compare blobs under this prefix (e.g., "globalassets/2024")'),
+        filter: z.string().optional().describe('Only compare matching blobs: glob ("*.jpg") or substring, same syntax as download_blobs filter'),
+        outputFile: z.string().optional().describe('Write the full diff as JSON here - usable as diffFile for download_blobs, upload_blobs and sync_blobs'),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
+    }),
+
     // Log download tools
     download_logs: z.object({
         environment: z.enum(['Integration', 'Preproduction', 'Production']).optional().default('Production'),
@@ -384,6 +527,7 @@ const schemas = {
         structuredContent: z.boolean().optional().default(true).describe('Return guaranteed structured JSON (recommended for automation). All fields always present with null/0/[] for missing data. Default: true'),
         debug: z.boolean().optional().default(false).describe('Include debug information in response (container selection, blob dates, pagination details). Useful for troubleshooting. Default: false (DXP-118)'),
         timeoutSeconds: z.number().optional().describe('Maximum time in seconds to wait for analysis. Default: 300s (5 min) for <3 days, 600s (10 min) for larger ranges. Increase for very large time ranges (7+ days). (DXP-188)'),
+        bucketMinutes: z.number().optional().describe('Size of the time-series buckets in minutes. Default: picked so the window splits into about 60 buckets'),
         projectName: z.string().optional(),
         projectId: z.string().optional(),
         apiKey: z.string().optional(),
@@ -405,8 +549,31 @@ const schemas = {
             performance: z.object({
                 avgResponseTime: z.number().nullable(),
                 p95ResponseTime: z.number().nullable(),
-                p99ResponseTime: z.number().nullable()
-            })
+                p99ResponseTime: z.number().nullable(),
+                latencyHistogram: z.object({
+                    bounds: z.array(z.number()),
+                    counts: z.array(z.number())
+                }).nullable().optional()
+            }),
+            exceptions: z.object({
+                topGroups: z.array(z.object({
+                    fingerprint: z.string(),
+                    type: z.string(),
+                    message: z.string().optional(),
+                    count: z.number(),
+                    firstSeen: z.string().optional(),
+                    paths: z.array(z.string()).optional()
+                }).passthrough()).optional(),
+                fingerprints: z.array(z.string()).optional()
+            }).passthrough().optional(),
+            paths: z.array(z.object({
+                path: z.string(),
+                requests: z.number(),
+                errors: z.number(),
+                timedRequests: z.number().optional(),
+                avgResponseTime: z.number().nullable().optional(),
+                stdDevResponseTime: z.number().nullable().optional()
+            }).passthrough()).optional()
         }).describe('Baseline log analysis (from analyze_logs_streaming)'),
         slot: z.object({
             summary: z.object({
@@ -421,14 +588,115 @@ const schemas = {
             performance: z.object({
                 avgResponseTime: z.number().nullable(),
                 p95ResponseTime: z.number().nullable(),
-                p99ResponseTime: z.number().nullable()
-            })
+                p99ResponseTime: z.number().nullable(),
+                latencyHistogram: z.object({
+                    bounds: z.array(z.number()),
+                    counts: z.array(z.number())
+                }).nullable().optional()
+            }),
+            exceptions: z.object({
+                topGroups: z.array(z.object({
+                    fingerprint: z.string(),
+                    type: z.string(),
+                    message: z.string().optional(),
+                    count: z.number(),
+                    firstSeen: z.string().optional(),
+                    paths: z.array(z.string()).optional()
+                }).passthrough()).optional(),
+                fingerprints: z.array(z.string()).optional()
+            }).passthrough().optional(),
+            paths: z.array(z.object({
+                path: z.string(),
+                requests: z.number(),
+                errors: z.number(),
+                timedRequests: z.number().optional(),
+                avgResponseTime: z.number().nullable().optional(),
+                stdDevResponseTime: z.number().nullable().optional()
+            }).passthrough()).optional()
         }).describe('Slot log analysis (from analyze_logs_streaming)'),
         thresholds: z.object({
             maxErrorIncrease: z.number().optional().default(0.5).describe('Max error rate increase as decimal (0.5 = 50%). Default: 0.5'),
             maxScoreDecrease: z.number().optional().default(20).describe('Max health score decrease in points. Default: 20'),
-            maxLatencyIncrease: z.number().optional().default(100).describe('Max P95 latency increase in milliseconds. Default: 100')
-        }).optional().describe('Threshold overrides. Defaults: 50% error increase, 20 point score drop, 100ms latency increase')
+            maxLatencyIncrease: z.number().optional().default(100).describe('Max P95 latency increase in milliseconds. Default: 100'),
+            minRequests: z.number().optional().describe('Requests needed on each side before deciding; fewer returns insufficient_data. Default: 100'),
+            minPathRequests: z.number().optional().describe('Requests needed on each side before a path is compared. Default: 30'),
+            confidence: z.number().min(0.5).max(0.9999).optional().describe('Confidence level for the significance tests. Default: 0.95')
+        }).optional().describe('Threshold overrides. Defaults: 50% error rate increase, 20 point score drop, 100ms latency increase, 100 requests per side, 95% confidence')
+    }),
+
+    // Continuous log tailing with alert rules
+    tail_logs: z.object({
+        environment: z.enum(['Integration', 'Preproduction', 'Production']).optional().default('Production').describe('Environment to tail. Default: Production'),
+        logType: z.enum(['web', 'application']).optional().default('web').describe('"web" for HTTP logs, "application" for console logs. Default: web'),
+        slot: z.boolean().optional().default(false).describe('Tail deployment slot logs instead of the main site. Default: false'),
+        pollSeconds: z.number().optional().describe('Seconds between polls (default: 60, min: 30)'),
+        rules: z.array(z.object({
+            name: z.string().optional().describe('Unique rule name, used in alert keys'),
+            metric: z.enum(['requests', 'errors', 'errorRate', 'statusRate', 'p95', 'p99', 'avgResponseTime', 'newException']),
+            threshold: z.number().optional().describe('Percent for errorRate/statusRate, ms for p95/p99/avgResponseTime, a count for requests/errors. Not used by newException'),
+            operator: z.enum(['>', '>=', '<', '<=']).optional().describe('Default: >'),
+            windowMinutes: z.number().optional().describe('Sliding window in minutes, 1-60. Default: 5'),
+            minRequests: z.number().optional().describe('Rates and latency are not judged on windows with fewer requests. Default: 20'),
+            status: z.string().optional().describe('For statusRate: "5xx", "4xx" or an exact code like "503"'),
+            path: z.string().optional().describe('Only requests whose path matches this glob, e.g. "/checkout*"'),
+            exceptionKey: z.enum(['type', 'fingerprint']).optional().describe('For newException: alert per unseen exception type (default) or per unseen fingerprint'),
+            environment: z.string().optional().describe('Only apply this rule when tailing this environment'),
+            severity: z.enum(['warning', 'critical']).optional().describe('Default: warning')
+        })).optional().describe('Alert rules. Default: the project\'s alert-rules.json, else built-in rules for the log type'),
+        webhookUrl: z.string().optional().describe('HTTP endpoint to receive alert.triggered / alert.resolved events (HTTPS required in production)'),
+        webhookHeaders: z.record(z.string()).optional().describe('Custom headers to include in webhook requests'),
+        webhookFormat: z.enum(['json', 'slack', 'teams', 'cloudevents', 'cloudevents-binary']).optional().describe('Webhook payload format: json (flat, default), slack (Block Kit), teams (Adaptive Card), cloudevents (CloudEvents 1.0 structured) or cloudevents-binary (ce-* headers)'),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
+    }),
+
+    get_tail_status: z.object({
+        watcherId: z.string().optional().describe('Watcher ID returned by tail_logs. Omit to list all watchers'),
+        projectName: z.string().optional().describe('When listing, only show watchers for this project')
+    }),
+
+    stop_tail_logs: z.object({
+        watcherId: z.string().describe('Watcher ID to stop')
+    }),
+
+    // Filter / group-by search over downloaded or streamed logs
+    search_logs: z.object({
+        query: z.string().optional().describe('Filter expression, e.g. \'status>=500 AND path=/checkout*\' or \'level=error message~"timeout|deadlock"\'. Fields: status, path, method, userAgent, ip, responseTime, size, level, message, host, referrer, type, time, error. Operators: = != (glob with *, status=5xx) > >= < <= ~ !~ (regex); AND, OR, NOT, parentheses. Omit to match everything'),
+        source: z.enum(['local', 'stream']).optional().default('local').describe('"local" searches files written by download_logs (located through their manifests), "stream" reads the log containers directly. Default: local'),
+        environment: z.enum(['Integration', 'Preproduction', 'Production']).optional().default('Production').describe('Environment. Default: Production'),
+        logType: z.enum(['web', 'application', 'all']).optional().default('all').describe('"web" for HTTP logs, "application" for console logs, "all" for both. Default: all'),
+        slot: z.boolean().optional().default(false).describe('Search deployment slot logs instead of the main site. Default: false'),
+        downloadPath: z.string().optional().describe('For source "local": folder download_logs wrote to (or a parent of it). Default: the configured log download path'),
+        minutesBack: z.number().optional().describe('Only entries from the last N minutes. Default: all downloaded files for local, 60 for stream'),
+        startDateTime: z.string().optional().describe('ISO 8601 start datetime (alternative to minutesBack)'),
+        endDateTime: z.string().optional().describe('ISO 8601 end datetime (alternative to minutesBack)'),
+        groupBy: z.array(z.string()).optional().describe('Count matches per group instead of listing them, e.g. ["path"] or ["statusClass", "hour"]. Any field except time, plus statusClass, day, hour, minute'),
+        top: z.number().optional().describe('Groups to return, largest first. Default: 20'),
+        limit: z.number().optional().describe('Matching entries to return when not grouping (max 500). Default: 50'),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
+    }),
+
+    // Bot and AI-crawler traffic report
+    crawler_report: z.object({
+        source: z.enum(['local', 'stream']).optional().default('local').describe('"local" reads web logs from download_logs, "stream" reads the log container directly. Default: local'),
+        environment: z.enum(['Integration', 'Preproduction', 'Production']).optional().default('Production').describe('Environment. Default: Production'),
+        slot: z.boolean().optional().default(false).describe('Report on deployment slot logs instead of the main site. Default: false'),
+        downloadPath: z.string().optional().describe('For source "local": folder download_logs wrote to (or a parent of it). Default: the configured log download path'),
+        minutesBack: z.number().optional().describe('Only requests from the last N minutes. Default: all downloaded files for local, 60 for stream'),
+        startDateTime: z.string().optional().describe('ISO 8601 start datetime (alternative to minutesBack)'),
+        endDateTime: z.string().optional().describe('ISO 8601 end datetime (alternative to minutesBack)'),
+        robotsTxtPath: z.string().optional().describe('Local robots.txt to check requests against. Default: robotsTxtPath from ~/.optimizely-dxp/crawlers.json, if set'),
+        category: z.enum(['ai', 'search', 'seo', 'social', 'monitoring', 'other']).optional().describe('Only list crawlers of this category (totals still cover all traffic)'),
+        top: z.number().optional().describe('Paths listed per crawler. Default: 10'),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
     }),
 
     // Log discovery tool
@@ -484,6 +752,16 @@ const schemas = {
             .optional()
             .describe('Download ID to cancel. Omit to cancel all active downloads')
     }),
+
+    download_pause: z.object({
+        downloadId: z.string()
+            .describe('Download ID to pause (from download_list)')
+    }),
+
+    download_resume: z.object({
+        downloadId: z.string()
+            .describe('Download ID of a paused download')
+    }),
     
     // Download configuration
     show_download_config: z.object({
@@ -625,6 +903,7 @@ const schemas = {
         useMaintenancePage: z.boolean().optional().default(false),
         webhookUrl: z.string().optional().describe('HTTP endpoint to receive deployment events (HTTPS required in production)'),
         webhookHeaders: z.record(z.string()).optional().describe('Custom headers to include in webhook requests (e.g., { "Authorization": "Bearer token" })'),
+        webhookFormat: z.enum(['json', 'slack', 'teams', 'cloudevents', 'cloudevents-binary']).optional().describe('Webhook payload format: json (flat, default), slack (Block Kit), teams (Adaptive Card), cloudevents (CloudEvents 1.0 structured) or cloudevents-binary (ce-* headers)'),
         projectName: z.string().optional(),
         projectId: z.string().optional(),
         apiKey: z.string().optional(),
@@ -646,6 +925,7 @@ const schemas = {
         interval: z.number().optional().describe('Check interval in seconds (default: 30)'),
         maxDuration: z.number().optional().describe('Maximum monitoring duration in minutes (default: 30)'),
         autoComplete: z.boolean().optional().describe('Auto-complete when verification reached (default: false)'),
+        ...autoVerifyFields,
         projectName: z.string().optional(),
         projectId: z.string().optional(),
         apiKey: z.string().optional(),
@@ -655,6 +935,7 @@ const schemas = {
     complete_deployment: z.object({
         deploymentId: z.string(),
         monitor: z.boolean().optional().default(true),
+        ...autoVerifyFields,
         projectName: z.string().optional(),
         projectId: z.string().optional(),
         apiKey: z.string().optional(),
@@ -692,10 +973,103 @@ const schemas = {
     }),
     
     // Package operations
-    
+    upload_package: z.object({
+        packagePath: z.string().optional().describe('Path to a local package file (e.g., ./mysite.cms.app.1.0.0.nupkg)'),
+        packagePaths: z.array(z.string()).optional().describe('Paths to multiple local package files'),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
+    }),
+
+    deploy_package: z.object({
+        targetEnvironment: environmentSchema,
+        packagePath: z.string().optional().describe('Path to a local package file to upload and deploy'),
+        packagePaths: z.array(z.string()).optional().describe('Paths to multiple local package files to upload and deploy'),
+        packages: z.array(z.string()).optional().describe('Names of packages already uploaded with upload_package'),
+        directDeploy: z.boolean().optional().default(false),
+        useMaintenancePage: z.boolean().optional().default(false),
+        zeroDowntimeMode: z.enum(['ReadOnly', 'ReadWrite']).optional().describe('Zero downtime deployment mode (requires smooth deployment support)'),
+        webhookUrl: z.string().optional().describe('HTTP endpoint to receive deployment events (HTTPS required in production)'),
+        webhookHeaders: z.record(z.string()).optional().describe('Custom headers to include in webhook requests (e.g., { "Authorization": "Bearer token" })'),
+        webhookFormat: z.enum(['json', 'slack', 'teams', 'cloudevents', 'cloudevents-binary']).optional().describe('Webhook payload format: json (flat, default), slack (Block Kit), teams (Adaptive Card), cloudevents (CloudEvents 1.0 structured) or cloudevents-binary (ce-* headers)'),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
+    }),
+
+    // Pipeline operations
+    start_pipeline: z.object({
+        sourceEnvironment: environmentSchema.optional().describe('First environment of the promotion path (default: Integration)'),
+        targetEnvironment: environmentSchema.optional().describe('Last environment of the promotion path (default: Production)'),
+        packages: z.array(z.string()).optional().describe('Names of packages uploaded with upload_package to deploy to Integration as the first stage'),
+        sourceApps: z.array(z.string()).optional().describe('Apps to promote between environments (default: ["cms"])'),
+        useMaintenancePage: z.boolean().optional().default(false),
+        pollInterval: z.number().optional().describe('Deployment status check interval in seconds (default: 60, min: 10)'),
+        gateEnabled: z.boolean().optional().describe('Compare baseline vs slot logs before completing each stage (default: true)'),
+        gateLogType: z.enum(['web', 'application']).optional().describe('Logs used by the gate (default: web)'),
+        gateMinutesBack: z.number().optional().describe('Log window analyzed by the gate in minutes (default: 30)'),
+        gateDelayMinutes: z.number().optional().describe('Minutes to wait after AwaitingVerification before sampling logs (default: 5)'),
+        maxErrorIncrease: z.number().optional().describe('Max error rate increase as fraction (default: 0.5 = 50%)'),
+        maxScoreDecrease: z.number().optional().describe('Max health score decrease in points (default: 20)'),
+        maxLatencyIncrease: z.number().optional().describe('Max P95 latency increase in ms (default: 100)'),
+        onWarning: z.enum(['complete', 'reset', 'pause']).optional().describe('Action when the gate returns warning (default: pause)'),
+        onCritical: z.enum(['reset', 'pause']).optional().describe('Action when the gate returns critical (default: reset)'),
+        webhookUrl: z.string().optional().describe('HTTP endpoint to receive pipeline events (HTTPS required in production)'),
+        webhookHeaders: z.record(z.string()).optional().describe('Custom headers to include in webhook requests'),
+        webhookFormat: z.enum(['json', 'slack', 'teams', 'cloudevents', 'cloudevents-binary']).optional().describe('Webhook payload format: json (flat, default), slack (Block Kit), teams (Adaptive Card), cloudevents (CloudEvents 1.0 structured) or cloudevents-binary (ce-* headers)'),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
+    }),
+
+    get_pipeline_status: z.object({
+        pipelineId: z.string().describe('Pipeline ID returned by start_pipeline')
+    }),
+
+    list_pipelines: z.object({
+        activeOnly: z.boolean().optional().default(false).describe('Only show running or paused pipelines')
+    }),
+
+    approve_pipeline_stage: z.object({
+        pipelineId: z.string().describe('Pipeline ID waiting for approval'),
+        action: z.enum(['complete', 'reset']).describe('"complete" promotes the stage and continues, "reset" rolls it back and stops the pipeline'),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
+    }),
+
+    cancel_pipeline: z.object({
+        pipelineId: z.string().describe('Pipeline ID to cancel'),
+        reason: z.string().optional()
+    }),
+
+    // Scheduled operations
+    schedule_operation: z.object({
+        operation: z.enum(['start_deployment', 'complete_deployment', 'db_export']).describe('Tool to run later'),
+        runAt: z.string().optional().describe('When to run: ISO 8601 with offset (e.g., 2026-11-03T22:00:00+01:00) or "next-window" for the next maintenance window'),
+        delayMinutes: z.number().min(0).optional().describe('Run this many minutes from now (alternative to runAt)'),
+        parameters: z.record(z.any()).optional().default({}).describe('Arguments for the operation, same as calling the tool directly'),
+        note: z.string().optional(),
+        projectName: z.string().optional(),
+        projectId: z.string().optional(),
+        apiKey: z.string().optional(),
+        apiSecret: z.string().optional()
+    }),
+
+    list_scheduled: z.object({
+        status: z.enum(['pending', 'running', 'succeeded', 'failed', 'cancelled', 'missed']).optional(),
+        projectName: z.string().optional()
+    }),
+
+    cancel_scheduled: z.object({
+        scheduleId: z.string().describe('Schedule ID returned by schedule_operation'),
+        reason: z.string().optional()
+    }),
 
-    
-    
     // Content operations
     copy_content: z.object({
         sourceEnvironment: environmentSchema,
@@ -708,16 +1082,122 @@ const schemas = {
 
     // Deployment helper operations
 
+    // Event history replay
+    replay_events: z.object({
+        since: z.string().optional().describe('Start of the range (ISO 8601). Default: minutesBack before until'),
+        until: z.string().optional().describe('End of the range (ISO 8601). Default: now'),
+        minutesBack: z.number().optional().describe('Range length when since is not given. Default: 60'),
+        pattern: z.string().optional().describe('Event type pattern, e.g. "deployment.*" or "export.succeeded". Default: all events'),
+        operationId: z.string().optional().describe('Only events of this operation (deployment, export or download ID)'),
+        project: z.string().optional().describe('Only events for this project'),
+        target: z.enum(['webhook', 'subscribers']).optional().describe('"webhook" sends to webhookUrl, "subscribers" re-publishes on the event bus (resources and registered webhooks). Default: webhook when webhookUrl is given'),
+        webhookUrl: z.string().optional().describe('HTTP endpoint to send the events to (HTTPS required in production)'),
+        webhookHeaders: z.record(z.string()).optional().describe('Custom headers to include in webhook requests'),
+        webhookFormat: z.enum(['json', 'slack', 'teams', 'cloudevents', 'cloudevents-binary']).optional().describe('Webhook payload format: json (flat, default), slack (Block Kit), teams (Adaptive Card), cloudevents (CloudEvents 1.0 structured) or cloudevents-binary (ce-* headers)'),
+        limit: z.number().int().positive().optional().describe('Max events to replay, oldest first (default: 500, max: 1000)')
+    }),
+
+    // Webhook subscriptions, deliveries and signing
+    add_webhook_subscription: z.object({
+        webhookUrl: z.string().describe('HTTP endpoint to deliver matching events to (HTTPS required in production)'),
+        events: z.array(z.string()).optional().describe('Event type patterns with * and ? wildcards, e.g. ["deployment.*", "*.failed"] (default: ["*"])'),
+        project: z.string().optional().describe('Only operations of this project (default: any project)'),
+        environment: z.enum(['Integration', 'Preproduction', 'Production']).optional().describe('Only operations on this environment (default: any environment)'),
+        webhookHeaders: z.record(z.string()).optional().describe('Custom headers to include in webhook requests'),
+        webhookFormat: z.enum(['json', 'slack', 'teams', 'cloudevents', 'cloudevents-binary']).optional().describe('Webhook payload format: json (flat, default), slack (Block Kit), teams (Adaptive Card), cloudevents (CloudEvents 1.0 structured) or cloudevents-binary (ce-* headers)'),
+        description: z.string().optional().describe('Note shown when listing subscriptions'),
+        subscriptionId: z.string().optional().describe('Update this subscription instead of adding a new one')
+    }),
+
+    list_webhook_subscriptions: z.object({
+        project: z.string().optional().describe('Only subscriptions that apply to this project')
+    }),
+
+    remove_webhook_subscription: z.object({
+        subscriptionId: z.string().describe('Subscription to remove')
+    }),
+
+    list_webhook_deliveries: z.object({
+        deliveryId: z.string().optional().describe('Show one delivery with its attempts and payload'),
+        status: z.enum(['pending', 'retrying', 'delivered', 'dead_letter']).optional().describe('Filter by delivery status'),
+        url: z.string().optional().describe('Filter by webhook URL (substring match)'),
+        eventType: z.string().optional().describe('Filter by event type, e.g. "deployment.*"'),
+        operationId: z.string().optional().describe('Filter by operation ID'),
+        since: z.string().optional().describe('Only deliveries queued after this time (ISO 8601)'),
+        limit: z.number().int().positive().optional().describe('Max deliveries to return, newest first (default: 50, max: 500)')
+    }),
+
+    redeliver_webhook: z.object({
+        deliveryId: z.string().optional().describe('Delivery to send again'),
+        deadLetters: z.boolean().optional().describe('Redeliver all dead letters that have not been redelivered yet'),
+        url: z.string().optional().describe('With deadLetters: only this webhook URL (substring match)'),
+        limit: z.number().int().positive().optional().describe('With deadLetters: max redeliveries (default: 100, max: 500)')
+    }),
+
+    rotate_webhook_secret: z.object({
+        webhookUrl: z.string().describe('Webhook URL to sign requests for (query string ignored)'),
+        overlapHours: z.number().min(0).optional().describe('Hours previous secrets keep signing alongside the new one (default: 24, 0 = stop immediately)'),
+        secret: z.string().optional().describe('Use this secret (min 16 characters) instead of generating one'),
+        remove: z.boolean().optional().describe('Remove all secrets for the URL and stop signing')
+    }),
+
     // Audit operations
     query_audit_log: z.object({
-        start_time: z.string().optional().describe('Start time (ISO 8601), e.g., 2025-11-09T00:00:00Z'),
-        end_time: z.string().optional().describe('End time (ISO 8601)'),
+        start_time: z.string().optional().describe('Start time (ISO 8601 or YYYY-MM-DD), e.g., 2025-11-09T00:00:00Z'),
+        end_time: z.string().optional().describe('End time (ISO 8601, or YYYY-MM-DD for the whole day)'),
         tool_name: z.string().optional().describe('Filter by tool name (e.g., "start_deployment")'),
         status: z.enum(['success', 'failure']).optional().describe('Filter by operation status'),
+        project: z.string().optional().describe('Only entries for this project (name or ID)'),
+        environment: z.string().optional().describe('Only entries for this environment (target environment for deployments)'),
+        user: z.string().optional().describe('Only entries by this user ID'),
+        tag: z.string().optional().describe('Only entries with this tag'),
+        params: z.record(z.string()).optional().describe('Only entries whose request parameters have these values, e.g. { "deploymentId": "abc" }'),
+        correlation_id: z.string().optional().describe('Only the entry with this correlation ID'),
         limit: z.number().int().positive().optional().default(100).describe('Max entries to return (default: 100)'),
         offset: z.number().int().min(0).optional().default(0).describe('Offset for pagination (default: 0)')
     }),
 
+    verify_audit_log: z.object({
+        date: z.string().optional().describe('Check a single day (YYYY-MM-DD)'),
+        start_date: z.string().optional().describe('First day to check (YYYY-MM-DD)'),
+        end_date: z.string().optional().describe('Last day to check (YYYY-MM-DD)'),
+        limit: z.number().int().positive().optional().describe('Max issues to list (default: 100, max: 1000)')
+    }),
+
+    export_audit_log: z.object({
+        start_time: z.string().optional().describe('Start time (ISO 8601 or YYYY-MM-DD), e.g., 2025-10-01'),
+        end_time: z.string().optional().describe('End time (ISO 8601, or YYYY-MM-DD for the whole day)'),
+        format: z.enum(['csv', 'json']).optional().default('csv').describe('File format (default: csv)'),
+        output_path: z.string().optional().describe('File to write (default: <audit dir>/exports/audit-<from>_<to>.<format>)'),
+        tool_name: z.string().optional().describe('Only entries for this tool'),
+        status: z.enum(['success', 'failure']).optional().describe('Only entries with this status'),
+        project: z.string().optional().describe('Only entries for this project (name or ID)'),
+        environment: z.string().optional().describe('Only entries for this environment (target environment for deployments)'),
+        user: z.string().optional().describe('Only entries by this user ID'),
+        tag: z.string().optional().describe('Only entries with this tag'),
+        params: z.record(z.string()).optional().describe('Only entries whose request parameters have these values, e.g. { "deploymentId": "abc" }')
+    }),
+
+    summarize_audit_log: z.object({
+        start_time: z.string().optional().describe('Start time (ISO 8601 or YYYY-MM-DD)'),
+        end_time: z.string().optional().describe('End time (ISO 8601, or YYYY-MM-DD for the whole day)'),
+        tool_name: z.string().optional().describe('Only entries for this tool'),
+        status: z.enum(['success', 'failure']).optional().describe('Only entries with this status'),
+        project: z.string().optional().describe('Only entries for this project (name or ID)'),
+        environment: z.string().optional().describe('Only entries for this environment (target environment for deployments)'),
+        user: z.string().optional().describe('Only entries by this user ID'),
+        tag: z.string().optional().describe('Only entries with this tag'),
+        params: z.record(z.string()).optional().describe('Only entries whose request parameters have these values, e.g. { "deploymentId": "abc" }')
+    }),
+
+    trace_audit_correlation: z.object({
+        correlation_id: z.string().optional().describe('Any call in the tree (request.correlation_id from query_audit_log)'),
+        deployment_id: z.string().optional().describe('Show every call behind this deployment'),
+        export_id: z.string().optional().describe('Show every call behind this database export'),
+        start_time: z.string().optional().describe('Only search entries from this time (ISO 8601 or YYYY-MM-DD)'),
+        end_time: z.string().optional().describe('Only search entries up to this time')
+    }),
+
 };
 
 // Special handler for project info - now delegated to ProjectTools
@@ -1316,6 +1796,10 @@ const commandHandlers = {
     'db_export_download': withProjectResolution(withAuditLogging('db_export_download', 'database', (args: any) => DatabaseSimpleTools.handleDownloadDatabaseExport(args))),
     'check_download_status': (args: any) => (DatabaseSimpleTools as any).handleCheckDownloadStatus(args),
     'test_export_query': withProjectResolution((args: any) => (DatabaseSimpleTools as any).testExportQuery(args)),
+    'list_backups': withProjectResolution((args: any) => BackupTools.handleListBackups(args)),
+    'prune_backups': withProjectResolution(withAuditLogging('prune_backups', 'database', (args: any) => BackupTools.handlePruneBackups(args))),
+    'inspect_bacpac': withProjectResolution((args: any) => BackupTools.handleInspectBacpac(args)),
+    'mask_bacpac': withProjectResolution(withAuditLogging('mask_bacpac', 'database', (args: any) => BackupTools.handleMaskBacpac(args))),
     // REMOVED: export_database - renamed to db_export
     // REMOVED: check_export_status - renamed to db_export_status
     // REMOVED: download_database_export - renamed to db_export_download
@@ -1326,6 +1810,11 @@ const commandHandlers = {
     // Blob Download Tools
     'download_blobs': withProjectResolution((args: any) => BlobDownloadTools.handleDownloadBlobs(args)),
 
+    // Blob Upload Tools
+    'upload_blobs': withProjectResolution(withAuditLogging('upload_blobs', 'storage', (args: any) => BlobUploadTools.handleUploadBlobs(args))),
+    'sync_blobs': withProjectResolution(withAuditLogging('sync_blobs', 'storage', (args: any) => BlobUploadTools.handleSyncBlobs(args))),
+    'diff_blob_containers': withProjectResolution((args: any) => BlobDiffTools.handleDiffBlobContainers(args)),
+
     // Log Download Tools
     // DXP-124-4: Log download with audit logging
     'download_logs': withProjectResolution(withAuditLogging('download_logs', 'log', (args: any) => LogDownloadTools.handleDownloadLogs(args))),
@@ -1334,12 +1823,21 @@ const commandHandlers = {
     'analyze_logs_streaming': withProjectResolution((args: any) => LogAnalysisTools.handleAnalyzeLogsStreaming(args)),
     // DXP-112: Compare baseline vs slot logs for deployment decisions
     'compare_logs': (args: any) => LogAnalysisTools.handleCompareLogs(args),
+    // Background log tailing with alert rules
+    'tail_logs': withProjectResolution((args: any) => LogTailTools.handleTailLogs(args)),
+    'get_tail_status': (args: any) => LogTailTools.handleGetTailStatus(args),
+    'stop_tail_logs': (args: any) => LogTailTools.handleStopTailLogs(args),
+    // Query language over downloaded and streamed logs
+    'search_logs': withProjectResolution((args: any) => LogSearchTools.handleSearchLogs(args)),
+    'crawler_report': withProjectResolution((args: any) => CrawlerReportTools.handleCrawlerReport(args)),
     // DXP-101: debug_containers removed (used PowerShell)
 
     // Download Management (DXP-82 - Consolidated tools)
     'download_list': (args: any) => DownloadManagementTools.handleDownloadList(args),
     'download_status': (args: any) => DownloadManagementTools.handleDownloadStatus(args),
     'download_cancel': (args: any) => DownloadManagementTools.handleDownloadCancel(args),
+    'download_pause': (args: any) => DownloadManagementTools.handleDownloadPause(args),
+    'download_resume': (args: any) => DownloadManagementTools.handleDownloadResume(args),
     
     // Download Configuration
     'show_download_config': (args: any) => DownloadConfigTools.handleShowDownloadConfig(args),
@@ -1386,30 +1884,37 @@ const commandHandlers = {
     'monitor_deployment': withProjectResolution((args: any) => DeploymentTools.handleMonitorDeployment(args)),
     'complete_deployment': withProjectResolution(withAuditLogging('complete_deployment', 'deployment', (args: any) => DeploymentTools.handleCompleteDeployment(args))),
     'reset_deployment': withProjectResolution(withAuditLogging('reset_deployment', 'deployment', (args: any) => DeploymentTools.handleResetDeployment(args))),
+    'upload_package': withProjectResolution(withAuditLogging('upload_package', 'deployment', (args: any) => DeploymentTools.handleUploadPackage(args))),
+    'deploy_package': withProjectResolution(withAuditLogging('deploy_package', 'deployment', (args: any) => DeploymentTools.handleDeployPackage(args))),
+    'start_pipeline': withProjectResolution(withAuditLogging('start_pipeline', 'deployment', (args: any) => PipelineTools.handleStartPipeline(args))),
+    'get_pipeline_status': (args: any) => PipelineTools.handleGetPipelineStatus(args),
+    'list_pipelines': (args: any) => PipelineTools.handleListPipelines(args),
+    'approve_pipeline_stage': withProjectResolution(withAuditLogging('approve_pipeline_stage', 'deployment', (args: any) => PipelineTools.handleApprovePipelineStage(args))),
+    'cancel_pipeline': withAuditLogging('cancel_pipeline', 'deployment', (args: any) => PipelineTools.handleCancelPipeline(args)),
+    'schedule_operation': withProjectResolution(withAuditLogging('schedule_operation', 'deployment', (args: any) => SchedulerTools.handleScheduleOperation(args, schemas))),
+    'list_scheduled': (args: any) => SchedulerTools.handleListScheduled(args),
+    'cancel_scheduled': withAuditLogging('cancel_scheduled', 'deployment', (args: any) => SchedulerTools.handleCancelScheduled(args)),
     'list_storage_containers': withProjectResolution((args: any) => StorageTools.handleListStorageContainers(args)),
     'generate_storage_sas_link': withProjectResolution((args: any) => StorageTools.handleGenerateStorageSasLink(args)),
     'copy_content': withProjectResolution((args: any) => ContentTools.handleCopyContent(args)),
 
-    // Audit operations
-    'query_audit_log': async (args: any) => {
-        const result = await auditLogger.query({
-            startTime: args.start_time,
-            endTime: args.end_time,
-            toolName: args.tool_name,
-            status: args.status,
-            limit: args.limit,
-            offset: args.offset
-        });
+    // Event history replay
+    'replay_events': withAuditLogging('replay_events', 'event', (args: any) => EventTools.handleReplayEvents(args)),
 
-        return {
-            total: result.total,
-            entries: result.entries,
-            hasMore: result.hasMore,
-            count: result.entries.length,
-            limit: args.limit || 100,
-            offset: args.offset || 0
-        };
-    },
+    // Webhook deliveries and signing
+    'add_webhook_subscription': withAuditLogging('add_webhook_subscription', 'webhook', (args: any) => WebhookTools.handleAddWebhookSubscription(args)),
+    'list_webhook_subscriptions': (args: any) => WebhookTools.handleListWebhookSubscriptions(args),
+    'remove_webhook_subscription': withAuditLogging('remove_webhook_subscription', 'webhook', (args: any) => WebhookTools.handleRemoveWebhookSubscription(args)),
+    'list_webhook_deliveries': (args: any) => WebhookTools.handleListWebhookDeliveries(args),
+    'redeliver_webhook': withAuditLogging('redeliver_webhook', 'webhook', (args: any) => WebhookTools.handleRedeliverWebhook(args)),
+    'rotate_webhook_secret': withAuditLogging('rotate_webhook_secret', 'webhook', (args: any) => WebhookTools.handleRotateWebhookSecret(args)),
+
+    // Audit operations
+    'query_audit_log': (args: any) => AuditTools.handleQueryAuditLog(args),
+    'verify_audit_log': (args: any) => AuditTools.handleVerifyAuditLog(args),
+    'export_audit_log': withAuditLogging('export_audit_log', 'audit', (args: any) => AuditTools.handleExportAuditLog(args)),
+    'summarize_audit_log': (args: any) => AuditTools.handleSummarizeAuditLog(args),
+    'trace_audit_correlation': (args: any) => AuditTools.handleTraceAuditCorrelation(args),
 };
 
 // Tool definitions
@@ -1425,21 +1930,35 @@ const toolDefinitions = Object.keys(schemas).sort((a, b) => {
         // Database Export Operations
         'db_export': '💾 Start database export from specified environment. ASYNC: 10-60min depending on database size. Set autoMonitor=true to automatically poll status every 30s. Set autoDownload=true to automatically download when export completes. Returns exportId for tracking. Required: environment, database (epicms or epicommerce). Use db_export_status() to check progress. Agent workflow: start export → monitor status → download when complete.',
         'db_export_status': '📊 Check database export progress. REAL-TIME: <1s. Returns progress percentage, estimated time remaining, and download URL when export completes. Set monitor=true to poll every 30s until complete. Set autoDownload=true to automatically download when ready. Required: exportId, environment. Returns status and download URL when ready. Use db_export_download() with the URL to retrieve file.',
-        'db_export_download': '📥 Download completed database export to local storage. BACKGROUND: returns immediately with download ID, actual download continues in background. Large files (>1GB) may take 5-20min. Use download_status() to monitor download progress and get local file path when complete. Required: downloadUrl. Optional: downloadPath, background (default true). Returns downloadId for tracking.',
+        'db_export_download': '📥 Download completed database export to local storage. BACKGROUND: returns immediately with download ID, actual download continues in background. Large files (>1GB) may take 5-20min. Use download_status() to monitor download progress and get local file path when complete. Required: downloadUrl. Optional: downloadPath, background (default true). Completed downloads are added to the backup catalog (list_backups) and the project retention policy is applied. mask: true (or autoMask in the masking rules file) also writes a masked copy.',
+        'list_backups': '🗂️ List downloaded database backups (.bacpac) for the project. REAL-TIME: <1s (first listing checksums untracked files). Shows environment, database, size, MD5 checksum and export timestamp from the local backup catalog, plus the retention policy. Optional: environment, database, downloadPath.',
+        'prune_backups': '🧹 Apply backup retention: keeps the newest backup of each of the last keepDaily days and keepWeekly ISO weeks per environment and database, deletes the rest. DRY RUN BY DEFAULT: returns what would be deleted - call again with dryRun: false to apply. Defaults come from ~/.optimizely-dxp/backup-retention.json (7 daily, 4 weekly). Optional: keepDaily, keepWeekly, environment, database, downloadPath.',
+        'inspect_bacpac': '🔬 Inspect a downloaded .bacpac without restoring it. REAL-TIME: seconds for schema only, minutes for multi-GB exports when counting rows. Reports model schema version, Episerver database version, tables with row counts and data sizes, and the Episerver CMS and Commerce tables. With compareTo (a path or "previous") it diffs two exports: added/removed tables, row and size changes, column changes and warnings such as emptied tables. Optional: filePath (default newest backup), compareTo, countRows, limit.',
+        'mask_bacpac': '🛡️ Write a sanitized copy of a downloaded .bacpac for sharing or non-production restores. REAL-TIME: minutes for multi-GB exports. Applies the project masking rules (~/.optimizely-dxp/masking-rules.json: table/column patterns → hash, fake, null or truncate) to the table data; the schema and unmasked tables are copied unchanged. Writes <name>.masked.bacpac plus a JSON report of masked columns and value counts, and records an audit entry. Optional: filePath (default newest backup), outputPath, dryRun (show matched columns only).',
 
         // Storage Downloads
         'download_blobs': '📦 Download files from Azure blob storage container to local path. ASYNC/BACKGROUND: returns immediately with download ID, continues in background. Supports date filtering to download specific time ranges. Use download_status() to monitor progress. Required: container, environment. Optional: downloadPath, dateFilter. Returns downloadId and estimated file count/size.',
+        'upload_blobs': '📤 Upload a local folder into a writable environment container (e.g., seed Integration media). TIME: depends on size. Diffs against the remote listing first and skips files whose MD5 matches the blob Content-MD5, so re-runs only send changes. Never deletes. Supports include/exclude globs, targetPrefix, concurrency and dryRun preview. Required: environment, sourcePath. Optional: containerName (auto-detects media container).',
+        'sync_blobs': '🔄 Mirror a local folder into a writable environment container: uploads new/changed files (MD5 compared) and deletes blobs under targetPrefix that are not in the folder. DRY RUN BY DEFAULT: returns the planned uploads and deletions - call again with dryRun: false to apply. Include/exclude filters also limit what can be deleted. Required: environment, sourcePath.',
+        'diff_blob_containers': '🔀 Compare blob containers between two environments (e.g., Production vs Preproduction media) or an environment and a local folder. REAL-TIME: seconds to minutes depending on container size. Reports added, removed and changed blobs with sizes and totals; content is compared by Content-MD5 (and download manifest checksums for local folders). Optional outputFile writes a JSON diff that download_blobs, upload_blobs and sync_blobs accept as diffFile. Required: one source (sourceEnvironment or sourcePath) and one target (targetEnvironment or targetPath).',
 
         // Log Operations
         'download_logs': '📊 Download application logs from environment to local storage. BACKGROUND: returns immediately, download continues in background. Supports date filtering (dateFilter: "2025/10/14", "past-7-days") and log type (http, application, all). Use this when you need logs for offline analysis. For quick online analysis, use analyze_logs_streaming() instead (2x faster). Required: environment. Returns downloadId for monitoring with download_status().',
         'discover_logs': '🔎 Discover available log containers across all environments. REAL-TIME: <2s. Returns container names, log types available (http, application), and environment availability. Use this before download_logs() or analyze_logs_streaming() to understand what logs exist. Useful for multi-environment projects to find which environments have logging enabled. Optional: project. Returns container inventory.',
-        'analyze_logs_streaming': '📊 Stream and analyze logs directly without downloading. FAST: 15-30sec vs 40-60sec for download+analyze. Returns structured health data: error count, performance metrics (p95/p99 response times), AI agent detection. Use this for deployment verification, health checks, or real-time diagnostics. Set slot=true when analyzing deployment slots. Required: environment. Optional: minutesBack (default 60), logType (http/application/all), slot. Returns health score, errors, performance, recommendations.',
-        'compare_logs': '🔍 Compare baseline vs slot logs to make deployment decisions. ANALYSIS: <5s. Takes output from two analyze_logs_streaming() calls (baseline=production, slot=deployment slot). Returns safety recommendation (proceed/investigate/abort) with detailed reasoning based on error rate changes, performance degradation, and health score delta. Use in deployment workflow: analyze baseline → deploy → analyze slot → compare → decide to complete or reset. Required: baseline, slot objects. Returns decision and supporting metrics.',
+        'analyze_logs_streaming': '📊 Stream and analyze logs directly without downloading. FAST: 15-30sec vs 40-60sec for download+analyze. Returns structured health data: error count, performance metrics (p95/p99 response times), AI agent detection. Use this for deployment verification, health checks, or real-time diagnostics. Set slot=true when analyzing deployment slots. Required: environment. Optional: minutesBack (default 60), logType (http/application/all), slot. Returns health score, errors, performance, recommendations, a bucketed time series (requests, errors, p50/p95/p99 per bucket) with anomalies flagged against the earlier part of the window, and the detected log formats (Azure App Service, W3C/IIS, Serilog/CLEF, NLog JSON, plain-text .NET).',
+        'compare_logs': '🔍 Compare baseline vs slot logs to make deployment decisions. ANALYSIS: <5s. Takes output from two analyze_logs_streaming() calls (baseline=production, slot=deployment slot). Returns safety recommendation (proceed/investigate/rollback, or wait with decision insufficient_data when either side has too little traffic) with detailed reasoning. Error rates are normalised by request volume with confidence intervals, latency distributions are compared with a significance test, and per-path regressions, health score delta and exception groups that are new in the slot are reported. Use in deployment workflow: analyze baseline → deploy → analyze slot → compare → decide to complete or reset. Required: baseline, slot objects. Returns decision and supporting metrics.',
+        'tail_logs': '👀 Watch an environment\'s logs in the background and raise alerts. ASYNC: returns immediately, polls every pollSeconds (default 60) reading only new log lines. Evaluates rules such as 5xx rate > 2% over 5 min, path p95 > 2000ms or a new exception type, and emits alert.triggered / alert.resolved events to the alert://{watcherId} resource, the event bus and webhookUrl. Rules come from the rules argument, ~/.optimizely-dxp/alert-rules.json, or built-in defaults. Optional: environment (default Production), logType, slot, rules, webhookUrl. Returns watcherId.',
+        'get_tail_status': '👀 Get log tail watcher status. REAL-TIME: <1s. Shows rules, active alerts, recent alert changes and polling health. Omit watcherId to list all watchers.',
+        'stop_tail_logs': '⏹️ Stop a log tail watcher. REAL-TIME: <1s. Stops polling; alerts still active are left as they are. Required: watcherId.',
+        'search_logs': '🔎 Search logs with a filter expression and optional group-by / top-N. Runs over files from download_logs (source "local", located through the download manifests) or streams blobs directly (source "stream"), using the same parser as analyze_logs_streaming so counts agree. Example queries: status>=500 AND path=/checkout*, responseTime>2000 NOT userAgent~"bot", level=error message~"timeout". Optional: query, source, environment, logType, slot, downloadPath, minutesBack or startDateTime/endDateTime, groupBy (e.g. ["path"], ["statusClass","hour"]), top, limit. Returns match count plus matching entries or the top groups with counts, errors and average response time.',
+        'crawler_report': '🕷️ Report search, SEO, social and AI crawler traffic from web logs. ANALYSIS: reads downloaded logs (source "local") or streams them (source "stream"). Per crawler: requests, bandwidth, share of traffic, status distribution, top paths and busiest hours (UTC). Requests are checked against each crawler\'s published IP ranges to flag impostors, and against a local robots.txt (robotsTxtPath) to list crawlers that fetched disallowed paths. Crawler patterns, IP ranges and the robots.txt path can be added in ~/.optimizely-dxp/crawlers.json. Optional: environment, slot, downloadPath, minutesBack or startDateTime/endDateTime, robotsTxtPath, category, top.',
 
         // Download Management
         'download_list': '📥 List downloads with flexible filtering and pagination. REAL-TIME: <1s. Filter by status (active/completed/failed/all) to monitor ongoing downloads or review history. Filter by type (logs/database/all) to track specific operations. Use pagination (limit, offset) for large download histories. Returns download IDs, status, progress percentage, file info, and start/completion times. Use this to find downloadId for download_status() or download_cancel() calls. All parameters optional.',
         'download_status': '📊 Get real-time status of specific download. REAL-TIME: <1s. Returns current progress percentage, download speed (MB/s), estimated time remaining, and local file path when download completes. Poll this every 5-10s to track long-running downloads. Download completes when status="completed" and file path is provided. Required: downloadId. Returns progress, speed, ETA, file path.',
-        'download_cancel': '❌ Cancel active download(s) immediately. INSTANT: <1s. Call with downloadId to cancel specific download, or call without parameters to cancel all active downloads. Database downloads cannot be cancelled (Azure streaming limitation). Returns count of successfully cancelled downloads. Use download_list() to verify cancellation. Optional: downloadId. Returns cancelled count.',
+        'download_cancel': '❌ Cancel active download(s) immediately. INSTANT: <1s. Call with downloadId to cancel specific download, or call without parameters to cancel all active downloads. Works for log, blob and database downloads; the partial data of a cancelled download is deleted. Returns count of successfully cancelled downloads. Use download_list() to verify cancellation. Optional: downloadId. Returns cancelled count.',
+        'download_pause': '⏸️ Pause an active log, blob or database download. INSTANT: <1s. In-flight range requests are aborted and finished chunks stay on disk, so nothing is downloaded twice. Use download_resume() to continue. Required: downloadId. Returns status and progress.',
+        'download_resume': '▶️ Resume a paused download from its last finished chunk. INSTANT: <1s. Paused downloads stay paused across a server restart; starting the same download again continues from its partial files. Required: downloadId. Returns status and progress.',
 
         // Configuration
         'show_download_config': '📁 Show download directory configuration and disk space. REAL-TIME: <1s. Returns configured download path, available disk space, and write permissions status. Use this before starting large downloads to ensure sufficient space. Checks both configuration validity and file system permissions. Optional: project. Returns path, free space (GB), permissions.',
@@ -1476,8 +1995,18 @@ const toolDefinitions = Object.keys(schemas).sort((a, b) => {
         'list_deployments': '📋 List recent deployments with filtering and pagination. REAL-TIME: <2s. Returns deployment IDs, status (InProgress, AwaitingVerification, Succeeded, Failed), source/target environments, and timestamps. Set activeOnly=true to show only in-progress/awaiting deployments. Use pagination (limit, offset) for large deployment histories. All parameters optional. Returns deployment history array. Use get_deployment_status() for detailed info on specific deployment.',
         'start_deployment': '🚀 Start new deployment from source to target environment. ASYNC: 5-30min. Initiates deployment and auto-monitors progress with real-time updates. CODE deployments flow upward (Integration→Preproduction→Production). CONTENT deployments flow downward (Production→Preproduction→Integration). Returns deploymentId immediately. Set includeBlob=true for static files, includeDB=true for database sync. When status reaches "AwaitingVerification", use get_deployment_status() to get slot URL for testing, then complete_deployment() to finalize. Required: sourceEnvironment, targetEnvironment.',
         'get_deployment_status': '📊 Get detailed deployment status and progress. REAL-TIME: <2s. Returns current status (InProgress, AwaitingVerification, Succeeded, Failed, Reset), progress percentage, and slot validation URL when status is AwaitingVerification. Set monitor=true to poll every 30s until reaches AwaitingVerification. Set waitBeforeCheck (seconds) to pause before checking status. Required: deploymentId. Agent workflow: After start_deployment() → poll status until AwaitingVerification → test slot URL → complete_deployment().',
-        'monitor_deployment': '🔄 Start background monitor for deployment. INSTANT: returns immediately with monitorId. Polls deployment status every 30s (configurable with interval parameter) and emits progress updates via events. Monitor runs in background until deployment reaches terminal state (Succeeded, Failed) or is manually stopped. Valid interval: 10-600 seconds. Required: deploymentId. Returns monitorId for use with stop_monitoring() or update_monitoring_interval(). Use list_monitors() to see all active monitors.',
-        'complete_deployment': '✅ Finalize deployment after verification. ASYNC: 2-15min. **For AI Agents**: Subscribe to deployment://{deploymentId} resource for real-time completion events (preferred method). Alternatively, set monitor=true (default) for background polling fallback. Deployment transitions: AwaitingVerification → Completing → Succeeded/Failed. After completing, monitor automatically tracks progress and emits events. Production deployments take 2-15min, other environments <1min. Required: deploymentId. Optional: monitor (default true).',
+        'monitor_deployment': '🔄 Start background monitor for deployment. INSTANT: returns immediately with monitorId. Polls deployment status every 30s (configurable with interval parameter) and emits progress updates via events. Monitor runs in background until deployment reaches terminal state (Succeeded, Failed) or is manually stopped. Valid interval: 10-600 seconds. Required: deploymentId. Returns monitorId for use with stop_monitoring() or update_monitoring_interval(). Use list_monitors() to see all active monitors. Optional: autoVerify=true to complete or reset automatically from a production vs slot log comparison once verification is reached.',
+        'upload_package': '📦 Upload a deployment package to the project package container. TIME: depends on size (~1-5min for typical packages). Validates DXP naming (<name>.cms.app.<version>.nupkg, <name>.commerce.app.<version>.nupkg, <name>.sqlbacpac) and streams the file in blocks with progress reporting. Returns package names for deploy_package(). Required: packagePath or packagePaths.',
+        'deploy_package': '🚀 Deploy code or database packages to an environment. ASYNC: 5-30min. Uploads local packages first (packagePath) or uses already uploaded ones (packages), then starts the deployment with the same auto-monitoring, deployment://{id} events and webhooks as start_deployment(). When status reaches "AwaitingVerification", test the slot URL then call complete_deployment(). Required: targetEnvironment and packagePath or packages.',
+        'schedule_operation': '⏰ Schedule start_deployment, complete_deployment or db_export for later. REAL-TIME: <1s to queue. The queue is persisted and run by the server at runAt (ISO 8601, or "next-window" for the project\'s next maintenance window). Parameters are validated now; Production times blocked by maintenance/freeze windows are rejected. Required: operation, parameters, runAt or delayMinutes.',
+        'list_scheduled': '⏰ List scheduled operations. REAL-TIME: <1s. Shows pending, running and finished operations with results. Optional: status, projectName.',
+        'cancel_scheduled': '🚫 Cancel a pending scheduled operation. REAL-TIME: <1s. Required: scheduleId.',
+        'start_pipeline': '🛤️ Promote a build Integration → Preproduction → Production as one tracked operation. ASYNC: runs in background (30-90min). Each stage deploys, waits for AwaitingVerification, compares baseline vs slot logs (compare_logs gate) and completes or resets automatically; warnings pause for approve_pipeline_stage(). State survives server restarts. Progress via pipeline://{id} resource, pipeline.* events and webhookUrl. Optional: sourceEnvironment, targetEnvironment, packages (deploy uploaded packages to Integration first), gate thresholds.',
+        'get_pipeline_status': '📋 Get pipeline status. REAL-TIME: <1s. Returns every stage with deployment ID, status and gate decision. Required: pipelineId.',
+        'list_pipelines': '📋 List deployment pipelines. REAL-TIME: <1s. Shows running, paused and finished pipelines with their current stage. Optional: activeOnly.',
+        'approve_pipeline_stage': '✋ Resolve a pipeline stage paused by the log gate. ASYNC: 1-5min. action "complete" promotes the stage and continues the pipeline, "reset" rolls it back and stops. Required: pipelineId, action.',
+        'cancel_pipeline': '🚫 Cancel a pipeline. REAL-TIME: <1s. Stops further stages; the in-flight deployment is left untouched for manual complete/reset. Required: pipelineId.',
+        'complete_deployment': '✅ Finalize deployment after verification. ASYNC: 2-15min. **For AI Agents**: Subscribe to deployment://{deploymentId} resource for real-time completion events (preferred method). Alternatively, set monitor=true (default) for background polling fallback. Deployment transitions: AwaitingVerification → Completing → Succeeded/Failed. After completing, monitor automatically tracks progress and emits events. Production deployments take 2-15min, other environments <1min. Required: deploymentId. Optional: monitor (default true), autoVerify (completes only if slot logs pass the project thresholds after a sampling window, otherwise resets or holds; decision emitted as deployment.autoDecision).',
         'reset_deployment': '↩️ Rollback deployment to previous state. ASYNC: 5-15min. Reverses all changes made by deployment, restoring previous code and optionally database. Use when deployment verification fails or errors detected. Set resetWithDbRollback=true to also rollback database changes. Deployment transitions to "Reset" status when complete. Required: deploymentId. Agent workflow: If deployment verification fails → reset_deployment() → investigate logs with analyze_logs_streaming().',
 
         // Storage Operations
@@ -1488,7 +2017,18 @@ const toolDefinitions = Object.keys(schemas).sort((a, b) => {
         'copy_content': '📋 Copy database and/or blob content between environments. ASYNC: 30-90min depending on content size. Use for refreshing staging/test environments with production data or promoting content changes. Set includeBlob=true to copy static files/media (slower). Set includeDB=true to copy CMS/Commerce databases. CONTENT typically flows downward (Production→Preproduction→Integration). This is a heavy operation - verify target environment before starting. Required: sourceEnvironment, targetEnvironment. Returns operation ID for tracking. Use status() tool to monitor progress.',
 
         // Audit Operations
-        'query_audit_log': '📊 Query audit trail for MCP tool invocations. REAL-TIME: <1s. Returns filtered audit entries with operation details, timestamps, status, and parameters (sensitive data redacted). Use to review deployment history, troubleshoot errors, or track tool usage patterns. Filter by time range (start_time, end_time), tool name (e.g., "start_deployment"), or status (success/failure). Supports pagination (limit, offset) for large audit trails. All parameters optional. Returns { total, entries[], hasMore, count, limit, offset }. Default limit: 100 entries.',
+        'replay_events': '🔁 Re-send event history for a time range. REAL-TIME: <2s. Reads deployment, export, download, pipeline and alert events from the event bus history and either queues them for a webhook (target "webhook", webhookUrl) or re-publishes them to bus subscribers (target "subscribers", e.g. other servers on a Redis bus). Replayed events carry metadata.replayed = true, are not stored again and are ignored by this server\'s resources and webhooks. History survives restarts only with EVENT_BUS_TYPE=file or redis. Optional: since/until or minutesBack (default 60), pattern, operationId, project, webhookHeaders, webhookFormat, limit (default 500).',
+        'add_webhook_subscription': '🔔 Subscribe a webhook URL to events across operations. REAL-TIME: <1s. Unlike webhookUrl on deployment or export tools, a subscription is not tied to one operation: every event whose type matches one of the patterns (e.g. "deployment.*", "*.failed") and whose operation belongs to the project and/or environment is delivered. Subscriptions are stored in ~/.optimizely-dxp/webhook-subscriptions.json and survive restarts. Required: webhookUrl. Optional: events (default ["*"]), project, environment, webhookHeaders, webhookFormat (json, slack, teams, cloudevents, cloudevents-binary), description, subscriptionId (update an existing subscription).',
+        'list_webhook_subscriptions': '🔔 List persistent webhook subscriptions with their event patterns, project/environment scope and header names. REAL-TIME: <1s. Optional: project (only subscriptions that apply to it).',
+        'remove_webhook_subscription': '🔕 Remove a persistent webhook subscription. REAL-TIME: <1s. Deliveries already queued still complete. Required: subscriptionId (from list_webhook_subscriptions).',
+        'list_webhook_deliveries': '📬 Query the webhook delivery log. REAL-TIME: <1s. Every webhook delivery is recorded on disk (~/.optimizely-dxp/webhook-deliveries.jsonl) with status (pending, retrying, delivered, dead_letter), attempts, HTTP status, errors and whether it was signed. Deliveries that exhaust their retries, are not retryable or were interrupted by a restart become dead letters. Pass deliveryId for one delivery with its attempts and payload. Optional: status, url, eventType, operationId, since, limit (default 50).',
+        'redeliver_webhook': '🔁 Send a webhook delivery again. REAL-TIME: <1s to queue. Re-queues a stored delivery with the same URL, payload and headers, signed with the current secrets. Pass deliveryId for one delivery, or deadLetters: true to redeliver every dead letter not yet redelivered (optionally only for url). Returns the new delivery IDs; check them with list_webhook_deliveries().',
+        'rotate_webhook_secret': '🔐 Create or rotate the HMAC signing secret for a webhook URL. REAL-TIME: <1s. Requests to the URL then carry X-Signature (v1=<hex HMAC-SHA256 of "<timestamp>.<body>">) and X-Signature-Timestamp headers. On rotation previous secrets keep signing for overlapHours (default 24), so the header has one v1= value per secret until the receiver switches. Returns the new secret once. Required: webhookUrl. Optional: overlapHours, secret, remove (stop signing).',
+        'verify_audit_log': '🔒 Verify the integrity of the audit trail. REAL-TIME: seconds for large trails. Every audit entry carries a sequence number, the hash of the previous record and its own SHA-256 hash; each day file is closed with a seal whose digest covers the day (HMAC-signed when DXP_AUDIT_HMAC_KEY is set). Detects edited entries, deleted entries (sequence gaps), reordering, insertions, records after a seal, unsealed past days and forged seals, and lists each affected file, line and sequence number. Optional: date, or start_date/end_date (YYYY-MM-DD), limit.',
+        'query_audit_log': '📊 Query audit trail for MCP tool invocations. REAL-TIME: <1s. Returns filtered audit entries with operation details, timestamps, status, and parameters (sensitive data redacted). Use to review deployment history, troubleshoot errors, or track tool usage patterns. Filter by time range (start_time, end_time), tool name (e.g., "start_deployment"), status (success/failure), project, environment, user, tag, request parameter values (params, e.g. { deploymentId }) or correlation_id. Supports pagination (limit, offset) for large audit trails. All parameters optional. Returns { total, entries[], hasMore, count, limit, offset }. Default limit: 100 entries.',
+        'export_audit_log': '📤 Export the audit trail for a time range to a CSV or JSON file for auditors. REAL-TIME: seconds; entries are streamed, so large ranges are fine. Compressed (.jsonl.gz) days are read transparently and days outside the range are skipped. Each row keeps its seq and hash so the export can be matched against verify_audit_log. Optional: start_time, end_time (ISO 8601 or YYYY-MM-DD), format (csv/json, default csv), output_path, tool_name, status. Returns the file path and entry count.',
+        'summarize_audit_log': '📈 Aggregate the audit trail. REAL-TIME: seconds; entries are streamed. Returns calls per tool and status, failure rate and p50/p95 duration per tool, and deployments (start_deployment, deploy_package) per environment per ISO week. Use for compliance reports, spotting flaky tools or deployment frequency. Accepts the same filters as query_audit_log: start_time, end_time, tool_name, status, project, environment, user, tag, params. All optional.',
+        'trace_audit_correlation': '🌳 Show the tree of audited calls behind one workflow. REAL-TIME: seconds. Tool calls record the call that triggered them in parent_operation: background work (monitoring, auto-verification) links to the tool that started it, and calls passing a deploymentId or exportId link to the call that started that deployment or export. Give correlation_id (any call in the tree), deployment_id or export_id; optional start_time/end_time narrow the search. Returns the root calls with nested children, status, duration and errors.',
     };
     
     return {
@@ -2368,6 +2908,13 @@ async function main() {
         DeploymentResourceHandler.initialize();
         ExportResourceHandler.initialize();
         DownloadResourceHandler.initialize();
+        PipelineResourceHandler.initialize();
+        AlertResourceHandler.initialize();
+
+        // Rebuild deployment/export/download resources from persisted history (file or Redis bus)
+        getGlobalEmitter().getHistory({ limit: 50000 })
+            .then(events => getGlobalResourceManager().rebuildFromHistory(events))
+            .catch((error: Error) => console.error('[MCP SERVER] Failed to rebuild resources from event history:', error.message));
 
         console.error('[MCP SERVER] Event system initialized - resources enabled');
     } catch (error: any) {
@@ -2385,6 +2932,33 @@ async function main() {
         // Continue without webhooks - server should still work
     }
 
+    // Resume pipelines that were running before a restart (needs events + webhooks)
+    try {
+        getGlobalPipelineRunner().initialize();
+    } catch (error: any) {
+        console.error('[MCP SERVER] Failed to resume pipelines:', error.message);
+    }
+
+    // Scheduled operations and resumed downloads run through the normal tool handlers
+    const runTool = async (operation: string, args: any) => {
+        const validatedArgs = (schemas as any)[operation].parse(args);
+        return (commandHandlers as any)[operation](validatedArgs);
+    };
+
+    // Load the scheduled operation queue
+    try {
+        getGlobalScheduler().initialize(runTool);
+    } catch (error: any) {
+        console.error('[MCP SERVER] Failed to load scheduled operations:', error.message);
+    }
+
+    // Restart downloads that were unfinished when the server last stopped - they continue from their partial files
+    try {
+        downloadManager.resumeUnfinished(runTool);
+    } catch (error: any) {
+        console.error('[MCP SERVER] Failed to resume downloads:', error.message);
+    }
+
     // Setup handlers after server creation
     setupHandlers(server);
 
@@ -0,0 +1,489 @@
+/**
+ * Unit tests for the audit log hash chain, seals, tamper detection, shared directories, retention, export, filters and correlation
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AuditLogger } = require('../../dist/lib/audit-logger');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-logger-test-'));
+let dirCount = 0;
+
+function auditDir() {
+    return fs.mkdtempSync(path.join(tempRoot, `audit-${++dirCount}-`));
+}
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function createLogger(dir, options = {}) {
+    return new AuditLogger({ auditDir: dir, version: 'test', hmacKey: null, compress: false, ...options });
+}
+
+async function logEntries(logger, count, prefix = 'op') {
+    for (let i = 0; i < count; i++) {
+        await logger.logOperation({ operation: `${prefix}_${i}`, operation_type: 'test', status: 'success' });
+    }
+}
+
+/**
+ * Write entries, move them to an earlier day and write once more, so the earlier day gets sealed
+ */
+async function sealedDay(dir, date, count, options = {}) {
+    await logEntries(createLogger(dir, options), count);
+    fs.renameSync(path.join(dir, `audit-${today()}.jsonl`), path.join(dir, `audit-${date}.jsonl`));
+    await logEntries(createLogger(dir, options), 1, 'next');
+}
+
+function readRecords(dir, date) {
+    return fs.readFileSync(path.join(dir, `audit-${date}.jsonl`), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function writeRecords(dir, date, records) {
+    fs.writeFileSync(path.join(dir, `audit-${date}.jsonl`), records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+function issueTypes(report) {
+    return report.issues.map(issue => issue.type).sort();
+}
+
+describe('hash chain', () => {
+    test('links every entry to the one before it from the genesis hash', async () => {
+        const dir = auditDir();
+        await logEntries(createLogger(dir), 3);
+
+        const records = readRecords(dir, today());
+        assert.deepStrictEqual(records.map(record => record.seq), [1, 2, 3]);
+        assert.strictEqual(records[0].prev_hash, '0'.repeat(64));
+        assert.strictEqual(records[1].prev_hash, records[0].hash);
+        assert.strictEqual(records[2].prev_hash, records[1].hash);
+        records.forEach(record => assert.strictEqual(AuditLogger.hashRecord(record), record.hash));
+
+        // A new logger continues the chain it finds on disk
+        await logEntries(createLogger(dir), 1, 'later');
+        const [, , third, fourth] = readRecords(dir, today());
+        assert.deepStrictEqual([fourth.seq, fourth.prev_hash], [4, third.hash]);
+
+        const report = await createLogger(dir).verify();
+        assert.deepStrictEqual([report.valid, report.entries, report.lastSeq, report.openDay], [true, 4, 4, today()]);
+    });
+
+    test('redacts secrets before hashing', async () => {
+        const dir = auditDir();
+        const entry = await createLogger(dir).logOperation({
+            operation: 'upload',
+            operation_type: 'storage',
+            status: 'success',
+            request: { parameters: { apiKey: 'k', apiSecret: 's', sasUrl: 'https://x.blob.core.windows.net/c/f?sv=2024&sig=abc', nested: { password: 'p' } } }
+        });
+
+        assert.deepStrictEqual(entry.request.parameters, {
+            apiKey: '[REDACTED]', apiSecret: '[REDACTED]', sasUrl: 'https://x.blob.core.windows.net/c/f?[SAS_REDACTED]', nested: { password: '[REDACTED]' }
+        });
+        assert.ok(!fs.readFileSync(path.join(dir, `audit-${today()}.jsonl`), 'utf-8').includes('sig=abc'));
+    });
+});
+
+describe('day seals', () => {
+    test('seal the previous day with a digest of its entries and an optional HMAC', async () => {
+        const dir = auditDir();
+        await sealedDay(dir, '2026-01-01', 3, { hmacKey: 'audit-key' });
+
+        const records = readRecords(dir, '2026-01-01');
+        const seal = records[3];
+        assert.deepStrictEqual(
+            [seal.type, seal.date, seal.entries, seal.first_seq, seal.last_seq, seal.prev_hash],
+            ['seal', '2026-01-01', 3, 1, 3, records[2].hash]
+        );
+        assert.strictEqual(seal.hmac, AuditLogger.hmacSeal(seal, 'audit-key'));
+        assert.strictEqual(readRecords(dir, today())[0].prev_hash, seal.hash);
+
+        const report = await createLogger(dir, { hmacKey: 'audit-key' }).verify();
+        assert.strictEqual(report.valid, true);
+        assert.deepStrictEqual(report.files[0].seal, { digestValid: true, countsValid: true, hmac: 'valid' });
+        assert.strictEqual(report.files[1].sealed, false);
+
+        assert.strictEqual((await createLogger(dir).verify()).files[0].seal.hmac, 'unverified');
+        const wrongKey = await createLogger(dir).verify({ hmacKey: 'other-key' });
+        assert.deepStrictEqual(issueTypes(wrongKey), ['hmac_mismatch']);
+    });
+});
+
+describe('tamper detection', () => {
+    test('reports an edited entry once, at the entry', async () => {
+        const dir = auditDir();
+        await logEntries(createLogger(dir), 4);
+        const records = readRecords(dir, today());
+        records[1].status = 'failure';
+        writeRecords(dir, today(), records);
+
+        const report = await createLogger(dir).verify();
+        assert.strictEqual(report.valid, false);
+        assert.deepStrictEqual(report.issues.map(issue => [issue.type, issue.seq, issue.line]), [['modified', 2, 2]]);
+    });
+
+    test('reports deleted, reordered, duplicated and inserted entries', async () => {
+        const dir = auditDir();
+        await logEntries(createLogger(dir), 5);
+        const records = readRecords(dir, today());
+
+        writeRecords(dir, today(), [records[0], records[1], records[3], records[4]]);
+        const deleted = await createLogger(dir).verify();
+        assert.deepStrictEqual(issueTypes(deleted), ['chain_break', 'missing']);
+        assert.strictEqual(deleted.issues.find(issue => issue.type === 'missing').message, 'Entry seq 3 is missing (deleted)');
+
+        writeRecords(dir, today(), [records[0], records[2], records[1], records[3], records[4]]);
+        assert.deepStrictEqual(issueTypes(await createLogger(dir).verify()), ['chain_break', 'chain_break', 'chain_break', 'out_of_order']);
+
+        writeRecords(dir, today(), [records[0], records[1], records[1], records[2]]);
+        assert.ok(issueTypes(await createLogger(dir).verify()).includes('duplicate'));
+
+        const { hash: _hash, seq: _seq, prev_hash: _prev, ...unchained } = records[2];
+        writeRecords(dir, today(), [records[0], records[1], unchained, records[2]]);
+        assert.deepStrictEqual(issueTypes(await createLogger(dir).verify()), ['unchained']);
+
+        fs.appendFileSync(path.join(dir, `audit-${today()}.jsonl`), '{"not json\n');
+        assert.ok(issueTypes(await createLogger(dir).verify()).includes('malformed'));
+    });
+
+    test('reports removed or falsified seals and entries added after a seal', async () => {
+        const dir = auditDir();
+        await sealedDay(dir, '2026-01-01', 3);
+        const records = readRecords(dir, '2026-01-01');
+        const [first, second, third, seal] = records;
+
+        writeRecords(dir, '2026-01-01', [first, second, third]);
+        assert.deepStrictEqual(issueTypes(await createLogger(dir).verify()), ['chain_break', 'unsealed']);
+
+        // Rehashed so only the counts give it away
+        const recounted = { ...seal, entries: 2, last_seq: 2 };
+        recounted.hash = AuditLogger.hashRecord(recounted);
+        writeRecords(dir, '2026-01-01', [first, second, third, recounted]);
+        assert.ok(issueTypes(await createLogger(dir).verify()).includes('seal_mismatch'));
+
+        const late = { ...third, seq: 99 };
+        late.hash = AuditLogger.hashRecord(late);
+        writeRecords(dir, '2026-01-01', [first, second, third, seal, late]);
+        assert.ok(issueTypes(await createLogger(dir).verify()).includes('after_seal'));
+    });
+
+    test('accepts days removed by retention and entries from before chaining', async () => {
+        const dir = auditDir();
+        writeRecords(dir, '2025-12-31', [{ timestamp: '2025-12-31T10:00:00Z', operation: 'legacy', status: 'success' }]);
+        await sealedDay(dir, '2026-01-01', 2);
+        await sealedDay(dir, '2026-01-02', 2);
+        assert.strictEqual((await createLogger(dir).verify()).legacyEntries, 1);
+
+        fs.unlinkSync(path.join(dir, 'audit-2025-12-31.jsonl'));
+        fs.unlinkSync(path.join(dir, 'audit-2026-01-01.jsonl'));
+        const report = await createLogger(dir).verify();
+        assert.strictEqual(report.valid, true);
+        assert.deepStrictEqual(report.anchor, { file: 'audit-2026-01-02.jsonl', line: 1, seq: 3 });
+        assert.strictEqual((await createLogger(dir).verify({ startDate: '2026-01-02', endDate: '2026-01-02' })).checkedFiles, 1);
+    });
+});
+
+describe('shared audit directory', () => {
+    test('keeps one chain when several loggers write to the same directory', async () => {
+        const dir = auditDir();
+        const first = createLogger(dir);
+        const second = createLogger(dir);
+
+        const writes = [];
+        for (let i = 0; i < 10; i++) {
+            writes.push(first.logOperation({ operation: `first_${i}`, operation_type: 'test', status: 'success' }));
+            writes.push(second.logOperation({ operation: `second_${i}`, operation_type: 'test', status: 'success' }));
+        }
+        await Promise.all(writes);
+
+        const report = await createLogger(dir).verify();
+        assert.strictEqual(report.valid, true, JSON.stringify(report.issues));
+        assert.deepStrictEqual([report.entries, report.lastSeq], [20, 20]);
+        assert.ok(!fs.existsSync(path.join(dir, '.audit.lock')));
+    });
+
+    test('keeps one chain across processes', async () => {
+        const dir = auditDir();
+        const modulePath = path.resolve(__dirname, '../../dist/lib/audit-logger');
+        const script = `
+            const { AuditLogger } = require(${JSON.stringify(modulePath)});
+            const logger = new AuditLogger({ auditDir: process.argv[1], version: 'test', hmacKey: null, compress: false });
+            (async () => {
+                for (let i = 0; i < 10; i++) {
+                    await logger.logOperation({ operation: 'child_' + i, operation_type: 'test', status: 'success' });
+                }
+            })();
+        `;
+        const run = () => new Promise((resolve, reject) => {
+            execFile(process.execPath, ['-e', script, dir], { timeout: 30000 }, error => (error ? reject(error) : resolve()));
+        });
+
+        await Promise.all([run(), run(), logEntries(createLogger(dir), 10, 'parent')]);
+
+        const report = await createLogger(dir).verify();
+        assert.strictEqual(report.valid, true, JSON.stringify(report.issues));
+        assert.deepStrictEqual([report.entries, report.lastSeq], [30, 30]);
+    });
+
+    test('takes over a lock left behind by a process that died', async () => {
+        const dir = auditDir();
+        const lockFile = path.join(dir, '.audit.lock');
+        fs.writeFileSync(lockFile, '99999\n');
+        const stale = new Date(Date.now() - 2 * 60 * 1000);
+        fs.utimesSync(lockFile, stale, stale);
+
+        await logEntries(createLogger(dir), 1);
+        assert.strictEqual(readRecords(dir, today()).length, 1);
+        assert.ok(!fs.existsSync(lockFile));
+    });
+});
+
+describe('retention and compression', () => {
+    function daysAgo(days) {
+        return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    }
+
+    /**
+     * One chained, sealed entry on each of the given earlier days
+     */
+    async function history(dir, days) {
+        for (const age of days) {
+            const date = daysAgo(age);
+            await createLogger(dir).logOperation({ operation: `op_${date}`, operation_type: 'test', status: 'success', timestamp: `${date}T12:00:00.000Z` });
+            fs.renameSync(path.join(dir, `audit-${today()}.jsonl`), path.join(dir, `audit-${date}.jsonl`));
+        }
+    }
+
+    test('gzips closed days and deletes days past retention, recording the deletion', async () => {
+        const dir = auditDir();
+        await history(dir, [40, 10, 1]);
+
+        const logger = createLogger(dir, { compress: true, retentionDays: 30 });
+        await logEntries(logger, 1, 'today');
+        const report = await logger.verify();
+
+        assert.deepStrictEqual(fs.readdirSync(dir).filter(file => file.startsWith('audit-')).sort(), [
+            `audit-${daysAgo(10)}.jsonl.gz`, `audit-${daysAgo(1)}.jsonl.gz`, `audit-${today()}.jsonl`
+        ]);
+        // The chain is anchored at the oldest remaining day
+        assert.strictEqual(report.valid, true, JSON.stringify(report.issues));
+        assert.deepStrictEqual(report.anchor, { file: `audit-${daysAgo(10)}.jsonl.gz`, line: 1, seq: 2 });
+
+        const { entries } = await logger.query({ toolName: 'audit_retention' });
+        assert.deepStrictEqual(entries[0].metadata, { deleted_files: [`audit-${daysAgo(40)}.jsonl.gz`], reasons: ['older than 30 days'] });
+    });
+
+    test('deletes the oldest days over the size limit but never today', async () => {
+        const dir = auditDir();
+        await history(dir, [3, 2, 1]);
+
+        const logger = createLogger(dir, { maxSizeMB: 0.0001 });
+        await logEntries(logger, 1, 'today');
+        await logger.verify();
+
+        assert.deepStrictEqual(fs.readdirSync(dir).filter(file => file.startsWith('audit-')), [`audit-${today()}.jsonl`]);
+        const { entries } = await logger.query({ toolName: 'audit_retention' });
+        assert.strictEqual(entries[0].metadata.deleted_files.length, 3);
+        assert.match(entries[0].metadata.reasons[0], /^audit logs over 0\.0001 MB$/);
+    });
+
+    test('reads compressed and plain days alike and skips days outside the time range', async () => {
+        const dir = auditDir();
+        await history(dir, [3, 2, 1]);
+        const logger = createLogger(dir, { compress: true });
+        await logEntries(logger, 2, 'today');
+        await logger.verify();
+
+        const all = await logger.query({});
+        assert.strictEqual(all.total, 5);
+        assert.deepStrictEqual(all.entries.slice(-3).map(entry => entry.operation), [`op_${daysAgo(1)}`, `op_${daysAgo(2)}`, `op_${daysAgo(3)}`]);
+
+        const range = await logger.query({ startTime: `${daysAgo(2)}T00:00:00.000Z`, endTime: `${daysAgo(1)}T23:59:59.999Z` });
+        assert.deepStrictEqual(range.entries.map(entry => entry.operation), [`op_${daysAgo(1)}`, `op_${daysAgo(2)}`]);
+
+        const page = await logger.query({ limit: 2, offset: 1 });
+        assert.deepStrictEqual([page.total, page.entries.length, page.hasMore], [5, 2, true]);
+    });
+});
+
+describe('export', () => {
+    test('writes matching entries as CSV with quoting and formula protection', async () => {
+        const dir = auditDir();
+        const logger = createLogger(dir);
+        await logger.logOperation({
+            operation: 'start_deployment',
+            operation_type: 'deployment',
+            status: 'failure',
+            user: { id: 'ops@example.com' },
+            request: { parameters: { targetEnvironment: 'Production' } },
+            response: { error: '=HYPERLINK("x"), then "failed"', duration_ms: 1200 },
+            metadata: { project_name: 'Acme' },
+            tags: ['release', 'q4']
+        });
+        await logEntries(logger, 1, 'other');
+
+        const outputPath = path.join(dir, 'out', 'audit.csv');
+        const result = await logger.export({ toolName: 'start_deployment', outputPath });
+        assert.deepStrictEqual([result.outputPath, result.format, result.entries], [outputPath, 'csv', 1]);
+        assert.strictEqual(result.bytes, fs.statSync(outputPath).size);
+
+        const [header, row] = fs.readFileSync(outputPath, 'utf-8').trim().split('\n');
+        assert.strictEqual(header, 'timestamp,seq,operation,operation_type,status,user,environment,project,correlation_id,parent_operation,duration_ms,result,error,parameters,tags,hash');
+        assert.ok(row.includes(',1,start_deployment,deployment,failure,ops@example.com,Production,Acme,'));
+        assert.ok(row.includes(`,1200,failure,"'=HYPERLINK(""x""), then ""failed""","{""targetEnvironment"":""Production""}",release;q4,`));
+        assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'out')), ['audit.csv']);
+    });
+
+    test('writes JSON arrays, names the file after the range and rejects other formats', async () => {
+        const dir = auditDir();
+        const logger = createLogger(dir);
+        await logEntries(logger, 2);
+
+        const result = await logger.export({ format: 'json', startTime: `${today()}T00:00:00.000Z` });
+        assert.strictEqual(result.outputPath, path.resolve(dir, 'exports', `audit-${today()}_${today()}.json`));
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(result.outputPath, 'utf-8')).map(entry => entry.seq), [1, 2]);
+
+        const empty = await logger.export({ format: 'json', toolName: 'missing', outputPath: path.join(dir, 'empty.json') });
+        assert.deepStrictEqual([empty.entries, JSON.parse(fs.readFileSync(empty.outputPath, 'utf-8'))], [0, []]);
+
+        await assert.rejects(logger.export({ format: 'xml' }), error => error.code === 'INVALID_FORMAT');
+    });
+});
+
+describe('filters and aggregation', () => {
+    /**
+     * Deployments and other calls across two weeks, projects and environments
+     */
+    async function deployments(logger) {
+        const log = (timestamp, operation, status, duration, extra = {}) => logger.logOperation({
+            timestamp, operation, operation_type: 'deployment', status, response: { duration_ms: duration }, ...extra
+        });
+        await log('2026-10-12T09:00:00.000Z', 'start_deployment', 'success', 1000, {
+            user: { id: 'Ops@Example.com' }, request: { parameters: { targetEnvironment: 'Production' } }, metadata: { project_name: 'Acme' }, tags: ['release']
+        });
+        await log('2026-10-14T09:00:00.000Z', 'start_deployment', 'failure', 3000, {
+            request: { parameters: { targetEnvironment: 'Preproduction' } }, metadata: { project_id: 'acme-id' }
+        });
+        await log('2026-10-18T23:00:00.000Z', 'deploy_package', 'success', 2000, {
+            environment: { name: 'Production' }, metadata: { project_name: 'Other' }
+        });
+        await log('2026-10-19T08:00:00.000Z', 'start_deployment', 'error', 4000, {
+            request: { parameters: { targetEnvironment: 'Production', deploymentId: 'D-1' } }, tags: ['Hotfix']
+        });
+        await log('2026-10-19T09:00:00.000Z', 'get_deployment_status', 'success', 100, {
+            request: { parameters: { deploymentId: 'd-1' } }
+        });
+    }
+
+    test('filters by project, environment, user, tag and parameters case-insensitively', async () => {
+        const logger = createLogger(auditDir());
+        await deployments(logger);
+        const operations = async filters => (await logger.query(filters)).entries.map(entry => entry.timestamp.slice(5, 10));
+
+        assert.deepStrictEqual(await operations({ project: 'acme' }), ['10-12']);
+        assert.deepStrictEqual(await operations({ project: 'ACME-ID' }), ['10-14']);
+        // Deployment tools act on their targetEnvironment
+        assert.deepStrictEqual(await operations({ environment: 'production' }), ['10-19', '10-18', '10-12']);
+        assert.deepStrictEqual(await operations({ user: 'ops@example.com' }), ['10-12']);
+        assert.deepStrictEqual(await operations({ tag: 'hotfix' }), ['10-19']);
+        assert.deepStrictEqual(await operations({ params: { deploymentId: 'D-1' } }), ['10-19', '10-19']);
+        assert.deepStrictEqual(await operations({ environment: 'Production', status: 'success', toolName: 'start_deployment' }), ['10-12']);
+    });
+
+    test('summarizes tools and counts deployments per environment per ISO week', async () => {
+        const logger = createLogger(auditDir());
+        await deployments(logger);
+
+        const summary = await logger.aggregate({});
+        assert.strictEqual(summary.total, 5);
+        assert.deepStrictEqual([summary.firstTimestamp, summary.lastTimestamp], ['2026-10-12T09:00:00.000Z', '2026-10-19T09:00:00.000Z']);
+        assert.deepStrictEqual(summary.byStatus, { success: 3, failure: 1, error: 1 });
+
+        assert.deepStrictEqual(summary.byTool[0], {
+            tool: 'start_deployment',
+            total: 3,
+            byStatus: { success: 1, failure: 1, error: 1 },
+            failureRate: 66.67,
+            p50DurationMs: 3000,
+            p95DurationMs: 4000,
+            maxDurationMs: 4000
+        });
+        assert.deepStrictEqual(summary.byTool.map(tool => tool.tool), ['start_deployment', 'deploy_package', 'get_deployment_status']);
+
+        // 2026-10-18 is a Sunday, so it belongs to the week starting Monday 2026-10-12
+        assert.deepStrictEqual(summary.deploymentsByWeek, [
+            { week: '2026-10-12', environment: 'Preproduction', total: 1, success: 0, failure: 1 },
+            { week: '2026-10-12', environment: 'Production', total: 2, success: 2, failure: 0 },
+            { week: '2026-10-19', environment: 'Production', total: 1, success: 0, failure: 1 }
+        ]);
+
+        const scoped = await logger.aggregate({ project: 'other' });
+        assert.deepStrictEqual([scoped.total, scoped.byTool[0].tool], [1, 'deploy_package']);
+        assert.deepStrictEqual(await logger.aggregate({ tag: 'none' }), {
+            total: 0, firstTimestamp: null, lastTimestamp: null, byStatus: {}, byTool: [], deploymentsByWeek: []
+        });
+    });
+});
+
+describe('correlation', () => {
+    test('links background work and later calls on the same deployment to the starting call', async () => {
+        const logger = createLogger(auditDir());
+
+        let background;
+        await logger.wrapTool('start_deployment', 'deployment', { targetEnvironment: 'Production' }, async () => {
+            logger.linkResource('deployment_id', 'D-1');
+            // Monitoring keeps running after the tool call returns
+            background = new Promise(resolve => setImmediate(resolve)).then(() => logger.logOperation({
+                operation: 'deployment_monitor', operation_type: 'deployment', status: 'success'
+            }));
+            return 'started';
+        });
+        await background;
+        await logger.wrapTool('get_deployment_status', 'deployment', { deploymentId: 'D-1' }, async () => {
+            await logger.wrapTool('get_deployment_logs', 'log', {}, async () => 'logs');
+        });
+        await assert.rejects(logger.wrapTool('complete_deployment', 'deployment', { deploymentId: 'D-1' }, async () => {
+            throw new Error('Deployment is not awaiting verification');
+        }));
+        await logger.wrapTool('list_projects', 'config', {}, async () => []);
+
+        const tree = await logger.correlationTree({ deploymentId: 'D-1' });
+        assert.strictEqual(tree.roots.length, 1);
+        assert.strictEqual(tree.entries, 5);
+        assert.deepStrictEqual(tree.missingParents, []);
+
+        const [root] = tree.roots;
+        assert.deepStrictEqual([root.operation, root.environment, root.status], ['start_deployment', 'Production', 'success']);
+        assert.deepStrictEqual(root.children.map(child => child.operation), ['deployment_monitor', 'get_deployment_status', 'complete_deployment']);
+        assert.deepStrictEqual(root.children[1].children.map(child => child.operation), ['get_deployment_logs']);
+        assert.strictEqual(root.children[2].error, 'Deployment is not awaiting verification');
+
+        // The starting call records the deployment it started
+        const started = (await logger.query({ toolName: 'start_deployment' })).entries[0];
+        assert.strictEqual(started.metadata.deployment_id, 'D-1');
+
+        // Any call in the tree leads to the same root
+        const fromChild = await logger.correlationTree({ correlationId: root.children[1].children[0].correlation_id });
+        assert.strictEqual(fromChild.roots[0].correlation_id, root.correlation_id);
+    });
+
+    test('reports parents outside the searched range and requires a starting point', async () => {
+        const logger = createLogger(auditDir());
+        await logger.logOperation({ operation: 'get_export_status', operation_type: 'database', status: 'success', parent_operation: 'gone-1', request: { parameters: { exportId: 'E-1' } } });
+
+        const tree = await logger.correlationTree({ exportId: 'E-1' });
+        assert.deepStrictEqual([tree.roots[0].operation, tree.entries, tree.missingParents], ['get_export_status', 1, ['gone-1']]);
+        assert.deepStrictEqual(await logger.correlationTree({ correlationId: 'unknown' }), { roots: [], entries: 0, missingParents: [] });
+        await assert.rejects(logger.correlationTree({}), error => error.code === 'INVALID_PARAMS');
+    });
+});
+
+after(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for the audit tool argument handling shared by query, export and summary
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const AuditTools = require('../../dist/lib/tools/audit-tools').default;
+
+describe('toFilters', () => {
+    test('normalizes times to ISO 8601 and lets a bare end date cover the whole day', () => {
+        const filters = AuditTools.toFilters({ start_time: '2026-10-01', end_time: '2026-10-19', tool_name: 'start_deployment', status: 'failure' });
+
+        assert.strictEqual(filters.startTime, '2026-10-01T00:00:00.000Z');
+        assert.strictEqual(filters.endTime, '2026-10-19T23:59:59.999Z');
+        assert.strictEqual(filters.toolName, 'start_deployment');
+        assert.strictEqual(filters.status, 'failure');
+
+        const offset = AuditTools.toFilters({ start_time: '2026-10-19T10:00:00+02:00', end_time: '2026-10-19T12:30:00Z' });
+        assert.deepStrictEqual([offset.startTime, offset.endTime], ['2026-10-19T08:00:00.000Z', '2026-10-19T12:30:00.000Z']);
+    });
+
+    test('passes scope filters through and drops empty parameter filters', () => {
+        const filters = AuditTools.toFilters({ project: 'Acme', environment: 'Production', user: 'ops', tag: 'release', params: { deploymentId: 'd1' } });
+        assert.deepStrictEqual(filters, {
+            startTime: undefined,
+            endTime: undefined,
+            toolName: undefined,
+            status: undefined,
+            project: 'Acme',
+            environment: 'Production',
+            user: 'ops',
+            tag: 'release',
+            params: { deploymentId: 'd1' }
+        });
+        assert.strictEqual(AuditTools.toFilters({ params: {} }).params, undefined);
+    });
+
+    test('returns a message for invalid or reversed times', () => {
+        assert.strictEqual(AuditTools.toFilters({ start_time: 'last week' }), 'Invalid time: last week. Use an ISO 8601 timestamp or YYYY-MM-DD');
+        assert.strictEqual(AuditTools.toFilters({ end_time: '2026-13-45' }), 'Invalid time: 2026-13-45. Use an ISO 8601 timestamp or YYYY-MM-DD');
+        assert.strictEqual(AuditTools.toFilters({ start_time: '2026-10-19', end_time: '2026-10-01' }), 'start_time must be before end_time');
+        // The same day as start and end is a valid range
+        assert.strictEqual(typeof AuditTools.toFilters({ start_time: '2026-10-19', end_time: '2026-10-19' }), 'object');
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * Unit tests for opt-in auto-verification policies and decisions
+ */
+
+const { test, describe, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verifier-test-'));
+process.env.DXP_MAINTENANCE_WINDOWS_FILE = path.join(tempDir, 'no-windows.json');
+process.env.DXP_VERIFICATION_POLICY_FILE = path.join(tempDir, 'verification-policy.json');
+
+const { AutoVerifier, DEFAULT_VERIFICATION_POLICY } = require('../../dist/lib/auto-verifier');
+const DXPRestClient = require('../../dist/lib/dxp-rest-client').default;
+const DeploymentResourceHandler = require('../../dist/lib/resources/deployment-resource').default;
+const { getGlobalMonitor } = require('../../dist/lib/deployment-monitor');
+const { setGlobalAuditLogger } = require('../../dist/lib/audit-logger');
+
+const credentials = { projectId: 'project-1', apiKey: 'key', apiSecret: 'secret', projectName: 'Acme' };
+
+// Record everything the verifier does instead of calling the API, the monitor or the event bus
+const original = {
+    evaluate: AutoVerifier.evaluate,
+    getDeployments: DXPRestClient.getDeployments,
+    completeDeployment: DXPRestClient.completeDeployment,
+    resetDeployment: DXPRestClient.resetDeployment
+};
+let calls;
+let audited;
+let emitted;
+
+setGlobalAuditLogger({ logOperation: async (entry) => audited.push(entry) });
+DeploymentResourceHandler.emitAutoDecision = (deploymentId, details) => emitted.push({ deploymentId, ...details });
+getGlobalMonitor().startMonitoring = (params) => calls.push(['monitor', params.deploymentId]);
+
+function stubDeployment(status, evaluation) {
+    DXPRestClient.getDeployments = async () => ({ status, parameters: { targetEnvironment: 'Production' } });
+    DXPRestClient.completeDeployment = async (projectId, apiKey, apiSecret, deploymentId) => calls.push(['complete', deploymentId]);
+    DXPRestClient.resetDeployment = async (projectId, apiKey, apiSecret, deploymentId) => calls.push(['reset', deploymentId]);
+    AutoVerifier.evaluate = async () => ({ reasons: [], comparison: null, slotEntries: 100, baselineEntries: 100, evaluatedAt: 'now', recommendation: 'proceed', ...evaluation });
+}
+
+async function waitFor(verifier, deploymentId) {
+    for (let i = 0; i < 100; i++) {
+        const session = verifier.get(deploymentId);
+        if (['decided', 'stopped'].includes(session.status)) {
+            // Let the fire-and-forget audit write land
+            await new Promise(resolve => setImmediate(resolve));
+            return session;
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Session ${deploymentId} did not finish`);
+}
+
+describe('AutoVerifier.getPolicy', () => {
+    afterEach(() => {
+        fs.rmSync(process.env.DXP_VERIFICATION_POLICY_FILE, { force: true });
+    });
+
+    test('uses the built-in defaults without a policy file', () => {
+        assert.deepStrictEqual(AutoVerifier.getPolicy('Acme'), DEFAULT_VERIFICATION_POLICY);
+    });
+
+    test('layers the policy file and call overrides, ignoring undefined values', () => {
+        fs.writeFileSync(process.env.DXP_VERIFICATION_POLICY_FILE, JSON.stringify({
+            default: { sampleMinutes: 15, thresholds: { maxErrorIncrease: 0.5 } },
+            projects: { ACME: { onWarning: 'reset', thresholds: { maxLatencyIncrease: 200 } } }
+        }));
+
+        const policy = AutoVerifier.getPolicy('acme', { delayMinutes: 0, onWarning: undefined, thresholds: { maxErrorIncrease: 0.1 } });
+        assert.strictEqual(policy.sampleMinutes, 15);
+        assert.strictEqual(policy.delayMinutes, 0);
+        assert.strictEqual(policy.onWarning, 'reset');
+        assert.strictEqual(policy.onCritical, 'reset');
+        assert.deepStrictEqual(policy.thresholds, { maxLatencyIncrease: 200, maxErrorIncrease: 0.1 });
+    });
+
+    test('throws instead of using the defaults when the policy file is broken', () => {
+        fs.writeFileSync(process.env.DXP_VERIFICATION_POLICY_FILE, '{ "default": { "onWarning": ');
+        assert.throws(() => AutoVerifier.getPolicy('Acme'), error => error.code === 'INVALID_SETTINGS_FILE');
+    });
+});
+
+describe('AutoVerifier sessions', () => {
+    beforeEach(() => {
+        calls = [];
+        audited = [];
+        emitted = [];
+    });
+
+    afterEach(() => {
+        AutoVerifier.evaluate = original.evaluate;
+        DXPRestClient.getDeployments = original.getDeployments;
+        DXPRestClient.completeDeployment = original.completeDeployment;
+        DXPRestClient.resetDeployment = original.resetDeployment;
+    });
+
+    test('completes a safe deployment, then monitors, emits and audits the decision', async () => {
+        stubDeployment('AwaitingVerification', { decision: 'safe' });
+        const verifier = new AutoVerifier({ pollInterval: 5 });
+
+        verifier.start({ deploymentId: 'dep-safe', credentials, source: 'start_deployment', policy: { delayMinutes: 0 } });
+        const session = await waitFor(verifier, 'dep-safe');
+
+        assert.strictEqual(session.status, 'decided');
+        assert.strictEqual(session.environment, 'Production');
+        assert.deepStrictEqual(calls, [['complete', 'dep-safe'], ['monitor', 'dep-safe']]);
+        assert.strictEqual(emitted[0].action, 'complete');
+        assert.strictEqual(audited.length, 1);
+        assert.deepStrictEqual(audited[0].tags, ['auto-decision', 'safe', 'complete']);
+    });
+
+    test('resets critical deployments', async () => {
+        stubDeployment('AwaitingVerification', { decision: 'critical', reasons: ['error rate tripled'] });
+        const verifier = new AutoVerifier({ pollInterval: 5 });
+
+        verifier.start({ deploymentId: 'dep-bad', credentials, source: 'start_deployment', policy: { delayMinutes: 0 } });
+        const session = await waitFor(verifier, 'dep-bad');
+
+        assert.strictEqual(session.decision.action, 'reset');
+        assert.strictEqual(calls[0][0], 'reset');
+    });
+
+    test('holds instead of completing when there was too little data to judge', async () => {
+        stubDeployment('AwaitingVerification', { decision: 'warning', insufficientData: true });
+        const verifier = new AutoVerifier({ pollInterval: 5 });
+
+        verifier.start({ deploymentId: 'dep-quiet', credentials, source: 'start_deployment', policy: { delayMinutes: 0, onWarning: 'complete' } });
+        const session = await waitFor(verifier, 'dep-quiet');
+
+        assert.strictEqual(session.decision.action, 'hold');
+        assert.strictEqual(session.decision.executed, false);
+        assert.deepStrictEqual(calls, []);
+    });
+
+    test('holds a safe deployment when the policy file cannot be read', async () => {
+        stubDeployment('AwaitingVerification', { decision: 'safe' });
+        fs.writeFileSync(process.env.DXP_VERIFICATION_POLICY_FILE, '{ "projects": ');
+        const verifier = new AutoVerifier({ pollInterval: 5 });
+
+        try {
+            verifier.start({ deploymentId: 'dep-no-policy', credentials, source: 'start_deployment', policy: { delayMinutes: 0 } });
+        } finally {
+            fs.rmSync(process.env.DXP_VERIFICATION_POLICY_FILE, { force: true });
+        }
+        const session = await waitFor(verifier, 'dep-no-policy');
+
+        assert.match(session.policyError, /Failed to read settings file/);
+        assert.deepStrictEqual([session.policy.onWarning, session.policy.onCritical], ['hold', 'hold']);
+        assert.strictEqual(session.decision.action, 'hold');
+        assert.match(session.decision.reasons[0], /verification policy could not be read/);
+        assert.deepStrictEqual(calls, []);
+    });
+
+    test('does not act on a session stopped while its logs were evaluated', async () => {
+        stubDeployment('AwaitingVerification', { decision: 'safe' });
+        const verifier = new AutoVerifier({ pollInterval: 5 });
+        AutoVerifier.evaluate = async () => {
+            verifier.stop('dep-stopped', 'Stopped during evaluation');
+            return { decision: 'safe', reasons: [], comparison: null, slotEntries: 100, baselineEntries: 100, evaluatedAt: 'now', recommendation: 'proceed' };
+        };
+
+        verifier.start({ deploymentId: 'dep-stopped', credentials, source: 'start_deployment', policy: { delayMinutes: 0 } });
+        const session = await waitFor(verifier, 'dep-stopped');
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.strictEqual(session.status, 'stopped');
+        assert.strictEqual(session.decision, null);
+        assert.deepStrictEqual(calls, []);
+        assert.deepStrictEqual(emitted, []);
+        assert.deepStrictEqual(audited.map(entry => entry.response.result), ['stopped']);
+    });
+
+    test('records an execution error without retrying', async () => {
+        stubDeployment('AwaitingVerification', { decision: 'safe' });
+        DXPRestClient.completeDeployment = async () => {
+            throw new Error('HTTP 409');
+        };
+        const verifier = new AutoVerifier({ pollInterval: 5 });
+
+        verifier.start({ deploymentId: 'dep-conflict', credentials, source: 'start_deployment', policy: { delayMinutes: 0 } });
+        const session = await waitFor(verifier, 'dep-conflict');
+
+        assert.strictEqual(session.decision.executionError, 'HTTP 409');
+        assert.strictEqual(audited[0].status, 'failure');
+    });
+
+    test('audits sessions that stop before a decision', async () => {
+        stubDeployment('Succeeded', { decision: 'safe' });
+        const verifier = new AutoVerifier({ pollInterval: 5 });
+
+        verifier.start({ deploymentId: 'dep-done', credentials, source: 'start_deployment' });
+        const session = await waitFor(verifier, 'dep-done');
+
+        assert.strictEqual(session.status, 'stopped');
+        assert.match(session.stopReason, /reached Succeeded/);
+        assert.deepStrictEqual(audited.map(entry => entry.response.result), ['stopped']);
+    });
+
+    test('stop() ends a waiting session once and audits it', async () => {
+        stubDeployment('InProgress', { decision: 'safe' });
+        const verifier = new AutoVerifier({ pollInterval: 60000 });
+
+        verifier.start({ deploymentId: 'dep-manual', credentials, source: 'start_deployment' });
+        assert.strictEqual(verifier.stop('dep-manual', 'Not needed'), true);
+        assert.strictEqual(verifier.stop('dep-manual'), false);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.strictEqual(verifier.get('dep-manual').stopReason, 'Not needed');
+        assert.deepStrictEqual(audited.map(entry => entry.metadata.reasons), [['Not needed']]);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,310 @@
+/**
+ * Unit tests for resumable Range downloads and the download restart journal
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloader-test-'));
+process.env.DXP_DOWNLOAD_RESTART_FILE = path.join(tempDir, 'unfinished-downloads.json');
+
+const AzureBlobDownloader = require('../../dist/lib/azure-blob-downloader').default;
+const downloadManager = require('../../dist/lib/download-manager').default;
+const DownloadResourceHandler = require('../../dist/lib/resources/download-resource').default;
+
+// Keep download events off the process-wide event bus
+for (const name of ['emitStarted', 'emitInProgress', 'emitSucceeded', 'emitFailed', 'emitCancelled', 'emitPaused', 'emitResumed']) {
+    DownloadResourceHandler[name] = () => null;
+}
+
+/**
+ * Blob endpoint with Range, ETag and If-Match support
+ * Ranges starting at or after failFrom answer 403; ranges at or after holdFrom
+ * wait until release() is called, so tests can pause or cancel mid-transfer.
+ */
+const blob = {
+    content: Buffer.alloc(0),
+    etag: null,
+    ranges: true,
+    failFrom: Infinity,
+    holdFrom: Infinity,
+    held: [],
+    requests: [],
+    set(content) {
+        this.content = content;
+        this.etag = `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+    },
+    release() {
+        this.holdFrom = Infinity;
+        this.held.splice(0).forEach(resume => resume());
+    }
+};
+
+const server = http.createServer((req, res) => {
+    const range = /bytes=(\d+)-(\d+)/.exec(req.headers.range || '');
+    blob.requests.push(req.method === 'HEAD' ? 'HEAD' : range ? `${range[1]}-${range[2]}` : 'GET');
+
+    if (req.method === 'HEAD') {
+        res.writeHead(200, { 'Content-Length': blob.content.length, 'ETag': blob.etag, ...(blob.ranges && { 'Accept-Ranges': 'bytes' }) });
+        res.end();
+        return;
+    }
+    if (req.headers['if-match'] && req.headers['if-match'] !== blob.etag) {
+        res.writeHead(412);
+        res.end();
+        return;
+    }
+    if (!range || !blob.ranges) {
+        res.writeHead(200, { 'Content-Length': blob.content.length });
+        res.end(blob.content);
+        return;
+    }
+
+    const start = Number(range[1]);
+    const end = Number(range[2]);
+    const send = () => {
+        if (start >= blob.failFrom) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+        res.writeHead(206, { 'Content-Range': `bytes ${start}-${end}/${blob.content.length}` });
+        res.end(blob.content.subarray(start, end + 1));
+    };
+    if (start >= blob.holdFrom) {
+        blob.held.push(send);
+    } else {
+        send();
+    }
+});
+
+let baseUrl;
+let fileCount = 0;
+
+function target() {
+    const dir = path.join(tempDir, `download-${fileCount++}`);
+    return { dir, localPath: path.join(dir, 'logs', 'app.log') };
+}
+
+// The state file is removed once nothing in the folder is left to resume
+function partialFiles(dir) {
+    const statePath = path.join(dir, '.download-partial.json');
+    return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')).files : {};
+}
+
+function waitForRequest(count) {
+    return new Promise(resolve => {
+        const check = () => (blob.held.length >= count ? resolve() : setTimeout(check, 5));
+        check();
+    });
+}
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/container/app.log?sv=1&sig=abc`;
+});
+
+beforeEach(() => {
+    blob.set(crypto.randomBytes(100));
+    blob.ranges = true;
+    blob.failFrom = Infinity;
+    blob.holdFrom = Infinity;
+    blob.requests = [];
+});
+
+describe('AzureBlobDownloader.download', () => {
+    test('fetches small files whole without probing', async () => {
+        const { localPath } = target();
+        const result = await AzureBlobDownloader.download(baseUrl, localPath, { expectedSize: 100, chunkSize: 1024 });
+
+        assert.deepStrictEqual(blob.requests, ['GET']);
+        assert.strictEqual(result.ranged, false);
+        assert.ok(fs.readFileSync(localPath).equals(blob.content));
+        assert.ok(!fs.existsSync(`${localPath}.partial`));
+    });
+
+    test('downloads in ranges and clears its partial state when done', async () => {
+        const { dir, localPath } = target();
+        const progress = [];
+        const result = await AzureBlobDownloader.download(baseUrl, localPath, {
+            stateDir: dir,
+            chunkSize: 16,
+            onProgress: (bytes) => progress.push(bytes)
+        });
+
+        assert.deepStrictEqual(result.chunks, 7);
+        assert.strictEqual(result.ranged, true);
+        assert.deepStrictEqual(blob.requests, ['HEAD', '0-15', '16-31', '32-47', '48-63', '64-79', '80-95', '96-99']);
+        assert.strictEqual(progress[progress.length - 1], 100);
+        assert.ok(fs.readFileSync(localPath).equals(blob.content));
+        assert.deepStrictEqual(partialFiles(dir), {});
+    });
+
+    test('streams the whole file from servers without Range support', async () => {
+        blob.ranges = false;
+        const { localPath } = target();
+        const result = await AzureBlobDownloader.download(baseUrl, localPath, { chunkSize: 16 });
+
+        assert.deepStrictEqual(blob.requests, ['HEAD', 'GET']);
+        assert.strictEqual(result.chunks, 1);
+        assert.ok(fs.readFileSync(localPath).equals(blob.content));
+    });
+
+    test('resumes from the first missing chunk with a fresh SAS token', async () => {
+        const { dir, localPath } = target();
+        blob.failFrom = 48;
+
+        await assert.rejects(AzureBlobDownloader.download(baseUrl, localPath, { stateDir: dir, chunkSize: 16 }), /HTTP 403/);
+        const entry = partialFiles(dir)['logs/app.log'];
+        assert.deepStrictEqual(entry.completedChunks, [0, 1, 2]);
+        assert.strictEqual(entry.source, AzureBlobDownloader.stripSasToken(baseUrl));
+        assert.strictEqual(await AzureBlobDownloader.findPartial(dir, baseUrl.replace('sig=abc', 'sig=new')), localPath);
+
+        blob.failFrom = Infinity;
+        blob.requests = [];
+        const result = await AzureBlobDownloader.download(baseUrl.replace('sig=abc', 'sig=new'), localPath, { stateDir: dir, chunkSize: 16 });
+
+        assert.strictEqual(result.resumedFromBytes, 48);
+        assert.deepStrictEqual(blob.requests, ['HEAD', '48-63', '64-79', '80-95', '96-99']);
+        assert.ok(fs.readFileSync(localPath).equals(blob.content));
+        assert.strictEqual(await AzureBlobDownloader.findPartial(dir, baseUrl), null);
+    });
+
+    test('starts over when the blob changed since the interruption', async () => {
+        const { dir, localPath } = target();
+        blob.failFrom = 32;
+        await assert.rejects(AzureBlobDownloader.download(baseUrl, localPath, { stateDir: dir, chunkSize: 16 }));
+
+        blob.set(crypto.randomBytes(100));
+        blob.failFrom = Infinity;
+        const result = await AzureBlobDownloader.download(baseUrl, localPath, { stateDir: dir, chunkSize: 16 });
+
+        assert.strictEqual(result.resumedFromBytes, 0);
+        assert.ok(fs.readFileSync(localPath).equals(blob.content));
+    });
+
+    test('drops partial data when the blob changes mid-transfer', async () => {
+        const { dir, localPath } = target();
+        blob.holdFrom = 32;
+        const download = AzureBlobDownloader.download(baseUrl, localPath, { stateDir: dir, chunkSize: 16 });
+
+        await waitForRequest(1);
+        blob.set(crypto.randomBytes(100));
+        blob.release();
+
+        await assert.rejects(download, error => error.statusCode === 412);
+        assert.ok(!fs.existsSync(`${localPath}.partial`));
+        assert.deepStrictEqual(partialFiles(dir), {});
+    });
+});
+
+describe('AzureBlobDownloader with the download manager', () => {
+    const register = () => downloadManager.registerDownload({
+        projectName: 'Acme',
+        containerName: 'insights-logs-appserviceconsolelogs',
+        environment: 'Production',
+        dateRange: `test-${fileCount}`
+    });
+
+    test('pauses without losing chunks and continues on resume', async () => {
+        const { dir, localPath } = target();
+        const key = register();
+        blob.holdFrom = 32;
+        const download = AzureBlobDownloader.download(baseUrl, localPath, { stateDir: dir, chunkSize: 16, downloadKey: key });
+
+        await waitForRequest(1);
+        assert.strictEqual(downloadManager.pauseDownload(key).success, true);
+        assert.strictEqual(downloadManager.getDownload(key).status, 'paused');
+        blob.release();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepStrictEqual(partialFiles(dir)['logs/app.log'].completedChunks, [0, 1]);
+
+        assert.strictEqual(downloadManager.resumeDownload(key).success, true);
+        const result = await download;
+        downloadManager.completeDownload(key);
+
+        assert.strictEqual(result.size, 100);
+        assert.ok(fs.readFileSync(localPath).equals(blob.content));
+    });
+
+    test('cancelling deletes the partial file and its state', async () => {
+        const { dir, localPath } = target();
+        const key = register();
+        blob.holdFrom = 48;
+        const download = AzureBlobDownloader.download(baseUrl, localPath, { stateDir: dir, chunkSize: 16, downloadKey: key });
+
+        await waitForRequest(1);
+        assert.strictEqual(downloadManager.cancelDownload(key).success, true);
+        blob.release();
+
+        await assert.rejects(download, error => downloadManager.isInterruption(error));
+        assert.ok(!fs.existsSync(`${localPath}.partial`));
+        assert.deepStrictEqual(partialFiles(dir), {});
+    });
+});
+
+describe('DownloadManager restart journal', () => {
+    const journal = () => JSON.parse(fs.readFileSync(process.env.DXP_DOWNLOAD_RESTART_FILE, 'utf8')).downloads;
+
+    test('records downloads without credentials and forgets them when they finish', () => {
+        downloadManager.rememberForRestart('logs-1', 'download_logs', {
+            environment: 'Production', apiKey: 'key', apiSecret: 'secret', projectId: 'id', __internal: true, skipConfirmation: true
+        });
+        downloadManager.rememberForRestart('logs-2', 'download_logs', { environment: 'Integration' });
+
+        assert.deepStrictEqual(journal().map(record => [record.key, record.args]), [
+            ['logs-1', { environment: 'Production', skipConfirmation: true }],
+            ['logs-2', { environment: 'Integration' }]
+        ]);
+
+        const key = downloadManager.registerDownload({ key: 'logs-1', projectName: 'Acme', containerName: 'logs', environment: 'Production' });
+        downloadManager.failDownload(key, 'boom');
+        assert.deepStrictEqual(journal().map(record => record.key), ['logs-2']);
+    });
+
+    test('resumeUnfinished re-runs each record once and clears the journal', async () => {
+        const runs = [];
+        assert.strictEqual(downloadManager.resumeUnfinished(async (operation, args) => {
+            runs.push([operation, args]);
+            return { error: 'Project not configured' };
+        }), 1);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(runs, [['download_logs', { environment: 'Integration' }]]);
+        assert.deepStrictEqual(journal(), []);
+        assert.strictEqual(downloadManager.resumeUnfinished(async () => null), 0);
+    });
+
+    test('resumeUnfinished leaves downloads the user paused alone', async () => {
+        for (const key of ['logs-paused', 'logs-resumed', 'logs-running']) {
+            downloadManager.registerDownload({ key, projectName: 'Acme', containerName: 'logs', environment: 'Production' });
+            downloadManager.rememberForRestart(key, 'download_logs', { environment: key });
+        }
+        downloadManager.pauseDownload('logs-paused');
+        downloadManager.pauseDownload('logs-resumed');
+        downloadManager.resumeDownload('logs-resumed');
+        assert.deepStrictEqual(journal().map(record => [record.key, record.paused]), [
+            ['logs-paused', true], ['logs-resumed', undefined], ['logs-running', undefined]
+        ]);
+
+        const runs = [];
+        assert.strictEqual(downloadManager.resumeUnfinished(async (operation, args) => {
+            runs.push(args.environment);
+        }), 2);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(runs, ['logs-resumed', 'logs-running']);
+        assert.deepStrictEqual(journal(), []);
+        ['logs-paused', 'logs-resumed', 'logs-running'].forEach(key => downloadManager.cancelDownload(key));
+    });
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,272 @@
+/**
+ * Unit tests for the backup catalog and its daily/weekly retention
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-catalog-test-'));
+process.env.DXP_BACKUP_RETENTION_FILE = path.join(tempDir, 'backup-retention.json');
+fs.writeFileSync(process.env.DXP_BACKUP_RETENTION_FILE, JSON.stringify({
+    default: { keepDaily: 2, keepWeekly: 1 },
+    projects: {
+        Manual: { autoPrune: false },
+        Empty: { keepDaily: 0, keepWeekly: 0 }
+    }
+}));
+
+const BackupCatalog = require('../../dist/lib/backup-catalog').default;
+const { DEFAULT_RETENTION_POLICY } = require('../../dist/lib/backup-catalog');
+
+let dirCount = 0;
+
+function backupDir() {
+    const dir = path.join(tempDir, `backups-${dirCount++}`);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+// File names as db_export_download writes them
+function writeBacpac(dir, project, timestamp, content = `${project}-${timestamp}`) {
+    const filePath = path.join(dir, `${project}-production-epicms-${timestamp}.bacpac`);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+/**
+ * Run with another retention file in place (null for none)
+ */
+async function withRetentionFile(content, fn) {
+    const original = process.env.DXP_BACKUP_RETENTION_FILE;
+    process.env.DXP_BACKUP_RETENTION_FILE = path.join(tempDir, `retention-${dirCount++}.json`);
+    if (content !== null) {
+        fs.writeFileSync(process.env.DXP_BACKUP_RETENTION_FILE, content);
+    }
+    try {
+        return await fn();
+    } finally {
+        process.env.DXP_BACKUP_RETENTION_FILE = original;
+    }
+}
+
+function entry(exportedAt, overrides = {}) {
+    return {
+        fileName: `acme-production-epicms-${exportedAt}.bacpac`,
+        filePath: path.join(tempDir, `acme-${exportedAt}.bacpac`),
+        projectName: 'Acme',
+        environment: 'Production',
+        databaseName: 'epicms',
+        size: 10,
+        checksum: null,
+        exportedAt,
+        downloadedAt: null,
+        exportId: null,
+        source: 'scan',
+        mtimeMs: 0,
+        ...overrides
+    };
+}
+
+describe('BackupCatalog naming', () => {
+    test('parses the name db_export_download writes', () => {
+        assert.deepStrictEqual(BackupCatalog.parseFileName('my-site-PRODUCTION-epicms-2025-01-31T04-05-06.bacpac'), {
+            projectName: 'my-site',
+            environment: 'Production',
+            databaseName: 'epicms',
+            timestamp: '2025-01-31T04:05:06.000Z'
+        });
+        assert.strictEqual(BackupCatalog.parseFileName('manual-copy.bacpac'), null);
+        assert.strictEqual(BackupCatalog.parseFileName('acme-staging-epicms-2025-01-31T04-05-06.bacpac'), null);
+    });
+
+    test('isoWeek follows ISO-8601 across year boundaries', () => {
+        assert.strictEqual(BackupCatalog.isoWeek('2025-01-31T04:05:06.000Z'), '2025-W05');
+        assert.strictEqual(BackupCatalog.isoWeek('2024-12-30T00:00:00.000Z'), '2025-W01');
+        assert.strictEqual(BackupCatalog.isoWeek('2021-01-03T23:59:59.000Z'), '2020-W53');
+        assert.strictEqual(BackupCatalog.isoWeek('2026-10-19T12:00:00.000Z'), '2026-W43');
+    });
+
+    test('filters compare names the way file names store them', () => {
+        const acme = entry('2025-01-31T00:00:00.000Z', { projectName: 'Acme Corp' });
+        assert.strictEqual(BackupCatalog.matches(acme, { projectName: 'acme_corp', environment: 'production' }), true);
+        assert.strictEqual(BackupCatalog.matches(acme, { databaseName: 'epicommerce' }), false);
+    });
+});
+
+describe('BackupCatalog.getPolicy', () => {
+    test('layers defaults, the retention file and call overrides', () => {
+        assert.deepStrictEqual(BackupCatalog.getPolicy('Acme'), { keepDaily: 2, keepWeekly: 1, autoPrune: true });
+        assert.deepStrictEqual(BackupCatalog.getPolicy('manual', { keepWeekly: 8, keepDaily: undefined }), { keepDaily: 2, keepWeekly: 8, autoPrune: false });
+    });
+
+    test('only prunes automatically for projects the retention file configures', async () => {
+        assert.strictEqual(DEFAULT_RETENTION_POLICY.autoPrune, false);
+        await withRetentionFile(null, () => {
+            assert.deepStrictEqual(BackupCatalog.getPolicy('Acme'), DEFAULT_RETENTION_POLICY);
+        });
+        await withRetentionFile(JSON.stringify({ projects: { Acme: { keepDaily: 3 } } }), () => {
+            assert.deepStrictEqual(BackupCatalog.getPolicy('ACME'), { keepDaily: 3, keepWeekly: 4, autoPrune: true });
+            assert.strictEqual(BackupCatalog.getPolicy('Other').autoPrune, false);
+        });
+    });
+
+    test('throws instead of falling back to defaults when the retention file is broken', async () => {
+        await withRetentionFile('{ "default": ', () => {
+            assert.throws(() => BackupCatalog.getPolicy('Acme'), error => error.code === 'INVALID_SETTINGS_FILE');
+        });
+    });
+});
+
+describe('BackupCatalog.planRetention', () => {
+    const policy = { keepDaily: 3, keepWeekly: 2, autoPrune: true };
+
+    test('keeps the newest backup of each recent day and week', () => {
+        const plan = BackupCatalog.planRetention([
+            entry('2025-01-31T04:00:00.000Z'),
+            entry('2025-01-31T01:00:00.000Z'),
+            entry('2025-01-30T04:00:00.000Z'),
+            entry('2025-01-29T04:00:00.000Z'),
+            entry('2025-01-28T04:00:00.000Z'),
+            entry('2025-01-22T04:00:00.000Z'),
+            entry('2025-01-15T04:00:00.000Z')
+        ], policy);
+
+        assert.deepStrictEqual(plan.keep.map(kept => [kept.entry.exportedAt.slice(0, 13), kept.reasons]), [
+            ['2025-01-31T04', ['daily 2025-01-31', 'weekly 2025-W05']],
+            ['2025-01-30T04', ['daily 2025-01-30']],
+            ['2025-01-29T04', ['daily 2025-01-29']],
+            ['2025-01-22T04', ['weekly 2025-W04']]
+        ]);
+        assert.deepStrictEqual(plan.remove.map(removed => removed.exportedAt.slice(0, 13)), ['2025-01-31T01', '2025-01-28T04', '2025-01-15T04']);
+    });
+
+    test('plans each project, environment and database series separately', () => {
+        const plan = BackupCatalog.planRetention([
+            entry('2025-01-31T04:00:00.000Z'),
+            entry('2025-01-30T04:00:00.000Z', { environment: 'Integration' }),
+            entry('2025-01-29T04:00:00.000Z', { databaseName: 'epicommerce' })
+        ], { keepDaily: 1, keepWeekly: 0, autoPrune: true });
+
+        assert.strictEqual(plan.keep.length, 3);
+        assert.strictEqual(plan.remove.length, 0);
+    });
+
+    test('never removes a protected file', () => {
+        const old = entry('2024-06-01T00:00:00.000Z');
+        const plan = BackupCatalog.planRetention([entry('2025-01-31T04:00:00.000Z'), old], { keepDaily: 1, keepWeekly: 0, autoPrune: true }, [old.filePath]);
+
+        assert.deepStrictEqual(plan.keep[1].reasons, ['just downloaded']);
+        assert.deepStrictEqual(plan.remove, []);
+    });
+});
+
+describe('BackupCatalog on disk', () => {
+    test('sync catalogs our bacpacs with checksums and forgets deleted ones', async () => {
+        const dir = backupDir();
+        const first = writeBacpac(dir, 'acme', '2025-01-30T04-00-00', 'first');
+        writeBacpac(dir, 'acme', '2025-01-31T04-00-00');
+        fs.writeFileSync(path.join(dir, 'hand-named.bacpac'), 'mine');
+
+        const entries = await BackupCatalog.sync(dir);
+        assert.strictEqual(entries.length, 2);
+        const recorded = entries.find(e => e.filePath === first);
+        assert.strictEqual(recorded.checksum, crypto.createHash('md5').update('first').digest('hex'));
+        assert.strictEqual(recorded.source, 'scan');
+        assert.strictEqual(recorded.exportedAt, '2025-01-30T04:00:00.000Z');
+
+        fs.unlinkSync(first);
+        assert.strictEqual((await BackupCatalog.sync(dir)).length, 1);
+        assert.deepStrictEqual(await BackupCatalog.sync(path.join(tempDir, 'missing')), []);
+    });
+
+    test('prune removes files and catalog entries, and a dry run touches nothing', async () => {
+        const dir = backupDir();
+        const kept = writeBacpac(dir, 'acme', '2025-01-31T04-00-00');
+        const old = writeBacpac(dir, 'acme', '2025-01-01T04-00-00', 'old backup');
+        const policy = { keepDaily: 1, keepWeekly: 0, autoPrune: true };
+
+        const preview = await BackupCatalog.prune([dir], { projectName: 'acme' }, policy, { dryRun: true });
+        assert.strictEqual(preview.freedBytes, 10);
+        assert.ok(fs.existsSync(old));
+
+        const result = await BackupCatalog.prune([dir], { projectName: 'acme' }, policy);
+        assert.deepStrictEqual(result.remove.map(e => e.filePath), [old]);
+        assert.ok(!fs.existsSync(old));
+        assert.ok(fs.existsSync(kept));
+
+        const catalog = JSON.parse(fs.readFileSync(BackupCatalog.getCatalogPath(dir), 'utf8'));
+        assert.deepStrictEqual(Object.keys(catalog.backups), [path.basename(kept)]);
+    });
+
+    test('record stores download details for the new file', async () => {
+        const dir = backupDir();
+        const filePath = writeBacpac(dir, 'acme', '2025-01-31T04-00-00');
+
+        const recorded = await BackupCatalog.record({ filePath, projectName: 'Acme', environment: 'Production', databaseName: 'epicms', exportId: 'export-1' });
+        assert.strictEqual(recorded.source, 'download');
+        assert.strictEqual(recorded.exportId, 'export-1');
+        assert.strictEqual(recorded.exportedAt, '2025-01-31T04:00:00.000Z');
+        assert.strictEqual((await BackupCatalog.list([dir], { databaseName: 'EPICMS' }))[0].exportId, 'export-1');
+    });
+});
+
+describe('BackupCatalog.enforceRetention', () => {
+    test('prunes the downloaded series with the project policy', async () => {
+        const dir = backupDir();
+        writeBacpac(dir, 'acme', '2025-01-10T04-00-00');
+        writeBacpac(dir, 'acme', '2025-01-29T04-00-00');
+        writeBacpac(dir, 'acme', '2025-01-30T04-00-00');
+        const latest = await BackupCatalog.record({
+            filePath: writeBacpac(dir, 'acme', '2025-01-31T04-00-00'),
+            projectName: 'Acme',
+            environment: 'Production',
+            databaseName: 'epicms'
+        });
+
+        const result = await BackupCatalog.enforceRetention(latest);
+        assert.deepStrictEqual(result.remove.map(e => e.exportedAt.slice(0, 10)), ['2025-01-29', '2025-01-10']);
+        assert.strictEqual((await BackupCatalog.sync(dir)).length, 2);
+    });
+
+    test('does nothing when auto-prune is off or the policy would keep nothing', async () => {
+        for (const project of ['Manual', 'Empty']) {
+            const dir = backupDir();
+            const old = writeBacpac(dir, project.toLowerCase(), '2024-01-01T04-00-00');
+            const latest = await BackupCatalog.record({
+                filePath: writeBacpac(dir, project.toLowerCase(), '2025-01-31T04-00-00'),
+                projectName: project,
+                environment: 'Production',
+                databaseName: 'epicms'
+            });
+
+            assert.strictEqual(await BackupCatalog.enforceRetention(latest), null);
+            assert.ok(fs.existsSync(old));
+        }
+    });
+
+    test('keeps every backup without a configured policy or when the retention file is broken', async () => {
+        for (const content of [null, '{ "default": ']) {
+            const dir = backupDir();
+            const old = writeBacpac(dir, 'acme', '2024-01-01T04-00-00');
+            const latest = await BackupCatalog.record({
+                filePath: writeBacpac(dir, 'acme', '2025-01-31T04-00-00'),
+                projectName: 'Acme',
+                environment: 'Production',
+                databaseName: 'epicms'
+            });
+
+            await withRetentionFile(content, async () => {
+                assert.strictEqual(await BackupCatalog.enforceRetention(latest), null);
+            });
+            assert.ok(fs.existsSync(old));
+        }
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit tests for bacpac inspection: model.xml parsing, BCP/PLP row decoding and export diffs
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BacpacInspector = require('../../dist/lib/bacpac-inspector').default;
+const { BcpReader } = require('../../dist/lib/bacpac-inspector');
+const { buildZip, bcp, modelXml, buildBacpac } = require('./fixtures/bacpac-fixture');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bacpac-inspector-test-'));
+let fileCount = 0;
+
+function writeBacpac(tables, options) {
+    const filePath = path.join(tempDir, `export-${fileCount++}.bacpac`);
+    fs.writeFileSync(filePath, buildBacpac(tables, options));
+    return filePath;
+}
+
+// int NOT NULL, nullable int, nvarchar(255), nvarchar(max)
+const FIELDS = [{ prefix: 0, fixed: 4 }, { prefix: 1, fixed: 0 }, { prefix: 2, fixed: 0 }, { prefix: 8, fixed: 0 }];
+
+const ROWS = [
+    [bcp.int(1), bcp.nullableInt(10), bcp.nvarchar('Start'), bcp.nvarcharMax('<p>Home</p>')],
+    [bcp.int(2), bcp.nullableInt(null), bcp.nvarchar(null), bcp.nvarcharMax(null)],
+    [bcp.int(3), bcp.nullableInt(30), bcp.nvarchar(''), bcp.nvarcharChunked('<p>Very ', 'long</p>')]
+];
+
+describe('BcpReader', () => {
+    test('counts rows across fixed, prefixed, NULL and PLP chunked values', () => {
+        const reader = new BcpReader(FIELDS);
+        reader.write(Buffer.concat(ROWS.flat()));
+        assert.strictEqual(reader.rows, 3);
+        assert.strictEqual(reader.isAligned(), true);
+    });
+
+    test('gives the same count when the stream arrives one byte at a time', () => {
+        const stream = Buffer.concat(ROWS.flat());
+        const reader = new BcpReader(FIELDS);
+        for (let i = 0; i < stream.length; i++) {
+            reader.write(stream.subarray(i, i + 1));
+        }
+        assert.strictEqual(reader.rows, 3);
+        assert.strictEqual(reader.isAligned(), true);
+    });
+
+    test('reports a stream that stops mid-row', () => {
+        const stream = Buffer.concat(ROWS.flat());
+        const reader = new BcpReader(FIELDS);
+        reader.write(stream.subarray(0, stream.length - 3));
+        assert.strictEqual(reader.rows, 2);
+        assert.strictEqual(reader.isAligned(), false);
+    });
+
+    test('hands intercepted values to onValue and passes everything else through unchanged', () => {
+        const raw = [];
+        const values = [];
+        const reader = new BcpReader(FIELDS, {
+            intercept: new Set([2, 3]),
+            onRaw: bytes => raw.push(Buffer.from(bytes)),
+            onValue: (field, value) => values.push([field, value === null ? null : value.toString('utf16le')])
+        });
+        reader.write(Buffer.concat(ROWS.flat()));
+
+        assert.deepStrictEqual(values, [
+            [2, 'Start'], [3, '<p>Home</p>'],
+            [2, null], [3, null],
+            [2, ''], [3, '<p>Very long</p>']
+        ]);
+        // Only the untouched fields (prefixes included) reach onRaw
+        assert.ok(Buffer.concat(raw).equals(Buffer.concat(ROWS.map(row => row.slice(0, 2)).flat())));
+    });
+});
+
+describe('BacpacInspector.fieldSpec', () => {
+    const spec = (type, extra = {}) => BacpacInspector.fieldSpec({ name: 'c', type, nullable: false, isMax: false, length: null, computed: false, ...extra });
+
+    test('maps SQL types to BCP native prefixes', () => {
+        assert.deepStrictEqual(spec('bigint'), { prefix: 0, fixed: 8 });
+        assert.deepStrictEqual(spec('bigint', { nullable: true }), { prefix: 1, fixed: 0 });
+        assert.deepStrictEqual(spec('uniqueidentifier'), { prefix: 1, fixed: 0 });
+        assert.deepStrictEqual(spec('NVARCHAR'), { prefix: 2, fixed: 0 });
+        assert.deepStrictEqual(spec('nvarchar', { isMax: true }), { prefix: 8, fixed: 0 });
+        assert.deepStrictEqual(spec('ntext'), { prefix: 4, fixed: 0 });
+        assert.deepStrictEqual(spec('xml'), { prefix: 8, fixed: 0 });
+        assert.strictEqual(spec('vector'), null);
+    });
+});
+
+describe('BacpacInspector model parsing', () => {
+    test('reads tables, columns, platform and the Episerver database version', () => {
+        const model = BacpacInspector.parseModel(modelXml([
+            { name: '[dbo].[tblContent]', columns: [['pkID', 'int'], ['Name', 'nvarchar'], ['Body', 'nvarcharMax']] }
+        ], 8205));
+
+        assert.strictEqual(model.schemaVersion, '2.9');
+        assert.strictEqual(model.targetPlatform, 'SqlAzureV12');
+        assert.strictEqual(model.episerverDatabaseVersion, 8205);
+        assert.strictEqual(model.tables.length, 1);
+        assert.deepStrictEqual(model.tables[0].columns, [
+            { name: 'pkID', type: 'int', nullable: false, isMax: false, length: null, computed: false },
+            { name: 'Name', type: 'nvarchar', nullable: true, isMax: false, length: 255, computed: false },
+            { name: 'Body', type: 'nvarchar', nullable: true, isMax: true, length: null, computed: false }
+        ]);
+    });
+
+    test('splits bracketed names and categorizes tables', () => {
+        assert.deepStrictEqual(BacpacInspector.splitName('[dbo].[odd]]name].[pkID]'), ['dbo', 'odd]name', 'pkID']);
+        assert.strictEqual(BacpacInspector.categorize('tblContent'), 'cms');
+        assert.strictEqual(BacpacInspector.categorize('CatalogEntry'), 'commerce');
+        assert.strictEqual(BacpacInspector.categorize('Customers_Import'), 'commerce');
+        assert.strictEqual(BacpacInspector.categorize('Logs'), 'other');
+    });
+});
+
+describe('BacpacInspector.inspect', () => {
+    const tables = [
+        { name: '[dbo].[tblContent]', columns: [['pkID', 'int'], ['Version', 'nullableInt'], ['Name', 'nvarchar'], ['Body', 'nvarcharMax']], rows: ROWS },
+        { name: '[dbo].[ecfCatalog]', columns: [['CatalogId', 'int']], rows: [[bcp.int(1)], [bcp.int(2)]] },
+        { name: '[dbo].[Empty]', columns: [['Id', 'int']] }
+    ];
+
+    for (const zip64 of [false, true]) {
+        test(`counts rows per table from the data files (${zip64 ? 'ZIP64' : 'classic'})`, async () => {
+            const inspection = await BacpacInspector.inspect(writeBacpac(tables, { zip64 }));
+
+            const byName = Object.fromEntries(inspection.tables.map(table => [table.fullName, table]));
+            assert.strictEqual(byName['dbo.tblContent'].rowCount, 3);
+            assert.strictEqual(byName['dbo.tblContent'].category, 'cms');
+            assert.strictEqual(byName['dbo.ecfCatalog'].rowCount, 2);
+            assert.strictEqual(byName['dbo.Empty'].rowCount, 0);
+            assert.strictEqual(inspection.totals.rows, 5);
+            assert.strictEqual(inspection.totals.commerceTables, 1);
+            assert.strictEqual(inspection.origin.exportEndedAt, '2025-01-31T04:05:06Z');
+            assert.strictEqual(inspection.origin.containsData, true);
+            // Largest table first
+            assert.strictEqual(inspection.tables[0].fullName, 'dbo.tblContent');
+        });
+    }
+
+    test('skips row counting on request and rejects archives without model.xml', async () => {
+        const quick = await BacpacInspector.inspect(writeBacpac(tables), { countRows: false });
+        assert.strictEqual(quick.rowsCounted, false);
+        assert.strictEqual(quick.tables.find(table => table.name === 'tblContent').rowCount, null);
+
+        const notBacpac = path.join(tempDir, 'not-a-bacpac.zip');
+        fs.writeFileSync(notBacpac, buildZip([{ name: 'readme.txt', data: 'hi' }]));
+        await assert.rejects(BacpacInspector.inspect(notBacpac), error => error.code === 'INVALID_BACPAC');
+    });
+
+    test('explains a data file that does not decode on row boundaries', async () => {
+        const broken = [{ name: '[dbo].[tblContent]', columns: [['pkID', 'int']], rows: [[Buffer.from([1, 2, 3])]] }];
+        const inspection = await BacpacInspector.inspect(writeBacpac(broken));
+        assert.strictEqual(inspection.tables[0].rowCount, null);
+        assert.match(inspection.tables[0].rowCountNote, /layout not recognised/);
+    });
+});
+
+describe('BacpacInspector.diff', () => {
+    test('reports added, removed and shrunken tables and version changes', async () => {
+        const base = await BacpacInspector.inspect(writeBacpac([
+            { name: '[dbo].[tblContent]', columns: [['pkID', 'int']], rows: [1, 2, 3, 4].map(id => [bcp.int(id)]) },
+            { name: '[dbo].[tblLegacy]', columns: [['pkID', 'int']], rows: [[bcp.int(1)]] },
+            { name: '[dbo].[tblSame]', columns: [['pkID', 'int']], rows: [[bcp.int(1)]] }
+        ], { databaseVersion: 8204 }));
+        const target = await BacpacInspector.inspect(writeBacpac([
+            { name: '[dbo].[tblContent]', columns: [['pkID', 'int'], ['Name', 'nvarchar']], rows: [[bcp.int(1), bcp.nvarchar('Start')]] },
+            { name: '[dbo].[tblNew]', columns: [['pkID', 'int']] },
+            { name: '[dbo].[tblSame]', columns: [['pkID', 'int']], rows: [[bcp.int(1)]] }
+        ], { databaseVersion: 8205 }));
+
+        const diff = BacpacInspector.diff(base, target);
+        assert.deepStrictEqual(diff.addedTables, ['dbo.tblNew']);
+        assert.deepStrictEqual(diff.removedTables, ['dbo.tblLegacy']);
+        assert.strictEqual(diff.unchangedTables, 1);
+        assert.strictEqual(diff.changedTables[0].rowDelta, -3);
+        assert.strictEqual(diff.changedTables[0].rowChangePercent, -75);
+        assert.deepStrictEqual(diff.changedTables[0].addedColumns, ['Name']);
+        assert.deepStrictEqual(diff.warnings, [
+            'dbo.tblContent lost 3 of 4 rows',
+            '1 table(s) missing from the target export',
+            'Episerver database version differs: 8204 → 8205'
+        ]);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
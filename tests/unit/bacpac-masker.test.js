@@ -0,0 +1,232 @@
+/**
+ * Unit tests for bacpac masking rules, value rewriting and the masked copy
+ */
+
+const { test, describe, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bacpac-masker-test-'));
+process.env.DXP_MASKING_RULES_FILE = path.join(tempDir, 'masking-rules.json');
+fs.writeFileSync(process.env.DXP_MASKING_RULES_FILE, JSON.stringify({
+    default: { salt: 'test-salt', rules: [{ table: 'tblUser', column: 'Email', action: 'fake', fake: 'email' }] },
+    projects: { Unsalted: { salt: '' } }
+}));
+
+const BacpacMasker = require('../../dist/lib/bacpac-masker').default;
+const BacpacInspector = require('../../dist/lib/bacpac-inspector').default;
+const { BcpReader } = require('../../dist/lib/bacpac-inspector');
+const ZipReader = require('../../dist/lib/zip-reader').default;
+const { setGlobalAuditLogger } = require('../../dist/lib/audit-logger');
+const { bcp, buildBacpac } = require('./fixtures/bacpac-fixture');
+
+let audited = [];
+setGlobalAuditLogger({ logOperation: async (entry) => audited.push(entry) });
+
+const column = (name, type, extra = {}) => ({ name, type, nullable: true, isMax: false, length: null, computed: false, ...extra });
+const table = (fullName, columns) => {
+    const [schema, name] = fullName.split('.');
+    return { schema, name, fullName, category: 'cms', columns, dataFiles: 0, dataSize: 0, compressedSize: 0, rowCount: null };
+};
+
+const USERS = {
+    name: '[dbo].[tblUser]',
+    columns: [['Id', 'int'], ['Email', 'nvarchar'], ['Name', 'nvarchar'], ['Notes', 'nvarcharMax']],
+    rows: [
+        [bcp.int(1), bcp.nvarchar('ann@acme.com'), bcp.nvarchar('Ann Smith'), bcp.nvarcharChunked('Called ', 'twice')],
+        [bcp.int(2), bcp.nvarchar(null), bcp.nvarchar('Bob Jones'), bcp.nvarcharMax(null)],
+        [bcp.int(3), bcp.nvarchar('ann@acme.com'), bcp.nvarchar(''), bcp.nvarcharMax('VIP')]
+    ]
+};
+const CONTENT = { name: '[dbo].[tblContent]', columns: [['pkID', 'int']], rows: [[bcp.int(7)]] };
+
+let fileCount = 0;
+function writeBacpac(tables = [USERS, CONTENT]) {
+    const filePath = path.join(tempDir, `export-${fileCount++}.bacpac`);
+    fs.writeFileSync(filePath, buildBacpac(tables));
+    return filePath;
+}
+
+// Decode a table's BCP data back into strings (int fields as numbers)
+async function readRows(filePath, tableName) {
+    const inspection = await BacpacInspector.inspect(filePath);
+    const model = inspection.tables.find(t => t.fullName === tableName);
+    const fields = model.columns.map(c => BacpacInspector.fieldSpec(c));
+    const zip = new ZipReader(filePath);
+    await zip.open();
+    try {
+        const entry = zip.getEntries().find(e => e.name.startsWith(`Data/${tableName}/`));
+        const rows = [];
+        let row = [];
+        const reader = new BcpReader(fields, {
+            intercept: new Set(fields.map((_, i) => i)),
+            onRaw: () => {},
+            onValue: (field, value) => {
+                row.push(value === null ? null : model.columns[field].type === 'int' ? value.readInt32LE(0) : value.toString('utf16le'));
+                if (field === fields.length - 1) {
+                    rows.push(row);
+                    row = [];
+                }
+            }
+        });
+        reader.write(await zip.readEntry(entry));
+        return rows;
+    } finally {
+        await zip.close();
+    }
+}
+
+describe('BacpacMasker.plan', () => {
+    const tables = [
+        table('dbo.tblUser', [column('Id', 'int', { nullable: false }), column('Email', 'nvarchar', { length: 255 }), column('PasswordHash', 'nvarchar'), column('Total', 'computed', { computed: true })]),
+        table('commerce.cls_Contact', [column('FirstName', 'nvarchar'), column('Birthday', 'date')])
+    ];
+
+    test('matches wildcards, first rule wins and reports unused rules', () => {
+        const plan = BacpacMasker.plan(tables, [
+            { table: 'tbluser', column: 'email', action: 'fake', fake: 'email' },
+            { table: '*', column: '*Name', action: 'hash' },
+            { table: 'dbo.tbl*', column: 'Email', action: 'null' },
+            { table: '*', column: 'Password*', action: 'null' },
+            { table: 'Orders', column: '*', action: 'hash' }
+        ]);
+
+        assert.deepStrictEqual(plan.errors, []);
+        assert.deepStrictEqual(plan.columns.map(c => [c.table, c.column, c.action, c.rule]), [
+            ['dbo.tblUser', 'Email', 'fake', 1],
+            ['dbo.tblUser', 'PasswordHash', 'null', 4],
+            ['commerce.cls_Contact', 'FirstName', 'hash', 2]
+        ]);
+        assert.deepStrictEqual(plan.unusedRules, [2, 4]);
+    });
+
+    test('rejects malformed rules and rules that do not fit the column', () => {
+        assert.match(BacpacMasker.plan(tables, [{ table: 'tblUser', action: 'hash' }]).errors[0], /Rule 1: needs table, column/);
+
+        const plan = BacpacMasker.plan(tables, [
+            { table: 'tblUser', column: 'Id', action: 'null' },
+            { table: 'cls_Contact', column: 'Birthday', action: 'fake' },
+            { table: 'tblUser', column: 'Email', action: 'truncate', length: -1 }
+        ]);
+        assert.deepStrictEqual(plan.errors, [
+            'dbo.tblUser.Id (int): column is NOT NULL, use hash, fake or truncate (rule 1)',
+            'dbo.tblUser.Email (nvarchar): length must be a whole number >= 0 (rule 3)',
+            'commerce.cls_Contact.Birthday (date): fake needs a text column (rule 2)'
+        ]);
+    });
+});
+
+describe('BacpacMasker values', () => {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+    test('fake values stay distinct for distinct inputs and fit narrow columns', () => {
+        for (const kind of ['email', 'name', 'firstName', 'lastName', 'phone', 'address', 'text']) {
+            const values = new Set(Array.from({ length: 500 }, (_, i) => BacpacMasker.fakeValue(kind, digest(`user-${i}`), 10)));
+            assert.strictEqual(values.size, 500, `${kind} values collided`);
+        }
+        assert.strictEqual(BacpacMasker.fakeValue('name', digest('a'), 10), BacpacMasker.fakeValue('name', digest('a'), 10));
+
+        const narrow = BacpacMasker.fakeValue('name', digest('a'), 10, 16);
+        assert.ok(narrow.length <= 16);
+        assert.match(narrow, /^\w{3}-[0-9a-f]{12}$/);
+        assert.match(BacpacMasker.fakeValue('email', digest('a'), 10), /^user-[0-9a-f]{16}@example\.com$/);
+    });
+
+    test('maskValue keeps the column encoding and length', () => {
+        const target = (action, extra = {}) => ({ table: 't', column: 'c', type: 'x', action, rule: 1, valuesMasked: 0, nullsSkipped: 0, ...extra });
+        const value = Buffer.from('Ann Smith', 'utf16le');
+
+        const hashed = BacpacMasker.maskValue(value, column('c', 'nvarchar', { length: 8 }), target('hash'), 'salt');
+        assert.strictEqual(hashed.toString('utf16le').length, 8);
+        assert.ok(hashed.equals(BacpacMasker.maskValue(value, column('c', 'nvarchar', { length: 8 }), target('hash'), 'salt')));
+        assert.ok(!hashed.equals(BacpacMasker.maskValue(value, column('c', 'nvarchar', { length: 8 }), target('hash'), 'other')));
+
+        assert.strictEqual(BacpacMasker.maskValue(Buffer.from('Ann Smith', 'latin1'), column('c', 'char', { length: 12 }), target('truncate', { length: 3 }), 's').toString('latin1'), 'Ann         ');
+        assert.strictEqual(BacpacMasker.maskValue(Buffer.alloc(16, 1), column('c', 'uniqueidentifier'), target('hash'), 's').length, 16);
+        assert.strictEqual(BacpacMasker.maskValue(Buffer.alloc(4), column('c', 'binary', { length: 40 }), target('hash'), 's').length, 40);
+        assert.strictEqual(BacpacMasker.maskValue(value, column('c', 'nvarchar'), target('null'), 's'), null);
+    });
+
+    test('encodeField writes each BCP prefix width', () => {
+        const value = Buffer.from('ab');
+        assert.deepStrictEqual([...BacpacMasker.encodeField({ prefix: 0, fixed: 4 }, null)], [0, 0, 0, 0]);
+        assert.deepStrictEqual([...BacpacMasker.encodeField({ prefix: 1, fixed: 0 }, null)], [0xff]);
+        assert.deepStrictEqual([...BacpacMasker.encodeField({ prefix: 2, fixed: 0 }, value)], [2, 0, 0x61, 0x62]);
+        assert.strictEqual(BacpacMasker.encodeField({ prefix: 4, fixed: 0 }, null).readInt32LE(0), -1);
+        assert.strictEqual(BacpacMasker.encodeField({ prefix: 8, fixed: 0 }, value).readBigInt64LE(0), BigInt(2));
+    });
+});
+
+describe('BacpacMasker.mask', () => {
+    beforeEach(() => {
+        audited = [];
+    });
+
+    test('rewrites matching columns, copies everything else and audits the run', async () => {
+        const source = writeBacpac();
+        const report = await BacpacMasker.mask(source, {
+            projectName: 'Acme',
+            rules: [
+                { table: 'tblUser', column: 'Email', action: 'fake', fake: 'email' },
+                { table: 'tblUser', column: 'Name', action: 'truncate', length: 3 },
+                { table: 'tblUser', column: 'Notes', action: 'null' },
+                { table: 'tblMissing', column: '*', action: 'hash' }
+            ]
+        });
+
+        assert.strictEqual(report.outputPath, source.replace(/\.bacpac$/, '.masked.bacpac'));
+        assert.strictEqual(report.salted, true);
+        assert.strictEqual(report.tablesRewritten, 1);
+        assert.strictEqual(report.rowsRewritten, 3);
+        assert.deepStrictEqual(report.columns.map(c => [c.column, c.valuesMasked, c.nullsSkipped]), [['Email', 2, 1], ['Name', 3, 0], ['Notes', 2, 1]]);
+        assert.deepStrictEqual(report.unusedRules.map(rule => rule.table), ['tblMissing']);
+        assert.ok(fs.existsSync(report.reportPath));
+        assert.ok(!fs.existsSync(`${report.outputPath}.tmp`));
+
+        const rows = await readRows(report.outputPath, 'dbo.tblUser');
+        assert.deepStrictEqual(rows.map(row => [row[0], row[2], row[3]]), [[1, 'Ann', null], [2, 'Bob', null], [3, '', null]]);
+        assert.match(rows[0][1], /^user-[0-9a-f]{16}@example\.com$/);
+        // Same original, same salt: the fake value matches so joins survive
+        assert.strictEqual(rows[0][1], rows[2][1]);
+        assert.strictEqual(rows[1][1], null);
+
+        assert.deepStrictEqual(await readRows(report.outputPath, 'dbo.tblContent'), [[7]]);
+        assert.strictEqual(audited.length, 1);
+        assert.strictEqual(audited[0].metadata.values_masked, 7);
+    });
+
+    test('uses the project rules and salt from the rules file', async () => {
+        const first = await BacpacMasker.mask(writeBacpac(), { projectName: 'Acme' });
+        const second = await BacpacMasker.mask(writeBacpac(), { projectName: 'Acme' });
+        assert.deepStrictEqual((await readRows(first.outputPath, 'dbo.tblUser'))[0], (await readRows(second.outputPath, 'dbo.tblUser'))[0]);
+
+        const unsalted = await BacpacMasker.mask(writeBacpac(), { projectName: 'Unsalted' });
+        assert.strictEqual(unsalted.salted, false);
+    });
+
+    test('writes nothing when the rules cannot be applied', async () => {
+        const source = writeBacpac();
+        const outputPath = BacpacMasker.getOutputPath(source);
+
+        await assert.rejects(BacpacMasker.mask(source, { rules: [{ table: 'tblUser', column: 'Id', action: 'null' }] }), /cannot be applied/);
+        await assert.rejects(BacpacMasker.mask(source, { rules: [{ table: 'Orders', column: 'Email', action: 'hash' }] }), /No masking rule matched/);
+        await assert.rejects(BacpacMasker.mask(source, { rules: [{ table: '*', column: '*', action: 'hash' }], outputPath: source }), /must differ/);
+        assert.ok(!fs.existsSync(outputPath));
+        assert.ok(!fs.existsSync(`${outputPath}.tmp`));
+        assert.strictEqual(audited.length, 0);
+    });
+
+    test('preview plans without writing', async () => {
+        const source = writeBacpac();
+        const preview = await BacpacMasker.preview(source, { projectName: 'Acme' });
+        assert.deepStrictEqual(preview.plan.columns.map(c => c.column), ['Email']);
+        assert.ok(!fs.existsSync(preview.outputPath));
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
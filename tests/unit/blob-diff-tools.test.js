@@ -0,0 +1,184 @@
+/**
+ * Unit tests for blob container diffs and the diff files transfers read
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BlobDiffTools = require('../../dist/lib/tools/blob-diff-tools').default;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-diff-test-'));
+
+const md5 = (content) => crypto.createHash('md5').update(content).digest('base64');
+const md5Hex = (content) => crypto.createHash('md5').update(content).digest('hex');
+
+const source = { type: 'environment', environment: 'Integration', container: 'mysitemedia' };
+const target = { type: 'environment', environment: 'Production', container: 'mysitemedia' };
+
+function listing(items) {
+    return new Map(items.map(item => [item.name, item]));
+}
+
+describe('BlobDiffTools.compare', () => {
+    test('sorts blobs into added, removed, changed and unchanged', async () => {
+        const diff = await BlobDiffTools.compare(source, listing([
+            { name: 'b.png', size: 10, md5: md5('b') },
+            { name: 'a.png', size: 5 },
+            { name: 'resized.css', size: 30 },
+            { name: 'edited.js', size: 8, md5: md5('new') },
+            { name: 'same.txt', size: 4, md5: md5('same') },
+            { name: 'nochecksum.txt', size: 7 }
+        ]), target, listing([
+            { name: 'resized.css', size: 20 },
+            { name: 'edited.js', size: 8, md5: md5('old') },
+            { name: 'same.txt', size: 4, md5: md5('same') },
+            { name: 'nochecksum.txt', size: 7, md5: md5('x') },
+            { name: 'gone.txt', size: 3 }
+        ]));
+
+        assert.deepStrictEqual(diff.added, [{ name: 'a.png', size: 5 }, { name: 'b.png', size: 10 }]);
+        assert.deepStrictEqual(diff.removed, [{ name: 'gone.txt', size: 3 }]);
+        assert.deepStrictEqual(diff.changed.map(entry => [entry.name, entry.reason]), [['edited.js', 'checksum'], ['resized.css', 'size']]);
+        assert.deepStrictEqual(diff.summary.added, { count: 2, bytes: 15 });
+        assert.deepStrictEqual(diff.summary.changed, { count: 2, bytes: 38, sizeDelta: 10 });
+        assert.deepStrictEqual(diff.summary.unchanged, { count: 2, bytes: 11 });
+        assert.strictEqual(diff.summary.unverified, 1);
+        assert.strictEqual(diff.version, BlobDiffTools.DIFF_FILE_VERSION);
+    });
+
+    test('hashes a local file only when the other side has a checksum', async () => {
+        const file = path.join(tempDir, 'logo.png');
+        fs.writeFileSync(file, 'logo');
+        const local = { type: 'local', path: tempDir };
+
+        const matching = await BlobDiffTools.compare(local, listing([{ name: 'logo.png', size: 4, localPath: file }]),
+            target, listing([{ name: 'logo.png', size: 4, md5: md5('logo') }]));
+        assert.deepStrictEqual(matching.summary.unchanged, { count: 1, bytes: 4 });
+        assert.strictEqual(matching.summary.unverified, 0);
+
+        const differing = await BlobDiffTools.compare(local, listing([{ name: 'logo.png', size: 4, localPath: file }]),
+            target, listing([{ name: 'logo.png', size: 4, md5: md5('LOGO') }]));
+        assert.strictEqual(differing.changed[0].reason, 'checksum');
+
+        const item = { name: 'logo.png', size: 4, localPath: file };
+        await BlobDiffTools.compare(local, listing([item]), target, listing([{ name: 'logo.png', size: 4 }]));
+        assert.strictEqual(item.md5, undefined);
+    });
+});
+
+describe('BlobDiffTools.listLocal', () => {
+    test('keys files by blob name and reuses manifest checksums of matching size', async () => {
+        const root = path.join(tempDir, 'downloaded');
+        fs.mkdirSync(path.join(root, 'img'), { recursive: true });
+        fs.writeFileSync(path.join(root, 'img', 'a.png'), 'aaaa');
+        fs.writeFileSync(path.join(root, 'img', 'b.png'), 'bbbb');
+        fs.writeFileSync(path.join(root, 'notes.txt'), 'notes');
+        fs.writeFileSync(path.join(root, '.download-manifest.json'), JSON.stringify({
+            version: '1.0.0',
+            files: {
+                'media/img/a.png': { size: 4, checksum: md5Hex('aaaa'), lastModified: '2026-01-01T00:00:00.000Z' },
+                'img/b.png': { size: 99, checksum: md5Hex('bbbb') }
+            }
+        }));
+
+        const items = await BlobDiffTools.listLocal(root, 'media/', '*.png');
+        assert.deepStrictEqual([...items.keys()], ['media/img/a.png', 'media/img/b.png']);
+        assert.strictEqual(items.get('media/img/a.png').md5, md5('aaaa'));
+        assert.strictEqual(items.get('media/img/a.png').lastModified, '2026-01-01T00:00:00.000Z');
+        // The size no longer matches the manifest, so its checksum is stale
+        assert.strictEqual(items.get('media/img/b.png').md5, null);
+        assert.strictEqual(items.get('media/img/b.png').localPath, path.join(root, 'img', 'b.png'));
+    });
+});
+
+describe('BlobDiffTools.loadDiffFile', () => {
+    test('selects added and changed blobs for transfer and removed blobs for sync', async () => {
+        const diff = await BlobDiffTools.compare(source, listing([
+            { name: 'new.png', size: 1 },
+            { name: 'changed.png', size: 2 }
+        ]), target, listing([
+            { name: 'changed.png', size: 3 },
+            { name: 'old.png', size: 4 }
+        ]));
+        const diffFile = path.join(tempDir, 'diff.json');
+        fs.writeFileSync(diffFile, JSON.stringify({ ...diff, projectId: 'project-1' }));
+
+        const selection = await BlobDiffTools.loadDiffFile(diffFile, 'source', { projectId: 'project-1', environment: 'Integration', container: 'MySiteMedia' });
+        assert.deepStrictEqual([...selection.transfer].sort(), ['changed.png', 'new.png']);
+        assert.deepStrictEqual([...selection.removed], ['old.png']);
+        assert.deepStrictEqual(selection.diff.source, source);
+    });
+
+    test('rejects a diff generated for another project, environment or container', async () => {
+        const diff = await BlobDiffTools.compare(source, listing([]), target, listing([]));
+        const diffFile = path.join(tempDir, 'scoped.json');
+        fs.writeFileSync(diffFile, JSON.stringify({ ...diff, projectId: 'project-1' }));
+        const scope = { projectId: 'project-1', environment: 'Production', container: 'mysitemedia' };
+
+        await BlobDiffTools.loadDiffFile(diffFile, 'target', scope);
+        await assert.rejects(BlobDiffTools.loadDiffFile(diffFile, 'target', { ...scope, projectId: 'project-2' }),
+            /generated for project project-1, not project-2/);
+        await assert.rejects(BlobDiffTools.loadDiffFile(diffFile, 'source', scope),
+            /has Integration \/ mysitemedia as its source, not Production \/ mysitemedia/);
+        await assert.rejects(BlobDiffTools.loadDiffFile(diffFile, 'target', { ...scope, container: 'mysiteassets' }),
+            /as its target, not Production \/ mysiteassets/);
+
+        const localSource = path.join(tempDir, 'local-source.json');
+        fs.writeFileSync(localSource, JSON.stringify({ ...diff, source: { type: 'local', path: tempDir }, projectId: 'project-1' }));
+        await assert.rejects(BlobDiffTools.loadDiffFile(localSource, 'source', { ...scope, environment: 'Integration' }),
+            /has local folder .* as its source/);
+    });
+
+    test('rejects missing files and other JSON', async () => {
+        const scope = { projectId: 'project-1', environment: 'Production', container: 'mysitemedia' };
+        await assert.rejects(BlobDiffTools.loadDiffFile(path.join(tempDir, 'missing.json'), 'target', scope), /Cannot read diff file/);
+
+        const other = path.join(tempDir, 'other.json');
+        fs.writeFileSync(other, JSON.stringify({ version: 2, added: [], changed: [] }));
+        await assert.rejects(BlobDiffTools.loadDiffFile(other, 'target', scope), /is not a diff file/);
+
+        const unscoped = path.join(tempDir, 'unscoped.json');
+        fs.writeFileSync(unscoped, JSON.stringify({ version: 1, source, target, added: [], removed: [], changed: [] }));
+        await assert.rejects(BlobDiffTools.loadDiffFile(unscoped, 'target', scope), /does not record its project/);
+    });
+});
+
+describe('BlobDiffTools.handleDiffBlobContainers', () => {
+    const credentials = { projectId: 'project-1', apiKey: 'key', apiSecret: 'secret' };
+    const messageOf = (response) => JSON.stringify(response);
+
+    test('needs exactly one location per side and at least one environment', async () => {
+        assert.match(messageOf(await BlobDiffTools.handleDiffBlobContainers({ ...credentials, targetEnvironment: 'Production' })), /sourceEnvironment or sourcePath/);
+        assert.match(messageOf(await BlobDiffTools.handleDiffBlobContainers({ ...credentials, sourceEnvironment: 'Integration', targetEnvironment: 'Production', targetPath: tempDir })), /targetEnvironment or targetPath/);
+        assert.match(messageOf(await BlobDiffTools.handleDiffBlobContainers({ ...credentials, sourcePath: tempDir, targetPath: tempDir })), /At least one side must be an environment/);
+        assert.match(messageOf(await BlobDiffTools.handleDiffBlobContainers({ ...credentials, isSelfHosted: true })), /not available for self-hosted/);
+    });
+});
+
+describe('BlobDiffTools.formatDiff', () => {
+    test('reports identical containers and points at the diff file', async () => {
+        const same = await BlobDiffTools.compare(source, listing([{ name: 'a', size: 1, md5: 'x' }]), target, listing([{ name: 'a', size: 1, md5: 'x' }]));
+        const identical = BlobDiffTools.formatDiff(same, null);
+        assert.strictEqual(identical.data.identical, true);
+        assert.match(identical.message, /No differences across 1 files/);
+
+        const different = await BlobDiffTools.compare(source, listing([{ name: 'a', size: 1 }]), target, listing([]));
+        const saved = BlobDiffTools.formatDiff(different, '/tmp/diff.json');
+        assert.strictEqual(saved.data.identical, false);
+        assert.match(saved.message, /download_blobs \(from Integration\)/);
+    });
+
+    test('truncates long entry lists in the message', () => {
+        const lines = Array.from({ length: BlobDiffTools.PREVIEW_LIMIT + 3 }, (_, i) => `file-${i}`);
+        assert.match(BlobDiffTools.formatEntries('Added', lines), /\.\.\.and 3 more/);
+        assert.strictEqual(BlobDiffTools.formatEntries('Added', []), '');
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
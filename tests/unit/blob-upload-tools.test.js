@@ -0,0 +1,201 @@
+/**
+ * Unit tests for upload/sync planning, Content-MD5 diffing and path filters
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BlobUploadTools = require('../../dist/lib/tools/blob-upload-tools').default;
+const { FakeBlobServer } = require('../../regression/simulator/fake-blob-server');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-upload-test-'));
+
+function writeTree(root, files) {
+    for (const [relativePath, content] of Object.entries(files)) {
+        const filePath = path.join(root, ...relativePath.split('/'));
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+    return root;
+}
+
+const md5 = (content) => crypto.createHash('md5').update(content).digest('base64');
+
+describe('BlobUploadTools.collectLocalFiles', () => {
+    const root = writeTree(path.join(tempDir, 'collect'), {
+        'b.css': 'body {}',
+        'images/logo.png': 'png',
+        'images/photo.jpg.partial': 'half a photo',
+        'images/.DS_Store': 'finder',
+        '.download-manifest.json': '{}',
+        'docs/readme.txt': 'hello'
+    });
+
+    test('skips bookkeeping and partial files and sorts by blob name', async () => {
+        const files = await BlobUploadTools.collectLocalFiles(root, 'media/');
+        assert.deepStrictEqual(files.map(f => f.blobName), ['media/b.css', 'media/docs/readme.txt', 'media/images/logo.png']);
+        assert.strictEqual(files[2].size, 3);
+        assert.strictEqual(files[2].filePath, path.join(root, 'images', 'logo.png'));
+    });
+
+    test('applies include and exclude filters to the relative path', async () => {
+        const images = await BlobUploadTools.collectLocalFiles(root, '', '*.PNG');
+        assert.deepStrictEqual(images.map(f => f.blobName), ['images/logo.png']);
+
+        const withoutDocs = await BlobUploadTools.collectLocalFiles(root, '', undefined, ['docs']);
+        assert.deepStrictEqual(withoutDocs.map(f => f.blobName), ['b.css', 'images/logo.png']);
+    });
+});
+
+describe('BlobUploadTools helpers', () => {
+    test('matchesFilters accepts globs and substrings case-insensitively', () => {
+        assert.strictEqual(BlobUploadTools.matchesFilters('images/Logo.PNG', '*.png'), true);
+        assert.strictEqual(BlobUploadTools.matchesFilters('images/logo.png', ['*.jpg', 'IMAGES']), true);
+        assert.strictEqual(BlobUploadTools.matchesFilters('images/logo.png', '*.jpg'), false);
+        assert.strictEqual(BlobUploadTools.matchesFilters('images/logo.png', undefined, 'logo'), false);
+        assert.strictEqual(BlobUploadTools.matchesFilters('images/logo.png'), true);
+    });
+
+    test('normalizePrefix trims slashes and ends with one', () => {
+        assert.strictEqual(BlobUploadTools.normalizePrefix('media/2024'), 'media/2024/');
+        assert.strictEqual(BlobUploadTools.normalizePrefix('\\media\\2024\\'), 'media/2024/');
+        assert.strictEqual(BlobUploadTools.normalizePrefix('/'), '');
+        assert.strictEqual(BlobUploadTools.normalizePrefix(undefined), '');
+    });
+
+    test('parseContainerNames reads both listing shapes', () => {
+        assert.deepStrictEqual(BlobUploadTools.parseContainerNames(['MySiteMedia', { name: 'logs' }]), ['mysitemedia', 'logs']);
+        assert.deepStrictEqual(BlobUploadTools.parseContainerNames({ storageContainers: [{ containerName: 'Backups' }, 42] }), ['backups']);
+        assert.deepStrictEqual(BlobUploadTools.parseContainerNames(null), []);
+    });
+
+    test('getContentType falls back to octet-stream', () => {
+        assert.strictEqual(BlobUploadTools.getContentType('a/B.JPG'), 'image/jpeg');
+        assert.strictEqual(BlobUploadTools.getContentType('archive.xyz'), 'application/octet-stream');
+    });
+
+    test('calculateContentMD5 returns the base64 digest Azure stores', async () => {
+        const file = path.join(tempDir, 'md5.txt');
+        fs.writeFileSync(file, 'content');
+        assert.strictEqual(await BlobUploadTools.calculateContentMD5(file), md5('content'));
+    });
+});
+
+describe('BlobUploadTools.buildPlan', () => {
+    const root = writeTree(path.join(tempDir, 'plan'), {
+        'new.txt': 'new',
+        'same.txt': 'same',
+        'edited.txt': 'edit',
+        'resized.txt': 'longer now',
+        'nomd5.txt': 'nomd'
+    });
+
+    const remote = [
+        { name: 'same.txt', size: 4, contentMD5: md5('same') },
+        { name: 'edited.txt', size: 4, contentMD5: md5('EDIT') },
+        { name: 'resized.txt', size: 3, contentMD5: md5('old') },
+        { name: 'nomd5.txt', size: 4, contentMD5: null },
+        { name: 'orphan.txt', size: 6 }
+    ];
+
+    test('skips same-size files whose MD5 matches and re-uploads the rest', async () => {
+        const plan = await BlobUploadTools.buildPlan(await BlobUploadTools.collectLocalFiles(root, ''), remote, 'upload', true);
+
+        const reasons = Object.fromEntries(plan.toUpload.map(entry => [entry.blobName, entry.reason]));
+        assert.deepStrictEqual(reasons, { 'edited.txt': 'changed', 'new.txt': 'new', 'nomd5.txt': 'changed', 'resized.txt': 'changed' });
+        assert.deepStrictEqual(plan.unchanged.map(entry => entry.blobName), ['same.txt']);
+        assert.deepStrictEqual(plan.toDelete, []);
+        assert.strictEqual(plan.bytesToUpload, 3 + 4 + 4 + 10);
+        assert.strictEqual(plan.localFiles, 5);
+        assert.strictEqual(plan.remoteBlobs, 5);
+    });
+
+    test('uploads everything present remotely when unchanged files are not skipped', async () => {
+        const plan = await BlobUploadTools.buildPlan(await BlobUploadTools.collectLocalFiles(root, ''), remote, 'upload', false);
+        assert.strictEqual(plan.toUpload.length, 5);
+        assert.strictEqual(plan.unchanged.length, 0);
+    });
+
+    test('sync mode deletes remote-only blobs', async () => {
+        const plan = await BlobUploadTools.buildPlan(await BlobUploadTools.collectLocalFiles(root, ''), remote, 'sync', true);
+        assert.deepStrictEqual(plan.toDelete, [{ blobName: 'orphan.txt', size: 6, reason: 'remote-only' }]);
+    });
+});
+
+describe('BlobUploadTools.applyPlan', () => {
+    const server = new FakeBlobServer({ accountName: 'uploadtest' });
+    let sasUrl;
+
+    before(async () => {
+        await server.start();
+        sasUrl = server.generateSasUrl('media', { permissions: 'rwdl' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('uploads with Content-MD5, deletes remote-only blobs and makes the next sync a no-op', async () => {
+        const root = writeTree(path.join(tempDir, 'apply'), { 'css/site.css': 'body { color: red }', 'img/a.png': 'png' });
+        server.putBlob('media', 'site/img/a.png', 'png');
+        server.putBlob('media', 'site/old.txt', 'stale');
+
+        const local = await BlobUploadTools.collectLocalFiles(root, 'site/');
+        const plan = await BlobUploadTools.buildPlan(local, server.listBlobs('media', 'site/'), 'sync', true);
+        const outcome = await BlobUploadTools.applyPlan(plan, sasUrl, 2);
+
+        assert.deepStrictEqual(outcome.uploaded, [{ blobName: 'site/css/site.css', size: 19 }]);
+        assert.deepStrictEqual(outcome.deleted, ['site/old.txt']);
+        assert.deepStrictEqual(outcome.failed, []);
+        assert.strictEqual(outcome.bytesUploaded, 19);
+
+        const stored = server.getBlob('media', 'site/css/site.css');
+        assert.strictEqual(stored.contentType, 'text/css');
+        assert.strictEqual(stored.contentMD5, md5('body { color: red }'));
+
+        const again = await BlobUploadTools.buildPlan(await BlobUploadTools.collectLocalFiles(root, 'site/'), server.listBlobs('media', 'site/'), 'sync', true);
+        assert.strictEqual(again.toUpload.length + again.toDelete.length, 0);
+    });
+
+    test('collects failures per blob instead of stopping the run', async () => {
+        const good = writeTree(path.join(tempDir, 'partial-failure'), { 'ok.txt': 'ok' });
+        const plan = {
+            toUpload: [
+                { blobName: 'gone.txt', size: 1, reason: 'new', file: { blobName: 'gone.txt', filePath: path.join(good, 'gone.txt'), size: 1 } },
+                { blobName: 'ok.txt', size: 2, reason: 'new', file: { blobName: 'ok.txt', filePath: path.join(good, 'ok.txt'), size: 2 } }
+            ],
+            unchanged: [],
+            toDelete: [{ blobName: 'never-existed.txt', size: 0, reason: 'remote-only' }],
+            localFiles: 2,
+            remoteBlobs: 1,
+            bytesToUpload: 3
+        };
+
+        const outcome = await BlobUploadTools.applyPlan(plan, sasUrl, 1);
+        assert.deepStrictEqual(outcome.uploaded.map(entry => entry.blobName), ['ok.txt']);
+        assert.deepStrictEqual(outcome.failed.map(entry => [entry.blobName, entry.action]), [['gone.txt', 'upload'], ['never-existed.txt', 'delete']]);
+    });
+
+    test('runWithConcurrency never exceeds the limit', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        const tasks = Array.from({ length: 7 }, () => async () => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await new Promise(resolve => setImmediate(resolve));
+            inFlight--;
+        });
+
+        await BlobUploadTools.runWithConcurrency(tasks, 3);
+        assert.strictEqual(peak, 3);
+        assert.strictEqual(inFlight, 0);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
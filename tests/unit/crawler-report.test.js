@@ -0,0 +1,174 @@
+/**
+ * Unit tests for crawler identification, IP range verification and the per-crawler report
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CrawlerReport = require('../../dist/lib/log-analysis/crawler-report').default;
+const RobotsTxt = require('../../dist/lib/log-analysis/robots-txt').default;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-report-test-'));
+
+const GOOGLEBOT = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+const GPTBOT = 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)';
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/130.0';
+
+function request(userAgent, overrides = {}) {
+    return {
+        timestamp: new Date('2026-10-19T08:15:00Z'),
+        type: 'http',
+        method: 'GET',
+        path: '/en/',
+        statusCode: 200,
+        userAgent,
+        ip: '66.249.66.1',
+        size: 1000,
+        responseTime: 100,
+        ...overrides
+    };
+}
+
+describe('crawler definitions', () => {
+    test('merges configured crawlers: same names replace in place, new ones go first', () => {
+        const merged = CrawlerReport.mergeCrawlers([
+            { name: 'googlebot', ipRanges: ['66.249.64.0/19', '2001:4860:4801::/48'] },
+            { name: 'AcmeMonitor', pattern: 'AcmeMonitor/\\d', category: 'monitoring' }
+        ]);
+
+        assert.strictEqual(merged[0].name, 'AcmeMonitor');
+        const google = merged.find(crawler => crawler.name === 'googlebot');
+        assert.deepStrictEqual([google.pattern, google.category, google.ipRanges.length], ['Googlebot', 'search', 2]);
+        assert.strictEqual(merged.length, CrawlerReport.getBuiltInCrawlers().length + 1);
+
+        // getBuiltInCrawlers hands out copies
+        CrawlerReport.getBuiltInCrawlers().find(crawler => crawler.name === 'Googlebot').ipRanges.push('1.2.3.4/32');
+        assert.deepStrictEqual(CrawlerReport.getBuiltInCrawlers().find(crawler => crawler.name === 'Googlebot').ipRanges, ['66.249.64.0/19']);
+
+        assert.deepStrictEqual(CrawlerReport.mergeCrawlers([{ name: 'Only', pattern: 'only' }], true).map(crawler => crawler.name), ['Only']);
+    });
+
+    test('rejects invalid configuration with INVALID_CRAWLER_CONFIG', () => {
+        const invalid = (action, message) => assert.throws(action, error => error.code === 'INVALID_CRAWLER_CONFIG' && message.test(error.message));
+
+        invalid(() => CrawlerReport.mergeCrawlers([{ pattern: 'x' }]), /^Crawler 1: name is required$/);
+        invalid(() => CrawlerReport.mergeCrawlers([{ name: 'New' }]), /Crawler "New": pattern is required/);
+        invalid(() => CrawlerReport.compileCrawlers([{ name: 'X', pattern: 'x', category: 'spam' }]), /category must be one of ai, search/);
+        invalid(() => CrawlerReport.compileCrawlers([{ name: 'X', pattern: '(' }]), /invalid pattern/);
+        invalid(() => CrawlerReport.compileCrawlers([{ name: 'X', pattern: 'x', ipRanges: ['10.0.0.0/33'] }]), /invalid IP range "10\.0\.0\.0\/33"/);
+        invalid(() => CrawlerReport.compileCrawlers([{ name: 'X', pattern: 'x', ipRangesFile: path.join(tempDir, 'missing.json') }]), /cannot read ipRangesFile/);
+
+        const badFile = path.join(tempDir, 'bad-ranges.json');
+        fs.writeFileSync(badFile, JSON.stringify({ ranges: [] }));
+        invalid(() => CrawlerReport.compileCrawlers([{ name: 'X', pattern: 'x', ipRangesFile: badFile }]), /must hold an array of CIDRs/);
+    });
+});
+
+describe('identification and verification', () => {
+    test('identifies the first matching crawler, most specific first', () => {
+        const crawlers = CrawlerReport.compileCrawlers(CrawlerReport.getBuiltInCrawlers());
+        const name = userAgent => (CrawlerReport.identifyCrawler(crawlers, userAgent) || { name: null }).name;
+
+        assert.strictEqual(name(GPTBOT), 'GPTBot');
+        assert.strictEqual(name('Mozilla/5.0 (compatible; ChatGPT-User/1.0; +https://openai.com/bot)'), 'ChatGPT-User');
+        assert.strictEqual(name('Mozilla/5.0 (compatible; bingbot/2.0)'), 'Bingbot');
+        assert.strictEqual(name('SomeNewCrawler/1.0'), 'Other bots');
+        assert.strictEqual(name(BROWSER), null);
+        assert.strictEqual(name(''), null);
+    });
+
+    test('checks IPs against inline ranges and published range files', () => {
+        const rangesFile = path.join(tempDir, 'googlebot.json');
+        fs.writeFileSync(rangesFile, JSON.stringify({ creationTime: '2026-10-01', prefixes: [{ ipv6Prefix: '2001:4860:4801:10::/64' }, { ipv4Prefix: '192.178.5.0/27' }] }));
+        const listFile = path.join(tempDir, 'gptbot.json');
+        fs.writeFileSync(listFile, JSON.stringify(['20.171.206.0/24']));
+
+        const [google, gpt, unlisted] = CrawlerReport.compileCrawlers([
+            { name: 'Googlebot', pattern: 'Googlebot', ipRanges: ['66.249.64.0/19'], ipRangesFile: rangesFile },
+            { name: 'GPTBot', pattern: 'GPTBot', ipRangesFile: listFile },
+            { name: 'Applebot', pattern: 'Applebot' }
+        ]);
+
+        assert.strictEqual(google.rangeCount, 3);
+        assert.strictEqual(CrawlerReport.verifyIp(google, '66.249.66.1'), 'verified');
+        assert.strictEqual(CrawlerReport.verifyIp(google, '66.249.66.1:51234'), 'verified');
+        assert.strictEqual(CrawlerReport.verifyIp(google, '192.178.5.7'), 'verified');
+        assert.strictEqual(CrawlerReport.verifyIp(google, '[2001:4860:4801:10::1]:443'), 'verified');
+        assert.strictEqual(CrawlerReport.verifyIp(google, '203.0.113.9'), 'unverified');
+        assert.strictEqual(CrawlerReport.verifyIp(google, ''), 'unknown');
+        assert.strictEqual(CrawlerReport.verifyIp(google, 'not-an-ip'), 'unknown');
+        assert.strictEqual(CrawlerReport.verifyIp(gpt, '20.171.206.15'), 'verified');
+        assert.strictEqual(CrawlerReport.verifyIp(unlisted, '17.0.0.1'), 'unknown');
+    });
+});
+
+describe('CrawlerReportBuilder', () => {
+    test('reports volume, bandwidth, paths, statuses, hours, verification and robots.txt violations', () => {
+        const crawlers = CrawlerReport.compileCrawlers(CrawlerReport.getBuiltInCrawlers());
+        const robots = RobotsTxt.parseRobotsTxt('User-agent: GPTBot\nDisallow: /en/private/\n\nUser-agent: *\nDisallow: /episerver/');
+        const builder = CrawlerReport.createReportBuilder(crawlers, { robots, top: 2 });
+
+        builder.add(request(GOOGLEBOT));
+        builder.add(request(GOOGLEBOT, { path: '/en/products', size: 3000, statusCode: 404, timestamp: new Date('2026-10-19T23:59:00Z') }));
+        builder.add(request(GOOGLEBOT, { path: '/episerver/cms', ip: '203.0.113.9', responseTime: undefined }));
+        builder.add(request(GPTBOT, { path: '/en/private/a', ip: '20.171.206.15', size: 500 }));
+        builder.add(request(GPTBOT, { path: '/en/private/a', ip: '20.171.206.15', size: 500 }));
+        builder.add(request(BROWSER, { size: 5000 }));
+        builder.add({ ...request(GOOGLEBOT), type: 'console' });
+
+        const report = builder.result();
+        assert.deepStrictEqual(report.totals, {
+            requests: 6,
+            bandwidthBytes: 11000,
+            crawlerRequests: 5,
+            crawlerBandwidthBytes: 6000,
+            crawlerShareOfRequests: 83.3,
+            byCategory: {
+                search: { requests: 3, bandwidthBytes: 5000, crawlers: 1 },
+                ai: { requests: 2, bandwidthBytes: 1000, crawlers: 1 }
+            }
+        });
+        assert.deepStrictEqual(report.robotsTxt, { checked: true, groups: 2 });
+
+        const [google, gpt] = report.crawlers;
+        assert.strictEqual(google.name, 'Googlebot');
+        assert.deepStrictEqual([google.shareOfRequests, google.shareOfBandwidth, google.avgResponseTime], [50, 45.5, 100]);
+        assert.deepStrictEqual(google.statusClasses, { '2xx': 2, '4xx': 1 });
+        assert.deepStrictEqual(google.topStatusCodes, [{ status: 200, count: 2 }, { status: 404, count: 1 }]);
+        assert.strictEqual(google.topPaths.length, 2);
+        assert.deepStrictEqual(google.topPaths.find(item => item.path === '/en/products'), { path: '/en/products', count: 1, bytes: 3000 });
+        assert.strictEqual(google.byHourUtc[8], 2);
+        assert.strictEqual(google.byHourUtc[23], 1);
+        assert.deepStrictEqual(google.verification, {
+            rangesConfigured: true, verified: 2, unverified: 1, unknown: 0, topUnverifiedIps: [{ ip: '203.0.113.9', count: 1 }]
+        });
+        assert.deepStrictEqual(google.robots, {
+            token: 'Googlebot', group: '*', disallowedRequests: 1,
+            disallowedPaths: [{ path: '/episerver/cms', count: 1, rule: 'Disallow: /episerver/' }]
+        });
+        assert.strictEqual(google.firstSeen, '2026-10-19T08:15:00.000Z');
+        assert.strictEqual(google.lastSeen, '2026-10-19T23:59:00.000Z');
+
+        assert.strictEqual(gpt.verification.rangesConfigured, false);
+        assert.strictEqual(gpt.verification.unknown, 2);
+        assert.deepStrictEqual(gpt.robots.disallowedPaths, [{ path: '/en/private/a', count: 2, rule: 'Disallow: /en/private/' }]);
+        assert.strictEqual(gpt.robots.group, 'gptbot');
+    });
+
+    test('leaves out the robots section without a robots.txt', () => {
+        const builder = CrawlerReport.createReportBuilder(CrawlerReport.compileCrawlers(CrawlerReport.getBuiltInCrawlers()));
+        builder.add(request(GPTBOT));
+
+        const report = builder.result();
+        assert.strictEqual(report.crawlers[0].robots, null);
+        assert.deepStrictEqual(report.robotsTxt, { checked: false, groups: 0 });
+        assert.strictEqual(CrawlerReport.createReportBuilder([]).result().totals.crawlerShareOfRequests, 0);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for package name validation and block blob uploads
+ * used by upload_package and deploy_package
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const DeploymentValidator = require('../../dist/lib/deployment-validator').default;
+const AzureBlobUploader = require('../../dist/lib/azure-blob-uploader').default;
+
+describe('DeploymentValidator.validatePackageName', () => {
+    test('accepts the three DXP package conventions', () => {
+        assert.deepStrictEqual(DeploymentValidator.validatePackageName('mysite.cms.app.1.0.0.nupkg'), { valid: true, packageType: 'cms' });
+        assert.deepStrictEqual(DeploymentValidator.validatePackageName('shop.commerce.app.2.1.nupkg'), { valid: true, packageType: 'commerce' });
+        assert.deepStrictEqual(DeploymentValidator.validatePackageName('cms-db.sqlbacpac'), { valid: true, packageType: 'database' });
+    });
+
+    test('matches case-insensitively', () => {
+        assert.strictEqual(DeploymentValidator.validatePackageName('MySite.CMS.App.1.0.NUPKG').packageType, 'cms');
+    });
+
+    test('rejects empty names, paths and unknown conventions', () => {
+        assert.strictEqual(DeploymentValidator.validatePackageName('').valid, false);
+        assert.strictEqual(DeploymentValidator.validatePackageName('   ').valid, false);
+        assert.match(DeploymentValidator.validatePackageName('dir/mysite.cms.app.1.nupkg').error, /path separators/);
+        assert.match(DeploymentValidator.validatePackageName('dir\\mysite.cms.app.1.nupkg').error, /path separators/);
+        assert.match(DeploymentValidator.validatePackageName('mysite.1.0.0.nupkg').error, /Invalid package name/);
+        assert.match(DeploymentValidator.validatePackageName('mysite.cms.app.zip').error, /Invalid package name/);
+    });
+});
+
+describe('AzureBlobUploader URL helpers', () => {
+    const sasUrl = 'https://account.blob.core.windows.net/deployments/?sv=2020&sig=secret';
+
+    test('buildBlobUrl keeps the SAS token last and encodes each path segment', () => {
+        assert.strictEqual(
+            AzureBlobUploader.buildBlobUrl(sasUrl, 'packages/my site#1.nupkg'),
+            'https://account.blob.core.windows.net/deployments/packages/my%20site%231.nupkg?sv=2020&sig=secret'
+        );
+    });
+
+    test('stripSasToken removes the query string', () => {
+        assert.strictEqual(
+            AzureBlobUploader.stripSasToken(AzureBlobUploader.buildBlobUrl(sasUrl, 'a.nupkg')),
+            'https://account.blob.core.windows.net/deployments/a.nupkg'
+        );
+    });
+});
+
+describe('AzureBlobUploader.uploadFile', () => {
+    let server;
+    let containerUrl;
+    let tempDir;
+    const requests = [];
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+                res.writeHead(201, { etag: '"0x1"' });
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        containerUrl = `http://127.0.0.1:${server.address().port}/deployments?sig=secret`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('uploads small files in a single request with the blob headers', async () => {
+        requests.length = 0;
+        const filePath = path.join(tempDir, 'small.nupkg');
+        fs.writeFileSync(filePath, 'package-bytes');
+
+        const result = await AzureBlobUploader.uploadFile(containerUrl, 'small.nupkg', filePath, { contentMD5: 'abc==' });
+
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].method, 'PUT');
+        assert.strictEqual(requests[0].headers['x-ms-blob-type'], 'BlockBlob');
+        assert.strictEqual(requests[0].headers['x-ms-blob-content-md5'], 'abc==');
+        assert.strictEqual(requests[0].body.toString(), 'package-bytes');
+        assert.strictEqual(result.blocks, 1);
+        assert.strictEqual(result.etag, '"0x1"');
+        assert.ok(!result.blobUrl.includes('sig='));
+    });
+
+    test('stages equal-length block ids and commits them in order', async () => {
+        requests.length = 0;
+        const filePath = path.join(tempDir, 'large.nupkg');
+        const content = Buffer.alloc(2500, 7);
+        fs.writeFileSync(filePath, content);
+        const progress = [];
+
+        const result = await AzureBlobUploader.uploadFile(containerUrl, 'large.nupkg', filePath, {
+            blockSize: 1000,
+            onProgress: (done, total) => progress.push([done, total])
+        });
+
+        const blocks = requests.filter(r => r.url.includes('comp=block&'));
+        const commit = requests.find(r => r.url.includes('comp=blocklist'));
+        assert.strictEqual(blocks.length, 3);
+        assert.deepStrictEqual(blocks.map(b => b.body.length), [1000, 1000, 500]);
+        assert.deepStrictEqual(Buffer.concat(blocks.map(b => b.body)), content);
+
+        const ids = blocks.map(b => new URL(b.url, 'http://x').searchParams.get('blockid'));
+        assert.strictEqual(new Set(ids.map(id => id.length)).size, 1);
+        assert.strictEqual(commit.body.toString(), `<?xml version="1.0" encoding="utf-8"?><BlockList>${ids.map(id => `<Latest>${id}</Latest>`).join('')}</BlockList>`);
+
+        assert.deepStrictEqual(progress, [[1000, 2500], [2000, 2500], [2500, 2500]]);
+        assert.strictEqual(result.blocks, 3);
+        assert.strictEqual(result.bytesUploaded, 2500);
+    });
+
+    test('surfaces the Azure error message on failure', async () => {
+        const failing = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                res.writeHead(403, 'Forbidden');
+                res.end('<?xml version="1.0"?><Error><Code>AuthenticationFailed</Code><Message>Signature did not match\nRequestId:1</Message></Error>');
+            });
+        });
+        await new Promise(resolve => failing.listen(0, '127.0.0.1', resolve));
+        const filePath = path.join(tempDir, 'denied.nupkg');
+        fs.writeFileSync(filePath, 'x');
+
+        try {
+            await assert.rejects(
+                AzureBlobUploader.uploadFile(`http://127.0.0.1:${failing.address().port}/c?sig=x`, 'denied.nupkg', filePath),
+                /HTTP 403: Forbidden: Signature did not match$/
+            );
+        } finally {
+            await new Promise(resolve => failing.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for the local DXP API simulator, its fake blob storage and scripted failures
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+
+const { DxpApiSimulator, DEFAULT_PROJECT } = require('../../regression/simulator/dxp-api-simulator');
+const { FailureScript } = require('../../regression/simulator/failure-script');
+const DXPRestClient = require('../../dist/lib/dxp-rest-client').default;
+const AzureBlobUploader = require('../../dist/lib/azure-blob-uploader').default;
+
+const { projectId, clientKey, clientSecret } = DEFAULT_PROJECT;
+
+function request(url, { method = 'GET', headers = {}, body = '' } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('FailureScript', () => {
+    test('validates rules', () => {
+        const script = new FailureScript();
+        assert.throws(() => script.add({ kind: 'database' }), /Unknown rule kind/);
+        assert.throws(() => script.add({ path: '/deployments' }), /need a status/);
+    });
+
+    test('matches in order and consumes uses', () => {
+        const script = new FailureScript();
+        script.add({ status: 429, path: '/deployments', method: 'get', times: 2 });
+        script.add({ status: 503, pathPattern: 'exports/[^/]+$', times: 0 });
+
+        assert.strictEqual(script.takeHttp('api', 'POST', '/projects/p/deployments'), null);
+        assert.strictEqual(script.takeHttp('api', 'GET', '/projects/p/deployments').status, 429);
+        assert.strictEqual(script.takeHttp('api', 'GET', '/projects/p/deployments').status, 429);
+        assert.strictEqual(script.takeHttp('api', 'GET', '/projects/p/deployments'), null);
+        assert.strictEqual(script.takeHttp('blob', 'GET', '/exports/1'), null);
+        assert.strictEqual(script.takeHttp('api', 'GET', '/exports/1').status, 503);
+        assert.deepStrictEqual(script.list().map(rule => rule.remaining), ['unlimited']);
+    });
+
+    test('hands out deployment and export outcomes separately', () => {
+        const script = new FailureScript();
+        const rule = script.add({ kind: 'deployment', outcome: 'Failed', errors: ['Warmup failed'] });
+        script.add({ kind: 'export', durationMs: 1000 });
+
+        assert.strictEqual(script.takeOutcome('deployment').outcome, 'Failed');
+        assert.strictEqual(script.takeOutcome('deployment'), null);
+        script.clear(rule.id);
+        assert.strictEqual(script.takeOutcome('export').durationMs, 1000);
+        script.clear();
+        assert.deepStrictEqual(script.list(), []);
+    });
+});
+
+describe('DxpApiSimulator', () => {
+    const simulator = new DxpApiSimulator({ transitions: { deploymentMs: 30, completeMs: 30, resetMs: 30, exportMs: 30 } });
+    let apiUrl;
+    const options = () => ({ apiUrl, retryDelay: 10 });
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    before(async () => {
+        apiUrl = await simulator.start();
+    });
+
+    beforeEach(() => {
+        simulator.reset();
+    });
+
+    after(async () => {
+        await simulator.stop();
+    });
+
+    test('accepts epi-hmac signed requests and rejects replays, bad signatures and stale timestamps', async () => {
+        const url = `${apiUrl}projects/${projectId}/deployments`;
+        const pathAndQuery = new URL(url).pathname;
+
+        const header = DXPRestClient.generateAuthHeader(clientKey, clientSecret, 'GET', pathAndQuery);
+        assert.strictEqual((await request(url, { headers: { Authorization: header } })).status, 200);
+
+        const replay = await request(url, { headers: { Authorization: header } });
+        assert.strictEqual(replay.status, 401);
+        assert.match(replay.body, /Nonce has already been used/);
+
+        const wrongSecret = DXPRestClient.generateAuthHeader(clientKey, Buffer.from('other').toString('base64'), 'GET', pathAndQuery);
+        assert.match((await request(url, { headers: { Authorization: wrongSecret } })).body, /Signature did not match/);
+
+        const stale = DXPRestClient.generateAuthHeader(clientKey, clientSecret, 'GET', pathAndQuery)
+            .replace(/^epi-hmac ([^:]+):\d+:/, `epi-hmac $1:${Date.now() - 10 * 60 * 1000}:`);
+        assert.match((await request(url, { headers: { Authorization: stale } })).body, /clock skew/);
+
+        assert.strictEqual((await request(url)).status, 401);
+    });
+
+    test('keeps keys out of other projects', async () => {
+        await assert.rejects(
+            DXPRestClient.getDeployments('00000000-0000-0000-0000-000000000000', clientKey, clientSecret, null, options()),
+            /HTTP 403/
+        );
+    });
+
+    test('walks a deployment through verification to success', async () => {
+        const started = await DXPRestClient.startDeployment(projectId, clientKey, clientSecret, {
+            sourceEnvironment: 'Preproduction',
+            targetEnvironment: 'Production'
+        }, options());
+        assert.strictEqual(started.status, 'InProgress');
+
+        await assert.rejects(
+            DXPRestClient.startDeployment(projectId, clientKey, clientSecret, { sourceEnvironment: 'Integration', targetEnvironment: 'Production' }, options()),
+            /HTTP 409/
+        );
+
+        await sleep(40);
+        const awaiting = await DXPRestClient.getDeployments(projectId, clientKey, clientSecret, started.id, options());
+        assert.strictEqual(awaiting.status, 'AwaitingVerification');
+        assert.strictEqual(awaiting.validationLinks.length, 1);
+
+        await DXPRestClient.completeDeployment(projectId, clientKey, clientSecret, started.id, options());
+        await sleep(40);
+        const done = await DXPRestClient.getDeployments(projectId, clientKey, clientSecret, started.id, options());
+        assert.strictEqual(done.status, 'Succeeded');
+        assert.ok(done.endTime);
+    });
+
+    test('applies scripted outcomes and retries through scripted 503s', async () => {
+        simulator.script({ kind: 'deployment', outcome: 'Failed', errors: ['Warmup failed'] });
+        simulator.script({ status: 503, method: 'POST', path: '/deployments' });
+
+        const started = await DXPRestClient.startDeployment(projectId, clientKey, clientSecret, {
+            sourceEnvironment: 'Integration',
+            targetEnvironment: 'Preproduction'
+        }, options());
+        assert.deepStrictEqual(simulator.requests.map(r => r.status), [503, 200]);
+
+        await sleep(40);
+        const failed = await DXPRestClient.getDeployments(projectId, clientKey, clientSecret, started.id, options());
+        assert.strictEqual(failed.status, 'Failed');
+        assert.deepStrictEqual(failed.deploymentErrors, ['Warmup failed']);
+    });
+
+    test('seeds deployments through the control API', async () => {
+        const seeded = await request(`${simulator.baseUrl}/_simulator/deployments`, {
+            method: 'POST',
+            body: JSON.stringify({ status: 'AwaitingVerification' })
+        });
+        assert.strictEqual(JSON.parse(seeded.body).status, 'AwaitingVerification');
+        assert.strictEqual(simulator.getState().deployments.length, 1);
+    });
+
+    test('serves blob storage behind SAS links with permission checks', async () => {
+        const response = await DXPRestClient.makeRequest(clientKey, clientSecret,
+            `projects/${projectId}/environments/Integration/storagecontainers/mysitemedia/saslink`, 'POST',
+            { RetentionHours: 1, Writable: true }, options());
+        const sasLink = response.sasLink;
+
+        await AzureBlobUploader.uploadFile(sasLink, 'images/logo.png', __filename);
+        const stored = simulator.blobServers.Integration.getBlob('mysitemedia', 'images/logo.png');
+        assert.ok(stored.data.equals(fs.readFileSync(__filename)));
+
+        const blobUrl = AzureBlobUploader.buildBlobUrl(sasLink, 'images/logo.png');
+        const ranged = await request(blobUrl, { headers: { Range: 'bytes=0-9' } });
+        assert.strictEqual(ranged.status, 206);
+        assert.strictEqual(ranged.body, stored.data.subarray(0, 10).toString('utf8'));
+
+        const readOnly = simulator.blobServers.Integration.generateSasUrl('mysitemedia', { permissions: 'rl' });
+        await assert.rejects(AzureBlobUploader.uploadFile(readOnly, 'blocked.txt', __filename), /HTTP 403/);
+
+        const tampered = blobUrl.replace(/sig=[^&]+/, 'sig=forged');
+        assert.strictEqual((await request(tampered)).status, 403);
+    });
+});
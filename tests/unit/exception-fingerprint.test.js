@@ -0,0 +1,156 @@
+/**
+ * Unit tests for exception extraction, fingerprinting and exception groups in log analysis
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const ExceptionFingerprint = require('../../dist/lib/log-analysis/exception-fingerprint').default;
+const Analyzers = require('../../dist/lib/log-analysis/analyzers').default;
+const LogComparator = require('../../dist/lib/log-analysis/log-comparator').default;
+
+const NULL_REFERENCE = [
+    'System.NullReferenceException: Object reference not set to an instance of an object.',
+    '   at Site.Controllers.ArticleController.<Index>d__12.MoveNext() in C:\\src\\ArticleController.cs:line 42',
+    '   at System.Runtime.CompilerServices.TaskAwaiter.ThrowForNonSuccess(Task task)',
+    '   at Microsoft.AspNetCore.Mvc.Infrastructure.ActionMethodExecutor.Execute()'
+].join('\n');
+
+function entry(path, exception, timestamp, extra = {}) {
+    return { timestamp: new Date(timestamp), type: 'console', method: 'GET', path, statusCode: 500, userAgent: '', ip: '', exception, ...extra };
+}
+
+describe('extractException', () => {
+    test('reads type, message, frames and inner exception types from the exception text', () => {
+        const exception = ExceptionFingerprint.extractException({
+            exception: 'System.AggregateException: One or more errors occurred. ---> System.TimeoutException: The operation has timed out.\n' +
+                '   at Site.Search.Query() in /app/Search.cs:line 7\n' +
+                '   --- End of inner exception stack trace ---\n' +
+                '   at Site.Search.Run()'
+        });
+
+        assert.strictEqual(exception.type, 'System.AggregateException');
+        assert.strictEqual(exception.message, 'One or more errors occurred. ---> System.TimeoutException: The operation has timed out.');
+        assert.deepStrictEqual(exception.frames, ['Site.Search.Query()', 'Site.Search.Run()']);
+        assert.deepStrictEqual(exception.innerTypes, ['System.TimeoutException']);
+    });
+
+    test('falls back to an exception named in the message and ignores entries without one', () => {
+        const exception = ExceptionFingerprint.extractException({ message: 'Request failed: EPiServer.Core.ContentNotFoundException: Content with id 42 was not found' });
+        assert.strictEqual(exception.type, 'EPiServer.Core.ContentNotFoundException');
+        assert.strictEqual(exception.message, 'Content with id 42 was not found');
+        assert.deepStrictEqual(exception.frames, []);
+
+        assert.strictEqual(ExceptionFingerprint.extractException({ message: 'GET /en/ 500' }), null);
+        assert.strictEqual(ExceptionFingerprint.extractException({}), null);
+    });
+});
+
+describe('normalization', () => {
+    test('replaces the variable parts of a message with placeholders', () => {
+        assert.strictEqual(
+            ExceptionFingerprint.normalizeMessage("Content 'Start page' (id 1234, guid 0f8fad5b-d9cb-469f-a165-70867728950e) for bob@example.com at 2025-03-01T10:00:00Z from 10.1.2.3:443 via https://example.com/x?y=1, hash 0xDEADBEEF"),
+            'Content <value> (id <n>, guid <guid>) for <email> at <date> from <ip> via <url> hash <hex>'
+        );
+    });
+
+    test('strips compiler-generated numbering from stack frames', () => {
+        assert.strictEqual(
+            ExceptionFingerprint.normalizeFrame('Site.Foo.<Bar>d__12.MoveNext()'),
+            'Site.Foo.<Bar>d__<n>.MoveNext()'
+        );
+        assert.strictEqual(
+            ExceptionFingerprint.normalizeFrame('Site.Foo.<>c__DisplayClass3_0.<Run>b__1()  '),
+            'Site.Foo.<>c__DisplayClass<n>.<Run>b__<n>()'
+        );
+        assert.strictEqual(ExceptionFingerprint.normalizeFrame('List`1.Add(T item)'), 'List`<n>.Add(T item)');
+    });
+});
+
+describe('fingerprintException', () => {
+    const fingerprint = text => ExceptionFingerprint.fingerprintException(ExceptionFingerprint.extractException({ exception: text }));
+
+    test('is stable across messages, line numbers and async state machine numbering', () => {
+        const other = NULL_REFERENCE
+            .replace('Object reference not set to an instance of an object.', 'Something else')
+            .replace('d__12', 'd__7')
+            .replace('line 42', 'line 99');
+
+        assert.match(fingerprint(NULL_REFERENCE), /^[0-9a-f]{12}$/);
+        assert.strictEqual(fingerprint(other), fingerprint(NULL_REFERENCE));
+        assert.notStrictEqual(fingerprint(NULL_REFERENCE.replace('NullReferenceException', 'ArgumentException')), fingerprint(NULL_REFERENCE));
+    });
+
+    test('uses the normalised message when there is no stack', () => {
+        assert.strictEqual(
+            fingerprint('System.InvalidOperationException: Order 123 not found'),
+            fingerprint('System.InvalidOperationException: Order 98765 not found')
+        );
+        assert.notStrictEqual(
+            fingerprint('System.InvalidOperationException: Order 123 not found'),
+            fingerprint('System.InvalidOperationException: Cart 123 not found')
+        );
+    });
+
+    test('samples the first lines of the stack', () => {
+        const text = ['System.Exception: deep', ...Array.from({ length: 30 }, (_, i) => `   at Frame${i}()`)].join('\n');
+        const sample = ExceptionFingerprint.sampleStack(ExceptionFingerprint.extractException({ exception: text }));
+        assert.strictEqual(sample.split('\n').length, 15);
+        assert.ok(sample.startsWith('System.Exception: deep\n   at Frame0()'));
+    });
+});
+
+describe('analyzeExceptions', () => {
+    test('groups one exception thrown from many URLs with counts, first/last seen and top paths', () => {
+        const logs = [
+            entry('/en/a', NULL_REFERENCE, '2025-03-01T10:05:00Z'),
+            entry('/en/b', NULL_REFERENCE.replace('d__12', 'd__13'), '2025-03-01T10:01:00Z'),
+            entry('/en/a', NULL_REFERENCE, '2025-03-01T10:09:00Z'),
+            entry('/console', 'System.TimeoutException: timed out after 30 seconds', '2025-03-01T10:02:00Z'),
+            entry('/en/ok', undefined, '2025-03-01T10:03:00Z', { statusCode: 200, message: 'fine' })
+        ];
+
+        const analysis = Analyzers.analyzeExceptions(logs);
+        assert.strictEqual(analysis.total, 4);
+        assert.strictEqual(analysis.groupCount, 2);
+
+        const [top, timeout] = analysis.topGroups;
+        assert.strictEqual(top.type, 'System.NullReferenceException');
+        assert.strictEqual(top.count, 3);
+        assert.strictEqual(top.firstSeen, '2025-03-01T10:01:00.000Z');
+        assert.strictEqual(top.lastSeen, '2025-03-01T10:09:00.000Z');
+        assert.deepStrictEqual(top.paths, ['/en/a', '/en/b']);
+        assert.ok(top.sampleStack.includes('ArticleController'));
+
+        assert.strictEqual(timeout.message, 'timed out after <n> seconds');
+        assert.deepStrictEqual(timeout.paths, []);
+        assert.deepStrictEqual(analysis.fingerprints, [top.fingerprint, timeout.fingerprint]);
+    });
+});
+
+describe('compareLogs exception groups', () => {
+    const summary = { totalLogs: 1000, healthScore: 100 };
+
+    test('flags slot exception groups the baseline never had', () => {
+        const baseline = Analyzers.analyzeExceptions([entry('/en/a', NULL_REFERENCE, '2025-03-01T10:00:00Z')]);
+        const slot = Analyzers.analyzeExceptions([
+            entry('/en/a', NULL_REFERENCE, '2025-03-01T11:00:00Z'),
+            entry('/en/c', 'System.IO.IOException: disk full', '2025-03-01T11:01:00Z')
+        ]);
+
+        const result = LogComparator.compareLogs(
+            { errors: { total: 1 }, summary, exceptions: baseline },
+            { errors: { total: 2 }, summary, exceptions: slot }
+        );
+
+        assert.deepStrictEqual(result.newExceptionGroups.map(group => [group.type, group.count, group.paths]), [['System.IO.IOException', 1, ['/en/c']]]);
+        assert.strictEqual(result.decision, 'warning');
+        assert.ok(result.reasons.includes('1 new exception group(s) in slot: System.IO.IOException ×1'));
+    });
+
+    test('finds nothing new when either side was not fingerprinted', () => {
+        const slot = Analyzers.analyzeExceptions([entry('/en/c', 'System.IO.IOException: disk full', '2025-03-01T11:01:00Z')]);
+        const result = LogComparator.compareLogs({ errors: { total: 0 }, summary }, { errors: { total: 1 }, summary, exceptions: slot });
+        assert.deepStrictEqual(result.newExceptionGroups, []);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the file-backed event bus, history rebuild and replayed event handling
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileEventBus } = require('../../dist/lib/events/file-event-bus');
+const { createEvent, isReplayedEvent } = require('../../dist/lib/events/event-types');
+const { ResourceManager } = require('../../dist/lib/events/resource-manager');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'file-event-bus-test-'));
+let dirCount = 0;
+
+function eventDir() {
+    return fs.mkdtempSync(path.join(tempRoot, `bus-${++dirCount}-`));
+}
+
+function event(eventType, operationId, timestamp, data = {}) {
+    return { ...createEvent(eventType, operationId, data), timestamp: new Date(timestamp).toISOString() };
+}
+
+async function openBus(dir, config = {}) {
+    const bus = new FileEventBus();
+    await bus.initialize({ eventDir: dir, ...config });
+    return bus;
+}
+
+describe('FileEventBus', () => {
+    test('appends events as JSONL and serves filtered history after a restart', async () => {
+        const dir = eventDir();
+        const bus = await openBus(dir);
+        await bus.publish(event('deployment.started', 'd1', '2026-10-19T08:00:00Z'));
+        await bus.publish(event('export.started', 'e1', '2026-10-19T09:00:00Z'));
+        await bus.publish(event('deployment.succeeded', 'd1', '2026-10-19T10:00:00Z'));
+        await bus.close();
+
+        const lines = fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf-8').trim().split('\n');
+        assert.deepStrictEqual(lines.map(line => JSON.parse(line).eventType), ['deployment.started', 'export.started', 'deployment.succeeded']);
+
+        const reopened = await openBus(dir);
+        assert.strictEqual((await reopened.getHistory()).length, 3);
+        assert.deepStrictEqual((await reopened.getHistory({ pattern: 'deployment.*' })).map(item => item.eventType), ['deployment.started', 'deployment.succeeded']);
+        assert.deepStrictEqual((await reopened.getHistory({ since: '2026-10-19T08:30:00Z', until: '2026-10-19T09:30:00Z' })).map(item => item.operationId), ['e1']);
+        // limit keeps the newest events
+        assert.deepStrictEqual((await reopened.getHistory({ limit: 1 })).map(item => item.eventType), ['deployment.succeeded']);
+        await reopened.close();
+    });
+
+    test('skips a line cut short by a crash', async () => {
+        const dir = eventDir();
+        const complete = JSON.stringify(event('export.started', 'e1', '2026-10-19T08:00:00Z'));
+        fs.writeFileSync(path.join(dir, 'events.jsonl'), `${complete}\n{"eventType":"export.succ`);
+
+        const bus = await openBus(dir);
+        assert.deepStrictEqual((await bus.getHistory()).map(item => item.operationId), ['e1']);
+        await bus.close();
+    });
+
+    test('rotates a full file and compacts away progress of finished operations', async () => {
+        const dir = eventDir();
+        const bus = await openBus(dir, { maxFileBytes: 600 });
+        const now = Date.now();
+        for (let i = 0; i < 4; i++) {
+            await bus.publish(event('deployment.inProgress', 'd1', now + i, { progress: i * 25 }));
+        }
+        assert.deepStrictEqual(fs.readdirSync(dir), ['events.jsonl']);
+
+        await bus.publish(event('deployment.succeeded', 'd1', now + 10));
+        await bus.publish(event('export.started', 'e1', now + 20));
+
+        // Compaction runs after publish returns, not inside it
+        assert.strictEqual((await bus.getHistory()).length, 6);
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const files = fs.readdirSync(dir).sort();
+        assert.strictEqual(files.length, 2);
+        assert.match(files[0], /^events-\d+\.jsonl$/);
+        assert.deepStrictEqual((await bus.getHistory()).map(item => item.eventType), ['deployment.succeeded', 'export.started']);
+
+        const stats = await bus.getStats();
+        assert.strictEqual(stats.segments, 1);
+        assert.strictEqual(stats.historySize, undefined);
+        assert.ok(stats.activeFileBytes > 0);
+        await bus.close();
+    });
+
+    test('merges segments and drops events past retention at startup', async () => {
+        const dir = eventDir();
+        const now = Date.now();
+        const lines = items => items.map(item => JSON.stringify(item)).join('\n') + '\n';
+        fs.writeFileSync(path.join(dir, `events-${now - 2000}.jsonl`), lines([
+            event('export.started', 'old', now - 3 * 86400000),
+            event('export.started', 'e1', now - 5000),
+            event('export.inProgress', 'e1', now - 4000)
+        ]));
+        fs.writeFileSync(path.join(dir, `events-${now - 1000}.jsonl`), lines([event('download.started', 'dl1', now - 1500)]));
+        fs.writeFileSync(path.join(dir, 'events.jsonl'), lines([event('export.succeeded', 'e1', now - 500)]));
+
+        const bus = await openBus(dir, { retentionDays: 1 });
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), [`events-${now - 1000}.jsonl`, 'events.jsonl']);
+        assert.deepStrictEqual((await bus.getHistory()).map(item => `${item.eventType}:${item.operationId}`), [
+            'export.started:e1', 'download.started:dl1', 'export.succeeded:e1'
+        ]);
+        assert.deepStrictEqual(bus.compact(), { segmentsBefore: 1, eventsKept: 2, eventsDropped: 0 });
+        await bus.close();
+    });
+
+    test('delivers replayed events to subscribers without writing them again', async () => {
+        const dir = eventDir();
+        const bus = await openBus(dir);
+        const received = [];
+        await bus.subscribe('export.*', item => received.push(item));
+
+        const original = event('export.started', 'e1', '2026-10-19T08:00:00Z');
+        await bus.publish(original);
+        await bus.publish({ ...original, metadata: { replayed: true } });
+
+        assert.strictEqual(received.length, 2);
+        assert.deepStrictEqual(received.map(isReplayedEvent), [false, true]);
+        assert.strictEqual((await bus.getHistory()).length, 1);
+        await bus.close();
+    });
+});
+
+describe('ResourceManager.rebuildFromHistory', () => {
+    test('restores unfinished and recently finished operations and lets live state win', () => {
+        const manager = new ResourceManager();
+        const now = Date.now();
+        manager.registerOrUpdateResource(createEvent('export.started', 'live', { databaseName: 'epicms' }));
+
+        const restored = manager.rebuildFromHistory([
+            { ...event('deployment.started', 'd1', now - 60000), project: 'Acme', environment: 'Production' },
+            event('deployment.inProgress', 'd1', now - 30000, { progress: 50 }),
+            event('export.started', 'e-old', now - 3600000),
+            event('export.succeeded', 'e-old', now - 3000000),
+            event('download.succeeded', 'dl1', now - 1000),
+            event('export.failed', 'live', now - 1000),
+            event('pipeline.started', 'p1', now - 1000)
+        ]);
+
+        assert.strictEqual(restored, 2);
+        const deployment = manager.getResource('deployment://d1');
+        assert.strictEqual(deployment.state.progress, 50);
+        assert.strictEqual(deployment.state.eventType, 'deployment.inProgress');
+        assert.deepStrictEqual([deployment.metadata.project, deployment.metadata.environment, deployment.metadata.isTerminal], ['Acme', 'Production', false]);
+        assert.strictEqual(deployment.metadata.createdAt, now - 60000);
+
+        assert.strictEqual(manager.getResource('download://dl1').metadata.completedAt, now - 1000);
+        assert.strictEqual(manager.getResource('export://e-old'), null);
+        assert.strictEqual(manager.getResource('export://live').state.eventType, 'export.started');
+        manager.reset();
+    });
+});
+
+describe('isReplayedEvent', () => {
+    test('recognises only events re-published by replay_events', () => {
+        assert.strictEqual(isReplayedEvent(createEvent('deployment.started', 'd1', {}, { replayed: true })), true);
+        assert.strictEqual(isReplayedEvent(createEvent('deployment.started', 'd1', {}, { replayed: false })), false);
+        assert.strictEqual(isReplayedEvent(createEvent('deployment.started', 'd1')), false);
+        assert.strictEqual(isReplayedEvent({ eventType: 'deployment.started', timestamp: '2026-10-19T08:00:00Z', operationId: 'd1' }), false);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+});
@@ -0,0 +1,202 @@
+/**
+ * Builders for small .bacpac archives used by the unit tests
+ * Writes classic or ZIP64 zips, BCP native-format rows and a minimal model.xml.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Build a zip archive in memory
+ * @param {Array<{name: string, data: Buffer|string, deflate?: boolean}>} files
+ * @param {Object} [options]
+ * @param {boolean} [options.zip64=false] - Put sizes and offsets in ZIP64 extra fields and add the ZIP64 end records
+ * @param {string} [options.comment=''] - Archive comment after the end of central directory record
+ */
+function buildZip(files, options = {}) {
+    const { zip64 = false, comment = '' } = options;
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+        const stored = file.deflate ? zlib.deflateRawSync(data) : data;
+        const name = Buffer.from(file.name, 'utf8');
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(zip64 ? 45 : 20, 4);
+        local.writeUInt16LE(file.deflate ? 8 : 0, 8);
+        local.writeUInt32LE(zip64 ? 0xffffffff : stored.length, 18);
+        local.writeUInt32LE(zip64 ? 0xffffffff : data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        const localExtra = zip64 ? zip64Extra([data.length, stored.length]) : Buffer.alloc(0);
+        local.writeUInt16LE(localExtra.length, 28);
+        locals.push(local, name, localExtra, stored);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(zip64 ? 45 : 20, 4);
+        central.writeUInt16LE(zip64 ? 45 : 20, 6);
+        central.writeUInt16LE(file.deflate ? 8 : 0, 10);
+        central.writeUInt32LE(zip64 ? 0xffffffff : stored.length, 20);
+        central.writeUInt32LE(zip64 ? 0xffffffff : data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        const centralExtra = zip64 ? zip64Extra([data.length, stored.length, offset]) : Buffer.alloc(0);
+        central.writeUInt16LE(centralExtra.length, 30);
+        central.writeUInt32LE(zip64 ? 0xffffffff : offset, 42);
+        centrals.push(central, name, centralExtra);
+
+        offset += local.length + name.length + localExtra.length + stored.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const tail = [];
+
+    if (zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(BigInt(44), 4);
+        record.writeUInt16LE(45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(files.length), 24);
+        record.writeBigUInt64LE(BigInt(files.length), 32);
+        record.writeBigUInt64LE(BigInt(directory.length), 40);
+        record.writeBigUInt64LE(BigInt(offset), 48);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset + directory.length), 8);
+        locator.writeUInt32LE(1, 16);
+        tail.push(record, locator);
+    }
+
+    const commentBytes = Buffer.from(comment, 'utf8');
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(zip64 ? 0xffff : files.length, 8);
+    eocd.writeUInt16LE(zip64 ? 0xffff : files.length, 10);
+    eocd.writeUInt32LE(zip64 ? 0xffffffff : directory.length, 12);
+    eocd.writeUInt32LE(zip64 ? 0xffffffff : offset, 16);
+    eocd.writeUInt16LE(commentBytes.length, 20);
+    tail.push(eocd, commentBytes);
+
+    return Buffer.concat([...locals, directory, ...tail]);
+}
+
+function zip64Extra(values) {
+    const extra = Buffer.alloc(4 + values.length * 8);
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(values.length * 8, 2);
+    values.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+    return extra;
+}
+
+/**
+ * BCP native-format field encoders
+ */
+const bcp = {
+    // NOT NULL fixed-width int
+    int(value) {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32LE(value, 0);
+        return buffer;
+    },
+    // Nullable int: 1-byte length prefix, 0xFF for NULL
+    nullableInt(value) {
+        return value === null ? Buffer.from([0xff]) : Buffer.concat([Buffer.from([4]), bcp.int(value)]);
+    },
+    // nvarchar(n): 2-byte length prefix, 0xFFFF for NULL
+    nvarchar(value) {
+        if (value === null) {
+            return Buffer.from([0xff, 0xff]);
+        }
+        const data = Buffer.from(value, 'utf16le');
+        const prefix = Buffer.alloc(2);
+        prefix.writeUInt16LE(data.length, 0);
+        return Buffer.concat([prefix, data]);
+    },
+    // nvarchar(max) with a known length: 8-byte prefix, -1 for NULL
+    nvarcharMax(value) {
+        const prefix = Buffer.alloc(8);
+        if (value === null) {
+            prefix.writeBigInt64LE(BigInt(-1), 0);
+            return prefix;
+        }
+        const data = Buffer.from(value, 'utf16le');
+        prefix.writeBigInt64LE(BigInt(data.length), 0);
+        return Buffer.concat([prefix, data]);
+    },
+    // nvarchar(max) of unknown length (PLP): -2, then 4-byte chunk lengths ending with 0
+    nvarcharChunked(...chunks) {
+        const parts = [Buffer.alloc(8)];
+        parts[0].writeBigInt64LE(BigInt(-2), 0);
+        for (const chunk of chunks) {
+            const data = Buffer.from(chunk, 'utf16le');
+            const length = Buffer.alloc(4);
+            length.writeUInt32LE(data.length, 0);
+            parts.push(length, data);
+        }
+        parts.push(Buffer.alloc(4));
+        return Buffer.concat(parts);
+    }
+};
+
+const COLUMN_TYPES = {
+    int: { type: 'int' },
+    nullableInt: { type: 'int', nullable: true },
+    nvarchar: { type: 'nvarchar', nullable: true, length: 255 },
+    nvarcharMax: { type: 'nvarchar', nullable: true, isMax: true }
+};
+
+/**
+ * model.xml with the given tables and the Episerver database version procedure
+ * @param {Array<{name: string, columns: Array<[string, string]>}>} tables - "[schema].[table]" names and [column, COLUMN_TYPES key] pairs
+ */
+function modelXml(tables, databaseVersion = 8205) {
+    const column = (table, [name, kind]) => {
+        const spec = COLUMN_TYPES[kind];
+        return `<Entry><Element Type="SqlSimpleColumn" Name="${table}.[${name}]">` +
+            (spec.nullable ? '' : '<Property Name="IsNullable" Value="False" />') +
+            (spec.isMax ? '<Property Name="IsMax" Value="True" />' : '') +
+            (spec.length ? `<Property Name="Length" Value="${spec.length}" />` : '') +
+            '<Relationship Name="TypeSpecifier"><Entry><Element Type="SqlTypeSpecifier">' +
+            `<Relationship Name="Type"><Entry><References ExternalSource="BuiltIns" Name="[${spec.type}]" /></Entry></Relationship>` +
+            '</Element></Entry></Relationship></Element></Entry>';
+    };
+
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+        '<DataSchemaModel FileFormatVersion="1.2" SchemaVersion="2.9" DspName="Microsoft.Data.Tools.Schema.Sql.SqlAzureV12DatabaseSchemaProvider">' +
+        '<Model>' +
+        tables.map(table => `<Element Type="SqlTable" Name="${table.name}"><Relationship Name="Columns">` +
+            table.columns.map(entry => column(table.name, entry)).join('') +
+            '</Relationship></Element>').join('') +
+        `<Element Type="SqlProcedure" Name="[dbo].[sp_DatabaseVersion]"><Property Name="BodyScript"><Value><![CDATA[BEGIN RETURN ${databaseVersion} END]]></Value></Property></Element>` +
+        '</Model></DataSchemaModel>';
+}
+
+function originXml(exportedAt = '2025-01-31T04:05:06Z') {
+    return '<?xml version="1.0" encoding="utf-8"?><DacOrigin><PackageProperties><ContainsExportedData>true</ContainsExportedData></PackageProperties>' +
+        `<Operation><Start>${exportedAt}</Start><End>${exportedAt}</End><ProductVersion>162.1.167.1</ProductVersion></Operation>` +
+        '<Server><ServerVersion>12.0.2000.8</ServerVersion></Server></DacOrigin>';
+}
+
+/**
+ * A bacpac with one BCP data file per table
+ * @param {Array<{name: string, columns: Array<[string, string]>, rows?: Buffer[][]}>} tables - rows are encoded fields
+ */
+function buildBacpac(tables, options = {}) {
+    const files = [
+        { name: 'model.xml', data: modelXml(tables, options.databaseVersion), deflate: true },
+        { name: 'Origin.xml', data: originXml(options.exportedAt) }
+    ];
+    for (const table of tables) {
+        if (table.rows) {
+            const folder = table.name.replace(/[[\]]/g, '');
+            files.push({ name: `Data/${folder}/TableData-000-00000.BCP`, data: Buffer.concat(table.rows.flat()), deflate: true });
+        }
+    }
+    return buildZip(files, options);
+}
+
+module.exports = { buildZip, bcp, modelXml, originXml, buildBacpac };
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the baseline vs slot comparison: volume-normalised error rates, latency
+ * significance, per-path regressions and the insufficient data verdict
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const LogComparator = require('../../dist/lib/log-analysis/log-comparator').default;
+const Analyzers = require('../../dist/lib/log-analysis/analyzers').default;
+
+function analysis(errors, requests, extra = {}) {
+    return { errors: { total: errors }, summary: { totalLogs: requests, healthScore: 100 }, ...extra };
+}
+
+// n timed requests spread over ten 5 ms steps from `ms`
+function performance(n, ms) {
+    return Analyzers.analyzePerformance(Array.from({ length: n }, (_, i) => ({
+        timestamp: new Date('2025-03-01T10:00:00Z'), type: 'http', method: 'GET', path: '/', statusCode: 200,
+        userAgent: '', ip: '', responseTime: ms + (i % 10) * 5
+    })));
+}
+
+function paths(rows) {
+    return rows.map(([path, requests, errors, avgResponseTime, stdDevResponseTime]) => ({
+        path, requests, errors, timedRequests: requests, avgResponseTime, stdDevResponseTime
+    }));
+}
+
+describe('compareLogs error rates', () => {
+    test('does not recommend a rollback for a large relative increase on a small sample', () => {
+        const result = LogComparator.compareLogs(analysis(1, 200), analysis(3, 200));
+
+        assert.strictEqual(result.decision, 'safe');
+        assert.strictEqual(result.recommendation, 'proceed');
+        assert.strictEqual(result.tests.errorRate.relativeIncrease, 2);
+        assert.strictEqual(result.tests.errorRate.significant, false);
+        assert.deepStrictEqual(result.tests.errorRate.slotInterval, [0.005114, 0.043166]);
+        assert.match(result.reasons[0], /^Error rate change not significant or below threshold \(0\.50% → 1\.50%, p=0\.157\)$/);
+    });
+
+    test('flags a significant increase that raw totals would hide at high traffic', () => {
+        const result = LogComparator.compareLogs(analysis(100, 100000), analysis(200, 100000));
+
+        assert.strictEqual(result.decision, 'critical');
+        assert.strictEqual(result.recommendation, 'rollback');
+        assert.deepStrictEqual(result.reasons, ['Error rate increased by 100.0% (0.10% → 0.20%, p=<0.001)']);
+        assert.strictEqual(result.deltas.errorRateDelta, 0.001);
+    });
+
+    test('normalises by volume so more errors from more traffic is not a regression', () => {
+        const result = LogComparator.compareLogs(analysis(100, 10000), analysis(300, 30000));
+        assert.strictEqual(result.decision, 'safe');
+        assert.strictEqual(result.deltas.errorDelta, 200);
+        assert.strictEqual(result.deltas.errorRateDelta, 0);
+    });
+
+    test('returns insufficient_data instead of guessing', () => {
+        const lowTraffic = LogComparator.compareLogs(analysis(1, 50), analysis(30, 50));
+        assert.strictEqual(lowTraffic.decision, 'insufficient_data');
+        assert.strictEqual(lowTraffic.recommendation, 'wait');
+        assert.strictEqual(lowTraffic.insufficientData, true);
+        assert.deepStrictEqual(lowTraffic.reasons, ['Not enough traffic to judge: 50 baseline and 50 slot requests (need 100 each)']);
+
+        const noVolume = LogComparator.compareLogs({ errors: { total: 1 } }, { errors: { total: 5 } });
+        assert.strictEqual(noVolume.decision, 'insufficient_data');
+        assert.strictEqual(noVolume.tests.errorRate, null);
+        assert.match(noVolume.reasons[0], /Request volume missing/);
+
+        const lowered = LogComparator.compareLogs(analysis(1, 50), analysis(30, 50), { minRequests: 50 });
+        assert.strictEqual(lowered.decision, 'critical');
+    });
+});
+
+describe('compareLogs latency', () => {
+    test('runs a rank test on the latency histograms', () => {
+        const result = LogComparator.compareLogs(
+            analysis(0, 1000, { performance: performance(200, 100) }),
+            analysis(0, 1000, { performance: performance(200, 400) })
+        );
+
+        assert.strictEqual(result.decision, 'warning');
+        assert.strictEqual(result.tests.latency.method, 'mann-whitney');
+        assert.strictEqual(result.tests.latency.probabilitySlower, 1);
+        assert.deepStrictEqual(result.reasons, ['P95 latency increased by 300ms (145ms → 445ms, p=<0.001)']);
+    });
+
+    test('skips the test on too few timed requests and ignores the P95 jump', () => {
+        const result = LogComparator.compareLogs(
+            analysis(0, 1000, { performance: performance(20, 100) }),
+            analysis(0, 1000, { performance: performance(20, 400) })
+        );
+
+        assert.strictEqual(result.decision, 'safe');
+        assert.strictEqual(result.tests.latency.method, 'skipped');
+        assert.strictEqual(result.tests.latency.note, 'Need 30 timed requests per side');
+    });
+
+    test('falls back to the P95 threshold for results without histograms', () => {
+        const result = LogComparator.compareLogs(
+            analysis(0, 1000, { performance: { p95ResponseTime: 100 } }),
+            analysis(0, 1000, { performance: { p95ResponseTime: 300 } })
+        );
+
+        assert.strictEqual(result.decision, 'warning');
+        assert.strictEqual(result.tests.latency.method, 'threshold');
+        assert.deepStrictEqual(result.reasons, ['P95 latency increased by 200ms (100ms → 300ms)']);
+    });
+});
+
+describe('compareLogs path regressions', () => {
+    test('reports paths that got worse separately and skips low-traffic paths', () => {
+        const result = LogComparator.compareLogs(
+            analysis(50, 5000, { paths: paths([['/a', 500, 5, 100, 20], ['/b', 500, 5, 100, 20], ['/c', 10, 0, 100, 5], ['/d', 500, 5, 100, 20]]) }),
+            analysis(60, 5000, { paths: paths([['/a', 500, 40, 100, 20], ['/b', 500, 5, 400, 50], ['/c', 10, 9, 900, 5], ['/d', 500, 6, 110, 20]]) })
+        );
+
+        assert.strictEqual(result.decision, 'warning');
+        assert.deepStrictEqual(result.pathRegressions.map(regression => [regression.path, regression.metric, regression.baseline, regression.slot]), [
+            ['/a', 'errorRate', 0.01, 0.08],
+            ['/b', 'latency', 100, 400]
+        ]);
+        assert.deepStrictEqual(result.reasons, ['2 path regression(s): /a (errors 1.00% → 8.00%), /b (avg 100ms → 400ms)']);
+    });
+
+    test('splits the significance level across the paths tested', () => {
+        // p ≈ 0.02 for one path: significant alone, not when ten paths share alpha
+        const one = [['/x', 1000, 10, null, null]];
+        const slotOne = [['/x', 1000, 21, null, null]];
+        const single = LogComparator.compareLogs(analysis(0, 10000, { paths: paths(one) }), analysis(0, 10000, { paths: paths(slotOne) }));
+        assert.strictEqual(single.pathRegressions.length, 1);
+
+        const quiet = Array.from({ length: 9 }, (_, i) => [`/q${i}`, 1000, 10, null, null]);
+        const many = LogComparator.compareLogs(
+            analysis(0, 10000, { paths: paths([...one, ...quiet]) }),
+            analysis(0, 10000, { paths: paths([...slotOne, ...quiet]) })
+        );
+        assert.deepStrictEqual(many.pathRegressions, []);
+    });
+});
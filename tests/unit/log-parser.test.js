@@ -0,0 +1,198 @@
+/**
+ * Unit tests for log format detection and the per-file parsers (W3C, CLEF, Serilog JSON, .NET text)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const LogParser = require('../../dist/lib/log-analysis/log-parser').default;
+
+function parseFile(lines, options) {
+    const parser = LogParser.createFileParser(options);
+    const entries = [];
+    for (const line of lines) {
+        entries.push(...parser.parseLine(line));
+    }
+    entries.push(...parser.finish());
+    return { parser, entries };
+}
+
+describe('detectLogFormat', () => {
+    test('picks the most specific built-in format for a first line', () => {
+        const detect = line => {
+            let json = null;
+            try { json = JSON.parse(line); } catch { /* not JSON */ }
+            return LogParser.detectLogFormat(line, json).name;
+        };
+
+        assert.strictEqual(detect('{"category":"AppServiceHTTPLogs","time":"2025-03-01T10:00:00Z"}'), 'azure-app-service');
+        assert.strictEqual(detect('{"@t":"2025-03-01T10:00:00Z","@mt":"Started"}'), 'clef');
+        assert.strictEqual(detect('{"Timestamp":"2025-03-01T10:00:00Z","Level":"Information","MessageTemplate":"Started"}'), 'serilog-json');
+        assert.strictEqual(detect('{"time":"2025-03-01T10:00:00Z","level":"Info","message":"NLog line"}'), 'serilog-json');
+        assert.strictEqual(detect('#Fields: date time cs-method cs-uri-stem sc-status'), 'w3c');
+        assert.strictEqual(detect('2025-03-01 10:00:00 [INF] Started'), 'dotnet-text');
+        assert.strictEqual(detect('fail: Microsoft.AspNetCore.Server.Kestrel[13]'), 'dotnet-text');
+        assert.strictEqual(detect('{"anything":"else"}'), 'generic-json');
+        assert.strictEqual(LogParser.detectLogFormat('   at Stray.Frame()', null), null);
+    });
+});
+
+describe('LogFileParser', () => {
+    test('reads W3C columns from the #Fields header and counts lines that do not fit', () => {
+        const { parser, entries } = parseFile([
+            '#Software: Microsoft Internet Information Services 10.0',
+            '#Date: 2025-03-01 00:00:00',
+            '#Fields: date time s-ip cs-method cs-uri-stem cs-uri-query s-port cs-username c-ip cs(User-Agent) cs(Referer) sc-status sc-substatus sc-win32-status time-taken',
+            '2025-03-01 10:00:00 10.0.0.1 GET /en/ - 443 - 1.2.3.4 Mozilla/5.0+(Windows) - 200 0 0 125',
+            '2025-03-01 10:00:01 10.0.0.1 POST /api/cart - 443 - 1.2.3.5 curl/8 https://example.com/ 500 0 0 40',
+            'truncated line'
+        ]);
+
+        assert.strictEqual(parser.format, 'w3c');
+        assert.deepStrictEqual([parser.lines, parser.entries, parser.unparsed], [6, 2, 1]);
+        assert.strictEqual(entries[0].timestamp.toISOString(), '2025-03-01T10:00:00.000Z');
+        assert.strictEqual(entries[0].userAgent, 'Mozilla/5.0 (Windows)');
+        assert.strictEqual(entries[0].ip, '1.2.3.4');
+        assert.strictEqual(entries[0].responseTime, 125);
+        assert.strictEqual(entries[0].referrer, undefined);
+        assert.deepStrictEqual([entries[1].method, entries[1].path, entries[1].statusCode, entries[1].referrer], ['POST', '/api/cart', 500, 'https://example.com/']);
+    });
+
+    test('renders CLEF message templates and turns request-logging events into HTTP entries', () => {
+        const { parser, entries } = parseFile([
+            '{"@t":"2025-03-01T10:00:00Z","@mt":"User {UserId} logged in {{ok}}","UserId":42}',
+            '{"@t":"2025-03-01T10:00:01Z","@l":"Error","@m":"boom","@x":"System.InvalidOperationException: bad\\n   at X.Y()"}',
+            '{"@t":"2025-03-01T10:00:02Z","@mt":"HTTP {RequestMethod} {RequestPath} responded {StatusCode} in {Elapsed} ms","RequestMethod":"POST","RequestPath":"/cart","StatusCode":503,"Elapsed":12.6}'
+        ]);
+
+        assert.strictEqual(parser.format, 'clef');
+        assert.strictEqual(entries[0].message, 'User 42 logged in {ok}');
+        assert.strictEqual(entries[0].level, 'Informational');
+        assert.strictEqual(entries[0].isError, false);
+        assert.strictEqual(entries[1].exception, 'System.InvalidOperationException: bad\n   at X.Y()');
+        assert.strictEqual(entries[1].isError, true);
+        assert.deepStrictEqual(
+            [entries[2].type, entries[2].method, entries[2].path, entries[2].statusCode, entries[2].responseTime],
+            ['http', 'POST', '/cart', 503, 13]
+        );
+    });
+
+    test('reads Serilog JsonFormatter properties and normalises the level', () => {
+        const { parser, entries } = parseFile([
+            '{"Timestamp":"2025-03-01T10:00:00Z","Level":"WRN","MessageTemplate":"Slow request {Ms} ms","Properties":{"Ms":900}}'
+        ]);
+
+        assert.strictEqual(parser.format, 'serilog-json');
+        assert.strictEqual(entries[0].message, 'Slow request 900 ms');
+        assert.strictEqual(entries[0].level, 'Warning');
+        assert.strictEqual(entries[0].isError, true);
+    });
+
+    test('groups .NET text records with their stack traces and keeps lines seen before detection', () => {
+        const { parser, entries } = parseFile([
+            '   at Stray.Frame()',
+            '2025-03-01 10:00:00.123 +00:00 [ERR] Unhandled error processing GET /en/page',
+            'System.NullReferenceException: Object reference not set',
+            '   at A.B()',
+            '   at C.D()',
+            '2025-03-01 10:00:05 [INF] Done',
+            'fail: Microsoft.AspNetCore.Server.Kestrel[13]',
+            '      Connection reset\r'
+        ]);
+
+        assert.strictEqual(parser.format, 'dotnet-text');
+        // The stray frame is replayed once the format is known but belongs to no record
+        assert.deepStrictEqual([parser.lines, parser.entries, parser.unparsed], [8, 3, 1]);
+
+        assert.strictEqual(entries[0].timestamp.toISOString(), '2025-03-01T10:00:00.123Z');
+        assert.strictEqual(entries[0].level, 'Error');
+        assert.strictEqual(entries[0].message, 'Unhandled error processing GET /en/page');
+        assert.deepStrictEqual([entries[0].method, entries[0].path], ['GET', '/en/page']);
+        assert.strictEqual(entries[0].exception, 'System.NullReferenceException: Object reference not set\n   at A.B()\n   at C.D()');
+
+        assert.strictEqual(entries[1].level, 'Informational');
+        assert.strictEqual(entries[1].exception, undefined);
+
+        // Console logger lines carry no time of their own and take the previous record's
+        assert.strictEqual(entries[2].level, 'Error');
+        assert.strictEqual(entries[2].message, 'Microsoft.AspNetCore.Server.Kestrel[13] Connection reset');
+        assert.strictEqual(entries[2].timestamp.toISOString(), '2025-03-01T10:00:05.000Z');
+    });
+
+    test('starts a new record for a second exception header', () => {
+        const { entries } = parseFile([
+            'System.TimeoutException: first',
+            '   at A.B()',
+            'System.IO.IOException: second'
+        ]);
+
+        assert.deepStrictEqual(entries.map(entry => entry.exception), [
+            'System.TimeoutException: first\n   at A.B()',
+            'System.IO.IOException: second'
+        ]);
+        assert.ok(entries.every(entry => entry.isError));
+    });
+
+    test('falls back to generic JSON when nothing is recognised and honours a forced format', () => {
+        const { parser, entries } = parseFile(['just text', 'more text', '']);
+        assert.strictEqual(parser.format, 'generic-json');
+        assert.strictEqual(entries.length, 0);
+        assert.deepStrictEqual([parser.lines, parser.unparsed], [2, 2]);
+
+        const forced = parseFile(['2025-03-01 10:00:00 [INF] Started'], { format: 'w3c' }).parser;
+        assert.strictEqual(forced.format, 'w3c');
+        assert.strictEqual(forced.unparsed, 1);
+
+        assert.throws(() => LogParser.createFileParser({ format: 'nope' }), /Unknown log format: nope\. Known formats: azure-app-service, clef/);
+    });
+});
+
+describe('parseLogEntry', () => {
+    test('parses single Azure JSON lines and ignores comments and plain text', () => {
+        const entry = LogParser.parseLogEntry('{"category":"AppServiceConsoleLogs","time":"2025-03-01T10:00:00Z","level":"Warning","resultDescription":"GET /x failed 404"}');
+        assert.deepStrictEqual([entry.type, entry.method, entry.path, entry.statusCode, entry.isError], ['console', 'GET', '/x', 404, true]);
+        assert.strictEqual(entry.format, 'azure-app-service');
+
+        const http = LogParser.parseLogEntry(JSON.stringify({
+            category: 'AppServiceHTTPLogs',
+            time: '2025-03-01T10:00:00Z',
+            properties: JSON.stringify({ CsMethod: 'POST', CsUriStem: '/api', ScStatus: '502', TimeTaken: '80', CIp: '1.2.3.4' })
+        }));
+        assert.deepStrictEqual([http.type, http.method, http.path, http.statusCode, http.responseTime, http.ip], ['http', 'POST', '/api', 502, 80, '1.2.3.4']);
+
+        assert.strictEqual(LogParser.parseLogEntry('# comment'), null);
+        assert.strictEqual(LogParser.parseLogEntry('not json'), null);
+        assert.strictEqual(LogParser.parseLogEntry(''), null);
+    });
+});
+
+describe('registerLogFormat and addFormatStats', () => {
+    test('tries registered formats first and totals per-format counts across files', () => {
+        LogParser.registerLogFormat({
+            name: 'pipe',
+            description: 'time|status|path',
+            detect: line => /^\d{4}-\d{2}-\d{2}T[^|]+\|\d{3}\|/.test(line),
+            createParser: () => ({
+                parseLine(line) {
+                    const [time, status, path] = line.split('|');
+                    if (!path) {
+                        return null;
+                    }
+                    return [{ timestamp: new Date(time), type: 'http', method: 'GET', path, statusCode: Number(status), userAgent: '', ip: '' }];
+                },
+                flush: () => []
+            })
+        });
+        assert.strictEqual(LogParser.getLogFormats()[0].name, 'pipe');
+
+        const stats = {};
+        const first = parseFile(['2025-03-01T10:00:00Z|404|/missing', '2025-03-01T10:00:01Z|200|']).parser;
+        const second = parseFile(['2025-03-01T10:00:02Z|200|/']).parser;
+        const empty = parseFile([]).parser;
+        for (const parser of [first, second, empty]) {
+            LogParser.addFormatStats(stats, parser);
+        }
+
+        assert.deepStrictEqual(stats, { pipe: { files: 2, lines: 3, entries: 2, unparsed: 1 } });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the search_logs filter language and the group-by / top-N collector
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const LogQuery = require('../../dist/lib/log-analysis/log-query').default;
+
+function entry(overrides = {}) {
+    return {
+        timestamp: new Date('2026-10-19T08:15:30Z'),
+        type: 'http',
+        method: 'GET',
+        path: '/en/checkout/pay',
+        statusCode: 200,
+        userAgent: 'Mozilla/5.0',
+        ip: '10.0.0.1',
+        responseTime: 120,
+        ...overrides
+    };
+}
+
+function matches(query, overrides) {
+    return LogQuery.matchEntry(LogQuery.parseQuery(query), entry(overrides));
+}
+
+describe('parseQuery', () => {
+    test('ANDs adjacent terms, binds AND tighter than OR and honours parentheses', () => {
+        assert.deepStrictEqual(LogQuery.parseQuery('status>=500 path:/checkout* OR ua~bot'), {
+            kind: 'or',
+            children: [
+                {
+                    kind: 'and',
+                    children: [
+                        { kind: 'compare', field: 'status', op: '>=', value: '500', number: 500 },
+                        { kind: 'compare', field: 'path', op: '=', value: '/checkout*', pattern: /^\/checkout.*$/i }
+                    ]
+                },
+                { kind: 'compare', field: 'userAgent', op: '~', value: 'bot', pattern: /bot/i }
+            ]
+        });
+
+        const grouped = LogQuery.parseQuery('NOT (status=5xx or duration > 2000) and method=get');
+        assert.strictEqual(grouped.kind, 'and');
+        assert.strictEqual(grouped.children[0].kind, 'not');
+        assert.strictEqual(grouped.children[0].child.kind, 'or');
+        assert.strictEqual(grouped.children[0].child.children[0].value, '5xx');
+    });
+
+    test('reads quoted values with escaped quotes and treats a blank query as match-all', () => {
+        const node = LogQuery.parseQuery('message~"can\\"t connect" userAgent=\'Go http client\'');
+        assert.strictEqual(node.children[0].value, 'can"t connect');
+        assert.strictEqual(node.children[1].value, 'Go http client');
+
+        assert.strictEqual(LogQuery.parseQuery('   '), null);
+        assert.strictEqual(LogQuery.parseQuery(undefined), null);
+        assert.strictEqual(LogQuery.matchEntry(null, entry()), true);
+    });
+
+    test('reports INVALID_QUERY with the position of the problem', () => {
+        const invalid = (query, message) => assert.throws(
+            () => LogQuery.parseQuery(query),
+            error => error.code === 'INVALID_QUERY' && message.test(error.message)
+        );
+
+        invalid('status>=500 colour=red', /^Unknown field "colour"\. Fields: time, status, .* \(at position 13\)$/);
+        invalid('status 500', /Expected an operator after "status"/);
+        invalid('(status=500', /^Missing closing parenthesis \(at position 1\)$/);
+        invalid('message="open', /Unterminated quoted value/);
+        invalid('path=/a )', /^Unexpected "\)" \(at position 9\)$/);
+        invalid('status>=', /Expected a value/);
+        invalid('status=abc', /status needs a number or a class such as 5xx, got "abc"/);
+        invalid('status>5xx', /status needs a number/);
+        invalid('path>/a', /> needs a numeric field/);
+        invalid('time=2026-10-19', /time only supports > >= < <=/);
+        invalid('time>yesterday', /Invalid time "yesterday"/);
+        invalid('error=maybe', /error takes error=true or error=false/);
+        invalid('message~"("', /Invalid regular expression/);
+        invalid('AND', /Unknown field "AND"/);
+        invalid('status=500 OR', /Unexpected end of query/);
+    });
+});
+
+describe('matchEntry', () => {
+    test('compares numbers, status classes and times', () => {
+        assert.strictEqual(matches('status=5xx', { statusCode: 503 }), true);
+        assert.strictEqual(matches('status!=5xx', { statusCode: 503 }), false);
+        assert.strictEqual(matches('status=4XX', { statusCode: 503 }), false);
+        assert.strictEqual(matches('responseTime>100 responseTime<=120'), true);
+        assert.strictEqual(matches('size>0'), false);
+        // Entries without the field only match !=
+        assert.strictEqual(matches('size!=0'), true);
+        assert.strictEqual(matches('time>="2026-10-19T08:00:00Z" time<2026-10-19T09:00:00Z'), true);
+        assert.strictEqual(matches('time>2026-10-19T08:30:00Z'), false);
+    });
+
+    test('globs text fields case-insensitively and matches regexes anywhere', () => {
+        assert.strictEqual(matches('path=/EN/checkout/*'), true);
+        assert.strictEqual(matches('path=/en/checkout'), false);
+        assert.strictEqual(matches('path!=/en/*'), false);
+        assert.strictEqual(matches('ua~"mozilla|chrome"'), true);
+        assert.strictEqual(matches('ua!~bot'), true);
+        assert.strictEqual(matches('level=error', { level: 'Error' }), true);
+        assert.strictEqual(matches('level=error'), false);
+    });
+
+    test('searches exception text with message and uses the analyzers error rule', () => {
+        const consoleEntry = { type: 'console', statusCode: 200, message: 'Request failed', exception: 'System.TimeoutException: upstream', isError: true };
+        assert.strictEqual(matches('message~TimeoutException', consoleEntry), true);
+        assert.strictEqual(matches('error=true', consoleEntry), true);
+        assert.strictEqual(matches('error=true', { statusCode: 404 }), true);
+        assert.strictEqual(matches('error=false', { statusCode: 302 }), true);
+    });
+});
+
+describe('LogSearchCollector', () => {
+    test('keeps the first matching entries up to the limit', () => {
+        const collector = LogQuery.createSearchCollector(LogQuery.parseQuery('status>=500'), { limit: 2 });
+        const statuses = [200, 500, 502, 503, 200];
+        statuses.forEach((statusCode, i) => collector.add(entry({ statusCode, timestamp: new Date(Date.UTC(2026, 9, 19, 8, i)) }), `file-${i}.log`));
+
+        const result = collector.result();
+        assert.deepStrictEqual([result.scanned, result.matched, result.truncated], [5, 3, true]);
+        assert.deepStrictEqual(result.entries.map(item => [item.status, item.source]), [[500, 'file-1.log'], [502, 'file-2.log']]);
+        assert.strictEqual(result.firstMatch, '2026-10-19T08:01:00.000Z');
+        assert.strictEqual(result.lastMatch, '2026-10-19T08:03:00.000Z');
+        assert.strictEqual(result.groups, null);
+    });
+
+    test('counts groups with errors and average response time and returns the top N', () => {
+        const collector = LogQuery.createSearchCollector(null, { groupBy: ['statusClass', 'PATH'], top: 2 });
+        collector.add(entry({ statusCode: 500, responseTime: 100 }), 'a');
+        collector.add(entry({ statusCode: 503, responseTime: 300 }), 'a');
+        collector.add(entry({ statusCode: 504, responseTime: undefined }), 'a');
+        collector.add(entry({ statusCode: 200, path: '/' }), 'a');
+        collector.add(entry({ statusCode: 200, path: '/' }), 'a');
+        collector.add(entry({ statusCode: 404, path: '' }), 'a');
+
+        const result = collector.result();
+        assert.deepStrictEqual(result.groupBy, ['statusClass', 'path']);
+        assert.deepStrictEqual(result.groups, [
+            { key: { statusClass: '5xx', path: '/en/checkout/pay' }, count: 3, errors: 3, avgResponseTime: 200 },
+            { key: { statusClass: '2xx', path: '/' }, count: 2, errors: 0, avgResponseTime: 120 }
+        ]);
+        assert.strictEqual(result.distinctGroups, 3);
+        assert.strictEqual(result.truncated, true);
+        assert.strictEqual(result.entries, null);
+    });
+
+    test('groups by time buckets and rejects unknown group keys', () => {
+        const collector = LogQuery.createSearchCollector(null, { groupBy: ['hour'] });
+        collector.add(entry(), 'a');
+        collector.add(entry({ timestamp: new Date('invalid') }), 'a');
+        assert.deepStrictEqual(collector.result().groups.map(group => group.key.hour), ['2026-10-19T08:00Z', '(none)']);
+
+        assert.deepStrictEqual(LogQuery.normalizeGroupBy(['ua', 'Minute', 'duration']), ['userAgent', 'minute', 'responseTime']);
+        assert.throws(() => LogQuery.normalizeGroupBy(['time']), error => error.code === 'INVALID_QUERY' && /Cannot group by "time"/.test(error.message));
+        assert.throws(() => LogQuery.normalizeGroupBy(['colour']), /Cannot group by "colour"/);
+    });
+});
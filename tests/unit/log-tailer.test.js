@@ -0,0 +1,306 @@
+/**
+ * Unit tests for log tailing: alert rule resolution and validation, incremental blob reads
+ * and alert.triggered / alert.resolved transitions
+ */
+
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-tailer-test-'));
+process.env.DXP_ALERT_RULES_FILE = path.join(tempDir, 'alert-rules.json');
+
+const { LogTailer } = require('../../dist/lib/log-tailer');
+const AzureBlobStreamer = require('../../dist/lib/azure-blob-streamer').default;
+const LogAnalysisTools = require('../../dist/lib/tools/log-analysis-tools').default;
+const AlertResourceHandler = require('../../dist/lib/resources/alert-resource').default;
+const OutputLogger = require('../../dist/lib/output-logger').default;
+
+const CONTAINER = 'https://dxpstorage.blob.core.windows.net/insights-logs-appservicehttplogs';
+const SITE = 'resourceId=/SUBSCRIPTIONS/S1/RESOURCEGROUPS/RG/PROVIDERS/MICROSOFT.WEB/SITES/ACME-PROD/';
+const credentials = { projectId: 'p-1', apiKey: 'key', apiSecret: 'secret', projectName: 'ACME' };
+
+// Blob name -> lines; reads honour startByte like the Range requests they stand in for
+const blobs = new Map();
+const events = [];
+let sasRequests = 0;
+let sasFailure = null;
+const originals = {};
+
+function hourPrefix(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `y=${date.getUTCFullYear()}/m=${pad(date.getUTCMonth() + 1)}/d=${pad(date.getUTCDate())}/h=${pad(date.getUTCHours())}/`;
+}
+
+function append(lines, time = Date.now()) {
+    const name = `${SITE}${hourPrefix(time)}m=00/PT1H.json`;
+    blobs.set(name, [...(blobs.get(name) || []), ...lines]);
+}
+
+function request(secondsAgo, status, { path: requestPath = '/', ms = 100 } = {}) {
+    return JSON.stringify({
+        category: 'AppServiceHTTPLogs',
+        time: new Date(Date.now() - secondsAgo * 1000).toISOString(),
+        cs_method: 'GET',
+        cs_uri_stem: requestPath,
+        sc_status: String(status),
+        time_taken: String(ms)
+    });
+}
+
+function consoleLine(secondsAgo, message) {
+    return JSON.stringify({
+        category: 'AppServiceConsoleLogs',
+        time: new Date(Date.now() - secondsAgo * 1000).toISOString(),
+        level: 'Error',
+        resultDescription: message
+    });
+}
+
+function requests(count, status, options) {
+    return Array.from({ length: count }, (_, i) => request(60 - i * 0.1, status, options));
+}
+
+async function waitFor(predicate) {
+    const deadline = Date.now() + 5000;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the watcher');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Start a watcher and wait for the first poll, which start() schedules right away
+async function startWatcher(tailer, options) {
+    const watcher = tailer.start({ credentials, ...options });
+    await waitFor(() => watcher.polls > 0 || watcher.consecutiveErrors > 0);
+    return watcher;
+}
+
+before(() => {
+    originals.getLogContainerSas = LogAnalysisTools.getLogContainerSas;
+    originals.listBlobs = AzureBlobStreamer.listBlobs;
+    originals.streamBlob = AzureBlobStreamer.streamBlob;
+    originals.emit = AlertResourceHandler.emit;
+    originals.info = OutputLogger.info;
+    originals.warn = OutputLogger.warn;
+    originals.error = OutputLogger.error;
+
+    LogAnalysisTools.getLogContainerSas = async () => {
+        sasRequests++;
+        if (sasFailure) {
+            throw new Error(sasFailure);
+        }
+        return { sasUrl: `${CONTAINER}?sv=2023&sig=sas${sasRequests}` };
+    };
+    AzureBlobStreamer.listBlobs = async (sasUrl, prefix = '') => Array.from(blobs.keys())
+        .filter(name => name.startsWith(prefix))
+        .map(name => `${CONTAINER}/${name}?${sasUrl.split('?')[1]}`);
+    AzureBlobStreamer.streamBlob = async (blobUrl, lineHandler, options) => {
+        const name = decodeURIComponent(new URL(blobUrl).pathname.substring(new URL(CONTAINER).pathname.length + 1));
+        const content = Buffer.from((blobs.get(name) || []).map(line => line + '\n').join(''));
+        const unread = content.subarray(options.startByte || 0);
+        for (const line of unread.toString().split('\n').filter(Boolean)) {
+            await lineHandler(line);
+        }
+        return { completeBytes: unread.length };
+    };
+    AlertResourceHandler.emit = (eventType, watcher, alert) => {
+        events.push({ eventType, watcher, alert });
+    };
+    // Blob date filtering and alert transitions log to stderr
+    OutputLogger.info = () => {};
+    OutputLogger.warn = () => {};
+    OutputLogger.error = () => {};
+});
+
+afterEach(() => {
+    blobs.clear();
+    events.length = 0;
+    sasFailure = null;
+    fs.rmSync(process.env.DXP_ALERT_RULES_FILE, { force: true });
+});
+
+after(() => {
+    LogAnalysisTools.getLogContainerSas = originals.getLogContainerSas;
+    AzureBlobStreamer.listBlobs = originals.listBlobs;
+    AzureBlobStreamer.streamBlob = originals.streamBlob;
+    AlertResourceHandler.emit = originals.emit;
+    OutputLogger.info = originals.info;
+    OutputLogger.warn = originals.warn;
+    OutputLogger.error = originals.error;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('LogTailer.resolveRules', () => {
+    test('uses explicit rules, then the project rules file, then the log type defaults', () => {
+        const explicit = LogTailer.resolveRules('ACME', 'Production', 'web', [{ metric: 'p95', path: '/checkout*', threshold: 2000 }]);
+        assert.strictEqual(explicit.source, 'arguments');
+        assert.deepStrictEqual(explicit.rules, [{
+            name: 'p95 /checkout*', metric: 'p95', operator: '>', windowMinutes: 5, minRequests: 20, severity: 'warning', threshold: 2000, path: '/checkout*'
+        }]);
+
+        const defaults = LogTailer.resolveRules('ACME', 'Production', 'application');
+        assert.strictEqual(defaults.source, 'default');
+        assert.deepStrictEqual(defaults.rules.map(rule => [rule.name, rule.exceptionKey]), [['new exception type', 'type'], ['error rate', undefined]]);
+
+        fs.writeFileSync(process.env.DXP_ALERT_RULES_FILE, JSON.stringify({
+            default: { rules: [{ name: 'any 5xx', metric: 'statusRate', status: '5XX', threshold: 1 }] },
+            projects: {
+                ACME: {
+                    rules: [
+                        { name: 'prod 503', metric: 'statusRate', status: '503', threshold: 1, environment: 'Production' },
+                        { name: 'test errors', metric: 'errors', threshold: 10, environment: 'Integration' }
+                    ]
+                }
+            }
+        }));
+        const fromFile = LogTailer.resolveRules('acme', 'production', 'web');
+        assert.strictEqual(fromFile.source, 'file');
+        assert.deepStrictEqual(fromFile.rules.map(rule => rule.name), ['prod 503']);
+        assert.strictEqual(LogTailer.resolveRules('Other', 'Production', 'web').rules[0].status, '5xx');
+    });
+
+    test('rejects malformed rules with INVALID_ALERT_RULE', () => {
+        const invalid = (rules, message) => assert.throws(
+            () => LogTailer.resolveRules('ACME', 'Production', 'web', rules),
+            error => error.code === 'INVALID_ALERT_RULE' && message.test(error.message)
+        );
+
+        invalid([{ metric: 'latency', threshold: 1 }], /^Alert rule 1: metric must be one of requests, errors/);
+        invalid([{ name: 'slow', metric: 'p95' }], /^Alert rule 1 \("slow"\): threshold is required/);
+        invalid([{ metric: 'errors', threshold: 1, operator: '!=' }], /operator must be one of > >= < <=/);
+        invalid([{ metric: 'statusRate', threshold: 1 }], /statusRate needs a status/);
+        invalid([{ metric: 'statusRate', status: '6xx', threshold: 1 }], /status must look like/);
+        invalid([{ metric: 'errors', threshold: 1, windowMinutes: 61 }], /windowMinutes must be between 1 and 60/);
+        invalid([{ name: 'same', metric: 'errors', threshold: 1 }, { name: 'same', metric: 'requests', threshold: 1 }], /Duplicate alert rule name "same"/);
+    });
+});
+
+describe('LogTailer watchers', () => {
+    test('triggers a status rate alert, updates it while breached and resolves it', async () => {
+        const tailer = new LogTailer();
+        append([...requests(90, 200), ...requests(10, 503)]);
+
+        const watcher = await startWatcher(tailer, {
+            rules: [{ name: '5xx rate', metric: 'statusRate', status: '5xx', threshold: 2, severity: 'critical' }]
+        });
+        try {
+            assert.strictEqual(watcher.status, 'running');
+            assert.strictEqual(watcher.entriesInWindow, 100);
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].eventType, 'alert.triggered');
+            assert.strictEqual(events[0].alert.value, 10);
+            assert.strictEqual(events[0].alert.severity, 'critical');
+            assert.strictEqual(events[0].alert.message, '5xx rate: 5xx rate 10% > 2% over 5 min on Production');
+            assert.strictEqual(events[0].watcher.activeAlerts.length, 1);
+
+            // Only the appended lines are read on the next poll
+            append(requests(20, 503));
+            await tailer.poll(watcher.watcherId);
+            assert.strictEqual(watcher.lastPollEntries, 20);
+            assert.strictEqual(watcher.activeAlerts[0].value, 25);
+            assert.strictEqual(events.length, 1);
+
+            append(requests(2000, 200));
+            await tailer.poll(watcher.watcherId);
+            assert.deepStrictEqual(events.map(event => event.eventType), ['alert.triggered', 'alert.resolved']);
+            assert.strictEqual(events[1].alert.message, '5xx rate: 5xx rate back to 1.42%');
+            assert.ok(events[1].alert.resolvedAt);
+            assert.deepStrictEqual(watcher.activeAlerts, []);
+            assert.strictEqual(watcher.history.length, 2);
+            // The container SAS is reused between polls
+            assert.strictEqual(sasRequests, 1);
+        } finally {
+            tailer.stop(watcher.watcherId);
+        }
+    });
+
+    test('scopes latency rules to a path glob and keeps state on too little traffic', async () => {
+        const tailer = new LogTailer();
+        append([
+            ...requests(30, 200, { path: '/Checkout/pay', ms: 3000 }),
+            ...requests(100, 200, { path: '/en/', ms: 50 })
+        ]);
+
+        const watcher = await startWatcher(tailer, {
+            rules: [{ name: 'checkout p95', metric: 'p95', path: '/checkout/*', threshold: 2000 }]
+        });
+        try {
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].alert.requests, 30);
+            assert.strictEqual(events[0].alert.message, 'checkout p95: p95 on /checkout/* 3000ms > 2000ms over 5 min on Production');
+
+            const quiet = new LogTailer();
+            blobs.clear();
+            append(requests(5, 200, { path: '/checkout/pay', ms: 9000 }));
+            const idle = await startWatcher(quiet, { rules: [{ name: 'checkout p95', metric: 'p95', path: '/checkout/*', threshold: 2000 }] });
+            quiet.stop(idle.watcherId);
+            assert.strictEqual(events.length, 1);
+        } finally {
+            tailer.stop(watcher.watcherId);
+        }
+    });
+
+    test('alerts once on an exception type first seen after the first poll', async () => {
+        const tailer = new LogTailer();
+        append([consoleLine(120, 'System.TimeoutException: known before tailing')]);
+
+        const watcher = await startWatcher(tailer, {
+            logType: 'application',
+            rules: [{ name: 'new exception', metric: 'newException', windowMinutes: 1 }]
+        });
+        try {
+            assert.strictEqual(events.length, 0);
+
+            append([
+                consoleLine(30, 'System.TimeoutException: seen again'),
+                consoleLine(20, 'System.NullReferenceException: Object reference not set'),
+                consoleLine(10, 'System.NullReferenceException: Object reference not set')
+            ]);
+            await tailer.poll(watcher.watcherId);
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].alert.exceptionType, 'System.NullReferenceException');
+            assert.strictEqual(events[0].alert.value, 2);
+            assert.strictEqual(events[0].alert.message, 'new exception: new exception System.NullReferenceException (2x) on Production');
+
+            // Seen again: no second alert; quiet for the window: resolved
+            append([consoleLine(5, 'System.NullReferenceException: Object reference not set')]);
+            await tailer.poll(watcher.watcherId);
+            assert.strictEqual(events.length, 1);
+
+            append([consoleLine(-120, 'Started')]);
+            await tailer.poll(watcher.watcherId);
+            assert.deepStrictEqual(events.map(event => event.eventType), ['alert.triggered', 'alert.resolved']);
+            assert.strictEqual(events[1].alert.message, 'new exception: System.NullReferenceException not seen for 1 min');
+        } finally {
+            tailer.stop(watcher.watcherId);
+        }
+    });
+
+    test('limits running watchers and stops a watcher whose polls keep failing', async () => {
+        const tailer = new LogTailer({ maxWatchers: 1, maxConsecutiveErrors: 1 });
+        sasFailure = 'Environment not found';
+
+        const watcher = await startWatcher(tailer, {});
+        assert.strictEqual(watcher.status, 'failed');
+        assert.strictEqual(watcher.lastError, 'Environment not found');
+        assert.ok(watcher.stoppedAt);
+
+        sasFailure = null;
+        const running = await startWatcher(tailer, { environment: 'Integration' });
+        try {
+            assert.throws(() => tailer.start({ credentials }), error => error.code === 'TOO_MANY_WATCHERS');
+            assert.deepStrictEqual(tailer.listWatchers('acme').map(item => item.status).sort(), ['failed', 'running']);
+            assert.strictEqual(tailer.toSnapshot(running).history, undefined);
+        } finally {
+            tailer.stop(running.watcherId);
+        }
+        assert.strictEqual(running.status, 'stopped');
+        assert.throws(() => tailer.stop('tail-missing'), error => error.code === 'WATCHER_NOT_FOUND');
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for maintenance windows, freezes and the project settings file
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MaintenanceWindows = require('../../dist/lib/maintenance-windows').default;
+const ProjectSettingsFile = require('../../dist/lib/project-settings-file').default;
+const DeploymentValidator = require('../../dist/lib/deployment-validator').default;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'windows-test-'));
+let fileCount = 0;
+
+// Each test gets its own file so the mtime cache never serves a previous test's content
+function useWindowsFile(content) {
+    const file = path.join(tempDir, `windows-${fileCount++}.json`);
+    if (content !== undefined) {
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    process.env.DXP_MAINTENANCE_WINDOWS_FILE = file;
+    return file;
+}
+
+// 2026-10-19 is a Monday
+const at = (iso) => new Date(`${iso}Z`);
+
+describe('ProjectSettingsFile', () => {
+    test('merges the default block with the project block case-insensitively', () => {
+        const file = path.join(tempDir, 'settings.json');
+        fs.writeFileSync(file, JSON.stringify({
+            default: { timezone: 'UTC', enforce: ['Production'] },
+            projects: { Acme: { timezone: 'Europe/Oslo' } }
+        }));
+        process.env.DXP_TEST_SETTINGS_FILE = file;
+        const settings = new ProjectSettingsFile('DXP_TEST_SETTINGS_FILE', 'unused.json');
+
+        assert.deepStrictEqual(settings.getProjectSettings('acme'), { timezone: 'Europe/Oslo', enforce: ['Production'] });
+        assert.deepStrictEqual(settings.getProjectSettings('Other'), { timezone: 'UTC', enforce: ['Production'] });
+    });
+
+    test('returns null without a file or a matching block', () => {
+        process.env.DXP_TEST_SETTINGS_FILE = path.join(tempDir, 'missing.json');
+        const settings = new ProjectSettingsFile('DXP_TEST_SETTINGS_FILE', 'unused.json');
+        assert.strictEqual(settings.getProjectSettings('Acme', true), null);
+
+        const file = path.join(tempDir, 'projects-only.json');
+        fs.writeFileSync(file, JSON.stringify({ projects: { Acme: { enforce: [] } } }));
+        process.env.DXP_TEST_SETTINGS_FILE = file;
+        assert.strictEqual(settings.getProjectSettings('Other'), null);
+    });
+
+    test('treats a broken file as absent unless strict', () => {
+        for (const [name, content] of [['broken.json', '{ "default": '], ['array.json', '[]']]) {
+            const file = path.join(tempDir, name);
+            fs.writeFileSync(file, content);
+            process.env.DXP_TEST_SETTINGS_FILE = file;
+            const settings = new ProjectSettingsFile('DXP_TEST_SETTINGS_FILE', 'unused.json');
+
+            assert.strictEqual(settings.getProjectSettings('Acme'), null);
+            assert.throws(() => settings.getProjectSettings('Acme', true), error => error.code === 'INVALID_SETTINGS_FILE' && error.file === file);
+        }
+    });
+});
+
+describe('MaintenanceWindows.check', () => {
+    const weeknights = {
+        default: {
+            timezone: 'UTC',
+            maintenanceWindows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '22:00', end: '02:00' }]
+        }
+    };
+
+    test('allows everything when no file exists', () => {
+        useWindowsFile();
+        const check = MaintenanceWindows.check('Acme', 'Production', at('2026-10-19T12:00:00'));
+        assert.strictEqual(check.allowed, true);
+        assert.strictEqual(check.configured, false);
+    });
+
+    test('blocks every environment when the file cannot be parsed', () => {
+        useWindowsFile('{ not json');
+        for (const environment of ['Integration', 'Production']) {
+            const check = MaintenanceWindows.check('Acme', environment, at('2026-10-19T12:00:00'));
+            assert.strictEqual(check.allowed, false);
+            assert.strictEqual(check.enforced, true);
+            assert.ok(check.configError);
+        }
+    });
+
+    test('overnight windows belong to the day they start on', () => {
+        useWindowsFile(weeknights);
+        assert.strictEqual(MaintenanceWindows.check('Acme', 'Production', at('2026-10-19T23:00:00')).allowed, true);
+        assert.strictEqual(MaintenanceWindows.check('Acme', 'Production', at('2026-10-20T01:30:00')).allowed, true);
+        // Saturday 01:00 is still Friday's window, Sunday 01:00 is not covered
+        assert.strictEqual(MaintenanceWindows.check('Acme', 'Production', at('2026-10-24T01:00:00')).allowed, true);
+        assert.strictEqual(MaintenanceWindows.check('Acme', 'Production', at('2026-10-25T01:00:00')).allowed, false);
+    });
+
+    test('reports the next allowed time and only enforces listed environments', () => {
+        useWindowsFile(weeknights);
+        const production = MaintenanceWindows.check('Acme', 'Production', at('2026-10-19T12:05:00'));
+        assert.strictEqual(production.allowed, false);
+        assert.strictEqual(production.enforced, true);
+        assert.strictEqual(production.nextAllowedTime, '2026-10-19T22:00:00.000Z');
+        assert.match(production.reason, /Outside maintenance windows/);
+
+        assert.strictEqual(MaintenanceWindows.check('Acme', 'Integration', at('2026-10-19T12:05:00')).enforced, false);
+    });
+
+    test('blackout dates and freezes override windows', () => {
+        useWindowsFile({
+            default: {
+                timezone: 'UTC',
+                maintenanceWindows: [{ start: '00:00', end: '24:00', label: 'Always' }],
+                blackoutDates: ['2026-12-25'],
+                freezeWindows: [{ start: '2026-11-01', end: '2026-11-02', reason: 'Black Friday' }]
+            }
+        });
+
+        assert.match(MaintenanceWindows.check('Acme', 'Production', at('2026-12-25T10:00:00')).reason, /blackout date/);
+        assert.match(MaintenanceWindows.check('Acme', 'Production', at('2026-11-02T23:59:00')).reason, /Change freeze \(Black Friday\)/);
+
+        const afterFreeze = MaintenanceWindows.check('Acme', 'Production', at('2026-11-03T00:00:00'));
+        assert.strictEqual(afterFreeze.allowed, true);
+        assert.strictEqual(afterFreeze.activeWindow, 'Always');
+    });
+
+    test('evaluates windows in the project timezone', () => {
+        useWindowsFile({
+            projects: { Acme: { timezone: 'America/New_York', maintenanceWindows: [{ start: '09:00', end: '10:00' }] } }
+        });
+        // 13:30 UTC is 09:30 EDT
+        assert.strictEqual(MaintenanceWindows.check('acme', 'Production', at('2026-10-19T13:30:00')).allowed, true);
+        assert.strictEqual(MaintenanceWindows.check('acme', 'Production', at('2026-10-19T09:30:00')).allowed, false);
+        assert.strictEqual(MaintenanceWindows.check('Other', 'Production', at('2026-10-19T09:30:00')).configured, false);
+    });
+
+    test('falls back to UTC for unknown timezones', () => {
+        assert.strictEqual(MaintenanceWindows.resolveTimezone('Mars/Olympus'), 'UTC');
+        assert.strictEqual(MaintenanceWindows.formatLocal(at('2026-10-19T08:05:00'), 'UTC'), '2026-10-19 08:05 (UTC)');
+    });
+});
+
+describe('DeploymentValidator.validateDeploymentTiming', () => {
+    test('blocks enforced environments outside their windows', () => {
+        useWindowsFile({ default: { timezone: 'UTC', maintenanceWindows: [{ start: '22:00', end: '23:00' }] } });
+        const timing = DeploymentValidator.validateDeploymentTiming({ targetEnvironment: 'Production', projectName: 'Acme', at: at('2026-10-19T12:00:00') });
+        assert.strictEqual(timing.valid, false);
+        assert.match(timing.suggestion, /schedule_operation/);
+    });
+
+    test('asks for the file to be fixed when it is unreadable', () => {
+        useWindowsFile('[');
+        const timing = DeploymentValidator.validateDeploymentTiming({ targetEnvironment: 'Integration', projectName: 'Acme', at: at('2026-10-19T12:00:00') });
+        assert.strictEqual(timing.valid, false);
+        assert.match(timing.suggestion, /Fix the file/);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for the persisted operation scheduler
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OperationScheduler } = require('../../dist/lib/operation-scheduler');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+let fileCount = 0;
+
+function newStateFile() {
+    return path.join(tempDir, `queue-${fileCount++}`, 'scheduled-operations.json');
+}
+
+function writeQueue(stateFile, operations) {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(stateFile, JSON.stringify({ version: 1, operations }));
+}
+
+function queued(overrides) {
+    const now = new Date().toISOString();
+    return {
+        scheduleId: 'sched-1',
+        operation: 'db_export',
+        projectName: 'Acme',
+        environment: 'Production',
+        runAt: now,
+        parameters: { environment: 'Production' },
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null,
+        result: null,
+        error: null,
+        ...overrides
+    };
+}
+
+// initialize() catches up on due operations without awaiting them
+async function settle(scheduler, scheduleId) {
+    for (let i = 0; i < 50; i++) {
+        const operation = scheduler.get(scheduleId);
+        if (operation && !['pending', 'running'].includes(operation.status)) {
+            return operation;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return scheduler.get(scheduleId);
+}
+
+describe('OperationScheduler.schedule', () => {
+    test('persists the operation without credentials', () => {
+        const stateFile = newStateFile();
+        const scheduler = new OperationScheduler({ stateFile });
+        const operation = scheduler.schedule({
+            operation: 'start_deployment',
+            runAt: new Date(Date.now() + 60 * 60 * 1000),
+            projectName: 'Acme',
+            parameters: { targetEnvironment: 'Production', apiKey: 'key', apiSecret: 'secret', projectId: 'id', sourceApps: undefined },
+            note: 'Nightly release'
+        });
+
+        assert.strictEqual(operation.environment, 'Production');
+        assert.deepStrictEqual(operation.parameters, { targetEnvironment: 'Production' });
+
+        const saved = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+        assert.deepStrictEqual(saved.operations.map(op => op.scheduleId), [operation.scheduleId]);
+        assert.ok(!fs.readFileSync(stateFile, 'utf-8').includes('secret'));
+    });
+
+    test('rejects unsupported operations and past or invalid times', () => {
+        const scheduler = new OperationScheduler({ stateFile: newStateFile() });
+        const request = { operation: 'db_export', projectName: 'Acme', parameters: {} };
+
+        assert.throws(() => scheduler.schedule({ ...request, operation: 'reset_deployment', runAt: new Date() }), /Cannot schedule reset_deployment/);
+        assert.throws(() => scheduler.schedule({ ...request, runAt: new Date('nope') }), /not a valid date/);
+        assert.throws(() => scheduler.schedule({ ...request, runAt: new Date(Date.now() - 5 * 60 * 1000) }), /in the past/);
+    });
+
+    test('cancels pending operations only', () => {
+        const scheduler = new OperationScheduler({ stateFile: newStateFile() });
+        const operation = scheduler.schedule({ operation: 'complete_deployment', runAt: new Date(Date.now() + 60000), projectName: 'Acme', parameters: {} });
+
+        assert.strictEqual(scheduler.cancel(operation.scheduleId).status, 'cancelled');
+        assert.throws(() => scheduler.cancel(operation.scheduleId), /status is cancelled/);
+        assert.throws(() => scheduler.cancel('sched-missing'), /not found/);
+    });
+});
+
+describe('OperationScheduler.initialize', () => {
+    test('runs due operations through the executor with the project name', async () => {
+        const stateFile = newStateFile();
+        writeQueue(stateFile, [queued()]);
+        const scheduler = new OperationScheduler({ stateFile });
+        const calls = [];
+
+        scheduler.initialize(async (operation, args) => {
+            calls.push([operation, args]);
+            return { message: 'Export started' };
+        });
+        const operation = await settle(scheduler, 'sched-1');
+        scheduler.stop();
+
+        assert.deepStrictEqual(calls, [['db_export', { environment: 'Production', projectName: 'Acme' }]]);
+        assert.strictEqual(operation.status, 'succeeded');
+        assert.strictEqual(operation.result, 'Export started');
+    });
+
+    test('records tool errors as failures', async () => {
+        const stateFile = newStateFile();
+        writeQueue(stateFile, [queued()]);
+        const scheduler = new OperationScheduler({ stateFile });
+
+        scheduler.initialize(async () => ({ error: 'Maintenance window closed' }));
+        const operation = await settle(scheduler, 'sched-1');
+        scheduler.stop();
+
+        assert.strictEqual(operation.status, 'failed');
+        assert.strictEqual(operation.error, 'Maintenance window closed');
+    });
+
+    test('marks long-overdue operations missed and interrupted runs failed', async () => {
+        const stateFile = newStateFile();
+        writeQueue(stateFile, [
+            queued({ scheduleId: 'sched-late', runAt: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString() }),
+            queued({ scheduleId: 'sched-interrupted', status: 'running' })
+        ]);
+        const scheduler = new OperationScheduler({ stateFile, maxLateMinutes: 60 });
+        let runs = 0;
+
+        scheduler.initialize(async () => {
+            runs++;
+        });
+        const late = await settle(scheduler, 'sched-late');
+        scheduler.stop();
+
+        assert.strictEqual(runs, 0);
+        assert.strictEqual(late.status, 'missed');
+        assert.strictEqual(scheduler.get('sched-interrupted').status, 'failed');
+        assert.match(scheduler.get('sched-interrupted').error, /Server stopped/);
+    });
+
+    test('prunes finished operations past the retention period', () => {
+        const stateFile = newStateFile();
+        const old = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+        writeQueue(stateFile, [
+            queued({ scheduleId: 'sched-old', status: 'succeeded', runAt: old, completedAt: old }),
+            queued({ scheduleId: 'sched-future', runAt: new Date(Date.now() + 60000).toISOString() })
+        ]);
+        const scheduler = new OperationScheduler({ stateFile });
+
+        assert.strictEqual(scheduler.initialize(async () => null), 1);
+        scheduler.stop();
+        assert.deepStrictEqual(scheduler.list().map(op => op.scheduleId), ['sched-future']);
+    });
+
+    test('moves a queue file it cannot parse aside instead of overwriting it', () => {
+        const stateFile = newStateFile();
+        fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+        fs.writeFileSync(stateFile, '{"version":1,"operations":[{"scheduleId":"sched-1"');
+        const scheduler = new OperationScheduler({ stateFile });
+
+        assert.strictEqual(scheduler.initialize(async () => null), 0);
+        scheduler.stop();
+
+        const moved = fs.readdirSync(path.dirname(stateFile)).filter(name => name.startsWith('scheduled-operations.json.corrupt-'));
+        assert.strictEqual(moved.length, 1);
+        assert.strictEqual(fs.readFileSync(path.join(path.dirname(stateFile), moved[0]), 'utf-8'), '{"version":1,"operations":[{"scheduleId":"sched-1"');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf-8')).operations, []);
+    });
+
+    test('refuses to start when the queue file cannot be read', () => {
+        const stateFile = newStateFile();
+        fs.mkdirSync(stateFile, { recursive: true });
+        const scheduler = new OperationScheduler({ stateFile });
+
+        assert.throws(() => scheduler.initialize(async () => null), error => error.code === 'EISDIR');
+        assert.ok(fs.statSync(stateFile).isDirectory());
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(stateFile)), ['scheduled-operations.json']);
+    });
+});
+
+describe('OperationScheduler.summarizeResponse', () => {
+    const scheduler = new OperationScheduler({ stateFile: newStateFile() });
+
+    test('reads text and errors from the response shapes tools return', () => {
+        assert.deepStrictEqual(scheduler.summarizeResponse(null), { text: null, error: null });
+        assert.deepStrictEqual(scheduler.summarizeResponse({ data: { error: 'boom' }, message: 'Failed' }), { text: 'Failed', error: 'boom' });
+        assert.deepStrictEqual(scheduler.summarizeResponse({ result: { content: [{ text: 'done' }] } }), { text: 'done', error: null });
+        assert.strictEqual(scheduler.summarizeResponse('x'.repeat(3000)).text.length, 2001);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit tests for the deployment pipeline runner
+ * Covers stage planning, gate decisions, approval and persisted state
+ */
+
+const { test, describe, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+process.env.DXP_MAINTENANCE_WINDOWS_FILE = path.join(tempDir, 'no-windows.json');
+
+const { PipelineRunner } = require('../../dist/lib/pipeline-runner');
+const { AutoVerifier } = require('../../dist/lib/auto-verifier');
+const DXPRestClient = require('../../dist/lib/dxp-rest-client').default;
+const PipelineResourceHandler = require('../../dist/lib/resources/pipeline-resource').default;
+
+// Capture pipeline events instead of starting the process-wide event bus
+const emitted = [];
+PipelineResourceHandler.emit = (eventType, pipeline, details = {}) => {
+    emitted.push({ eventType, pipelineId: pipeline.pipelineId, details });
+};
+
+const credentials = { projectId: 'project-1', apiKey: 'key', apiSecret: 'secret', projectName: 'Acme' };
+
+function stateDir(name) {
+    return path.join(tempDir, name);
+}
+
+function writePipeline(dir, overrides = {}) {
+    const runner = new PipelineRunner({ stateDir: dir });
+    const now = new Date().toISOString();
+    const stages = runner.buildStages('Preproduction', 'Production').map(stage => ({
+        ...stage,
+        status: 'awaitingApproval',
+        deploymentId: 'deployment-1',
+        gate: { decision: 'warning', reasons: ['error rate up'] }
+    }));
+    const pipeline = {
+        pipelineId: 'pipeline-1',
+        projectId: credentials.projectId,
+        projectName: credentials.projectName,
+        status: 'awaitingApproval',
+        currentStage: 0,
+        stages,
+        options: { sourceApps: ['cms'], useMaintenancePage: false, pollInterval: 60000, gate: {} },
+        webhookHeaders: { Authorization: 'Bearer token' },
+        consecutiveErrors: 0,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null,
+        error: null,
+        ...overrides
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${pipeline.pipelineId}.json`), JSON.stringify(pipeline));
+    return pipeline;
+}
+
+describe('PipelineRunner.buildStages', () => {
+    const runner = new PipelineRunner({ stateDir: stateDir('stages') });
+
+    test('plans one stage per promotion step', () => {
+        const stages = runner.buildStages('Integration', 'Production');
+        assert.deepStrictEqual(stages.map(s => s.name), ['Integration → Preproduction', 'Preproduction → Production']);
+        assert.ok(stages.every(s => s.status === 'pending' && s.deploymentId === null));
+    });
+
+    test('prepends a package stage targeting Integration', () => {
+        const stages = runner.buildStages('Integration', 'Preproduction', ['site.cms.app.1.nupkg']);
+        assert.strictEqual(stages[0].name, 'Packages → Integration');
+        assert.strictEqual(stages[0].sourceEnvironment, null);
+        assert.deepStrictEqual(stages[0].packages, ['site.cms.app.1.nupkg']);
+        assert.deepStrictEqual(stages.map(s => s.index), [0, 1]);
+    });
+
+    test('allows a package-only pipeline into Integration', () => {
+        assert.strictEqual(runner.buildStages('Integration', 'Integration', ['a.sqlbacpac']).length, 1);
+    });
+
+    test('rejects unknown environments, downward paths and packages outside Integration', () => {
+        assert.throws(() => runner.buildStages('Staging', 'Production'), /Pipelines run between/);
+        assert.throws(() => runner.buildStages('Production', 'Integration'), /only promote upward/);
+        assert.throws(() => runner.buildStages('Preproduction', 'Production', ['a.nupkg']), /must start from Integration/);
+    });
+});
+
+describe('PipelineRunner.evaluateGate', () => {
+    const runner = new PipelineRunner({ stateDir: stateDir('gate') });
+    const originalEvaluate = AutoVerifier.evaluate;
+    const gateOptions = { logType: 'web', minutesBack: 30, thresholds: {}, onWarning: 'complete', onCritical: 'reset' };
+
+    afterEach(() => {
+        AutoVerifier.evaluate = originalEvaluate;
+    });
+
+    async function gateFor(evaluation, options = gateOptions) {
+        AutoVerifier.evaluate = async () => ({ reasons: [], evaluatedAt: 'now', ...evaluation });
+        return runner.evaluateGate('Production', credentials, options);
+    }
+
+    test('completes safe deployments and applies the configured actions otherwise', async () => {
+        assert.strictEqual((await gateFor({ decision: 'safe' })).action, 'complete');
+        assert.strictEqual((await gateFor({ decision: 'critical' })).action, 'reset');
+        assert.strictEqual((await gateFor({ decision: 'warning' })).action, 'complete');
+        assert.strictEqual((await gateFor({ decision: 'warning' }, { ...gateOptions, onWarning: 'pause' })).action, 'pause');
+    });
+
+    test('never auto-completes when the gate could not judge the slot', async () => {
+        assert.strictEqual((await gateFor({ decision: 'error' })).action, 'pause');
+        assert.strictEqual((await gateFor({ decision: 'warning', insufficientData: true })).action, 'pause');
+    });
+});
+
+describe('PipelineRunner.approve', () => {
+    const originalComplete = DXPRestClient.completeDeployment;
+    const originalReset = DXPRestClient.resetDeployment;
+    let runner;
+
+    afterEach(() => {
+        DXPRestClient.completeDeployment = originalComplete;
+        DXPRestClient.resetDeployment = originalReset;
+        if (runner) {
+            runner.stopAll();
+        }
+    });
+
+    test('completes the deployment before resuming the pipeline', async () => {
+        const dir = stateDir('approve-complete');
+        writePipeline(dir);
+        runner = new PipelineRunner({ stateDir: dir });
+        runner.initialize();
+
+        const calls = [];
+        DXPRestClient.completeDeployment = async (...args) => {
+            calls.push(args);
+            assert.strictEqual(runner.getPipeline('pipeline-1').status, 'awaitingApproval');
+        };
+
+        emitted.length = 0;
+        const pipeline = await runner.approve('pipeline-1', 'complete', credentials);
+        assert.deepStrictEqual(calls, [['project-1', 'key', 'secret', 'deployment-1']]);
+        assert.strictEqual(pipeline.status, 'running');
+        assert.strictEqual(pipeline.stages[0].status, 'completing');
+        assert.deepStrictEqual(emitted.map(e => [e.eventType, e.details]), [['pipeline.resumed', { reason: 'approved', action: 'complete' }]]);
+
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, 'pipeline-1.json'), 'utf-8'));
+        assert.strictEqual(saved.stages[0].status, 'completing');
+    });
+
+    test('resets with the gate reasons as the stage error', async () => {
+        const dir = stateDir('approve-reset');
+        writePipeline(dir);
+        runner = new PipelineRunner({ stateDir: dir });
+        runner.initialize();
+
+        let resetId = null;
+        DXPRestClient.resetDeployment = async (projectId, apiKey, apiSecret, deploymentId) => {
+            resetId = deploymentId;
+        };
+
+        const pipeline = await runner.approve('pipeline-1', 'reset', credentials);
+        assert.strictEqual(resetId, 'deployment-1');
+        assert.strictEqual(pipeline.stages[0].status, 'resetting');
+        assert.match(pipeline.stages[0].error, /error rate up/);
+    });
+
+    test('stays awaiting approval when the API call fails so it can be retried', async () => {
+        const dir = stateDir('approve-failure');
+        writePipeline(dir);
+        runner = new PipelineRunner({ stateDir: dir });
+        runner.initialize();
+
+        DXPRestClient.completeDeployment = async () => {
+            throw new Error('HTTP 503');
+        };
+
+        await assert.rejects(runner.approve('pipeline-1', 'complete', credentials), /HTTP 503/);
+        const pipeline = runner.getPipeline('pipeline-1');
+        assert.strictEqual(pipeline.status, 'awaitingApproval');
+        assert.strictEqual(pipeline.stages[0].status, 'awaitingApproval');
+    });
+
+    test('refuses pipelines that are not waiting for approval', async () => {
+        const dir = stateDir('approve-running');
+        writePipeline(dir, { status: 'failed' });
+        runner = new PipelineRunner({ stateDir: dir });
+        runner.initialize();
+
+        await assert.rejects(runner.approve('pipeline-1', 'complete', credentials), /not waiting for approval/);
+        await assert.rejects(runner.approve('pipeline-missing', 'complete', credentials), /Pipeline not found/);
+    });
+});
+
+describe('PipelineRunner state', () => {
+    test('initialize resumes active pipelines only', () => {
+        const dir = stateDir('resume');
+        writePipeline(dir);
+        writePipeline(dir, { pipelineId: 'pipeline-2', status: 'succeeded' });
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+        const runner = new PipelineRunner({ stateDir: dir });
+        assert.strictEqual(runner.initialize(), 1);
+        assert.strictEqual(runner.initialize(), 0);
+        assert.deepStrictEqual(runner.listPipelines({ activeOnly: true }).map(p => p.pipelineId), ['pipeline-1']);
+        assert.strictEqual(runner.listPipelines().length, 2);
+    });
+
+    test('cancel marks the current stage and refuses finished pipelines', () => {
+        const dir = stateDir('cancel');
+        writePipeline(dir);
+        const runner = new PipelineRunner({ stateDir: dir });
+        runner.initialize();
+
+        const pipeline = runner.cancel('pipeline-1', 'No longer needed');
+        assert.strictEqual(pipeline.status, 'cancelled');
+        assert.strictEqual(pipeline.error, 'No longer needed');
+        assert.strictEqual(pipeline.stages[0].status, 'cancelled');
+        assert.throws(() => runner.cancel('pipeline-1'), /already cancelled/);
+    });
+
+    test('snapshots leave out webhook headers', () => {
+        const runner = new PipelineRunner({ stateDir: stateDir('snapshot') });
+        const snapshot = runner.toSnapshot(writePipeline(stateDir('snapshot')));
+        assert.strictEqual(snapshot.webhookHeaders, undefined);
+        assert.strictEqual(snapshot.pipelineId, 'pipeline-1');
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for robots.txt parsing and RFC 9309 rule matching
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const RobotsTxt = require('../../dist/lib/log-analysis/robots-txt').default;
+
+const ROBOTS = [
+    '# Example site',
+    'User-agent: *',
+    'Disallow: /episerver/',
+    'Disallow: /*?sort=',
+    'Allow: /episerver/public',
+    '',
+    'User-agent: GPTBot',
+    'User-agent: CCBot',
+    'Disallow: /',
+    '',
+    'user-agent: googlebot   # search',
+    'disallow: /search$',
+    'Disallow:',
+    '',
+    'User-agent: googlebot-news',
+    'Disallow: /archive',
+    '',
+    'User-agent: GPTBot',
+    'Allow: /en/public/',
+    '',
+    'Sitemap: https://www.example.com/sitemap.xml',
+    'Crawl-delay: 10',
+    'nonsense line'
+].join('\r\n');
+
+describe('parseRobotsTxt', () => {
+    test('groups consecutive user-agent lines and ignores comments, empty rules and unknown lines', () => {
+        const policy = RobotsTxt.parseRobotsTxt(ROBOTS);
+
+        assert.deepStrictEqual(policy.groups.map(group => group.agents), [['*'], ['gptbot', 'ccbot'], ['googlebot'], ['googlebot-news'], ['gptbot']]);
+        assert.deepStrictEqual(policy.groups[0].rules.map(rule => [rule.allow, rule.pattern]), [
+            [false, '/episerver/'], [false, '/*?sort='], [true, '/episerver/public']
+        ]);
+        assert.deepStrictEqual(policy.groups[2].rules.map(rule => rule.pattern), ['/search$']);
+        assert.deepStrictEqual(policy.sitemaps, ['https://www.example.com/sitemap.xml']);
+    });
+
+    test('drops rules that appear before any user-agent line', () => {
+        const policy = RobotsTxt.parseRobotsTxt('Disallow: /private\nUser-agent: *\nDisallow: /tmp');
+        assert.deepStrictEqual(policy.groups.map(group => group.rules.map(rule => rule.pattern)), [['/tmp']]);
+    });
+});
+
+describe('isAllowed', () => {
+    const policy = RobotsTxt.parseRobotsTxt(ROBOTS);
+
+    test('applies the catch-all group to crawlers without their own group', () => {
+        assert.deepStrictEqual(RobotsTxt.isAllowed(policy, 'AhrefsBot', '/episerver/cms'), { allowed: false, rule: 'Disallow: /episerver/', group: '*' });
+        assert.deepStrictEqual(RobotsTxt.isAllowed(policy, 'AhrefsBot', '/en/'), { allowed: true, rule: null, group: '*' });
+        assert.strictEqual(RobotsTxt.isAllowed(policy, 'AhrefsBot', '/en/products?sort=price').allowed, false);
+    });
+
+    test('lets the longest matching rule win and Allow win a tie', () => {
+        assert.deepStrictEqual(RobotsTxt.isAllowed(policy, 'AhrefsBot', '/episerver/public/logo.png'), { allowed: true, rule: 'Allow: /episerver/public', group: '*' });
+
+        const tie = RobotsTxt.parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+        assert.strictEqual(RobotsTxt.isAllowed(tie, 'Any', '/page').allowed, true);
+    });
+
+    test('merges every group naming the same agent and matches tokens case-insensitively', () => {
+        assert.deepStrictEqual(RobotsTxt.isAllowed(policy, 'gptbot', '/en/about'), { allowed: false, rule: 'Disallow: /', group: 'gptbot' });
+        assert.deepStrictEqual(RobotsTxt.isAllowed(policy, 'GPTBot', '/en/public/page'), { allowed: true, rule: 'Allow: /en/public/', group: 'gptbot' });
+        assert.strictEqual(RobotsTxt.isAllowed(policy, 'CCBot', '/en/public/page').allowed, false);
+    });
+
+    test('picks the most specific agent and supports the $ anchor', () => {
+        assert.strictEqual(RobotsTxt.isAllowed(policy, 'Googlebot', '/search').allowed, false);
+        assert.strictEqual(RobotsTxt.isAllowed(policy, 'Googlebot', '/search/results').allowed, true);
+        // Googlebot's own group replaces the catch-all entirely
+        assert.strictEqual(RobotsTxt.isAllowed(policy, 'Googlebot', '/episerver/cms').allowed, true);
+        assert.deepStrictEqual(RobotsTxt.isAllowed(policy, 'Googlebot-News', '/archive/2020'), { allowed: false, rule: 'Disallow: /archive', group: 'googlebot-news' });
+    });
+
+    test('always allows /robots.txt and allows everything without a matching group', () => {
+        assert.strictEqual(RobotsTxt.isAllowed(policy, 'GPTBot', '/robots.txt').allowed, true);
+
+        const noCatchAll = RobotsTxt.parseRobotsTxt('User-agent: GPTBot\nDisallow: /');
+        assert.deepStrictEqual(RobotsTxt.isAllowed(noCatchAll, 'Bingbot', '/anything'), { allowed: true, rule: null, group: null });
+        assert.deepStrictEqual(RobotsTxt.isAllowed(RobotsTxt.parseRobotsTxt(''), 'Bingbot', '/'), { allowed: true, rule: null, group: null });
+    });
+});
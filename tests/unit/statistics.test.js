@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the significance tests behind the baseline vs slot log comparison
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const Statistics = require('../../dist/lib/log-analysis/statistics').default;
+
+function close(actual, expected, tolerance = 1e-4) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('normal distribution', () => {
+    test('matches the standard normal CDF and critical values', () => {
+        close(Statistics.normalCdf(0), 0.5);
+        close(Statistics.normalCdf(1.96), 0.975);
+        close(Statistics.normalCdf(-1.96), 0.025);
+        close(Statistics.zForConfidence(0.95), 1.96);
+        close(Statistics.zForConfidence(0.99), 2.5758);
+    });
+});
+
+describe('wilsonInterval', () => {
+    test('brackets the observed rate and stays inside [0, 1]', () => {
+        const [low, high] = Statistics.wilsonInterval(10, 100);
+        close(low, 0.0552);
+        close(high, 0.1744);
+
+        const [zeroLow, zeroHigh] = Statistics.wilsonInterval(0, 100);
+        close(zeroLow, 0);
+        close(zeroHigh, 0.037);
+        assert.deepStrictEqual(Statistics.wilsonInterval(5, 0), [0, 1]);
+        assert.ok(Statistics.wilsonInterval(100, 100)[1] <= 1);
+    });
+
+    test('narrows as the sample grows', () => {
+        const [smallLow, smallHigh] = Statistics.wilsonInterval(1, 100);
+        const [largeLow, largeHigh] = Statistics.wilsonInterval(100, 10000);
+        assert.ok(largeHigh - largeLow < smallHigh - smallLow);
+    });
+});
+
+describe('proportionIncreaseTest', () => {
+    test('is significant for a real increase and not for equal or zero rates', () => {
+        const increase = Statistics.proportionIncreaseTest(10, 1000, 30, 1000);
+        close(increase.zScore, 3.1944);
+        assert.ok(increase.pValue < 0.001);
+
+        // One-sided: a decrease is never significant
+        assert.ok(Statistics.proportionIncreaseTest(30, 1000, 10, 1000).pValue > 0.99);
+        assert.deepStrictEqual(Statistics.proportionIncreaseTest(0, 100, 0, 100), { zScore: 0, pValue: 1 });
+    });
+});
+
+describe('rankIncreaseTest', () => {
+    test('detects a shifted histogram and reports the probability of being slower', () => {
+        const shifted = Statistics.rankIncreaseTest([10, 10, 0], [0, 10, 10]);
+        assert.strictEqual(shifted.probabilitySlower, 0.875);
+        assert.ok(shifted.pValue < 0.001);
+
+        const same = Statistics.rankIncreaseTest([5, 5], [5, 5]);
+        assert.strictEqual(same.probabilitySlower, 0.5);
+        assert.ok(same.pValue > 0.5);
+    });
+
+    test('returns null for empty samples or mismatched bins', () => {
+        assert.strictEqual(Statistics.rankIncreaseTest([0, 0], [1, 1]), null);
+        assert.strictEqual(Statistics.rankIncreaseTest([1], [1, 2]), null);
+    });
+
+    test('gives no evidence when every value falls in one bin', () => {
+        assert.strictEqual(Statistics.rankIncreaseTest([0, 40, 0], [0, 40, 0]).pValue, 1);
+    });
+});
+
+describe('meanIncreaseTest', () => {
+    test('compares means from summary statistics', () => {
+        const result = Statistics.meanIncreaseTest(100, 20, 50, 120, 20, 50);
+        close(result.zScore, 5);
+        assert.ok(result.pValue < 1e-6);
+
+        assert.ok(Statistics.meanIncreaseTest(100, 50, 30, 105, 50, 30).pValue > 0.3);
+    });
+
+    test('decides on the means alone when there is no spread', () => {
+        assert.strictEqual(Statistics.meanIncreaseTest(100, 0, 50, 120, 0, 50).pValue, 0);
+        assert.strictEqual(Statistics.meanIncreaseTest(100, 0, 50, 100, 0, 50).pValue, 1);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for the bucketed time series and EWMA anomaly detection in log analysis
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const Analyzers = require('../../dist/lib/log-analysis/analyzers').default;
+
+const START = Date.parse('2025-03-01T10:00:00Z');
+
+// n requests within one minute, the first `errors` of them 500s
+function minute(index, n, { errors = 0, responseTime = 100 } = {}) {
+    return Array.from({ length: n }, (_, i) => ({
+        timestamp: new Date(START + index * 60000 + i * 100),
+        type: 'http',
+        method: 'GET',
+        path: '/',
+        statusCode: i < errors ? 500 : 200,
+        userAgent: '',
+        ip: '',
+        responseTime: responseTime + (i % 5)
+    }));
+}
+
+function steadyTraffic(minutes) {
+    const logs = [];
+    for (let i = 0; i < minutes; i++) {
+        logs.push(...minute(i, 30 + (i % 3)));
+    }
+    return logs;
+}
+
+describe('analyzeTimeSeries buckets', () => {
+    test('fills every bucket from the first to the last entry with counts and percentiles', () => {
+        const logs = [
+            ...minute(0, 20),
+            ...minute(2, 10, { errors: 2, responseTime: 500 }),
+            { timestamp: new Date(START + 2 * 60000), type: 'console', method: 'LOG', path: '/console', statusCode: 200, userAgent: '', ip: '', isError: true },
+            { timestamp: new Date('not a date'), type: 'http', method: 'GET', path: '/', statusCode: 500, userAgent: '', ip: '' }
+        ];
+
+        const series = Analyzers.analyzeTimeSeries(logs);
+        assert.strictEqual(series.bucketMinutes, 1);
+        assert.deepStrictEqual(series.buckets.map(bucket => bucket.start), [
+            '2025-03-01T10:00:00.000Z', '2025-03-01T10:01:00.000Z', '2025-03-01T10:02:00.000Z'
+        ]);
+        assert.deepStrictEqual(series.buckets[0], {
+            start: '2025-03-01T10:00:00.000Z',
+            requests: 20,
+            errors: 0,
+            errorRate: 0,
+            p50ResponseTime: 102,
+            p95ResponseTime: 104,
+            p99ResponseTime: 104
+        });
+        assert.deepStrictEqual([series.buckets[1].requests, series.buckets[1].p95ResponseTime], [0, null]);
+        // Console entries count as errors through isError and carry no timing
+        assert.deepStrictEqual([series.buckets[2].requests, series.buckets[2].errors, series.buckets[2].errorRate], [11, 3, 0.2727]);
+        assert.strictEqual(series.buckets[2].p50ResponseTime, 502);
+        assert.deepStrictEqual(series.anomalies, []);
+    });
+
+    test('sizes buckets for about 60 per window and caps explicit sizes at 500 buckets', () => {
+        const span = hours => [{ timestamp: new Date(START) }, { timestamp: new Date(START + hours * 3600000) }];
+
+        assert.strictEqual(Analyzers.analyzeTimeSeries(span(3)).bucketMinutes, 5);
+        assert.strictEqual(Analyzers.analyzeTimeSeries(span(24)).bucketMinutes, 30);
+        assert.strictEqual(Analyzers.analyzeTimeSeries(span(3), { bucketMinutes: 15 }).buckets.length, 13);
+        assert.strictEqual(Analyzers.analyzeTimeSeries(span(240), { bucketMinutes: 1 }).bucketMinutes, 29);
+    });
+
+    test('returns an empty series when no entry has a usable timestamp', () => {
+        const empty = { bucketMinutes: null, buckets: [], anomalies: [] };
+        assert.deepStrictEqual(Analyzers.analyzeTimeSeries([]), empty);
+        assert.deepStrictEqual(Analyzers.analyzeTimeSeries([{ timestamp: new Date('x') }]), empty);
+    });
+});
+
+describe('analyzeTimeSeries anomalies', () => {
+    test('flags a spike in errors and latency and keeps a sustained one flagged', () => {
+        const logs = [
+            ...steadyTraffic(20),
+            ...minute(20, 31, { errors: 12, responseTime: 900 }),
+            ...minute(21, 30, { errors: 15, responseTime: 900 }),
+            // The newest bucket is still filling; a drop is never flagged
+            ...minute(22, 3)
+        ];
+
+        const { anomalies } = Analyzers.analyzeTimeSeries(logs);
+        assert.deepStrictEqual(anomalies.map(anomaly => [anomaly.bucketStart.substring(11, 16), anomaly.metric, anomaly.severity]), [
+            ['10:20', 'errors', 'critical'],
+            ['10:20', 'errorRate', 'critical'],
+            ['10:20', 'p95ResponseTime', 'critical'],
+            ['10:21', 'errors', 'critical'],
+            ['10:21', 'errorRate', 'critical'],
+            ['10:21', 'p95ResponseTime', 'critical']
+        ]);
+
+        const latency = anomalies.find(anomaly => anomaly.metric === 'p95ResponseTime');
+        assert.deepStrictEqual([latency.value, latency.expected, latency.zScore], [904, 104, 16]);
+        // The second spike bucket is scored against the pre-spike baseline, not the first spike
+        assert.strictEqual(anomalies[3].expected, 0);
+    });
+
+    test('grades breaks by z-score and ignores buckets below the volume floor', () => {
+        // Five errors against none is a moderate count change but a large jump in the rate
+        const moderate = Analyzers.analyzeTimeSeries([...steadyTraffic(10), ...minute(10, 30, { errors: 5 })]);
+        assert.deepStrictEqual(moderate.anomalies.map(anomaly => [anomaly.metric, anomaly.zScore, anomaly.severity]), [
+            ['errors', 5, 'warning'],
+            ['errorRate', 8.3, 'critical']
+        ]);
+
+        const quiet = Analyzers.analyzeTimeSeries([...steadyTraffic(10), ...minute(10, 30, { errors: 4 })]);
+        assert.deepStrictEqual(quiet.anomalies, []);
+    });
+
+    test('needs a warm-up before scoring', () => {
+        const { anomalies } = Analyzers.analyzeTimeSeries([...steadyTraffic(4), ...minute(4, 30, { errors: 30, responseTime: 2000 })]);
+        assert.deepStrictEqual(anomalies, []);
+    });
+});
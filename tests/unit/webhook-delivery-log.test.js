@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the persisted webhook delivery log: queries, dead letters, restarts and compaction
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WebhookDeliveryLog } = require('../../dist/lib/webhooks/webhook-delivery-log');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-delivery-log-test-'));
+let fileCount = 0;
+
+function logFile() {
+    return path.join(tempDir, `deliveries-${++fileCount}.jsonl`);
+}
+
+function delivery(id, overrides = {}) {
+    return {
+        id,
+        url: 'https://hooks.example.com/dxp?token=abc',
+        eventType: 'deployment.succeeded',
+        operationId: 'd1',
+        status: 'delivered',
+        attempts: 1,
+        signed: true,
+        queuedAt: '2026-10-19T08:00:00.000Z',
+        lastAttemptAt: '2026-10-19T08:00:01.000Z',
+        completedAt: '2026-10-19T08:00:01.000Z',
+        statusCode: 200,
+        responseTime: 120,
+        error: null,
+        errors: [],
+        redeliveryOf: null,
+        redeliveredAs: null,
+        payload: { eventType: 'deployment.succeeded' },
+        headers: { 'Content-Type': 'application/json', 'X-Signature': 'v1=abc' },
+        ...overrides
+    };
+}
+
+describe('WebhookDeliveryLog', () => {
+    test('keeps the latest snapshot of each delivery and filters queries newest first', () => {
+        const log = new WebhookDeliveryLog({ file: logFile() });
+        log.record(delivery('wh-1', { status: 'pending', queuedAt: '2026-10-19T08:00:00.000Z' }));
+        log.record(delivery('wh-2', { eventType: 'export.failed', operationId: 'e1', queuedAt: '2026-10-19T09:00:00.000Z' }));
+        log.record(delivery('wh-3', { status: 'dead_letter', url: 'https://other.example.com/hook', queuedAt: '2026-10-19T10:00:00.000Z' }));
+        log.record(delivery('wh-1', { status: 'delivered' }));
+
+        assert.strictEqual(log.get('wh-1').status, 'delivered');
+        assert.strictEqual(log.get('missing'), null);
+
+        const ids = query => log.list(query).deliveries.map(item => item.id);
+        assert.deepStrictEqual(ids(), ['wh-3', 'wh-2', 'wh-1']);
+        assert.deepStrictEqual(ids({ status: 'delivered' }), ['wh-2', 'wh-1']);
+        assert.deepStrictEqual(ids({ url: 'HOOKS.example' }), ['wh-2', 'wh-1']);
+        assert.deepStrictEqual(ids({ eventType: 'deployment.*' }), ['wh-3', 'wh-1']);
+        assert.deepStrictEqual(ids({ eventType: 'export.failed' }), ['wh-2']);
+        assert.deepStrictEqual(ids({ operationId: 'e1' }), ['wh-2']);
+        assert.deepStrictEqual(ids({ since: '2026-10-19T08:30:00Z' }), ['wh-3', 'wh-2']);
+        assert.deepStrictEqual(log.list({ limit: 1 }), { total: 3, deliveries: [log.get('wh-3')] });
+    });
+
+    test('counts dead letters until they are redelivered', () => {
+        const log = new WebhookDeliveryLog({ file: logFile() });
+        log.record(delivery('wh-1', { status: 'dead_letter' }));
+        log.record(delivery('wh-2', { status: 'dead_letter' }));
+        log.record(delivery('wh-3', { status: 'retrying' }));
+        log.record(delivery('wh-1', { status: 'dead_letter', redeliveredAs: 'wh-4' }));
+        log.record(delivery('wh-4', { redeliveryOf: 'wh-1' }));
+
+        assert.deepStrictEqual(log.getStats(), { total: 4, pending: 0, retrying: 1, delivered: 1, dead_letter: 2, pendingDeadLetters: 1 });
+        assert.deepStrictEqual(log.list({ pendingDeadLetters: true }).deliveries.map(item => item.id), ['wh-2']);
+    });
+
+    test('turns deliveries in flight at the previous shutdown into dead letters', () => {
+        const file = logFile();
+        const first = new WebhookDeliveryLog({ file });
+        first.record(delivery('wh-1', { status: 'pending' }));
+        first.record(delivery('wh-2', { status: 'retrying', attempts: 2 }));
+        first.record(delivery('wh-3'));
+        fs.appendFileSync(file, '{"id":"wh-4","sta');
+
+        const restarted = new WebhookDeliveryLog({ file });
+        assert.deepStrictEqual(restarted.getStats(), { total: 3, pending: 0, retrying: 0, delivered: 1, dead_letter: 2, pendingDeadLetters: 2 });
+        const interrupted = restarted.get('wh-2');
+        assert.strictEqual(interrupted.error, 'Interrupted by server restart');
+        assert.strictEqual(interrupted.attempts, 2);
+        assert.ok(interrupted.completedAt);
+
+        // The dead letter status is persisted, not recomputed
+        assert.strictEqual(new WebhookDeliveryLog({ file }).get('wh-1').status, 'dead_letter');
+    });
+
+    test('rewrites the file with the newest deliveries once it grows past maxRecords', () => {
+        const file = logFile();
+        const log = new WebhookDeliveryLog({ file, maxRecords: 3 });
+        for (let i = 1; i <= 4; i++) {
+            log.record(delivery(`wh-${i}`, { queuedAt: `2026-10-19T08:0${i}:00.000Z` }));
+        }
+
+        const lines = fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line).id);
+        assert.deepStrictEqual(lines, ['wh-2', 'wh-3', 'wh-4']);
+        assert.strictEqual(log.get('wh-1'), null);
+        assert.strictEqual(new WebhookDeliveryLog({ file }).getStats().total, 3);
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+        }
+    });
+
+    test('redacts secrets in the URL and shows header names only', () => {
+        const display = WebhookDeliveryLog.toDisplay(delivery('wh-1'));
+
+        assert.strictEqual(display.url, 'https://hooks.example.com/dxp?token=***');
+        assert.deepStrictEqual(display.headerNames, ['Content-Type', 'X-Signature']);
+        assert.strictEqual(display.headers, undefined);
+        assert.strictEqual(display.payload, undefined);
+        assert.strictEqual(display.status, 'delivered');
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
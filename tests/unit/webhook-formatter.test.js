@@ -0,0 +1,176 @@
+/**
+ * Unit tests for Slack, Teams and CloudEvents webhook formats and the message templates
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-formatter-test-'));
+const templatesFile = path.join(tempDir, 'webhook-templates.json');
+process.env.DXP_WEBHOOK_TEMPLATES_FILE = templatesFile;
+
+const WebhookFormatter = require('../../dist/lib/webhooks/webhook-formatter').default;
+const { WebhookTemplateStore } = require('../../dist/lib/webhooks/webhook-templates');
+
+function event(eventType, data = {}, metadata = {}) {
+    return { eventType, timestamp: '2026-10-19T08:00:00.000Z', operationId: 'op-1', data, metadata };
+}
+
+const FAILED = event(
+    'deployment.failed',
+    { status: 'Failed', error: 'Boom ```stack```', slotUrl: 'https://acme-slot.dxcloud.episerver.net' },
+    { project: 'Acme', environment: 'Production', sourceEnvironment: 'Preproduction' }
+);
+
+describe('WebhookFormatter', () => {
+    test('keeps the flat JSON payload as the default format', () => {
+        const formatted = WebhookFormatter.format(FAILED);
+        assert.deepStrictEqual(formatted.headers, {});
+        assert.strictEqual(formatted.contentType, 'application/json');
+        assert.deepStrictEqual(
+            [formatted.body.deploymentId, formatted.body.status, formatted.body.project, formatted.body.environment],
+            ['op-1', 'Failed', 'Acme', 'Production']
+        );
+        assert.strictEqual(WebhookFormatter.isValidFormat('teams'), true);
+        assert.strictEqual(WebhookFormatter.isValidFormat('discord'), false);
+    });
+
+    test('renders a Slack Block Kit message with facts, error, slot button and context', () => {
+        const { body } = WebhookFormatter.format(FAILED, 'slack');
+
+        assert.strictEqual(body.text, '❌ Deployment failed on Production');
+        assert.deepStrictEqual(body.blocks.map(block => block.type), ['header', 'section', 'section', 'section', 'actions', 'context']);
+        assert.strictEqual(body.blocks[1].text.text, 'Acme could not be deployed.');
+        assert.deepStrictEqual(body.blocks[2].fields.map(field => field.text), [
+            '*Project*\nAcme', '*Environment*\nProduction', '*Source*\nPreproduction', '*Status*\nFailed', '*Operation*\nop-1'
+        ]);
+        // Backticks in the error cannot close the code block early
+        assert.strictEqual(body.blocks[3].text.text, "*Error*\n```Boom '''stack'''```");
+        assert.deepStrictEqual(body.blocks[4].elements[0].url, 'https://acme-slot.dxcloud.episerver.net');
+        assert.strictEqual(body.blocks[5].elements[0].text, 'deployment.failed · op-1 · 2026-10-19T08:00:00.000Z');
+    });
+
+    test('renders a Teams Adaptive Card with the same content', () => {
+        const { body } = WebhookFormatter.format(FAILED, 'teams');
+        const card = body.attachments[0].content;
+
+        assert.strictEqual(body.type, 'message');
+        assert.strictEqual(body.summary, '❌ Deployment failed on Production');
+        assert.strictEqual(body.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+        assert.deepStrictEqual([card.type, card.version], ['AdaptiveCard', '1.4']);
+        assert.deepStrictEqual(card.body.map(block => block.type), ['TextBlock', 'TextBlock', 'FactSet', 'TextBlock', 'TextBlock']);
+        assert.deepStrictEqual(card.body[2].facts[0], { title: 'Project', value: 'Acme' });
+        assert.strictEqual(card.body[3].color, 'Attention');
+        assert.deepStrictEqual(card.actions, [{ type: 'Action.OpenUrl', title: 'Open verification slot', url: 'https://acme-slot.dxcloud.episerver.net' }]);
+    });
+
+    test('shows sizes and progress and leaves out unsafe or missing details', () => {
+        const exported = WebhookFormatter.format(event('export.succeeded', { databaseName: 'epicms', sizeBytes: 1572864, downloadUrl: 'https://backup.example.com/x.bacpac?sig=1' }), 'slack').body;
+        assert.strictEqual(exported.text, '📦 Database export ready (1.5 MB)');
+        assert.strictEqual(exported.blocks[1].text.text, 'epicms from unknown environment can be downloaded.');
+        assert.ok(exported.blocks.every(block => block.type !== 'actions'));
+        assert.ok(!JSON.stringify(exported).includes('sig=1'));
+
+        const progress = WebhookFormatter.format(event('deployment.inProgress', { percentComplete: 40, slotUrl: 'javascript:alert(1)' }), 'slack').body;
+        assert.ok(progress.blocks[2].fields.some(field => field.text === '*Progress*\n40%'));
+        assert.ok(progress.blocks.every(block => block.type !== 'actions'));
+
+        const longTitle = WebhookFormatter.format(event('alert.triggered', { alert: { rule: 'x'.repeat(200), message: 'Error rate 12%', severity: 'critical' } }), 'slack').body;
+        assert.strictEqual(longTitle.blocks[0].text.text.length, 150);
+        assert.ok(longTitle.blocks[0].text.text.endsWith('…'));
+        assert.strictEqual(longTitle.blocks[1].text.text, 'Error rate 12%');
+    });
+
+    test('falls back to the event label for events without a template', () => {
+        const { body } = WebhookFormatter.format(event('pipeline.stageFailed', { message: 'Gate failed' }), 'slack');
+        assert.strictEqual(body.text, 'Pipeline stage failed');
+        assert.strictEqual(body.blocks[1].text.text, 'Gate failed');
+    });
+
+    test('builds CloudEvents in structured and binary mode with a stable id', () => {
+        const structured = WebhookFormatter.format(FAILED, 'cloudevents');
+        assert.strictEqual(structured.contentType, 'application/cloudevents+json');
+        assert.deepStrictEqual(
+            { ...structured.body, id: undefined, data: undefined },
+            {
+                specversion: '1.0',
+                id: undefined,
+                source: '/optimizely-dxp/projects/Acme',
+                type: 'com.jaxondigital.dxp.deployment.failed',
+                subject: 'op-1',
+                time: '2026-10-19T08:00:00.000Z',
+                datacontenttype: 'application/json',
+                dxpenvironment: 'Production',
+                data: undefined
+            }
+        );
+        assert.match(structured.body.id, /^[0-9a-f]{32}$/);
+        assert.strictEqual(structured.body.data.status, 'Failed');
+        assert.strictEqual(WebhookFormatter.format(FAILED, 'cloudevents').body.id, structured.body.id);
+        assert.notStrictEqual(WebhookFormatter.format({ ...FAILED, timestamp: '2026-10-19T08:00:01.000Z' }, 'cloudevents').body.id, structured.body.id);
+
+        const binary = WebhookFormatter.format(FAILED, 'cloudevents-binary');
+        assert.strictEqual(binary.contentType, 'application/json');
+        assert.strictEqual(binary.headers['ce-id'], structured.body.id);
+        assert.strictEqual(binary.headers['ce-type'], 'com.jaxondigital.dxp.deployment.failed');
+        assert.strictEqual(binary.headers['ce-dxpenvironment'], 'Production');
+        assert.strictEqual(binary.headers['ce-datacontenttype'], undefined);
+        assert.deepStrictEqual(binary.body, structured.body.data);
+
+        assert.strictEqual(WebhookFormatter.format(event('export.started'), 'cloudevents').body.source, '/optimizely-dxp');
+    });
+
+    test('uses the templates file, overriding title and text separately', () => {
+        fs.writeFileSync(templatesFile, JSON.stringify({
+            templates: {
+                'deployment.*': { title: '[{{project|?}}] {{eventLabel}} ({{environment}})' },
+                '*.failed': { text: 'Failure: {{error|no details}}' }
+            }
+        }));
+
+        const { body } = WebhookFormatter.format(FAILED, 'slack');
+        // "deployment.*" has more literal characters than "*.failed", so only its title applies
+        assert.strictEqual(body.text, '[Acme] Deployment failed (Production)');
+        assert.strictEqual(body.blocks[1].text.text, 'Acme could not be deployed.');
+
+        const exportFailed = WebhookFormatter.format(event('export.failed', {}, { environment: 'Integration' }), 'slack').body;
+        assert.strictEqual(exportFailed.text, '❌ Database export failed on Integration');
+        assert.strictEqual(exportFailed.blocks[1].text.text, 'Failure: no details');
+        fs.unlinkSync(templatesFile);
+    });
+});
+
+describe('WebhookTemplateStore', () => {
+    test('renders placeholders with fallbacks and blanks missing fields', () => {
+        assert.strictEqual(WebhookTemplateStore.render('{{ project }} → {{environment|somewhere}}', { project: 'Acme' }), 'Acme → somewhere');
+        assert.strictEqual(WebhookTemplateStore.render('Progress: {{progress}}%', { progress: 0 }), 'Progress: 0%');
+        assert.strictEqual(WebhookTemplateStore.render('{{alert}} {{missing}} done', { alert: { rule: 'x' } }), 'done');
+    });
+
+    test('resolves exact event types before patterns and falls back to the built-ins', () => {
+        const file = path.join(tempDir, 'store-templates.json');
+        fs.writeFileSync(file, JSON.stringify({
+            templates: {
+                '*': { title: 'Any {{eventLabel}}' },
+                'export.*': { title: 'Export {{status}}', text: '' },
+                'export.started': { text: 'Starting {{databaseName}}' }
+            }
+        }));
+        const store = new WebhookTemplateStore(file);
+
+        assert.deepStrictEqual(store.resolve('export.started'), { title: '📦 Database export started on {{environment|unknown environment}}', text: 'Starting {{databaseName}}' });
+        assert.deepStrictEqual(store.resolve('export.failed'), { title: 'Export {{status}}', text: '' });
+        assert.deepStrictEqual(store.resolve('pipeline.started'), { title: 'Any {{eventLabel}}', text: '{{message}}' });
+        assert.deepStrictEqual(new WebhookTemplateStore(path.join(tempDir, 'missing.json')).resolve('deployment.reset'), {
+            title: '↩️ Deployment reset on {{environment|unknown environment}}', text: undefined
+        });
+    });
+});
+
+after(() => {
+    delete process.env.DXP_WEBHOOK_TEMPLATES_FILE;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for webhook queue redelivery of dead letters
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-queue-test-'));
+const logFile = path.join(tempDir, 'webhook-deliveries.jsonl');
+process.env.DXP_WEBHOOK_DELIVERY_LOG = logFile;
+process.env.DXP_WEBHOOK_SECRETS_FILE = path.join(tempDir, 'webhook-secrets.json');
+
+const { WebhookQueue } = require('../../dist/lib/webhooks/webhook-queue');
+const { WebhookDeliveryLog } = require('../../dist/lib/webhooks/webhook-delivery-log');
+
+const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.end('ok'));
+});
+
+function deadLetter(id, queuedAt) {
+    return {
+        id,
+        url: 'https://hooks.example.com/dxp',
+        eventType: 'deployment.failed',
+        operationId: 'd1',
+        status: 'dead_letter',
+        attempts: 3,
+        signed: false,
+        queuedAt,
+        lastAttemptAt: queuedAt,
+        completedAt: queuedAt,
+        statusCode: 503,
+        responseTime: null,
+        error: 'HTTP 503',
+        errors: [],
+        redeliveryOf: null,
+        redeliveredAs: null,
+        payload: { eventType: 'deployment.failed', operationId: 'd1' },
+        headers: {},
+        format: 'json'
+    };
+}
+
+// Waits until the queue has sent everything it accepted
+async function drained(queue) {
+    for (let i = 0; i < 100 && queue.getTotalQueueSize() > 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('WebhookQueue.redeliverDeadLetters', () => {
+    test('leaves dead letters pending without adding new ones when the queue is full', async () => {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const seed = new WebhookDeliveryLog({ file: logFile });
+        seed.record(deadLetter('wh-1', '2026-10-19T08:00:00.000Z'));
+        seed.record(deadLetter('wh-2', '2026-10-19T09:00:00.000Z'));
+
+        const queue = new WebhookQueue({ maxQueueSize: 1 });
+        assert.ok(queue.enqueue(`http://127.0.0.1:${server.address().port}/busy`, { eventType: 'deployment.started' }));
+
+        for (let run = 0; run < 2; run++) {
+            const result = queue.redeliverDeadLetters();
+            assert.deepStrictEqual(result.queued, []);
+            assert.deepStrictEqual(result.failed.map(item => item.deliveryId), ['wh-1', 'wh-2']);
+        }
+        await drained(queue);
+
+        const log = new WebhookDeliveryLog({ file: logFile });
+        assert.deepStrictEqual(log.getStats(), { total: 3, pending: 0, retrying: 0, delivered: 1, dead_letter: 2, pendingDeadLetters: 2 });
+        assert.deepStrictEqual(log.list({ pendingDeadLetters: true }).deliveries.map(item => item.id), ['wh-2', 'wh-1']);
+    });
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.DXP_WEBHOOK_DELIVERY_LOG;
+    delete process.env.DXP_WEBHOOK_SECRETS_FILE;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for HMAC webhook signing and the webhook secret store with rotation overlap
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WebhookSigner = require('../../dist/lib/webhooks/webhook-signer').default;
+const { WebhookSecretStore } = require('../../dist/lib/webhooks/webhook-secrets');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-signer-test-'));
+const BODY = '{"eventType":"deployment.succeeded","operationId":"d1"}';
+const HOOK = 'https://hooks.example.com/dxp?token=abc';
+
+describe('WebhookSigner', () => {
+    test('signs "<timestamp>.<body>" with every active secret', () => {
+        const headers = WebhookSigner.sign(BODY, ['new-secret-value-1', 'old-secret-value-1'], 1792400000);
+        const expected = secret => crypto.createHmac('sha256', secret).update(`1792400000.${BODY}`).digest('hex');
+
+        assert.deepStrictEqual(headers, {
+            'X-Signature': `v1=${expected('new-secret-value-1')},v1=${expected('old-secret-value-1')}`,
+            'X-Signature-Timestamp': '1792400000'
+        });
+        assert.deepStrictEqual(WebhookSigner.sign(BODY, [], 1792400000)['X-Signature'], '');
+    });
+
+    test('verifies with either secret during an overlap and rejects tampering', () => {
+        const now = Math.floor(Date.now() / 1000);
+        const headers = WebhookSigner.sign(BODY, ['new-secret-value-1', 'old-secret-value-1'], now);
+        const verify = (body, secret, signature = headers['X-Signature'], timestamp = headers['X-Signature-Timestamp']) =>
+            WebhookSigner.verify(body, signature, timestamp, secret);
+
+        assert.strictEqual(verify(BODY, 'new-secret-value-1'), true);
+        assert.strictEqual(verify(BODY, 'old-secret-value-1'), true);
+        assert.strictEqual(verify(BODY, 'some-other-secret'), false);
+        assert.strictEqual(verify(BODY.replace('d1', 'd2'), 'new-secret-value-1'), false);
+        assert.strictEqual(verify(BODY, 'new-secret-value-1', headers['X-Signature'], String(now + 1)), false);
+        assert.strictEqual(verify(BODY, 'new-secret-value-1', 'v0=abc,sha256=def'), false);
+        assert.strictEqual(verify(BODY, 'new-secret-value-1', headers['X-Signature'], 'soon'), false);
+    });
+
+    test('rejects timestamps outside the tolerance', () => {
+        const stale = Math.floor(Date.now() / 1000) - 600;
+        const headers = WebhookSigner.sign(BODY, ['new-secret-value-1'], stale);
+
+        assert.strictEqual(WebhookSigner.verify(BODY, headers['X-Signature'], headers['X-Signature-Timestamp'], 'new-secret-value-1'), false);
+        assert.strictEqual(WebhookSigner.verify(BODY, headers['X-Signature'], headers['X-Signature-Timestamp'], 'new-secret-value-1', 900), true);
+    });
+});
+
+describe('WebhookSecretStore', () => {
+    test('keys secrets by URL without query string and host case', () => {
+        assert.strictEqual(WebhookSecretStore.keyFor('HTTPS://Hooks.Example.com/dxp?token=abc#top'), 'https://hooks.example.com/dxp');
+        assert.strictEqual(WebhookSecretStore.keyFor('not a url'), 'not a url');
+
+        const store = new WebhookSecretStore(path.join(tempDir, 'keys.json'));
+        const { secret } = store.rotate(HOOK);
+        assert.deepStrictEqual(store.getActiveSecrets('https://HOOKS.example.com/dxp?token=other'), [secret.secret]);
+        assert.deepStrictEqual(store.getActiveSecrets('https://hooks.example.com/other'), []);
+    });
+
+    test('keeps the previous secret signing until the overlap ends', () => {
+        const store = new WebhookSecretStore(path.join(tempDir, 'rotation.json'));
+        const first = store.rotate(HOOK, 24, 'first-secret-value-0001');
+        assert.match(first.secret.id, /^whk_[0-9a-f]{8}$/);
+        assert.deepStrictEqual(first.overlapping, []);
+
+        const second = store.rotate(HOOK, 2);
+        assert.match(second.secret.secret, /^whsec_/);
+        assert.strictEqual(second.overlapping.length, 1);
+        assert.strictEqual(second.overlapping[0].id, first.secret.id);
+        const overlapHours = (new Date(second.overlapping[0].expiresAt).getTime() - Date.now()) / 3600000;
+        assert.ok(overlapHours > 1.99 && overlapHours <= 2);
+        assert.deepStrictEqual(store.getActiveSecrets(HOOK), [second.secret.secret, 'first-secret-value-0001']);
+
+        // A later rotation never extends an overlap that is already running
+        const third = store.rotate(HOOK, 48);
+        assert.strictEqual(third.overlapping.find(item => item.id === first.secret.id).expiresAt, second.overlapping[0].expiresAt);
+
+        const immediate = store.rotate(HOOK, 0, 'fourth-secret-value-01');
+        assert.deepStrictEqual(immediate.overlapping, []);
+        assert.deepStrictEqual(store.getActiveSecrets(HOOK), ['fourth-secret-value-01']);
+    });
+
+    test('ignores expired secrets and drops them on the next rotation', () => {
+        const file = path.join(tempDir, 'expired.json');
+        fs.writeFileSync(file, JSON.stringify({
+            version: 1,
+            webhooks: {
+                'https://hooks.example.com/dxp': [
+                    { id: 'whk_new', secret: 'current-secret-value', createdAt: '2026-10-19T00:00:00Z', expiresAt: null },
+                    { id: 'whk_old', secret: 'expired-secret-value', createdAt: '2026-10-01T00:00:00Z', expiresAt: '2026-10-02T00:00:00Z' }
+                ]
+            }
+        }));
+
+        const store = new WebhookSecretStore(file);
+        assert.deepStrictEqual(store.getActiveSecrets(HOOK), ['current-secret-value']);
+        assert.deepStrictEqual(store.rotate(HOOK).overlapping.map(item => item.id), ['whk_new']);
+    });
+
+    test('persists owner-only, hides secret values in list and picks up external edits', () => {
+        const file = path.join(tempDir, 'nested', 'secrets.json');
+        const store = new WebhookSecretStore(file);
+        const { secret } = store.rotate(HOOK, 24, 'persisted-secret-value');
+
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+        }
+        assert.deepStrictEqual(new WebhookSecretStore(file).getActiveSecrets(HOOK), ['persisted-secret-value']);
+        assert.deepStrictEqual(store.list(), [{
+            webhook: 'https://hooks.example.com/dxp',
+            secrets: [{ id: secret.id, createdAt: secret.createdAt, expiresAt: null }]
+        }]);
+
+        const other = new WebhookSecretStore(file);
+        assert.strictEqual(other.remove(HOOK), true);
+        assert.strictEqual(other.remove(HOOK), false);
+        // Force a different mtime in case both writes land in the same tick
+        fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+        assert.deepStrictEqual(store.getActiveSecrets(HOOK), []);
+    });
+
+    test('fails instead of treating a broken secrets file as empty', () => {
+        const file = path.join(tempDir, 'broken.json');
+        fs.writeFileSync(file, '{"version":1,"webhooks":{"https://hooks.example.com/dxp":[{"id":"whk_1"');
+        const store = new WebhookSecretStore(file);
+
+        const invalid = error => error.code === 'INVALID_SECRETS_FILE';
+        assert.throws(() => store.getActiveSecrets(HOOK), invalid);
+        assert.throws(() => store.rotate(HOOK), invalid);
+        assert.throws(() => store.remove(HOOK), invalid);
+        assert.throws(() => store.list(), invalid);
+        assert.strictEqual(fs.readFileSync(file, 'utf-8'), '{"version":1,"webhooks":{"https://hooks.example.com/dxp":[{"id":"whk_1"');
+
+        // Once the file is fixed the store reads it again
+        fs.writeFileSync(file, JSON.stringify({ version: 1, webhooks: { 'https://hooks.example.com/dxp': [{ id: 'whk_1', secret: 'repaired-secret-value', createdAt: '2026-10-19T08:00:00.000Z', expiresAt: null }] } }));
+        assert.deepStrictEqual(store.getActiveSecrets(HOOK), ['repaired-secret-value']);
+    });
+
+    test('rejects short custom secrets with INVALID_SECRET', () => {
+        const store = new WebhookSecretStore(path.join(tempDir, 'short.json'));
+        assert.throws(() => store.rotate(HOOK, 24, 'too-short'), error => error.code === 'INVALID_SECRET');
+        assert.strictEqual(fs.existsSync(path.join(tempDir, 'short.json')), false);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
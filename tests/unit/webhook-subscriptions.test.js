@@ -0,0 +1,124 @@
+/**
+ * Unit tests for webhook subscription scoping and event pattern matching
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WebhookSubscriptionStore } = require('../../dist/lib/webhooks/webhook-subscriptions');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-subscriptions-test-'));
+let fileCount = 0;
+
+function createStore() {
+    return new WebhookSubscriptionStore(path.join(tempDir, `subscriptions-${++fileCount}.json`));
+}
+
+function urls(subscriptions) {
+    return subscriptions.map(subscription => subscription.url);
+}
+
+describe('validatePatterns', () => {
+    test('accepts event types with * and ? wildcards only', () => {
+        assert.doesNotThrow(() => WebhookSubscriptionStore.validatePatterns(['*', 'deployment.*', '*.failed', 'export.succ??ded', 'alert.triggered']));
+
+        const invalid = (events, message) => assert.throws(
+            () => WebhookSubscriptionStore.validatePatterns(events),
+            error => error.code === 'INVALID_PATTERN' && message.test(error.message)
+        );
+        invalid([], /At least one event pattern is required/);
+        invalid(['deployment.'], /Invalid event pattern "deployment\."/);
+        invalid(['deployment started'], /Invalid event pattern/);
+        invalid(['deployment.[a-z]+'], /Invalid event pattern/);
+    });
+});
+
+describe('WebhookSubscriptionStore', () => {
+    test('matches event patterns case-insensitively with * spanning dots', () => {
+        const store = createStore();
+        store.save({ url: 'https://a.example.com/deployments', events: ['deployment.*'] });
+        store.save({ url: 'https://a.example.com/failures', events: ['*.failed', 'alert.triggered'] });
+        store.save({ url: 'https://a.example.com/single-char', events: ['export.?ucceeded'] });
+        store.save({ url: 'https://a.example.com/everything' });
+
+        assert.deepStrictEqual(urls(store.match('deployment.failed', {})), [
+            'https://a.example.com/deployments', 'https://a.example.com/failures', 'https://a.example.com/everything'
+        ]);
+        assert.deepStrictEqual(urls(store.match('export.succeeded', {})), ['https://a.example.com/single-char', 'https://a.example.com/everything']);
+        assert.deepStrictEqual(urls(store.match('ALERT.TRIGGERED', {})), ['https://a.example.com/failures', 'https://a.example.com/everything']);
+        assert.deepStrictEqual(urls(store.match('pipeline.stageFailed', {})), ['https://a.example.com/everything']);
+        // A dot in the pattern is literal
+        assert.deepStrictEqual(urls(store.match('deploymentXstarted', {})), ['https://a.example.com/everything']);
+    });
+
+    test('scopes subscriptions to a project and environment', () => {
+        const store = createStore();
+        store.save({ url: 'https://b.example.com/any' });
+        store.save({ url: 'https://b.example.com/acme', project: 'Acme' });
+        store.save({ url: 'https://b.example.com/acme-prod', project: 'acme', environment: 'Production' });
+        store.save({ url: 'https://b.example.com/prod', environment: 'production' });
+
+        assert.deepStrictEqual(urls(store.match('deployment.started', { project: 'ACME', environment: 'Production' })), [
+            'https://b.example.com/any', 'https://b.example.com/acme', 'https://b.example.com/acme-prod', 'https://b.example.com/prod'
+        ]);
+        assert.deepStrictEqual(urls(store.match('deployment.started', { project: 'Acme', environment: 'Integration' })), [
+            'https://b.example.com/any', 'https://b.example.com/acme'
+        ]);
+        // An operation without a known project only reaches unscoped subscriptions
+        assert.deepStrictEqual(urls(store.match('deployment.started', { project: null, environment: null })), ['https://b.example.com/any']);
+
+        assert.deepStrictEqual(urls(store.list('acme')), [
+            'https://b.example.com/any', 'https://b.example.com/acme', 'https://b.example.com/acme-prod', 'https://b.example.com/prod'
+        ]);
+        assert.deepStrictEqual(urls(store.list('Other')), ['https://b.example.com/any', 'https://b.example.com/prod']);
+    });
+
+    test('fills defaults, updates in place and removes subscriptions', () => {
+        const store = createStore();
+        const created = store.save({ url: 'https://c.example.com/hook', project: '', events: [] });
+
+        assert.match(created.id, /^sub-[0-9a-f]{8}$/);
+        assert.deepStrictEqual(
+            [created.events, created.project, created.environment, created.description, created.format, created.headers],
+            [['*'], null, null, null, 'json', {}]
+        );
+
+        const updated = store.save({ url: 'https://c.example.com/hook2', events: ['export.*'], format: 'slack' }, created.id);
+        assert.strictEqual(updated.id, created.id);
+        assert.strictEqual(updated.createdAt, created.createdAt);
+        assert.deepStrictEqual(store.list().map(subscription => [subscription.url, subscription.format]), [['https://c.example.com/hook2', 'slack']]);
+
+        assert.throws(() => store.save({ url: 'https://c.example.com/x' }, 'sub-missing'), error => error.code === 'NOT_FOUND');
+        assert.throws(() => store.save({ url: 'https://c.example.com/x', events: ['bad pattern'] }), error => error.code === 'INVALID_PATTERN');
+        assert.strictEqual(store.list().length, 1);
+
+        assert.strictEqual(store.remove(created.id).url, 'https://c.example.com/hook2');
+        assert.strictEqual(store.remove(created.id), null);
+        assert.deepStrictEqual(store.list(), []);
+    });
+
+    test('persists owner-only and picks up changes made by another process', () => {
+        const file = path.join(tempDir, 'nested', 'shared.json');
+        const store = new WebhookSubscriptionStore(file);
+        store.save({ url: 'https://d.example.com/hook', headers: { Authorization: 'Bearer token' } });
+
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+        }
+
+        const other = new WebhookSubscriptionStore(file);
+        assert.deepStrictEqual(other.list()[0].headers, { Authorization: 'Bearer token' });
+        other.save({ url: 'https://d.example.com/second', events: ['alert.*'] });
+        // Force a different mtime in case both writes land in the same tick
+        fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+
+        assert.deepStrictEqual(urls(store.match('alert.resolved', {})), ['https://d.example.com/hook', 'https://d.example.com/second']);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the read-only zip and ZIP64 reader
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ZipReader = require('../../dist/lib/zip-reader').default;
+const { buildZip } = require('./fixtures/bacpac-fixture');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-reader-test-'));
+let fileCount = 0;
+
+async function openZip(content) {
+    const filePath = path.join(tempDir, `archive-${fileCount++}.zip`);
+    fs.writeFileSync(filePath, content);
+    const zip = new ZipReader(filePath);
+    await zip.open();
+    return zip;
+}
+
+const files = [
+    { name: 'model.xml', data: '<DataSchemaModel />'.repeat(50), deflate: true },
+    { name: 'Origin.xml', data: '<DacOrigin />' },
+    { name: 'Data/dbo.tblContent/TableData-000-00000.BCP', data: Buffer.alloc(0) }
+];
+
+describe('ZipReader', () => {
+    for (const zip64 of [false, true]) {
+        test(`lists and reads stored and deflated entries (${zip64 ? 'ZIP64' : 'classic'})`, async () => {
+            const zip = await openZip(buildZip(files, { zip64, comment: 'exported by SqlPackage' }));
+            try {
+                assert.deepStrictEqual(zip.getEntries().map(entry => entry.name), files.map(file => file.name));
+
+                const model = zip.getEntry('model.xml');
+                assert.strictEqual(model.method, 8);
+                assert.strictEqual(model.uncompressedSize, 19 * 50);
+                assert.ok(model.compressedSize < model.uncompressedSize);
+                assert.strictEqual((await zip.readEntry(model)).toString('utf8'), files[0].data);
+
+                assert.strictEqual((await zip.readEntry(zip.getEntry('Origin.xml'))).toString('utf8'), '<DacOrigin />');
+                assert.strictEqual((await zip.readEntry(zip.getEntry(files[2].name))).length, 0);
+                assert.strictEqual(zip.getEntry('missing.xml'), null);
+            } finally {
+                await zip.close();
+            }
+        });
+    }
+
+    test('streams the raw compressed bytes of an entry', async () => {
+        const zip = await openZip(buildZip(files));
+        try {
+            const model = zip.getEntry('model.xml');
+            const chunks = [];
+            for await (const chunk of await zip.openRawStream(model)) {
+                chunks.push(chunk);
+            }
+            assert.strictEqual(Buffer.concat(chunks).length, model.compressedSize);
+        } finally {
+            await zip.close();
+        }
+    });
+
+    test('rejects files that are not zips and unsupported compression', async () => {
+        const filePath = path.join(tempDir, 'not-a-zip.bacpac');
+        fs.writeFileSync(filePath, 'plain text, no central directory');
+        await assert.rejects(new ZipReader(filePath).open(), error => error.code === 'INVALID_ZIP' && /end of central directory not found/.test(error.message));
+
+        const archive = buildZip([{ name: 'a.txt', data: 'abc' }]);
+        // Method 14 (LZMA) in the central directory header
+        archive.writeUInt16LE(14, archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 10);
+        const zip = await openZip(archive);
+        try {
+            await assert.rejects(zip.openStream(zip.getEntry('a.txt')), /unsupported compression method 14/);
+        } finally {
+            await zip.close();
+        }
+    });
+
+    test('requires open() before listing entries', () => {
+        assert.throws(() => new ZipReader(path.join(tempDir, 'x.zip')).getEntries(), /not open/);
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
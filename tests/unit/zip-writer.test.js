@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the sequential zip writer
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const ZipWriter = require('../../dist/lib/zip-writer').default;
+const { crc32 } = require('../../dist/lib/zip-writer');
+const ZipReader = require('../../dist/lib/zip-reader').default;
+const { buildZip } = require('./fixtures/bacpac-fixture');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-writer-test-'));
+
+describe('crc32', () => {
+    test('matches the zip check value and can be computed incrementally', () => {
+        assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+        assert.strictEqual(crc32(Buffer.from('56789'), crc32(Buffer.from('1234'))), 0xcbf43926);
+        assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+    });
+});
+
+describe('ZipWriter', () => {
+    test('copies raw entries and deflates streamed ones into a readable archive', async () => {
+        const sourcePath = path.join(tempDir, 'source.zip');
+        fs.writeFileSync(sourcePath, buildZip([
+            { name: 'model.xml', data: '<DataSchemaModel />', deflate: true },
+            { name: 'Origin.xml', data: '<DacOrigin />' }
+        ], { zip64: true }));
+        const source = new ZipReader(sourcePath);
+        await source.open();
+
+        const outputPath = path.join(tempDir, 'rebuilt.zip');
+        const writer = new ZipWriter(outputPath);
+        await writer.open();
+        for (const entry of source.getEntries()) {
+            await writer.addRaw(source, entry);
+        }
+        const data = Buffer.from('row data '.repeat(1000));
+        await writer.addStream('Data/dbo.tblContent/TableData-000-00000.BCP', Readable.from([data.subarray(0, 4000), data.subarray(4000)]), data.length);
+        // A size hint near 4 GB reserves ZIP64 room in the local header
+        await writer.addStream('Data/dbo.tblBig/TableData-000-00000.BCP', Readable.from([Buffer.from('big')]), 0xffffffff);
+        await writer.addStream('Data/dbo.tblEmpty/TableData-000-00000.BCP', Readable.from([]), 0);
+        await writer.close();
+        await source.close();
+
+        const rebuilt = new ZipReader(outputPath);
+        await rebuilt.open();
+        try {
+            const entries = rebuilt.getEntries();
+            assert.deepStrictEqual(entries.map(entry => entry.name), [
+                'model.xml',
+                'Origin.xml',
+                'Data/dbo.tblContent/TableData-000-00000.BCP',
+                'Data/dbo.tblBig/TableData-000-00000.BCP',
+                'Data/dbo.tblEmpty/TableData-000-00000.BCP'
+            ]);
+            assert.strictEqual((await rebuilt.readEntry(entries[0])).toString(), '<DataSchemaModel />');
+            assert.strictEqual((await rebuilt.readEntry(entries[1])).toString(), '<DacOrigin />');
+
+            const content = rebuilt.getEntry('Data/dbo.tblContent/TableData-000-00000.BCP');
+            assert.strictEqual(content.method, 8);
+            assert.strictEqual(content.crc32, crc32(data));
+            assert.strictEqual(content.uncompressedSize, data.length);
+            assert.ok((await rebuilt.readEntry(content)).equals(data));
+
+            assert.strictEqual((await rebuilt.readEntry(entries[3])).toString(), 'big');
+            assert.strictEqual((await rebuilt.readEntry(entries[4])).length, 0);
+        } finally {
+            await rebuilt.close();
+        }
+    });
+
+    test('patches sizes into the local headers so they agree with the central directory', async () => {
+        const outputPath = path.join(tempDir, 'headers.zip');
+        const writer = new ZipWriter(outputPath);
+        await writer.open();
+        await writer.addStream('a.txt', Readable.from([Buffer.from('hello')]), 5);
+        await writer.close();
+
+        const archive = fs.readFileSync(outputPath);
+        assert.strictEqual(archive.readUInt32LE(0), 0x04034b50);
+        assert.strictEqual(archive.readUInt32LE(14), crc32(Buffer.from('hello')));
+        assert.strictEqual(archive.readUInt32LE(22), 5);
+        assert.strictEqual(archive.readUInt16LE(6) & 0x0800, 0x0800);
+    });
+
+    test('refuses writes before open and leaves abort safe to repeat', async () => {
+        const writer = new ZipWriter(path.join(tempDir, 'unopened.zip'));
+        await assert.rejects(writer.addStream('a.txt', Readable.from([Buffer.from('a')]), 1), /not open/);
+        await writer.abort();
+        await writer.abort();
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});